@@ -0,0 +1,2 @@
+-- 猎头门户：猎头可推荐的岗位范围
+alter table headhunters add column if not exists job_ids text;                          -- 可推荐的岗位
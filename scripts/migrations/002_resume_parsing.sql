@@ -0,0 +1,5 @@
+-- 简历解析：简历正文与解析结果、候选人解析档案
+alter table candidates add column if not exists resume_profile text;                    -- 简历解析档案
+alter table candidates add column if not exists extracted_fields text;
+alter table resume_files add column if not exists content_text text;                    -- 简历正文
+alter table resume_files add column if not exists parsed text;                          -- 简历解析结果
@@ -0,0 +1,3 @@
+-- 全文搜索：简历正文提取失败标记、面评编辑时间
+alter table resume_files add column if not exists text_extract_failed boolean;
+alter table interviews add column if not exists updated_at text;                        -- 面评编辑时间（搜索索引失效判断）
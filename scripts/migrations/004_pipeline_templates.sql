@@ -0,0 +1,2 @@
+-- 招聘流程模板：岗位使用的流程模板
+alter table jobs add column if not exists pipeline_template_id text default 'default';  -- 招聘流程模板
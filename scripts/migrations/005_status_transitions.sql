@@ -0,0 +1,3 @@
+-- 状态流转策略：淘汰原因、动态附加信息
+alter table candidates add column if not exists rejection text;                         -- 淘汰原因
+alter table events add column if not exists meta text;
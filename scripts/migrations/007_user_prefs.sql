@@ -0,0 +1,6 @@
+-- 看板筛选记忆：按用户存储的个人偏好
+create table if not exists user_prefs (
+  id text primary key,        -- 用户 openId（无则为用户 ID）
+  board_pref text,            -- 看板筛选 { jobId, lanes }
+  updated_at text
+);
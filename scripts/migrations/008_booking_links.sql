@@ -0,0 +1,21 @@
+-- 候选人自助预约面试链接
+create table if not exists booking_links (
+  id text primary key,
+  token text unique,
+  candidate_id text,
+  round integer,
+  slots text,                 -- [{ id, start, end }]
+  interviewers text,
+  interviewer_open_ids text,
+  location text,
+  link text,
+  cutoff_hours integer,
+  status text default 'pending',
+  booked_slot_id text,
+  schedule_id text,
+  expires_at text,
+  created_by text,
+  created_at text,
+  updated_at text
+);
+create index if not exists booking_links_candidate_idx on booking_links (candidate_id);
@@ -0,0 +1,2 @@
+-- 面试官冲突检测：面试结束时间
+alter table interview_schedules add column if not exists end_at text;
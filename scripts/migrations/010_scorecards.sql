@@ -0,0 +1,2 @@
+-- 结构化面评：岗位使用的评分卡模板
+alter table jobs add column if not exists scorecard_template_id text;                   -- 面试评分卡模板
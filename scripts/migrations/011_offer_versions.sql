@@ -0,0 +1,30 @@
+-- Offer 薪酬方案版本与审批
+alter table offers add column if not exists current_version_id text;
+create table if not exists offer_versions (
+  id text primary key,
+  offer_id text,
+  candidate_id text,
+  version integer default 1,
+  base_salary numeric,
+  salary_months numeric,
+  bonus text,
+  equity text,
+  sign_on numeric,
+  start_date text,
+  note text,
+  band_position text,
+  band_snapshot text,
+  out_of_band_reason text,
+  approval_status text default '草稿',
+  approval_steps text,        -- [{ name, openId, status, comment, at }]
+  approval_instance_code text,
+  submitted_by text,
+  submitted_at text,
+  decided_at text,
+  letter_token text unique,
+  letter_sent_at text,
+  created_by text,
+  created_at text,
+  updated_at text
+);
+create index if not exists offer_versions_offer_idx on offer_versions (offer_id);
@@ -0,0 +1,3 @@
+-- 薪资带宽：岗位薪资预算
+alter table jobs add column if not exists budget_min numeric;                           -- 薪资预算
+alter table jobs add column if not exists budget_max numeric;
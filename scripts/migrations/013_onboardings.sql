@@ -0,0 +1,16 @@
+-- 入职流程与清单
+create table if not exists onboardings (
+  id text primary key,
+  candidate_id text,
+  offer_id text,
+  job_id text,
+  employment_type text,
+  start_date text,
+  buddy text,
+  status text default '进行中',
+  items text,                 -- 入职清单事项
+  created_by text,
+  created_at text,
+  updated_at text
+);
+create index if not exists onboardings_candidate_idx on onboardings (candidate_id);
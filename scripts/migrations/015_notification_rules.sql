@@ -0,0 +1,20 @@
+-- 通知规则：发送日志与跟进提醒去重
+alter table candidates add column if not exists follow_reminded_for text;               -- 跟进提醒去重
+create table if not exists notification_logs (
+  id text primary key,
+  rule_id text,
+  rule_name text,
+  trigger text,
+  candidate_id text,
+  candidate_name text,
+  channel text,
+  recipient_type text,
+  recipient text,
+  recipient_id text,
+  title text,
+  content text,
+  status text,
+  error text,
+  created_at text
+);
+create index if not exists notification_logs_created_at_idx on notification_logs (created_at desc);
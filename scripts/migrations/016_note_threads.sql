@@ -0,0 +1,6 @@
+-- 备注 @提及、回复、表情与编辑记录
+alter table notes add column if not exists parent_id text;                              -- 回复
+alter table notes add column if not exists mention_read_by text;
+alter table notes add column if not exists reactions text;
+alter table notes add column if not exists edit_history text;
+alter table notes add column if not exists edited_at text;
@@ -0,0 +1,2 @@
+-- 我的待办：按用户存储的忽略 / 延后状态
+alter table user_prefs add column if not exists todo_states text;                       -- 我的待办忽略 / 延后状态
@@ -0,0 +1,2 @@
+-- 跟进超时：状态停留超时标记
+alter table candidates add column if not exists sla_flag text;                          -- 状态停留超时标记
@@ -0,0 +1,11 @@
+-- 后台任务租约与运行记录
+create table if not exists task_states (
+  id text primary key,
+  lease_owner text default '',
+  lease_until text default '',
+  next_run_at text default '',
+  attempts integer default 0,
+  last_run text,
+  history text,
+  updated_at text
+);
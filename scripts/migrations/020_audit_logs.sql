@@ -0,0 +1,18 @@
+-- 操作审计日志
+create table if not exists audit_logs (
+  id text primary key,
+  actor text,
+  actor_id text,
+  action text,
+  entity_type text,
+  entity_id text,
+  entity_name text,
+  changes text,
+  method text,
+  path text,
+  ip text,
+  user_agent text,
+  created_at text
+);
+create index if not exists audit_logs_created_at_idx on audit_logs (created_at desc);
+create index if not exists audit_logs_entity_idx on audit_logs (entity_type, entity_id);
@@ -0,0 +1,5 @@
+-- 职位申请审批与 HC 招满跟踪
+alter table jobs add column if not exists requisition jsonb;                            -- 职位申请审批
+alter table jobs add column if not exists target_fill_date text;
+alter table jobs add column if not exists opened_at text;
+alter table jobs add column if not exists paused_reason text;
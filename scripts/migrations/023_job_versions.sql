@@ -0,0 +1,15 @@
+-- 职位版本历史：版本快照与投递时的职位版本
+alter table jobs add column if not exists version integer;                              -- 当前职位版本号
+alter table candidates add column if not exists job_version integer;                    -- 投递时的职位版本
+create table if not exists job_versions (
+  id text primary key,
+  job_id text,
+  version integer default 1,
+  snapshot text,              -- 职位字段快照
+  changed_fields text,
+  author text,
+  author_open_id text,
+  note text,
+  created_at text
+);
+create index if not exists job_versions_job_idx on job_versions (job_id, version);
@@ -0,0 +1,3 @@
+-- 员工内推：内推信息与奖金发放记录
+alter table candidates add column if not exists referral text;                          -- 员工内推信息
+alter table candidates add column if not exists referral_bonus text;                    -- 内推奖金发放记录
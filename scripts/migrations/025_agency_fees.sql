@@ -0,0 +1,4 @@
+-- 猎头绩效与服务费：合同、付款记录与离职记录
+alter table candidates add column if not exists agency_fee text;                        -- 猎头服务费付款记录
+alter table candidates add column if not exists departure text;                         -- 离职记录
+alter table headhunters add column if not exists contract text;                         -- 服务费合同
@@ -0,0 +1,215 @@
+// ====== 猎头供应商绩效与服务费 ======
+// 合同 h.contract = { feePercent, guaranteeDays, milestones: [{ label, percent, days }], updatedAt }：
+//   服务费 = 候选人 Offer 年度现金 × feePercent%，按付款节点拆分，节点在入职日起 days 天后到期。
+// 猎头推荐的候选人入职后按合同实时计算应付服务费，只持久化已付款的节点 c.agencyFee.payments[label] = { amount, paidAt, paidBy }。
+// 候选人离职记录在 c.departure = { date, reason, recordedBy, recordedAt }；保证期内离职视为违约：未付节点停付，已付部分需供应商退款或免费替补。
+// 重复推荐：猎头推荐的候选人已在人才库中时，在已有候选人上记一条「猎头重复推荐」动态（meta.vendorId 为后推荐的供应商），
+// 已有候选人的来源（vendorId / source）即为首推方。
+import { nowIso } from "./db.mjs";
+import { pushEvent } from "./helpers.mjs";
+import { templateResolver } from "./pipeline.mjs";
+import { currentVersion, annualCash } from "./offer.mjs";
+import { addDays, bjToday, hireDate } from "./onboarding.mjs";
+import { HIRED_STATUS } from "./requisition.mjs";
+
+export const DUPLICATE_EVENT_TYPE = "猎头重复推荐";
+export const FEE_STATUSES = ["未到期", "待付款", "已付款", "已停付", "待补充薪资"];
+// 推荐漏斗：按候选人到达过的最远阶段统计，已淘汰的候选人也计入其淘汰前到达的阶段
+export const AGENCY_FUNNEL = ["推荐", "进入面试", "面试通过", "Offer 发放", "入职"];
+const DEFAULT_MILESTONES = [{ label: "入职", percent: 100, days: 0 }];
+
+// ===== 合同 =====
+
+// 付款节点文本格式，每行一个：「节点名称 = 比例% / 入职后天数」，例如「入职 = 50% / 0」「转正 = 50% / 90」
+export function parseContractInput(body) {
+  const feePercent = Number(String(body?.feePercent ?? "").trim());
+  if (!Number.isFinite(feePercent) || feePercent <= 0 || feePercent > 100) return { error: "服务费比例需为 0-100 之间的数字" };
+  const guaranteeDays = Number(String(body?.guaranteeDays ?? "").trim() || 0);
+  if (!Number.isInteger(guaranteeDays) || guaranteeDays < 0 || guaranteeDays > 365) return { error: "保证期需为 0-365 的整数天" };
+  const milestones = [];
+  for (const line of String(body?.milestones || "").split(/\n/).map(x => x.trim()).filter(Boolean)) {
+    const m = line.match(/^(.+?)\s*[=＝]\s*([\d.]+)\s*[%％]\s*[/／]\s*(\d+)\s*天?$/);
+    if (!m) return { error: "付款节点格式错误：" + line };
+    const label = m[1].trim();
+    if (milestones.some(x => x.label === label)) return { error: "付款节点重复：" + label };
+    milestones.push({ label, percent: Number(m[2]), days: Number(m[3]) });
+  }
+  const list = milestones.length ? milestones : DEFAULT_MILESTONES.map(x => ({ ...x }));
+  const total = list.reduce((n, x) => n + x.percent, 0);
+  if (Math.abs(total - 100) > 0.001) return { error: "付款节点比例合计需为 100%（当前 " + total + "%）" };
+  return { contract: { feePercent, guaranteeDays, milestones: list, updatedAt: nowIso() } };
+}
+
+export function milestonesToInput(milestones) {
+  return (milestones || DEFAULT_MILESTONES).map(x => x.label + " = " + x.percent + "% / " + x.days).join("\n");
+}
+
+export function contractLabel(contract) {
+  if (!contract) return "";
+  return "服务费 " + contract.feePercent + "% · 保证期 " + contract.guaranteeDays + " 天 · " +
+    contract.milestones.map(x => x.label + " " + x.percent + "%").join(" / ");
+}
+
+// ===== 重复推荐 =====
+
+// 猎头推荐的候选人已在人才库中时调用：在已有候选人上记录冲突（不新建候选人）
+export function recordDuplicateSubmission(d, existing, hunter, vendorName, job) {
+  const first = existing.vendorId ? existing.vendorName || existing.vendorId : existing.source || "未知来源";
+  pushEvent(d, {
+    candidateId: existing.id,
+    type: DUPLICATE_EVENT_TYPE,
+    message: vendorName + " 重复推荐（岗位：" + (job?.title || "-") + "），首推方：" + first,
+    actor: vendorName,
+    meta: { vendorId: hunter.id, vendorName, jobId: job?.id || "" },
+  });
+}
+
+// 与某供应商相关的重复推荐：lost 为其推荐时候选人已在库中，won 为其首推的候选人被其他供应商重复推荐
+export function agencyConflicts(d, hunter) {
+  const own = new Set(d.candidates.filter(c => c.vendorId === hunter.id).map(c => c.id));
+  const cand = new Map(d.candidates.map(c => [c.id, c]));
+  const lost = [], won = [];
+  for (const e of d.events) {
+    if (e.type !== DUPLICATE_EVENT_TYPE || !e.meta) continue;
+    if (e.meta.vendorId === hunter.id) lost.push({ event: e, candidate: cand.get(e.candidateId) || null });
+    else if (own.has(e.candidateId)) won.push({ event: e, candidate: cand.get(e.candidateId) });
+  }
+  return { lost, won };
+}
+
+// ===== 推荐漏斗与入职周期 =====
+
+function statusLevel(status, interviewSet) {
+  if (status === HIRED_STATUS) return 4;
+  if (status === "Offer发放" || status === "拒offer") return 3;
+  if (status === "待发offer") return 2;
+  return interviewSet.has(status) ? 1 : 0;
+}
+
+// 候选人到达过的所有状态：当前状态 + 状态变更动态里出现过的状态
+function visitedStatuses(eventsByCand, c) {
+  const set = new Set([c.status]);
+  for (const e of eventsByCand.get(c.id) || []) {
+    for (const m of String(e.message || "").matchAll(/状态：([^\n]*?)\s*->\s*([^\n]+)/g)) {
+      set.add(m[1].trim());
+      set.add(m[2].trim());
+    }
+  }
+  return set;
+}
+
+function daysBetween(from, to) {
+  const a = new Date(String(from).slice(0, 10) + "T00:00:00Z");
+  const b = new Date(String(to).slice(0, 10) + "T00:00:00Z");
+  return isNaN(a) || isNaN(b) ? null : Math.round((b - a) / 86400000);
+}
+
+/**
+ * 单个供应商的绩效：推荐数、漏斗各阶段人数与通过率、入职人数、平均入职周期（推荐到入职日的天数）、重复推荐冲突、服务费汇总
+ */
+export function agencyStats(d, hunter, { today = bjToday(), resolve = templateResolver(d), eventsByCand = null } = {}) {
+  const cands = d.candidates.filter(c => c.vendorId === hunter.id);
+  const byCand = eventsByCand || groupEvents(d, new Set(cands.map(c => c.id)));
+  const reached = AGENCY_FUNNEL.map(() => 0);
+  const hireDays = [];
+  for (const c of cands) {
+    const { interviewSet } = resolve(c.jobId);
+    let level = 0;
+    for (const st of visitedStatuses(byCand, c)) level = Math.max(level, statusLevel(st, interviewSet));
+    for (let i = 0; i <= level; i++) reached[i]++;
+    if (level === 4) {
+      const days = daysBetween(c.createdAt, hireDate(d, c));
+      if (days !== null && days >= 0) hireDays.push(days);
+    }
+  }
+  const funnel = AGENCY_FUNNEL.map((name, i) => ({
+    name,
+    count: reached[i],
+    rate: i === 0 ? null : (reached[i - 1] ? Math.round(reached[i] / reached[i - 1] * 100) : null),
+  }));
+  const conflicts = agencyConflicts(d, hunter);
+  const fees = cands.map(c => agencyFee(d, c, hunter, today)).filter(Boolean);
+  return {
+    submissions: cands.length,
+    hires: reached[4],
+    funnel,
+    avgDaysToHire: hireDays.length ? Math.round(hireDays.reduce((a, b) => a + b, 0) / hireDays.length) : null,
+    conflictsLost: conflicts.lost.length,
+    conflictsWon: conflicts.won.length,
+    feeOwed: fees.reduce((n, f) => n + f.owed, 0),
+    feePaid: fees.reduce((n, f) => n + f.paid, 0),
+    breaches: fees.filter(f => f.breach).length,
+  };
+}
+
+export function groupEvents(d, ids = null) {
+  const m = new Map();
+  for (const e of d.events) {
+    if (ids && !ids.has(e.candidateId)) continue;
+    if (!m.has(e.candidateId)) m.set(e.candidateId, []);
+    m.get(e.candidateId).push(e);
+  }
+  return m;
+}
+
+// ===== 服务费与保证期 =====
+
+export function hunterOf(d, c) {
+  return c?.vendorId ? (d.headhunters || []).find(h => h.id === c.vendorId) || null : null;
+}
+
+/**
+ * 猎头候选人的服务费：候选人入职（或已记录离职 / 已有付款）且供应商签有合同时计算，否则返回 null
+ * @returns {{ contract, hireDate, base, total, guaranteeEnd, breach, departure, milestones: Array<{ label, percent, amount, dueDate, status, paidAt?, paidBy? }>, owed, paid, refund }}
+ */
+export function agencyFee(d, c, hunter = hunterOf(d, c), today = bjToday()) {
+  const contract = hunter?.contract;
+  const payments = c.agencyFee?.payments || {};
+  if (!contract || (c.status !== HIRED_STATUS && !c.departure && !Object.keys(payments).length)) return null;
+  const hired = hireDate(d, c);
+  const offer = d.offers.find(o => o.candidateId === c.id);
+  const base = annualCash(currentVersion(d, offer));
+  const total = Math.round(base * contract.feePercent / 100);
+  const guaranteeEnd = hired ? addDays(hired, contract.guaranteeDays) : "";
+  const departure = c.departure || null;
+  const breach = !!(departure?.date && guaranteeEnd && departure.date < guaranteeEnd);
+  const milestones = contract.milestones.map(m => {
+    const paid = payments[m.label];
+    const dueDate = hired ? addDays(hired, m.days) : "";
+    if (paid) return { label: m.label, percent: m.percent, amount: paid.amount, dueDate, status: "已付款", paidAt: paid.paidAt, paidBy: paid.paidBy };
+    const status = breach ? "已停付" : !base ? "待补充薪资" : dueDate && dueDate <= today ? "待付款" : "未到期";
+    return { label: m.label, percent: m.percent, amount: Math.round(total * m.percent / 100), dueDate, status };
+  });
+  const sum = (st) => milestones.filter(m => m.status === st).reduce((n, m) => n + Number(m.amount || 0), 0);
+  const paid = sum("已付款");
+  return { contract, hireDate: hired, base, total, guaranteeEnd, breach, departure, milestones, owed: sum("待付款"), paid, refund: breach ? paid : 0 };
+}
+
+export function markFeePaid(d, c, label, user) {
+  const fee = agencyFee(d, c);
+  if (!fee) return { error: "该候选人没有应付的猎头服务费" };
+  const m = fee.milestones.find(x => x.label === label);
+  if (!m) return { error: "付款节点不存在：" + label };
+  if (m.status !== "待付款") return { error: "该节点当前状态为「" + m.status + "」，不能标记付款" };
+  c.agencyFee = { payments: { ...(c.agencyFee?.payments || {}), [label]: { amount: m.amount, paidAt: nowIso(), paidBy: user?.name || "" } } };
+  c.updatedAt = nowIso();
+  return { payment: c.agencyFee.payments[label] };
+}
+
+// 记录（或清除）已入职候选人的离职日期；保证期内离职会在服务费中标记违约
+export function recordDeparture(d, c, body, user) {
+  const date = String(body?.date || "").trim();
+  if (!date) {
+    if (!c.departure) return { error: "该候选人没有离职记录" };
+    c.departure = null;
+    c.updatedAt = nowIso();
+    return { ok: true };
+  }
+  if (c.status !== HIRED_STATUS && !c.departure) return { error: "只能为已入职的候选人记录离职" };
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(date)) return { error: "离职日期格式不正确" };
+  const hired = hireDate(d, c);
+  if (hired && date < hired) return { error: "离职日期不能早于入职日期 " + hired };
+  c.departure = { date, reason: String(body?.reason || "").trim().slice(0, 500), recordedBy: user?.name || "", recordedAt: nowIso() };
+  c.updatedAt = nowIso();
+  return { ok: true };
+}
@@ -0,0 +1,211 @@
+// ====== 审计日志 ======
+// 每次写操作一条记录：{ id, actor, actorId, action, entityType, entityId, entityName, changes: [{ field, from, to }],
+//                      method, path, ip, userAgent, createdAt }
+// 路由在保存数据后调用 audit() 记录字段级变更；没有显式记录的写请求由 auditMiddleware 在响应结束时补一条请求级记录，
+// 保证所有写操作都有据可查。请求体不入日志，密钥类字段只记录「已修改」。
+import { nowIso, rid, appendAuditLogs } from "./db.mjs";
+import { csvCell } from "./bulk.mjs";
+
+export const AUDIT_ACTIONS = {
+  create: "新增",
+  update: "修改",
+  delete: "删除",
+  role_change: "角色变更",
+  status_change: "状态变更",
+  request: "其他写操作",
+};
+
+export const AUDIT_ENTITIES = {
+  candidate: "候选人",
+  job: "职位",
+  user: "用户",
+  settings: "设置",
+  headhunter: "猎头",
+  offer: "Offer",
+  interview: "面试",
+  note: "备注",
+  onboarding: "入职",
+  booking: "预约链接",
+  other: "其他",
+};
+
+const FIELD_LABELS = {
+  name: "姓名 / 名称", phone: "手机", email: "邮箱", jobId: "岗位ID", jobTitle: "岗位", source: "来源", note: "备注", status: "状态",
+  tags: "标签", follow: "跟进", role: "角色", title: "职位名称", titleEn: "英文名称", department: "部门", location: "地点",
+  owner: "负责人", owners: "负责人", headcount: "HC", priority: "优先级", level: "职级", budgetMin: "预算下限", budgetMax: "预算上限",
+  state: "招聘状态", category: "分类", employmentType: "招聘类型", pipelineTemplateId: "流程模板", scorecardTemplateId: "评分卡模板",
+  jd: "JD", company: "公司", enabled: "启用", jobIds: "可见岗位", apiKey: "API Key", value: "内容",
+  requisition: "职位申请", targetFillDate: "期望到岗日期", openedAt: "开放时间", pausedReason: "暂停原因", approvers: "审批人", defaultFillDays: "默认招聘周期",
+  version: "版本", jobVersion: "岗位版本", content: "模板内容",
+  referrer: "内推人", referrerId: "内推人ID", referral: "内推信息", referralBonus: "内推奖金", rules: "规则",
+  contract: "猎头合同", agencyFee: "猎头服务费", departure: "离职",
+};
+
+// 只记录「已修改」，不记录内容
+const SECRET_FIELDS = new Set(["apiKey", "password", "secret", "token"]);
+// 时间戳类字段每次保存都会变，不算变更；id 已记在 entityId
+const IGNORED_FIELDS = new Set(["id", "updatedAt", "createdAt"]);
+const MAX_VALUE_LEN = 300;
+
+export function fieldLabel(field) {
+  return FIELD_LABELS[field] || field;
+}
+
+function fmtValue(v) {
+  if (v === undefined || v === null || v === "") return "";
+  const s = typeof v === "object" ? JSON.stringify(v) : String(v);
+  return s.length > MAX_VALUE_LEN ? s.slice(0, MAX_VALUE_LEN) + "..." : s;
+}
+
+const isPrimitiveList = (x) => Array.isArray(x) && x.every((v) => v === null || typeof v !== "object");
+
+// 单个字段的变更：字符串 / 数字列表（来源、标签等）只记录增删的项，原值为移除项，新值为新增项
+function fieldChange(field, from, to) {
+  const empty = (v) => v === undefined || v === null || v === "" || (Array.isArray(v) && !v.length);
+  if ((empty(from) && empty(to)) || JSON.stringify(from) === JSON.stringify(to)) return null;
+  if (SECRET_FIELDS.has(field)) return { field, from: fmtValue(from) ? "***" : "", to: fmtValue(to) ? "***（已修改）" : "" };
+  if (isPrimitiveList(from ?? []) && isPrimitiveList(to ?? []) && (Array.isArray(from) || Array.isArray(to))) {
+    const a = from || [], b = to || [];
+    return { field, from: fmtValue(a.filter((v) => !b.includes(v)).join("、")), to: fmtValue(b.filter((v) => !a.includes(v)).join("、")) };
+  }
+  return { field, from: fmtValue(from), to: fmtValue(to) };
+}
+
+/**
+ * 字段级差异：before / after 为对象时逐个顶层字段比较，否则整体作为 value 比较
+ * 新增时 before 为 null，删除时 after 为 null
+ */
+export function diffFields(before, after) {
+  const isObj = (x) => x && typeof x === "object" && !Array.isArray(x);
+  if (!isObj(before) && !isObj(after)) return [fieldChange("value", before, after)].filter(Boolean);
+  const b = isObj(before) ? before : {};
+  const a = isObj(after) ? after : {};
+  return [...new Set([...Object.keys(b), ...Object.keys(a)])]
+    .filter((field) => !IGNORED_FIELDS.has(field))
+    .map((field) => fieldChange(field, b[field], a[field]))
+    .filter(Boolean);
+}
+
+// 保存前的快照，避免之后原对象被修改
+export function snapshot(x) {
+  return x === undefined ? null : JSON.parse(JSON.stringify(x));
+}
+
+function requestActor(req) {
+  const user = req.user || req.session?.user;
+  if (user) return { actor: user.name || "", actorId: user.openId || user.id || "" };
+  if (req.hunter) return { actor: "猎头：" + (req.hunter.name || ""), actorId: req.hunter.id };
+  return { actor: "外部链接", actorId: "" };
+}
+
+// 公开链接里的 token 即凭证，日志中只保留前 8 位
+function safePath(req) {
+  return req.originalUrl.split("?")[0].replace(/^(\/(?:api\/)?(?:review|book)\/)([^/]{8})[^/]*/, "$1$2…");
+}
+
+function requestIp(req) {
+  return String(req.ip || req.socket?.remoteAddress || "").replace(/^::ffff:/, "");
+}
+
+function auditEntry(req, { action, entityType, entityId, entityName, before = null, after = null, changes }) {
+  const act = action || (before === null ? "create" : after === null ? "delete" : "update");
+  const list = changes || diffFields(before, after);
+  // 修改但没有任何字段变化时不记录
+  if (act === "update" && !list.length) return null;
+  return {
+    id: rid("audit"),
+    ...requestActor(req),
+    action: act,
+    entityType,
+    entityId: String(entityId ?? ""),
+    entityName: entityName || "",
+    changes: list,
+    method: req.method,
+    path: safePath(req),
+    ip: requestIp(req),
+    userAgent: String(req.get("user-agent") || "").slice(0, 300),
+    createdAt: nowIso(),
+  };
+}
+
+/**
+ * 记录一次写操作（不阻塞请求，失败只打日志）
+ * opts: { action?, entityType, entityId, entityName?, before?, after?, changes? }
+ *   未指定 action 时按 before / after 推断为新增 / 删除 / 修改；未指定 changes 时由 before / after 计算
+ */
+export function audit(req, opts) {
+  auditMany(req, [opts]);
+}
+
+// 一个请求改动多个对象（批量操作）时一次写入
+export function auditMany(req, list) {
+  req._audited = true;
+  const entries = list.map((opts) => auditEntry(req, opts)).filter(Boolean);
+  appendAuditLogs(entries).catch((e) => console.warn("[Audit] 写入失败:", e.message));
+}
+
+// 只读用途的写请求（如预览）不需要补记
+export function skipAudit(req) {
+  req._audited = true;
+}
+
+// 无需审计的写请求：登录、只读用途的 POST、个人已读 / 待办状态、外部 cron（后台任务另有运行记录）
+const SKIP_PATHS = [
+  /^\/hunter\/login$/, /^\/api\/resume\/upload-url$/, /^\/api\/settings\/hr-chat-id\/test$/,
+  /^\/api\/mentions\/read$/, /^\/api\/todos\/state$/, /^\/api\/cron\//,
+];
+
+function inferEntity(path) {
+  let m;
+  if ((m = path.match(/^\/(?:api\/)?candidates\/([^/]+)/)) && !["bulk", "create", "new", "import-single-resume", "search"].includes(m[1])) return { entityType: "candidate", entityId: m[1] };
+  if (path.startsWith("/api/candidates") || path.startsWith("/candidates") || path.startsWith("/api/hunter") || path.startsWith("/hunter")) return { entityType: "candidate", entityId: "" };
+  if ((m = path.match(/^\/(?:api\/)?jobs\/([^/]+)/)) && m[1] !== "new") return { entityType: "job", entityId: m[1] };
+  if (path.startsWith("/api/tasks/")) return { entityType: "other", entityId: path.split("/")[3] };
+  if ((m = path.match(/^\/api\/users\/([^/]+)/))) return { entityType: "user", entityId: m[1] === "sync-feishu" ? "" : m[1] };
+  if ((m = path.match(/^\/api\/settings\/headhunters(?:\/([^/]+))?/))) return { entityType: "headhunter", entityId: m[1] || "" };
+  if (path.startsWith("/api/settings") || path.startsWith("/settings")) return { entityType: "settings", entityId: path.split("/").filter(Boolean).slice(-1)[0] };
+  if ((m = path.match(/^\/api\/offer-versions\/([^/]+)/))) return { entityType: "offer", entityId: m[1] };
+  if ((m = path.match(/^\/api\/onboarding\/([^/]+)/))) return { entityType: "onboarding", entityId: m[1] };
+  if (path.startsWith("/api/review/")) return { entityType: "interview", entityId: "" };
+  if (path.startsWith("/api/book/")) return { entityType: "booking", entityId: "" };
+  return { entityType: "other", entityId: "" };
+}
+
+// 写请求成功结束后，若路由没有调用 audit()，补记一条请求级日志
+export function auditMiddleware() {
+  return (req, res, next) => {
+    if (["GET", "HEAD", "OPTIONS"].includes(req.method)) return next();
+    res.on("finish", () => {
+      const path = req.originalUrl.split("?")[0];
+      if (req._audited || res.statusCode >= 400 || SKIP_PATHS.some((re) => re.test(path))) return;
+      const { entityType, entityId } = inferEntity(path);
+      audit(req, {
+        action: req.method === "DELETE" || path.endsWith("/delete") ? "delete" : "request",
+        entityType,
+        entityId,
+        changes: [],
+      });
+    });
+    next();
+  };
+}
+
+export function auditActionLabel(action) {
+  return AUDIT_ACTIONS[action] || action;
+}
+
+export function auditEntityLabel(type) {
+  return AUDIT_ENTITIES[type] || type;
+}
+
+export function auditLogsCsv(logs) {
+  const head = ["时间", "操作人", "操作", "对象类型", "对象ID", "对象名称", "变更字段", "原值", "新值", "请求", "IP", "User-Agent"];
+  const rows = [];
+  for (const x of logs) {
+    const base = [x.createdAt, x.actor, auditActionLabel(x.action), auditEntityLabel(x.entityType), x.entityId, x.entityName];
+    const tail = [x.method + " " + x.path, x.ip, x.userAgent];
+    if (!x.changes.length) rows.push([...base, "", "", "", ...tail]);
+    for (const ch of x.changes) rows.push([...base, fieldLabel(ch.field), ch.from, ch.to, ...tail]);
+  }
+  return "﻿" + [head, ...rows].map((r) => r.map(csvCell).join(",")).join("\r\n");
+}
@@ -0,0 +1,125 @@
+// ====== 候选人批量操作 ======
+// 人才库列表和看板共用：批量改状态 / 加减标签 / 换岗位 / 更新跟进 / 导出 / 删除
+// applyBulkAction 直接修改传入的数据（loadData() 返回的是副本），预览时调用方不保存即可
+import { nowIso } from "./db.mjs";
+import { pushEvent, changeCandidateStatus, getVisibleJobIds } from "./helpers.mjs";
+import { getJobTemplate, migrateStatus } from "./pipeline.mjs";
+import { stampJobVersion } from "./jobVersions.mjs";
+
+export const BULK_ACTIONS = {
+  status: "更新状态",
+  tag_add: "添加标签",
+  tag_remove: "移除标签",
+  job: "更换岗位",
+  follow: "更新跟进",
+  export: "导出",
+  delete: "删除",
+};
+
+export const BULK_MAX = 500;
+
+// 返回 { changed: [candidateId], skipped: [{ id, name, error }], pausedJobs: [job] }；参数错误时返回 { error }，无权限时另带 status: 403
+// pausedJobs 为批量入职后 HC 招满、被自动暂停的岗位
+export function applyBulkAction(d, candidates, action, params, user) {
+  const changed = [];
+  const skipped = [];
+  const pausedJobs = [];
+  const actor = user?.name || "系统";
+  const skip = (c, error) => skipped.push({ id: c.id, name: c.name || "未命名", error });
+
+  if (action === "status") {
+    if (!params.status) return { error: "请选择目标状态" };
+    for (const c of candidates) {
+      const r = changeCandidateStatus(d, c, params, user);
+      if (!r.ok) skip(c, r.error);
+      else if (r.event) changed.push(c.id);
+      else skip(c, "状态未变化");
+      if (r.pausedJob) pausedJobs.push(r.pausedJob);
+    }
+  } else if (action === "tag_add" || action === "tag_remove") {
+    const tag = String(params.tag || "").trim();
+    if (!tag) return { error: "请输入标签" };
+    const adding = action === "tag_add";
+    for (const c of candidates) {
+      const tags = c.tags || [];
+      if (adding === tags.includes(tag)) { skip(c, adding ? "已有该标签" : "没有该标签"); continue; }
+      c.tags = adding ? [...tags, tag] : tags.filter((t) => t !== tag);
+      c.updatedAt = nowIso();
+      pushEvent(d, { candidateId: c.id, type: "标签", message: (adding ? "批量添加标签：" : "批量移除标签：") + tag, actor });
+      changed.push(c.id);
+    }
+  } else if (action === "job") {
+    const job = d.jobs.find((j) => j.id === String(params.jobId || ""));
+    if (!job) return { error: "岗位不存在" };
+    const vj = getVisibleJobIds(user, d.jobs);
+    if (vj !== null && !vj.has(job.id)) return { status: 403, error: "无权将候选人移入该岗位" };
+    const toTpl = getJobTemplate(d, job);
+    for (const c of candidates) {
+      if (c.jobId === job.id) { skip(c, "已在该岗位"); continue; }
+      const oldTitle = c.jobTitle || c.jobId || "未关联岗位";
+      const oldStatus = c.status || "待筛选";
+      // 新岗位使用不同流程模板时，按轮次映射当前状态
+      const nextStatus = migrateStatus(getJobTemplate(d, c.jobId), toTpl, oldStatus);
+      c.jobId = job.id;
+      c.jobTitle = job.title || job.id;
+      c.status = nextStatus;
+      c.updatedAt = nowIso();
+      stampJobVersion(d, c);
+      pushEvent(d, {
+        candidateId: c.id,
+        type: "岗位变更",
+        message: "岗位：" + oldTitle + " -> " + c.jobTitle + (nextStatus !== oldStatus ? "\n状态：" + oldStatus + " -> " + nextStatus : ""),
+        actor,
+      });
+      changed.push(c.id);
+    }
+  } else if (action === "follow") {
+    const nextAction = String(params.nextAction || "").trim();
+    const followAt = String(params.followAt || "").trim();
+    const note = String(params.note || "").trim();
+    if (!nextAction && !followAt && !note) return { error: "请填写跟进内容" };
+    for (const c of candidates) {
+      c.follow = { nextAction, followAt, note };
+      c.updatedAt = nowIso();
+      pushEvent(d, { candidateId: c.id, type: "跟进", message: "下一步：" + (nextAction || "-") + "\n跟进时间：" + (followAt || "-") + "\n" + (note || ""), actor });
+      changed.push(c.id);
+    }
+  } else if (action === "delete") {
+    // 删除会连同候选人的动态一起清理，因此不再单独记录事件
+    const ids = new Set(candidates.map((c) => c.id));
+    d.candidates = d.candidates.filter((x) => !ids.has(x.id));
+    d.interviews = d.interviews.filter((x) => !ids.has(x.candidateId));
+    d.interviewSchedules = d.interviewSchedules.filter((x) => !ids.has(x.candidateId));
+    d.resumeFiles = d.resumeFiles.filter((x) => !ids.has(x.candidateId));
+    d.events = d.events.filter((x) => !ids.has(x.candidateId));
+    d.offers = (d.offers || []).filter((x) => !ids.has(x.candidateId));
+    d.notes = (d.notes || []).filter((x) => !ids.has(x.candidateId));
+    d.bookingLinks = (d.bookingLinks || []).filter((x) => !ids.has(x.candidateId));
+    d.onboardings = (d.onboardings || []).filter((x) => !ids.has(x.candidateId));
+    d.offerVersions = (d.offerVersions || []).filter((x) => !ids.has(x.candidateId));
+    changed.push(...ids);
+  } else if (action === "export") {
+    changed.push(...candidates.map((c) => c.id));
+  } else {
+    return { error: "不支持的批量操作" };
+  }
+  return { changed, skipped, pausedJobs };
+}
+
+// 以 = + - @ 开头的文本在 Excel 中会被当作公式执行，前置单引号按文本处理
+export function csvCell(v) {
+  let s = String(v ?? "");
+  if (typeof v !== "number" && /^[=+\-@]/.test(s)) s = "'" + s;
+  return /[",\n\r]/.test(s) ? '"' + s.replace(/"/g, '""') + '"' : s;
+}
+
+// 带 BOM，方便 Excel 直接打开
+export function candidatesCsv(candidates) {
+  const head = ["姓名", "手机", "邮箱", "岗位", "状态", "来源", "标签", "下一步", "跟进时间", "淘汰原因", "创建时间", "更新时间"];
+  const rows = candidates.map((c) => [
+    c.name, c.phone, c.email, c.jobTitle || c.jobId, c.status, c.source, (c.tags || []).join("/"),
+    c.follow?.nextAction, c.follow?.followAt, c.rejection?.to === c.status ? c.rejection.reason : "",
+    c.createdAt, c.updatedAt,
+  ]);
+  return "﻿" + [head, ...rows].map((r) => r.map(csvCell).join(",")).join("\r\n");
+}
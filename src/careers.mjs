@@ -0,0 +1,192 @@
+// ====== 官网招聘 ======
+// 开放中的职位直接对外发布：岗位列表、详情（附 schema.org JobPosting 结构化数据）、在线投递，以及 RSS / JSON Feed 供招聘网站抓取。
+// 投递直接创建来源为「官网投递」的候选人；带推荐码（?ref=）时沿用「官网投递(推荐码:xxx)」的来源格式
+import { saveData, nowIso, rid } from "./db.mjs";
+import { escapeHtml } from "./ui.mjs";
+import { findDuplicate, pushEvent, notifyHrNewCandidate, saveResumeSupabaseOrLocal } from "./helpers.mjs";
+import { renderNoteMarkdown } from "./notes.mjs";
+import { stampJobVersion } from "./jobVersions.mjs";
+
+export const CAREERS_SOURCE = "官网投递";
+export const RESUME_EXTS = [".pdf", ".doc", ".docx"];
+
+// schema.org employmentType
+const EMPLOYMENT_TYPE_SCHEMA = { 社招: "FULL_TIME", 实习: "INTERN" };
+
+export function careersJobs(d) {
+  return d.jobs
+    .filter(j => (j.state || "open") === "open")
+    .sort((a, b) => (b.createdAt || "").localeCompare(a.createdAt || ""));
+}
+
+export function careersJob(d, id) {
+  return careersJobs(d).find(j => j.id === id) || null;
+}
+
+export function careersCompanyName(d) {
+  return d.offerSettings?.companyName || "Machinepulse";
+}
+
+// 列表筛选：q 匹配中英文岗位名和 JD，其余字段精确匹配
+export function filterCareersJobs(jobs, { q = "", category = "", location = "", type = "" } = {}) {
+  const kw = q.trim().toLowerCase();
+  return jobs.filter(j =>
+    (!kw || [j.title, j.titleEn, j.jd].some(x => String(x || "").toLowerCase().includes(kw))) &&
+    (!category || j.category === category) &&
+    (!location || j.location === location) &&
+    (!type || (j.employmentType || "社招") === type)
+  );
+}
+
+export function jdHtml(job) {
+  return job.jd ? renderNoteMarkdown(job.jd) : "";
+}
+
+// 列表和 Feed 用的纯文本摘要
+export function jdSummary(job, len = 120) {
+  const text = String(job.jd || "").replace(/[#*>`_-]+/g, " ").replace(/\s+/g, " ").trim();
+  return text.length > len ? text.slice(0, len) + "…" : text;
+}
+
+// 系统时间为北京时间且不带时区，补上 +08:00 后再转换；早期数据只有日期
+function bjDate(s) {
+  let v = String(s || nowIso());
+  if (/^\d{4}-\d{2}-\d{2}$/.test(v)) v += "T00:00:00";
+  const t = new Date(/(Z|[+-]\d{2}:?\d{2})$/.test(v) ? v : v + "+08:00");
+  return isNaN(t) ? new Date() : t;
+}
+
+export function jobPostingJsonLd(job, company, baseUrl) {
+  const data = {
+    "@context": "https://schema.org/",
+    "@type": "JobPosting",
+    title: job.title,
+    description: jdHtml(job) || escapeHtml(job.title),
+    identifier: { "@type": "PropertyValue", name: company, value: job.id },
+    datePosted: bjDate(job.createdAt).toISOString().slice(0, 10),
+    employmentType: EMPLOYMENT_TYPE_SCHEMA[job.employmentType || "社招"] || "OTHER",
+    hiringOrganization: { "@type": "Organization", name: company, sameAs: baseUrl },
+    jobLocation: { "@type": "Place", address: { "@type": "PostalAddress", addressLocality: job.location || "" } },
+    directApply: true,
+    url: baseUrl + "/careers/" + job.id,
+  };
+  if (job.headcount) data.totalJobOpenings = job.headcount;
+  // JSON 中的 < 转义，避免 JD 里的 </script> 提前闭合标签
+  return '<script type="application/ld+json">' + JSON.stringify(data).replace(/</g, "\\u003c") + '</script>';
+}
+
+export function jobsRss(jobs, company, baseUrl) {
+  const items = jobs.map(j => {
+    const url = baseUrl + "/careers/" + j.id;
+    return "<item>" +
+      "<title>" + escapeHtml(j.title + (j.location ? "（" + j.location + "）" : "")) + "</title>" +
+      "<link>" + escapeHtml(url) + "</link>" +
+      '<guid isPermaLink="false">' + escapeHtml(j.id) + "</guid>" +
+      "<pubDate>" + bjDate(j.createdAt).toUTCString() + "</pubDate>" +
+      [j.category, j.employmentType || "社招", j.location].filter(Boolean).map(c => "<category>" + escapeHtml(c) + "</category>").join("") +
+      "<description>" + escapeHtml(jdHtml(j) || j.title) + "</description>" +
+    "</item>";
+  }).join("");
+  return '<?xml version="1.0" encoding="UTF-8"?>\n' +
+    '<rss version="2.0"><channel>' +
+    "<title>" + escapeHtml(company + " 招聘") + "</title>" +
+    "<link>" + escapeHtml(baseUrl + "/careers") + "</link>" +
+    "<description>" + escapeHtml(company + " 开放职位") + "</description>" +
+    "<language>zh-cn</language>" +
+    "<lastBuildDate>" + new Date().toUTCString() + "</lastBuildDate>" +
+    items +
+    "</channel></rss>";
+}
+
+// JSON Feed 1.1；_job 为结构化的岗位字段，供招聘网站按字段导入
+export function jobsJsonFeed(jobs, company, baseUrl) {
+  return {
+    version: "https://jsonfeed.org/version/1.1",
+    title: company + " 招聘",
+    home_page_url: baseUrl + "/careers",
+    feed_url: baseUrl + "/careers/feed.json",
+    language: "zh-CN",
+    items: jobs.map(j => ({
+      id: j.id,
+      url: baseUrl + "/careers/" + j.id,
+      title: j.title,
+      content_html: jdHtml(j),
+      summary: jdSummary(j),
+      date_published: bjDate(j.createdAt).toISOString(),
+      date_modified: bjDate(j.updatedAt || j.createdAt).toISOString(),
+      tags: [j.category, j.employmentType || "社招", j.location].filter(Boolean),
+      _job: {
+        title: j.title,
+        titleEn: j.titleEn || "",
+        department: j.department || "",
+        location: j.location || "",
+        category: j.category || "",
+        employmentType: j.employmentType || "社招",
+        headcount: j.headcount || null,
+        applyUrl: baseUrl + "/careers/" + j.id + "#apply",
+      },
+    })),
+  };
+}
+
+// 推荐码只保留字母数字，避免写入异常来源
+export function careersRefCode(v) {
+  const ref = String(v || "").trim();
+  return /^[A-Za-z0-9_-]{1,32}$/.test(ref) ? ref : "";
+}
+
+function findApplicant(candidates, name, phone, email) {
+  const dup = findDuplicate(candidates, name, phone);
+  if (dup || !email) return dup;
+  const n = name.trim().toLowerCase();
+  const e = email.trim().toLowerCase();
+  return candidates.find(c => c.name && c.name.trim().toLowerCase() === n && c.email && c.email.trim().toLowerCase() === e) || null;
+}
+
+// 官网投递：返回 { candidate }、{ duplicate } 或 { status, error }；重复投递不新建候选人，只在原候选人动态里记一笔，
+// 页面上按投递成功展示，避免公开表单被用来探测某人是否在人才库中
+export async function createCareersApplication(d, job, body, file) {
+  const name = String(body.name || "").trim();
+  const phone = String(body.phone || "").trim();
+  const email = String(body.email || "").trim();
+  const wechat = String(body.wechat || "").trim();
+  const note = String(body.note || "").trim().slice(0, 2000);
+  const ref = careersRefCode(body.ref);
+
+  if (!name) return { status: 400, error: "请填写姓名" };
+  if (!/^\+?[\d\s-]{6,20}$/.test(phone)) return { status: 400, error: "请填写正确的手机号" };
+  if (!/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email)) return { status: 400, error: "请填写正确的邮箱" };
+  if (!file?.buffer?.length) return { status: 400, error: "请上传简历" };
+  const ext = (String(file.originalname || "").match(/\.[^.]+$/) || [""])[0].toLowerCase();
+  if (!RESUME_EXTS.includes(ext)) return { status: 400, error: "简历仅支持 " + RESUME_EXTS.join(" / ") + " 格式" };
+
+  const dup = findApplicant(d.candidates, name, phone, email);
+  if (dup) {
+    pushEvent(d, { candidateId: dup.id, type: "官网投递", message: "重复投递：" + job.title + (ref ? "（推荐码：" + ref + "）" : ""), actor: CAREERS_SOURCE });
+    await saveData(d);
+    return { duplicate: dup };
+  }
+
+  const c = {
+    id: rid("c"), name, phone, email, jobId: job.id, jobTitle: job.title,
+    source: ref ? CAREERS_SOURCE + "(推荐码:" + ref + ")" : CAREERS_SOURCE,
+    note: [wechat ? "微信:" + wechat : "", note].filter(Boolean).join("\n"),
+    tags: [],
+    status: "待筛选",
+    follow: { nextAction: "待联系", followAt: "", note: "" },
+    createdAt: nowIso(), updatedAt: nowIso(),
+  };
+  stampJobVersion(d, c);
+  d.candidates.unshift(c);
+  if (!d.sources.includes(CAREERS_SOURCE)) d.sources.push(CAREERS_SOURCE);
+  pushEvent(d, { candidateId: c.id, type: "创建", message: "官网投递：" + c.name + "（岗位：" + c.jobTitle + "）", actor: CAREERS_SOURCE });
+  try {
+    await saveResumeSupabaseOrLocal(d, c.id, file, CAREERS_SOURCE);
+  } catch (e) {
+    console.warn("[Careers] 简历保存失败:", e.message);
+    pushEvent(d, { candidateId: c.id, type: "简历", message: "简历上传失败（已跳过）：" + String(e?.message || e || ""), actor: "系统" });
+  }
+  await saveData(d);
+  await notifyHrNewCandidate(d, c, job).catch(e => console.warn("[Notify] err:", e.message));
+  return { candidate: c };
+}
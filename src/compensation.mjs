@@ -0,0 +1,124 @@
+// ====== 薪资带宽 ======
+// 带宽保存在 app_config.salaryBands：[{ level, category, min, max }]，单位为月薪（元），category 为空表示该职级通用
+// 岗位按「职级 + 职位分类」匹配带宽，另可填写预算月薪范围 budgetMin / budgetMax。
+// 生成 Offer 版本时把带宽快照和所处位置记录在版本上（bandSnapshot / bandPosition），之后调整带宽不影响历史统计
+import { escapeHtml } from "./ui.mjs";
+import { currentVersion } from "./offer.mjs";
+
+export const BAND_POSITIONS = ["低于带宽", "带宽低位", "带宽中位", "带宽高位", "高于带宽"];
+const POSITION_COLORS = { "低于带宽": "#ff7d00", "带宽低位": "#3370ff", "带宽中位": "#34c724", "带宽高位": "#3370ff", "高于带宽": "#f54a45" };
+
+export function allBands(d) {
+  return d.salaryBands || [];
+}
+
+export function bandLevels(d) {
+  return [...new Set(allBands(d).map(b => b.level))];
+}
+
+// 同职级下分类匹配的带宽优先，其次是该职级的通用带宽
+export function jobBand(d, job) {
+  if (!job?.level) return null;
+  const bands = allBands(d).filter(b => b.level === job.level);
+  return bands.find(b => b.category && b.category === job.category) || bands.find(b => !b.category) || null;
+}
+
+export function bandPosition(band, salary) {
+  if (!band || !salary) return "";
+  if (salary < band.min) return "低于带宽";
+  if (salary > band.max) return "高于带宽";
+  const ratio = band.max > band.min ? (salary - band.min) / (band.max - band.min) : 0.5;
+  return ratio < 1 / 3 ? "带宽低位" : ratio <= 2 / 3 ? "带宽中位" : "带宽高位";
+}
+
+// 评估月薪在岗位带宽和预算中的位置；outOfBand 时生成 Offer 版本需填写原因
+export function assessOffer(d, job, baseSalary) {
+  const band = jobBand(d, job);
+  const position = bandPosition(band, baseSalary);
+  const budget = job && (job.budgetMin || job.budgetMax) ? { min: job.budgetMin || null, max: job.budgetMax || null } : null;
+  const warnings = [];
+  if (position === "低于带宽") warnings.push("月薪低于 " + band.level + " 带宽下限 " + fmt(band.min));
+  if (position === "高于带宽") warnings.push("月薪高于 " + band.level + " 带宽上限 " + fmt(band.max));
+  if (budget?.max && baseSalary > budget.max) warnings.push("月薪超出岗位预算上限 " + fmt(budget.max));
+  if (budget?.min && baseSalary < budget.min) warnings.push("月薪低于岗位预算下限 " + fmt(budget.min));
+  return {
+    position,
+    snapshot: band || budget ? { level: band?.level || "", category: band?.category || "", min: band?.min ?? null, max: band?.max ?? null, budgetMin: budget?.min ?? null, budgetMax: budget?.max ?? null } : null,
+    warnings,
+    outOfBand: warnings.length > 0,
+  };
+}
+
+function fmt(n) {
+  return Number(n).toLocaleString("zh-CN");
+}
+
+function parseAmount(s) {
+  const n = Number(String(s || "").replace(/[,，\s]/g, "").replace(/[kK]$/, "000"));
+  return Number.isFinite(n) && n > 0 ? n : null;
+}
+
+// 文本格式，每行一个带宽：「职级 / 分类 = 最低 - 最高」，分类可省略，例如「P6 / 技术 = 25000 - 40000」「P6 = 20k - 35k」
+export function parseBandsInput(text) {
+  const bands = [];
+  for (const line of String(text || "").split(/\n/).map(x => x.trim()).filter(Boolean)) {
+    const m = line.match(/^(.+?)\s*[=＝]\s*([\d,，.kK]+)\s*[-~～—]+\s*([\d,，.kK]+)$/);
+    if (!m) return { error: "带宽格式错误：" + line };
+    const [level, category = ""] = m[1].split(/[/／]/).map(x => x.trim());
+    if (!level) return { error: "职级不能为空：" + line };
+    const min = parseAmount(m[2]);
+    const max = parseAmount(m[3]);
+    if (!min || !max || min > max) return { error: "带宽范围不正确：" + line };
+    if (bands.some(b => b.level === level && b.category === category)) return { error: "带宽重复：" + line };
+    bands.push({ level, category, min, max });
+  }
+  return { bands };
+}
+
+export function bandsToInput(bands) {
+  return bands.map(b => b.level + (b.category ? " / " + b.category : "") + " = " + b.min + " - " + b.max).join("\n");
+}
+
+export function bandPositionBadge(position) {
+  if (!position) return "";
+  return '<span class="badge" style="font-size:11px;color:#fff;background:' + (POSITION_COLORS[position] || "#8f959e") + '">' + escapeHtml(position) + '</span>';
+}
+
+// 带宽刻度条：灰色为带宽范围，竖线为 Offer 月薪所在位置
+export function bandBarHtml(snapshot, salary) {
+  if (!snapshot || snapshot.min === null || snapshot.max === null) return "";
+  const lo = Math.min(snapshot.min * 0.8, salary || snapshot.min);
+  const hi = Math.max(snapshot.max * 1.2, salary || snapshot.max);
+  const at = (n) => ((n - lo) / (hi - lo) * 100).toFixed(1) + "%";
+  return '<div style="position:relative;height:10px;background:#f2f3f5;border-radius:5px;margin:6px 0 2px">' +
+    '<div style="position:absolute;left:' + at(snapshot.min) + ';right:calc(100% - ' + at(snapshot.max) + ');top:0;bottom:0;background:#bacefd;border-radius:5px"></div>' +
+    (salary ? '<div style="position:absolute;left:' + at(salary) + ';top:-3px;width:3px;height:16px;background:#1f2329;border-radius:2px"></div>' : '') +
+    '</div><div class="row muted" style="font-size:11px;justify-content:space-between"><span>' + escapeHtml(snapshot.level) + (snapshot.category ? " / " + escapeHtml(snapshot.category) : "") + '</span><span>' + fmt(snapshot.min) + ' - ' + fmt(snapshot.max) + '</span></div>';
+}
+
+// 按当前版本的带宽位置统计 Offer；接受率 = 已接受 /（已接受 + 已拒绝），候选人已入职 / 拒offer 也计入
+export function offerBandStats(d, offers) {
+  const cands = new Map(d.candidates.map(c => [c.id, c]));
+  const rows = [...BAND_POSITIONS, "未匹配带宽"].map(position => ({ position, total: 0, accepted: 0, declined: 0 }));
+  for (const o of offers) {
+    const v = currentVersion(d, o);
+    if (!v) continue;
+    const row = rows.find(r => r.position === (v.bandPosition || "未匹配带宽"));
+    const c = cands.get(o.candidateId);
+    row.total++;
+    if (o.offerStatus === "已接受" || c?.status === "入职") row.accepted++;
+    else if (o.offerStatus === "已拒绝" || c?.status === "拒offer") row.declined++;
+  }
+  return rows.filter(r => r.total);
+}
+
+export function offerBandStatsHtml(rows) {
+  if (!rows.length) return '<div class="muted">暂无 Offer 版本数据</div>';
+  const total = rows.reduce((s, r) => s + r.total, 0);
+  const pct = (a, b) => b > 0 ? Math.round(a / b * 100) : 0;
+  return '<table><thead><tr><th>带宽位置</th><th>Offer 数</th><th>占比</th><th>已接受</th><th>已拒绝</th><th>接受率</th></tr></thead><tbody>' +
+    rows.map(r => '<tr><td>' + bandPositionBadge(r.position) + '</td><td><b>' + r.total + '</b></td>' +
+      '<td><div class="row" style="flex-wrap:nowrap"><div style="width:90px;background:#f2f3f5;border-radius:4px;height:8px;overflow:hidden"><div style="width:' + pct(r.total, total) + '%;height:100%;background:' + (POSITION_COLORS[r.position] || "#8f959e") + '"></div></div><span class="muted">' + pct(r.total, total) + '%</span></div></td>' +
+      '<td>' + r.accepted + '</td><td>' + r.declined + '</td><td>' + (r.accepted + r.declined ? '<b>' + pct(r.accepted, r.accepted + r.declined) + '%</b>' : '<span class="muted">-</span>') + '</td></tr>').join("") +
+    '</tbody></table>';
+}
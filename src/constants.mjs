@@ -72,12 +72,20 @@ export const JOB_CATEGORIES = [
 
 export const OFFER_STATUSES = [
   "待发放",
+  "待审批",
+  "审批驳回",
   "已发放",
   "已接受",
   "已拒绝",
   "已撤回",
 ];
 
+// 以下 Offer 状态由审批流程自动设置，不能在 Offer 表单中手动选择
+export const OFFER_APPROVAL_DRIVEN = new Set(["待审批", "审批驳回"]);
+
+// Offer 版本的审批状态
+export const OFFER_APPROVAL_STATUSES = ["草稿", "审批中", "已通过", "已驳回", "已撤回"];
+
 export const EMPLOYMENT_TYPES = ["社招", "实习"];
 
 export const CANDIDATE_SOURCES = [
@@ -89,6 +97,47 @@ export const CANDIDATE_SOURCES = [
   "手动录入",
 ];
 
+// 内置通知规则：与规则引擎上线前写死在代码里的通知行为一致，管理员可在「设置 → 通知规则」中停用、修改或删除
+export const DEFAULT_NOTIFICATION_RULES = [
+  { id: "nr_new_candidate", name: "新候选人通知岗位负责人", trigger: "new_candidate", recipients: ["owners_or_admins"] },
+  { id: "nr_status_change", name: "状态变更回执", trigger: "status_change", recipients: ["actor"] },
+  { id: "nr_interview_scheduled", name: "面试安排通知面试官", trigger: "interview_scheduled", recipients: ["interviewers"] },
+  { id: "nr_interview_booked", name: "自助预约通知发起人和面试官", trigger: "interview_booked", recipients: ["actor", "interviewers"] },
+  { id: "nr_review_submitted_admins", name: "面评完成通知管理员", trigger: "review_submitted", recipients: ["admins"] },
+  { id: "nr_review_submitted_group", name: "面评完成通知 HR 群", trigger: "review_submitted", recipients: ["hr_group"] },
+  { id: "nr_review_reminder", name: "面评提醒", trigger: "review_reminder", recipients: ["interviewers"] },
+  { id: "nr_offer_change", name: "Offer 变更回执", trigger: "offer_change", recipients: ["actor"] },
+  { id: "nr_followup_due", name: "跟进到期提醒岗位负责人", trigger: "followup_due", recipients: ["job_owners"] },
+  { id: "nr_followup_digest", name: "每日跟进汇总发给岗位负责人", trigger: "followup_digest", recipients: ["job_owners"] },
+  { id: "nr_followup_escalation", name: "跟进逾期升级提醒管理员", trigger: "followup_escalation", recipients: ["admins"] },
+  { id: "nr_manual", name: "手动通知面试官", trigger: "manual", recipients: ["interviewers"] },
+];
+
+// 逾期跟进汇总与状态停留 SLA 的默认设置，管理员可在「设置 → 跟进提醒与 SLA」中修改
+// escalateDays：跟进逾期 / 超出 SLA 达到该天数后抄送管理员；digestHour：每天发送汇总的时间（北京时间，点）
+// slaDays：各状态最长停留天数，未列出或为 0 的状态不检查
+export const DEFAULT_FOLLOWUP_SETTINGS = {
+  escalateDays: 3,
+  digestHour: 9,
+  slaDays: { "待筛选": 2, "简历初筛": 3, "一面通过": 3, "二面通过": 3, "三面通过": 3, "四面通过": 3, "五面通过": 3, "面试Pending": 5, "待发offer": 3, "Offer发放": 7 },
+};
+
+// 职位申请审批的默认设置，管理员可在「设置 → 职位申请审批」中修改
+// enabled：开启后新职位需提交申请并审批通过后才开放，默认关闭（升级后建岗流程不变，由管理员按需开启）；defaultFillDays：未填期望到岗日期时，按开放日起的天数推算
+export const DEFAULT_REQUISITION_SETTINGS = {
+  enabled: false,
+  defaultFillDays: 45,
+};
+
+// 内推奖金规则的默认设置，管理员可在「设置 → 内推奖金」中修改
+// 每条规则：招聘类型 + 职位分类（空为该类型通用）→ 奖金金额（元），候选人入职满 days 天后可发放
+export const DEFAULT_REFERRAL_SETTINGS = {
+  rules: [
+    { employmentType: "社招", category: "", amount: 5000, days: 90 },
+    { employmentType: "实习", category: "", amount: 1000, days: 30 },
+  ],
+};
+
 // 属于"面试通过"模块的候选人状态（不在人才库中显示，仅管理员可见）
 export const OFFER_STAGE_STATUSES = new Set(["待发offer", "Offer发放", "拒offer", "入职"]);
 
@@ -2,6 +2,7 @@ import fs from "fs";
 import path from "path";
 import crypto from "crypto";
 import { supabaseEnabled, getSupabaseAdmin } from "./supabase.mjs";
+import { DEFAULT_NOTIFICATION_RULES, DEFAULT_FOLLOWUP_SETTINGS, DEFAULT_REQUISITION_SETTINGS, DEFAULT_REFERRAL_SETTINGS } from "./constants.mjs";
 
 const isServerless = !!process.env.VERCEL;
 const DATA_PATH = path.join(process.cwd(), "data.json");
@@ -46,6 +47,48 @@ export function ensureDataShape(d) {
   if (!Array.isArray(d.categories)) d.categories = ["技术", "产品", "设计", "运营", "市场", "销售", "人力", "财务", "行政", "其他"];
   if (!Array.isArray(d.users)) d.users = [];
   if (!Array.isArray(d.notes)) d.notes = [];
+  if (!Array.isArray(d.bookingLinks)) d.bookingLinks = [];
+  if (!Array.isArray(d.offerVersions)) d.offerVersions = [];
+  if (!Array.isArray(d.jobVersions)) d.jobVersions = [];
+  // JD 模板：[{ id, name, category, content }]
+  if (!Array.isArray(d.jdTemplates)) d.jdTemplates = [];
+  if (!Array.isArray(d.headhunters)) d.headhunters = [];
+  if (!Array.isArray(d.pipelineTemplates)) d.pipelineTemplates = [];
+  if (!Array.isArray(d.scorecardTemplates)) d.scorecardTemplates = [];
+  // 旧版看板个人偏好：{ [userId]: { jobId, lanes } }，只作为尚未迁到 user_prefs 的用户的兜底
+  if (!d.boardPrefs || typeof d.boardPrefs !== "object" || Array.isArray(d.boardPrefs)) d.boardPrefs = {};
+  if (!Array.isArray(d.rejectionReasons)) d.rejectionReasons = ["能力不匹配", "经验不足", "薪资期望不符", "稳定性顾虑", "文化/价值观不匹配", "面试评估不通过", "候选人放弃", "岗位关闭/HC冻结", "其他"];
+  // Offer 审批人（按顺序逐级审批）与 Offer Letter 模板；letterTemplate 为空时使用内置模板
+  if (!d.offerSettings || typeof d.offerSettings !== "object" || Array.isArray(d.offerSettings)) d.offerSettings = {};
+  if (!Array.isArray(d.offerSettings.approvers)) d.offerSettings.approvers = [];
+  if (typeof d.offerSettings.letterTemplate !== "string") d.offerSettings.letterTemplate = "";
+  if (typeof d.offerSettings.companyName !== "string") d.offerSettings.companyName = "";
+  if (!Array.isArray(d.salaryBands)) d.salaryBands = [];
+  if (!Array.isArray(d.onboardings)) d.onboardings = [];
+  if (!d.onboardingTemplates || typeof d.onboardingTemplates !== "object" || Array.isArray(d.onboardingTemplates)) d.onboardingTemplates = {};
+  // 候选人邮件：自定义模板 { [key]: { subject, body } } 与状态自动发信规则 { [状态]: 模板 key }
+  if (!d.emailSettings || typeof d.emailSettings !== "object" || Array.isArray(d.emailSettings)) d.emailSettings = {};
+  if (!d.emailSettings.templates || typeof d.emailSettings.templates !== "object") d.emailSettings.templates = {};
+  if (!d.emailSettings.autoRules || typeof d.emailSettings.autoRules !== "object") d.emailSettings.autoRules = {};
+  // 通知规则：未配置过时使用内置规则；管理员删光规则后保存为空数组，即不再发送任何规则通知
+  if (!Array.isArray(d.notificationRules)) d.notificationRules = DEFAULT_NOTIFICATION_RULES.map(r => ({ ...r, recipients: [...r.recipients] }));
+  // 旧版我的待办忽略 / 延后状态：{ 用户ID: { 待办key: { until, at } } }，只作为尚未迁到 user_prefs 的用户的兜底
+  if (!d.todoStates || typeof d.todoStates !== "object" || Array.isArray(d.todoStates)) d.todoStates = {};
+  // 逾期跟进汇总与状态停留 SLA：{ escalateDays, digestHour, slaDays: { 状态: 天数 }, lastDigestOn, digestRulesAdded }
+  if (!d.followupSettings || typeof d.followupSettings !== "object" || Array.isArray(d.followupSettings)) d.followupSettings = { ...DEFAULT_FOLLOWUP_SETTINGS, slaDays: { ...DEFAULT_FOLLOWUP_SETTINGS.slaDays }, lastDigestOn: "" };
+  // 跟进汇总 / 升级提醒改走通知规则前已配置过规则的，补上这两条内置规则；digestRulesAdded 标记只补一次，之后删除不再补回
+  if (!d.followupSettings.digestRulesAdded) {
+    for (const r of DEFAULT_NOTIFICATION_RULES) {
+      if ((r.trigger === "followup_digest" || r.trigger === "followup_escalation") && !d.notificationRules.some(x => x.id === r.id)) d.notificationRules.push({ ...r, recipients: [...r.recipients] });
+    }
+    d.followupSettings = { ...d.followupSettings, digestRulesAdded: true };
+  }
+  // 职位申请审批：{ enabled, approvers: [{ name, openId }], defaultFillDays }
+  if (!d.requisitionSettings || typeof d.requisitionSettings !== "object" || Array.isArray(d.requisitionSettings)) d.requisitionSettings = { ...DEFAULT_REQUISITION_SETTINGS, approvers: [] };
+  // 内推奖金规则：{ rules: [{ employmentType, category, amount, days }] }
+  if (!d.referralSettings || typeof d.referralSettings !== "object" || Array.isArray(d.referralSettings)) d.referralSettings = { rules: DEFAULT_REFERRAL_SETTINGS.rules.map(r => ({ ...r })) };
+  // 未选择流程模板的岗位（含历史岗位）归入默认模板
+  for (const j of d.jobs) if (!j.pipelineTemplateId) j.pipelineTemplateId = "default";
   if (!d.settings || typeof d.settings !== "object") d.settings = {};
   if (typeof d.settings.hrGroupChatId !== "string") d.settings.hrGroupChatId = "";
   return d;
@@ -93,12 +136,22 @@ function candToRow(c) {
     follow_next_action: follow.nextAction ?? null,
     follow_at: follow.followAt ?? null,
     follow_note: follow.note ?? null,
+    follow_reminded_for: follow.remindedFor ?? null,
     headhunter_id: c.headhunterId ?? null,
     referrer: c.referrer ?? null,
     referrer_id: c.referrerId ?? null,
     vendor_id: c.vendorId ?? null,
     vendor_name: c.vendorName ?? null,
     careers_app_id: c.careersAppId ?? null,
+    resume_profile: c.resumeProfile ? JSON.stringify(c.resumeProfile) : null,
+    extracted_fields: c.extractedFields ? JSON.stringify(c.extractedFields) : null,
+    rejection: c.rejection ? JSON.stringify(c.rejection) : null,
+    sla_flag: c.slaFlag ? JSON.stringify(c.slaFlag) : null,
+    job_version: c.jobVersion ?? null,
+    referral: c.referral ? JSON.stringify(c.referral) : null,
+    referral_bonus: c.referralBonus ? JSON.stringify(c.referralBonus) : null,
+    agency_fee: c.agencyFee ? JSON.stringify(c.agencyFee) : null,
+    departure: c.departure ? JSON.stringify(c.departure) : null,
     created_at: c.createdAt ?? null,
     updated_at: c.updatedAt ?? null,
   };
@@ -106,6 +159,22 @@ function candToRow(c) {
 function candFromRow(r) {
   let tags = [];
   try { tags = r.tags ? JSON.parse(r.tags) : []; } catch { tags = []; }
+  let resumeProfile = null;
+  try { resumeProfile = r.resume_profile ? JSON.parse(r.resume_profile) : null; } catch { resumeProfile = null; }
+  let extractedFields = [];
+  try { extractedFields = r.extracted_fields ? JSON.parse(r.extracted_fields) : []; } catch { extractedFields = []; }
+  let rejection = null;
+  try { rejection = r.rejection ? JSON.parse(r.rejection) : null; } catch { rejection = null; }
+  let slaFlag = null;
+  try { slaFlag = r.sla_flag ? JSON.parse(r.sla_flag) : null; } catch { slaFlag = null; }
+  let referral = null;
+  try { referral = r.referral ? JSON.parse(r.referral) : null; } catch { referral = null; }
+  let referralBonus = null;
+  try { referralBonus = r.referral_bonus ? JSON.parse(r.referral_bonus) : null; } catch { referralBonus = null; }
+  let agencyFee = null;
+  try { agencyFee = r.agency_fee ? JSON.parse(r.agency_fee) : null; } catch { agencyFee = null; }
+  let departure = null;
+  try { departure = r.departure ? JSON.parse(r.departure) : null; } catch { departure = null; }
   return {
     id: r.id,
     name: r.name ?? "",
@@ -121,6 +190,7 @@ function candFromRow(r) {
       nextAction: r.follow_next_action ?? "待联系",
       followAt: r.follow_at ?? "",
       note: r.follow_note ?? "",
+      remindedFor: r.follow_reminded_for ?? "",
     },
     headhunterId: r.headhunter_id ?? "",
     referrer: r.referrer ?? "",
@@ -128,6 +198,15 @@ function candFromRow(r) {
     vendorId: r.vendor_id ?? "",
     vendorName: r.vendor_name ?? "",
     careersAppId: r.careers_app_id ?? "",
+    resumeProfile,
+    extractedFields: Array.isArray(extractedFields) ? extractedFields : [],
+    rejection,
+    slaFlag,
+    jobVersion: r.job_version ?? null,
+    referral,
+    referralBonus,
+    agencyFee,
+    departure,
     createdAt: r.created_at ?? nowIso(),
     updatedAt: r.updated_at ?? r.created_at ?? nowIso(),
   };
@@ -146,10 +225,19 @@ function jobToRow(j) {
     headcount: j.headcount ?? null,
     priority: j.priority ?? null,
     level: j.level ?? null,
+    budget_min: j.budgetMin ?? null,
+    budget_max: j.budgetMax ?? null,
     state: j.state ?? null,
     category: j.category ?? null,
     employment_type: j.employmentType ?? "社招",
+    pipeline_template_id: j.pipelineTemplateId ?? "default",
+    scorecard_template_id: j.scorecardTemplateId || null,
     jd: j.jd ?? null,
+    requisition: j.requisition ?? null,
+    target_fill_date: j.targetFillDate || null,
+    opened_at: j.openedAt ?? null,
+    paused_reason: j.pausedReason ?? null,
+    version: j.version ?? null,
     created_at: j.createdAt ?? null,
     updated_at: j.updatedAt ?? null,
   };
@@ -172,10 +260,19 @@ function jobFromRow(r) {
     headcount: r.headcount ?? null,
     priority: r.priority ?? "",
     level: r.level ?? "",
+    budgetMin: r.budget_min ?? null,
+    budgetMax: r.budget_max ?? null,
     state: r.state ?? "open",
     category: r.category ?? "",
     employmentType: r.employment_type ?? "社招",
+    pipelineTemplateId: r.pipeline_template_id ?? "default",
+    scorecardTemplateId: r.scorecard_template_id ?? "",
     jd: r.jd ?? "",
+    requisition: r.requisition ?? null,
+    targetFillDate: r.target_fill_date ?? "",
+    openedAt: r.opened_at ?? "",
+    pausedReason: r.paused_reason ?? "",
+    version: r.version ?? null,
     createdAt: r.created_at ?? nowIso(),
     updatedAt: r.updated_at ?? r.created_at ?? nowIso(),
   };
@@ -195,6 +292,7 @@ function interviewToRow(x) {
     focus_next: x.focusNext ?? null,
     note: x.note ?? null,
     created_at: x.createdAt ?? null,
+    updated_at: x.updatedAt ?? null,
   };
 }
 function interviewFromRow(r) {
@@ -215,6 +313,7 @@ function interviewFromRow(r) {
     focusNext: r.focus_next ?? "",
     note: r.note ?? "",
     createdAt: r.created_at ?? nowIso(),
+    updatedAt: r.updated_at ?? "",
   };
 }
 
@@ -224,6 +323,7 @@ function scheduleToRow(x) {
     candidate_id: x.candidateId ?? null,
     round: x.round ?? null,
     scheduled_at: x.scheduledAt ?? null,
+    end_at: x.endAt ?? null,
     interviewers: x.interviewers ?? null,
     link: x.link ?? null,
     location: x.location ?? null,
@@ -242,6 +342,7 @@ function scheduleFromRow(r) {
     candidateId: r.candidate_id ?? "",
     round: r.round ?? 1,
     scheduledAt: r.scheduled_at ?? "",
+    endAt: r.end_at ?? "",
     interviewers: r.interviewers ?? "",
     link: r.link ?? "",
     location: r.location ?? "",
@@ -265,9 +366,14 @@ function resumeToRow(x) {
     size: x.size ?? null,
     uploaded_at: x.uploadedAt ?? null,
     url: x.url ?? null,
+    content_text: x.text ?? null,
+    parsed: x.parsed ? JSON.stringify(x.parsed) : null,
+    text_extract_failed: x.textExtractFailed ? true : null,
   };
 }
 function resumeFromRow(r) {
+  let parsed = null;
+  try { parsed = r.parsed ? JSON.parse(r.parsed) : null; } catch { parsed = null; }
   return {
     id: r.id,
     candidateId: r.candidate_id ?? "",
@@ -279,6 +385,9 @@ function resumeFromRow(r) {
     url: r.url ?? "",
     storage: r.storage ?? "local",
     bucket: r.bucket ?? "",
+    text: r.content_text ?? "",
+    parsed,
+    textExtractFailed: !!r.text_extract_failed,
   };
 }
 
@@ -289,6 +398,7 @@ function eventToRow(e) {
     type: e.type ?? null,
     message: e.message ?? null,
     actor: e.actor ?? null,
+    meta: e.meta ? JSON.stringify(e.meta) : null,
     created_at: e.createdAt ?? null,
   };
 }
@@ -299,6 +409,7 @@ function eventFromRow(r) {
     type: r.type ?? "",
     message: r.message ?? "",
     actor: r.actor ?? "系统",
+    meta: (() => { try { return r.meta ? JSON.parse(r.meta) : null; } catch { return null; } })(),
     createdAt: r.created_at ?? nowIso(),
   };
 }
@@ -313,12 +424,21 @@ function noteToRow(n) {
     content: n.content ?? null,
     visibility: n.visibility ?? "public",
     mentioned_user_ids: n.mentionedUserIds ? JSON.stringify(n.mentionedUserIds) : null,
+    parent_id: n.parentId || null,
+    mention_read_by: JSON.stringify(n.mentionReadBy || []),
+    reactions: JSON.stringify(n.reactions || {}),
+    edit_history: JSON.stringify(n.editHistory || []),
+    edited_at: n.editedAt || null,
     created_at: n.createdAt ?? null,
   };
 }
 function noteFromRow(r) {
   let mids = [];
   try { mids = r.mentioned_user_ids ? JSON.parse(r.mentioned_user_ids) : []; } catch { mids = []; }
+  let readBy = [], reactions = {}, history = [];
+  try { readBy = r.mention_read_by ? JSON.parse(r.mention_read_by) : []; } catch { readBy = []; }
+  try { reactions = r.reactions ? JSON.parse(r.reactions) : {}; } catch { reactions = {}; }
+  try { history = r.edit_history ? JSON.parse(r.edit_history) : []; } catch { history = []; }
   return {
     id: r.id,
     candidateId: r.candidate_id ?? "",
@@ -328,10 +448,234 @@ function noteFromRow(r) {
     content: r.content ?? "",
     visibility: r.visibility ?? "public",
     mentionedUserIds: Array.isArray(mids) ? mids : [],
+    parentId: r.parent_id ?? "",
+    mentionReadBy: Array.isArray(readBy) ? readBy : [],
+    reactions: reactions && typeof reactions === "object" ? reactions : {},
+    editHistory: Array.isArray(history) ? history : [],
+    editedAt: r.edited_at ?? "",
+    createdAt: r.created_at ?? nowIso(),
+  };
+}
+
+// 候选人自助预约链接：slots / interviewerOpenIds 以 JSON 字符串存储
+function bookingLinkToRow(x) {
+  return {
+    id: x.id,
+    token: x.token ?? null,
+    candidate_id: x.candidateId ?? null,
+    round: x.round ?? null,
+    slots: x.slots ? JSON.stringify(x.slots) : null,
+    interviewers: x.interviewers ?? null,
+    interviewer_open_ids: x.interviewerOpenIds ? JSON.stringify(x.interviewerOpenIds) : null,
+    location: x.location ?? null,
+    link: x.link ?? null,
+    cutoff_hours: x.cutoffHours ?? null,
+    status: x.status ?? "pending",
+    booked_slot_id: x.bookedSlotId ?? null,
+    schedule_id: x.scheduleId ?? null,
+    expires_at: x.expiresAt ?? null,
+    created_by: x.createdBy ?? null,
+    created_at: x.createdAt ?? null,
+    updated_at: x.updatedAt ?? null,
+  };
+}
+function bookingLinkFromRow(r) {
+  let slots = [];
+  try { slots = r.slots ? JSON.parse(r.slots) : []; } catch { slots = []; }
+  let openIds = [];
+  try { openIds = r.interviewer_open_ids ? JSON.parse(r.interviewer_open_ids) : []; } catch { openIds = []; }
+  return {
+    id: r.id,
+    token: r.token ?? "",
+    candidateId: r.candidate_id ?? "",
+    round: r.round ?? 1,
+    slots: Array.isArray(slots) ? slots : [],
+    interviewers: r.interviewers ?? "",
+    interviewerOpenIds: Array.isArray(openIds) ? openIds : [],
+    location: r.location ?? "",
+    link: r.link ?? "",
+    cutoffHours: r.cutoff_hours ?? 24,
+    status: r.status ?? "pending",
+    bookedSlotId: r.booked_slot_id ?? "",
+    scheduleId: r.schedule_id ?? "",
+    expiresAt: r.expires_at ?? "",
+    createdBy: r.created_by ?? "",
+    createdAt: r.created_at ?? nowIso(),
+    updatedAt: r.updated_at ?? "",
+  };
+}
+
+// Offer 版本：每次调整薪酬方案生成新版本；approvalSteps 以 JSON 字符串存储
+function offerVersionToRow(v) {
+  return {
+    id: v.id,
+    offer_id: v.offerId ?? null,
+    candidate_id: v.candidateId ?? null,
+    version: v.version ?? 1,
+    base_salary: v.baseSalary ?? null,
+    salary_months: v.salaryMonths ?? null,
+    bonus: v.bonus ?? null,
+    equity: v.equity ?? null,
+    sign_on: v.signOn ?? null,
+    start_date: v.startDate ?? null,
+    note: v.note ?? null,
+    band_position: v.bandPosition || null,
+    band_snapshot: v.bandSnapshot ? JSON.stringify(v.bandSnapshot) : null,
+    out_of_band_reason: v.outOfBandReason || null,
+    approval_status: v.approvalStatus ?? "草稿",
+    approval_steps: v.approvalSteps ? JSON.stringify(v.approvalSteps) : null,
+    approval_instance_code: v.approvalInstanceCode ?? null,
+    submitted_by: v.submittedBy ?? null,
+    submitted_at: v.submittedAt ?? null,
+    decided_at: v.decidedAt ?? null,
+    letter_token: v.letterToken ?? null,
+    letter_sent_at: v.letterSentAt ?? null,
+    created_by: v.createdBy ?? null,
+    created_at: v.createdAt ?? null,
+    updated_at: v.updatedAt ?? null,
+  };
+}
+function offerVersionFromRow(r) {
+  let steps = [];
+  try { steps = r.approval_steps ? JSON.parse(r.approval_steps) : []; } catch { steps = []; }
+  let band = null;
+  try { band = r.band_snapshot ? JSON.parse(r.band_snapshot) : null; } catch { band = null; }
+  return {
+    id: r.id,
+    offerId: r.offer_id ?? "",
+    candidateId: r.candidate_id ?? "",
+    version: r.version ?? 1,
+    baseSalary: r.base_salary ?? null,
+    salaryMonths: r.salary_months ?? 12,
+    bonus: r.bonus ?? "",
+    equity: r.equity ?? "",
+    signOn: r.sign_on ?? null,
+    startDate: r.start_date ?? "",
+    note: r.note ?? "",
+    bandPosition: r.band_position ?? "",
+    bandSnapshot: band,
+    outOfBandReason: r.out_of_band_reason ?? "",
+    approvalStatus: r.approval_status ?? "草稿",
+    approvalSteps: Array.isArray(steps) ? steps : [],
+    approvalInstanceCode: r.approval_instance_code ?? "",
+    submittedBy: r.submitted_by ?? "",
+    submittedAt: r.submitted_at ?? "",
+    decidedAt: r.decided_at ?? "",
+    letterToken: r.letter_token ?? "",
+    letterSentAt: r.letter_sent_at ?? "",
+    createdBy: r.created_by ?? "",
+    createdAt: r.created_at ?? nowIso(),
+    updatedAt: r.updated_at ?? "",
+  };
+}
+
+// 入职流程：items（清单事项）以 JSON 字符串存储
+function onboardingToRow(o) {
+  return {
+    id: o.id,
+    candidate_id: o.candidateId ?? null,
+    offer_id: o.offerId ?? null,
+    job_id: o.jobId ?? null,
+    employment_type: o.employmentType ?? null,
+    start_date: o.startDate ?? null,
+    buddy: o.buddy ?? null,
+    status: o.status ?? "进行中",
+    items: JSON.stringify(o.items || []),
+    created_by: o.createdBy ?? null,
+    created_at: o.createdAt ?? null,
+    updated_at: o.updatedAt ?? null,
+  };
+}
+function onboardingFromRow(r) {
+  let items = [];
+  try { items = r.items ? JSON.parse(r.items) : []; } catch { items = []; }
+  return {
+    id: r.id,
+    candidateId: r.candidate_id ?? "",
+    offerId: r.offer_id ?? "",
+    jobId: r.job_id ?? "",
+    employmentType: r.employment_type ?? "社招",
+    startDate: r.start_date ?? "",
+    buddy: r.buddy ?? "",
+    status: r.status ?? "进行中",
+    items: Array.isArray(items) ? items : [],
+    createdBy: r.created_by ?? "",
+    createdAt: r.created_at ?? nowIso(),
+    updatedAt: r.updated_at ?? "",
+  };
+}
+
+// 职位版本：snapshot（职位字段快照）与 changedFields 以 JSON 字符串存储
+function jobVersionToRow(v) {
+  return {
+    id: v.id,
+    job_id: v.jobId ?? null,
+    version: v.version ?? 1,
+    snapshot: v.snapshot ? JSON.stringify(v.snapshot) : null,
+    changed_fields: v.changedFields ? JSON.stringify(v.changedFields) : null,
+    author: v.author ?? null,
+    author_open_id: v.authorOpenId ?? null,
+    note: v.note ?? null,
+    created_at: v.createdAt ?? null,
+  };
+}
+function jobVersionFromRow(r) {
+  let snapshot = {};
+  try { snapshot = r.snapshot ? JSON.parse(r.snapshot) : {}; } catch { snapshot = {}; }
+  let changedFields = [];
+  try { changedFields = r.changed_fields ? JSON.parse(r.changed_fields) : []; } catch { changedFields = []; }
+  return {
+    id: r.id,
+    jobId: r.job_id ?? "",
+    version: r.version ?? 1,
+    snapshot,
+    changedFields: Array.isArray(changedFields) ? changedFields : [],
+    author: r.author ?? "",
+    authorOpenId: r.author_open_id ?? "",
+    note: r.note ?? "",
     createdAt: r.created_at ?? nowIso(),
   };
 }
 
+function notificationLogToRow(x) {
+  return {
+    id: x.id,
+    rule_id: x.ruleId ?? null,
+    rule_name: x.ruleName ?? null,
+    trigger: x.trigger ?? null,
+    candidate_id: x.candidateId ?? null,
+    candidate_name: x.candidateName ?? null,
+    channel: x.channel ?? null,
+    recipient_type: x.recipientType ?? null,
+    recipient: x.recipient ?? null,
+    recipient_id: x.recipientId ?? null,
+    title: x.title ?? null,
+    content: x.content ?? null,
+    status: x.status ?? null,
+    error: x.error ?? null,
+    created_at: x.createdAt ?? null,
+  };
+}
+function notificationLogFromRow(r) {
+  return {
+    id: r.id,
+    ruleId: r.rule_id ?? "",
+    ruleName: r.rule_name ?? "",
+    trigger: r.trigger ?? "",
+    candidateId: r.candidate_id ?? "",
+    candidateName: r.candidate_name ?? "",
+    channel: r.channel ?? "",
+    recipientType: r.recipient_type ?? "",
+    recipient: r.recipient ?? "",
+    recipientId: r.recipient_id ?? "",
+    title: r.title ?? "",
+    content: r.content ?? "",
+    status: r.status ?? "",
+    error: r.error ?? "",
+    createdAt: r.created_at ?? "",
+  };
+}
+
 function hunterToRow(h) {
   return {
     id: h.id,
@@ -339,16 +683,24 @@ function hunterToRow(h) {
     company: h.company ?? null,
     api_key: h.apiKey ?? null,
     enabled: h.enabled !== false,
+    job_ids: h.jobIds ? JSON.stringify(h.jobIds) : null,
+    contract: h.contract ? JSON.stringify(h.contract) : null,
     created_at: h.createdAt ?? null,
   };
 }
 function hunterFromRow(r) {
+  let jobIds = [];
+  try { jobIds = r.job_ids ? JSON.parse(r.job_ids) : []; } catch { jobIds = []; }
+  let contract = null;
+  try { contract = r.contract ? JSON.parse(r.contract) : null; } catch { contract = null; }
   return {
     id: r.id,
     name: r.name ?? "",
     company: r.company ?? "",
     apiKey: r.api_key ?? "",
     enabled: r.enabled !== false,
+    jobIds: Array.isArray(jobIds) ? jobIds : [],
+    contract,
     createdAt: r.created_at ?? nowIso(),
   };
 }
@@ -362,6 +714,7 @@ function offerToRow(o) {
     salary_note: o.salaryNote ?? null,
     start_date: o.startDate ?? null,
     offer_status: o.offerStatus ?? null,
+    current_version_id: o.currentVersionId ?? null,
     note: o.note ?? null,
     created_at: o.createdAt ?? null,
     updated_at: o.updatedAt ?? null,
@@ -376,6 +729,7 @@ function offerFromRow(r) {
     salaryNote: r.salary_note ?? "",
     startDate: r.start_date ?? "",
     offerStatus: r.offer_status ?? "待发放",
+    currentVersionId: r.current_version_id ?? "",
     note: r.note ?? "",
     createdAt: r.created_at ?? nowIso(),
     updatedAt: r.updated_at ?? r.created_at ?? nowIso(),
@@ -417,34 +771,25 @@ async function sbSelectAll(admin, table) {
   return Array.isArray(data) ? data : [];
 }
 
+// 缺列说明表结构落后于代码：去掉该列继续写入会静默丢数据，直接报错并提示执行迁移
 async function upsertWithRetry(admin, table, rows, minimalKeys = []) {
   if (!rows.length) return;
-  let current = rows;
-  const dropped = [];
-  // 最多尝试 6 次（去掉最多 5 个缺失列）
-  for (let attempt = 0; attempt < 6; attempt++) {
-    const { error } = await admin.from(table).upsert(current, { onConflict: "id" });
-    if (!error) return;
-    // 检查是否是缺列错误（Supabase 可能用单引号或双引号）
-    const colMatch = error.message?.match(/(?:column ["']([^"']+)["'] of relation|the '([^']+)' column of)/);
-    if (colMatch) {
-      const badCol = colMatch[1] || colMatch[2];
-      dropped.push(badCol);
-      console.warn("[upsert] " + table + " 缺列 '" + badCol + "'，去掉后重试 (attempt " + (attempt + 1) + ")");
-      current = current.map(r => { const o = { ...r }; delete o[badCol]; return o; });
-      continue;
-    }
-    // 非缺列错误，用 minimalKeys fallback
-    if (minimalKeys.length) {
-      console.warn("[upsert] " + table + " 非缺列错误：" + error.message + "，fallback minimalKeys");
-      const slim = rows.map((r) => { const o = {}; for (const k of minimalKeys) { if (r[k] !== undefined && !dropped.includes(k)) o[k] = r[k]; } return o; });
-      const r2 = await admin.from(table).upsert(slim, { onConflict: "id" });
-      if (r2.error) throw r2.error;
-      return;
-    }
-    throw error;
+  const { error } = await admin.from(table).upsert(rows, { onConflict: "id" });
+  if (!error) return;
+  // 检查是否是缺列错误（Supabase 可能用单引号或双引号）
+  const colMatch = error.message?.match(/(?:column ["']([^"']+)["'] of relation|the '([^']+)' column of)/);
+  if (colMatch) {
+    throw new Error("[upsert] " + table + " 缺少列 " + (colMatch[1] || colMatch[2]) + "，请先执行 scripts/migrations 下的迁移");
   }
-  console.warn("[upsert] " + table + " 重试次数用完，dropped:", dropped.join(","));
+  // 非缺列错误，用 minimalKeys fallback
+  if (minimalKeys.length) {
+    console.warn("[upsert] " + table + " 非缺列错误：" + error.message + "，fallback minimalKeys");
+    const slim = rows.map((r) => { const o = {}; for (const k of minimalKeys) { if (r[k] !== undefined) o[k] = r[k]; } return o; });
+    const r2 = await admin.from(table).upsert(slim, { onConflict: "id" });
+    if (r2.error) throw r2.error;
+    return;
+  }
+  throw error;
 }
 
 // ===== 内存缓存 =====
@@ -462,10 +807,15 @@ export function invalidateCache() {
   _cacheTime = 0;
 }
 
+// 当前缓存数据的版本（加载时间），数据重新加载后变化；调用前先 loadData()。用于按数据版本缓存派生结果（如侧边栏待办角标）
+export function dataVersion() {
+  return _cacheTime;
+}
+
 // ===== 选择性加载（只返回指定表，其余为空数组）=====
 export async function loadTables(...tableNames) {
   const full = await loadData();
-  const ALL_TABLES = ["jobs", "candidates", "interviews", "interviewSchedules", "resumeFiles", "events", "offers", "users", "headhunters", "sources", "tags", "categories", "notes"];
+  const ALL_TABLES = ["jobs", "candidates", "interviews", "interviewSchedules", "resumeFiles", "events", "offers", "users", "headhunters", "sources", "tags", "categories", "notes", "bookingLinks", "offerVersions", "jobVersions", "pipelineTemplates", "scorecardTemplates", "rejectionReasons", "boardPrefs", "offerSettings", "salaryBands", "onboardings", "onboardingTemplates", "emailSettings", "notificationRules", "todoStates", "followupSettings", "requisitionSettings", "jdTemplates", "referralSettings"];
   const wanted = new Set(tableNames);
   const result = {};
   for (const t of ALL_TABLES) {
@@ -509,6 +859,14 @@ async function _loadDataFresh() {
     try { headhunters = await sbSelectAll(admin, "headhunters"); } catch {}
     let notes = [];
     try { notes = await sbSelectAll(admin, "notes"); } catch {}
+    let bookingLinks = [];
+    try { bookingLinks = await sbSelectAll(admin, "booking_links"); } catch (e) { console.warn("[WARN] loadData booking_links failed:", String(e?.message || e)); }
+    let offerVersions = [];
+    try { offerVersions = await sbSelectAll(admin, "offer_versions"); } catch (e) { console.warn("[WARN] loadData offer_versions failed:", String(e?.message || e)); }
+    let onboardings = [];
+    try { onboardings = await sbSelectAll(admin, "onboardings"); } catch (e) { console.warn("[WARN] loadData onboardings failed:", String(e?.message || e)); }
+    let jobVersions = [];
+    try { jobVersions = await sbSelectAll(admin, "job_versions"); } catch (e) { console.warn("[WARN] loadData job_versions failed:", String(e?.message || e)); }
 
     // 读取 app_config 中的配置（categories / sources / tags）
     let appConfig = {};
@@ -528,12 +886,30 @@ async function _loadDataFresh() {
       users: users.map(userFromRow),
       headhunters: headhunters.map(hunterFromRow),
       notes: notes.map(noteFromRow),
+      bookingLinks: bookingLinks.map(bookingLinkFromRow),
+      offerVersions: offerVersions.map(offerVersionFromRow),
+      onboardings: onboardings.map(onboardingFromRow),
+      jobVersions: jobVersions.map(jobVersionFromRow),
     });
 
-    // app_config 优先级最高：categories / sources / tags
+    // app_config 优先级最高：categories / sources / tags / pipelineTemplates / scorecardTemplates / rejectionReasons / boardPrefs / offerSettings / salaryBands / onboardingTemplates / emailSettings / notificationRules / todoStates / followupSettings / requisitionSettings / jdTemplates / referralSettings
     if (Array.isArray(appConfig.categories)) d.categories = appConfig.categories;
     if (Array.isArray(appConfig.sources))    d.sources    = appConfig.sources;
     if (Array.isArray(appConfig.tags))       d.tags       = appConfig.tags;
+    if (Array.isArray(appConfig.pipelineTemplates)) d.pipelineTemplates = appConfig.pipelineTemplates;
+    if (Array.isArray(appConfig.scorecardTemplates)) d.scorecardTemplates = appConfig.scorecardTemplates;
+    if (Array.isArray(appConfig.rejectionReasons)) d.rejectionReasons = appConfig.rejectionReasons;
+    if (appConfig.boardPrefs && typeof appConfig.boardPrefs === "object") d.boardPrefs = appConfig.boardPrefs;
+    if (appConfig.offerSettings && typeof appConfig.offerSettings === "object") d.offerSettings = { ...d.offerSettings, ...appConfig.offerSettings };
+    if (Array.isArray(appConfig.salaryBands)) d.salaryBands = appConfig.salaryBands;
+    if (appConfig.onboardingTemplates && typeof appConfig.onboardingTemplates === "object") d.onboardingTemplates = appConfig.onboardingTemplates;
+    if (appConfig.emailSettings && typeof appConfig.emailSettings === "object") d.emailSettings = { ...d.emailSettings, ...appConfig.emailSettings };
+    if (Array.isArray(appConfig.notificationRules)) d.notificationRules = appConfig.notificationRules;
+    if (appConfig.todoStates && typeof appConfig.todoStates === "object") d.todoStates = appConfig.todoStates;
+    if (appConfig.followupSettings && typeof appConfig.followupSettings === "object") d.followupSettings = appConfig.followupSettings;
+    if (appConfig.requisitionSettings && typeof appConfig.requisitionSettings === "object") d.requisitionSettings = appConfig.requisitionSettings;
+    if (Array.isArray(appConfig.jdTemplates)) d.jdTemplates = appConfig.jdTemplates;
+    if (appConfig.referralSettings && typeof appConfig.referralSettings === "object") d.referralSettings = appConfig.referralSettings;
 
     // 修复本地 resumeFiles URL（Supabase 不存 URL 路径时补充）
     const local = loadDataLocal();
@@ -616,12 +992,58 @@ export async function saveData(d) {
       }
     } catch {}
 
-    // 持久化 categories / sources / tags 到 app_config
+    try {
+      if (shaped.bookingLinks.length) {
+        await upsertWithRetry(admin, "booking_links", shaped.bookingLinks.map(bookingLinkToRow), ["id", "token", "candidate_id", "round", "slots", "status"]);
+      }
+    } catch (e) {
+      console.warn("[WARN] saveData upsert booking_links failed:", String(e?.message || e));
+    }
+
+    try {
+      if (shaped.offerVersions.length) {
+        await upsertWithRetry(admin, "offer_versions", shaped.offerVersions.map(offerVersionToRow), ["id", "offer_id", "candidate_id", "version", "approval_status"]);
+      }
+    } catch (e) {
+      console.warn("[WARN] saveData upsert offer_versions failed:", String(e?.message || e));
+    }
+
+    try {
+      if (shaped.onboardings.length) {
+        await upsertWithRetry(admin, "onboardings", shaped.onboardings.map(onboardingToRow), ["id", "candidate_id", "status", "items"]);
+      }
+    } catch (e) {
+      console.warn("[WARN] saveData upsert onboardings failed:", String(e?.message || e));
+    }
+
+    try {
+      if (shaped.jobVersions.length) {
+        await upsertWithRetry(admin, "job_versions", shaped.jobVersions.map(jobVersionToRow), ["id", "job_id", "version", "snapshot"]);
+      }
+    } catch (e) {
+      console.warn("[WARN] saveData upsert job_versions failed:", String(e?.message || e));
+    }
+
+    // 持久化 categories / sources / tags / pipelineTemplates / scorecardTemplates / rejectionReasons / boardPrefs / offerSettings / salaryBands / onboardingTemplates / emailSettings / notificationRules / todoStates / followupSettings / requisitionSettings / jdTemplates / referralSettings 到 app_config
     try {
       await Promise.all([
         admin.from("app_config").upsert({ key: "categories", value: shaped.categories }, { onConflict: "key" }),
         admin.from("app_config").upsert({ key: "sources",    value: shaped.sources    }, { onConflict: "key" }),
         admin.from("app_config").upsert({ key: "tags",       value: shaped.tags       }, { onConflict: "key" }),
+        admin.from("app_config").upsert({ key: "pipelineTemplates", value: shaped.pipelineTemplates }, { onConflict: "key" }),
+        admin.from("app_config").upsert({ key: "scorecardTemplates", value: shaped.scorecardTemplates }, { onConflict: "key" }),
+        admin.from("app_config").upsert({ key: "rejectionReasons", value: shaped.rejectionReasons }, { onConflict: "key" }),
+        admin.from("app_config").upsert({ key: "boardPrefs", value: shaped.boardPrefs }, { onConflict: "key" }),
+        admin.from("app_config").upsert({ key: "offerSettings", value: shaped.offerSettings }, { onConflict: "key" }),
+        admin.from("app_config").upsert({ key: "salaryBands", value: shaped.salaryBands }, { onConflict: "key" }),
+        admin.from("app_config").upsert({ key: "onboardingTemplates", value: shaped.onboardingTemplates }, { onConflict: "key" }),
+        admin.from("app_config").upsert({ key: "emailSettings", value: shaped.emailSettings }, { onConflict: "key" }),
+        admin.from("app_config").upsert({ key: "notificationRules", value: shaped.notificationRules }, { onConflict: "key" }),
+        admin.from("app_config").upsert({ key: "todoStates", value: shaped.todoStates }, { onConflict: "key" }),
+        admin.from("app_config").upsert({ key: "followupSettings", value: shaped.followupSettings }, { onConflict: "key" }),
+        admin.from("app_config").upsert({ key: "requisitionSettings", value: shaped.requisitionSettings }, { onConflict: "key" }),
+        admin.from("app_config").upsert({ key: "jdTemplates", value: shaped.jdTemplates }, { onConflict: "key" }),
+        admin.from("app_config").upsert({ key: "referralSettings", value: shaped.referralSettings }, { onConflict: "key" }),
       ]);
     } catch {}
   } catch (e) {
@@ -643,6 +1065,10 @@ const TABLE_MAP = {
   users:               { sb: "users",                toRow: userToRow,      minKeys: ["id", "open_id", "name"] },
   headhunters:         { sb: "headhunters",          toRow: hunterToRow,    minKeys: ["id", "name"] },
   notes:               { sb: "notes",                toRow: noteToRow,      minKeys: ["id", "candidate_id", "author_id", "content"] },
+  bookingLinks:        { sb: "booking_links",        toRow: bookingLinkToRow, minKeys: ["id", "token", "candidate_id", "round", "slots", "status"] },
+  offerVersions:       { sb: "offer_versions",       toRow: offerVersionToRow, minKeys: ["id", "offer_id", "candidate_id", "version", "approval_status"] },
+  onboardings:         { sb: "onboardings",          toRow: onboardingToRow, minKeys: ["id", "candidate_id", "status", "items"] },
+  jobVersions:         { sb: "job_versions",         toRow: jobVersionToRow, minKeys: ["id", "job_id", "version", "snapshot"] },
 };
 
 // ===== 增量保存：单表 =====
@@ -694,7 +1120,7 @@ export async function upsertRow(tableName, item) {
   invalidateCache();
 }
 
-// ===== 保存 app_config 单个 key（categories / sources / tags）=====
+// ===== 保存 app_config 单个 key（categories / sources / tags / pipelineTemplates / scorecardTemplates / rejectionReasons / boardPrefs / offerSettings / salaryBands / onboardingTemplates / emailSettings / notificationRules / todoStates / followupSettings / requisitionSettings / jdTemplates / referralSettings）=====
 export async function saveAppConfigKey(key, value) {
   // 更新本地 JSON
   const local = loadDataLocal();
@@ -713,6 +1139,351 @@ export async function saveAppConfigKey(key, value) {
   invalidateCache();
 }
 
+// ===== 通知日志 =====
+// 日志只追加、按需读取，不参与 loadData / saveData 的全量读写；
+// 本地模式写在单独的 notification-logs.json 中（避免保存业务数据时互相覆盖），只保留最近 NOTIFICATION_LOG_LOCAL_MAX 条
+const NOTIFICATION_LOG_PATH = path.join(process.cwd(), "notification-logs.json");
+const NOTIFICATION_LOG_LOCAL_MAX = 2000;
+
+function loadNotificationLogsLocal() {
+  try {
+    const logs = JSON.parse(fs.readFileSync(NOTIFICATION_LOG_PATH, "utf-8"));
+    return Array.isArray(logs) ? logs : [];
+  } catch {
+    return [];
+  }
+}
+
+export async function appendNotificationLogs(logs) {
+  if (!logs.length) return;
+  if (!isServerless) {
+    const all = [...logs.slice().reverse(), ...loadNotificationLogsLocal()].slice(0, NOTIFICATION_LOG_LOCAL_MAX);
+    try { fs.writeFileSync(NOTIFICATION_LOG_PATH, JSON.stringify(all, null, 2), "utf-8"); } catch (e) { console.warn("[WARN] 写入本地通知日志失败:", e.message); }
+  }
+  if (supabaseEnabled) {
+    try {
+      const admin = getSupabaseAdmin();
+      await upsertWithRetry(admin, "notification_logs", logs.map(notificationLogToRow), ["id", "trigger", "recipient", "status", "created_at"]);
+    } catch (e) {
+      console.warn("[WARN] appendNotificationLogs failed:", String(e?.message || e));
+    }
+  }
+}
+
+// 最近的通知日志（新的在前）
+export async function loadNotificationLogs(limit = 300) {
+  if (supabaseEnabled) {
+    try {
+      const admin = getSupabaseAdmin();
+      const { data, error } = await admin.from("notification_logs").select("*").order("created_at", { ascending: false }).limit(limit);
+      if (error) throw error;
+      return (data || []).map(notificationLogFromRow);
+    } catch (e) {
+      console.warn("[WARN] loadNotificationLogs failed:", String(e?.message || e));
+    }
+  }
+  return loadNotificationLogsLocal().slice(0, limit);
+}
+
+// ===== 后台任务状态 =====
+// 每个后台任务一条记录（id 为任务 key）：租约、下次运行时间、连续失败次数、最近运行记录。
+// 与通知日志一样不参与 loadData / saveData；本地模式写在单独的 task-states.json 中。
+// 租约用于多实例互斥：Supabase 下通过「租约为空或已过期才更新」的条件更新抢占，只有一个实例能拿到
+const TASK_STATE_PATH = path.join(process.cwd(), "task-states.json");
+
+function taskStateToRow(x) {
+  return {
+    id: x.id,
+    lease_owner: x.leaseOwner ?? "",
+    lease_until: x.leaseUntil ?? "",
+    next_run_at: x.nextRunAt ?? "",
+    attempts: x.attempts ?? 0,
+    last_run: x.lastRun ? JSON.stringify(x.lastRun) : null,
+    history: JSON.stringify(x.history || []),
+    updated_at: x.updatedAt ?? nowIso(),
+  };
+}
+function taskStateFromRow(r) {
+  let lastRun = null;
+  try { lastRun = r.last_run ? JSON.parse(r.last_run) : null; } catch { lastRun = null; }
+  let history = [];
+  try { history = r.history ? JSON.parse(r.history) : []; } catch { history = []; }
+  return {
+    id: r.id,
+    leaseOwner: r.lease_owner ?? "",
+    leaseUntil: r.lease_until ?? "",
+    nextRunAt: r.next_run_at ?? "",
+    attempts: Number(r.attempts) || 0,
+    lastRun,
+    history: Array.isArray(history) ? history : [],
+    updatedAt: r.updated_at ?? "",
+  };
+}
+
+function loadTaskStatesLocal() {
+  try {
+    const states = JSON.parse(fs.readFileSync(TASK_STATE_PATH, "utf-8"));
+    return states && typeof states === "object" && !Array.isArray(states) ? states : {};
+  } catch {
+    return {};
+  }
+}
+
+function saveTaskStatesLocal(states) {
+  try { fs.writeFileSync(TASK_STATE_PATH, JSON.stringify(states, null, 2), "utf-8"); } catch (e) { console.warn("[WARN] 写入本地任务状态失败:", e.message); }
+}
+
+// 本地（或 Supabase 表不可用时）在进程内判断租约；Vercel 上文件系统只读，只保存在内存中
+let _taskStatesMem = null;
+function localTaskStates() {
+  if (!_taskStatesMem) _taskStatesMem = isServerless ? {} : loadTaskStatesLocal();
+  return _taskStatesMem;
+}
+
+function acquireLocalLease(id, owner, until) {
+  const states = localTaskStates();
+  const cur = states[id] || { id };
+  if (cur.leaseUntil && cur.leaseUntil > nowIso()) return false;
+  states[id] = { ...cur, leaseOwner: owner, leaseUntil: until, updatedAt: nowIso() };
+  if (!isServerless) saveTaskStatesLocal(states);
+  return true;
+}
+
+/** 所有任务的状态：{ [任务 key]: state } */
+export async function loadTaskStates() {
+  if (supabaseEnabled) {
+    try {
+      const admin = getSupabaseAdmin();
+      const rows = await sbSelectAll(admin, "task_states");
+      return Object.fromEntries(rows.map(r => [r.id, taskStateFromRow(r)]));
+    } catch (e) {
+      console.warn("[WARN] loadTaskStates failed:", String(e?.message || e));
+    }
+  }
+  return { ...localTaskStates() };
+}
+
+/** 抢占任务租约，成功返回 true；租约未过期（其他实例正在运行）返回 false */
+export async function acquireTaskLease(id, owner, until) {
+  if (supabaseEnabled) {
+    try {
+      const admin = getSupabaseAdmin();
+      const now = nowIso();
+      const ins = await admin.from("task_states").upsert({ id, lease_owner: "", lease_until: "", updated_at: now }, { onConflict: "id", ignoreDuplicates: true });
+      if (ins.error) throw ins.error;
+      const { data, error } = await admin.from("task_states")
+        .update({ lease_owner: owner, lease_until: until, updated_at: now })
+        .eq("id", id)
+        .or("lease_until.is.null,lease_until.lt." + now)
+        .select("id");
+      if (error) throw error;
+      return (data || []).length > 0;
+    } catch (e) {
+      console.warn("[WARN] acquireTaskLease(" + id + ") failed，退回进程内锁:", String(e?.message || e));
+    }
+  }
+  return acquireLocalLease(id, owner, until);
+}
+
+/** 合并保存任务状态（运行结束后写入结果并释放租约） */
+export async function saveTaskState(id, patch) {
+  const states = localTaskStates();
+  const next = { ...(states[id] || { id }), ...patch, id, updatedAt: nowIso() };
+  states[id] = next;
+  if (!isServerless) saveTaskStatesLocal(states);
+  if (supabaseEnabled) {
+    try {
+      const admin = getSupabaseAdmin();
+      await upsertWithRetry(admin, "task_states", [taskStateToRow(next)], ["id", "lease_owner", "lease_until", "next_run_at", "attempts"]);
+    } catch (e) {
+      console.warn("[WARN] saveTaskState(" + id + ") failed:", String(e?.message || e));
+    }
+  }
+}
+
+// ===== 用户偏好 =====
+// 每个用户一条记录（id 为用户 key）：看板筛选 boardPref = { jobId, lanes }、我的待办的忽略 / 延后状态 todoStates = { 待办key: { until, at } }。
+// 与任务状态一样不参与 loadData / saveData 的全量读写，按用户单行读写，多人同时操作不会互相覆盖；
+// 本地模式写在单独的 user-prefs.json 中。还没有记录的用户沿用旧版 app_config 中的偏好。
+// 每个页面请求都会读取（侧边栏待办角标），与 loadData 一样按用户缓存 30 秒，本实例保存时直接更新缓存
+const USER_PREFS_PATH = path.join(process.cwd(), "user-prefs.json");
+const _prefsCache = new Map(); // id -> { at, prefs }
+
+function userPrefToRow(x) {
+  return {
+    id: x.id,
+    board_pref: x.boardPref ? JSON.stringify(x.boardPref) : null,
+    todo_states: x.todoStates ? JSON.stringify(x.todoStates) : null,
+    updated_at: x.updatedAt ?? nowIso(),
+  };
+}
+function userPrefFromRow(r) {
+  let boardPref = null;
+  try { boardPref = r.board_pref ? JSON.parse(r.board_pref) : null; } catch { boardPref = null; }
+  let todoStates = null;
+  try { todoStates = r.todo_states ? JSON.parse(r.todo_states) : null; } catch { todoStates = null; }
+  return {
+    id: r.id,
+    boardPref,
+    todoStates,
+    updatedAt: r.updated_at ?? "",
+  };
+}
+
+function loadUserPrefsLocal() {
+  try {
+    const prefs = JSON.parse(fs.readFileSync(USER_PREFS_PATH, "utf-8"));
+    return prefs && typeof prefs === "object" && !Array.isArray(prefs) ? prefs : {};
+  } catch {
+    return {};
+  }
+}
+
+async function loadUserPrefsFresh(id) {
+  if (supabaseEnabled) {
+    try {
+      const admin = getSupabaseAdmin();
+      const { data, error } = await admin.from("user_prefs").select("*").eq("id", id).maybeSingle();
+      if (error) throw error;
+      return data ? userPrefFromRow(data) : null;
+    } catch (e) {
+      console.warn("[WARN] loadUserPrefs(" + id + ") failed:", String(e?.message || e));
+    }
+  }
+  return loadUserPrefsLocal()[id] || null;
+}
+
+/** 单个用户的偏好，没有记录时返回 null */
+export async function loadUserPrefs(id) {
+  if (!id) return null;
+  const hit = _prefsCache.get(id);
+  if (hit && Date.now() - hit.at < CACHE_TTL) return _deepClone(hit.prefs);
+  const prefs = await loadUserPrefsFresh(id);
+  _prefsCache.set(id, { at: Date.now(), prefs });
+  return _deepClone(prefs);
+}
+
+/** 合并保存单个用户的偏好，返回保存后的记录（合并前重新读取，避免用缓存覆盖其他实例刚写入的字段） */
+export async function saveUserPrefs(id, patch) {
+  const next = { ...((await loadUserPrefsFresh(id)) || {}), ...patch, id, updatedAt: nowIso() };
+  _prefsCache.set(id, { at: Date.now(), prefs: _deepClone(next) });
+  if (!isServerless) {
+    const all = loadUserPrefsLocal();
+    all[id] = next;
+    try { fs.writeFileSync(USER_PREFS_PATH, JSON.stringify(all, null, 2), "utf-8"); } catch (e) { console.warn("[WARN] 写入本地用户偏好失败:", e.message); }
+  }
+  if (supabaseEnabled) {
+    try {
+      const admin = getSupabaseAdmin();
+      await upsertWithRetry(admin, "user_prefs", [userPrefToRow(next)], ["id"]);
+    } catch (e) {
+      console.warn("[WARN] saveUserPrefs(" + id + ") failed:", String(e?.message || e));
+    }
+  }
+  return next;
+}
+
+// ===== 审计日志 =====
+// 与通知日志一样只追加、按需读取；本地模式写在 audit-logs.json 中，只保留最近 AUDIT_LOG_LOCAL_MAX 条
+const AUDIT_LOG_PATH = path.join(process.cwd(), "audit-logs.json");
+const AUDIT_LOG_LOCAL_MAX = 5000;
+
+function auditLogToRow(x) {
+  return {
+    id: x.id,
+    actor: x.actor ?? null,
+    actor_id: x.actorId ?? null,
+    action: x.action ?? null,
+    entity_type: x.entityType ?? null,
+    entity_id: x.entityId ?? null,
+    entity_name: x.entityName ?? null,
+    changes: JSON.stringify(x.changes || []),
+    method: x.method ?? null,
+    path: x.path ?? null,
+    ip: x.ip ?? null,
+    user_agent: x.userAgent ?? null,
+    created_at: x.createdAt ?? null,
+  };
+}
+function auditLogFromRow(r) {
+  let changes = [];
+  try { changes = r.changes ? JSON.parse(r.changes) : []; } catch { changes = []; }
+  return {
+    id: r.id,
+    actor: r.actor ?? "",
+    actorId: r.actor_id ?? "",
+    action: r.action ?? "",
+    entityType: r.entity_type ?? "",
+    entityId: r.entity_id ?? "",
+    entityName: r.entity_name ?? "",
+    changes: Array.isArray(changes) ? changes : [],
+    method: r.method ?? "",
+    path: r.path ?? "",
+    ip: r.ip ?? "",
+    userAgent: r.user_agent ?? "",
+    createdAt: r.created_at ?? "",
+  };
+}
+
+function loadAuditLogsLocal() {
+  try {
+    const logs = JSON.parse(fs.readFileSync(AUDIT_LOG_PATH, "utf-8"));
+    return Array.isArray(logs) ? logs : [];
+  } catch {
+    return [];
+  }
+}
+
+// 追加一批审计日志（entries 按时间先后排列）
+export async function appendAuditLogs(entries) {
+  if (!entries.length) return;
+  if (!isServerless) {
+    const all = [...entries.slice().reverse(), ...loadAuditLogsLocal()].slice(0, AUDIT_LOG_LOCAL_MAX);
+    try { fs.writeFileSync(AUDIT_LOG_PATH, JSON.stringify(all, null, 2), "utf-8"); } catch (e) { console.warn("[WARN] 写入本地审计日志失败:", e.message); }
+  }
+  if (supabaseEnabled) {
+    try {
+      const admin = getSupabaseAdmin();
+      await upsertWithRetry(admin, "audit_logs", entries.map(auditLogToRow), ["id", "actor", "action", "entity_type", "entity_id", "created_at"]);
+    } catch (e) {
+      console.warn("[WARN] appendAuditLogs failed:", String(e?.message || e));
+    }
+  }
+}
+
+/**
+ * 审计日志（新的在前）
+ * filters: { actor, entityType, entityId, action, from, to }，from / to 为 YYYY-MM-DD（含当天）
+ */
+export async function loadAuditLogs(filters = {}, limit = 500) {
+  const { actor, entityType, entityId, action, from, to } = filters;
+  if (supabaseEnabled) {
+    try {
+      const admin = getSupabaseAdmin();
+      let q = admin.from("audit_logs").select("*");
+      if (actor) q = q.eq("actor", actor);
+      if (entityType) q = q.eq("entity_type", entityType);
+      if (entityId) q = q.eq("entity_id", entityId);
+      if (action) q = q.eq("action", action);
+      if (from) q = q.gte("created_at", from);
+      if (to) q = q.lte("created_at", to + "T23:59:59");
+      const { data, error } = await q.order("created_at", { ascending: false }).limit(limit);
+      if (error) throw error;
+      return (data || []).map(auditLogFromRow);
+    } catch (e) {
+      console.warn("[WARN] loadAuditLogs failed:", String(e?.message || e));
+    }
+  }
+  return loadAuditLogsLocal().filter((x) =>
+    (!actor || x.actor === actor) &&
+    (!entityType || x.entityType === entityType) &&
+    (!entityId || x.entityId === entityId) &&
+    (!action || x.action === action) &&
+    (!from || x.createdAt >= from) &&
+    (!to || x.createdAt <= to + "T23:59:59")
+  ).slice(0, limit);
+}
+
 // ===== 删除辅助 =====
 export async function deleteFromSupabase(table, id) {
   if (!supabaseEnabled) return;
@@ -735,6 +1506,9 @@ export async function deleteCandidateRelated(candidateId) {
       admin.from("resume_files").delete().eq("candidate_id", candidateId),
       admin.from("events").delete().eq("candidate_id", candidateId),
       admin.from("notes").delete().eq("candidate_id", candidateId),
+      admin.from("booking_links").delete().eq("candidate_id", candidateId),
+      admin.from("offer_versions").delete().eq("candidate_id", candidateId),
+      admin.from("onboardings").delete().eq("candidate_id", candidateId),
       admin.from("candidates").delete().eq("id", candidateId),
     ]);
     try { await admin.from("offers").delete().eq("candidate_id", candidateId); } catch {}
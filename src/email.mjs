@@ -0,0 +1,273 @@
+// ====== 候选人邮件 ======
+// 候选人不在飞书里，面试邀请 / 提醒、感谢信、Offer 通知通过邮件发给候选人。
+// 模板保存在 app_config.emailSettings：{ templates: { [key]: { subject, body } }, autoRules: { [状态]: 模板 key } }，
+// 未自定义的模板使用默认内容；autoRules 配置后，候选人流转到对应状态时自动发送（候选人需填写邮箱）。
+// 每次发送（含失败）都记一条 type 为「邮件」的动态，meta 中保存模板、收件人、主题和发送结果，作为候选人的发信记录
+import { nowIso, toBjTime } from "./db.mjs";
+import { pushEvent } from "./helpers.mjs";
+import { sendMail, isValidEmail } from "./mailer.mjs";
+import { getJobTemplate, roundName, roundMinutes } from "./pipeline.mjs";
+import { currentVersion } from "./offer.mjs";
+
+export const EMAIL_TEMPLATES = [
+  { key: "interview_invite", name: "面试邀请", schedule: true, ics: true },
+  { key: "interview_reminder", name: "面试提醒", schedule: true, ics: true },
+  { key: "rejection", name: "感谢信" },
+  { key: "offer", name: "Offer 通知", offer: true },
+];
+
+// 每个模板可用的变量，设置页和发送面板据此提示
+const COMMON_VARS = ["候选人", "岗位", "部门", "公司", "HR"];
+const SCHEDULE_VARS = ["面试轮次", "面试时间", "面试地点", "面试链接"];
+export const TEMPLATE_VARS = {
+  interview_invite: [...COMMON_VARS, ...SCHEDULE_VARS],
+  interview_reminder: [...COMMON_VARS, ...SCHEDULE_VARS],
+  rejection: COMMON_VARS,
+  offer: [...COMMON_VARS, "Offer链接", "入职日期"],
+};
+
+const DEFAULT_TEMPLATES = {
+  interview_invite: {
+    subject: "【{{公司}}】{{岗位}} {{面试轮次}}邀请",
+    body: [
+      "{{候选人}}，您好：",
+      "",
+      "感谢您关注{{公司}}的{{岗位}}岗位，诚邀您参加{{面试轮次}}，安排如下：",
+      "面试时间：{{面试时间}}",
+      "面试地点：{{面试地点}}",
+      "会议链接：{{面试链接}}",
+      "",
+      "附件为日程文件，可直接添加到日历。如时间不便，请回复本邮件与我们沟通。",
+      "",
+      "{{公司}} 招聘团队 {{HR}}",
+    ].join("\n"),
+  },
+  interview_reminder: {
+    subject: "【{{公司}}】面试提醒：{{岗位}} {{面试轮次}}",
+    body: [
+      "{{候选人}}，您好：",
+      "",
+      "提醒您{{岗位}}的{{面试轮次}}将于 {{面试时间}} 进行。",
+      "面试地点：{{面试地点}}",
+      "会议链接：{{面试链接}}",
+      "",
+      "请提前 5 分钟做好准备，期待与您交流。",
+      "",
+      "{{公司}} 招聘团队 {{HR}}",
+    ].join("\n"),
+  },
+  rejection: {
+    subject: "【{{公司}}】感谢您应聘{{岗位}}",
+    body: [
+      "{{候选人}}，您好：",
+      "",
+      "感谢您对{{公司}}的关注以及在应聘{{岗位}}过程中投入的时间。经过慎重评估，我们暂时无法为您提供该岗位的机会。",
+      "您的简历将保留在我们的人才库中，如有更合适的机会，我们会第一时间与您联系。",
+      "",
+      "祝您前程似锦！",
+      "",
+      "{{公司}} 招聘团队 {{HR}}",
+    ].join("\n"),
+  },
+  offer: {
+    subject: "【{{公司}}】{{岗位}}录用通知",
+    body: [
+      "{{候选人}}，您好：",
+      "",
+      "恭喜您通过{{岗位}}的全部面试！我们很高兴向您发出录用通知，请通过以下链接查看 Offer 详情：",
+      "{{Offer链接}}",
+      "",
+      "预计入职日期：{{入职日期}}。如有任何疑问，请回复本邮件。",
+      "",
+      "{{公司}} 招聘团队 {{HR}}",
+    ].join("\n"),
+  },
+};
+
+export function templateMeta(key) {
+  return EMAIL_TEMPLATES.find(t => t.key === key) || null;
+}
+
+export function emailTemplate(d, key) {
+  const custom = d.emailSettings?.templates?.[key];
+  return custom?.subject && custom?.body ? custom : DEFAULT_TEMPLATES[key];
+}
+
+export function isDefaultTemplate(d, key) {
+  return emailTemplate(d, key) === DEFAULT_TEMPLATES[key];
+}
+
+// 面试安排默认选最近一场未开始的面试，都已结束时取最后一场
+export function candidateSchedules(d, candidateId) {
+  return d.interviewSchedules.filter(s => s.candidateId === candidateId && s.scheduledAt).sort((a, b) => String(a.scheduledAt).localeCompare(String(b.scheduledAt)));
+}
+
+export function defaultSchedule(d, candidateId) {
+  const list = candidateSchedules(d, candidateId);
+  const now = nowIso().slice(0, 16);
+  return list.find(s => toBjTime(s.scheduledAt).slice(0, 16) >= now) || list[list.length - 1] || null;
+}
+
+function scheduleEnd(d, c, s) {
+  if (s.endAt) return toBjTime(s.endAt).slice(0, 16);
+  const start = new Date(toBjTime(s.scheduledAt).slice(0, 16) + ":00Z");
+  return new Date(start.getTime() + roundMinutes(getJobTemplate(d, c.jobId), s.round) * 60000).toISOString().slice(0, 16);
+}
+
+function offerLink(d, c, baseUrl) {
+  const offer = d.offers.find(o => o.candidateId === c.id);
+  const v = currentVersion(d, offer);
+  if (!v?.letterToken || !["已发放", "已接受"].includes(offer.offerStatus)) return { v };
+  return { v, url: baseUrl + "/offer-letter/" + v.letterToken };
+}
+
+export function emailVars(d, c, { schedule = null, baseUrl = "", user = null } = {}) {
+  const job = d.jobs.find(j => j.id === c.jobId);
+  const vars = {
+    "候选人": c.name || "",
+    "岗位": job?.title || c.jobTitle || "",
+    "部门": job?.department || "",
+    "公司": d.offerSettings?.companyName || "公司",
+    "HR": user?.name || "",
+  };
+  if (schedule) {
+    const start = toBjTime(schedule.scheduledAt).slice(0, 16);
+    vars["面试轮次"] = roundName(getJobTemplate(d, c.jobId), schedule.round);
+    vars["面试时间"] = start.replace("T", " ") + " - " + scheduleEnd(d, c, schedule).slice(11) + "（北京时间）";
+    vars["面试地点"] = schedule.location || (schedule.link ? "线上" : "待定");
+    vars["面试链接"] = schedule.link || "无";
+  }
+  const { v, url } = offerLink(d, c, baseUrl);
+  if (url) vars["Offer链接"] = url;
+  vars["入职日期"] = v?.startDate || "待定";
+  return vars;
+}
+
+function fill(text, vars) {
+  return String(text || "").replace(/\{\{\s*([^}\s]+)\s*\}\}/g, (m, k) => vars[k] !== undefined ? vars[k] : m);
+}
+
+// 渲染模板；缺少面试安排或 Offer 链接时返回 error
+export function renderEmail(d, c, key, ctx = {}) {
+  const meta = templateMeta(key);
+  if (!meta) return { error: "邮件模板不存在" };
+  if (meta.schedule && !ctx.schedule) return { error: "候选人暂无面试安排，无法发送「" + meta.name + "」" };
+  const vars = emailVars(d, c, ctx);
+  if (meta.offer && !vars["Offer链接"]) return { error: "Offer 尚未发放，请先在 Offer 页签发放后再发送" };
+  const tpl = emailTemplate(d, key);
+  return { subject: fill(tpl.subject, vars), body: fill(tpl.body, vars), vars };
+}
+
+/* ---------- ICS 日程附件 ---------- */
+function icsText(s) {
+  return String(s || "").replace(/\\/g, "\\\\").replace(/;/g, "\\;").replace(/,/g, "\\,").replace(/\r?\n/g, "\\n");
+}
+
+// 按 RFC 5545 每行不超过 75 字节折行（按字符切分，避免截断多字节字符）
+function icsFold(line) {
+  const out = [];
+  let cur = "";
+  let bytes = 0;
+  for (const ch of line) {
+    const n = Buffer.byteLength(ch);
+    if (bytes + n > (out.length ? 74 : 75)) { out.push(cur); cur = ""; bytes = 0; }
+    cur += ch;
+    bytes += n;
+  }
+  out.push(cur);
+  return out.join("\r\n ");
+}
+
+// 北京时间 "yyyy-MM-ddTHH:mm" → UTC "yyyyMMddTHHmmssZ"
+function icsTime(bj) {
+  return new Date(bj + ":00+08:00").toISOString().replace(/[-:]/g, "").replace(/\.\d{3}/, "");
+}
+
+export function buildInterviewIcs(d, c, s, vars) {
+  const start = toBjTime(s.scheduledAt).slice(0, 16);
+  const lines = [
+    "BEGIN:VCALENDAR",
+    "VERSION:2.0",
+    "PRODID:-//recruit-platform//interview//CN",
+    "CALSCALE:GREGORIAN",
+    "METHOD:PUBLISH",
+    "BEGIN:VEVENT",
+    "UID:" + s.id + "@recruit-platform",
+    "DTSTAMP:" + icsTime(nowIso().slice(0, 16)),
+    "DTSTART:" + icsTime(start),
+    "DTEND:" + icsTime(scheduleEnd(d, c, s)),
+    "SUMMARY:" + icsText(vars["公司"] + " " + vars["岗位"] + " " + vars["面试轮次"]),
+    "LOCATION:" + icsText(s.location || s.link || ""),
+    "DESCRIPTION:" + icsText("面试时间：" + vars["面试时间"] + (s.link ? "\n会议链接：" + s.link : "")),
+    ...(s.link ? ["URL:" + s.link] : []),
+    "BEGIN:VALARM",
+    "TRIGGER:-PT30M",
+    "ACTION:DISPLAY",
+    "DESCRIPTION:" + icsText("面试提醒"),
+    "END:VALARM",
+    "END:VEVENT",
+    "END:VCALENDAR",
+  ];
+  return lines.map(icsFold).join("\r\n") + "\r\n";
+}
+
+/**
+ * 给候选人发送邮件并记录发信动态
+ * opts: { template, subject?, body?, scheduleId?, to?, auto? }，subject / body 为空时按模板渲染
+ * ctx: { baseUrl, user }
+ * 返回 { ok, error?, event }；event 已写入 d.events，由调用方保存
+ */
+export async function sendCandidateEmail(d, c, opts, { baseUrl = "", user = null } = {}) {
+  const meta = templateMeta(opts.template);
+  if (!meta) return { ok: false, error: "邮件模板不存在" };
+  const to = String(opts.to || c.email || "").trim();
+  if (!to) return { ok: false, error: "候选人未填写邮箱" };
+  if (!isValidEmail(to)) return { ok: false, error: "收件邮箱格式不正确" };
+
+  const schedule = meta.schedule
+    ? (opts.scheduleId ? d.interviewSchedules.find(s => s.id === opts.scheduleId && s.candidateId === c.id) : defaultSchedule(d, c.id))
+    : null;
+  const r = renderEmail(d, c, meta.key, { schedule, baseUrl, user });
+  if (r.error) return { ok: false, error: r.error };
+  const subject = String(opts.subject || "").trim() || r.subject;
+  const body = String(opts.body || "").trim() ? String(opts.body) : r.body;
+
+  const attachments = meta.ics && schedule
+    ? [{ filename: "interview.ics", content: buildInterviewIcs(d, c, schedule, r.vars), contentType: "text/calendar; charset=UTF-8; method=PUBLISH" }]
+    : [];
+  const result = await sendMail({ to, subject, text: body, attachments });
+  pushEvent(d, {
+    candidateId: c.id,
+    type: "邮件",
+    message: (opts.auto ? "自动发送" : "发送") + "「" + meta.name + "」邮件至 " + to + (result.ok ? "" : "（失败：" + result.error + "）") + "\n主题：" + subject,
+    actor: user?.name || "系统",
+    meta: {
+      template: meta.key,
+      to,
+      subject,
+      status: result.ok ? "已发送" : "失败",
+      error: result.error || "",
+      messageId: result.messageId || "",
+      transport: result.transport,
+      scheduleId: schedule?.id || "",
+      auto: !!opts.auto,
+    },
+  });
+  return { ok: result.ok, error: result.error, event: d.events[0] };
+}
+
+// 状态流转后按 autoRules 自动发送；缺少邮箱、面试安排等前置条件时跳过，真正发信失败会记入发信记录
+export async function sendStatusEmail(d, c, user, baseUrl) {
+  const key = d.emailSettings?.autoRules?.[c.status];
+  if (!key || !templateMeta(key) || !c.email) return null;
+  const r = await sendCandidateEmail(d, c, { template: key, auto: true }, { baseUrl, user });
+  return r.event ? r : null;
+}
+
+export function emailLog(d, candidateId) {
+  return d.events.filter(e => e.candidateId === candidateId && e.type === "邮件");
+}
+
+export function publicBaseUrl(req) {
+  return process.env.BASE_URL || (req.protocol + "://" + req.get("host"));
+}
@@ -180,21 +180,24 @@ export async function sendFeishuGroupMessage(chatId, content, title = "招聘平
 }
 
 /* ---------- 创建审批实例 ---------- */
-export async function createApprovalInstance(approvalCode, openId, formData) {
+// nodeKey + approverOpenIds：审批定义中"发起人自选"节点的 key 及审批人，按顺序传入
+export async function createApprovalInstance(approvalCode, openId, formData, { nodeKey = "", approverOpenIds = [] } = {}) {
   if (!feishuEnabled() || !approvalCode) return null;
   try {
     const token = await getTenantAccessToken();
+    const body = {
+      approval_code: approvalCode,
+      open_id: openId,
+      form: JSON.stringify(formData),
+    };
+    if (nodeKey && approverOpenIds.length) body.node_approver_open_id_list = [{ key: nodeKey, value: approverOpenIds }];
     const res = await fetch(`${FEISHU_HOST}/open-apis/approval/v4/instances`, {
       method: "POST",
       headers: {
         "Content-Type": "application/json",
         Authorization: `Bearer ${token}`,
       },
-      body: JSON.stringify({
-        approval_code: approvalCode,
-        open_id: openId,
-        form: JSON.stringify(formData),
-      }),
+      body: JSON.stringify(body),
     });
     const data = await res.json();
     if (data.code !== 0) console.error("[Feishu] 创建审批失败:", data.msg);
@@ -205,6 +208,32 @@ export async function createApprovalInstance(approvalCode, openId, formData) {
   }
 }
 
+/* ---------- 查询审批实例 ---------- */
+// 返回 { status: PENDING/APPROVED/REJECTED/CANCELED/DELETED, tasks: [{ openId, status, endTime }], comments: [{ openId, comment }] }
+export async function getApprovalInstance(instanceCode) {
+  if (!feishuEnabled() || !instanceCode) return null;
+  try {
+    const token = await getTenantAccessToken();
+    const res = await fetch(`${FEISHU_HOST}/open-apis/approval/v4/instances/${encodeURIComponent(instanceCode)}?user_id_type=open_id`, {
+      headers: { Authorization: `Bearer ${token}` },
+    });
+    const data = await res.json();
+    if (data.code !== 0) {
+      console.error("[Feishu] 查询审批失败:", data.msg, "instance:", instanceCode);
+      return null;
+    }
+    const inst = data.data || {};
+    return {
+      status: inst.status || "",
+      tasks: (inst.task_list || []).map(t => ({ openId: t.open_id || t.user_id || "", status: t.status || "", endTime: t.end_time || "" })),
+      comments: (inst.timeline || []).filter(t => t.comment).map(t => ({ openId: t.open_id || t.user_id || "", comment: t.comment })),
+    };
+  } catch (e) {
+    console.error("[Feishu] 查询审批异常:", e.message);
+    return null;
+  }
+}
+
 /* ---------- 通讯录：获取部门列表 ---------- */
 export async function getFeishuDepartments(parentId = "0") {
   if (!feishuEnabled()) return [];
@@ -730,6 +759,42 @@ export async function deleteFeishuCalendarEvent({ calendarEventId }) {
   }
 }
 
+/* ---------- Calendar：查询用户忙闲 ---------- */
+/**
+ * 查询多个用户在时间段内的忙碌区间
+ * 返回 { [openId]: [{ start, end }] }（start/end 为 Date），整体失败返回 null；单个用户查询失败时不包含该用户
+ */
+export async function getFeishuFreeBusy({ openIds = [], startTime, endTime }) {
+  if (!feishuEnabled() || !openIds.length) return null;
+  try {
+    const token = await getTenantAccessToken();
+    const timeMin = new Date(startTime).toISOString();
+    const timeMax = new Date(endTime).toISOString();
+    const result = {};
+    await Promise.all(openIds.map(async (openId) => {
+      try {
+        const res = await fetch(`${FEISHU_HOST}/open-apis/calendar/v4/freebusy/list?user_id_type=open_id`, {
+          method: "POST",
+          headers: { "Content-Type": "application/json", Authorization: `Bearer ${token}` },
+          body: JSON.stringify({ time_min: timeMin, time_max: timeMax, user_id: openId }),
+        });
+        const data = await res.json();
+        if (data.code !== 0) {
+          console.warn("[Feishu Calendar] 忙闲查询失败:", openId, data.code, data.msg);
+          return;
+        }
+        result[openId] = (data.data?.freebusy_list || []).map(x => ({ start: new Date(x.start_time), end: new Date(x.end_time) }));
+      } catch (e) {
+        console.warn("[Feishu Calendar] 忙闲查询异常:", openId, e.message);
+      }
+    }));
+    return result;
+  } catch (e) {
+    console.error("[Feishu] 查询忙闲异常:", e.message);
+    return null;
+  }
+}
+
 /* ---------- VC：从会议链接获取录制/妙记链接 ---------- */
 /**
  * 根据飞书会议 URL 获取会议录制链接
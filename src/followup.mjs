@@ -0,0 +1,92 @@
+// ====== 逾期跟进与状态停留 SLA ======
+// 逾期跟进：跟进日期早于今天、下一步不是「已结束」且候选人仍在流程中（当天到期的由跟进到期提醒处理）。
+// 停留超时：候选人在当前状态停留超过该状态的 SLA 天数。定时任务把结果写入 c.slaFlag：{ status, since, limit, flaggedAt }，
+// 状态变化或不再超时后清除；看板 / 详情页只在 slaFlag.status 与当前状态一致时显示标记。
+import { nowIso } from "./db.mjs";
+import { DEFAULT_FOLLOWUP_SETTINGS } from "./constants.mjs";
+import { templateResolver } from "./pipeline.mjs";
+import { statusSinceMap, daysSince } from "./helpers.mjs";
+import { bjToday } from "./onboarding.mjs";
+
+const CLOSED_STAGES = new Set(["offer_rejected", "hired", "rejected"]);
+
+export function followupSettings(d) {
+  const s = d.followupSettings && typeof d.followupSettings === "object" && !Array.isArray(d.followupSettings) ? d.followupSettings : {};
+  return {
+    escalateDays: Number.isInteger(s.escalateDays) ? s.escalateDays : DEFAULT_FOLLOWUP_SETTINGS.escalateDays,
+    digestHour: Number.isInteger(s.digestHour) ? s.digestHour : DEFAULT_FOLLOWUP_SETTINGS.digestHour,
+    slaDays: s.slaDays && typeof s.slaDays === "object" ? s.slaDays : DEFAULT_FOLLOWUP_SETTINGS.slaDays,
+    lastDigestOn: s.lastDigestOn || "",
+    digestRulesAdded: !!s.digestRulesAdded,
+  };
+}
+
+// 设置页提交的内容校验；statuses 为所有流程模板中出现过的状态
+export function parseFollowupSettings(body, statuses) {
+  const int = (v) => (String(v ?? "").trim() === "" ? 0 : Number(v));
+  const escalateDays = int(body?.escalateDays);
+  const digestHour = int(body?.digestHour);
+  if (!Number.isInteger(escalateDays) || escalateDays < 1 || escalateDays > 60) return { error: "升级天数需为 1-60 的整数" };
+  if (!Number.isInteger(digestHour) || digestHour < 0 || digestHour > 23) return { error: "汇总发送时间需为 0-23 的整数" };
+  const slaDays = {};
+  for (const [status, v] of Object.entries(body?.slaDays && typeof body.slaDays === "object" ? body.slaDays : {})) {
+    if (!statuses.has(status)) return { error: "状态不存在：" + status };
+    const n = int(v);
+    if (!Number.isInteger(n) || n < 0 || n > 365) return { error: "「" + status + "」的 SLA 天数需为 0-365 的整数" };
+    if (n) slaDays[status] = n;
+  }
+  return { settings: { escalateDays, digestHour, slaDays } };
+}
+
+function activeCandidates(d) {
+  const resolve = templateResolver(d);
+  return d.candidates.filter(c => !CLOSED_STAGES.has(resolve(c.jobId).stageOf(c.status)));
+}
+
+/** 逾期跟进，按逾期天数倒序：[{ c, followAt, days }] */
+export function overdueFollowups(d) {
+  const today = bjToday();
+  return activeCandidates(d)
+    .filter(c => {
+      const f = c.follow || {};
+      return /^\d{4}-\d{2}-\d{2}/.test(f.followAt || "") && f.followAt.slice(0, 10) < today && f.nextAction !== "已结束";
+    })
+    .map(c => ({ c, followAt: c.follow.followAt, days: Math.round((Date.parse(today) - Date.parse(c.follow.followAt.slice(0, 10))) / 86400000) }))
+    .sort((a, b) => b.days - a.days);
+}
+
+/** 超出状态 SLA 的候选人，按超出天数倒序：[{ c, status, since, days, limit }] */
+export function slaBreaches(d) {
+  const { slaDays } = followupSettings(d);
+  const since = statusSinceMap(d);
+  const out = [];
+  for (const c of activeCandidates(d)) {
+    const limit = Number(slaDays[c.status]) || 0;
+    const days = daysSince(since.get(c.id));
+    if (limit > 0 && days !== null && days > limit) out.push({ c, status: c.status, since: since.get(c.id), days, limit });
+  }
+  return out.sort((a, b) => (b.days - b.limit) - (a.days - a.limit));
+}
+
+// 按当前 SLA 结果更新候选人的 slaFlag，返回 { flagged: 新标记的候选人, changed: 是否有改动 }
+export function refreshSlaFlags(d) {
+  const breaches = new Map(slaBreaches(d).map(x => [x.c.id, x]));
+  const flagged = [];
+  let changed = false;
+  for (const c of d.candidates) {
+    const b = breaches.get(c.id);
+    if (!b) {
+      if (c.slaFlag) { c.slaFlag = null; changed = true; }
+      continue;
+    }
+    if (c.slaFlag?.status === b.status && c.slaFlag.since === b.since && c.slaFlag.limit === b.limit) continue;
+    // 只是调整了 SLA 天数时保留原标记时间，不算新标记
+    if (c.slaFlag?.status === b.status && c.slaFlag.since === b.since) c.slaFlag = { ...c.slaFlag, limit: b.limit };
+    else {
+      c.slaFlag = { status: b.status, since: b.since, limit: b.limit, flaggedAt: nowIso() };
+      flagged.push(c);
+    }
+    changed = true;
+  }
+  return { flagged, changed };
+}
@@ -3,17 +3,19 @@ import fs from "fs";
 import { escapeHtml } from "./ui.mjs";
 import { getSupabaseAdmin, getBucketName, getSignedUrlExpiresIn } from "./supabase.mjs";
 import { nowIso, rid } from "./db.mjs";
-import { feishuEnabled, sendFeishuMessage } from "./feishu.mjs";
-import { STATUS_KEYS, STATUS_SET } from "./constants.mjs";
+import { notify } from "./notify.mjs";
+import { defaultPipelineTemplate, getJobTemplate, templateStatusSet, allowedNextStatuses, isTransitionAllowed, primaryNextStatus, requiresRejectReason, rejectionStage, roundName, REVIEW_REJECT_REASON } from "./pipeline.mjs";
+import { extractResumeText, parseResumeText, applyParsedResume } from "./resumeParser.mjs";
+import { HIRED_STATUS, FILLED_PAUSE_REASON, pauseFilledJob } from "./requisition.mjs";
 
 const isServerless = !!process.env.VERCEL;
 const UPLOADS_DIR = path.join(process.cwd(), "uploads");
 
 // ====== 卡片快捷操作按钮 ======
-export function cardQuickBtns(candidateId, currentStatus) {
-  const idx = STATUS_KEYS.indexOf(currentStatus);
+// tpl：候选人所属岗位的流程模板，"推进"按流转策略取下一状态
+export function cardQuickBtns(candidateId, currentStatus, tpl = defaultPipelineTemplate()) {
   const isTerminal = currentStatus === "入职" || currentStatus === "淘汰";
-  const nextStatus = (!isTerminal && idx >= 0 && idx < STATUS_KEYS.length - 2) ? STATUS_KEYS[idx + 1] : null;
+  const nextStatus = isTerminal ? null : primaryNextStatus(tpl, currentStatus);
   let html = '<div class="card-quick" onclick="event.stopPropagation()">';
   if (nextStatus) {
     html += '<button class="qbtn qbtn-next" title="推进到：' + escapeHtml(nextStatus) + '" onclick="quickStatus(\'' + escapeHtml(candidateId) + '\',\'' + escapeHtml(nextStatus) + '\')">推进 →</button>';
@@ -26,20 +28,125 @@ export function cardQuickBtns(candidateId, currentStatus) {
 }
 
 // ====== 时间线事件 ======
-export function pushEvent(d, { candidateId, type, message, actor }) {
+export function pushEvent(d, { candidateId, type, message, actor, meta }) {
   d.events.unshift({
     id: rid("ev"),
     candidateId,
     type,
     message,
     actor: actor || "系统",
+    ...(meta ? { meta } : {}),
     createdAt: nowIso(),
   });
 }
 
+// ====== 当前状态停留时长 ======
+// 取每位候选人最近一次流转到当前状态的动态时间（状态变更类动态的消息格式为"…状态：A -> B"），
+// 没有相应动态时按创建时间计算；返回 Map(candidateId -> ISO 时间)
+const STATUS_MSG_RE = /状态：[^\n]*?->\s*([^\n]+)/;
+export function statusSinceMap(d) {
+  const current = new Map(d.candidates.map((c) => [c.id, c.status]));
+  const since = new Map();
+  for (const e of d.events) {
+    if (since.has(e.candidateId) || !current.has(e.candidateId)) continue;
+    const to = e.meta?.to || (String(e.message || "").match(STATUS_MSG_RE) || [])[1];
+    if (to && to.trim() === current.get(e.candidateId)) since.set(e.candidateId, e.createdAt);
+  }
+  for (const c of d.candidates) if (!since.has(c.id)) since.set(c.id, c.createdAt || c.updatedAt || "");
+  return since;
+}
+
+export function daysSince(iso) {
+  const t = Date.parse(iso || "");
+  return Number.isFinite(t) ? Math.max(0, Math.floor((Date.now() - t) / 86400000)) : null;
+}
+
+// ====== 手动状态变更（流转策略 + 淘汰原因）======
+// 校验通过时修改候选人并写入"状态流转"事件，返回 { ok, event }；否则返回 { status, error, ... } 供路由直接输出
+// 不在允许列表内的流转仅管理员可通过 override 强制执行；淘汰 / X不通过必须选择原因
+export function changeCandidateStatus(d, c, { status, reason, reasonNote, override }, user) {
+  const tpl = getJobTemplate(d, c.jobId);
+  const old = c.status || "待筛选";
+  const to = String(status || "");
+  if (!templateStatusSet(tpl).has(to)) return { status: 400, error: "流程「" + tpl.name + "」中没有状态「" + to + "」" };
+  if (to === old) return { ok: true, event: null };
+
+  const allowed = allowedNextStatuses(tpl, old);
+  const isOverride = !isTransitionAllowed(tpl, old, to);
+  if (isOverride) {
+    const isAdmin = user?.role === "admin";
+    if (!isAdmin || !override) {
+      return {
+        status: 409,
+        error: "不允许从「" + old + "」直接流转到「" + to + "」" + (allowed.length ? "，可选：" + allowed.join("、") : ""),
+        allowed,
+        canOverride: isAdmin,
+      };
+    }
+  }
+
+  let rejection = null;
+  if (requiresRejectReason(to)) {
+    const r = String(reason || "").trim();
+    if (!r) return { status: 400, error: "请选择淘汰原因", needReason: true };
+    if (!(d.rejectionReasons || []).includes(r)) return { status: 400, error: "淘汰原因无效：" + r, needReason: true };
+    rejection = { reason: r, note: String(reasonNote || "").trim(), stage: rejectionStage(tpl, old, to), from: old, to, at: nowIso(), by: user?.name || "系统" };
+  }
+
+  c.status = to;
+  c.updatedAt = nowIso();
+  if (rejection) c.rejection = rejection;
+  // 入职后岗位 HC 招满时自动暂停招聘，调用方需一并保存 pausedJob
+  const pausedJob = to === HIRED_STATUS ? pauseFilledJob(d, c.jobId) : null;
+  pushEvent(d, {
+    candidateId: c.id,
+    type: "状态流转",
+    message: "状态：" + old + " -> " + to +
+      (rejection ? "\n淘汰原因：" + rejection.reason + "（" + rejection.stage + "）" + (rejection.note ? "\n说明：" + rejection.note : "") : "") +
+      (isOverride ? "\n（管理员越级调整）" : "") +
+      (pausedJob ? "\n岗位「" + pausedJob.title + "」" + FILLED_PAUSE_REASON + "（" + pausedJob.headcount + " 人），已自动暂停招聘" : ""),
+    actor: user?.name || "系统",
+    meta: rejection || isOverride ? { from: old, to, ...(rejection ? rejectionMeta(rejection) : {}), ...(isOverride ? { override: true } : {}) } : undefined,
+  });
+  return { ok: true, event: d.events[0], pausedJob };
+}
+
+// 面评不通过触发的自动淘汰：原因固定为"面试评估不通过"，阶段记为对应轮次
+export function reviewRejection(tpl, round, from, to, by) {
+  return { reason: REVIEW_REJECT_REASON, note: "", stage: roundName(tpl, round), from, to, at: nowIso(), by: by || "系统" };
+}
+
+export function rejectionMeta(r) {
+  return { from: r.from, to: r.to, reason: r.reason, reasonNote: r.note, stage: r.stage };
+}
+
+// 前端状态变更脚本：淘汰 / X不通过时弹出原因选择框，流转受限时管理员可确认越级
+// 页面调用 submitStatus(candidateId, status) -> Promise<boolean>
+export function statusChangeScript(reasons) {
+  return '<script>var REJECT_REASONS=' + JSON.stringify(reasons || []).replace(/</g, "\\u003c") + ';' +
+    'function needRejectReason(st){return st==="淘汰"||/不通过$/.test(st)}' +
+    'function pickRejectReason(st){return new Promise(function(resolve){var mask=document.createElement("div");mask.style.cssText="position:fixed;inset:0;background:rgba(0,0,0,.35);z-index:1000;display:flex;align-items:center;justify-content:center";' +
+      'mask.innerHTML=\'<div class="card" style="width:380px;max-width:92vw"><div style="font-weight:900;margin-bottom:8px">选择淘汰原因（\'+st+\'）</div><div class="field"><label>原因</label><select id="rjReason"><option value="">请选择</option>\'+REJECT_REASONS.map(function(r){return \'<option>\'+r.replace(/</g,"&lt;")+\'</option>\'}).join("")+\'</select></div><div class="field"><label>补充说明（可选）</label><textarea id="rjNote" rows="3"></textarea></div><div class="row"><span class="spacer"></span><button class="btn" id="rjCancel">取消</button><button class="btn primary" id="rjOk">确定</button></div></div>\';' +
+      'document.body.appendChild(mask);mask.querySelector("#rjCancel").onclick=function(){mask.remove();resolve(null)};mask.querySelector("#rjOk").onclick=function(){var r=mask.querySelector("#rjReason").value;if(!r){alert("请选择淘汰原因");return}var n=mask.querySelector("#rjNote").value;mask.remove();resolve({reason:r,reasonNote:n})}})}' +
+    'async function submitStatus(id,st,extra){var payload=Object.assign({status:st},extra||{});if(needRejectReason(st)&&!payload.reason){var rj=await pickRejectReason(st);if(!rj)return false;Object.assign(payload,rj)}' +
+      'var r=await fetch("/api/candidates/"+encodeURIComponent(id)+"/status",{method:"POST",headers:{"Content-Type":"application/json"},body:JSON.stringify(payload)});if(r.ok)return true;var d=await r.json().catch(function(){return{}});' +
+      'if(r.status===409&&d.canOverride){if(!confirm((d.error||"该流转不在允许范围内")+"\\n\\n是否以管理员身份越级调整？"))return false;payload.override=true;return submitStatus(id,st,payload)}' +
+      'alert(d.error||"更新失败");return false}' +
+    '</script>';
+}
+
+// 提交面试安排：面试官时间冲突（409）时列出冲突明细，确认后带 force 重新提交；同步状态越级时管理员确认后带 override 重提；返回 { ok, data, cancelled }
+export function scheduleSubmitScript() {
+  return '<script>async function submitSchedule(id,payload){var r=await fetch("/api/candidates/"+encodeURIComponent(id)+"/schedule",{method:"POST",headers:{"Content-Type":"application/json"},body:JSON.stringify(payload)});var d=await r.json().catch(function(){return{}});' +
+    'if(r.status===409&&d.conflicts){if(!confirm((d.error||"面试官时间冲突")+"：\\n\\n"+d.conflicts.join("\\n")+"\\n\\n仍要保存吗？"))return{ok:false,cancelled:true,data:d};return submitSchedule(id,Object.assign({},payload,{force:true}))}' +
+    'if(r.status===409&&d.canOverride){if(!confirm((d.error||"该流转不在允许范围内")+"\\n\\n是否以管理员身份越级调整？"))return{ok:false,cancelled:true,data:d};return submitSchedule(id,Object.assign({},payload,{override:true}))}' +
+    'return{ok:r.ok,data:d}}' +
+    '</script>';
+}
+
 // ====== 新增候选人通知HR ======
+// 接收人由「新候选人」通知规则决定，默认通知岗位负责人，岗位未设负责人时通知管理员
 export async function notifyHrNewCandidate(d, candidate, job) {
-  if (!feishuEnabled()) { console.log("[Notify] 飞书未启用，跳过通知"); return; }
   try {
     const baseUrl = process.env.BASE_URL || "https://recruit-platform-sable.vercel.app";
     const candidateUrl = baseUrl + "/candidates/" + candidate.id;
@@ -51,26 +158,7 @@ export async function notifyHrNewCandidate(d, candidate, job) {
       `**联系方式**：${candidate.phone || "-"}\n\n` +
       `[查看候选人详情](${candidateUrl})`;
 
-    // 优先通知岗位负责人（支持多人），如果没有则通知所有管理员
-    let notifyIds = [];
-    if (Array.isArray(job?.owners) && job.owners.length > 0) {
-      notifyIds = job.owners.map(o => o.openId).filter(Boolean);
-    } else if (job?.ownerOpenId) {
-      // 兼容旧格式：可能是逗号分隔的多个openId
-      notifyIds = job.ownerOpenId.split(",").map(id => id.trim()).filter(Boolean);
-    }
-    if (!notifyIds.length) {
-      // 岗位未设负责人，通知所有管理员
-      const admins = (d.users || []).filter(u => u.role === "admin" && u.openId);
-      notifyIds = admins.map(u => u.openId);
-      console.log("[Notify] 岗位无负责人，通知管理员:", admins.map(u => u.name).join(","));
-    }
-    if (!notifyIds.length) { console.log("[Notify] 无可通知对象，跳过"); return; }
-
-    for (const openId of notifyIds) {
-      await sendFeishuMessage(openId, msg, "新候选人通知");
-      console.log("[Notify] 已通知(" + openId + ") 新候选人: " + candidate.name + " 岗位: " + (job?.title || "-"));
-    }
+    await notify(d, "new_candidate", { candidate, job, title: "新候选人通知", content: msg, vars: { "联系方式": candidate.phone || "-" } });
   } catch (e) {
     console.warn("[Notify] 通知HR失败:", e.message);
   }
@@ -117,6 +205,12 @@ export function findDuplicate(candidates, name, phone) {
   return null; // 没有手机号时不做查重，避免误判
 }
 
+// ====== 猎头供应商显示名称：公司 · 联系人 ======
+export function hunterLabel(h) {
+  if (!h) return "";
+  return h.company ? h.company + (h.name ? " · " + h.name : "") : (h.name || "");
+}
+
 export function safeExtFromName(name) {
   const base = String(name || "");
   const i = base.lastIndexOf(".");
@@ -126,6 +220,17 @@ export function safeExtFromName(name) {
   return ext;
 }
 
+// ====== 简历解析：提取全文存入简历记录，并预填候选人空字段 ======
+export async function parseResumeIntoCandidate(d, candidateId, meta, buffer) {
+  const text = await extractResumeText(buffer, meta.contentType, meta.originalName);
+  if (!text) return null;
+  meta.text = text;
+  meta.parsed = parseResumeText(text);
+  const c = d.candidates.find(x => x.id === candidateId);
+  if (c && applyParsedResume(c, meta.parsed).length) c.updatedAt = nowIso();
+  return meta.parsed;
+}
+
 // ====== 简历存储 ======
 export async function saveResumeSupabaseOrLocal(d, candidateId, file, actorName) {
   const origName = file.originalname || file.filename || "";
@@ -162,6 +267,7 @@ export async function saveResumeSupabaseOrLocal(d, candidateId, file, actorName)
       bucket,
       url: signed.signedUrl,
     };
+    await parseResumeIntoCandidate(d, candidateId, meta, file.buffer);
     d.resumeFiles.push(meta);
     pushEvent(d, { candidateId, type: "简历", message: "上传简历（Supabase）：" + meta.originalName, actor: actorName || "系统" });
     return meta;
@@ -187,6 +293,7 @@ export async function saveResumeSupabaseOrLocal(d, candidateId, file, actorName)
       url: "/uploads/" + encodeURIComponent(saveName),
       fallbackReason: String(e?.message || e || "unknown"),
     };
+    await parseResumeIntoCandidate(d, candidateId, meta, file.buffer);
     d.resumeFiles.push(meta);
     pushEvent(d, { candidateId, type: "简历", message: "上传简历（本地回退）：" + meta.originalName + "\n原因：" + meta.fallbackReason, actor: actorName || "系统" });
     return meta;
@@ -228,6 +335,10 @@ export function toolbarHtml({ jobs, sources, q = "", jobId = "", source = "", mo
     .join("");
 
   const targetPath = mode === "board" ? "/candidates/board" : "/candidates";
+  // 看板会记住每个用户上次选择的岗位，选"全部岗位"时需显式传空值覆盖
+  const jobParamJs = mode === "board"
+    ? 'u.searchParams.set("jobId",jobId);'
+    : 'if(jobId)u.searchParams.set("jobId",jobId);else u.searchParams.delete("jobId");';
 
   const adminBtns = isAdmin
     ? '<a class="btn" href="/candidates/new">新建候选人</a>' +
@@ -235,22 +346,74 @@ export function toolbarHtml({ jobs, sources, q = "", jobId = "", source = "", mo
     : '';
 
   return '<div class="toolbar">' +
-    '<div class="ctl"><label>搜索</label><input id="q" value="' + escapeHtml(q) + '" placeholder="姓名 / 手机 / 备注关键词" /></div>' +
+    '<div class="ctl"><label>搜索</label><input id="q" value="' + escapeHtml(q) + '" placeholder="' + (mode === "board" ? "姓名 / 手机 / 备注关键词" : "姓名 / 手机 / 简历 / 面评 / 备注关键词") + '" /></div>' +
     '<div class="ctl"><label>岗位</label><select id="jobId" onchange="applyFilters()">' + jobOpts + '</select></div>' +
     '<div class="ctl"><label>来源</label><select id="source" onchange="applyFilters()">' + srcOpts + '</select></div>' +
     '<span class="spacer"></span>' +
     adminBtns +
     '</div>' +
-    '<script>function applyFilters(){var q=document.getElementById("q").value||"";var jobId=document.getElementById("jobId").value||"";var source=document.getElementById("source").value||"";var u=new URL(location.href);u.pathname="' + targetPath + '";if(q)u.searchParams.set("q",q);else u.searchParams.delete("q");if(jobId)u.searchParams.set("jobId",jobId);else u.searchParams.delete("jobId");if(source)u.searchParams.set("source",source);else u.searchParams.delete("source");location.href=u.toString()}' +
+    '<script>function applyFilters(){var q=document.getElementById("q").value||"";var jobId=document.getElementById("jobId").value||"";var source=document.getElementById("source").value||"";var u=new URL(location.href);u.pathname="' + targetPath + '";if(q)u.searchParams.set("q",q);else u.searchParams.delete("q");' + jobParamJs + 'if(source)u.searchParams.set("source",source);else u.searchParams.delete("source");location.href=u.toString()}' +
     'var _searchTimer;document.getElementById("q").addEventListener("input",function(){clearTimeout(_searchTimer);_searchTimer=setTimeout(applyFilters,400)});document.getElementById("q").addEventListener("keydown",function(e){if(e.key==="Enter"){clearTimeout(_searchTimer);applyFilters()}})</script>';
 }
 
+// ====== 批量操作栏（人才库列表 / 看板共用）======
+// 勾选框约定：.batch-check[data-id]；列表表头 #selectAll、看板列头 .col-check[data-col] 用于全选
+// 每个操作先预览受影响人数，确认后一次性提交到 /api/candidates/bulk
+export function bulkBarHtml({ isAdmin = false, jobs = [], tags = [], statuses = [], reasons = [] }) {
+  const opt = (v, label) => '<option value="' + escapeHtml(v) + '">' + escapeHtml(label || v) + '</option>';
+  const field = (action, label, inner) => '<div class="field bulk-f" data-for="' + action + '" style="display:none"><label>' + label + '</label>' + inner + '</div>';
+  return '<div id="batchBar" class="batch-bar" style="display:none"><span id="batchCount">已选 0 人</span>' +
+    '<button class="btn sm primary" onclick="openBulk(\'status\')">批量更新状态</button>' +
+    '<button class="btn sm" onclick="openBulk(\'tag_add\')">添加标签</button>' +
+    '<button class="btn sm" onclick="openBulk(\'tag_remove\')">移除标签</button>' +
+    '<button class="btn sm" onclick="openBulk(\'job\')">更换岗位</button>' +
+    '<button class="btn sm" onclick="openBulk(\'follow\')">更新跟进</button>' +
+    '<button class="btn sm" onclick="bulkExport()">导出</button>' +
+    (isAdmin ? '<button class="btn sm danger" onclick="openBulk(\'delete\')">批量删除</button>' : '') +
+    '<button class="btn sm ghost" onclick="clearBatch()">取消选择</button></div>' +
+    '<div id="bulkModal" style="display:none;position:fixed;inset:0;background:rgba(0,0,0,.35);z-index:1000;align-items:center;justify-content:center"><div class="card" style="width:420px;max-width:92vw">' +
+    '<div style="font-weight:900;margin-bottom:8px" id="bulkTitle">批量操作</div>' +
+    field("status", "目标状态", '<select id="bkStatus" onchange="bulkStatusChanged()">' + statuses.map((x) => opt(x)).join("") + '</select>') +
+    '<div class="field" id="bkReasonWrap" style="display:none"><label>淘汰原因</label><select id="bkReason"><option value="">请选择</option>' + reasons.map((x) => opt(x)).join("") + '</select><textarea id="bkReasonNote" rows="2" placeholder="补充说明（可选）" style="margin-top:6px"></textarea></div>' +
+    (isAdmin ? field("status", "管理员", '<label style="font-weight:400"><input type="checkbox" id="bkOverride" style="width:auto" /> 允许越级调整（不受流转规则限制）</label>') : '') +
+    field("tag_add", "标签", '<input id="bkTagAdd" list="bulk-tag-list" placeholder="输入或选择标签" />') +
+    field("tag_remove", "标签", '<input id="bkTagRemove" list="bulk-tag-list" placeholder="输入或选择标签" />') +
+    '<datalist id="bulk-tag-list">' + tags.map((t) => '<option value="' + escapeHtml(t) + '">').join("") + '</datalist>' +
+    field("job", "目标岗位", '<select id="bkJob">' + jobs.map((j) => opt(j.id, (j.title || j.id) + (j.state === "paused" ? "（暂停）" : ""))).join("") + '</select>') +
+    field("follow", "下一步", '<input id="bkNextAction" placeholder="例如：电话沟通意向" />') +
+    field("follow", "跟进时间", '<input id="bkFollowAt" type="date" />') +
+    field("follow", "备注", '<textarea id="bkFollowNote" rows="2"></textarea>') +
+    field("delete", "确认", '<div class="muted">将删除候选人及其面试、面评、简历、动态和备注，此操作不可撤销。</div>') +
+    '<div id="bulkPreview" class="muted" style="margin:8px 0;white-space:pre-line"></div>' +
+    '<div class="row"><span class="spacer"></span><button class="btn" onclick="closeBulk()">取消</button><button class="btn" onclick="bulkSubmit(true)">预览</button><button class="btn primary" id="bulkRunBtn" onclick="bulkSubmit(false)" disabled>确认执行</button></div>' +
+    '</div></div>' +
+    '<script>var _bulkAction="";' +
+    'function getSelected(){return Array.from(document.querySelectorAll(".batch-check:checked")).map(function(cb){return cb.dataset.id})}' +
+    'function updateBatchBar(){var ids=getSelected();var bar=document.getElementById("batchBar");document.getElementById("batchCount").textContent="已选 "+ids.length+" 人";bar.style.display=ids.length?"flex":"none"}' +
+    'function clearBatch(){document.querySelectorAll(".batch-check,.col-check,#selectAll").forEach(function(cb){cb.checked=false});updateBatchBar()}' +
+    'document.addEventListener("change",function(e){var t=e.target;if(t.id==="selectAll"){document.querySelectorAll(".batch-check").forEach(function(cb){cb.checked=t.checked})}else if(t.classList.contains("col-check")){document.querySelectorAll(".batch-check[data-col=\\""+t.dataset.col+"\\"]").forEach(function(cb){cb.checked=t.checked})}if(t.id==="selectAll"||t.classList.contains("col-check")||t.classList.contains("batch-check"))updateBatchBar()});' +
+    'function bulkStatusChanged(){var st=document.getElementById("bkStatus").value;document.getElementById("bkReasonWrap").style.display=_bulkAction==="status"&&(st==="淘汰"||/不通过$/.test(st))?"block":"none";bulkReset()}' +
+    'function bulkReset(){document.getElementById("bulkPreview").textContent="";document.getElementById("bulkRunBtn").disabled=true}' +
+    'function openBulk(action){if(!getSelected().length)return;_bulkAction=action;var labels=' + JSON.stringify({ status: "批量更新状态", tag_add: "批量添加标签", tag_remove: "批量移除标签", job: "批量更换岗位", follow: "批量更新跟进", delete: "批量删除" }) + ';document.getElementById("bulkTitle").textContent=labels[action]+"（已选 "+getSelected().length+" 人）";document.querySelectorAll(".bulk-f").forEach(function(el){el.style.display=el.dataset.for===action?"block":"none"});bulkStatusChanged();document.getElementById("bulkModal").style.display="flex"}' +
+    'function closeBulk(){document.getElementById("bulkModal").style.display="none"}' +
+    'function bulkPayload(preview){var v=function(id){var el=document.getElementById(id);return el?(el.type==="checkbox"?el.checked:el.value):""};var p={ids:getSelected(),action:_bulkAction,preview:preview};' +
+      'if(_bulkAction==="status"){p.status=v("bkStatus");p.reason=v("bkReason");p.reasonNote=v("bkReasonNote");p.override=!!v("bkOverride")}else if(_bulkAction==="tag_add"){p.tag=v("bkTagAdd")}else if(_bulkAction==="tag_remove"){p.tag=v("bkTagRemove")}else if(_bulkAction==="job"){p.jobId=v("bkJob")}else if(_bulkAction==="follow"){p.nextAction=v("bkNextAction");p.followAt=v("bkFollowAt");p.note=v("bkFollowNote")}return p}' +
+    'async function bulkSubmit(preview){var p=bulkPayload(preview);if(p.action==="status"&&document.getElementById("bkReasonWrap").style.display!=="none"&&!p.reason){alert("请选择淘汰原因");return}var r=await fetch("/api/candidates/bulk",{method:"POST",headers:{"Content-Type":"application/json"},body:JSON.stringify(p)});var d=await r.json().catch(function(){return{}});if(!r.ok){alert(d.error||"操作失败");return}' +
+      'var msg=(preview?"预览：":"已完成：")+"将变更 "+d.changed+" / "+d.total+" 人"+(d.skipped.length?"，跳过 "+d.skipped.length+" 人":"")+(d.missing?"，无权限或不存在 "+d.missing+" 人":"");if(!preview)msg=msg.replace("将变更","已变更");' +
+      'msg+=d.skipped.slice(0,8).map(function(x){return "\\n· "+x.name+"："+x.error}).join("")+(d.skipped.length>8?"\\n……":"");' +
+      'if(preview){document.getElementById("bulkPreview").textContent=msg;document.getElementById("bulkRunBtn").disabled=!d.changed}else{alert(msg);location.reload()}}' +
+    '["bkReason","bkOverride","bkTagAdd","bkTagRemove","bkJob","bkNextAction","bkFollowAt","bkFollowNote"].forEach(function(id){var el=document.getElementById(id);if(el)el.addEventListener("input",bulkReset)});' +
+    'async function bulkExport(){var ids=getSelected();if(!ids.length)return;var r=await fetch("/api/candidates/bulk",{method:"POST",headers:{"Content-Type":"application/json"},body:JSON.stringify({ids:ids,action:"export"})});if(!r.ok){var d=await r.json().catch(function(){return{}});alert(d.error||"导出失败");return}var blob=await r.blob();var a=document.createElement("a");a.href=URL.createObjectURL(blob);a.download="候选人导出_"+new Date().toISOString().slice(0,10)+".csv";document.body.appendChild(a);a.click();a.remove()}' +
+    '</script>';
+}
+
 // ====== 岗位招聘漏斗统计 ======
 export function jobFunnelStats(d, jobId) {
   const list = d.candidates.filter((c) => c.jobId === jobId);
   const stat = { total: list.length, "待筛选": 0, "面试中": 0, "Offer发放": 0, "入职": 0, "淘汰": 0 };
+  const statusSet = templateStatusSet(getJobTemplate(d, jobId));
   for (const c of list) {
-    const s = STATUS_SET.has(c.status) ? c.status : "待筛选";
+    const s = statusSet.has(c.status) ? c.status : "待筛选";
     if (s === "待筛选") stat["待筛选"]++;
     else if (s === "Offer发放") stat["Offer发放"]++;
     else if (s === "入职") stat["入职"]++;
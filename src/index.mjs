@@ -7,9 +7,11 @@ import express from "express";
 import path from "path";
 import fs from "fs";
 import { fileURLToPath } from "url";
-import { renderPage } from "./ui.mjs";
-import { loadData } from "./db.mjs";
+import { renderPage, setNavBadges } from "./ui.mjs";
+import { loadData, dataVersion } from "./db.mjs";
 import { sessionMiddleware, registerAuthRoutes, requireLogin } from "./auth.mjs";
+import { userTodos, loadTodoStates } from "./todos.mjs";
+import { auditMiddleware } from "./audit.mjs";
 
 // ====== 路由 ======
 import dashboardRouter from "./routes/dashboard.mjs";
@@ -21,12 +23,24 @@ import offersRouter from "./routes/offers.mjs";
 import settingsRouter from "./routes/settings.mjs";
 import scheduleRouter from "./routes/schedule.mjs";
 import reviewRouter from "./routes/review.mjs";
+import selfScheduleRouter from "./routes/selfSchedule.mjs";
 import resumeApiRouter from "./routes/resumeApi.mjs";
+import offerApiRouter from "./routes/offerApi.mjs";
+import onboardingRouter from "./routes/onboarding.mjs";
+import emailApiRouter from "./routes/emailApi.mjs";
+import mentionsRouter from "./routes/mentions.mjs";
+import todosRouter from "./routes/todos.mjs";
+import tasksRouter from "./routes/tasks.mjs";
+import auditRouter from "./routes/audit.mjs";
+import hunterPortalRouter from "./routes/hunterPortal.mjs";
+import careersRouter from "./routes/careers.mjs";
+import referralsRouter from "./routes/referrals.mjs";
+import agenciesRouter from "./routes/agencies.mjs";
 import { registerErrorHandler } from "./routes/errorHandler.mjs";
 
 // ====== 定时任务 ======
-import { checkReviewReminders } from "./tasks/reviewReminders.mjs";
-import careersSyncRouter, { syncCareersApplications } from "./tasks/careersSync.mjs";
+import careersSyncRouter from "./tasks/careersSync.mjs";
+import { runDueTasks } from "./tasks/runner.mjs";
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -39,6 +53,9 @@ app.use(express.json({ limit: "10mb" }));
 // ====== Session 中间件 ======
 app.use(sessionMiddleware());
 
+// ====== 审计日志：没有显式记录的写请求在响应结束时补记 ======
+app.use(auditMiddleware());
+
 // ====== uploads（回退用，serverless 环境下跳过）=====
 const isServerless = !!process.env.VERCEL;
 const UPLOADS_DIR = path.join(process.cwd(), "uploads");
@@ -49,6 +66,28 @@ if (!isServerless) {
   app.use("/uploads", express.static(UPLOADS_DIR));
 }
 
+// ====== 侧边栏待办角标：页面请求时按当前用户计算（loadData 与用户偏好都有 30 秒缓存）======
+// 数据版本和忽略 / 延后状态都没变时沿用上次的结果，不重复计算待办
+const navBadgeKeys = new Map();
+app.use(async (req, res, next) => {
+  const user = req.session?.user;
+  if (req.method !== "GET" || !user || req.path.startsWith("/api/") || req.path.startsWith("/uploads/")) return next();
+  try {
+    const d = await loadData();
+    const states = await loadTodoStates(d, user);
+    const uid = user.openId || user.id;
+    const key = dataVersion() + "|" + JSON.stringify(states);
+    if (navBadgeKeys.get(uid) !== key) {
+      const { counts } = userTodos(d, user, { states });
+      setNavBadges(uid, { todos: counts.total, mentions: counts.mention });
+      navBadgeKeys.set(uid, key);
+    }
+  } catch (e) {
+    console.warn("[Todos] 计算待办数量失败:", e.message);
+  }
+  next();
+});
+
 // ====== 注册登录/登出路由（来自 auth.mjs）======
 registerAuthRoutes(app, renderPage);
 
@@ -75,8 +114,20 @@ app.use(offersRouter);
 app.use(settingsRouter);
 app.use(scheduleRouter);
 app.use(reviewRouter);
+app.use(selfScheduleRouter);
 app.use(resumeApiRouter);
+app.use(offerApiRouter);
+app.use(onboardingRouter);
+app.use(emailApiRouter);
+app.use(mentionsRouter);
+app.use(todosRouter);
+app.use(tasksRouter);
+app.use(auditRouter);
 app.use(careersSyncRouter);
+app.use(hunterPortalRouter);
+app.use(careersRouter);
+app.use(referralsRouter);
+app.use(agenciesRouter);
 
 // ====== 全局错误处理 ======
 registerErrorHandler(app);
@@ -90,16 +141,10 @@ if (!isServerless) {
     console.log("[OK] 看板: http://localhost:" + port + "/candidates/board");
     console.log("[OK] Offer管理: http://localhost:" + port + "/offers");
 
-    // 启动面评提醒定时检查（每30分钟检查一次）
-    setInterval(checkReviewReminders, 30 * 60 * 1000);
-    // 启动后延迟1分钟执行首次检查
-    setTimeout(checkReviewReminders, 60 * 1000);
-    console.log("[OK] 面评提醒: 每30分钟检查一次（首次检查1分钟后）");
-
-    // 官网投递自动同步（每15分钟一次）
-    setInterval(syncCareersApplications, 15 * 60 * 1000);
-    setTimeout(syncCareersApplications, 2 * 60 * 1000);
-    console.log("[OK] 官网投递同步: 每15分钟自动同步（首次2分钟后）");
+    // 后台任务：每分钟检查一次到期任务（面评提醒、入职/跟进提醒、官网投递同步、Offer 审批同步等，频率见 tasks/runner.mjs），
+    // 运行状态存于数据层，重启后按上次记录的下次运行时间继续；serverless 环境由外部 cron 调用 /api/cron/:task
+    setInterval(() => runDueTasks("schedule").catch((e) => console.error("[Task] 调度失败:", e.message)), 60 * 1000);
+    console.log("[OK] 后台任务: 每分钟检查到期任务（首次检查1分钟后）");
   });
 }
 
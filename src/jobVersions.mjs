@@ -0,0 +1,151 @@
+// ====== 职位版本与 JD 模板 ======
+// 每次保存职位时，对外发布相关的字段（名称、负责人、HC、JD 等）有变化则生成一个版本 d.jobVersions：
+//   { id, jobId, version, snapshot, changedFields, author, authorOpenId, note, createdAt }
+// 启用版本记录前创建的职位，首次保存时先把原内容记为 v1（author 为空），再记录本次修改。
+// 候选人创建 / 更换岗位时记录当时的版本号 c.jobVersion；早期候选人没有记录时按创建时间推断。
+// JD 模板 d.jdTemplates：[{ id, name, category, content, createdAt, updatedAt }]，按职位分类选用，
+// 内容中的 {{岗位}} {{地点}} {{招聘类型}} 在套用时替换为职位对应字段。
+import { nowIso, rid } from "./db.mjs";
+import { diffFields } from "./audit.mjs";
+
+export const JOB_VERSION_FIELDS = [
+  "title", "titleEn", "department", "location", "owners", "headcount", "priority",
+  "level", "budgetMin", "budgetMax", "category", "employmentType", "targetFillDate", "jd",
+];
+
+export function jobSnapshot(job) {
+  const snap = {};
+  for (const f of JOB_VERSION_FIELDS) snap[f] = job[f] === undefined ? null : JSON.parse(JSON.stringify(job[f]));
+  return snap;
+}
+
+// 新版本在前
+export function jobVersions(d, jobId) {
+  return d.jobVersions.filter((v) => v.jobId === jobId).sort((a, b) => b.version - a.version);
+}
+
+export function findJobVersion(d, jobId, versionId) {
+  return d.jobVersions.find((v) => v.jobId === jobId && v.id === versionId) || null;
+}
+
+export function latestJobVersion(d, jobId) {
+  return jobVersions(d, jobId)[0] || null;
+}
+
+// 两个快照间的字段变更（JD 另行按行比较）
+export function snapshotChanges(before, after) {
+  return diffFields(before, after);
+}
+
+function newVersion(d, job, snapshot, { author = "", authorOpenId = "", note = "", createdAt = nowIso(), changedFields = [] } = {}) {
+  const latest = latestJobVersion(d, job.id);
+  const v = {
+    id: rid("jv"),
+    jobId: job.id,
+    version: (latest?.version || 0) + 1,
+    snapshot,
+    changedFields,
+    author,
+    authorOpenId,
+    note,
+    createdAt,
+  };
+  d.jobVersions.push(v);
+  job.version = v.version;
+  return v;
+}
+
+/**
+ * 保存职位后调用：与上一版本相比有变化时生成新版本，返回新版本（无变化返回 null）
+ * before 为保存前的职位快照，用于补记启用版本记录前的内容
+ */
+export function recordJobVersion(d, job, user, { before = null, note = "" } = {}) {
+  const snapshot = jobSnapshot(job);
+  let latest = latestJobVersion(d, job.id);
+  if (!latest && before) {
+    latest = newVersion(d, job, jobSnapshot(before), { note: "启用版本记录前的内容", createdAt: before.createdAt || nowIso() });
+  }
+  const changedFields = latest ? snapshotChanges(latest.snapshot, snapshot).map((c) => c.field) : [];
+  if (latest && !changedFields.length) return null;
+  return newVersion(d, job, snapshot, { author: user?.name || "系统", authorOpenId: user?.openId || "", note, changedFields });
+}
+
+// 还原为指定版本的内容（会生成一个新版本，历史版本保持不变）
+export function restoreJobVersion(d, job, v, user) {
+  Object.assign(job, JSON.parse(JSON.stringify(v.snapshot)));
+  const owners = Array.isArray(job.owners) ? job.owners : [];
+  job.owner = owners.map((o) => o.name).join(", ");
+  job.ownerOpenId = owners.map((o) => o.openId).join(", ");
+  job.updatedAt = nowIso();
+  return recordJobVersion(d, job, user, { note: "还原自 v" + v.version });
+}
+
+// 候选人创建 / 更换岗位时记录岗位当前版本；岗位还没有版本记录时不写，展示时按时间推断
+export function stampJobVersion(d, c) {
+  const latest = latestJobVersion(d, c.jobId);
+  c.jobVersion = latest ? latest.version : null;
+}
+
+// 候选人投递时的岗位版本：优先取记录的版本号，否则取创建时间之前的最后一个版本（都没有时取最早的版本）
+export function candidateJobVersion(d, c) {
+  const list = jobVersions(d, c.jobId);
+  if (!list.length) return null;
+  if (c.jobVersion) return list.find((v) => v.version === c.jobVersion) || null;
+  const at = c.createdAt || "";
+  return list.find((v) => v.createdAt <= at) || list[list.length - 1];
+}
+
+// ===== 行级 diff（LCS），用于 JD 对比 =====
+const MAX_DIFF_LINES = 1500;
+
+/** @returns {Array<{ type: "same" | "add" | "del", text: string }>} */
+export function lineDiff(a, b) {
+  const x = String(a || "").split("\n").slice(0, MAX_DIFF_LINES);
+  const y = String(b || "").split("\n").slice(0, MAX_DIFF_LINES);
+  const n = x.length, m = y.length;
+  const lcs = Array.from({ length: n + 1 }, () => new Uint16Array(m + 1));
+  for (let i = n - 1; i >= 0; i--) {
+    for (let j = m - 1; j >= 0; j--) {
+      lcs[i][j] = x[i] === y[j] ? lcs[i + 1][j + 1] + 1 : Math.max(lcs[i + 1][j], lcs[i][j + 1]);
+    }
+  }
+  const out = [];
+  let i = 0, j = 0;
+  while (i < n && j < m) {
+    if (x[i] === y[j]) { out.push({ type: "same", text: x[i] }); i++; j++; }
+    else if (lcs[i + 1][j] >= lcs[i][j + 1]) out.push({ type: "del", text: x[i++] });
+    else out.push({ type: "add", text: y[j++] });
+  }
+  while (i < n) out.push({ type: "del", text: x[i++] });
+  while (j < m) out.push({ type: "add", text: y[j++] });
+  return out;
+}
+
+// ===== JD 模板 =====
+
+export const JD_PLACEHOLDERS = { "{{岗位}}": "title", "{{地点}}": "location", "{{招聘类型}}": "employmentType" };
+
+// 替换占位符；职位对应字段为空时保留占位符，提醒补充
+export function fillJdTemplate(content, job) {
+  let s = String(content || "");
+  for (const [ph, field] of Object.entries(JD_PLACEHOLDERS)) {
+    const v = String(job?.[field] || "").trim();
+    if (v) s = s.split(ph).join(v);
+  }
+  return s;
+}
+
+// 按分类筛选模板；未指定分类的模板对所有分类可用
+export function jdTemplatesFor(d, category = "") {
+  return d.jdTemplates.filter((t) => !category || !t.category || t.category === category);
+}
+
+export function parseJdTemplateInput(body, categories) {
+  const name = String(body?.name || "").trim();
+  const category = String(body?.category || "").trim();
+  const content = String(body?.content || "").trim();
+  if (!name) return { error: "请填写模板名称" };
+  if (category && !categories.includes(category)) return { error: "职位分类不存在：" + category };
+  if (!content) return { error: "请填写 JD 内容" };
+  return { template: { name, category, content } };
+}
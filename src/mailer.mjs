@@ -0,0 +1,190 @@
+/**
+ * 邮件发送模块（SMTP）
+ * - 不依赖第三方库，直接用 net / tls 走 SMTP 会话：EHLO → STARTTLS → AUTH LOGIN → MAIL FROM → RCPT TO → DATA
+ * - 环境变量：SMTP_HOST / SMTP_PORT / SMTP_USER / SMTP_PASS / SMTP_FROM / SMTP_SECURE（465 端口直连 TLS）
+ * - MAIL_TRANSPORT=stub 或未配置 SMTP_HOST 时使用 stub 传输：不真正发信，只打印日志，便于本地测试
+ */
+import net from "node:net";
+import tls from "node:tls";
+import crypto from "node:crypto";
+import os from "node:os";
+
+const SMTP_TIMEOUT_MS = 20000;
+
+/* ---------- 环境变量 ---------- */
+const smtpHost = () => process.env.SMTP_HOST || "";
+const smtpPort = () => Number(process.env.SMTP_PORT) || (smtpSecure() ? 465 : 587);
+const smtpSecure = () => process.env.SMTP_SECURE === "true" || process.env.SMTP_PORT === "465";
+const smtpFrom = () => process.env.SMTP_FROM || process.env.SMTP_USER || "";
+
+export function mailTransport() {
+  if (process.env.MAIL_TRANSPORT === "stub" || !smtpHost()) return "stub";
+  return "smtp";
+}
+
+export function mailEnabled() {
+  return mailTransport() === "stub" || !!smtpFrom();
+}
+
+/* ---------- MIME 组装 ---------- */
+function encodeWord(s) {
+  return /^[\x20-\x7e]*$/.test(s) ? s : "=?UTF-8?B?" + Buffer.from(s, "utf-8").toString("base64") + "?=";
+}
+
+function base64Lines(buf) {
+  return buf.toString("base64").replace(/.{1,76}/g, "$&\r\n");
+}
+
+// "招聘团队 <hr@example.com>" → 名称编码后的 From 头；同时返回信封地址
+function parseAddress(s) {
+  const m = String(s).match(/^\s*(.*?)\s*<([^>]+)>\s*$/);
+  if (!m) return { header: String(s).trim(), address: String(s).trim() };
+  const name = m[1].replace(/^"|"$/g, "");
+  return { header: (name ? encodeWord(name) + " " : "") + "<" + m[2] + ">", address: m[2] };
+}
+
+function buildMessage({ from, to, subject, text, attachments = [], messageId }) {
+  const boundary = "b_" + crypto.randomBytes(12).toString("hex");
+  const headers = [
+    "From: " + from,
+    "To: " + to,
+    "Subject: " + encodeWord(subject),
+    "Date: " + new Date().toUTCString().replace("GMT", "+0000"),
+    "Message-ID: " + messageId,
+    "MIME-Version: 1.0",
+    'Content-Type: multipart/mixed; boundary="' + boundary + '"',
+  ];
+  const parts = [
+    '--' + boundary + '\r\nContent-Type: text/plain; charset=UTF-8\r\nContent-Transfer-Encoding: base64\r\n\r\n' + base64Lines(Buffer.from(text, "utf-8")),
+    ...attachments.map(a =>
+      '--' + boundary + '\r\nContent-Type: ' + (a.contentType || "application/octet-stream") + '; name="' + encodeWord(a.filename) + '"\r\n' +
+      'Content-Disposition: attachment; filename="' + encodeWord(a.filename) + '"\r\nContent-Transfer-Encoding: base64\r\n\r\n' +
+      base64Lines(Buffer.isBuffer(a.content) ? a.content : Buffer.from(String(a.content), "utf-8"))),
+  ];
+  return headers.join("\r\n") + "\r\n\r\n" + parts.join("") + "--" + boundary + "--\r\n";
+}
+
+/* ---------- SMTP 会话 ---------- */
+// 读取一个完整应答（多行应答以 "250-" 续行，最后一行为 "250 "）
+function smtpSession(socket) {
+  let buf = "";
+  let waiting = null;
+  const onData = (chunk) => {
+    buf += chunk.toString("utf-8");
+    flush();
+  };
+  const flush = () => {
+    if (!waiting) return;
+    const m = buf.match(/^(?:\d{3}-[^\r\n]*\r\n)*(\d{3})(?:[ ][^\r\n]*)?\r\n/);
+    if (!m) return;
+    buf = buf.slice(m[0].length);
+    const w = waiting;
+    waiting = null;
+    w.resolve({ code: Number(m[1]), text: m[0].trim() });
+  };
+  const fail = (err) => {
+    if (waiting) { const w = waiting; waiting = null; w.reject(err); }
+  };
+  const attach = (s) => {
+    s.on("data", onData);
+    s.on("error", fail);
+    s.on("timeout", () => { fail(new Error("SMTP 连接超时")); s.destroy(); });
+    s.on("close", () => fail(new Error("SMTP 连接已关闭")));
+  };
+  attach(socket);
+
+  const read = () => new Promise((resolve, reject) => { waiting = { resolve, reject }; flush(); });
+  return {
+    read,
+    async cmd(line, expect) {
+      if (line !== null) socket.write(line + "\r\n");
+      const r = await read();
+      if (!expect.includes(r.code)) throw new Error("SMTP " + (line ? line.split(" ")[0] : "连接") + " 失败: " + r.text);
+      return r;
+    },
+    // STARTTLS 之后换成加密 socket 继续会话
+    upgrade(s) {
+      socket.removeListener("data", onData);
+      socket = s;
+      attach(s);
+    },
+    get socket() { return socket; },
+  };
+}
+
+function connect() {
+  const host = smtpHost();
+  const port = smtpPort();
+  return new Promise((resolve, reject) => {
+    const s = smtpSecure()
+      ? tls.connect({ host, port, servername: host }, () => resolve(s))
+      : net.connect({ host, port }, () => resolve(s));
+    s.setTimeout(SMTP_TIMEOUT_MS);
+    s.once("error", reject);
+  });
+}
+
+async function sendSmtp({ from, to, raw }) {
+  const socket = await connect();
+  const session = smtpSession(socket);
+  try {
+    await session.cmd(null, [220]);
+    const ehloName = os.hostname() || "localhost";
+    let ehlo = await session.cmd("EHLO " + ehloName, [250]);
+    if (!smtpSecure() && /STARTTLS/i.test(ehlo.text)) {
+      await session.cmd("STARTTLS", [220]);
+      const secure = await new Promise((resolve, reject) => {
+        const s = tls.connect({ socket: session.socket, servername: smtpHost() }, () => resolve(s));
+        s.once("error", reject);
+      });
+      secure.setTimeout(SMTP_TIMEOUT_MS);
+      session.upgrade(secure);
+      ehlo = await session.cmd("EHLO " + ehloName, [250]);
+    }
+    if (process.env.SMTP_USER) {
+      await session.cmd("AUTH LOGIN", [334]);
+      await session.cmd(Buffer.from(process.env.SMTP_USER).toString("base64"), [334]);
+      await session.cmd(Buffer.from(process.env.SMTP_PASS || "").toString("base64"), [235]);
+    }
+    await session.cmd("MAIL FROM:<" + from + ">", [250]);
+    await session.cmd("RCPT TO:<" + to + ">", [250, 251]);
+    await session.cmd("DATA", [354]);
+    // 行首的 "." 需要转义为 ".."
+    await session.cmd(raw.replace(/\r\n\./g, "\r\n..") + ".", [250]);
+    await session.cmd("QUIT", [221]).catch(() => {});
+  } finally {
+    session.socket.destroy();
+  }
+}
+
+const EMAIL_RE = /^[^\s@<>]+@[^\s@<>]+\.[^\s@<>]+$/;
+
+export function isValidEmail(s) {
+  return EMAIL_RE.test(String(s || "").trim());
+}
+
+/**
+ * 发送邮件
+ * @param {{ to: string, subject: string, text: string, attachments?: { filename, content, contentType }[] }} mail
+ * @returns {Promise<{ ok: boolean, messageId?: string, transport: string, error?: string }>}
+ */
+export async function sendMail({ to, subject, text, attachments = [] }) {
+  const transport = mailTransport();
+  if (!isValidEmail(to)) return { ok: false, transport, error: "收件邮箱格式不正确" };
+  const from = parseAddress(smtpFrom() || "recruit@localhost");
+  const messageId = "<" + crypto.randomUUID() + "@" + (from.address.split("@")[1] || "localhost") + ">";
+  const raw = buildMessage({ from: from.header, to, subject, text, attachments, messageId });
+
+  if (transport === "stub") {
+    console.log(`[Mail:stub] To: ${to} | Subject: ${subject} | 附件 ${attachments.length} 个 | ${Buffer.byteLength(raw)} 字节`);
+    return { ok: true, messageId, transport };
+  }
+  try {
+    await sendSmtp({ from: from.address, to: to.trim(), raw });
+    console.log(`[Mail] 已发送 To: ${to} | Subject: ${subject}`);
+    return { ok: true, messageId, transport };
+  } catch (e) {
+    console.error("[Mail] 发送失败:", e.message);
+    return { ok: false, transport, error: e.message };
+  }
+}
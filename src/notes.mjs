@@ -0,0 +1,85 @@
+// ====== 候选人备注：@提及、回复、编辑历史、表情回应、Markdown 渲染 ======
+// 备注：{ id, candidateId, parentId, authorId, authorName, authorAvatar, content, visibility, mentionedUserIds,
+//         mentionReadBy, reactions: { 表情: [用户ID] }, editHistory: [{ content, editedAt }], editedAt, createdAt }
+// 用户 ID 与 authorId 一致：优先 openId，快捷登录用户为 id。回复只有一层，可见范围跟随所回复的备注。
+import { Marked } from "marked";
+import { escapeHtml } from "./ui.mjs";
+import { feishuEnabled, sendFeishuMessage } from "./feishu.mjs";
+import { getVisibleJobIds } from "./helpers.mjs";
+
+export const NOTE_REACTIONS = ["👍", "🎉", "❤️", "👀", "❓"];
+
+export function userKey(u) {
+  return u?.openId || u?.id || "";
+}
+
+// 正文中的 "@姓名" 与显式传入的用户 ID 合并为提及列表
+export function parseMentions(d, content, ids = []) {
+  const out = new Set();
+  for (const u of d.users || []) {
+    if (u.name && content.includes("@" + u.name)) out.add(userKey(u));
+  }
+  for (const id of Array.isArray(ids) ? ids : []) {
+    const u = (d.users || []).find(x => x.openId === id || x.id === id);
+    if (u) out.add(userKey(u));
+  }
+  out.delete("");
+  return [...out];
+}
+
+export function canSeeNote(d, n, uid) {
+  if (n.authorId === uid || (n.mentionedUserIds || []).includes(uid)) return true;
+  const root = n.parentId ? (d.notes || []).find(x => x.id === n.parentId) : null;
+  if (root) return canSeeNote(d, root, uid);
+  return n.visibility !== "private";
+}
+
+export function isUnreadMention(n, uid) {
+  return n.authorId !== uid && (n.mentionedUserIds || []).includes(uid) && !(n.mentionReadBy || []).includes(uid);
+}
+
+// 当前用户在可见候选人下被提及的备注，未读在前
+export function mentionsFor(d, user) {
+  const uid = userKey(user);
+  const vj = getVisibleJobIds(user, d.jobs);
+  const candMap = new Map(d.candidates.map(c => [c.id, c]));
+  return (d.notes || [])
+    .filter(n => n.authorId !== uid && (n.mentionedUserIds || []).includes(uid) && canSeeNote(d, n, uid))
+    .map(n => ({ n, c: candMap.get(n.candidateId), unread: isUnreadMention(n, uid) }))
+    .filter(x => x.c && (vj === null || vj.has(x.c.jobId)))
+    .sort((a, b) => (b.unread - a.unread) || (b.n.createdAt || "").localeCompare(a.n.createdAt || ""));
+}
+
+// Markdown 渲染：原始 HTML 一律转义，链接只允许 http(s) / mailto / 站内路径
+const md = new Marked({
+  gfm: true,
+  breaks: true,
+  renderer: {
+    html({ text }) { return escapeHtml(text); },
+  },
+  walkTokens(t) {
+    if ((t.type === "link" || t.type === "image") && !/^(https?:|mailto:|\/(?!\/)|#)/i.test(t.href || "")) t.href = "#";
+  },
+});
+
+export function renderNoteMarkdown(content) {
+  return md.parse(String(content || ""));
+}
+
+// 给新被提及且能查看该候选人的成员发飞书消息，附带直达该备注的链接（经 /mentions/:noteId 跳转并标记已读）
+export async function notifyMentions(d, c, note, uids, actor) {
+  if (!feishuEnabled() || !uids.length) return;
+  const baseUrl = process.env.BASE_URL || "https://recruit-platform-sable.vercel.app";
+  const url = baseUrl + "/mentions/" + note.id + "?lk_jump_to_browser=true";
+  const preview = note.content.length > 200 ? note.content.slice(0, 200) + "..." : note.content;
+  const content = `**${actor?.name || "有人"}** 在候选人「${c.name}」的${note.parentId ? "备注回复" : "备注"}中提到了你：\n\n${preview}`;
+  const buttons = [{ tag: "action", actions: [{ tag: "button", text: { tag: "plain_text", content: "查看备注" }, url, type: "primary" }] }];
+  const me = userKey(actor);
+  await Promise.all(uids.filter(uid => uid !== me).map(uid => {
+    const u = (d.users || []).find(x => userKey(x) === uid);
+    if (!u?.openId) return null;
+    const vj = getVisibleJobIds(u, d.jobs);
+    if (vj !== null && !vj.has(c.jobId)) return null;
+    return sendFeishuMessage(u.openId, content, "你被提及了", buttons).catch(() => null);
+  }));
+}
@@ -0,0 +1,230 @@
+// ====== 通知规则引擎 ======
+// 面向内部成员的飞书通知统一经过规则引擎：业务代码调用 notify(d, trigger, ctx)，引擎按 app_config.notificationRules
+// 中启用且条件匹配的规则解析接收人、渲染模板并发送，每条发送（含失败 / 跳过）写入通知日志 notification_logs。
+// 规则：{ id, name, trigger, enabled, conditions: { jobIds, sources, statuses }, recipients: [接收人类型], users: [成员姓名], channel, title, content }
+// 条件为空表示不限；title / content 留空时使用业务代码提供的默认文案，填写后可使用 {{变量}}（见 NOTIFY_TRIGGERS[].vars）。
+// 每日跟进汇总 / 逾期升级等汇总类通知不针对单个候选人，只有不设条件的规则会匹配。
+// Offer 审批待办、入职事项逾期等点对点的流程消息只发给流程当事人，不经过规则引擎。
+import { nowIso, rid, appendNotificationLogs } from "./db.mjs";
+import { feishuEnabled, sendFeishuMessage, sendFeishuGroupMessage } from "./feishu.mjs";
+
+const COMMON_VARS = ["候选人", "岗位", "状态", "来源", "操作人", "链接"];
+
+export const NOTIFY_TRIGGERS = [
+  { key: "new_candidate", name: "新候选人", vars: [...COMMON_VARS, "联系方式"] },
+  { key: "status_change", name: "状态变更", vars: [...COMMON_VARS, "原状态"] },
+  { key: "interview_scheduled", name: "面试安排", vars: [...COMMON_VARS, "轮次", "面试时间", "地点"] },
+  { key: "interview_booked", name: "候选人自助预约", vars: [...COMMON_VARS, "轮次", "说明"] },
+  { key: "review_submitted", name: "面评提交", vars: [...COMMON_VARS, "轮次", "面试官", "结论", "评级"] },
+  { key: "review_reminder", name: "面评提醒", vars: [...COMMON_VARS, "轮次", "面试时间"] },
+  { key: "offer_change", name: "Offer 变更", vars: [...COMMON_VARS, "Offer状态", "Offer方案", "入职日期"] },
+  { key: "followup_due", name: "跟进到期", vars: [...COMMON_VARS, "下一步", "跟进时间", "跟进备注"] },
+  { key: "followup_digest", name: "每日跟进汇总", vars: ["逾期跟进数", "停留超时数", "汇总"] },
+  { key: "followup_escalation", name: "跟进逾期升级", vars: ["升级天数", "逾期跟进数", "停留超时数", "汇总"] },
+  { key: "manual", name: "手动通知", vars: [...COMMON_VARS, "消息"] },
+];
+
+export const RECIPIENT_TYPES = [
+  { key: "job_owners", name: "岗位负责人" },
+  { key: "owners_or_admins", name: "岗位负责人（未设置时通知管理员）" },
+  { key: "interviewers", name: "面试官" },
+  { key: "admins", name: "管理员" },
+  { key: "actor", name: "操作人" },
+  { key: "hr_group", name: "HR 群聊" },
+  { key: "users", name: "指定成员" },
+];
+
+export const NOTIFY_CHANNELS = [
+  { key: "feishu", name: "飞书消息" },
+  { key: "log", name: "仅记录日志（不发送）" },
+];
+
+export function triggerMeta(key) {
+  return NOTIFY_TRIGGERS.find(t => t.key === key) || null;
+}
+
+export function normalizeRule(r) {
+  const c = r.conditions || {};
+  return {
+    id: r.id,
+    name: r.name || "",
+    trigger: r.trigger,
+    enabled: r.enabled !== false,
+    conditions: { jobIds: c.jobIds || [], sources: c.sources || [], statuses: c.statuses || [] },
+    recipients: r.recipients || [],
+    users: r.users || [],
+    channel: r.channel || "feishu",
+    title: r.title || "",
+    content: r.content || "",
+  };
+}
+
+export function notificationRules(d) {
+  return (d.notificationRules || []).map(normalizeRule);
+}
+
+// 校验设置页提交的规则，返回 { rule } 或 { error }
+export function parseRuleInput(d, body, existing = null) {
+  const name = String(body.name || "").trim();
+  if (!name) return { error: "规则名称不能为空" };
+  if (!triggerMeta(body.trigger)) return { error: "请选择触发事件" };
+  const list = (v) => (Array.isArray(v) ? v : String(v || "").split(/[,，、\n]/)).map(x => String(x).trim()).filter(Boolean);
+  const recipients = list(body.recipients).filter(k => RECIPIENT_TYPES.some(t => t.key === k));
+  const users = list(body.users);
+  if (!recipients.length) return { error: "请至少选择一类接收人" };
+  if (recipients.includes("users")) {
+    if (!users.length) return { error: "请填写指定成员" };
+    const unknown = users.filter(n => !d.users.some(u => u.name === n));
+    if (unknown.length) return { error: "成员不存在：" + unknown.join("、") };
+  }
+  const channel = NOTIFY_CHANNELS.some(c => c.key === body.channel) ? body.channel : "feishu";
+  const vars = triggerMeta(body.trigger).vars;
+  const title = String(body.title || "").trim();
+  const content = String(body.content || "").replace(/\r\n/g, "\n").trim();
+  const unknownVars = [...(title + content).matchAll(/\{\{\s*([^}\s]+)\s*\}\}/g)].map(m => m[1]).filter(v => !vars.includes(v));
+  if (unknownVars.length) return { error: "「" + triggerMeta(body.trigger).name + "」不支持变量：" + [...new Set(unknownVars)].join("、") };
+  return {
+    rule: {
+      id: existing?.id || rid("nr"),
+      name,
+      trigger: body.trigger,
+      enabled: body.enabled !== false && body.enabled !== "false",
+      conditions: { jobIds: list(body.jobIds), sources: list(body.sources), statuses: list(body.statuses) },
+      recipients,
+      users: recipients.includes("users") ? users : [],
+      channel,
+      title,
+      content,
+    },
+  };
+}
+
+function ruleMatches(rule, c) {
+  const { jobIds, sources, statuses } = rule.conditions;
+  if (jobIds.length && !jobIds.includes(c?.jobId)) return false;
+  if (sources.length && !sources.includes(c?.source)) return false;
+  if (statuses.length && !statuses.includes(c?.status)) return false;
+  return true;
+}
+
+export function jobOwners(job) {
+  if (Array.isArray(job?.owners) && job.owners.length) return job.owners.filter(o => o.openId).map(o => ({ name: o.name || "", openId: o.openId }));
+  if (!job?.ownerOpenId) return [];
+  // 兼容旧格式：逗号分隔的多个负责人
+  const names = String(job.owner || "").split(",").map(x => x.trim());
+  return job.ownerOpenId.split(",").map(x => x.trim()).filter(Boolean).map((openId, i) => ({ name: names[i] || "", openId }));
+}
+
+// 面试官：ctx.interviewers 为姓名或 { name, openId }，未提供时取候选人所有面试安排中的面试官
+function interviewerUsers(d, ctx) {
+  const list = ctx.interviewers || d.interviewSchedules.filter(s => s.candidateId === ctx.candidate?.id).flatMap(s => String(s.interviewers || "").split(/[\/;,、\s]+/));
+  return list.map(x => {
+    if (x && typeof x === "object") return { name: x.name || d.users.find(u => u.openId === x.openId)?.name || "", openId: x.openId || d.users.find(u => u.name === x.name)?.openId || "" };
+    const name = String(x || "").trim();
+    return { name, openId: d.users.find(u => u.name === name)?.openId || "" };
+  }).filter(x => x.openId);
+}
+
+function resolveRecipients(d, rule, ctx) {
+  const job = ctx.job || d.jobs.find(j => j.id === ctx.candidate?.jobId);
+  const owners = () => ctx.owners || jobOwners(job);
+  const admins = () => d.users.filter(u => u.role === "admin" && u.openId).map(u => ({ name: u.name, openId: u.openId }));
+  const out = [];
+  const add = (type, list) => { for (const x of list) out.push({ type, ...x }); };
+  for (const type of rule.recipients) {
+    if (type === "job_owners") add(type, owners());
+    else if (type === "owners_or_admins") { const list = owners(); add(type, list.length ? list : admins()); }
+    else if (type === "interviewers") add(type, interviewerUsers(d, ctx));
+    else if (type === "admins") add(type, admins());
+    else if (type === "actor" && ctx.actor?.openId) add(type, [{ name: ctx.actor.name || "", openId: ctx.actor.openId }]);
+    else if (type === "hr_group" && d.settings?.hrGroupChatId) add(type, [{ name: "HR 群聊", chatId: d.settings.hrGroupChatId }]);
+    else if (type === "users") add(type, rule.users.map(n => d.users.find(u => u.name === n && u.openId)).filter(Boolean).map(u => ({ name: u.name, openId: u.openId })));
+  }
+  const seen = new Set();
+  return out.filter(x => {
+    const k = x.chatId || x.openId;
+    if (seen.has(k)) return false;
+    seen.add(k);
+    return true;
+  });
+}
+
+function notifyVars(d, ctx) {
+  const c = ctx.candidate || {};
+  const job = ctx.job || d.jobs.find(j => j.id === c.jobId);
+  const baseUrl = process.env.BASE_URL || "https://recruit-platform-sable.vercel.app";
+  return {
+    "候选人": c.name || "",
+    "岗位": job?.title || c.jobTitle || "-",
+    "状态": c.status || "-",
+    "来源": c.source || "-",
+    "操作人": ctx.actor?.name || "系统",
+    "链接": c.id ? baseUrl + "/candidates/" + c.id : "",
+    ...(ctx.vars || {}),
+  };
+}
+
+function fill(text, vars) {
+  return String(text || "").replace(/\{\{\s*([^}\s]+)\s*\}\}/g, (m, k) => vars[k] !== undefined ? String(vars[k]) : m);
+}
+
+/**
+ * 触发通知
+ * ctx: { candidate, job?, owners?, actor?, interviewers?, vars?, title, content, groupContent?, buttons? }
+ *   title / content 为默认文案（规则未自定义模板时使用），groupContent 为发到群聊时的默认文案，buttons 为卡片按钮等附加元素
+ *   owners 为涉及多个岗位的汇总通知直接指定的「岗位负责人」接收人 [{ name, openId }]
+ * 日志单独追加写入 notification_logs，不需要调用方保存
+ * 返回实际发送成功的接收人列表
+ */
+export async function notify(d, trigger, ctx) {
+  const rules = notificationRules(d).filter(r => r.enabled && r.trigger === trigger && ruleMatches(r, ctx.candidate));
+  if (!rules.length) return [];
+  const vars = notifyVars(d, ctx);
+  const logs = [];
+  const sent = [];
+  for (const rule of rules) {
+    const title = rule.title ? fill(rule.title, vars) : ctx.title;
+    for (const to of resolveRecipients(d, rule, ctx)) {
+      const content = rule.content ? fill(rule.content, vars) : (to.chatId && ctx.groupContent) || ctx.content;
+      const log = {
+        id: rid("nl"),
+        ruleId: rule.id,
+        ruleName: rule.name,
+        trigger,
+        candidateId: ctx.candidate?.id || "",
+        candidateName: ctx.candidate?.name || "",
+        channel: rule.channel,
+        recipientType: to.type,
+        recipient: to.name,
+        recipientId: to.chatId || to.openId,
+        title,
+        content,
+        status: "已发送",
+        error: "",
+        createdAt: nowIso(),
+      };
+      if (rule.channel === "log") {
+        log.status = "仅记录";
+      } else if (!feishuEnabled()) {
+        log.status = "跳过";
+        log.error = "飞书未启用";
+      } else {
+        const r = to.chatId
+          ? await sendFeishuGroupMessage(to.chatId, content, title, ctx.buttons || []).catch(() => null)
+          : await sendFeishuMessage(to.openId, content, title, ctx.buttons || []).catch(() => null);
+        if (r?.code !== 0) {
+          log.status = "失败";
+          log.error = r?.msg || "请求失败";
+        } else {
+          sent.push(to);
+        }
+      }
+      logs.push(log);
+    }
+  }
+  if (logs.length) {
+    console.log(`[Notify] ${trigger}: ${ctx.candidate?.name || "-"} → ` + logs.map(l => l.recipient + "(" + l.status + ")").join(", "));
+    await appendNotificationLogs(logs).catch(e => console.warn("[Notify] 写入通知日志失败:", e.message));
+  }
+  return sent;
+}
@@ -0,0 +1,281 @@
+// ====== Offer 版本、审批与 Offer Letter ======
+// 每个候选人一条 offers 记录（当前状态），薪酬方案的每次调整保存为 offerVersions 中的新版本；
+// 审批按 offerSettings.approvers 顺序逐级进行。配置了 FEISHU_APPROVAL_CODE 时改为发起飞书审批，结果由定时任务同步回来
+import crypto from "crypto";
+import { nowIso, rid, toBjTime } from "./db.mjs";
+import { escapeHtml } from "./ui.mjs";
+import { feishuEnabled, createApprovalInstance, getApprovalInstance } from "./feishu.mjs";
+
+export const OFFER_FIELDS = ["baseSalary", "salaryMonths", "bonus", "equity", "signOn", "startDate"];
+
+export const DEFAULT_OFFER_LETTER = [
+  "尊敬的 {{候选人}}：",
+  "",
+  "您好！感谢您对{{公司}}的关注与信任。经过面试评估，我们很高兴地通知您，您已被录用为{{部门}}「{{岗位}}」一职，具体录用条件如下：",
+  "",
+  "一、薪酬：税前月薪 {{月薪}} 元，每年 {{薪数}} 薪，年度固定现金约 {{年薪}} 元；",
+  "二、奖金：{{奖金}}；",
+  "三、股权/期权：{{股权}}；",
+  "四、签字费：{{签字费}}；",
+  "五、入职日期：{{入职日期}}，工作地点：{{地点}}。",
+  "",
+  "请于收到本通知后 3 个工作日内确认是否接受。期待您的加入！",
+  "",
+  "{{公司}}",
+  "{{日期}}",
+].join("\n");
+
+export function feishuApprovalCode() {
+  return feishuEnabled() ? process.env.FEISHU_APPROVAL_CODE || "" : "";
+}
+
+// 是否需要审批：配置了审批人或飞书审批时，Offer 需审批通过才能发放
+export function approvalRequired(d) {
+  return !!(d.offerSettings.approvers.length || feishuApprovalCode());
+}
+
+export function offerVersions(d, offerId) {
+  return d.offerVersions.filter(v => v.offerId === offerId).sort((a, b) => b.version - a.version);
+}
+
+export function currentVersion(d, offer) {
+  if (!offer) return null;
+  return d.offerVersions.find(v => v.id === offer.currentVersionId) || offerVersions(d, offer.id)[0] || null;
+}
+
+function fmtMoney(n) {
+  return n === null || n === undefined || n === "" ? "-" : Number(n).toLocaleString("zh-CN");
+}
+
+export function annualCash(v) {
+  return v && v.baseSalary ? v.baseSalary * (v.salaryMonths || 12) : 0;
+}
+
+// 兼容旧的 offer.salary 文本（列表、统计沿用）
+export function offerSummary(v) {
+  if (!v) return "";
+  const parts = [v.baseSalary ? fmtMoney(v.baseSalary) + "×" + (v.salaryMonths || 12) : ""];
+  if (v.bonus) parts.push("奖金 " + v.bonus);
+  if (v.equity) parts.push("股权 " + v.equity);
+  if (v.signOn) parts.push("签字费 " + fmtMoney(v.signOn));
+  return parts.filter(Boolean).join(" · ");
+}
+
+function numField(raw, label, { min = 0, max = 10000000, integer = false } = {}) {
+  const s = String(raw ?? "").replace(/[,，\s]/g, "");
+  if (!s) return { value: null };
+  const n = Number(s);
+  if (!Number.isFinite(n) || n < min || n > max || (integer && !Number.isInteger(n))) return { error: label + "格式不正确" };
+  return { value: n };
+}
+
+export function parseOfferVersionInput(body) {
+  const base = numField(body.baseSalary, "月薪", { min: 1 });
+  if (base.error) return { error: base.error };
+  if (!base.value) return { error: "请填写月薪" };
+  const months = numField(body.salaryMonths || 12, "薪数", { min: 12, max: 24, integer: true });
+  if (months.error) return { error: "薪数需为 12-24 之间的整数" };
+  const signOn = numField(body.signOn, "签字费");
+  if (signOn.error) return { error: signOn.error };
+  const startDate = String(body.startDate || "").trim();
+  if (startDate && !/^\d{4}-\d{2}-\d{2}$/.test(startDate)) return { error: "入职日期格式不正确" };
+  return {
+    fields: {
+      baseSalary: base.value,
+      salaryMonths: months.value,
+      bonus: String(body.bonus || "").trim(),
+      equity: String(body.equity || "").trim(),
+      signOn: signOn.value,
+      startDate,
+    },
+  };
+}
+
+export function versionChanged(v, fields) {
+  return !v || OFFER_FIELDS.some(k => String(v[k] ?? "") !== String(fields[k] ?? ""));
+}
+
+// extra 为生成时的带宽评估：{ bandPosition, bandSnapshot, outOfBandReason }
+export function createOfferVersion(d, offer, fields, user, note = "", extra = {}) {
+  const prev = currentVersion(d, offer);
+  // 旧版本仍在审批中时，随新版本自动撤回
+  if (prev && prev.approvalStatus === "审批中") {
+    prev.approvalStatus = "已撤回";
+    prev.decidedAt = nowIso();
+  }
+  const v = {
+    id: rid("ofv"),
+    offerId: offer.id,
+    candidateId: offer.candidateId,
+    version: (prev ? Math.max(...offerVersions(d, offer.id).map(x => x.version)) : 0) + 1,
+    ...fields,
+    note,
+    bandPosition: "",
+    bandSnapshot: null,
+    outOfBandReason: "",
+    ...extra,
+    approvalStatus: "草稿",
+    approvalSteps: [],
+    approvalInstanceCode: "",
+    createdBy: user?.name || "系统",
+    createdAt: nowIso(),
+    updatedAt: nowIso(),
+  };
+  d.offerVersions.push(v);
+  offer.currentVersionId = v.id;
+  offer.salary = offerSummary(v);
+  offer.startDate = v.startDate;
+  return v;
+}
+
+// ===== 审批 =====
+
+export async function submitOfferApproval(d, c, offer, v, user) {
+  if (v.approvalStatus === "审批中") return { error: "该版本已在审批中" };
+  if (v.approvalStatus === "已通过") return { error: "该版本已审批通过" };
+  if (!approvalRequired(d)) return { error: "尚未配置 Offer 审批人，请先在设置中添加" };
+  v.approvalSteps = d.offerSettings.approvers.map(a => ({ name: a.name, openId: a.openId || "", status: "待审批", comment: "", at: "" }));
+  v.approvalInstanceCode = "";
+  const code = feishuApprovalCode();
+  if (code) {
+    if (!user?.openId) return { error: "请使用飞书登录后再发起审批" };
+    const job = d.jobs.find(j => j.id === c.jobId);
+    const r = await createApprovalInstance(code, user.openId, [
+      { name: "候选人", value: c.name },
+      { name: "职位", value: job?.title || c.jobTitle || "-" },
+      { name: "Offer版本", value: "v" + v.version },
+      { name: "薪资", value: offerSummary(v) || "-" },
+      { name: "入职日期", value: v.startDate || "-" },
+      { name: "薪资带宽", value: v.bandPosition || "未匹配带宽" },
+      { name: "超带宽原因", value: v.outOfBandReason || "-" },
+      { name: "备注", value: v.note || "-" },
+    ], { nodeKey: process.env.FEISHU_APPROVAL_NODE_KEY || "", approverOpenIds: v.approvalSteps.map(s => s.openId).filter(Boolean) });
+    if (!r || r.code !== 0) return { error: "飞书审批创建失败：" + (r?.msg || "网络错误") };
+    v.approvalInstanceCode = r.data?.instance_code || "";
+  }
+  v.approvalStatus = "审批中";
+  v.submittedBy = user?.name || "系统";
+  v.submittedAt = nowIso();
+  v.decidedAt = "";
+  v.updatedAt = nowIso();
+  offer.offerStatus = "待审批";
+  offer.updatedAt = nowIso();
+  return { ok: true };
+}
+
+export function pendingStep(v) {
+  return v.approvalStatus === "审批中" ? v.approvalSteps.find(s => s.status === "待审批") || null : null;
+}
+
+export function isStepApprover(step, user) {
+  if (!step || !user) return false;
+  return step.openId ? step.openId === user.openId : step.name === user.name;
+}
+
+function finishApproval(offer, v, result) {
+  v.approvalStatus = result;
+  v.decidedAt = nowIso();
+  v.updatedAt = nowIso();
+  offer.offerStatus = result === "已通过" ? "待发放" : "审批驳回";
+  offer.updatedAt = nowIso();
+}
+
+// 平台内逐级审批（未接入飞书审批时）；返回 { ok, finished } 或 { error }
+export function decideOfferApproval(offer, v, user, approve, comment = "") {
+  const step = pendingStep(v);
+  if (!step) return { error: "该版本不在审批中" };
+  if (!isStepApprover(step, user)) return { error: "当前审批人为 " + step.name };
+  step.status = approve ? "已通过" : "已驳回";
+  step.comment = comment;
+  step.at = nowIso();
+  v.updatedAt = nowIso();
+  if (!approve) finishApproval(offer, v, "已驳回");
+  else if (!pendingStep(v)) finishApproval(offer, v, "已通过");
+  return { ok: true, finished: v.approvalStatus !== "审批中" };
+}
+
+export function withdrawOfferApproval(offer, v) {
+  if (v.approvalStatus !== "审批中") return { error: "该版本不在审批中" };
+  v.approvalStatus = "已撤回";
+  v.decidedAt = nowIso();
+  v.updatedAt = nowIso();
+  offer.offerStatus = "待发放";
+  offer.updatedAt = nowIso();
+  return { ok: true };
+}
+
+const FEISHU_TASK_STATUS = { APPROVED: "已通过", REJECTED: "已驳回", PENDING: "待审批" };
+const FEISHU_INSTANCE_STATUS = { APPROVED: "已通过", REJECTED: "已驳回", CANCELED: "已撤回", DELETED: "已撤回" };
+
+// 拉取飞书审批结果；返回 { changed, result }，result 为新的审批状态（仍在审批中时为空）
+export async function syncFeishuApproval(offer, v) {
+  if (v.approvalStatus !== "审批中" || !v.approvalInstanceCode) return { changed: false };
+  const inst = await getApprovalInstance(v.approvalInstanceCode);
+  if (!inst) return { changed: false };
+  let changed = false;
+  for (const step of v.approvalSteps) {
+    const task = inst.tasks.find(t => t.openId && t.openId === step.openId);
+    const st = task && FEISHU_TASK_STATUS[task.status];
+    if (st && st !== step.status) {
+      step.status = st;
+      step.at = task.endTime && task.endTime !== "0" ? toBjTime(new Date(Number(task.endTime)).toISOString()) : nowIso();
+      step.comment = inst.comments.filter(x => x.openId === step.openId).map(x => x.comment).join("；");
+      changed = true;
+    }
+  }
+  const result = FEISHU_INSTANCE_STATUS[inst.status];
+  if (result === "已撤回") {
+    withdrawOfferApproval(offer, v);
+    changed = true;
+  } else if (result) {
+    finishApproval(offer, v, result);
+    changed = true;
+  }
+  return { changed, result: result || "" };
+}
+
+// ===== Offer Letter =====
+
+export function letterVars(d, c, v) {
+  const job = d.jobs.find(j => j.id === c.jobId);
+  return {
+    "候选人": c.name || "",
+    "岗位": job?.title || c.jobTitle || "",
+    "部门": job?.department || "",
+    "地点": job?.location || "",
+    "月薪": fmtMoney(v.baseSalary),
+    "薪数": String(v.salaryMonths || 12),
+    "年薪": fmtMoney(annualCash(v)),
+    "奖金": v.bonus || "无",
+    "股权": v.equity || "无",
+    "签字费": v.signOn ? fmtMoney(v.signOn) + " 元" : "无",
+    "入职日期": v.startDate || "待定",
+    "公司": d.offerSettings.companyName || "公司",
+    "日期": toBjTime(v.letterSentAt || nowIso()).slice(0, 10),
+  };
+}
+
+export function renderOfferLetter(d, c, v) {
+  const vars = letterVars(d, c, v);
+  const tpl = d.offerSettings.letterTemplate || DEFAULT_OFFER_LETTER;
+  return tpl.split(/\n/).map(line => {
+    const html = escapeHtml(line).replace(/\{\{\s*([^}\s]+)\s*\}\}/g, (m, k) => vars[k] !== undefined ? escapeHtml(vars[k]) : m);
+    return html ? "<p>" + html + "</p>" : '<p class="gap"></p>';
+  }).join("");
+}
+
+// 独立的打印页面（不带站点导航），浏览器"打印 → 另存为 PDF"即可得到 PDF
+export function offerLetterDocument(title, bodyHtml, toolbarHtml = "") {
+  return '<!doctype html><html lang="zh-CN"><head><meta charset="utf-8" /><meta name="viewport" content="width=device-width,initial-scale=1" /><title>' + escapeHtml(title) + '</title>' +
+    '<style>body{margin:0;background:#f5f6f7;font-family:-apple-system,BlinkMacSystemFont,"PingFang SC","Microsoft YaHei",sans-serif;color:#1f2329}' +
+    '.paper{max-width:720px;margin:24px auto;background:#fff;padding:56px 64px;border-radius:8px;box-shadow:0 2px 12px rgba(0,0,0,.06);line-height:1.9;font-size:15px}' +
+    '.paper h1{text-align:center;font-size:22px;margin:0 0 32px}.paper p{margin:0}.paper p.gap{height:14px}' +
+    '.toolbar{max-width:720px;margin:16px auto 0;display:flex;gap:8px;justify-content:flex-end}.toolbar a,.toolbar button{padding:6px 14px;border-radius:8px;border:1px solid #dee0e3;background:#fff;color:#1f2329;font-size:13px;cursor:pointer;text-decoration:none}' +
+    '@media print{body{background:#fff}.toolbar{display:none}.paper{box-shadow:none;margin:0;max-width:none;padding:0}}</style></head><body>' +
+    '<div class="toolbar">' + toolbarHtml + '<button onclick="window.print()">打印 / 保存为 PDF</button></div>' +
+    '<div class="paper"><h1>录用通知书</h1>' + bodyHtml + '</div></body></html>';
+}
+
+export function newLetterToken() {
+  return "ol_" + crypto.randomBytes(16).toString("hex");
+}
@@ -0,0 +1,222 @@
+// ====== 入职流程 ======
+// Offer 被接受后按招聘类型（社招 / 实习）的清单模板生成入职流程 d.onboardings：
+// { id, candidateId, offerId, jobId, employmentType, startDate, buddy, status, items: [{ id, category, title, ownerRole, owner, ownerOpenId, offsetDays, dueDate, done, doneAt, doneBy, taskId, remindedOn }] }
+// 模板保存在 app_config.onboardingTemplates：{ 社招: [{ category, title, owner, offsetDays }] }，未配置的类型使用默认清单。
+// 负责人可以是用户姓名，也可以是角色：HR = 发起入职流程的人，岗位负责人 = 岗位第一负责人，导师 = 入职流程指定的 buddy
+import { nowIso, rid } from "./db.mjs";
+import { escapeHtml } from "./ui.mjs";
+import { feishuEnabled, createFeishuTask } from "./feishu.mjs";
+
+export const ONBOARDING_CATEGORIES = ["资料", "设备", "账号", "导师", "其他"];
+export const OWNER_ROLES = ["HR", "岗位负责人", "导师"];
+
+const DEFAULT_TEMPLATES = {
+  "社招": [
+    { category: "资料", title: "发送入职材料清单（身份证、学历证明、离职证明）", owner: "HR", offsetDays: -7 },
+    { category: "资料", title: "收齐入职材料并核验", owner: "HR", offsetDays: -1 },
+    { category: "设备", title: "申请电脑及办公设备", owner: "岗位负责人", offsetDays: -5 },
+    { category: "账号", title: "开通飞书、邮箱等办公账号", owner: "HR", offsetDays: -1 },
+    { category: "导师", title: "指定导师（buddy）", owner: "岗位负责人", offsetDays: -3 },
+    { category: "其他", title: "入职首周沟通", owner: "导师", offsetDays: 5 },
+  ],
+  "实习": [
+    { category: "资料", title: "发送实习材料清单（身份证、学生证、实习协议）", owner: "HR", offsetDays: -5 },
+    { category: "资料", title: "签署实习协议", owner: "HR", offsetDays: 0 },
+    { category: "设备", title: "准备办公设备", owner: "岗位负责人", offsetDays: -2 },
+    { category: "账号", title: "开通飞书等办公账号", owner: "HR", offsetDays: -1 },
+    { category: "导师", title: "指定导师（buddy）", owner: "岗位负责人", offsetDays: -2 },
+  ],
+};
+
+export function onboardingTemplate(d, type) {
+  const custom = d.onboardingTemplates?.[type];
+  return Array.isArray(custom) && custom.length ? custom : DEFAULT_TEMPLATES[type] || DEFAULT_TEMPLATES["社招"];
+}
+
+export function bjToday() {
+  return nowIso().slice(0, 10);
+}
+
+export function addDays(date, n) {
+  const t = new Date(date + "T00:00:00Z");
+  if (isNaN(t.getTime())) return "";
+  t.setUTCDate(t.getUTCDate() + Number(n || 0));
+  return t.toISOString().slice(0, 10);
+}
+
+// 文本格式，每行一个事项：「分类 | 事项 | 负责人 | 相对入职日天数」，天数为负表示入职前
+export function parseOnboardingTemplate(text) {
+  const items = [];
+  for (const line of String(text || "").split(/\n/).map(x => x.trim()).filter(Boolean)) {
+    const parts = line.split(/\s*[|｜]\s*/);
+    if (parts.length !== 4) return { error: "清单格式错误：" + line };
+    const [category, title, owner, days] = parts;
+    if (!ONBOARDING_CATEGORIES.includes(category)) return { error: "分类需为 " + ONBOARDING_CATEGORIES.join(" / ") + "：" + line };
+    if (!title) return { error: "事项不能为空：" + line };
+    if (!owner) return { error: "负责人不能为空：" + line };
+    const offsetDays = Number(days);
+    if (!Number.isInteger(offsetDays) || Math.abs(offsetDays) > 90) return { error: "天数需为 -90 到 90 的整数：" + line };
+    items.push({ category, title, owner, offsetDays });
+  }
+  if (!items.length) return { error: "至少需要一个清单事项" };
+  return { items };
+}
+
+export function onboardingTemplateToText(items) {
+  return items.map(x => [x.category, x.title, x.owner, x.offsetDays].join(" | ")).join("\n");
+}
+
+// 把负责人（角色或姓名）解析为具体用户
+export function resolveOwner(d, ob, owner) {
+  let name = owner;
+  if (owner === "HR") name = ob.createdBy;
+  else if (owner === "导师") name = ob.buddy;
+  else if (owner === "岗位负责人") {
+    const job = d.jobs.find(j => j.id === ob.jobId);
+    const first = job?.owners?.[0] || (job?.owner ? { name: job.owner.split(",")[0].trim(), openId: (job.ownerOpenId || "").split(",")[0].trim() } : null);
+    if (first) return { name: first.name, openId: first.openId || d.users.find(u => u.name === first.name)?.openId || "" };
+    name = "";
+  }
+  if (!name) return { name: "", openId: "" };
+  return { name, openId: d.users.find(u => u.name === name)?.openId || "" };
+}
+
+export function findOnboarding(d, candidateId) {
+  return d.onboardings.find(o => o.candidateId === candidateId && o.status !== "已取消") || null;
+}
+
+// 入职日期：优先取入职流程 / Offer 上的入职日期，否则取流转到「入职」的时间
+export function hireDate(d, c) {
+  const ob = d.onboardings.find(x => x.candidateId === c.id && x.startDate);
+  if (ob) return ob.startDate;
+  const offer = d.offers.find(x => x.candidateId === c.id && x.startDate);
+  if (offer) return offer.startDate;
+  const ev = d.events.find(e => e.candidateId === c.id && /-> 入职(\n|$)/.test(e.message || ""));
+  return String(ev?.createdAt || c.updatedAt || "").slice(0, 10);
+}
+
+export function createOnboarding(d, c, offer, user) {
+  const job = d.jobs.find(j => j.id === c.jobId);
+  const type = job?.employmentType || "社招";
+  const ob = {
+    id: rid("onb"),
+    candidateId: c.id,
+    offerId: offer?.id || "",
+    jobId: c.jobId || "",
+    employmentType: type,
+    startDate: offer?.startDate || "",
+    buddy: "",
+    status: "进行中",
+    items: [],
+    createdBy: user?.name || "系统",
+    createdAt: nowIso(),
+    updatedAt: nowIso(),
+  };
+  // 未填入职日期时以今天为基准，补填入职日期后重新计算截止日期
+  const base = ob.startDate || bjToday();
+  ob.items = onboardingTemplate(d, type).map(t => {
+    const o = resolveOwner(d, ob, t.owner);
+    return {
+      id: rid("obi"),
+      category: t.category,
+      title: t.title,
+      ownerRole: t.owner,
+      owner: o.name,
+      ownerOpenId: o.openId,
+      offsetDays: t.offsetDays,
+      dueDate: addDays(base, t.offsetDays),
+      done: false,
+      doneAt: "",
+      doneBy: "",
+      taskId: "",
+      remindedOn: "",
+    };
+  });
+  d.onboardings.push(ob);
+  return ob;
+}
+
+export function rescheduleOnboarding(ob, startDate) {
+  if (!startDate || ob.startDate === startDate) return false;
+  ob.startDate = startDate;
+  for (const it of ob.items) if (!it.done) it.dueDate = addDays(startDate, it.offsetDays);
+  ob.updatedAt = nowIso();
+  return true;
+}
+
+// 指定导师后：「导师」角色的事项改派给导师，「导师」分类的事项（指定导师）自动完成
+export function assignBuddy(d, ob, buddy, user) {
+  ob.buddy = buddy;
+  const o = resolveOwner(d, ob, "导师");
+  for (const it of ob.items) {
+    if (it.done) continue;
+    if (it.ownerRole === "导师") {
+      it.owner = o.name;
+      it.ownerOpenId = o.openId;
+      it.taskId = "";
+    } else if (it.category === "导师" && buddy) {
+      markItem(ob, it, true, user);
+    }
+  }
+  ob.updatedAt = nowIso();
+}
+
+export function markItem(ob, it, done, user) {
+  it.done = !!done;
+  it.doneAt = done ? nowIso() : "";
+  it.doneBy = done ? user?.name || "系统" : "";
+  const allDone = ob.items.every(x => x.done);
+  if (allDone && ob.status === "进行中") ob.status = "已完成";
+  else if (!allDone && ob.status === "已完成") ob.status = "进行中";
+  ob.updatedAt = nowIso();
+}
+
+export function isItemOverdue(it, today = bjToday()) {
+  return !it.done && !!it.dueDate && it.dueDate < today;
+}
+
+export function onboardingProgress(ob) {
+  const total = ob.items.length;
+  const done = ob.items.filter(x => x.done).length;
+  const today = bjToday();
+  return { total, done, overdue: ob.items.filter(x => isItemOverdue(x, today)).length, pct: total ? Math.round(done / total * 100) : 0 };
+}
+
+export function canAccessOnboarding(user, ob, visibleJobIds) {
+  if (!user) return false;
+  if (visibleJobIds === null || visibleJobIds.has(ob.jobId)) return true;
+  return ob.buddy === user.name || ob.items.some(x => x.owner === user.name);
+}
+
+// 为有负责人、尚未建任务的未完成事项创建飞书任务，截止时间为截止日 18:00（北京时间）
+export async function createOnboardingTasks(d, ob, c) {
+  if (!feishuEnabled()) return 0;
+  const job = d.jobs.find(j => j.id === ob.jobId);
+  const hrOpenId = d.users.find(u => u.name === ob.createdBy)?.openId || "";
+  let created = 0;
+  for (const it of ob.items) {
+    if (it.done || it.taskId || !it.ownerOpenId) continue;
+    const dueTs = it.dueDate ? new Date(it.dueDate + "T18:00:00+08:00").getTime() : 0;
+    const r = await createFeishuTask({
+      title: `入职准备：${c.name} - ${it.title}`,
+      description: `新员工：${c.name}\n岗位：${job?.title || c.jobTitle || "-"}\n入职日期：${ob.startDate || "待定"}\n事项：${it.category} / ${it.title}`,
+      assigneeOpenId: it.ownerOpenId,
+      followerOpenIds: hrOpenId && hrOpenId !== it.ownerOpenId ? [hrOpenId] : [],
+      dueTimestamp: dueTs,
+    });
+    if (r?.taskId) { it.taskId = r.taskId; created++; }
+  }
+  return created;
+}
+
+export function onboardingProgressHtml(ob) {
+  const p = onboardingProgress(ob);
+  return '<div class="row" style="gap:8px;flex-wrap:nowrap"><div style="flex:1;min-width:80px;background:#f2f3f5;border-radius:4px;height:8px;overflow:hidden"><div style="width:' + p.pct + '%;height:100%;background:' + (p.overdue ? "#ff7d00" : "#34c724") + '"></div></div>' +
+    '<span style="font-size:12px;white-space:nowrap"><b>' + p.done + '</b>/' + p.total + '</span>' +
+    (p.overdue ? '<span class="badge status-red" style="font-size:11px">逾期 ' + p.overdue + '</span>' : '') + '</div>';
+}
+
+export function onboardingStatusBadge(status) {
+  const cls = { "进行中": "status-blue", "已完成": "status-green", "已取消": "status-gray" }[status] || "status-gray";
+  return '<span class="badge ' + cls + '">' + escapeHtml(status || "-") + '</span>';
+}
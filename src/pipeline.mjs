@@ -0,0 +1,322 @@
+// ====== 招聘流程模板 ======
+// 每个岗位选择一个流程模板（job.pipelineTemplateId），模板定义面试轮次、看板阶段和允许的状态流转。
+// 未选择模板的岗位使用内置默认模板，其状态与 STATUS_COLS 完全一致，历史候选人无需迁移状态。
+import { PIPELINE_STAGES } from "./constants.mjs";
+
+export const DEFAULT_TEMPLATE_ID = "default";
+
+// 不随轮次变化的公共状态
+const HEAD_STATUSES = ["待筛选", "简历初筛"];
+const TAIL_STATUSES = ["待发offer", "Offer发放", "拒offer", "入职", "面试不通过", "面试Pending", "淘汰"];
+const DEFAULT_ROUND_NAMES = ["一面", "二面", "三面", "四面", "五面"];
+const STAGE_COLORS = ["#8f959e", "#3370ff", "#14c0ff", "#ff7d00", "#7b61ff", "#f54a45", "#34c724", "#f5960a"];
+
+export function roundStatuses(roundName) {
+  return { pending: "待" + roundName, pass: roundName + "通过", fail: roundName + "不通过" };
+}
+
+export function defaultPipelineTemplate() {
+  return {
+    id: DEFAULT_TEMPLATE_ID,
+    name: "默认流程（五轮面试）",
+    builtin: true,
+    rounds: DEFAULT_ROUND_NAMES.map(name => ({ name })),
+    stages: PIPELINE_STAGES.map(s => ({ ...s, statuses: [...s.statuses] })),
+    transitions: {},
+  };
+}
+
+// 模板的全部状态（有序）：公共前置状态 → 各轮次待面/通过/不通过 → Offer 及结束状态
+export function templateStatuses(tpl) {
+  const keys = [...HEAD_STATUSES];
+  for (const r of tpl.rounds || []) {
+    const s = roundStatuses(r.name);
+    keys.push(s.pending, s.pass, s.fail);
+  }
+  keys.push(...TAIL_STATUSES);
+  return keys.map(key => ({ key, name: key }));
+}
+
+export function templateStatusSet(tpl) {
+  return new Set(templateStatuses(tpl).map(s => s.key));
+}
+
+// 按轮次生成默认阶段划分（设置页"根据轮次生成"与新建模板时使用）
+export function generateStages(rounds) {
+  const base = defaultPipelineTemplate().stages;
+  const interviewStatuses = [];
+  for (const r of rounds) {
+    const s = roundStatuses(r.name);
+    interviewStatuses.push(s.pending, s.pass, s.fail);
+  }
+  interviewStatuses.push("面试不通过", "面试Pending");
+  return base.map(s => s.key === "interview" ? { ...s, statuses: interviewStatuses } : { ...s, statuses: [...s.statuses] });
+}
+
+export function getTemplate(d, id) {
+  if (id && id !== DEFAULT_TEMPLATE_ID) {
+    const tpl = (d.pipelineTemplates || []).find(t => t.id === id);
+    if (tpl) return tpl;
+  }
+  return defaultPipelineTemplate();
+}
+
+export function getJobTemplate(d, jobOrId) {
+  const job = typeof jobOrId === "string" ? d.jobs.find(j => j.id === jobOrId) : jobOrId;
+  return getTemplate(d, job?.pipelineTemplateId);
+}
+
+export function allTemplates(d) {
+  return [defaultPipelineTemplate(), ...(d.pipelineTemplates || [])];
+}
+
+// 候选人所属岗位的模板，批量场景下用 Map 缓存
+export function templateResolver(d) {
+  const jobMap = new Map(d.jobs.map(j => [j.id, j]));
+  const cache = new Map();
+  return (jobId) => {
+    const tplId = jobMap.get(jobId)?.pipelineTemplateId || DEFAULT_TEMPLATE_ID;
+    if (!cache.has(tplId)) {
+      const tpl = getTemplate(d, tplId);
+      const statusKeys = templateStatuses(tpl).map(s => s.key);
+      cache.set(tplId, { tpl, statusKeys, statusSet: new Set(statusKeys), interviewSet: templateInterviewStatuses(tpl), stageOf: stageLookup(tpl) });
+    }
+    return cache.get(tplId);
+  };
+}
+
+// 状态 -> 阶段 key
+export function stageLookup(tpl) {
+  const m = new Map();
+  for (const st of tpl.stages || []) for (const s of st.statuses || []) m.set(s, st.key);
+  return (status) => m.get(status) || "";
+}
+
+// 跨岗位视图（人才库筛选、总看板、仪表盘）使用的状态全集：按模板顺序合并，新状态插在其前一个已有状态之后
+export function unionStatuses(d, templates = allTemplates(d)) {
+  const keys = [];
+  for (const tpl of templates) {
+    let anchor = -1;
+    for (const { key } of templateStatuses(tpl)) {
+      const at = keys.indexOf(key);
+      if (at > -1) { anchor = at; continue; }
+      keys.splice(anchor + 1, 0, key);
+      anchor++;
+    }
+  }
+  return keys.map(key => ({ key, name: key }));
+}
+
+// 跨岗位视图的阶段全集：按 key 合并，同 key 阶段的状态取并集
+export function unionStages(templates) {
+  const out = [];
+  for (const tpl of templates) {
+    for (const st of tpl.stages || []) {
+      const exist = out.find(x => x.key === st.key);
+      if (exist) {
+        for (const s of st.statuses) if (!exist.statuses.includes(s)) exist.statuses.push(s);
+      } else {
+        out.push({ ...st, statuses: [...st.statuses] });
+      }
+    }
+  }
+  // 淘汰始终放最后
+  const ri = out.findIndex(x => x.key === "rejected");
+  if (ri > -1) out.push(out.splice(ri, 1)[0]);
+  return out;
+}
+
+export function roundName(tpl, round) {
+  return tpl.rounds?.[Number(round) - 1]?.name || ("第" + round + "轮");
+}
+
+// 每轮面试时长（分钟），模板未配置时按 60 分钟
+export const DEFAULT_ROUND_MINUTES = 60;
+
+export function roundMinutes(tpl, round) {
+  const m = Number(tpl.rounds?.[Number(round) - 1]?.minutes);
+  return Number.isInteger(m) && m > 0 ? m : DEFAULT_ROUND_MINUTES;
+}
+
+export function roundCount(tpl) {
+  return (tpl.rounds || []).length;
+}
+
+// 面试类状态（各轮次状态 + 面试不通过 / 面试Pending），用于漏斗"面试"阶段归类
+export function templateInterviewStatuses(tpl) {
+  const set = new Set(["面试不通过", "面试Pending"]);
+  for (const r of tpl.rounds || []) {
+    const s = roundStatuses(r.name);
+    set.add(s.pending); set.add(s.pass); set.add(s.fail);
+  }
+  return set;
+}
+
+// 按当前状态推算候选人已进入的面试轮数（漏斗按轮次展开时使用）
+export function roundReached(tpl, status) {
+  if (["待发offer", "Offer发放", "拒offer", "入职"].includes(status)) return roundCount(tpl);
+  if (status === "面试不通过" || status === "面试Pending") return 1;
+  const idx = (tpl.rounds || []).findIndex(r => Object.values(roundStatuses(r.name)).includes(status));
+  return idx + 1;
+}
+
+// 岗位更换流程模板时映射候选人状态：新模板已有的状态保持不变，
+// 轮次状态按"第 N 轮"对应到新模板（超出新模板轮数时落到最后一轮）
+export function migrateStatus(fromTpl, toTpl, status) {
+  // 历史遗留的非法状态（原模板中也不存在）保持原样，展示时按"待筛选"处理
+  if (templateStatusSet(toTpl).has(status) || !templateStatusSet(fromTpl).has(status)) return status;
+  const idx = (fromTpl.rounds || []).findIndex(r => Object.values(roundStatuses(r.name)).includes(status));
+  if (idx < 0 || !roundCount(toTpl)) return "待筛选";
+  const kind = Object.entries(roundStatuses(fromTpl.rounds[idx].name)).find(([, v]) => v === status)[0];
+  const target = toTpl.rounds[Math.min(idx, roundCount(toTpl) - 1)];
+  return roundStatuses(target.name)[kind];
+}
+
+// ====== 自动流转 ======
+// 安排第 N 轮面试：从"上一轮通过/待面"（第一轮从筛选阶段）流转到"待第 N 轮"
+export function scheduleAutoFlow(tpl, round, currentStatus) {
+  const r = tpl.rounds?.[round - 1];
+  if (!r) return null;
+  const from = round === 1
+    ? [...HEAD_STATUSES]
+    : [roundStatuses(tpl.rounds[round - 2].name).pass, roundStatuses(tpl.rounds[round - 2].name).pending];
+  return from.includes(currentStatus) ? roundStatuses(r.name).pending : null;
+}
+
+// 面评结论对应的状态：最后一轮通过进入"待发offer"
+export function reviewAutoFlow(tpl, round, conclusion) {
+  const r = tpl.rounds?.[round - 1];
+  if (conclusion === "通过") {
+    if (!r || round >= roundCount(tpl)) return "待发offer";
+    return roundStatuses(r.name).pass;
+  }
+  if (conclusion === "不通过") return r ? roundStatuses(r.name).fail : "面试不通过";
+  if (conclusion === "Pending") return "面试Pending";
+  return null;
+}
+
+// ====== 状态流转校验 ======
+// 默认流转策略：按轮次逐步推进，任意环节可淘汰；模板为某状态配置了 transitions 时以模板为准
+export function defaultTransitions(tpl) {
+  const rounds = (tpl.rounds || []).map(r => roundStatuses(r.name));
+  const n = rounds.length;
+  const first = n ? rounds[0].pending : "待发offer";
+  const map = {
+    "待筛选": ["简历初筛", first, "淘汰"],
+    "简历初筛": [first, "待筛选", "淘汰"],
+    "面试Pending": [...rounds.flatMap(r => [r.pending, r.pass, r.fail]), "待发offer", "淘汰"],
+    "面试不通过": ["淘汰"],
+    "待发offer": ["Offer发放", "淘汰"],
+    "Offer发放": ["入职", "拒offer"],
+    "拒offer": ["待发offer", "淘汰"],
+    "入职": [],
+    "淘汰": ["待筛选"],
+  };
+  rounds.forEach((r, i) => {
+    map[r.pending] = [r.pass, r.fail, "面试Pending", "淘汰"];
+    map[r.pass] = Array.from(new Set([i + 1 < n ? rounds[i + 1].pending : "待发offer", "待发offer", "淘汰"]));
+    map[r.fail] = ["淘汰"];
+  });
+  return map;
+}
+
+export function allowedNextStatuses(tpl, from) {
+  const list = tpl.transitions?.[from];
+  if (Array.isArray(list) && list.length) return list;
+  return defaultTransitions(tpl)[from] || [];
+}
+
+export function isTransitionAllowed(tpl, from, to) {
+  if (from === to) return true;
+  return allowedNextStatuses(tpl, from).includes(to);
+}
+
+// 卡片"推进"按钮的目标：允许的下一状态中第一个无需填写淘汰原因的
+export function primaryNextStatus(tpl, from) {
+  return allowedNextStatuses(tpl, from).find(s => !requiresRejectReason(s) && s !== "待筛选" && s !== "面试Pending") || null;
+}
+
+// ====== 淘汰原因 ======
+// 可选原因列表在设置页维护（d.rejectionReasons）
+// 淘汰及各轮"不通过"状态必须选择淘汰原因
+// 面评不通过触发的自动流转固定使用该原因
+export const REVIEW_REJECT_REASON = "面试评估不通过";
+
+export function requiresRejectReason(status) {
+  return status === "淘汰" || /不通过$/.test(status);
+}
+
+// 淘汰发生的环节：轮次不通过取该轮名称，否则取淘汰前所处的轮次 / 阶段
+export function rejectionStage(tpl, from, to) {
+  const byRound = (status) => (tpl.rounds || []).find(r => Object.values(roundStatuses(r.name)).includes(status));
+  const r = byRound(to) || byRound(from);
+  if (r) return r.name;
+  const st = (tpl.stages || []).find(x => x.statuses.includes(from));
+  return st ? st.name : from;
+}
+
+// ====== 模板配置解析（设置页文本格式）======
+// 轮次：每行"名称"或"名称 | 时长分钟"；阶段："阶段名: 状态1, 状态2"；流转："当前状态 -> 状态1, 状态2"
+export function parseTemplateInput(body, existing) {
+  const name = String(body.name || "").trim();
+  if (!name) return { error: "模板名称不能为空" };
+  const rounds = [];
+  for (const line of String(body.rounds || "").split(/\n/).map(x => x.trim()).filter(Boolean)) {
+    const [rn, mins] = line.split(/\s*[|｜]\s*/);
+    if (!rn) return { error: "轮次格式错误：" + line };
+    if (mins === undefined || mins === "") { rounds.push({ name: rn }); continue; }
+    const minutes = Number(mins);
+    if (!Number.isInteger(minutes) || minutes < 15 || minutes > 480) return { error: "轮次「" + rn + "」的时长需为 15-480 之间的整数分钟" };
+    rounds.push({ name: rn, minutes });
+  }
+  if (!rounds.length) return { error: "至少需要一个面试轮次" };
+  const roundNames = rounds.map(r => r.name);
+  if (new Set(roundNames).size !== roundNames.length) return { error: "面试轮次名称不能重复" };
+  const tpl = { id: existing?.id || "", name, rounds, stages: [], transitions: {} };
+  const valid = templateStatusSet(tpl);
+
+  const stageText = String(body.stages || "").trim();
+  if (stageText) {
+    const defaults = defaultPipelineTemplate().stages;
+    const lines = stageText.split(/\n/).map(x => x.trim()).filter(Boolean);
+    for (let i = 0; i < lines.length; i++) {
+      const m = lines[i].match(/^([^:：]+)[:：](.*)$/);
+      if (!m) return { error: "阶段格式错误：" + lines[i] };
+      const stageName = m[1].trim();
+      const statuses = m[2].split(/[,，、]/).map(x => x.trim()).filter(Boolean);
+      const bad = statuses.filter(s => !valid.has(s));
+      if (bad.length) return { error: "阶段「" + stageName + "」包含无效状态：" + bad.join("、") };
+      const def = defaults.find(s => s.name === stageName);
+      tpl.stages.push({
+        key: def ? def.key : "stage_" + (i + 1),
+        name: stageName,
+        icon: def ? def.icon : "📌",
+        color: def ? def.color : STAGE_COLORS[i % STAGE_COLORS.length],
+        statuses,
+      });
+    }
+  } else {
+    tpl.stages = generateStages(rounds);
+  }
+
+  const transText = String(body.transitions || "").trim();
+  for (const line of transText ? transText.split(/\n/).map(x => x.trim()).filter(Boolean) : []) {
+    const m = line.match(/^(.+?)\s*(?:->|→)\s*(.+)$/);
+    if (!m) return { error: "流转格式错误：" + line };
+    const from = m[1].trim();
+    const to = m[2].split(/[,，、]/).map(x => x.trim()).filter(Boolean);
+    const bad = [from, ...to].filter(s => !valid.has(s));
+    if (bad.length) return { error: "流转规则包含无效状态：" + bad.join("、") };
+    tpl.transitions[from] = to;
+  }
+  return { template: tpl };
+}
+
+export function templateToInput(tpl) {
+  return {
+    name: tpl.name,
+    rounds: (tpl.rounds || []).map(r => r.minutes ? r.name + " | " + r.minutes : r.name).join("\n"),
+    stages: (tpl.stages || []).map(s => s.name + ": " + s.statuses.join(", ")).join("\n"),
+    transitions: Object.entries(tpl.transitions || {}).map(([from, to]) => from + " -> " + to.join(", ")).join("\n"),
+  };
+}
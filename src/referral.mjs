@@ -0,0 +1,193 @@
+// ====== 员工内推 ======
+// 登录用户都可以在内推门户推荐候选人：候选人来源为「内推」，referrer / referrerId 为推荐人，
+// c.referral = { relationship, note, notifiedStage, notifiedBonus } 记录与候选人的关系、推荐理由和已通知推荐人的进展。
+// 推荐人只能看到候选人所处的粗粒度进展（REFERRAL_STAGES），看不到面评、淘汰原因等内部信息。
+// 奖金规则保存在 app_config.referralSettings，按招聘类型 + 职位分类匹配；候选人入职满规则天数后奖金进入「待发放」，
+// 管理员在内推奖金报表中标记发放后写入 c.referralBonus = { status: "已发放", amount, rule, hireDate, dueDate, paidAt, paidBy }。
+// 候选人在奖金到期前离职（c.departure，见 agency.mjs recordDeparture）时奖金为「不发放」。
+import { saveData, nowIso, rid } from "./db.mjs";
+import { DEFAULT_REFERRAL_SETTINGS, EMPLOYMENT_TYPES, OFFER_STAGE_STATUSES } from "./constants.mjs";
+import { requiresRejectReason } from "./pipeline.mjs";
+import { addDays, bjToday, hireDate } from "./onboarding.mjs";
+import { HIRED_STATUS } from "./requisition.mjs";
+import { findDuplicate, pushEvent, notifyHrNewCandidate, saveResumeSupabaseOrLocal } from "./helpers.mjs";
+import { stampJobVersion } from "./jobVersions.mjs";
+import { RESUME_EXTS } from "./careers.mjs";
+import { feishuEnabled, sendFeishuMessage } from "./feishu.mjs";
+
+export const REFERRAL_SOURCE = "内推";
+export const REFERRAL_RELATIONSHIPS = ["前同事", "同学", "朋友", "亲属", "其他"];
+export const REFERRAL_STAGES = ["已推荐", "简历筛选", "面试中", "Offer 阶段", "已入职", "已结束"];
+// 进入这些进展时通知推荐人
+export const REFERRAL_MILESTONES = new Set(["面试中", "Offer 阶段", "已入职", "已结束"]);
+export const BONUS_STATUSES = ["未到期", "待发放", "已发放", "不发放"];
+
+export function referralSettings(d) {
+  const s = d.referralSettings && typeof d.referralSettings === "object" && !Array.isArray(d.referralSettings) ? d.referralSettings : {};
+  return { rules: Array.isArray(s.rules) ? s.rules : DEFAULT_REFERRAL_SETTINGS.rules };
+}
+
+// 文本格式，每行一条规则：「招聘类型 / 分类 = 金额 / 入职满天数」，分类可省略，例如「社招 = 5000 / 90」「社招 / 技术 = 8000 / 90」
+export function parseReferralRules(text, categories) {
+  const rules = [];
+  for (const line of String(text || "").split(/\n/).map(x => x.trim()).filter(Boolean)) {
+    const m = line.match(/^(.+?)\s*[=＝]\s*([\d.kK]+)\s*元?\s*[/／]\s*(\d+)\s*天?$/);
+    if (!m) return { error: "规则格式错误：" + line };
+    const [employmentType, category = ""] = m[1].split(/[/／]/).map(x => x.trim());
+    if (!EMPLOYMENT_TYPES.includes(employmentType)) return { error: "招聘类型需为 " + EMPLOYMENT_TYPES.join(" / ") + "：" + line };
+    if (category && !categories.includes(category)) return { error: "职位分类不存在：" + category };
+    const amount = Number(m[2].replace(/[kK]$/, "000"));
+    const days = Number(m[3]);
+    if (!Number.isFinite(amount) || amount <= 0) return { error: "奖金金额不正确：" + line };
+    if (days > 730) return { error: "入职天数不能超过 730 天：" + line };
+    if (rules.some(r => r.employmentType === employmentType && r.category === category)) return { error: "规则重复：" + line };
+    rules.push({ employmentType, category, amount, days });
+  }
+  return { settings: { rules } };
+}
+
+export function referralRulesToInput(rules) {
+  return rules.map(r => r.employmentType + (r.category ? " / " + r.category : "") + " = " + r.amount + " / " + r.days).join("\n");
+}
+
+export function ruleLabel(rule) {
+  return rule ? rule.employmentType + (rule.category ? " / " + rule.category : "") + "：" + Number(rule.amount).toLocaleString("zh-CN") + " 元，入职满 " + rule.days + " 天" : "";
+}
+
+// 同招聘类型下分类匹配的规则优先，其次是该类型的通用规则
+export function bonusRule(d, job) {
+  const type = job?.employmentType || "社招";
+  const rules = referralSettings(d).rules.filter(r => r.employmentType === type);
+  return rules.find(r => r.category && r.category === job?.category) || rules.find(r => !r.category) || null;
+}
+
+export function isReferral(c) {
+  return c?.source === REFERRAL_SOURCE && !!c.referrerId;
+}
+
+export function myReferrals(d, user) {
+  return d.candidates.filter(c => isReferral(c) && c.referrerId === user?.id);
+}
+
+// 推荐人看到的进展
+export function referralStage(c) {
+  const st = c.status || "待筛选";
+  if (st === HIRED_STATUS) return "已入职";
+  if (requiresRejectReason(st) || st === "拒offer") return "已结束";
+  if (OFFER_STAGE_STATUSES.has(st)) return "Offer 阶段";
+  if (st === "待筛选") return "已推荐";
+  if (st === "简历初筛") return "简历筛选";
+  return "面试中";
+}
+
+/**
+ * 内推奖金：已发放的返回发放记录；已入职（或已记录离职）且有匹配规则的按入职日期推算到期日，
+ * 到期日前离职的为「不发放」
+ * @returns {{ status, amount, rule, hireDate, dueDate, departureDate?, paidAt?, paidBy? } | null}
+ */
+export function referralBonus(d, c, today = bjToday()) {
+  if (!isReferral(c)) return null;
+  if (c.referralBonus?.status === "已发放") return c.referralBonus;
+  const left = c.departure?.date || "";
+  if (c.status !== HIRED_STATUS && !left) return null;
+  const rule = bonusRule(d, d.jobs.find(j => j.id === c.jobId));
+  if (!rule) return null;
+  const hired = hireDate(d, c);
+  const dueDate = hired ? addDays(hired, rule.days) : "";
+  const base = { amount: rule.amount, rule: ruleLabel(rule), hireDate: hired, dueDate };
+  if (left && (!dueDate || left < dueDate)) return { status: "不发放", ...base, departureDate: left };
+  return { status: dueDate && dueDate <= today ? "待发放" : "未到期", ...base };
+}
+
+// 标记奖金已发放，返回发放记录
+export function markBonusPaid(d, c, user) {
+  const bonus = referralBonus(d, c);
+  if (!bonus) return { error: "该候选人没有可发放的内推奖金" };
+  if (bonus.status === "已发放") return { error: "奖金已发放" };
+  if (bonus.status === "不发放") return { error: "候选人在奖金到期前已离职（" + bonus.departureDate + "），不发放内推奖金" };
+  c.referralBonus = { ...bonus, status: "已发放", paidAt: nowIso(), paidBy: user?.name || "" };
+  c.updatedAt = nowIso();
+  return { bonus: c.referralBonus };
+}
+
+// 内推奖金报表：已入职的内推候选人及奖金状态，待发放的在前，不发放的在最后
+export function referralBonusReport(d, { status = "" } = {}) {
+  const order = { "待发放": 0, "未到期": 1, "已发放": 2, "不发放": 3 };
+  return d.candidates
+    .map(c => ({ c, bonus: referralBonus(d, c) }))
+    .filter(x => x.bonus && (!status || x.bonus.status === status))
+    .sort((a, b) => order[a.bonus.status] - order[b.bonus.status] || String(a.bonus.dueDate).localeCompare(String(b.bonus.dueDate)));
+}
+
+// 提交内推：返回 { candidate } 或 { status, error }；候选人已在人才库中时不透露已有记录的信息
+export async function createReferral(d, job, user, body, file) {
+  const name = String(body.name || "").trim();
+  const phone = String(body.phone || "").trim();
+  const email = String(body.email || "").trim();
+  const relationship = String(body.relationship || "").trim();
+  const note = String(body.note || "").trim().slice(0, 2000);
+
+  if (!name) return { status: 400, error: "请填写候选人姓名" };
+  if (!/^\+?[\d\s-]{6,20}$/.test(phone)) return { status: 400, error: "请填写正确的手机号" };
+  if (email && !/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email)) return { status: 400, error: "请填写正确的邮箱" };
+  if (!REFERRAL_RELATIONSHIPS.includes(relationship)) return { status: 400, error: "请选择与候选人的关系" };
+  if (!note) return { status: 400, error: "请填写推荐理由" };
+  if (!file?.buffer?.length) return { status: 400, error: "请上传简历" };
+  const ext = (String(file.originalname || "").match(/\.[^.]+$/) || [""])[0].toLowerCase();
+  if (!RESUME_EXTS.includes(ext)) return { status: 400, error: "简历仅支持 " + RESUME_EXTS.join(" / ") + " 格式" };
+
+  const dup = findDuplicate(d.candidates, name, phone);
+  // 他人推荐或其他渠道进入的候选人只给出中性提示，不确认其是否在人才库中
+  if (dup) return { status: 409, error: dup.referrerId === user.id ? "你已推荐过该候选人" : "暂时无法提交该推荐，如有疑问请联系 HR" };
+
+  const c = {
+    id: rid("c"), name, phone, email, jobId: job.id, jobTitle: job.title,
+    source: REFERRAL_SOURCE, referrer: user.name || "", referrerId: user.id,
+    referral: { relationship, note, notifiedStage: "已推荐", notifiedBonus: "" },
+    note: "",
+    tags: [],
+    status: "待筛选",
+    follow: { nextAction: "待联系", followAt: "", note: "" },
+    createdAt: nowIso(), updatedAt: nowIso(),
+  };
+  stampJobVersion(d, c);
+  d.candidates.unshift(c);
+  if (!d.sources.includes(REFERRAL_SOURCE)) d.sources.push(REFERRAL_SOURCE);
+  pushEvent(d, { candidateId: c.id, type: "创建", message: "内推：" + c.name + "（岗位：" + c.jobTitle + "，关系：" + relationship + "）\n推荐理由：" + note, actor: user.name || "系统" });
+  try {
+    await saveResumeSupabaseOrLocal(d, c.id, file, user.name || REFERRAL_SOURCE);
+  } catch (e) {
+    console.warn("[Referral] 简历保存失败:", e.message);
+    pushEvent(d, { candidateId: c.id, type: "简历", message: "简历上传失败（已跳过）：" + String(e?.message || e || ""), actor: "系统" });
+  }
+  await saveData(d);
+  await notifyHrNewCandidate(d, c, job).catch(e => console.warn("[Notify] err:", e.message));
+  return { candidate: c };
+}
+
+// 给推荐人发飞书消息，按钮进入「我的内推」；返回是否发送成功
+export async function notifyReferrer(d, c, title, text, baseUrl) {
+  if (!feishuEnabled()) return false;
+  const openId = d.users.find(u => u.id === c.referrerId)?.openId;
+  if (!openId) return false;
+  const buttons = { tag: "action", actions: [{ tag: "button", text: { tag: "plain_text", content: "查看我的内推" }, url: baseUrl + "/referrals?lk_jump_to_browser=true", type: "primary" }] };
+  const r = await sendFeishuMessage(openId, `**候选人**：${c.name}\n**岗位**：${c.jobTitle || "-"}\n` + text, title, [buttons]).catch(() => null);
+  return r?.code === 0;
+}
+
+// 进展变化对应的通知文案；没有需要通知的变化时返回 null
+export function referralUpdateMessage(d, c) {
+  const stage = referralStage(c);
+  const bonus = referralBonus(d, c);
+  const r = c.referral || {};
+  const lines = [];
+  if (stage !== r.notifiedStage && REFERRAL_MILESTONES.has(stage)) {
+    lines.push("**进展**：" + stage);
+    if (stage === "已入职" && bonus?.status === "未到期") lines.push("入职满规定天数后可发放内推奖金 " + Number(bonus.amount).toLocaleString("zh-CN") + " 元（预计 " + bonus.dueDate + "）");
+    if (stage === "已结束") lines.push("本次未能继续推进，感谢你的推荐");
+  }
+  if (bonus?.status === "待发放" && !["待发放", "已发放"].includes(r.notifiedBonus)) {
+    lines.push("内推奖金 " + Number(bonus.amount).toLocaleString("zh-CN") + " 元已满足发放条件，HR 将尽快安排发放");
+  }
+  return lines.length ? { stage, bonus: bonus?.status || "", text: lines.join("\n") } : null;
+}
@@ -0,0 +1,201 @@
+// ====== 职位申请与 HC 进度 ======
+// 用人经理提交职位申请（申请理由、职级、预算、HC、期望到岗日期），按设置中的审批人逐级审批，全部通过后职位才开放：
+// job.requisition = { status, justification, requestedBy: { name, openId }, requestedAt, steps: [{ name, openId, role, status, comment, at }], decidedAt }
+// 审批中的职位 state 为 pending，驳回 / 撤回后为 rejected，可修改后重新提交。
+// 未配置审批人时由任一管理员审批（role: "admin" 的单个节点）。申请人不能审批自己的申请，
+// 除申请人外无人能审批的节点（如唯一的管理员自己提交）在提交时自动通过并注明原因。
+// HC 进度按岗位下状态为「入职」的候选人计算，招满后自动暂停招聘（pausedReason 记录原因）。
+import { nowIso } from "./db.mjs";
+import { DEFAULT_REQUISITION_SETTINGS } from "./constants.mjs";
+import { isStepApprover } from "./offer.mjs";
+
+export const REQUISITION_STATES = { pending: "待审批", rejected: "未通过" };
+export const HIRED_STATUS = "入职";
+export const FILLED_PAUSE_REASON = "HC 已招满";
+
+export function requisitionSettings(d) {
+  const s = d.requisitionSettings && typeof d.requisitionSettings === "object" && !Array.isArray(d.requisitionSettings) ? d.requisitionSettings : {};
+  return {
+    enabled: typeof s.enabled === "boolean" ? s.enabled : DEFAULT_REQUISITION_SETTINGS.enabled,
+    approvers: Array.isArray(s.approvers) ? s.approvers : [],
+    defaultFillDays: Number.isInteger(s.defaultFillDays) ? s.defaultFillDays : DEFAULT_REQUISITION_SETTINGS.defaultFillDays,
+  };
+}
+
+// 审批人按姓名匹配已登录过系统的用户
+export function parseRequisitionSettings(body, users) {
+  const defaultFillDays = Number(String(body?.defaultFillDays ?? "").trim() || 0);
+  if (!Number.isInteger(defaultFillDays) || defaultFillDays < 1 || defaultFillDays > 365) return { error: "默认招聘周期需为 1-365 的整数天" };
+  const names = [...new Set(String(body?.approvers || "").split(/\n/).map((x) => x.trim()).filter(Boolean))];
+  const approvers = [];
+  for (const name of names) {
+    const u = users.find((x) => x.name === name);
+    if (!u) return { error: "审批人不存在：" + name + "（需为已登录过系统的用户）" };
+    approvers.push({ name: u.name, openId: u.openId || "" });
+  }
+  return { settings: { enabled: !!body?.enabled, approvers, defaultFillDays } };
+}
+
+// 开启职位申请后，成员也可以提交申请；未开启时只有管理员能直接创建职位
+export function canRequestJob(d, user) {
+  if (user?.role === "admin") return true;
+  return user?.role === "member" && requisitionSettings(d).enabled;
+}
+
+function newSteps(d) {
+  const { approvers } = requisitionSettings(d);
+  const list = approvers.length ? approvers.map((a) => ({ name: a.name, openId: a.openId || "", role: "" })) : [{ name: "管理员", openId: "", role: "admin" }];
+  return list.map((a) => ({ ...a, status: "待审批", comment: "", at: "" }));
+}
+
+export function pendingRequisitionStep(job) {
+  const r = job?.requisition;
+  return r?.status === "审批中" ? r.steps.find((s) => s.status === "待审批") || null : null;
+}
+
+export function isRequisitionApprover(step, user) {
+  if (!step || !user) return false;
+  return step.role === "admin" ? user.role === "admin" : isStepApprover(step, user);
+}
+
+export function isRequester(job, user) {
+  const by = job?.requisition?.requestedBy;
+  if (!by || !user) return false;
+  return by.openId ? by.openId === user.openId : by.name === user.name;
+}
+
+// 当前节点能否由 user 审批：申请人不能审批自己提交的申请（即使同时是该节点的审批人）
+export function canDecideRequisition(job, user) {
+  return isRequisitionApprover(pendingRequisitionStep(job), user) && !isRequester(job, user);
+}
+
+// 节点除申请人外是否还有人能审批：管理员节点需有其他管理员，指定审批人节点需审批人不是申请人本人
+function approvableByOthers(d, job, step) {
+  return d.users.some((u) => isRequisitionApprover(step, u) && !isRequester(job, u));
+}
+
+// 全部节点通过：开放职位并记录开放时间，未填期望到岗日期时按默认招聘周期推算
+function openApprovedJob(d, job) {
+  job.requisition.status = "已通过";
+  job.requisition.decidedAt = nowIso();
+  job.state = "open";
+  job.openedAt = nowIso();
+  if (!job.targetFillDate) job.targetFillDate = addDays(job.openedAt.slice(0, 10), requisitionSettings(d).defaultFillDays);
+}
+
+// 提交（或重新提交）申请：重置审批节点，职位进入待审批；所有节点都被自动通过时直接开放（finished）
+export function submitRequisition(d, job, user, justification) {
+  const text = String(justification || "").trim();
+  if (!text) return { error: "请填写申请理由" };
+  if (job.requisition?.status === "审批中") return { error: "该职位申请已在审批中" };
+  job.requisition = {
+    status: "审批中",
+    justification: text,
+    requestedBy: { name: user?.name || "", openId: user?.openId || "" },
+    requestedAt: nowIso(),
+    steps: newSteps(d),
+    decidedAt: "",
+  };
+  job.state = "pending";
+  job.updatedAt = nowIso();
+  for (const step of job.requisition.steps) {
+    if (approvableByOthers(d, job, step)) continue;
+    step.status = "已通过";
+    step.comment = "除申请人外无人可审批该节点，提交时自动通过";
+    step.at = nowIso();
+    if (step.role === "admin") step.name = user?.name || step.name;
+  }
+  if (!pendingRequisitionStep(job)) openApprovedJob(d, job);
+  return { ok: true, finished: job.requisition.status !== "审批中" };
+}
+
+// 逐级审批；全部通过后开放职位
+export function decideRequisition(d, job, user, approve, comment = "") {
+  const step = pendingRequisitionStep(job);
+  if (!step) return { error: "该职位不在审批中" };
+  if (!isRequisitionApprover(step, user)) return { error: "当前审批人为 " + step.name };
+  if (isRequester(job, user)) return { error: "不能审批自己提交的职位申请" };
+  step.status = approve ? "已通过" : "已驳回";
+  step.comment = comment;
+  step.at = nowIso();
+  if (step.role === "admin") step.name = user.name || step.name;
+  const r = job.requisition;
+  if (!approve) {
+    r.status = "已驳回";
+    r.decidedAt = nowIso();
+    job.state = "rejected";
+  } else if (!pendingRequisitionStep(job)) {
+    openApprovedJob(d, job);
+  }
+  job.updatedAt = nowIso();
+  return { ok: true, finished: r.status !== "审批中" };
+}
+
+export function withdrawRequisition(job) {
+  if (job.requisition?.status !== "审批中") return { error: "该职位不在审批中" };
+  job.requisition.status = "已撤回";
+  job.requisition.decidedAt = nowIso();
+  job.state = "rejected";
+  job.updatedAt = nowIso();
+  return { ok: true };
+}
+
+// ===== HC 进度 =====
+
+export function jobFill(d, job) {
+  const hc = Number(job?.headcount) > 0 ? Number(job.headcount) : 0;
+  const filled = d.candidates.filter((c) => c.jobId === job?.id && c.status === HIRED_STATUS).length;
+  return { hc, filled, remaining: Math.max(hc - filled, 0), full: hc > 0 && filled >= hc };
+}
+
+// 候选人入职后调用：开放中的岗位 HC 招满时自动暂停，返回被暂停的岗位
+export function pauseFilledJob(d, jobId) {
+  const job = d.jobs.find((j) => j.id === jobId);
+  if (!job || job.state !== "open" || !jobFill(d, job).full) return null;
+  job.state = "paused";
+  job.pausedReason = FILLED_PAUSE_REASON;
+  job.updatedAt = nowIso();
+  return job;
+}
+
+// ===== 开放时长与期望到岗日期 =====
+
+function addDays(date, n) {
+  const t = new Date(date + "T00:00:00Z");
+  if (isNaN(t)) return "";
+  t.setUTCDate(t.getUTCDate() + n);
+  return t.toISOString().slice(0, 10);
+}
+
+function daysBetween(from, to) {
+  const a = new Date(String(from).slice(0, 10) + "T00:00:00Z");
+  const b = new Date(String(to).slice(0, 10) + "T00:00:00Z");
+  return isNaN(a) || isNaN(b) ? 0 : Math.round((b - a) / 86400000);
+}
+
+// 早期职位没有 openedAt，按创建时间计算
+export function jobOpenedAt(job) {
+  return job.openedAt || job.createdAt || "";
+}
+
+export function jobDaysOpen(job, today = nowIso().slice(0, 10)) {
+  const since = jobOpenedAt(job);
+  return since ? Math.max(daysBetween(since, today), 0) : 0;
+}
+
+export function jobTargetFillDate(d, job) {
+  if (job.targetFillDate) return job.targetFillDate;
+  const since = jobOpenedAt(job);
+  return since ? addDays(since.slice(0, 10), requisitionSettings(d).defaultFillDays) : "";
+}
+
+// 开放中、HC 未招满且已过期望到岗日期的职位，超期最久的在前
+export function overdueFillJobs(d, jobs) {
+  const today = nowIso().slice(0, 10);
+  return jobs
+    .filter((j) => j.state === "open")
+    .map((job) => ({ job, target: jobTargetFillDate(d, job), fill: jobFill(d, job) }))
+    .filter((x) => x.target && x.target < today && !x.fill.full)
+    .map((x) => ({ ...x, daysOver: daysBetween(x.target, today) }))
+    .sort((a, b) => b.daysOver - a.daysOver);
+}
@@ -0,0 +1,159 @@
+// ====== 简历文本提取与结构化解析 ======
+// PDF 使用 pdf-parse，DOCX 使用 mammoth；解析规则基于中文简历常见写法，结果仅供预填，需人工确认
+
+// 同一个 Buffer 只提取一次（批量导入时查重和保存会各调用一次）
+const textCache = new WeakMap();
+
+function detectKind(mimeType, fileName) {
+  const mt = String(mimeType || "").toLowerCase();
+  const fn = String(fileName || "").toLowerCase();
+  if (mt.includes("pdf") || fn.endsWith(".pdf")) return "pdf";
+  if (mt.includes("wordprocessingml") || fn.endsWith(".docx")) return "docx";
+  return "";
+}
+
+export async function extractResumeText(buffer, mimeType, fileName) {
+  if (!buffer || !buffer.length) return "";
+  if (textCache.has(buffer)) return textCache.get(buffer);
+  let text = "";
+  try {
+    const kind = detectKind(mimeType, fileName);
+    if (kind === "pdf") {
+      // 直接引入 lib 文件，避免 pdf-parse 入口在 ESM 下读取测试文件
+      const { default: pdfParse } = await import("pdf-parse/lib/pdf-parse.js");
+      const r = await pdfParse(buffer);
+      text = r.text || "";
+    } else if (kind === "docx") {
+      const { default: mammoth } = await import("mammoth");
+      const r = await mammoth.extractRawText({ buffer });
+      text = r.value || "";
+    }
+  } catch (e) {
+    console.warn("[ResumeParser] 文本提取失败:", e.message);
+    text = "";
+  }
+  text = text.replace(/\r/g, "").replace(/[ \t　]+\n/g, "\n").replace(/\n{3,}/g, "\n\n").trim();
+  textCache.set(buffer, text);
+  return text;
+}
+
+const DEGREES = ["博士", "硕士", "MBA", "研究生", "本科", "学士", "大专", "专科"];
+const NAME_STOPWORDS = /简历|个人|信息|教育|经历|工作|项目|技能|求职|意向|电话|手机|邮箱|联系|优势|评价|背景|荣誉|证书|自我|总结|大学|学院|[部处科院长编师员]$/;
+const COMPANY_RE = /^([A-Za-z0-9一-龥（）()·&.\- ]{2,40}?(?:有限责任公司|有限公司|股份公司|集团|公司|银行|事务所|研究院|Inc\.?|Ltd\.?|Corp\.?))/;
+const SCHOOL_RE = /^([一-龥（）()]{2,16}?(?:大学|学院))/;
+const DATE_RANGE_RE = /((?:19|20)\d{2})\s*[.\/年-]?\s*\d{0,2}\s*月?\s*[-–—~至]+\s*(?:至今|今|现在|(?:19|20)\d{2}(?:\s*[.\/年-]?\s*\d{1,2}\s*月?)?)/;
+
+// PDF 加粗字体常被提取成重复文字（如"教育背景教育背景"），先折叠
+function normalizeText(text) {
+  return text.replace(/([一-龥]{2,12})\1/g, "$1");
+}
+
+// 去掉行首的项目符号和时间区间，便于匹配学校/公司名
+function lineSegments(line) {
+  return line.replace(new RegExp(DATE_RANGE_RE.source, "g"), "|")
+    .split(/[|丨\/]/)
+    .map(x => x.replace(/^[\s\-–—|·⚫•:：（(]+/, "").trim())
+    .filter(Boolean);
+}
+
+function pickName(lines, text) {
+  const m = text.match(/姓\s*名\s*[:：]\s*([一-龥·]{2,4}?|[A-Za-z][A-Za-z .]{1,30})(?=电话|手机|性别|邮箱|年龄|[^一-龥A-Za-z .·]|$)/m);
+  if (m) return m[1].trim();
+  const m2 = text.match(/简历\s*[-–—:：|]\s*([一-龥]{2,4})(?![一-龥])/);
+  if (m2) return m2[1];
+  for (const line of lines.slice(0, 20)) {
+    const m3 = line.match(/^([一-龥]{2,4})(?:\s|$)/);
+    if (m3 && !NAME_STOPWORDS.test(m3[1])) return m3[1];
+  }
+  return "";
+}
+
+function pickPhone(text) {
+  const re = /(?:\+?86[\s-]?)?(?<!\d)(1[3-9]\d[\s-]?\d{4}[\s-]?\d{4})(?!\d)/;
+  let m = text.match(re);
+  // 兜底：部分 PDF 会在数字间插入空格（如 "1 8 0 5 5 11 2 2 1 5"）
+  if (!m) m = text.replace(/(\d)[ \t-]+(?=\d)/g, "$1").match(re);
+  return m ? m[1].replace(/[\s-]/g, "") : "";
+}
+
+function pickEmail(text) {
+  const m = text.match(/[A-Za-z0-9._%+-]+@[A-Za-z0-9.-]+\.[A-Za-z]{2,}/);
+  return m ? m[0] : "";
+}
+
+function pickEducation(text, lines) {
+  let degree = "";
+  for (const dg of DEGREES) {
+    if (text.includes(dg)) { degree = dg === "学士" ? "本科" : dg === "研究生" ? "硕士" : dg === "专科" ? "大专" : dg; break; }
+  }
+  const schools = [];
+  for (const line of lines) {
+    if (line.length > 60) continue;
+    for (const seg of lineSegments(line.replace(/^(学校|毕业院校|院校)[:：]/, "")).flatMap(x => x.split(/\s+/))) {
+      const m = /^(年度|获|积极|全国|负责|参与|就读于|毕业于)/.test(seg) ? null : seg.match(SCHOOL_RE);
+      if (m && m[1].length >= 4 && !schools.includes(m[1])) schools.push(m[1]);
+    }
+    if (schools.length >= 3) break;
+  }
+  return { degree, schools: schools.slice(0, 3) };
+}
+
+function pickEmployers(lines) {
+  const list = [];
+  for (const line of lines) {
+    if (line.length > 60 || /大学|学院|学校/.test(line)) continue;
+    for (const seg of lineSegments(line)) {
+      const m = seg.match(COMPANY_RE);
+      if (m && m[1].trim().length >= 4 && !list.includes(m[1].trim())) list.push(m[1].trim());
+    }
+    if (list.length >= 3) break;
+  }
+  return list.slice(0, 3);
+}
+
+function pickYearsOfExperience(text, lines) {
+  const m = text.match(/(\d{1,2})\s*年以上?(?:的)?(?:工作|相关|从业|行业)?经验/) || text.match(/工作(?:年限|经验)\s*[:：]\s*(\d{1,2})/);
+  if (m) return Number(m[1]);
+  // 按工作经历中的时间区间推算：取公司所在行的最早开始年份
+  const nowYear = new Date().getFullYear();
+  let earliest = 0;
+  for (const line of lines) {
+    if (line.length > 60 || /大学|学院|学校/.test(line)) continue;
+    const r = line.match(DATE_RANGE_RE);
+    if (!r || !lineSegments(line).some(seg => COMPANY_RE.test(seg))) continue;
+    const y = Number(r[1]);
+    if (y <= nowYear && (!earliest || y < earliest)) earliest = y;
+  }
+  return earliest ? nowYear - earliest : null;
+}
+
+export function parseResumeText(text) {
+  const src = normalizeText(String(text || ""));
+  if (!src) return null;
+  const lines = src.split("\n").map(l => l.trim()).filter(Boolean);
+  return {
+    name: pickName(lines, src),
+    phone: pickPhone(src),
+    email: pickEmail(src),
+    education: pickEducation(src, lines),
+    employers: pickEmployers(lines),
+    yearsOfExperience: pickYearsOfExperience(src, lines),
+  };
+}
+
+// 用解析结果预填候选人空字段，记录哪些字段来自自动提取（待人工确认）
+export function applyParsedResume(c, parsed, { fillName = false } = {}) {
+  if (!c || !parsed) return [];
+  const filled = [];
+  if (fillName && parsed.name) { c.name = parsed.name; filled.push("name"); }
+  if (!c.phone && parsed.phone) { c.phone = parsed.phone; filled.push("phone"); }
+  if (!c.email && parsed.email) { c.email = parsed.email; filled.push("email"); }
+  c.resumeProfile = {
+    education: parsed.education || { degree: "", schools: [] },
+    employers: parsed.employers || [],
+    yearsOfExperience: parsed.yearsOfExperience ?? null,
+  };
+  filled.push("resumeProfile");
+  c.extractedFields = Array.from(new Set([...(c.extractedFields || []), ...filled]));
+  return filled;
+}
@@ -0,0 +1,137 @@
+import { Router } from "express";
+import { loadData, saveData, toBjTime } from "../db.mjs";
+import { renderPage, escapeHtml, statusBadge } from "../ui.mjs";
+import { requireLogin, requireAdmin } from "../auth.mjs";
+import { hunterLabel, pushEvent } from "../helpers.mjs";
+import { audit, snapshot } from "../audit.mjs";
+import { agencyStats, agencyConflicts, agencyFee, contractLabel, markFeePaid, recordDeparture, hunterOf } from "../agency.mjs";
+
+const router = Router();
+
+const FEE_COLORS = { "未到期": "gray", "待付款": "orange", "已付款": "green", "已停付": "red", "待补充薪资": "gray" };
+
+function yuan(n) {
+  return Number(n || 0).toLocaleString("zh-CN") + " 元";
+}
+
+function feeBadge(status) {
+  return '<span class="badge status-' + (FEE_COLORS[status] || "gray") + '" style="font-size:11px">' + escapeHtml(status) + '</span>';
+}
+
+// ====== 猎头绩效与服务费（管理员） ======
+router.get("/settings/headhunters/:id", requireLogin, requireAdmin, async (req, res) => {
+  const d = await loadData();
+  const h = (d.headhunters || []).find(x => x.id === req.params.id);
+  if (!h) {
+    return res.status(404).send(renderPage({ title: "猎头不存在", user: req.user, active: "settings", contentHtml: '<div class="card"><div style="font-weight:900">猎头不存在</div><div class="divider"></div><a class="btn" href="/settings">返回设置</a></div>' }));
+  }
+  const st = agencyStats(d, h);
+  const cands = d.candidates.filter(c => c.vendorId === h.id).sort((a, b) => (b.createdAt || "").localeCompare(a.createdAt || ""));
+
+  const pills = [
+    ["推荐", st.submissions], ["入职", st.hires], ["平均入职周期", st.avgDaysToHire === null ? "-" : st.avgDaysToHire + " 天"],
+    ["首推冲突", st.conflictsWon], ["后推冲突", st.conflictsLost], ["待付服务费", yuan(st.feeOwed)], ["已付服务费", yuan(st.feePaid)], ["保证期违约", st.breaches],
+  ].map(([k, v]) => '<span class="pill"><span class="muted">' + k + '</span><b>' + escapeHtml(String(v)) + '</b></span>').join("");
+
+  const funnelHtml = '<table><thead><tr><th>阶段</th><th>人数</th><th>阶段通过率</th></tr></thead><tbody>' +
+    st.funnel.map(f => '<tr><td>' + escapeHtml(f.name) + '</td><td>' + f.count + '</td><td>' + (f.rate === null ? '<span class="muted">-</span>' : f.rate + "%") + '</td></tr>').join("") +
+    '</tbody></table>';
+
+  // 服务费明细：已入职、已记录离职或有付款记录的候选人
+  const feeRows = cands.map(c => ({ c, fee: agencyFee(d, c, h) })).filter(x => x.fee).map(({ c, fee }) => {
+    const cid = escapeHtml(c.id);
+    const ms = fee.milestones.map(m =>
+      '<div style="margin-bottom:4px;white-space:nowrap">' + escapeHtml(m.label) + ' ' + m.percent + '% · <b>' + yuan(m.amount) + '</b> ' + feeBadge(m.status) +
+        '<span class="muted" style="font-size:12px"> ' + (m.status === "已付款" ? escapeHtml((m.paidAt || "").slice(0, 10)) + ' ' + escapeHtml(m.paidBy || "") : '到期 ' + escapeHtml(m.dueDate || "-")) + '</span>' +
+        (m.status === "待付款" ? ' <button class="btn sm primary" onclick="payFee(\'' + cid + '\',' + escapeHtml(JSON.stringify(m.label)) + ')">标记已付</button>' : '') +
+      '</div>'
+    ).join("");
+    const dep = fee.departure
+      ? '<div' + (fee.breach ? ' style="color:var(--red)"' : '') + '>' + escapeHtml(fee.departure.date) + ' 离职' + (fee.breach ? '（保证期内）' : '') + '</div>' +
+        (fee.departure.reason ? '<div class="muted" style="font-size:12px">' + escapeHtml(fee.departure.reason) + '</div>' : '') +
+        (fee.refund ? '<div style="color:var(--red);font-size:12px">需退款 / 替补：' + yuan(fee.refund) + '</div>' : '') +
+        '<button class="btn sm" onclick="clearDeparture(\'' + cid + '\')">撤销</button>'
+      : '<button class="btn sm" onclick="recordDeparture(\'' + cid + '\')">记录离职</button>';
+    return '<tr' + (fee.breach ? ' style="background:rgba(240,90,90,.05)"' : '') + '>' +
+      '<td><a href="/candidates/' + cid + '" style="font-weight:700">' + escapeHtml(c.name) + '</a><div class="muted" style="font-size:12px">' + escapeHtml(c.jobTitle || "-") + '</div></td>' +
+      '<td>' + escapeHtml(fee.hireDate || "-") + '</td>' +
+      '<td>' + (fee.base ? yuan(fee.base) : '<span class="muted">待补充 Offer 薪资</span>') + '</td>' +
+      '<td><b>' + yuan(fee.total) + '</b></td>' +
+      '<td>' + ms + '</td>' +
+      '<td>' + escapeHtml(fee.guaranteeEnd || "-") + '</td>' +
+      '<td>' + dep + '</td></tr>';
+  }).join("");
+
+  const conflicts = agencyConflicts(d, h);
+  const conflictRows = [
+    ...conflicts.won.map(x => ({ ...x, role: "首推" })),
+    ...conflicts.lost.map(x => ({ ...x, role: "后推" })),
+  ].sort((a, b) => (b.event.createdAt || "").localeCompare(a.event.createdAt || "")).map(x =>
+    '<tr><td>' + escapeHtml(toBjTime(x.event.createdAt || "").slice(0, 16)) + '</td>' +
+      '<td><span class="badge status-' + (x.role === "首推" ? "green" : "gray") + '" style="font-size:11px">' + x.role + '</span></td>' +
+      '<td>' + (x.candidate ? '<a href="/candidates/' + escapeHtml(x.candidate.id) + '">' + escapeHtml(x.candidate.name) + '</a>' : '<span class="muted">已删除</span>') + '</td>' +
+      '<td class="muted" style="font-size:12px">' + escapeHtml(x.event.message || "") + '</td></tr>'
+  ).join("");
+
+  const candRows = cands.map(c => '<tr><td><a href="/candidates/' + escapeHtml(c.id) + '">' + escapeHtml(c.name) + '</a></td><td>' + escapeHtml(c.jobTitle || "-") + '</td><td>' + statusBadge(c.status) + '</td>' +
+    '<td class="muted" style="font-size:12px">' + escapeHtml(toBjTime(c.createdAt || "").slice(0, 10)) + '</td></tr>').join("");
+
+  res.send(renderPage({
+    title: "猎头绩效 - " + hunterLabel(h),
+    user: req.user,
+    active: "settings",
+    contentHtml: '<script>' +
+      'async function agPost(url,payload){var r=await fetch(url,{method:"POST",headers:{"Content-Type":"application/json"},body:JSON.stringify(payload)});if(r.ok){location.reload();return}var d=await r.json().catch(function(){return{}});alert(d.error||"操作失败")}' +
+      'function payFee(cid,label){if(!confirm("确认「"+label+"」节点的服务费已付款？"))return;agPost("/api/settings/headhunters/' + escapeHtml(h.id) + '/fees/"+cid,{label:label})}' +
+      'function recordDeparture(cid){var date=prompt("离职日期（YYYY-MM-DD）");if(!date)return;var reason=prompt("离职原因（选填）")||"";agPost("/api/candidates/"+cid+"/departure",{date:date.trim(),reason:reason})}' +
+      'function clearDeparture(cid){if(!confirm("确认撤销离职记录？"))return;agPost("/api/candidates/"+cid+"/departure",{date:""})}' +
+      '</script>' +
+      '<div class="row" style="margin-bottom:10px"><a class="btn sm" href="/settings">返回设置</a></div>' +
+      '<div class="card"><div class="row"><div style="font-weight:900;font-size:18px">' + escapeHtml(hunterLabel(h)) + '</div>' +
+        (h.enabled !== false ? '<span class="badge status-green" style="font-size:11px">启用</span>' : '<span class="badge status-gray" style="font-size:11px">停用</span>') + '</div>' +
+        '<div class="muted" style="margin-top:6px">' + (h.contract ? escapeHtml(contractLabel(h.contract)) : '未签合同，不计算服务费（可在「设置 → 猎头管理」中填写）') + '</div>' +
+        '<div class="divider"></div><div class="row" style="gap:8px;flex-wrap:wrap">' + pills + '</div></div>' +
+      '<div class="card" style="margin-top:14px"><div style="font-weight:900;font-size:16px">推荐漏斗</div><div class="muted" style="font-size:12px">按候选人到达过的最远阶段统计，通过率为相对上一阶段</div><div class="divider"></div>' + funnelHtml + '</div>' +
+      '<div class="card" style="margin-top:14px"><div style="font-weight:900;font-size:16px">服务费与保证期</div><div class="divider"></div>' +
+        (feeRows
+          ? '<table><thead><tr><th>候选人</th><th>入职日期</th><th>Offer 年度现金</th><th>服务费</th><th>付款节点</th><th>保证期至</th><th>离职</th></tr></thead><tbody>' + feeRows + '</tbody></table>'
+          : '<div class="muted">' + (h.contract ? '暂无已入职的候选人' : '未签合同') + '</div>') + '</div>' +
+      '<div class="card" style="margin-top:14px"><div style="font-weight:900;font-size:16px">重复推荐（' + (conflicts.won.length + conflicts.lost.length) + '）</div><div class="muted" style="font-size:12px">首推：该供应商推荐在先，后被其他供应商重复推荐；后推：该供应商推荐时候选人已在人才库中</div><div class="divider"></div>' +
+        (conflictRows ? '<table><thead><tr><th>时间</th><th>角色</th><th>候选人</th><th>说明</th></tr></thead><tbody>' + conflictRows + '</tbody></table>' : '<div class="muted">暂无重复推荐</div>') + '</div>' +
+      '<div class="card" style="margin-top:14px"><div style="font-weight:900;font-size:16px">推荐的候选人（' + cands.length + '）</div><div class="divider"></div>' +
+        (candRows ? '<table><thead><tr><th>候选人</th><th>岗位</th><th>状态</th><th>推荐时间</th></tr></thead><tbody>' + candRows + '</tbody></table>' : '<div class="muted">暂无推荐</div>') + '</div>',
+  }));
+});
+
+router.post("/api/settings/headhunters/:id/fees/:cid", requireLogin, requireAdmin, async (req, res) => {
+  const d = await loadData();
+  const c = d.candidates.find(x => x.id === req.params.cid && x.vendorId === req.params.id);
+  if (!c) return res.status(404).json({ error: "候选人不存在" });
+  const before = snapshot(c.agencyFee);
+  const r = markFeePaid(d, c, String(req.body?.label || ""), req.user);
+  if (r.error) return res.status(400).json({ error: r.error });
+  await saveData(d);
+  audit(req, { entityType: "candidate", entityId: c.id, entityName: c.name, before: { agencyFee: before }, after: { agencyFee: c.agencyFee } });
+  res.json({ ok: true });
+});
+
+router.post("/api/candidates/:id/departure", requireLogin, requireAdmin, async (req, res) => {
+  const d = await loadData();
+  const c = d.candidates.find(x => x.id === req.params.id);
+  if (!c) return res.status(404).json({ error: "候选人不存在" });
+  const before = snapshot(c.departure);
+  const r = recordDeparture(d, c, req.body, req.user);
+  if (r.error) return res.status(400).json({ error: r.error });
+  const fee = agencyFee(d, c, hunterOf(d, c));
+  pushEvent(d, {
+    candidateId: c.id,
+    type: "离职",
+    message: c.departure ? "记录离职：" + c.departure.date + (c.departure.reason ? "（" + c.departure.reason + "）" : "") + (fee?.breach ? "，在猎头保证期内" : "") : "撤销离职记录",
+    actor: req.user?.name,
+  });
+  await saveData(d);
+  audit(req, { entityType: "candidate", entityId: c.id, entityName: c.name, before: { departure: before }, after: { departure: c.departure } });
+  res.json({ ok: true, breach: !!fee?.breach });
+});
+
+export default router;
@@ -1,7 +1,10 @@
 import { Router } from "express";
 import { loadData } from "../db.mjs";
-import { renderPage } from "../ui.mjs";
+import { renderPage, escapeHtml } from "../ui.mjs";
 import { requireLogin, requireAdmin } from "../auth.mjs";
+import { getJobTemplate, templateResolver, roundReached, requiresRejectReason } from "../pipeline.mjs";
+import { BAND_POSITIONS, offerBandStats, offerBandStatsHtml } from "../compensation.mjs";
+import { currentVersion } from "../offer.mjs";
 
 const router = Router();
 
@@ -28,24 +31,15 @@ function weekLabel(isoDate) {
   return `${m}/${d}`;
 }
 
-// 候选人状态分类到漏斗阶段
-const SCREEN_STATUSES  = new Set(["待筛选", "简历初筛"]);
-const INTERVIEW_STATUSES = new Set([
-  "待一面","一面通过","一面不通过",
-  "待二面","二面通过","二面不通过",
-  "待三面","三面通过","三面不通过",
-  "待四面","四面通过","四面不通过",
-  "待五面","五面通过","五面不通过",
-  "面试不通过","面试Pending",
-]);
+// 候选人状态分类到漏斗阶段（面试类状态取自候选人所属岗位的流程模板）
 const OFFER_STATUSES = new Set(["待发offer", "Offer发放", "拒offer"]);
 const HIRED_STATUSES = new Set(["入职"]);
 const REJECTED_STATUSES = new Set(["淘汰"]);
 
-function funnelStage(status) {
+function funnelStage(status, interviewSet) {
   if (HIRED_STATUSES.has(status)) return "hired";
   if (OFFER_STATUSES.has(status)) return "offer";
-  if (INTERVIEW_STATUSES.has(status)) return "interview";
+  if (interviewSet.has(status)) return "interview";
   if (REJECTED_STATUSES.has(status)) return "rejected";
   return "screen"; // 待筛选 / 初筛
 }
@@ -69,6 +63,8 @@ function srcColor(name, idx) {
 router.get("/analytics", requireLogin, requireAdmin, async (req, res) => {
   const d = await loadData();
   const allCands = d.candidates || [];
+  const resolveTpl = templateResolver(d);
+  const stageOf = (c) => funnelStage(c.status, resolveTpl(c.jobId).interviewSet);
 
   // ============================================================
   // 顶部概览数字
@@ -103,7 +99,7 @@ router.get("/analytics", requireLogin, requireAdmin, async (req, res) => {
     const src = c.source || "手动录入";
     if (!sourceMap[src]) sourceMap[src] = { deliver: 0, screen: 0, interview: 0, offer: 0, hired: 0 };
     sourceMap[src].deliver++;
-    const stage = funnelStage(c.status);
+    const stage = stageOf(c);
     if (stage === "screen")    sourceMap[src].screen++;
     if (stage === "interview") { sourceMap[src].screen++; sourceMap[src].interview++; }
     if (stage === "offer")     { sourceMap[src].screen++; sourceMap[src].interview++; sourceMap[src].offer++; }
@@ -266,15 +262,21 @@ router.get("/analytics", requireLogin, requireAdmin, async (req, res) => {
   const funnelJobs = allFunnelJobTitles.map(jobTitle => {
     const cands = allCands.filter(c => c.jobTitle === jobTitle || c.jobId === jobTitle);
     const total = cands.length;
-    const screen    = cands.filter(c => ["screen","interview","offer","hired","rejected"].includes(funnelStage(c.status))).length;
-    const interview = cands.filter(c => ["interview","offer","hired"].includes(funnelStage(c.status))).length;
-    const offer     = cands.filter(c => ["offer","hired"].includes(funnelStage(c.status))).length;
-    const hired2    = cands.filter(c => funnelStage(c.status) === "hired").length;
-    const rejected  = cands.filter(c => funnelStage(c.status) === "rejected").length;
+    const screen    = cands.filter(c => ["screen","interview","offer","hired","rejected"].includes(stageOf(c))).length;
+    const interview = cands.filter(c => ["interview","offer","hired"].includes(stageOf(c))).length;
+    const offer     = cands.filter(c => ["offer","hired"].includes(stageOf(c))).length;
+    const hired2    = cands.filter(c => stageOf(c) === "hired").length;
+    const rejected  = cands.filter(c => stageOf(c) === "rejected").length;
     // 招聘需求
     const job = (d.jobs || []).find(j => j.title === jobTitle || j.id === jobTitle);
     const headcount = job?.headcount || job?.hc || 0;
-    return { title: jobTitle, dept: job?.department || "", headcount, total, screen, interview, offer, hired: hired2, rejected };
+    // 面试阶段按岗位流程模板的轮次展开：每轮统计已进入该轮的人数
+    const tpl = getJobTemplate(d, job);
+    const rounds = tpl.rounds.map((r, i) => ({
+      name: r.name,
+      count: cands.filter(c => roundReached(tpl, c.status) >= i + 1).length,
+    }));
+    return { title: jobTitle, dept: job?.department || "", headcount, total, screen, interview, offer, hired: hired2, rejected, pipeline: tpl.name, rounds };
   });
 
   const funnelJobsJson = JSON.stringify(funnelJobs);
@@ -289,7 +291,7 @@ router.get("/analytics", requireLogin, requireAdmin, async (req, res) => {
     const v = c.vendorName || c.headhunterId || "未知供应商";
     if (!vendorTotals[v]) vendorTotals[v] = { name: v, total: 0, interview: 0, hired: 0, cands: [] };
     vendorTotals[v].total++;
-    if (["interview","offer","hired"].includes(funnelStage(c.status))) vendorTotals[v].interview++;
+    if (["interview","offer","hired"].includes(stageOf(c))) vendorTotals[v].interview++;
     if (HIRED_STATUSES.has(c.status)) vendorTotals[v].hired++;
     vendorTotals[v].cands.push(c);
   });
@@ -313,6 +315,65 @@ router.get("/analytics", requireLogin, requireAdmin, async (req, res) => {
   const hhRate    = pct(hhHired, hhTotal);
   const hhVendors = vendorList.length;
 
+  // ============================================================
+  // Tab6: 淘汰原因分析（取每位已淘汰候选人最近一次带原因的状态变更）
+  // ============================================================
+  const latestRejection = new Map();
+  for (const e of d.events || []) {
+    if (e.meta?.reason && !latestRejection.has(e.candidateId)) latestRejection.set(e.candidateId, e.meta);
+  }
+  const rejectedRows = allCands.filter(c => requiresRejectReason(c.status)).map(c => {
+    const m = latestRejection.get(c.id) || c.rejection || {};
+    return { reason: m.reason || "未记录", stage: m.stage || "未记录", job: c.jobTitle || c.jobId || "未知" };
+  });
+  const countBy = (rows, key) => {
+    const m = new Map();
+    rows.forEach(r => m.set(r[key], (m.get(r[key]) || 0) + 1));
+    return Array.from(m.entries()).sort((a, b) => b[1] - a[1]);
+  };
+  const rejReasons = countBy(rejectedRows, "reason");
+  const crossTable = (key, label) => {
+    const rowsByKey = countBy(rejectedRows, key);
+    if (!rowsByKey.length) return '<div class="muted">暂无数据</div>';
+    return '<table class="conv-table"><thead><tr><th style="min-width:120px">' + label + '</th>' +
+      rejReasons.map(([r]) => '<th class="num">' + escapeHtml(r) + '</th>').join("") + '<th class="num">合计</th></tr></thead><tbody>' +
+      rowsByKey.map(([k, total]) => '<tr><td>' + escapeHtml(k) + '</td>' +
+        rejReasons.map(([r]) => { const n = rejectedRows.filter(x => x[key] === k && x.reason === r).length; return '<td class="num">' + (n || '<span class="muted">0</span>') + '</td>'; }).join("") +
+        '<td class="num"><b>' + total + '</b></td></tr>').join("") +
+      '</tbody></table>';
+  };
+  const rejTotal = rejectedRows.length;
+  const rejReasonHtml = rejReasons.length
+    ? rejReasons.map(([r, n]) => '<div class="row" style="margin-bottom:8px"><span style="min-width:140px">' + escapeHtml(r) + '</span><div style="flex:1;background:#f4f3f6;border-radius:4px;height:10px;overflow:hidden"><div style="width:' + pct(n, rejTotal) + '%;height:100%;background:var(--red,#f05a5a)"></div></div><span class="num" style="min-width:90px;text-align:right"><b>' + n + '</b> <span class="muted">' + pct(n, rejTotal) + '%</span></span></div>').join("")
+    : '<div class="muted">暂无已淘汰候选人</div>';
+  const rejByJobHtml = crossTable("job", "岗位");
+  const rejByStageHtml = crossTable("stage", "淘汰阶段");
+
+  // ============================================================
+  // Tab7: Offer 薪资分析（按当前 Offer 版本生成时记录的带宽位置）
+  // ============================================================
+  const bandRows = offerBandStats(d, d.offers);
+  const bandOfferTotal = bandRows.reduce((s, r) => s + r.total, 0);
+  const outOfBandCount = bandRows.filter(r => r.position === "低于带宽" || r.position === "高于带宽").reduce((s, r) => s + r.total, 0);
+  // 职级 × 带宽位置，以及平均薪资带宽比（月薪 / 带宽中点）
+  const levelMap = new Map();
+  for (const o of d.offers) {
+    const v = currentVersion(d, o);
+    const snap = v?.bandSnapshot;
+    if (!v?.bandPosition || !snap?.level) continue;
+    if (!levelMap.has(snap.level)) levelMap.set(snap.level, { counts: {}, ratios: [] });
+    const lv = levelMap.get(snap.level);
+    lv.counts[v.bandPosition] = (lv.counts[v.bandPosition] || 0) + 1;
+    lv.ratios.push(v.baseSalary / ((snap.min + snap.max) / 2));
+  }
+  const bandByLevelHtml = levelMap.size
+    ? '<table class="conv-table"><thead><tr><th style="min-width:100px">职级</th>' + BAND_POSITIONS.map(p => '<th class="num">' + escapeHtml(p) + '</th>').join("") + '<th class="num">平均带宽比</th></tr></thead><tbody>' +
+      Array.from(levelMap.entries()).sort((a, b) => a[0].localeCompare(b[0])).map(([level, lv]) => '<tr><td>' + escapeHtml(level) + '</td>' +
+        BAND_POSITIONS.map(p => '<td class="num">' + (lv.counts[p] || '<span class="muted">0</span>') + '</td>').join("") +
+        '<td class="num"><b>' + Math.round(lv.ratios.reduce((s, r) => s + r, 0) / lv.ratios.length * 100) + '%</b></td></tr>').join("") +
+      '</tbody></table>'
+    : '<div class="muted">暂无匹配到职级带宽的 Offer</div>';
+
   // ============================================================
   // 渲染页面（使用主系统 renderPage，共享侧边栏/配色）
   // ============================================================
@@ -420,6 +481,8 @@ th.num{text-align:right}
   <button class="tab" onclick="switchTab(this,'tab-weekly')">每周新增 by 岗位</button>
   <button class="tab" onclick="switchTab(this,'tab-funnel')">漏斗分析 by 岗位</button>
   <button class="tab" onclick="switchTab(this,'tab-headhunter')">猎头来源分析</button>
+  <button class="tab" onclick="switchTab(this,'tab-rejection')">淘汰原因分析</button>
+  <button class="tab" onclick="switchTab(this,'tab-offer-band')">Offer 薪资分析</button>
 </div>
 
 <!-- Tab1: 人选来源分析 -->
@@ -555,6 +618,34 @@ th.num{text-align:right}
   </div>
 </div>
 
+<!-- Tab6: 淘汰原因分析 -->
+<div id="tab-rejection" class="tabpanel">
+  <div class="card" style="margin-bottom:14px">
+    <div class="card-title">淘汰原因分布<span class="muted" style="margin-left:auto">共 ${rejTotal} 人</span></div>
+    ${rejReasonHtml}
+  </div>
+  <div class="card" style="margin-bottom:14px">
+    <div class="card-title">岗位 × 淘汰原因</div>
+    <div style="overflow-x:auto">${rejByJobHtml}</div>
+  </div>
+  <div class="card">
+    <div class="card-title">淘汰阶段 × 淘汰原因<span class="muted" style="margin-left:auto;font-size:12px">阶段 = 淘汰时所在的面试轮次或流程阶段</span></div>
+    <div style="overflow-x:auto">${rejByStageHtml}</div>
+  </div>
+</div>
+
+<!-- Tab7: Offer 薪资分析 -->
+<div id="tab-offer-band" class="tabpanel">
+  <div class="card" style="margin-bottom:14px">
+    <div class="card-title">Offer 带宽位置分布与接受率<span class="muted" style="margin-left:auto">共 ${bandOfferTotal} 个 Offer，带宽外 ${outOfBandCount} 个（${pct(outOfBandCount, bandOfferTotal)}%）</span></div>
+    ${offerBandStatsHtml(bandRows)}
+  </div>
+  <div class="card">
+    <div class="card-title">职级 × 带宽位置<span class="muted" style="margin-left:auto;font-size:12px">带宽比 = 月薪 / 带宽中点</span></div>
+    <div style="overflow-x:auto">${bandByLevelHtml}</div>
+  </div>
+</div>
+
 <script>
 // ── 数据注入 ──
 var CONV_CHANNELS = ${convChannelsJson};
@@ -702,12 +793,12 @@ function setRange(btn, range) {
     if (!job.total) return;
     var hcPct=job.headcount>0?Math.min(100,Math.round(job.hired/job.headcount*100)):0;
     var convRate=Math.round(job.hired/job.total*100);
-    var stages=[
-      {name:'筛选',count:job.screen,   color:'#8c93a3',prev:job.total},
-      {name:'面试',count:job.interview,color:'#9b72f5',prev:job.screen},
-      {name:'Offer',count:job.offer,  color:'#f5960a',prev:job.interview},
-      {name:'入职',count:job.hired,   color:'#2eb87a',prev:job.offer},
-    ];
+    var stages=[{name:'筛选',count:job.screen,color:'#8c93a3',prev:job.total}];
+    var prev=job.screen;
+    (job.rounds||[]).forEach(function(r){stages.push({name:r.name,count:r.count,color:'#9b72f5',prev:prev});prev=r.count;});
+    if(!(job.rounds||[]).length){stages.push({name:'面试',count:job.interview,color:'#9b72f5',prev:prev});prev=job.interview;}
+    stages.push({name:'Offer',count:job.offer,color:'#f5960a',prev:prev});
+    stages.push({name:'入职',count:job.hired,color:'#2eb87a',prev:job.offer});
     var stagesHtml=stages.map(function(s,i){
       var pctOfTotal=Math.round(s.count/job.total*100);
       var barW=Math.max(3,pctOfTotal);
@@ -717,7 +808,7 @@ function setRange(btn, range) {
       return arrowHtml+'<div class="funnel-stage"><div class="funnel-stage-name">'+s.name+'</div><div class="funnel-stage-bar"><div class="funnel-stage-fill" style="width:'+barW+'%;background:'+s.color+'">'+(s.count>0?'<span class="funnel-stage-val">'+s.count+'</span>':'')+'</div></div><div class="funnel-stage-pct" style="color:'+s.color+';font-weight:600">'+pctOfTotal+'%</div></div>';
     }).join('');
     var el=document.createElement('div');el.className='funnel-job';
-    el.innerHTML='<div class="funnel-head" onclick="toggleFunnel(this)"><div style="width:28px;height:28px;border-radius:8px;background:var(--primary-light);display:flex;align-items:center;justify-content:center;font-size:11px;font-weight:700;color:var(--primary);flex-shrink:0">'+(idx+1)+'</div><div class="funnel-title">'+job.title+(job.dept?'<span class="muted" style="font-size:12px;font-weight:400"> '+job.dept+'</span>':'')+'</div><div class="funnel-summary"><div class="funnel-summary-item"><b>'+job.total+'</b>投递</div><div class="funnel-summary-item"><b style="color:var(--green)">'+job.hired+'</b>'+(job.headcount?'<span style="color:var(--muted)">/'+job.headcount+'</span>':'')+'入职</div><div class="funnel-summary-item"><b style="color:'+(convRate>=15?'#2eb87a':convRate>=8?'#f5960a':'#f05a5a')+'">'+convRate+'%</b>转化</div></div><svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="var(--muted)" stroke-width="2" style="flex-shrink:0;transition:transform .2s" class="chevron"><path d="M6 9l6 6 6-6"/></svg></div><div class="funnel-body'+(idx===0?' open':'')+'">'+ stagesHtml+'<div style="margin-top:12px;display:flex;gap:14px;font-size:12px;color:var(--muted);flex-wrap:wrap;padding-top:10px;border-top:1px solid var(--border-light)"><span>淘汰：<b style="color:var(--red)">'+job.rejected+'</b>人</span><span>·</span><span>筛选率：<b style="color:#8c93a3">'+(job.total>0?Math.round(job.screen/job.total*100):0)+'%</b></span><span>·</span><span>面试转化：<b style="color:var(--purple)">'+(job.screen>0?Math.round(job.interview/job.screen*100):0)+'%</b></span><span>·</span><span>Offer率：<b style="color:var(--orange)">'+(job.interview>0?Math.round(job.offer/job.interview*100):0)+'%</b></span><span>·</span><span>Offer接受：<b style="color:var(--green)">'+(job.offer>0?Math.round(job.hired/job.offer*100):0)+'%</b></span></div></div>';
+    el.innerHTML='<div class="funnel-head" onclick="toggleFunnel(this)"><div style="width:28px;height:28px;border-radius:8px;background:var(--primary-light);display:flex;align-items:center;justify-content:center;font-size:11px;font-weight:700;color:var(--primary);flex-shrink:0">'+(idx+1)+'</div><div class="funnel-title">'+job.title+(job.dept?'<span class="muted" style="font-size:12px;font-weight:400"> '+job.dept+'</span>':'')+(job.pipeline?'<span class="pill" style="font-size:11px;margin-left:6px">'+job.pipeline+'</span>':'')+'</div><div class="funnel-summary"><div class="funnel-summary-item"><b>'+job.total+'</b>投递</div><div class="funnel-summary-item"><b style="color:var(--green)">'+job.hired+'</b>'+(job.headcount?'<span style="color:var(--muted)">/'+job.headcount+'</span>':'')+'入职</div><div class="funnel-summary-item"><b style="color:'+(convRate>=15?'#2eb87a':convRate>=8?'#f5960a':'#f05a5a')+'">'+convRate+'%</b>转化</div></div><svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="var(--muted)" stroke-width="2" style="flex-shrink:0;transition:transform .2s" class="chevron"><path d="M6 9l6 6 6-6"/></svg></div><div class="funnel-body'+(idx===0?' open':'')+'">'+ stagesHtml+'<div style="margin-top:12px;display:flex;gap:14px;font-size:12px;color:var(--muted);flex-wrap:wrap;padding-top:10px;border-top:1px solid var(--border-light)"><span>淘汰：<b style="color:var(--red)">'+job.rejected+'</b>人</span><span>·</span><span>筛选率：<b style="color:#8c93a3">'+(job.total>0?Math.round(job.screen/job.total*100):0)+'%</b></span><span>·</span><span>面试转化：<b style="color:var(--purple)">'+(job.screen>0?Math.round(job.interview/job.screen*100):0)+'%</b></span><span>·</span><span>Offer率：<b style="color:var(--orange)">'+(job.interview>0?Math.round(job.offer/job.interview*100):0)+'%</b></span><span>·</span><span>Offer接受：<b style="color:var(--green)">'+(job.offer>0?Math.round(job.hired/job.offer*100):0)+'%</b></span></div></div>';
     list.appendChild(el);
   });
   window.toggleFunnel=function(head){var body=head.nextElementSibling;var ch=head.querySelector('.chevron');var isOpen=body.classList.contains('open');body.classList.toggle('open',!isOpen);ch.style.transform=isOpen?'':'rotate(180deg)';};
@@ -0,0 +1,90 @@
+import { Router } from "express";
+import { requireLogin, requireAdmin } from "../auth.mjs";
+import { loadData, nowIso, loadAuditLogs } from "../db.mjs";
+import { renderPage, escapeHtml } from "../ui.mjs";
+import { AUDIT_ACTIONS, AUDIT_ENTITIES, auditActionLabel, auditEntityLabel, fieldLabel, auditLogsCsv } from "../audit.mjs";
+
+const router = Router();
+
+// 页面最多展示的条数，更多记录通过导出查看
+const PAGE_LIMIT = 300;
+const EXPORT_LIMIT = 5000;
+
+const ACTION_COLORS = { create: "status-green", update: "status-blue", delete: "status-red", role_change: "status-purple", status_change: "status-orange", request: "status-gray" };
+
+function auditFilters(query) {
+  const pick = (k) => String(query[k] || "").trim();
+  const date = (k) => (/^\d{4}-\d{2}-\d{2}$/.test(pick(k)) ? pick(k) : "");
+  return {
+    actor: pick("actor"),
+    entityType: AUDIT_ENTITIES[pick("entityType")] ? pick("entityType") : "",
+    entityId: pick("entityId"),
+    action: AUDIT_ACTIONS[pick("action")] ? pick("action") : "",
+    from: date("from"),
+    to: date("to"),
+  };
+}
+
+function changesHtml(changes) {
+  if (!changes.length) return '<span class="muted">-</span>';
+  return changes.map((ch) => '<div style="font-size:12px;line-height:1.6"><b>' + escapeHtml(fieldLabel(ch.field)) + '</b>：' +
+    '<span style="color:var(--red);text-decoration:line-through">' + escapeHtml(ch.from || "空") + '</span> → ' +
+    '<span style="color:var(--green)">' + escapeHtml(ch.to || "空") + '</span></div>').join("");
+}
+
+// ====== 审计日志查看 ======
+router.get("/settings/audit", requireLogin, requireAdmin, async (req, res) => {
+  const f = auditFilters(req.query);
+  const [d, logs] = await Promise.all([loadData(), loadAuditLogs(f, PAGE_LIMIT + 1)]);
+  const shown = logs.slice(0, PAGE_LIMIT);
+  const qs = new URLSearchParams(Object.entries(f).filter(([, v]) => v)).toString();
+
+  const actorOpts = '<option value="">全部</option>' + [...new Set(d.users.map((u) => u.name).filter(Boolean).concat(f.actor ? [f.actor] : []))]
+    .map((n) => '<option value="' + escapeHtml(n) + '"' + (n === f.actor ? " selected" : "") + '>' + escapeHtml(n) + '</option>').join("");
+  const opts = (map, cur) => '<option value="">全部</option>' + Object.entries(map)
+    .map(([k, v]) => '<option value="' + k + '"' + (k === cur ? " selected" : "") + '>' + escapeHtml(v) + '</option>').join("");
+
+  const rows = shown.map((x) => '<tr>' +
+    '<td style="white-space:nowrap">' + escapeHtml(x.createdAt.replace("T", " ")) + '</td>' +
+    '<td>' + escapeHtml(x.actor || "-") + '</td>' +
+    '<td><span class="badge ' + (ACTION_COLORS[x.action] || "status-gray") + '" style="font-size:11px">' + escapeHtml(auditActionLabel(x.action)) + '</span></td>' +
+    '<td><div>' + escapeHtml(auditEntityLabel(x.entityType)) + (x.entityName ? " · " + escapeHtml(x.entityName) : "") + '</div>' +
+      (x.entityId ? '<a class="muted" style="font-size:12px" href="/settings/audit?entityType=' + encodeURIComponent(x.entityType) + '&entityId=' + encodeURIComponent(x.entityId) + '">' + escapeHtml(x.entityId) + '</a>' : '') + '</td>' +
+    '<td style="max-width:420px;word-break:break-all">' + changesHtml(x.changes) + '</td>' +
+    '<td style="font-size:12px"><div><code>' + escapeHtml(x.method + " " + x.path) + '</code></div>' +
+      '<div class="muted">' + escapeHtml(x.ip || "-") + '</div>' +
+      '<div class="muted" style="max-width:220px;overflow:hidden;text-overflow:ellipsis;white-space:nowrap" title="' + escapeHtml(x.userAgent) + '">' + escapeHtml(x.userAgent || "-") + '</div></td>' +
+  '</tr>').join("");
+
+  res.send(renderPage({
+    title: "审计日志",
+    user: req.user,
+    active: "settings",
+    contentHtml: '<div class="row"><a class="btn sm" href="/settings">← 设置</a><div style="font-weight:900;font-size:18px">审计日志</div><span class="spacer"></span>' +
+        '<a class="btn sm" href="/settings/audit.csv' + (qs ? "?" + qs : "") + '">导出 CSV</a></div>' +
+      '<div class="divider"></div>' +
+      '<form class="card" method="GET" action="/settings/audit"><div class="row" style="gap:10px;flex-wrap:wrap;align-items:flex-end">' +
+        '<div class="field" style="min-width:140px"><label>操作人</label><select name="actor">' + actorOpts + '</select></div>' +
+        '<div class="field" style="min-width:120px"><label>对象类型</label><select name="entityType">' + opts(AUDIT_ENTITIES, f.entityType) + '</select></div>' +
+        '<div class="field" style="min-width:160px"><label>对象 ID</label><input name="entityId" value="' + escapeHtml(f.entityId) + '" placeholder="如候选人 / 职位 ID" /></div>' +
+        '<div class="field" style="min-width:120px"><label>操作</label><select name="action">' + opts(AUDIT_ACTIONS, f.action) + '</select></div>' +
+        '<div class="field"><label>开始日期</label><input name="from" type="date" value="' + f.from + '" /></div>' +
+        '<div class="field"><label>结束日期</label><input name="to" type="date" value="' + f.to + '" /></div>' +
+        '<div class="field"><button class="btn primary" type="submit">筛选</button> <a class="btn" href="/settings/audit">重置</a></div>' +
+      '</div></form>' +
+      '<div class="card" style="margin-top:14px">' +
+        '<div class="muted" style="margin-bottom:8px">' + (logs.length > PAGE_LIMIT ? '仅显示最近 ' + PAGE_LIMIT + ' 条，请缩小筛选范围或导出 CSV 查看全部' : '共 ' + shown.length + ' 条') + '</div>' +
+        (rows ? '<table><thead><tr><th>时间</th><th>操作人</th><th>操作</th><th>对象</th><th>变更</th><th>请求 / IP / UA</th></tr></thead><tbody>' + rows + '</tbody></table>'
+          : '<div class="muted">暂无记录</div>') +
+      '</div>',
+  }));
+});
+
+router.get("/settings/audit.csv", requireLogin, requireAdmin, async (req, res) => {
+  const logs = await loadAuditLogs(auditFilters(req.query), EXPORT_LIMIT);
+  res.setHeader("Content-Type", "text/csv; charset=utf-8");
+  res.setHeader("Content-Disposition", "attachment; filename*=UTF-8''" + encodeURIComponent("审计日志_" + nowIso().slice(0, 10) + ".csv"));
+  res.send(auditLogsCsv(logs));
+});
+
+export default router;
@@ -1,12 +1,95 @@
 import { Router } from "express";
 import { requireLogin } from "../auth.mjs";
-import { loadData, saveData, upsertRow, saveAppConfigKey, nowIso, rid, deleteFromSupabase } from "../db.mjs";
-import { STATUS_SET, INTERVIEW_ROUNDS, INTERVIEW_RATING } from "../constants.mjs";
-import { getVisibleJobIds, pushEvent, refreshResumeUrlIfNeeded } from "../helpers.mjs";
-import { feishuEnabled, sendFeishuMessage, sendFeishuGroupMessage, createFeishuCalendarEvent, updateFeishuCalendarEvent, deleteFeishuCalendarEvent } from "../feishu.mjs";
+import { loadData, saveData, upsertRow, saveAppConfigKey, nowIso, rid, deleteFromSupabase, deleteCandidateRelated } from "../db.mjs";
+import { INTERVIEW_RATING } from "../constants.mjs";
+import { getJobTemplate, migrateStatus, templateStatusSet, templateStatuses, scheduleAutoFlow, reviewAutoFlow, roundCount, roundName, roundMinutes, requiresRejectReason } from "../pipeline.mjs";
+import { parseBjTime, toBjLocal, findInterviewerConflicts } from "../scheduling.mjs";
+import { getVisibleJobIds, pushEvent, refreshResumeUrlIfNeeded, hunterLabel, changeCandidateStatus, reviewRejection, rejectionMeta } from "../helpers.mjs";
+import { searchCandidates } from "../search.mjs";
+import { sendStatusEmail, publicBaseUrl } from "../email.mjs";
+import { notify } from "../notify.mjs";
+import { NOTE_REACTIONS, userKey, parseMentions, canSeeNote, notifyMentions } from "../notes.mjs";
+import { getJobScorecard, parseDimensionScores, formatDimensionScores } from "../scorecard.mjs";
+import { BULK_ACTIONS, BULK_MAX, applyBulkAction, candidatesCsv } from "../bulk.mjs";
+import { audit, auditMany, skipAudit, snapshot } from "../audit.mjs";
+import { stampJobVersion } from "../jobVersions.mjs";
+import { feishuEnabled, sendFeishuMessage, createFeishuCalendarEvent, updateFeishuCalendarEvent, deleteFeishuCalendarEvent } from "../feishu.mjs";
 
 const router = Router();
 
+// ====== 全文检索：简历正文 / 备注 / 面评 / 动态 ======
+router.get("/api/search", requireLogin, async (req, res) => {
+  const q = String(req.query.q || "").trim();
+  if (!q) return res.status(400).json({ error: "请输入关键词" });
+  const limit = Math.min(Math.max(Number(req.query.limit) || 50, 1), 200);
+  const d = await loadData();
+  const visibleJobIds = getVisibleJobIds(req.user, d.jobs);
+  const hits = searchCandidates(d, q, { user: req.user, visibleJobIds });
+  const results = [];
+  for (const c of d.candidates) {
+    if (!hits.has(c.id)) continue;
+    results.push({ candidateId: c.id, name: c.name, jobTitle: c.jobTitle || "", status: c.status, hits: hits.get(c.id) });
+    if (results.length >= limit) break;
+  }
+  res.json({ ok: true, total: hits.size, results });
+});
+
+// ====== 批量操作（需在 /api/candidates/:id 之前注册）======
+// body: { ids, action, preview, ...参数 }；preview=true 时只返回将变更的人数，不保存
+router.post("/api/candidates/bulk", requireLogin, async (req, res) => {
+  const action = String(req.body.action || "");
+  if (!BULK_ACTIONS[action]) return res.status(400).json({ error: "不支持的批量操作" });
+  if (action === "delete" && req.user?.role !== "admin") return res.status(403).json({ error: "仅管理员可批量删除" });
+  const ids = Array.isArray(req.body.ids) ? req.body.ids.map(String) : [];
+  if (!ids.length) return res.status(400).json({ error: "请先选择候选人" });
+  if (ids.length > BULK_MAX) return res.status(400).json({ error: "单次最多操作 " + BULK_MAX + " 人" });
+
+  const d = await loadData();
+  const vj = getVisibleJobIds(req.user, d.jobs);
+  const idSet = new Set(ids);
+  const targets = d.candidates.filter((c) => idSet.has(c.id) && (vj === null || vj.has(c.jobId)));
+  if (!targets.length) return res.status(404).json({ error: "没有可操作的候选人" });
+
+  const before = new Map(targets.map((c) => [c.id, snapshot(c)]));
+  const result = applyBulkAction(d, targets, action, req.body, req.user);
+  if (result.error) return res.status(result.status || 400).json({ error: result.error });
+  const summary = { ok: true, action: BULK_ACTIONS[action], total: ids.length, changed: result.changed.length, skipped: result.skipped, missing: ids.length - targets.length };
+  if (req.body.preview) {
+    skipAudit(req);
+    return res.json({ ...summary, preview: true });
+  }
+
+  if (action === "export") {
+    audit(req, { action: "request", entityType: "candidate", entityId: "", entityName: "导出 " + targets.length + " 位候选人", changes: [] });
+    const csv = candidatesCsv(targets);
+    res.setHeader("Content-Type", "text/csv; charset=utf-8");
+    res.setHeader("Content-Disposition", "attachment; filename*=UTF-8''" + encodeURIComponent("候选人导出_" + nowIso().slice(0, 10) + ".csv"));
+    return res.send(csv);
+  }
+  if (result.changed.length) await saveData(d);
+  const byId = new Map(d.candidates.map((c) => [c.id, c]));
+  auditMany(req, result.changed.map((cid) => ({
+    action: action === "status" ? "status_change" : undefined,
+    entityType: "candidate",
+    entityId: cid,
+    entityName: before.get(cid).name,
+    before: before.get(cid),
+    after: action === "delete" ? null : byId.get(cid),
+  })).concat(result.pausedJobs.map((j) => ({
+    entityType: "job",
+    entityId: j.id,
+    entityName: j.title,
+    before: { state: "open" },
+    after: { state: j.state, pausedReason: j.pausedReason },
+  }))));
+  if (action === "delete") {
+    for (const cid of result.changed) {
+      try { await deleteCandidateRelated(cid); } catch (e) { console.error("[Bulk] Supabase 清理失败:", e.message); }
+    }
+  }
+  res.json(summary);
+});
+
 router.get("/api/candidates/:id", requireLogin, async (req, res) => {
   const d = await loadData();
   const c = d.candidates.find((x) => x.id === req.params.id);
@@ -23,7 +106,15 @@ router.get("/api/candidates/:id", requireLogin, async (req, res) => {
   const schedules = d.interviewSchedules.filter((x) => x.candidateId === c.id).sort((a, b) => (a.round - b.round));
   const events = d.events.filter((e) => e.candidateId === c.id).sort((a, b) => (b.createdAt || "").localeCompare(a.createdAt || ""));
 
-  res.json({ ...c, resume: resume || null, reviews, schedules, events });
+  const tpl = getJobTemplate(d, c.jobId);
+  const pipeline = {
+    id: tpl.id,
+    name: tpl.name,
+    statuses: templateStatuses(tpl),
+    rounds: tpl.rounds.map((r, i) => ({ round: i + 1, name: r.name })),
+  };
+
+  res.json({ ...c, resume: resume ? { ...resume, text: undefined } : null, reviews, schedules, events, pipeline });
 });
 
 router.post("/api/candidates/:id", requireLogin, async (req, res) => {
@@ -52,10 +143,12 @@ router.post("/api/candidates/:id", requireLogin, async (req, res) => {
   // 猎头来源：更新供应商显示名称
   if (source === "猎头" && vendorId) {
     const h = (d.headhunters || []).find(x => x.id === vendorId);
-    c.vendorName = h ? (h.company ? h.company + (h.name ? " · " + h.name : "") : h.name) : vendorId;
+    c.vendorName = h ? hunterLabel(h) : vendorId;
   }
   c.note = note;
   if (Array.isArray(req.body.tags)) c.tags = req.body.tags.filter(Boolean);
+  // 人工保存即确认简历自动提取的字段
+  if (c.extractedFields?.length) c.extractedFields = [];
   c.updatedAt = nowIso();
 
   let sourcesChanged = false;
@@ -81,6 +174,7 @@ router.post("/api/candidates/:id", requireLogin, async (req, res) => {
   if (newEvent) saves.push(upsertRow("events", newEvent));
   if (sourcesChanged) saves.push(saveAppConfigKey("sources", d.sources));
   await Promise.all(saves);
+  audit(req, { entityType: "candidate", entityId: c.id, entityName: c.name, before, after: c });
   res.json({ ok: true });
 });
 
@@ -91,23 +185,34 @@ router.post("/api/candidates/:id/status", requireLogin, async (req, res) => {
   { const vj = getVisibleJobIds(req.user, d.jobs); if (vj !== null && !vj.has(c.jobId)) return res.status(403).json({ error: "no_permission" }); }
 
   const old = c.status || "待筛选";
-  const status = String(req.body.status || "待筛选");
-  c.status = STATUS_SET.has(status) ? status : "待筛选";
-  c.updatedAt = nowIso();
-
-  pushEvent(d, { candidateId: c.id, type: "状态流转", message: "状态：" + old + " -> " + c.status, actor: req.user?.name || "系统" });
-  const statusEvent = d.events[d.events.length - 1];
+  const result = changeCandidateStatus(d, c, req.body || {}, req.user);
+  if (!result.ok) {
+    const { status, ...body } = result;
+    return res.status(status).json(body);
+  }
+  if (!result.event) return res.json({ ok: true });
+  const paused = result.pausedJob;
   await Promise.all([
     upsertRow("candidates", c),
-    upsertRow("events", statusEvent),
+    upsertRow("events", result.event),
+    paused ? upsertRow("jobs", paused) : null,
+  ]);
+  auditMany(req, [
+    { action: "status_change", entityType: "candidate", entityId: c.id, entityName: c.name, before: { status: old }, after: { status: c.status } },
+    ...(paused ? [{ entityType: "job", entityId: paused.id, entityName: paused.title, before: { state: "open" }, after: { state: paused.state, pausedReason: paused.pausedReason } }] : []),
   ]);
 
-  if (feishuEnabled() && req.user?.openId) {
-    sendFeishuMessage(req.user.openId,
-      `**候选人**：${c.name}\n**状态变更**：${old} → ${c.status}\n**操作人**：${req.user?.name || "系统"}`,
-      "候选人状态变更"
-    ).catch(() => {});
-  }
+  notify(d, "status_change", {
+    candidate: c,
+    actor: req.user,
+    title: "候选人状态变更",
+    content: `**候选人**：${c.name}\n**状态变更**：${old} → ${c.status}\n**操作人**：${req.user?.name || "系统"}`,
+    vars: { "原状态": old },
+  }).catch(() => {});
+  // 按设置中的自动发信规则给候选人发邮件（批量流转不自动发信，避免误发大量邮件）
+  sendStatusEmail(d, c, req.user, publicBaseUrl(req))
+    .then(r => r && upsertRow("events", r.event))
+    .catch(e => console.error("[Mail] 自动发信失败:", e.message));
 
   res.json({ ok: true });
 });
@@ -123,29 +228,38 @@ router.post("/api/candidates/:id/job", requireLogin, async (req, res) => {
 
   const newJob = d.jobs.find((j) => j.id === newJobId);
   if (!newJob) return res.status(400).json({ error: "岗位不存在" });
+  { const vj = getVisibleJobIds(req.user, d.jobs); if (vj !== null && !vj.has(newJobId)) return res.status(403).json({ error: "no_permission" }); }
 
   const oldJobTitle = c.jobTitle || c.jobId || "未关联岗位";
   const newJobTitle = newJob.title || newJobId;
 
   if (c.jobId === newJobId) {
+    skipAudit(req);
     return res.json({ ok: true, message: "岗位未变化" });
   }
 
+  const before = { jobId: c.jobId, jobTitle: c.jobTitle, status: c.status };
+  const oldStatus = c.status || "待筛选";
+  // 新岗位使用不同流程模板时，按轮次映射当前状态（与批量换岗位一致）
+  const nextStatus = migrateStatus(getJobTemplate(d, c.jobId), getJobTemplate(d, newJob), oldStatus);
   c.jobId = newJobId;
   c.jobTitle = newJobTitle;
+  c.status = nextStatus;
   c.updatedAt = nowIso();
+  stampJobVersion(d, c);
 
   pushEvent(d, {
     candidateId: c.id,
     type: "岗位变更",
-    message: "岗位：" + oldJobTitle + " -> " + newJobTitle,
+    message: "岗位：" + oldJobTitle + " -> " + newJobTitle + (nextStatus !== oldStatus ? "\n状态：" + oldStatus + " -> " + nextStatus : ""),
     actor: req.user?.name || "系统"
   });
-  const jobEvent = d.events[d.events.length - 1];
+  const jobEvent = d.events[0];
   await Promise.all([
     upsertRow("candidates", c),
     upsertRow("events", jobEvent),
   ]);
+  audit(req, { entityType: "candidate", entityId: c.id, entityName: c.name, before, after: { jobId: c.jobId, jobTitle: c.jobTitle, status: c.status } });
   res.json({ ok: true, newJobTitle });
 });
 
@@ -157,6 +271,7 @@ router.post("/api/candidates/:id/follow", requireLogin, async (req, res) => {
   const nextAction = String(req.body.nextAction || "").trim();
   const followAt = String(req.body.followAt || "").trim();
   const note = String(req.body.note || "").trim();
+  const before = { follow: c.follow || null };
   c.follow = { nextAction, followAt, note };
   c.updatedAt = nowIso();
 
@@ -166,6 +281,7 @@ router.post("/api/candidates/:id/follow", requireLogin, async (req, res) => {
     upsertRow("candidates", c),
     upsertRow("events", followEvent),
   ]);
+  audit(req, { entityType: "candidate", entityId: c.id, entityName: c.name, before, after: { follow: c.follow } });
   res.json({ ok: true });
 });
 
@@ -178,31 +294,28 @@ router.post("/api/candidates/:id/notify", requireLogin, async (req, res) => {
   const message = String(req.body.message || "").trim();
   if (!message) return res.status(400).json({ error: "empty_message" });
 
-  const relatedSchedules = (d.interviewSchedules || []).filter(s => s.candidateId === c.id);
-  const interviewerNames = new Set();
-  relatedSchedules.forEach(s => {
-    (s.interviewers || "").split(/[\/,\s]+/).forEach(n => { if (n.trim()) interviewerNames.add(n.trim()); });
-  });
-
   const candidateUrl = `${req.protocol}://${req.get("host")}/candidates/${c.id}?lk_jump_to_browser=true`;
   const manualNotifyBtn = {
     tag: "action",
     actions: [{ tag: "button", text: { tag: "plain_text", content: "📋 查看候选人详情" }, url: candidateUrl, type: "primary" }],
   };
-  const sentTo = [];
-  for (const name of interviewerNames) {
-    const u = d.users.find(x => x.name === name && x.openId);
-    if (u) {
-      sendFeishuMessage(u.openId, `**候选人**：${c.name}\n**职位**：${c.jobTitle || "-"}\n**状态**：${c.status || "-"}\n\n${message}`, "招聘提醒", [manualNotifyBtn]).catch(() => {});
-      sentTo.push(name);
-    }
-  }
+  // 接收人由「手动通知」规则决定，默认为该候选人所有面试安排中的面试官
+  const sent = await notify(d, "manual", {
+    candidate: c,
+    actor: req.user,
+    title: "招聘提醒",
+    content: `**候选人**：${c.name}\n**职位**：${c.jobTitle || "-"}\n**状态**：${c.status || "-"}\n\n${message}`,
+    vars: { "消息": message },
+    buttons: [manualNotifyBtn],
+  });
+  const sentTo = [...new Set(sent.map(x => x.name))];
 
+  // 给发送人的回执不经过规则
   if (req.user?.openId) {
     sendFeishuMessage(req.user.openId, `你发送了一条关于候选人「${c.name}」的通知\n\n${message}`, "通知已发送", [manualNotifyBtn]).catch(() => {});
   }
 
-  pushEvent(d, { candidateId: c.id, type: "飞书通知", message: "手动发送通知：" + message + "\n通知对象：" + (sentTo.length ? sentTo.join("、") : "无匹配面试官"), actor: req.user?.name || "系统" });
+  pushEvent(d, { candidateId: c.id, type: "飞书通知", message: "手动发送通知：" + message + "\n通知对象：" + (sentTo.length ? sentTo.join("、") : "无匹配接收人"), actor: req.user?.name || "系统" });
   await saveData(d);
   res.json({ ok: true, sentTo });
 });
@@ -214,15 +327,32 @@ router.post("/api/candidates/:id/schedule", requireLogin, async (req, res) => {
   { const vj = getVisibleJobIds(req.user, d.jobs); if (vj !== null && !vj.has(c.jobId)) return res.status(403).json({ error: "no_permission" }); }
 
   const round = Number(req.body.round || 1);
-  if (!INTERVIEW_ROUNDS.includes(round)) return res.status(400).send("invalid_round");
+  const tpl = getJobTemplate(d, c.jobId);
+  if (!Number.isInteger(round) || round < 1 || round > roundCount(tpl)) return res.status(400).send("invalid_round");
 
   const scheduledAt = String(req.body.scheduledAt || "").trim();
   const interviewers = String(req.body.interviewers || "").trim();
   const link = String(req.body.link || "").trim();
   const location = String(req.body.location || "").trim();
   const syncStatus = String(req.body.syncStatus || "（不同步）").trim();
+  const reqOpenIds = Array.isArray(req.body.interviewerOpenIds) ? req.body.interviewerOpenIds.filter(Boolean) : [];
 
   const idx = d.interviewSchedules.findIndex((x) => x.candidateId === c.id && x.round === round);
+
+  // 结束时间：前端未传或早于开始时间时，按该轮次配置的时长计算
+  let endAt = "";
+  const startDt = scheduledAt ? parseBjTime(scheduledAt) : null;
+  if (scheduledAt && !startDt) return res.status(400).json({ error: "面试时间格式无效" });
+  if (startDt) {
+    const reqEnd = parseBjTime(req.body.endAt);
+    const endDt = reqEnd && reqEnd > startDt ? reqEnd : new Date(startDt.getTime() + roundMinutes(tpl, round) * 60000);
+    endAt = toBjLocal(endDt);
+    // 面试官时间冲突：返回冲突明细，前端确认后带 force 重新提交
+    if (!req.body.force) {
+      const conflicts = await findInterviewerConflicts(d, { interviewers, openIds: reqOpenIds, start: startDt, end: endDt, excludeId: idx > -1 ? d.interviewSchedules[idx].id : "" });
+      if (conflicts.length) return res.status(409).json({ error: "面试官时间冲突", conflicts: conflicts.map(x => x.message) });
+    }
+  }
   // 为每个面试官生成独立 reviewToken（面试官免登录填面评用）
   const existingToken = idx > -1 ? d.interviewSchedules[idx].reviewToken : "";
   const reviewToken = existingToken || rid("rt");
@@ -232,6 +362,7 @@ router.post("/api/candidates/:id/schedule", requireLogin, async (req, res) => {
     candidateId: c.id,
     round,
     scheduledAt,
+    endAt,
     interviewers,
     link: link || prevMeetingUrl,  // 前端未传 link 时保留已有会议链接
     location,
@@ -251,42 +382,34 @@ router.post("/api/candidates/:id/schedule", requireLogin, async (req, res) => {
   if (idx > -1) d.interviewSchedules[idx] = item;
   else d.interviewSchedules.push(item);
 
-  pushEvent(d, { candidateId: c.id, type: "面试安排", message: "第" + round + "轮\n时间：" + (scheduledAt || "-") + "\n面试官：" + (interviewers || "-"), actor: req.user?.name || "系统" });
+  pushEvent(d, { candidateId: c.id, type: "面试安排", message: "第" + round + "轮\n时间：" + (scheduledAt ? scheduledAt + " - " + endAt.slice(11) : "-") + "\n面试官：" + (interviewers || "-"), actor: req.user?.name || "系统" });
 
-  if (syncStatus && syncStatus !== "（不同步）" && STATUS_SET.has(syncStatus)) {
-    const old = c.status || "待筛选";
-    c.status = syncStatus;
-    c.updatedAt = nowIso();
-    if (old !== c.status) {
-      pushEvent(d, { candidateId: c.id, type: "状态同步", message: "因面试安排同步，状态：" + old + " -> " + c.status, actor: "系统" });
+  // 淘汰类状态需要填写原因，不随面试安排同步
+  // 同步状态与手动改状态同样受流转策略约束，入职时同样触发 HC 招满自动暂停（pausedJob 随 saveData 一并保存）
+  if (syncStatus && syncStatus !== "（不同步）" && templateStatusSet(tpl).has(syncStatus) && !requiresRejectReason(syncStatus)) {
+    const result = changeCandidateStatus(d, c, { status: syncStatus, override: req.body.override }, req.user);
+    if (!result.ok) {
+      const { status, ...body } = result;
+      return res.status(status).json(body);
     }
   } else if (syncStatus === "（不同步）" && scheduledAt) {
     const old = c.status || "待筛选";
-    const autoFlowRules = [
-      { round: 1, from: ["待筛选", "简历初筛"], to: "待一面" },
-      { round: 2, from: ["一面通过", "待一面"], to: "待二面" },
-      { round: 3, from: ["二面通过", "待二面"], to: "待三面" },
-      { round: 4, from: ["三面通过", "待三面"], to: "待四面" },
-      { round: 5, from: ["四面通过", "待四面"], to: "待五面" },
-    ];
-    const rule = autoFlowRules.find(r => r.round === round);
-    if (rule && rule.from.includes(old)) {
-      c.status = rule.to;
+    const to = scheduleAutoFlow(tpl, round, old);
+    if (to) {
+      c.status = to;
       c.updatedAt = nowIso();
-      pushEvent(d, { candidateId: c.id, type: "自动流转", message: "安排第" + round + "轮面试，状态：" + old + " -> " + rule.to, actor: "系统" });
+      pushEvent(d, { candidateId: c.id, type: "自动流转", message: "安排第" + round + "轮面试（" + roundName(tpl, round) + "），状态：" + old + " -> " + to, actor: "系统" });
     }
   }
-  const followActionMap = { 1: "等面试反馈", 2: "等面试反馈", 3: "等面试反馈", 4: "等面试反馈", 5: "等面试反馈" };
-  if (scheduledAt && followActionMap[round]) {
+  if (scheduledAt) {
     if (!c.follow) c.follow = {};
-    c.follow.nextAction = followActionMap[round];
+    c.follow.nextAction = "等面试反馈";
     c.follow.followAt = scheduledAt.slice(0, 10);
   }
   await saveData(d);
 
   // 收集面试官 openId（优先用前端传来的 interviewerOpenIds，兜底按姓名匹配）
-  const reqOpenIds = Array.isArray(req.body.interviewerOpenIds) ? req.body.interviewerOpenIds.filter(Boolean) : [];
-  let attendeeOpenIds = reqOpenIds;
+  let attendeeOpenIds = [...reqOpenIds];
   if (!attendeeOpenIds.length && interviewers) {
     const interviewerNames = interviewers.split(/[\/;,、]/).map(n => n.trim()).filter(Boolean);
     for (const name of interviewerNames) {
@@ -307,10 +430,7 @@ router.post("/api/candidates/:id/schedule", requireLogin, async (req, res) => {
 
   if (shouldSyncCalendar) {
     try {
-      const localStr = scheduledAt.replace(" ", "T");
-      const hasTimezone = /[Zz]|[+-]\d{2}:?\d{2}$/.test(localStr);
-      const startDt = hasTimezone ? new Date(localStr) : new Date(localStr + "+08:00");
-      const endDt = new Date(startDt.getTime() + 60 * 60 * 1000);
+      const endDt = parseBjTime(endAt);
       const calSummary = `面试：${c.name} - ${c.jobTitle || "未知岗位"} - 第${round}轮`;
       const calDesc = `候选人：${c.name}\n职位：${c.jobTitle || "-"}\n轮次：第${round}轮\n面试官：${interviewers || "-"}\n${link ? "链接：" + link : ""}${location ? "\n地点：" + location : ""}`;
 
@@ -384,25 +504,23 @@ router.post("/api/candidates/:id/schedule", requireLogin, async (req, res) => {
   }
 
   // 发送飞书消息通知面试官
-  const notifyPromises = [];
   const latestSc = d.interviewSchedules.find(x => x.candidateId === c.id && x.round === round);
   const locationInfo = meetingUrl ? `飞书会议：${meetingUrl}` : (location || link || "-");
   const reviewLink = latestSc?.reviewToken ? `${req.protocol}://${req.get("host")}/review/${latestSc.reviewToken}?lk_jump_to_browser=true` : "";
   const candidateUrl = `${req.protocol}://${req.get("host")}/candidates/${c.id}?lk_jump_to_browser=true`;
   const notifyButtons = { tag: "action", actions: [{ tag: "button", text: { tag: "plain_text", content: "📋 查看候选人详情" }, url: candidateUrl, type: "primary" }, ...(reviewLink ? [{ tag: "button", text: { tag: "plain_text", content: "📝 填写面评" }, url: reviewLink, type: "default" }] : [])] };
-  const msgContent = `**候选人**：${c.name}\n**职位**：${c.jobTitle || "-"}\n**轮次**：第${round}轮\n**时间**：${scheduledAt}\n**地点/会议**：${locationInfo}`;
-  if (feishuEnabled() && scheduledAt && attendeeOpenIds.length > 0) {
-    for (const oid of attendeeOpenIds) {
-      notifyPromises.push(sendFeishuMessage(oid, msgContent, "面试安排通知", [notifyButtons]).catch(() => {}));
-    }
-  } else if (feishuEnabled() && scheduledAt && interviewers) {
-    const interviewerNames = interviewers.split(/[\/;,、]/).map(n => n.trim()).filter(Boolean);
-    for (const name of interviewerNames) {
-      const usr = d.users.find(u => u.name === name && u.openId);
-      if (usr) notifyPromises.push(sendFeishuMessage(usr.openId, msgContent, "面试安排通知", [notifyButtons]).catch(() => {}));
-    }
+  const msgContent = `**候选人**：${c.name}\n**职位**：${c.jobTitle || "-"}\n**轮次**：第${round}轮\n**时间**：${scheduledAt} - ${endAt.slice(11)}\n**地点/会议**：${locationInfo}`;
+  if (scheduledAt && (attendeeOpenIds.length > 0 || interviewers)) {
+    await notify(d, "interview_scheduled", {
+      candidate: c,
+      actor: req.user,
+      interviewers: attendeeOpenIds.length > 0 ? attendeeOpenIds.map(openId => ({ openId })) : interviewers.split(/[\/;,、]/).map(n => n.trim()).filter(Boolean),
+      title: "面试安排通知",
+      content: msgContent,
+      vars: { "轮次": "第" + round + "轮", "面试时间": scheduledAt + " - " + endAt.slice(11), "地点": locationInfo },
+      buttons: [notifyButtons],
+    }).catch(() => {});
   }
-  if (notifyPromises.length > 0) await Promise.all(notifyPromises);
 
   res.json({ ok: true, calendarSynced });
 });
@@ -459,8 +577,12 @@ router.post("/api/candidates/:id/reviews", requireLogin, async (req, res) => {
   const note = String(req.body.note || "");
   if (!pros && !cons && !focusNext && note) pros = note;
 
-  if (!INTERVIEW_ROUNDS.includes(round)) return res.status(400).send("invalid_round");
+  const tpl = getJobTemplate(d, c.jobId);
+  if (!Number.isInteger(round) || round < 1 || round > roundCount(tpl)) return res.status(400).send("invalid_round");
   if (rating && !INTERVIEW_RATING.includes(rating)) return res.status(400).send("invalid_rating");
+  // 抽屉快速面评不带评分卡，这里只校验已提交的维度
+  const { dimensions, error: dimError } = parseDimensionScores(getJobScorecard(d, c.jobId), round, req.body.dimensions);
+  if (dimError) return res.status(400).json({ error: dimError });
 
   const idx = d.interviews.findIndex((x) => x.candidateId === c.id && x.round === round && (x.interviewer || "") === interviewer);
   const item = {
@@ -473,6 +595,7 @@ router.post("/api/candidates/:id/reviews", requireLogin, async (req, res) => {
     pros,
     cons,
     focusNext,
+    dimensions,
     note: idx > -1 ? d.interviews[idx].note : "",
     createdAt: nowIso(),
   };
@@ -486,14 +609,13 @@ router.post("/api/candidates/:id/reviews", requireLogin, async (req, res) => {
     // 评级为 Pending（待定）时不触发自动状态流转
     autoFlowMsg = "评级为 Pending（待定），候选人状态保持不变。";
   } else if (conclusion === "通过") {
-    const passStatusMap = { 1: "一面通过", 2: "二面通过", 3: "三面通过", 4: "四面通过", 5: "待发offer" };
-    const passStatus = passStatusMap[round] || "待发offer";
+    const passStatus = reviewAutoFlow(tpl, round, "通过");
     c.status = passStatus;
     autoFlowMsg = "面试结论通过，已自动流转到「" + passStatus + "」。";
   } else if (conclusion === "不通过") {
-    const failStatusMap = { 1: "一面不通过", 2: "二面不通过", 3: "三面不通过", 4: "四面不通过", 5: "五面不通过" };
-    const failStatus = failStatusMap[round] || "面试不通过";
+    const failStatus = reviewAutoFlow(tpl, round, "不通过");
     c.status = failStatus;
+    if (old !== failStatus) c.rejection = reviewRejection(tpl, round, old, failStatus, req.user?.name);
     autoFlowMsg = "面试结论不通过，状态已更新为「" + failStatus + "」。";
   } else if (conclusion === "Pending") {
     c.status = "面试Pending";
@@ -501,9 +623,10 @@ router.post("/api/candidates/:id/reviews", requireLogin, async (req, res) => {
   }
   c.updatedAt = nowIso();
 
-  pushEvent(d, { candidateId: c.id, type: "面评", message: "第" + round + "轮（" + interviewer + "）：结论=" + conclusion + "，评级=" + (rating || "-") + "\nPros：" + (pros || "-") + "\nCons：" + (cons || "-"), actor: req.user?.name || "系统" });
+  pushEvent(d, { candidateId: c.id, type: "面评", message: "第" + round + "轮（" + interviewer + "）：结论=" + conclusion + "，评级=" + (rating || "-") + (Object.keys(dimensions).length ? "\n评分：" + formatDimensionScores(dimensions) : "") + "\nPros：" + (pros || "-") + "\nCons：" + (cons || "-"), actor: req.user?.name || "系统" });
   if (old !== c.status) {
-    pushEvent(d, { candidateId: c.id, type: "状态同步", message: "因面评更新，状态：" + old + " -> " + c.status, actor: "系统" });
+    const rejected = c.rejection && c.rejection.to === c.status && c.rejection.from === old;
+    pushEvent(d, { candidateId: c.id, type: "状态同步", message: "因面评更新，状态：" + old + " -> " + c.status + (rejected ? "\n淘汰原因：" + c.rejection.reason + "（" + c.rejection.stage + "）" : ""), actor: "系统", meta: rejected ? rejectionMeta(c.rejection) : undefined });
   }
   if (!c.follow) c.follow = {};
   if (rating !== "Pending") {
@@ -521,12 +644,11 @@ router.post("/api/candidates/:id/reviews", requireLogin, async (req, res) => {
   }
   await saveData(d);
 
-  // 面评完成后通知管理员 + HR 群聊
+  // 面评完成后按「面评提交」规则通知
   try {
     const baseUrl = process.env.BASE_URL || "https://recruit-platform-sable.vercel.app";
     const candidateUrl = baseUrl + "/candidates/" + c.id + "?lk_jump_to_browser=true";
     const job = d.jobs.find(j => j.id === c.jobId);
-    const admins = (d.users || []).filter(u => u.role === "admin" && u.openId);
     const notifyMsg = `**面评已提交** ✅\n\n` +
       `**候选人**：${c.name}\n` +
       `**岗位**：${job?.title || c.jobTitle || "-"}\n` +
@@ -534,22 +656,20 @@ router.post("/api/candidates/:id/reviews", requireLogin, async (req, res) => {
       `**面试官**：${interviewer}\n` +
       `**面试结论**：${conclusion || "-"}\n` +
       `**评级**：${rating}`;
+    const groupMsg = `「**${c.name}**」的「**第${round}轮**」面试面评填写完成\n**面试官**：${interviewer}\n**面试结论**：${conclusion || "-"}，**评级**：${rating}`;
     const notifyBtn = { tag: "action", actions: [{ tag: "button", text: { tag: "plain_text", content: "📋 查看候选人详情" }, url: candidateUrl, type: "primary" }] };
 
-    // 通知各管理员（一对一）
-    console.log("[ReviewNotify] 内部面评通知: 候选人=" + c.name + " admins=" + admins.length + " (" + admins.map(a => a.name).join(",") + ")");
-    for (const admin of admins) {
-      await sendFeishuMessage(admin.openId, notifyMsg, "面评完成通知", [notifyBtn]);
-      console.log("[ReviewNotify] 已通知 " + admin.name + "(" + admin.openId + ")");
-    }
-
-    // 发送群聊通知（HRteam 群）
-    const hrGroupChatId = d.settings?.hrGroupChatId || "";
-    if (hrGroupChatId) {
-      const groupMsg = `「**${c.name}**」的「**第${round}轮**」面试面评填写完成\n**面试官**：${interviewer}\n**面试结论**：${conclusion || "-"}，**评级**：${rating}`;
-      await sendFeishuGroupMessage(hrGroupChatId, groupMsg, "面评完成通知", [notifyBtn]);
-      console.log("[ReviewNotify] 已通知 HR 群聊 chatId=" + hrGroupChatId);
-    }
+    // 默认规则：一对一通知各管理员 + HR 群聊
+    await notify(d, "review_submitted", {
+      candidate: c,
+      job,
+      actor: req.user,
+      title: "面评完成通知",
+      content: notifyMsg,
+      groupContent: groupMsg,
+      vars: { "轮次": "第" + round + "轮", "面试官": interviewer, "结论": conclusion || "-", "评级": rating || "-" },
+      buttons: [notifyBtn],
+    });
   } catch (notifyErr) {
     console.warn("[ReviewNotify] 通知失败:", notifyErr.message);
   }
@@ -569,6 +689,7 @@ router.post("/api/candidates/:id/reviews/:reviewId", requireLogin, async (req, r
 
   const existing = d.interviews[reviewIdx];
   const round = Number(req.body.round || existing.round);
+  const tpl = getJobTemplate(d, c.jobId);
   const conclusion = String(req.body.conclusion || existing.conclusion || "通过");
   const rating = String(req.body.rating || existing.rating || "");
   const interviewer = String(req.body.interviewer || existing.interviewer || "").trim();
@@ -577,6 +698,12 @@ router.post("/api/candidates/:id/reviews/:reviewId", requireLogin, async (req, r
   var focusNext = String(req.body.focusNext !== undefined ? req.body.focusNext : existing.focusNext || "");
 
   if (rating && !INTERVIEW_RATING.includes(rating)) return res.status(400).send("invalid_rating");
+  let dimensions = existing.dimensions || {};
+  if (req.body.dimensions !== undefined) {
+    const parsed = parseDimensionScores(getJobScorecard(d, c.jobId), round, req.body.dimensions);
+    if (parsed.error) return res.status(400).json({ error: parsed.error });
+    dimensions = parsed.dimensions;
+  }
 
   d.interviews[reviewIdx] = {
     ...existing,
@@ -587,6 +714,7 @@ router.post("/api/candidates/:id/reviews/:reviewId", requireLogin, async (req, r
     pros,
     cons,
     focusNext,
+    dimensions,
     updatedAt: nowIso(),
   };
 
@@ -597,12 +725,12 @@ router.post("/api/candidates/:id/reviews/:reviewId", requireLogin, async (req, r
     // 评级为 Pending（待定）时不触发自动状态流转
     autoFlowMsg = "评级为 Pending（待定），候选人状态保持不变。";
   } else if (conclusion === "通过") {
-    const passStatusMap = { 1: "一面通过", 2: "二面通过", 3: "三面通过", 4: "四面通过", 5: "待发offer" };
-    const passStatus = passStatusMap[round] || "待发offer";
+    const passStatus = reviewAutoFlow(tpl, round, "通过");
     c.status = passStatus;
     autoFlowMsg = "面试结论通过，已自动流转到「" + passStatus + "」。";
   } else if (conclusion === "不通过") {
     c.status = "面试不通过";
+    if (old !== c.status) c.rejection = reviewRejection(tpl, round, old, c.status, req.user?.name);
     autoFlowMsg = "面试结论不通过，状态已更新为「面试不通过」。";
   } else if (conclusion === "Pending") {
     c.status = "面试Pending";
@@ -610,9 +738,10 @@ router.post("/api/candidates/:id/reviews/:reviewId", requireLogin, async (req, r
   }
   c.updatedAt = nowIso();
   if (old !== c.status) {
-    pushEvent(d, { candidateId: c.id, type: "状态同步", message: "因面评修改，状态：" + old + " -> " + c.status, actor: "系统" });
+    const rejected = c.rejection && c.rejection.to === c.status && c.rejection.from === old;
+    pushEvent(d, { candidateId: c.id, type: "状态同步", message: "因面评修改，状态：" + old + " -> " + c.status + (rejected ? "\n淘汰原因：" + c.rejection.reason + "（" + c.rejection.stage + "）" : ""), actor: "系统", meta: rejected ? rejectionMeta(c.rejection) : undefined });
   }
-  pushEvent(d, { candidateId: c.id, type: "面评修改", message: "第" + round + "轮（" + interviewer + "）：结论=" + conclusion + "，评级=" + (rating || "-"), actor: req.user?.name || "系统" });
+  pushEvent(d, { candidateId: c.id, type: "面评修改", message: "第" + round + "轮（" + interviewer + "）：结论=" + conclusion + "，评级=" + (rating || "-") + (Object.keys(dimensions).length ? "\n评分：" + formatDimensionScores(dimensions) : ""), actor: req.user?.name || "系统" });
 
   await saveData(d);
   res.json({ ok: true, autoFlowMsg });
@@ -639,23 +768,22 @@ router.delete("/api/candidates/:id/reviews/:reviewId", requireLogin, async (req,
 
 // ====== 候选人备注 ======
 
-router.get("/api/candidates/:id/notes", requireLogin, async (req, res) => {
-  const d = await loadData();
+function findNoteCandidate(d, req) {
   const c = d.candidates.find(x => x.id === req.params.id);
-  if (!c) return res.status(404).json({ error: "not_found" });
-
+  if (!c) return { status: 404, error: "not_found" };
   const vj = getVisibleJobIds(req.user, d.jobs);
-  if (vj !== null && !vj.has(c.jobId)) return res.status(403).json({ error: "no_permission" });
+  if (vj !== null && !vj.has(c.jobId)) return { status: 403, error: "no_permission" };
+  return { c };
+}
+
+router.get("/api/candidates/:id/notes", requireLogin, async (req, res) => {
+  const d = await loadData();
+  const { c, status, error } = findNoteCandidate(d, req);
+  if (error) return res.status(status).json({ error });
 
-  const uid = req.user.openId || req.user.id;
+  const uid = userKey(req.user);
   const notes = (d.notes || [])
-    .filter(n => n.candidateId === c.id)
-    .filter(n => {
-      if (n.visibility === "public") return true;
-      if (n.authorId === uid) return true;
-      if (Array.isArray(n.mentionedUserIds) && n.mentionedUserIds.includes(uid)) return true;
-      return false;
-    })
+    .filter(n => n.candidateId === c.id && canSeeNote(d, n, uid))
     .sort((a, b) => (a.createdAt || "").localeCompare(b.createdAt || ""));
 
   res.json(notes);
@@ -663,29 +791,38 @@ router.get("/api/candidates/:id/notes", requireLogin, async (req, res) => {
 
 router.post("/api/candidates/:id/notes", requireLogin, async (req, res) => {
   const d = await loadData();
-  const c = d.candidates.find(x => x.id === req.params.id);
-  if (!c) return res.status(404).json({ error: "not_found" });
-
-  const vj = getVisibleJobIds(req.user, d.jobs);
-  if (vj !== null && !vj.has(c.jobId)) return res.status(403).json({ error: "no_permission" });
+  const { c, status, error } = findNoteCandidate(d, req);
+  if (error) return res.status(status).json({ error });
 
   const content = String(req.body.content || "").trim();
   if (!content) return res.status(400).json({ error: "内容不能为空" });
 
-  const visibility = req.body.visibility === "private" ? "private" : "public";
-  const mentionedUserIds = Array.isArray(req.body.mentionedUserIds)
-    ? req.body.mentionedUserIds.filter(Boolean)
-    : [];
+  const uid = userKey(req.user);
+  let visibility = req.body.visibility === "private" ? "private" : "public";
+  let parentId = "";
+  if (req.body.parentId) {
+    const parent = (d.notes || []).find(n => n.id === req.body.parentId && n.candidateId === c.id);
+    if (!parent || !canSeeNote(d, parent, uid)) return res.status(404).json({ error: "note_not_found" });
+    // 回复只有一层：回复一条回复时挂到同一个主题下
+    parentId = parent.parentId || parent.id;
+    visibility = d.notes.find(n => n.id === parentId)?.visibility || parent.visibility;
+  }
+  const mentionedUserIds = parseMentions(d, content, req.body.mentionedUserIds);
 
   const note = {
     id: rid("note"),
     candidateId: c.id,
-    authorId: req.user.openId || req.user.id,
+    parentId,
+    authorId: uid,
     authorName: req.user.name || "",
     authorAvatar: req.user.avatar || "",
     content,
     visibility,
     mentionedUserIds,
+    mentionReadBy: [],
+    reactions: {},
+    editHistory: [],
+    editedAt: "",
     createdAt: nowIso(),
   };
 
@@ -695,33 +832,84 @@ router.post("/api/candidates/:id/notes", requireLogin, async (req, res) => {
   pushEvent(d, {
     candidateId: c.id,
     type: "备注",
-    message: (visibility === "private" ? "[私密] " : "") + content.slice(0, 50) + (content.length > 50 ? "..." : ""),
+    message: (parentId ? "[回复] " : "") + (visibility === "private" ? "[私密] " : "") + content.slice(0, 50) + (content.length > 50 ? "..." : ""),
     actor: req.user.name || "系统",
   });
 
   await saveData(d);
+  notifyMentions(d, c, note, mentionedUserIds, req.user).catch(() => {});
   res.json({ ok: true, note });
 });
 
-router.delete("/api/candidates/:id/notes/:noteId", requireLogin, async (req, res) => {
+// 编辑备注：旧内容进入编辑历史，只给新增的被提及人发通知
+router.put("/api/candidates/:id/notes/:noteId", requireLogin, async (req, res) => {
   const d = await loadData();
-  const c = d.candidates.find(x => x.id === req.params.id);
-  if (!c) return res.status(404).json({ error: "not_found" });
+  const { c, status, error } = findNoteCandidate(d, req);
+  if (error) return res.status(status).json({ error });
 
-  const vj = getVisibleJobIds(req.user, d.jobs);
-  if (vj !== null && !vj.has(c.jobId)) return res.status(403).json({ error: "no_permission" });
+  const note = (d.notes || []).find(n => n.id === req.params.noteId && n.candidateId === c.id);
+  if (!note) return res.status(404).json({ error: "note_not_found" });
+  if (note.authorId !== userKey(req.user)) return res.status(403).json({ error: "只能编辑自己的备注" });
 
-  if (!Array.isArray(d.notes)) return res.status(404).json({ error: "note_not_found" });
+  const content = String(req.body.content || "").trim();
+  if (!content) return res.status(400).json({ error: "内容不能为空" });
+  if (content === note.content) return res.json({ ok: true, note });
+
+  const mentionedUserIds = parseMentions(d, content, req.body.mentionedUserIds);
+  const added = mentionedUserIds.filter(x => !(note.mentionedUserIds || []).includes(x));
+  note.editHistory = [...(note.editHistory || []), { content: note.content, editedAt: note.editedAt || note.createdAt }];
+  note.content = content;
+  note.mentionedUserIds = mentionedUserIds;
+  note.editedAt = nowIso();
+  pushEvent(d, {
+    candidateId: c.id,
+    type: "备注",
+    message: "[编辑] " + (note.visibility === "private" ? "[私密] " : "") + content.slice(0, 50) + (content.length > 50 ? "..." : ""),
+    actor: req.user.name || "系统",
+  });
 
-  const idx = d.notes.findIndex(n => n.id === req.params.noteId);
-  if (idx === -1) return res.status(404).json({ error: "note_not_found" });
+  await saveData(d);
+  notifyMentions(d, c, note, added, req.user).catch(() => {});
+  res.json({ ok: true, note });
+});
 
-  const note = d.notes[idx];
-  const uid = req.user.openId || req.user.id;
-  if (note.authorId !== uid) return res.status(403).json({ error: "只能删除自己的备注" });
+// 表情回应：同一表情再点一次取消
+router.post("/api/candidates/:id/notes/:noteId/reactions", requireLogin, async (req, res) => {
+  const d = await loadData();
+  const { c, status, error } = findNoteCandidate(d, req);
+  if (error) return res.status(status).json({ error });
+
+  const uid = userKey(req.user);
+  const note = (d.notes || []).find(n => n.id === req.params.noteId && n.candidateId === c.id);
+  if (!note || !canSeeNote(d, note, uid)) return res.status(404).json({ error: "note_not_found" });
+  const emoji = String(req.body.emoji || "");
+  if (!NOTE_REACTIONS.includes(emoji)) return res.status(400).json({ error: "不支持的表情" });
+
+  const reactions = { ...(note.reactions || {}) };
+  const users = reactions[emoji] || [];
+  reactions[emoji] = users.includes(uid) ? users.filter(x => x !== uid) : [...users, uid];
+  if (!reactions[emoji].length) delete reactions[emoji];
+  note.reactions = reactions;
+
+  await upsertRow("notes", note);
+  res.json({ ok: true, reactions });
+});
 
-  d.notes.splice(idx, 1);
-  await saveData(d);
+router.delete("/api/candidates/:id/notes/:noteId", requireLogin, async (req, res) => {
+  const d = await loadData();
+  const { c, status, error } = findNoteCandidate(d, req);
+  if (error) return res.status(status).json({ error });
+
+  if (!Array.isArray(d.notes)) return res.status(404).json({ error: "note_not_found" });
+
+  const note = d.notes.find(n => n.id === req.params.noteId && n.candidateId === c.id);
+  if (!note) return res.status(404).json({ error: "note_not_found" });
+  if (note.authorId !== userKey(req.user)) return res.status(403).json({ error: "只能删除自己的备注" });
+
+  // 删除主题时连同回复一起删除
+  const removed = d.notes.filter(n => n.id === note.id || n.parentId === note.id).map(n => n.id);
+  d.notes = d.notes.filter(n => !removed.includes(n.id));
+  await Promise.all([saveData(d), ...removed.map(id => deleteFromSupabase("notes", id))]);
   res.json({ ok: true });
 });
 
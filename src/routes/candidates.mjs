@@ -1,39 +1,119 @@
 import { Router } from "express";
 import { requireLogin, requireAdmin } from "../auth.mjs";
-import { loadData, saveData, nowIso, rid, toBjTime, deleteCandidateRelated } from "../db.mjs";
-import { renderPage, escapeHtml, statusBadge, followupBadge, tagBadge, offerStatusBadge } from "../ui.mjs";
-import { STATUS_COLS, STATUS_SET, INTERVIEW_ROUNDS, INTERVIEW_STATUS, INTERVIEW_RATING, INTERVIEW_RATING_LABEL, OFFER_STATUSES, PIPELINE_STAGES, OFFER_STAGE_STATUSES } from "../constants.mjs";
-import { getVisibleJobIds, filterCandidatesByPermission, findDuplicate, pushEvent, notifyHrNewCandidate, saveResumeSupabaseOrLocal, refreshResumeUrlIfNeeded, toolbarHtml, cardQuickBtns } from "../helpers.mjs";
+import { loadData, saveData, loadUserPrefs, saveUserPrefs, nowIso, rid, toBjTime, deleteCandidateRelated } from "../db.mjs";
+import { renderPage, escapeHtml, statusBadge, followupBadge, slaBadge, tagBadge, offerStatusBadge, offerApprovalBadge } from "../ui.mjs";
+import { STATUS_COLS, INTERVIEW_RATING, INTERVIEW_RATING_LABEL, OFFER_STATUSES, OFFER_APPROVAL_DRIVEN, PIPELINE_STAGES, OFFER_STAGE_STATUSES } from "../constants.mjs";
+import { getVisibleJobIds, filterCandidatesByPermission, findDuplicate, pushEvent, notifyHrNewCandidate, saveResumeSupabaseOrLocal, refreshResumeUrlIfNeeded, toolbarHtml, cardQuickBtns, hunterLabel, statusChangeScript, scheduleSubmitScript, bulkBarHtml, statusSinceMap, daysSince } from "../helpers.mjs";
 import { upload } from "../upload.mjs";
 import { feishuEnabled } from "../feishu.mjs";
+import { extractResumeText, parseResumeText } from "../resumeParser.mjs";
+import { searchCandidates } from "../search.mjs";
+import { defaultPipelineTemplate, getJobTemplate, templateResolver, templateStatuses, unionStatuses, unionStages, roundName, roundStatuses, roundCount, roundMinutes, allowedNextStatuses, requiresRejectReason } from "../pipeline.mjs";
+import { LINK_STATUS_LABEL, slotLabel } from "./selfSchedule.mjs";
+import { approvalRequired, currentVersion, offerVersions, offerSummary, annualCash } from "../offer.mjs";
+import { assessOffer, bandPositionBadge, bandBarHtml } from "../compensation.mjs";
+import { findOnboarding, onboardingProgressHtml, onboardingStatusBadge } from "../onboarding.mjs";
+import { EMAIL_TEMPLATES, templateMeta, candidateSchedules, defaultSchedule, emailLog } from "../email.mjs";
+import { mailTransport } from "../mailer.mjs";
+import { getJobScorecard, scorecardFieldsHtml, scorecardScript, scorecardCompareHtml, scoreBadges } from "../scorecard.mjs";
+import { NOTE_REACTIONS, canSeeNote, renderNoteMarkdown, userKey } from "../notes.mjs";
+import { audit, skipAudit } from "../audit.mjs";
+import { stampJobVersion, candidateJobVersion } from "../jobVersions.mjs";
+import { referralBonus } from "../referral.mjs";
+import { recordDuplicateSubmission, agencyFee } from "../agency.mjs";
 
 const router = Router();
 
+// 抽屉中轮次下拉的默认值（打开候选人后按其岗位的流程模板重新填充）
+const DEFAULT_ROUND_LIST = defaultPipelineTemplate().rounds.map((r, i) => ({ round: i + 1, name: r.name }));
+
 // ====== 看板辅助函数 ======
-function kanbanStatusHtml({ grouped, countsByCol, resumeMap }) {
-  const cols = STATUS_COLS.map((col) => {
-    const items = (grouped[col.key] || [])
-      .map((c) => {
-        const title = escapeHtml(c.name || "未命名");
-        const jobTitle = escapeHtml(c.jobTitle || c.jobId || "-");
-        const rm = resumeMap ? resumeMap.get(c.id) : null;
-        const hasResume = rm && rm.url;
-        const follow = followupBadge(c.follow);
-        const tagsHtml = (c.tags || []).map((t) => tagBadge(t)).join(" ");
-        return '<div class="carditem" onclick="window.open(\'/candidates/' + escapeHtml(c.id) + '\',\'_blank\')">' +
-          '<div class="cardtitle"><span>' + title + '</span>' + (hasResume ? '<span class="badge status-blue" style="font-size:10px;padding:2px 6px">📎</span>' : '') + '</div>' +
-          '<div class="cardsub">' + jobTitle + ' ' + statusBadge(c.status) + '</div>' +
-          (follow ? '<div style="margin-top:6px">' + follow + '</div>' : '') +
-          (tagsHtml ? '<div style="margin-top:4px">' + tagsHtml + '</div>' : '') +
-          cardQuickBtns(c.id, c.status) +
-          '</div>';
-      })
+// 看板卡片 / 列头的批量勾选框（配合 bulkBarHtml）
+function cardCheck(c, col) {
+  return '<input type="checkbox" class="batch-check" data-id="' + escapeHtml(c.id) + '" data-col="' + escapeHtml(col) + '" onclick="event.stopPropagation()" style="width:auto;margin:0 6px 0 0" />';
+}
+function colCheck(col, cnt) {
+  return cnt ? '<input type="checkbox" class="col-check" data-col="' + escapeHtml(col) + '" title="全选本列" style="width:auto;margin:0 6px 0 0" />' : '';
+}
+
+// 看板拖拽：落到多状态列时取第一个允许流转的状态；落到"待X"面试状态且该轮尚未安排时，先弹出面试安排
+function boardDndHtml(boardTpls) {
+  return '<div id="dropScheduleModal" style="display:none;position:fixed;inset:0;background:rgba(0,0,0,.35);z-index:1000;align-items:center;justify-content:center"><div class="card" style="width:420px;max-width:92vw">' +
+    '<div style="font-weight:900;margin-bottom:8px" id="dsTitle">安排面试</div>' +
+    '<div class="field"><label>面试时间</label><input id="dsAt" type="datetime-local" /></div>' +
+    '<div class="field"><label>面试官</label><input id="dsInterviewers" list="board-interviewer-list" placeholder="张三 / 李四" /></div>' +
+    '<div class="field"><label>会议链接</label><input id="dsLink" /></div>' +
+    '<div class="field"><label>地点/形式</label><input id="dsLocation" /></div>' +
+    '<div class="row"><span class="spacer"></span><button class="btn" onclick="closeDropSchedule()">取消</button><button class="btn primary" onclick="saveDropSchedule()">保存并流转</button></div>' +
+    '</div></div>' +
+    '<script>var BOARD_TPLS=' + JSON.stringify(boardTpls).replace(/</g, "\\u003c") + ';var _dropCtx=null;' +
+    'function boardDragStart(e){var card=e.target.closest(".carditem");e.dataTransfer.setData("text/plain",card.dataset.id);e.dataTransfer.effectAllowed="move"}' +
+    'function boardDragOver(e){e.preventDefault();e.currentTarget.classList.add("drop-over")}' +
+    'function boardDragLeave(e){e.currentTarget.classList.remove("drop-over")}' +
+    'function setBoardLanes(on){var u=new URL(location.href);u.searchParams.set("lanes",on?"job":"off");location.href=u.toString()}' +
+    'async function boardDrop(e){e.preventDefault();var body=e.currentTarget;body.classList.remove("drop-over");var id=e.dataTransfer.getData("text/plain");var card=document.querySelector(\'.carditem[data-id="\'+id+\'"]\');if(!card)return;' +
+      'if(body.dataset.lane&&body.dataset.lane!==card.dataset.job){alert("不能跨岗位拖拽，请使用批量操作更换岗位");return}' +
+      'var info=BOARD_TPLS[card.dataset.tpl]||{statuses:[],next:{},rounds:{}};var cur=card.dataset.status;var targets=JSON.parse(body.dataset.drop).filter(function(s){return info.statuses.indexOf(s)>-1});' +
+      'if(!targets.length){alert("该候选人的招聘流程中没有此列的状态");return}if(targets.indexOf(cur)>-1)return;' +
+      'var allowed=info.next[cur]||[];var to=targets.find(function(s){return allowed.indexOf(s)>-1})||targets[0];' +
+      'var r=info.rounds[to];if(r&&(card.dataset.sched||"").split(",").indexOf(String(r.round))<0){_dropCtx={id:id,to:to,round:r.round};document.getElementById("dsTitle").textContent="安排第"+r.round+"轮面试（"+r.name+"）后流转到「"+to+"」";document.getElementById("dropScheduleModal").style.display="flex";return}' +
+      'if(await submitStatus(id,to))location.reload()}' +
+    'function closeDropSchedule(){document.getElementById("dropScheduleModal").style.display="none";_dropCtx=null}' +
+    'async function saveDropSchedule(){if(!_dropCtx)return;var at=document.getElementById("dsAt").value;if(!at){alert("请选择面试时间");return}var ctx=_dropCtx;if(!await submitStatus(ctx.id,ctx.to))return;' +
+      'var res=await fetch("/api/candidates/"+encodeURIComponent(ctx.id)+"/schedule",{method:"POST",headers:{"Content-Type":"application/json"},body:JSON.stringify({round:ctx.round,scheduledAt:at,interviewers:document.getElementById("dsInterviewers").value,link:document.getElementById("dsLink").value,location:document.getElementById("dsLocation").value,syncStatus:"（不同步）"})});' +
+      'if(!res.ok){var d=await res.json().catch(function(){return{}});alert("状态已更新，但面试安排保存失败："+(d.error||res.status))}location.reload()}' +
+    '</script>';
+}
+
+// 看板卡片：可拖拽到其他列，data-* 供拖拽脚本判断目标状态和是否需要先安排面试
+function kanbanCardHtml(c, { colKey, resumeMap, templateOf, boardMeta, avatarColor }) {
+  const title = escapeHtml(c.name || "未命名");
+  const jobTitle = escapeHtml(c.jobTitle || c.jobId || "-");
+  const rm = resumeMap ? resumeMap.get(c.id) : null;
+  const hasResume = rm && rm.url;
+  const follow = followupBadge(c.follow) + (slaBadge(c) ? " " + slaBadge(c) : "");
+  const tagsHtml = (c.tags || []).map((t) => tagBadge(t)).join(" ");
+  const tpl = templateOf ? templateOf(c) : undefined;
+  const days = boardMeta ? boardMeta.agingOf(c) : null;
+  const aging = days === null ? '' : '<span class="badge ' + (days >= 14 ? "status-red" : days >= 7 ? "status-orange" : "status-gray") + '" style="font-size:10px;padding:2px 6px" title="在当前状态停留天数">' + days + '天</span>';
+  const dnd = boardMeta
+    ? ' draggable="true" ondragstart="boardDragStart(event)" data-id="' + escapeHtml(c.id) + '" data-status="' + escapeHtml(c.status) + '" data-job="' + escapeHtml(c.jobId || "") + '" data-tpl="' + escapeHtml(tpl ? tpl.id : "") + '" data-sched="' + boardMeta.scheduledRoundsOf(c).join(",") + '"'
+    : '';
+  return '<div class="carditem"' + dnd + ' onclick="window.open(\'/candidates/' + escapeHtml(c.id) + '\',\'_blank\')">' +
+    '<div class="cardtitle">' + cardCheck(c, colKey) +
+    (avatarColor ? '<div class="card-avatar" style="background:' + avatarColor + '">' + escapeHtml((c.name || "?").slice(0, 1)) + '</div>' : '') +
+    '<span>' + title + '</span>' + (hasResume ? '<span class="badge status-blue" style="font-size:10px;padding:2px 6px">📎</span>' : '') + aging + '</div>' +
+    '<div class="cardsub">' + (avatarColor ? '<span class="card-meta">' + jobTitle + '</span>' : jobTitle + ' ') + statusBadge(c.status) + '</div>' +
+    (follow ? '<div style="margin-top:6px">' + follow + '</div>' : '') +
+    (tagsHtml ? '<div style="margin-top:4px">' + tagsHtml + '</div>' : '') +
+    cardQuickBtns(c.id, c.status, tpl) +
+    '</div>';
+}
+
+// 看板泳道：lanes 为空时整体一块看板，否则每个岗位一行（lane.jobId 用于限制跨岗位拖拽）
+function kanbanLanesHtml(lanes, renderCols, extraClass) {
+  if (!lanes) return '<div class="kanban' + extraClass + '">' + renderCols(null) + '</div>';
+  if (!lanes.length) return '<div class="muted" style="text-align:center;padding:20px 0">暂无候选人</div>';
+  return lanes.map((lane) =>
+    '<div class="kanban-lane"><div class="lane-title">' + escapeHtml(lane.title) + ' <span class="muted">（' + lane.total + '）</span></div>' +
+    '<div class="kanban' + extraClass + '">' + renderCols(lane) + '</div></div>'
+  ).join("");
+}
+
+function kanbanStatusHtml({ grouped, countsByCol, resumeMap, statusCols = STATUS_COLS, templateOf, boardMeta, lanes }) {
+  const renderCols = (lane) => statusCols.map((col) => {
+    const g = lane ? lane.grouped : grouped;
+    const cnt = (lane ? lane.countsByCol : countsByCol)[col.key] || 0;
+    const colKey = (lane ? lane.jobId + ":" : "") + col.key;
+    const items = (g[col.key] || [])
+      .map((c) => kanbanCardHtml(c, { colKey, resumeMap, templateOf, boardMeta }))
       .join("");
-    const cnt = countsByCol[col.key] || 0;
-    return '<div class="col"><div class="colhead"><div class="coltitle">' + escapeHtml(col.name) + '</div><div class="colcount">' + cnt + '</div></div><div class="colbody">' + (items || '<div class="muted" style="text-align:center;padding:20px 0">暂无</div>') + '</div></div>';
+    const drop = boardMeta ? ' data-drop="' + escapeHtml(JSON.stringify([col.key])) + '" data-lane="' + escapeHtml(lane ? lane.jobId : "") + '" ondragover="boardDragOver(event)" ondragleave="boardDragLeave(event)" ondrop="boardDrop(event)"' : '';
+    return '<div class="col"><div class="colhead"><div class="coltitle">' + colCheck(colKey, cnt) + escapeHtml(col.name) + '</div><div class="colcount">' + cnt + '</div></div><div class="colbody"' + drop + '>' + (items || '<div class="muted" style="text-align:center;padding:20px 0">暂无</div>') + '</div></div>';
   }).join("");
+  const cols = kanbanLanesHtml(lanes, renderCols, " kanban-status");
 
-  return '<div class="card compact"><div class="row"><div style="font-weight:900;font-size:16px">候选人看板</div><span class="muted">（点击卡片打开右侧抽屉快速查看）</span><span class="spacer"></span><div class="seg" style="display:inline-flex"><button onclick="setBoardView(\'pipeline\')">流水线</button><button class="active" onclick="setBoardView(\'status\')">按状态</button></div></div><div class="divider"></div><div class="kanban kanban-status">' + cols + '</div></div>' +
+  return '<div class="card compact"><div class="row"><div style="font-weight:900;font-size:16px">候选人看板</div><span class="muted">（点击卡片打开右侧抽屉快速查看）</span><span class="spacer"></span><div class="seg" style="display:inline-flex"><button onclick="setBoardView(\'pipeline\')">流水线</button><button class="active" onclick="setBoardView(\'status\')">按状态</button></div></div><div class="divider"></div>' + cols + '</div>' +
     '<div id="drawerMask" class="drawerMask" onclick="closeDrawer()"></div>' +
     '<div id="drawer" class="drawer">' +
     '<div class="drawerHeader"><div><div id="drawerTitle" class="drawerTitle">候选人详情</div><div id="drawerSub" class="muted mono"></div></div><button class="drawerClose" onclick="closeDrawer()">&#10005;</button></div>' +
@@ -59,9 +139,10 @@ function kanbanStatusHtml({ grouped, countsByCol, resumeMap }) {
     'function openDrawer(){document.getElementById("drawerMask").classList.add("open");document.getElementById("drawer").classList.add("open")}' +
     'function closeDrawer(){document.getElementById("drawerMask").classList.remove("open");document.getElementById("drawer").classList.remove("open");CURRENT_ID=null}' +
     'async function openCandidate(id){CURRENT_ID=id;openDrawer();switchTab("info");await loadCandidate(id)}' +
-    'function fillStatusSelect(current){var sel=document.getElementById("statusSelect");sel.innerHTML=' + JSON.stringify(STATUS_COLS) + '.map(function(s){return \'<option value="\'+s.key+\'" \'+(s.key===current?"selected":"")+\'>\'+s.name+\'</option>\'}).join("")}' +
-    'function fillScheduleSelects(){var r=document.getElementById("scRound");r.innerHTML=' + JSON.stringify(INTERVIEW_ROUNDS) + '.map(function(x){return \'<option value="\'+x+\'">第\'+x+\'轮</option>\'}).join("");var st=document.getElementById("scSyncStatus");st.innerHTML=["（不同步）"].concat(' + JSON.stringify(INTERVIEW_STATUS) + ').map(function(x){return \'<option value="\'+x+\'">\'+x+\'</option>\'}).join("")}fillScheduleSelects();' +
-    'var RATING_LABEL=' + JSON.stringify(INTERVIEW_RATING_LABEL) + ';function fillReviewSelects(){var r=document.getElementById("rvRound");r.innerHTML=' + JSON.stringify(INTERVIEW_ROUNDS) + '.map(function(x){return \'<option value="\'+x+\'">第\'+x+\'轮</option>\'}).join("");var st=document.getElementById("rvConclusion");st.innerHTML=["通过","不通过","Pending"].map(function(x){return \'<option value="\'+x+\'">\'+x+\'</option>\'}).join("");var ra=document.getElementById("rvRating");ra.innerHTML=' + JSON.stringify(INTERVIEW_RATING) + '.map(function(x){return \'<option value="\'+x+\'">\'+( RATING_LABEL[x]||x)+\'</option>\'}).join("")}fillReviewSelects();' +
+    'function fillStatusSelect(current,list){var sel=document.getElementById("statusSelect");sel.innerHTML=(list||' + JSON.stringify(STATUS_COLS) + ').map(function(s){return \'<option value="\'+s.key+\'" \'+(s.key===current?"selected":"")+\'>\'+s.name+\'</option>\'}).join("")}' +
+    'function roundOptions(rounds){return (rounds||' + JSON.stringify(DEFAULT_ROUND_LIST) + ').map(function(x){return \'<option value="\'+x.round+\'">第\'+x.round+\'轮 · \'+esc(x.name)+\'</option>\'}).join("")}' +
+    'function fillScheduleSelects(rounds,statuses){var r=document.getElementById("scRound");r.innerHTML=roundOptions(rounds);var st=document.getElementById("scSyncStatus");st.innerHTML=["（不同步）"].concat((statuses||' + JSON.stringify(STATUS_COLS) + ').map(function(s){return s.key}).filter(function(x){return x!=="淘汰"&&!/不通过$/.test(x)})).map(function(x){return \'<option value="\'+x+\'">\'+x+\'</option>\'}).join("")}fillScheduleSelects();' +
+    'var RATING_LABEL=' + JSON.stringify(INTERVIEW_RATING_LABEL) + ';function fillReviewSelects(rounds){var r=document.getElementById("rvRound");r.innerHTML=roundOptions(rounds);var st=document.getElementById("rvConclusion");st.innerHTML=["通过","不通过","Pending"].map(function(x){return \'<option value="\'+x+\'">\'+x+\'</option>\'}).join("");var ra=document.getElementById("rvRating");ra.innerHTML=' + JSON.stringify(INTERVIEW_RATING) + '.map(function(x){return \'<option value="\'+x+\'">\'+( RATING_LABEL[x]||x)+\'</option>\'}).join("")}fillReviewSelects();' +
     'function esc(s){return String(s||"").replace(/</g,"&lt;").replace(/>/g,"&gt;")}' +
     'function nl2br(s){return esc(s).replace(/\\n/g,"<br/>")}' +
     'var _boardInterviewers=[];fetch("/api/interviewers").then(function(r){return r.json()}).then(function(d){_boardInterviewers=d||[]}).catch(function(){});' +
@@ -71,49 +152,36 @@ function kanbanStatusHtml({ grouped, countsByCol, resumeMap }) {
     'function renderSchedules(list){var box=document.getElementById("scheduleList");if(!list||!list.length){box.innerHTML=\'<div class="muted">暂无</div>\';return}box.innerHTML=list.map(function(x){return \'<div class="card compact" style="padding:12px;border-radius:14px;margin-bottom:10px"><div class="row"><b>第\'+x.round+\'轮</b><span class="pill"><span class="muted">时间</span><b>\'+esc(x.scheduledAt||"-")+\'</b></span><span class="spacer"></span><span class="muted">\'+esc(x.updatedAt||x.createdAt||"")+\'</span></div><div class="divider"></div><div style="display:flex;align-items:center;gap:6px;flex-wrap:wrap"><span class="muted">面试官：</span>\'+renderIvLine(x.interviewers)+\'</div><div class="muted">地点：\'+esc(x.location||"-")+\'</div></div>\'}).join("")}' +
     'function renderReviews(list){var box=document.getElementById("reviewList");if(!list||!list.length){box.innerHTML=\'<div class="muted">暂无面评</div>\';return}box.innerHTML=list.map(function(x){return \'<div class="card compact" style="padding:12px;border-radius:14px;margin-bottom:10px"><div class="row"><b>第\'+x.round+\'轮</b><span class="pill"><span class="muted">进度</span><b>\'+esc(x.status||"-")+\'</b></span><span class="pill"><span class="muted">评级</span><b>\'+esc(x.rating||"-")+\'</b></span></div><div class="divider"></div><div style="margin-bottom:6px"><b>Pros</b><div class="muted">\'+nl2br(x.pros||"-")+\'</div></div><div style="margin-bottom:6px"><b>Cons</b><div class="muted">\'+nl2br(x.cons||"-")+\'</div></div><div><b>下一轮考察</b><div class="muted">\'+nl2br(x.focusNext||"-")+\'</div></div></div>\'}).join("")}' +
     'function renderActivity(list){var box=document.getElementById("activityList");if(!list||!list.length){box.innerHTML=\'<div class="muted">暂无</div>\';return}box.innerHTML=\'<div class="timeline">\'+list.map(function(e){return \'<div class="titem"><div class="tmeta"><b>\'+esc(e.actor||"系统")+\'</b><span class="badge status-gray" style="font-size:11px">\'+esc(e.type||"-")+\'</span><span class="muted">\'+esc(e.createdAt||"")+\'</span></div><div class="tmsg">\'+nl2br(e.message||"")+\'</div></div>\'}).join("")+\'</div>\'}' +
-    'async function loadCandidate(id){var res=await fetch("/api/candidates/"+encodeURIComponent(id));if(!res.ok){document.getElementById("drawerTitle").textContent="候选人不存在";return}var data=await res.json();document.getElementById("drawerTitle").textContent=data.name||"未命名";document.getElementById("drawerSub").textContent="ID: "+(data.id||"");document.getElementById("cStatus").textContent=data.status||"-";document.getElementById("cJob").textContent=data.jobTitle||data.jobId||"-";document.getElementById("cSource").textContent=data.source||"-";var fromParam=new URLSearchParams(location.search).get("jobId");document.getElementById("fullOpenBtn").href="/candidates/"+encodeURIComponent(data.id)+(fromParam?"?from=job:"+encodeURIComponent(fromParam):"?from=board");fillStatusSelect(data.status||"待筛选");document.getElementById("editName").value=data.name||"";document.getElementById("editPhone").value=data.phone||"";document.getElementById("editEmail").value=data.email||"";document.getElementById("editSource").value=data.source||"";document.getElementById("editReferrer").value=data.referrer||"";document.getElementById("editNote").value=data.note||"";renderSchedules(data.schedules||[]);renderResumeInline(data.resume||null);renderReviews(data.reviews||[]);renderActivity(data.events||[]);var f=document.getElementById("resumeUploadForm");f.onsubmit=async function(e){e.preventDefault();if(!CURRENT_ID)return;var fd=new FormData(f);var r=await fetch("/api/candidates/"+encodeURIComponent(CURRENT_ID)+"/resume",{method:"POST",body:fd});if(r.ok){await loadCandidate(CURRENT_ID);switchTab("resume")}else{alert("上传失败："+await r.text())}}}' +
-    'async function updateStatus(){if(!CURRENT_ID)return;var v=document.getElementById("statusSelect").value;var res=await fetch("/api/candidates/"+encodeURIComponent(CURRENT_ID)+"/status",{method:"POST",headers:{"Content-Type":"application/json"},body:JSON.stringify({status:v})});if(res.ok)location.reload();else alert("更新失败")}' +
+    'async function loadCandidate(id){var res=await fetch("/api/candidates/"+encodeURIComponent(id));if(!res.ok){document.getElementById("drawerTitle").textContent="候选人不存在";return}var data=await res.json();document.getElementById("drawerTitle").textContent=data.name||"未命名";document.getElementById("drawerSub").textContent="ID: "+(data.id||"");document.getElementById("cStatus").textContent=data.status||"-";document.getElementById("cJob").textContent=data.jobTitle||data.jobId||"-";document.getElementById("cSource").textContent=data.source||"-";var fromParam=new URLSearchParams(location.search).get("jobId");document.getElementById("fullOpenBtn").href="/candidates/"+encodeURIComponent(data.id)+(fromParam?"?from=job:"+encodeURIComponent(fromParam):"?from=board");var pl=data.pipeline||{};fillStatusSelect(data.status||"待筛选",pl.statuses);fillScheduleSelects(pl.rounds,pl.statuses);fillReviewSelects(pl.rounds);document.getElementById("editName").value=data.name||"";document.getElementById("editPhone").value=data.phone||"";document.getElementById("editEmail").value=data.email||"";document.getElementById("editSource").value=data.source||"";document.getElementById("editReferrer").value=data.referrer||"";document.getElementById("editNote").value=data.note||"";renderSchedules(data.schedules||[]);renderResumeInline(data.resume||null);renderReviews(data.reviews||[]);renderActivity(data.events||[]);var f=document.getElementById("resumeUploadForm");f.onsubmit=async function(e){e.preventDefault();if(!CURRENT_ID)return;var fd=new FormData(f);var r=await fetch("/api/candidates/"+encodeURIComponent(CURRENT_ID)+"/resume",{method:"POST",body:fd});if(r.ok){await loadCandidate(CURRENT_ID);switchTab("resume")}else{alert("上传失败："+await r.text())}}}' +
+    'async function updateStatus(){if(!CURRENT_ID)return;var v=document.getElementById("statusSelect").value;if(await submitStatus(CURRENT_ID,v))location.reload()}' +
     'async function saveCandidate(){if(!CURRENT_ID)return;var payload={name:document.getElementById("editName").value,phone:document.getElementById("editPhone").value,email:document.getElementById("editEmail").value,source:document.getElementById("editSource").value,referrer:document.getElementById("editReferrer").value,note:document.getElementById("editNote").value};var res=await fetch("/api/candidates/"+encodeURIComponent(CURRENT_ID),{method:"POST",headers:{"Content-Type":"application/json"},body:JSON.stringify(payload)});if(res.ok){await loadCandidate(CURRENT_ID);location.reload()}else alert("保存失败")}' +
-    'async function saveSchedule(){if(!CURRENT_ID)return;var sc=document.getElementById("scSyncCalendar");var payload={round:Number(document.getElementById("scRound").value),scheduledAt:document.getElementById("scAt").value,interviewers:document.getElementById("scInterviewers").value,link:document.getElementById("scLink").value,location:document.getElementById("scLocation").value,syncStatus:document.getElementById("scSyncStatus").value,syncCalendar:sc&&sc.checked?"on":"off"};var res=await fetch("/api/candidates/"+encodeURIComponent(CURRENT_ID)+"/schedule",{method:"POST",headers:{"Content-Type":"application/json"},body:JSON.stringify(payload)});if(res.ok){await loadCandidate(CURRENT_ID);switchTab("schedule");location.reload()}else alert("保存失败")}' +
+    'async function saveSchedule(){if(!CURRENT_ID)return;var sc=document.getElementById("scSyncCalendar");var payload={round:Number(document.getElementById("scRound").value),scheduledAt:document.getElementById("scAt").value,interviewers:document.getElementById("scInterviewers").value,link:document.getElementById("scLink").value,location:document.getElementById("scLocation").value,syncStatus:document.getElementById("scSyncStatus").value,syncCalendar:sc&&sc.checked?"on":"off"};var r=await submitSchedule(CURRENT_ID,payload);if(r.ok){await loadCandidate(CURRENT_ID);switchTab("schedule");location.reload()}else if(!r.cancelled)alert(r.data.error||"保存失败")}' +
     'async function addReview(){if(!CURRENT_ID)return;var payload={round:Number(document.getElementById("rvRound").value),conclusion:document.getElementById("rvConclusion").value,rating:document.getElementById("rvRating").value,pros:document.getElementById("rvPros").value,cons:document.getElementById("rvCons").value,focusNext:document.getElementById("rvFocusNext").value};var res=await fetch("/api/candidates/"+encodeURIComponent(CURRENT_ID)+"/reviews",{method:"POST",headers:{"Content-Type":"application/json"},body:JSON.stringify(payload)});if(res.ok){document.getElementById("rvPros").value="";document.getElementById("rvCons").value="";document.getElementById("rvFocusNext").value="";await loadCandidate(CURRENT_ID);switchTab("review");location.reload()}else alert("保存失败")}' +
-    'async function quickStatus(id,newStatus){var btn=event.target;btn.disabled=true;btn.style.opacity="0.5";try{var res=await fetch("/api/candidates/"+encodeURIComponent(id)+"/status",{method:"POST",headers:{"Content-Type":"application/json"},body:JSON.stringify({status:newStatus})});if(res.ok)location.reload();else{btn.disabled=false;btn.style.opacity="1";alert("操作失败")}}catch(e){btn.disabled=false;btn.style.opacity="1";alert("网络错误")}}' +
-    'function setBoardView(v){if(v==="pipeline")location.href="/candidates/board";else location.href="/candidates/board?view=status"}' +
+    'async function quickStatus(id,newStatus){var btn=event.target;btn.disabled=true;btn.style.opacity="0.5";try{if(await submitStatus(id,newStatus))location.reload();else{btn.disabled=false;btn.style.opacity="1"}}catch(e){btn.disabled=false;btn.style.opacity="1";alert("网络错误")}}' +
+    'function setBoardView(v){var u=new URL(location.href);if(v==="pipeline")u.searchParams.delete("view");else u.searchParams.set("view","status");location.href=u.toString()}' +
     '</script>';
 }
 
-function kanbanHtml({ grouped, countsByCol, resumeMap }) {
-  const cols = PIPELINE_STAGES.map((stage) => {
-    const stageCount = stage.statuses.reduce((sum, s) => sum + (countsByCol[s] || 0), 0);
+function kanbanHtml({ grouped, countsByCol, resumeMap, stages = PIPELINE_STAGES, templateOf, boardMeta, lanes }) {
+  const renderCols = (lane) => stages.map((stage) => {
+    const g = lane ? lane.grouped : grouped;
+    const counts = lane ? lane.countsByCol : countsByCol;
+    const stageCount = stage.statuses.reduce((sum, s) => sum + (counts[s] || 0), 0);
     const stageItems = [];
-    stage.statuses.forEach(s => { if (grouped[s]) stageItems.push(...grouped[s]); });
+    stage.statuses.forEach(s => { if (g[s]) stageItems.push(...g[s]); });
+    const colKey = (lane ? lane.jobId + ":" : "") + stage.key;
 
     const items = stageItems
-      .map((c) => {
-        const title = escapeHtml(c.name || "未命名");
-        const jobTitle = escapeHtml(c.jobTitle || c.jobId || "-");
-        const rm = resumeMap ? resumeMap.get(c.id) : null;
-        const hasResume = rm && rm.url;
-        const follow = followupBadge(c.follow);
-        const tagsHtml = (c.tags || []).map((t) => tagBadge(t)).join(" ");
-        const avatarLetter = escapeHtml((c.name || "?").slice(0, 1));
-
-        return '<div class="carditem" onclick="window.open(\'/candidates/' + escapeHtml(c.id) + '\',\'_blank\')">' +
-          '<div class="cardtitle"><div class="card-avatar" style="background:' + stage.color + '">' + avatarLetter + '</div><span>' + title + '</span>' + (hasResume ? '<span class="badge status-blue" style="font-size:10px;padding:2px 6px">📎</span>' : '') + '</div>' +
-          '<div class="cardsub">' +
-          '<span class="card-meta">' + jobTitle + '</span>' +
-          statusBadge(c.status) +
-          '</div>' +
-          (follow ? '<div style="margin-top:6px">' + follow + '</div>' : '') +
-          (tagsHtml ? '<div style="margin-top:4px">' + tagsHtml + '</div>' : '') +
-          cardQuickBtns(c.id, c.status) +
-          '</div>';
-      })
+      .map((c) => kanbanCardHtml(c, { colKey, resumeMap, templateOf, boardMeta, avatarColor: stage.color }))
       .join("");
+    // 流水线列包含多个状态，落点状态由拖拽脚本按流转规则从中选择
+    const drop = boardMeta ? ' data-drop="' + escapeHtml(JSON.stringify(stage.statuses)) + '" data-lane="' + escapeHtml(lane ? lane.jobId : "") + '" ondragover="boardDragOver(event)" ondragleave="boardDragLeave(event)" ondrop="boardDrop(event)"' : '';
 
-    return '<div class="col"><div class="colhead" style="border-left:3px solid ' + stage.color + '"><div class="coltitle"><span>' + stage.icon + '</span> ' + escapeHtml(stage.name) + '</div><div class="colcount">' + stageCount + '</div></div><div class="colbody">' + (items || '<div class="muted" style="text-align:center;padding:20px 0">暂无候选人</div>') + '</div></div>';
+    return '<div class="col"><div class="colhead" style="border-left:3px solid ' + stage.color + '"><div class="coltitle">' + colCheck(colKey, stageCount) + '<span>' + stage.icon + '</span> ' + escapeHtml(stage.name) + '</div><div class="colcount">' + stageCount + '</div></div><div class="colbody"' + drop + '>' + (items || '<div class="muted" style="text-align:center;padding:20px 0">暂无候选人</div>') + '</div></div>';
   }).join("");
+  const cols = kanbanLanesHtml(lanes, renderCols, "");
 
-  return '<div class="card compact"><div class="row"><div style="font-weight:900;font-size:16px">候选人看板</div><span class="muted">（点击卡片打开右侧抽屉快速查看）</span><span class="spacer"></span><div class="seg" style="display:inline-flex"><button class="active" onclick="setBoardView(\'pipeline\')">流水线</button><button onclick="location.href=\'/candidates/board?view=status\'">按状态</button></div></div><div class="divider"></div><div class="kanban">' + cols + '</div></div>' +
+  return '<div class="card compact"><div class="row"><div style="font-weight:900;font-size:16px">候选人看板</div><span class="muted">（点击卡片打开右侧抽屉快速查看）</span><span class="spacer"></span><div class="seg" style="display:inline-flex"><button class="active" onclick="setBoardView(\'pipeline\')">流水线</button><button onclick="setBoardView(\'status\')">按状态</button></div></div><div class="divider"></div>' + cols + '</div>' +
     '<div id="drawerMask" class="drawerMask" onclick="closeDrawer()"></div>' +
     '<div id="drawer" class="drawer">' +
     '<div class="drawerHeader"><div><div id="drawerTitle" class="drawerTitle">候选人详情</div><div id="drawerSub" class="muted mono"></div></div><button class="drawerClose" onclick="closeDrawer()">&#10005;</button></div>' +
@@ -139,9 +207,10 @@ function kanbanHtml({ grouped, countsByCol, resumeMap }) {
     'function openDrawer(){document.getElementById("drawerMask").classList.add("open");document.getElementById("drawer").classList.add("open")}' +
     'function closeDrawer(){document.getElementById("drawerMask").classList.remove("open");document.getElementById("drawer").classList.remove("open");CURRENT_ID=null}' +
     'async function openCandidate(id){CURRENT_ID=id;openDrawer();switchTab("info");await loadCandidate(id)}' +
-    'function fillStatusSelect(current){var sel=document.getElementById("statusSelect");sel.innerHTML=' + JSON.stringify(STATUS_COLS) + '.map(function(s){return \'<option value="\'+s.key+\'" \'+(s.key===current?"selected":"")+\'>\'+s.name+\'</option>\'}).join("")}' +
-    'function fillScheduleSelects(){var r=document.getElementById("scRound");r.innerHTML=' + JSON.stringify(INTERVIEW_ROUNDS) + '.map(function(x){return \'<option value="\'+x+\'">第\'+x+\'轮</option>\'}).join("");var st=document.getElementById("scSyncStatus");st.innerHTML=["（不同步）"].concat(' + JSON.stringify(INTERVIEW_STATUS) + ').map(function(x){return \'<option value="\'+x+\'">\'+x+\'</option>\'}).join("")}fillScheduleSelects();' +
-    'var RATING_LABEL=' + JSON.stringify(INTERVIEW_RATING_LABEL) + ';function fillReviewSelects(){var r=document.getElementById("rvRound");r.innerHTML=' + JSON.stringify(INTERVIEW_ROUNDS) + '.map(function(x){return \'<option value="\'+x+\'">第\'+x+\'轮</option>\'}).join("");var st=document.getElementById("rvConclusion");st.innerHTML=["通过","不通过","Pending"].map(function(x){return \'<option value="\'+x+\'">\'+x+\'</option>\'}).join("");var ra=document.getElementById("rvRating");ra.innerHTML=' + JSON.stringify(INTERVIEW_RATING) + '.map(function(x){return \'<option value="\'+x+\'">\'+( RATING_LABEL[x]||x)+\'</option>\'}).join("")}fillReviewSelects();' +
+    'function fillStatusSelect(current,list){var sel=document.getElementById("statusSelect");sel.innerHTML=(list||' + JSON.stringify(STATUS_COLS) + ').map(function(s){return \'<option value="\'+s.key+\'" \'+(s.key===current?"selected":"")+\'>\'+s.name+\'</option>\'}).join("")}' +
+    'function roundOptions(rounds){return (rounds||' + JSON.stringify(DEFAULT_ROUND_LIST) + ').map(function(x){return \'<option value="\'+x.round+\'">第\'+x.round+\'轮 · \'+esc(x.name)+\'</option>\'}).join("")}' +
+    'function fillScheduleSelects(rounds,statuses){var r=document.getElementById("scRound");r.innerHTML=roundOptions(rounds);var st=document.getElementById("scSyncStatus");st.innerHTML=["（不同步）"].concat((statuses||' + JSON.stringify(STATUS_COLS) + ').map(function(s){return s.key}).filter(function(x){return x!=="淘汰"&&!/不通过$/.test(x)})).map(function(x){return \'<option value="\'+x+\'">\'+x+\'</option>\'}).join("")}fillScheduleSelects();' +
+    'var RATING_LABEL=' + JSON.stringify(INTERVIEW_RATING_LABEL) + ';function fillReviewSelects(rounds){var r=document.getElementById("rvRound");r.innerHTML=roundOptions(rounds);var st=document.getElementById("rvConclusion");st.innerHTML=["通过","不通过","Pending"].map(function(x){return \'<option value="\'+x+\'">\'+x+\'</option>\'}).join("");var ra=document.getElementById("rvRating");ra.innerHTML=' + JSON.stringify(INTERVIEW_RATING) + '.map(function(x){return \'<option value="\'+x+\'">\'+( RATING_LABEL[x]||x)+\'</option>\'}).join("")}fillReviewSelects();' +
     'function esc(s){return String(s||"").replace(/</g,"&lt;").replace(/>/g,"&gt;")}' +
     'function nl2br(s){return esc(s).replace(/\\n/g,"<br/>")}' +
     'var _boardInterviewers=[];fetch("/api/interviewers").then(function(r){return r.json()}).then(function(d){_boardInterviewers=d||[]}).catch(function(){});' +
@@ -151,13 +220,13 @@ function kanbanHtml({ grouped, countsByCol, resumeMap }) {
     'function renderSchedules(list){var box=document.getElementById("scheduleList");if(!list||!list.length){box.innerHTML=\'<div class="muted">暂无</div>\';return}box.innerHTML=list.map(function(x){return \'<div class="card compact" style="padding:12px;border-radius:14px;margin-bottom:10px"><div class="row"><b>第\'+x.round+\'轮</b><span class="pill"><span class="muted">时间</span><b>\'+esc(x.scheduledAt||"-")+\'</b></span><span class="spacer"></span><span class="muted">\'+esc(x.updatedAt||x.createdAt||"")+\'</span></div><div class="divider"></div><div style="display:flex;align-items:center;gap:6px;flex-wrap:wrap"><span class="muted">面试官：</span>\'+renderIvLine(x.interviewers)+\'</div><div class="muted">地点：\'+esc(x.location||"-")+\'</div></div>\'}).join("")}' +
     'function renderReviews(list){var box=document.getElementById("reviewList");if(!list||!list.length){box.innerHTML=\'<div class="muted">暂无面评</div>\';return}box.innerHTML=list.map(function(x){return \'<div class="card compact" style="padding:12px;border-radius:14px;margin-bottom:10px"><div class="row"><b>第\'+x.round+\'轮</b><span class="pill"><span class="muted">进度</span><b>\'+esc(x.status||"-")+\'</b></span><span class="pill"><span class="muted">评级</span><b>\'+esc(x.rating||"-")+\'</b></span></div><div class="divider"></div><div style="margin-bottom:6px"><b>Pros</b><div class="muted">\'+nl2br(x.pros||"-")+\'</div></div><div style="margin-bottom:6px"><b>Cons</b><div class="muted">\'+nl2br(x.cons||"-")+\'</div></div><div><b>下一轮考察</b><div class="muted">\'+nl2br(x.focusNext||"-")+\'</div></div></div>\'}).join("")}' +
     'function renderActivity(list){var box=document.getElementById("activityList");if(!list||!list.length){box.innerHTML=\'<div class="muted">暂无</div>\';return}box.innerHTML=\'<div class="timeline">\'+list.map(function(e){return \'<div class="titem"><div class="tmeta"><b>\'+esc(e.actor||"系统")+\'</b><span class="badge status-gray" style="font-size:11px">\'+esc(e.type||"-")+\'</span><span class="muted">\'+esc(e.createdAt||"")+\'</span></div><div class="tmsg">\'+nl2br(e.message||"")+\'</div></div>\'}).join("")+\'</div>\'}' +
-    'async function loadCandidate(id){var res=await fetch("/api/candidates/"+encodeURIComponent(id));if(!res.ok){document.getElementById("drawerTitle").textContent="候选人不存在";return}var data=await res.json();document.getElementById("drawerTitle").textContent=data.name||"未命名";document.getElementById("drawerSub").textContent="ID: "+(data.id||"");document.getElementById("cStatus").textContent=data.status||"-";document.getElementById("cJob").textContent=data.jobTitle||data.jobId||"-";document.getElementById("cSource").textContent=data.source||"-";var fromParam=new URLSearchParams(location.search).get("jobId");document.getElementById("fullOpenBtn").href="/candidates/"+encodeURIComponent(data.id)+(fromParam?"?from=job:"+encodeURIComponent(fromParam):"?from=board");fillStatusSelect(data.status||"待筛选");document.getElementById("editName").value=data.name||"";document.getElementById("editPhone").value=data.phone||"";document.getElementById("editEmail").value=data.email||"";document.getElementById("editSource").value=data.source||"";document.getElementById("editReferrer").value=data.referrer||"";document.getElementById("editNote").value=data.note||"";renderSchedules(data.schedules||[]);renderResumeInline(data.resume||null);renderReviews(data.reviews||[]);renderActivity(data.events||[]);var f=document.getElementById("resumeUploadForm");f.onsubmit=async function(e){e.preventDefault();if(!CURRENT_ID)return;var fd=new FormData(f);var r=await fetch("/api/candidates/"+encodeURIComponent(CURRENT_ID)+"/resume",{method:"POST",body:fd});if(r.ok){await loadCandidate(CURRENT_ID);switchTab("resume")}else{alert("上传失败："+await r.text())}}}' +
-    'async function updateStatus(){if(!CURRENT_ID)return;var v=document.getElementById("statusSelect").value;var res=await fetch("/api/candidates/"+encodeURIComponent(CURRENT_ID)+"/status",{method:"POST",headers:{"Content-Type":"application/json"},body:JSON.stringify({status:v})});if(res.ok)location.reload();else alert("更新失败")}' +
+    'async function loadCandidate(id){var res=await fetch("/api/candidates/"+encodeURIComponent(id));if(!res.ok){document.getElementById("drawerTitle").textContent="候选人不存在";return}var data=await res.json();document.getElementById("drawerTitle").textContent=data.name||"未命名";document.getElementById("drawerSub").textContent="ID: "+(data.id||"");document.getElementById("cStatus").textContent=data.status||"-";document.getElementById("cJob").textContent=data.jobTitle||data.jobId||"-";document.getElementById("cSource").textContent=data.source||"-";var fromParam=new URLSearchParams(location.search).get("jobId");document.getElementById("fullOpenBtn").href="/candidates/"+encodeURIComponent(data.id)+(fromParam?"?from=job:"+encodeURIComponent(fromParam):"?from=board");var pl=data.pipeline||{};fillStatusSelect(data.status||"待筛选",pl.statuses);fillScheduleSelects(pl.rounds,pl.statuses);fillReviewSelects(pl.rounds);document.getElementById("editName").value=data.name||"";document.getElementById("editPhone").value=data.phone||"";document.getElementById("editEmail").value=data.email||"";document.getElementById("editSource").value=data.source||"";document.getElementById("editReferrer").value=data.referrer||"";document.getElementById("editNote").value=data.note||"";renderSchedules(data.schedules||[]);renderResumeInline(data.resume||null);renderReviews(data.reviews||[]);renderActivity(data.events||[]);var f=document.getElementById("resumeUploadForm");f.onsubmit=async function(e){e.preventDefault();if(!CURRENT_ID)return;var fd=new FormData(f);var r=await fetch("/api/candidates/"+encodeURIComponent(CURRENT_ID)+"/resume",{method:"POST",body:fd});if(r.ok){await loadCandidate(CURRENT_ID);switchTab("resume")}else{alert("上传失败："+await r.text())}}}' +
+    'async function updateStatus(){if(!CURRENT_ID)return;var v=document.getElementById("statusSelect").value;if(await submitStatus(CURRENT_ID,v))location.reload()}' +
     'async function saveCandidate(){if(!CURRENT_ID)return;var payload={name:document.getElementById("editName").value,phone:document.getElementById("editPhone").value,email:document.getElementById("editEmail").value,source:document.getElementById("editSource").value,referrer:document.getElementById("editReferrer").value,note:document.getElementById("editNote").value};var res=await fetch("/api/candidates/"+encodeURIComponent(CURRENT_ID),{method:"POST",headers:{"Content-Type":"application/json"},body:JSON.stringify(payload)});if(res.ok){await loadCandidate(CURRENT_ID);location.reload()}else alert("保存失败")}' +
-    'async function saveSchedule(){if(!CURRENT_ID)return;var sc=document.getElementById("scSyncCalendar");var payload={round:Number(document.getElementById("scRound").value),scheduledAt:document.getElementById("scAt").value,interviewers:document.getElementById("scInterviewers").value,link:document.getElementById("scLink").value,location:document.getElementById("scLocation").value,syncStatus:document.getElementById("scSyncStatus").value,syncCalendar:sc&&sc.checked?"on":"off"};var res=await fetch("/api/candidates/"+encodeURIComponent(CURRENT_ID)+"/schedule",{method:"POST",headers:{"Content-Type":"application/json"},body:JSON.stringify(payload)});if(res.ok){await loadCandidate(CURRENT_ID);switchTab("schedule");location.reload()}else alert("保存失败")}' +
+    'async function saveSchedule(){if(!CURRENT_ID)return;var sc=document.getElementById("scSyncCalendar");var payload={round:Number(document.getElementById("scRound").value),scheduledAt:document.getElementById("scAt").value,interviewers:document.getElementById("scInterviewers").value,link:document.getElementById("scLink").value,location:document.getElementById("scLocation").value,syncStatus:document.getElementById("scSyncStatus").value,syncCalendar:sc&&sc.checked?"on":"off"};var r=await submitSchedule(CURRENT_ID,payload);if(r.ok){await loadCandidate(CURRENT_ID);switchTab("schedule");location.reload()}else if(!r.cancelled)alert(r.data.error||"保存失败")}' +
     'async function addReview(){if(!CURRENT_ID)return;var payload={round:Number(document.getElementById("rvRound").value),conclusion:document.getElementById("rvConclusion").value,rating:document.getElementById("rvRating").value,pros:document.getElementById("rvPros").value,cons:document.getElementById("rvCons").value,focusNext:document.getElementById("rvFocusNext").value};var res=await fetch("/api/candidates/"+encodeURIComponent(CURRENT_ID)+"/reviews",{method:"POST",headers:{"Content-Type":"application/json"},body:JSON.stringify(payload)});if(res.ok){document.getElementById("rvPros").value="";document.getElementById("rvCons").value="";document.getElementById("rvFocusNext").value="";await loadCandidate(CURRENT_ID);switchTab("review");location.reload()}else alert("保存失败")}' +
-    'async function quickStatus(id,newStatus){var btn=event.target;btn.disabled=true;btn.style.opacity="0.5";try{var res=await fetch("/api/candidates/"+encodeURIComponent(id)+"/status",{method:"POST",headers:{"Content-Type":"application/json"},body:JSON.stringify({status:newStatus})});if(res.ok)location.reload();else{btn.disabled=false;btn.style.opacity="1";alert("操作失败")}}catch(e){btn.disabled=false;btn.style.opacity="1";alert("网络错误")}}' +
-    'function setBoardView(v){if(v==="pipeline")location.href="/candidates/board";else location.href="/candidates/board?view=status"}' +
+    'async function quickStatus(id,newStatus){var btn=event.target;btn.disabled=true;btn.style.opacity="0.5";try{if(await submitStatus(id,newStatus))location.reload();else{btn.disabled=false;btn.style.opacity="1"}}catch(e){btn.disabled=false;btn.style.opacity="1";alert("网络错误")}}' +
+    'function setBoardView(v){var u=new URL(location.href);if(v==="pipeline")u.searchParams.delete("view");else u.searchParams.set("view","status");location.href=u.toString()}' +
     '</script>';
 }
 
@@ -296,6 +365,12 @@ router.post("/api/candidates/create", requireLogin, requireAdmin, async (req, re
     // 查重：姓名+手机号完全匹配
     const dupCandidate = findDuplicate(d.candidates, name, phone);
     if (dupCandidate) {
+      // 录入猎头推荐的候选人时记录重复推荐，供猎头绩效统计首推方
+      const hunter = source === "猎头" && vendorId ? (d.headhunters || []).find(x => x.id === vendorId) : null;
+      if (hunter && dupCandidate.vendorId !== hunter.id) {
+        recordDuplicateSubmission(d, dupCandidate, hunter, hunterLabel(hunter), d.jobs.find((x) => x.id === jobId));
+        await saveData(d);
+      }
       return res.status(409).json({ error: "候选人疑似重复", duplicate: { id: dupCandidate.id, name: dupCandidate.name, phone: dupCandidate.phone, jobTitle: dupCandidate.jobTitle || "-", status: dupCandidate.status } });
     }
 
@@ -304,7 +379,7 @@ router.post("/api/candidates/create", requireLogin, requireAdmin, async (req, re
     let vendorName = "";
     if (source === "猎头" && vendorId) {
       const h = (d.headhunters || []).find(x => x.id === vendorId);
-      vendorName = h ? (h.company ? h.company + (h.name ? " · " + h.name : "") : h.name) : vendorId;
+      vendorName = h ? hunterLabel(h) : vendorId;
     }
     const c = {
       id: rid("c"), name, phone, email, jobId,
@@ -313,10 +388,12 @@ router.post("/api/candidates/create", requireLogin, requireAdmin, async (req, re
       follow: { nextAction: "待联系", followAt: "", note: "" },
       createdAt: nowIso(), updatedAt: nowIso(),
     };
+    stampJobVersion(d, c);
     d.candidates.unshift(c);
     if (c.source && !d.sources.includes(c.source)) d.sources.push(c.source);
     pushEvent(d, { candidateId: c.id, type: "创建", message: "创建候选人：" + (c.name || "-") + "（岗位：" + (c.jobTitle || "-") + "）", actor: req.user?.name || "系统" });
     await saveData(d);
+    audit(req, { entityType: "candidate", entityId: c.id, entityName: c.name, after: c });
     await notifyHrNewCandidate(d, c, job).catch(e => console.warn("[Notify] err:", e.message));
     res.json({ ok: true, candidateId: c.id });
   } catch (e) {
@@ -346,6 +423,7 @@ router.post("/candidates/new", requireLogin, requireAdmin, upload.single("resume
   // 查重：姓名+手机号完全匹配
   const dupCandidate = findDuplicate(d.candidates, name, phone);
   if (dupCandidate) {
+    skipAudit(req);
     return res.send(renderPage({
       title: "候选人疑似重复", user: req.user, active: "candidates",
       contentHtml: '<div class="card" style="max-width:600px;margin:0 auto"><div style="font-weight:900;font-size:18px;color:var(--orange,#ff7d00)">候选人疑似重复</div><div class="divider"></div>' +
@@ -372,6 +450,7 @@ router.post("/candidates/new", requireLogin, requireAdmin, upload.single("resume
     createdAt: nowIso(),
     updatedAt: nowIso(),
   };
+  stampJobVersion(d, c);
   d.candidates.unshift(c);
   if (c.source && !d.sources.includes(c.source)) d.sources.push(c.source);
 
@@ -386,6 +465,7 @@ router.post("/candidates/new", requireLogin, requireAdmin, upload.single("resume
   }
 
   await saveData(d);
+  audit(req, { entityType: "candidate", entityId: c.id, entityName: c.name, after: c });
   await notifyHrNewCandidate(d, c, job).catch(e => console.warn("[Notify] err:", e.message));
   res.redirect(303, "/candidates/" + c.id);
 });
@@ -584,19 +664,29 @@ router.post("/candidates/import-single-resume", requireLogin, requireAdmin, uplo
       return res.status(400).json({ ok: false, error: "请选择简历文件" });
     }
 
-    // 从文件名提取候选人姓名（去掉扩展名和常见后缀）
+    // 先解析简历正文，提取姓名/手机/邮箱用于查重和预填
+    const parsed = parseResumeText(await extractResumeText(file.buffer, file.mimetype, file.originalname)) || {};
+
+    // 正文未识别出姓名时，从文件名提取（去掉扩展名和常见后缀）
     let rawName = file.originalname || "未命名";
     rawName = rawName.replace(/\.(pdf|doc|docx|png|jpg|jpeg)$/i, "");
     rawName = rawName.replace(/[-_]?(简历|resume|cv|个人简历)$/i, "").trim();
     rawName = rawName.replace(/^(简历|resume|cv)[-_]?/i, "").trim();
-    const name = rawName || "未命名候选人";
+    const name = parsed.name || rawName || "未命名候选人";
+    const phone = parsed.phone || "";
+
+    // 查重：姓名+手机号完全匹配
+    const dupCandidate = findDuplicate(d.candidates, name, phone);
+    if (dupCandidate) {
+      return res.status(409).json({ ok: false, error: "候选人疑似重复：" + dupCandidate.name + "（" + (dupCandidate.jobTitle || "-") + "）", duplicate: { id: dupCandidate.id, name: dupCandidate.name } });
+    }
 
     // 创建候选人
     const c = {
       id: rid("c"),
       name,
-      phone: "",
-      email: "",
+      phone,
+      email: parsed.email || "",
       jobId: jobId,
       jobTitle: job.title,
       source: "批量导入",
@@ -604,16 +694,19 @@ router.post("/candidates/import-single-resume", requireLogin, requireAdmin, uplo
       tags: [],
       status: "待筛选",
       follow: { nextAction: "待联系", followAt: "", note: "" },
+      extractedFields: ["name", "phone", "email"].filter(k => parsed[k]),
       createdAt: nowIso(),
       updatedAt: nowIso(),
     };
+    stampJobVersion(d, c);
+    d.candidates.unshift(c);
 
-    // 保存简历文件（正确的参数顺序：d, candidateId, file, actorName）
+    // 保存简历文件（正确的参数顺序：d, candidateId, file, actorName），同时写入简历全文和解析出的履历
     await saveResumeSupabaseOrLocal(d, c.id, file, req.user?.name || "批量导入");
 
-    d.candidates.unshift(c);
     pushEvent(d, { candidateId: c.id, type: "新建", message: "批量导入简历创建候选人", actor: req.user?.name || "系统" });
     await saveData(d);
+    audit(req, { entityType: "candidate", entityId: c.id, entityName: c.name, after: c });
 
     // 通知HR
     await notifyHrNewCandidate(d, c, job).catch(e => console.warn("[Notify] err:", e.message));
@@ -635,13 +728,16 @@ router.get("/candidates", requireLogin, async (req, res) => {
 
   const visibleJobIds = getVisibleJobIds(req.user, d.jobs);
   const jobMap = new Map(d.jobs.map((j) => [j.id, j]));
+  const resolveTpl = templateResolver(d);
   d.candidates.forEach((c) => {
     if (!c.jobTitle && c.jobId && jobMap.get(c.jobId)) c.jobTitle = jobMap.get(c.jobId).title;
-    if (!STATUS_SET.has(c.status)) c.status = "待筛选";
+    if (!resolveTpl(c.jobId).statusSet.has(c.status)) c.status = "待筛选";
     if (!c.follow) c.follow = { nextAction: "", followAt: "", note: "" };
     if (!Array.isArray(c.tags)) c.tags = [];
   });
   const permCandidates = filterCandidatesByPermission(d.candidates, visibleJobIds);
+  // 全文检索：简历正文、备注、面评、动态
+  const ftHits = q ? searchCandidates(d, q, { user: req.user, visibleJobIds }) : null;
 
   const filtered = permCandidates.filter((c) => {
     // 面试通过阶段（待发offer/Offer发放/拒offer/入职）的候选人转移到"面试通过"模块，不在人才库显示
@@ -651,7 +747,7 @@ router.get("/candidates", requireLogin, async (req, res) => {
     if (status && c.status !== status) return false;
     if (q) {
       const hay = (c.name || "") + " " + (c.phone || "") + " " + (c.email || "") + " " + (c.note || "") + " " + (c.source || "") + " " + (c.tags || []).join(" ");
-      if (!hay.toLowerCase().includes(q)) return false;
+      if (!hay.toLowerCase().includes(q) && !ftHits.has(c.id)) return false;
     }
     return true;
   });
@@ -683,7 +779,9 @@ router.get("/candidates", requireLogin, async (req, res) => {
   const detailFromParam = jobId ? "?from=job:" + encodeURIComponent(jobId) : "";
 
   // 人才库状态标签不显示"面试通过"阶段的状态（那些候选人在"面试通过"模块中）
-  const seg = STATUS_COLS.filter((s) => !OFFER_STAGE_STATUSES.has(s.key)).map((s) => {
+  // 选中岗位时按该岗位的流程模板展示，否则展示所有模板的状态全集
+  const segStatuses = jobId ? templateStatuses(getJobTemplate(d, jobId)) : unionStatuses(d);
+  const seg = segStatuses.filter((s) => !OFFER_STAGE_STATUSES.has(s.key)).map((s) => {
     const u = new URL("http://x/candidates");
     if (q) u.searchParams.set("q", q);
     if (jobId) u.searchParams.set("jobId", jobId);
@@ -702,6 +800,9 @@ router.get("/candidates", requireLogin, async (req, res) => {
     return u.pathname + (u.searchParams.toString() ? "?" + u.searchParams.toString() : "");
   })();
 
+  // 批量更换岗位可选：当前用户可见的未关闭岗位
+  const bulkJobs = d.jobs.filter((j) => j.state !== "closed" && (visibleJobIds === null || visibleJobIds.has(j.id)));
+
   // 构建简历查找 Map（只取有 url 的记录）
   const resumeMap = new Map();
   for (const r of d.resumeFiles) {
@@ -711,6 +812,15 @@ router.get("/candidates", requireLogin, async (req, res) => {
     }
   }
 
+  // 全文检索命中片段（基本信息命中的不再重复展示）
+  const ftSnippetRow = (cid) => {
+    const hits = (ftHits?.get(cid) || []).filter(h => h.kind !== "基本信息");
+    if (!hits.length) return "";
+    return '<tr class="ft-row"><td></td><td colspan="10" style="padding-top:0">' +
+      hits.map(h => '<div class="muted" style="font-size:12px;line-height:1.6"><span class="pill" style="font-size:11px;padding:0 6px;margin-right:6px">' + escapeHtml(h.kind) + '</span>' + h.snippetHtml + '</div>').join("") +
+      '</td></tr>';
+  };
+
   const isAdmin = req.user?.role === "admin";
   const rows = filtered
     .map((c) => {
@@ -732,12 +842,12 @@ router.get("/candidates", requireLogin, async (req, res) => {
         '<td class="ov">' + escapeHtml(c.email || "-") + '</td>' +
         '<td class="ov">' + escapeHtml(c.jobTitle || c.jobId || "-") + '</td>' +
         '<td class="ov" style="max-width:80px">' + escapeHtml(c.source || "-") + '</td>' +
-        '<td style="white-space:nowrap">' + statusBadge(c.status) + ' ' + follow + '</td>' +
+        '<td style="white-space:nowrap">' + statusBadge(c.status) + ' ' + follow + ' ' + slaBadge(c) + '</td>' +
         '<td class="ov" style="max-width:130px">' + resumeCol + '</td>' +
         '<td class="ov" style="max-width:70px">' + tagsHtml + '</td>' +
         '<td class="muted" style="white-space:nowrap;font-size:12px">' + escapeHtml(toBjTime(c.updatedAt || c.createdAt || "").slice(0, 10)) + '</td>' +
         '<td><a class="btn sm" href="/candidates/' + escapeHtml(c.id) + detailFromParam + '">编辑</a></td>' +
-        '</tr>';
+        '</tr>' + ftSnippetRow(c.id);
     })
     .join("");
 
@@ -751,9 +861,8 @@ router.get("/candidates", requireLogin, async (req, res) => {
         '<div style="height:12px"></div>' +
         '<div class="seg"><a class="' + (status ? "" : "active") + '" href="' + allHref + '">全部状态</a>' + seg + '</div>' +
         '<div style="height:12px"></div>' +
-        '<div id="batchBar" class="batch-bar" style="display:none"><span id="batchCount">已选 0 人</span><button class="btn sm primary" onclick="batchUpdateStatus()">批量更新状态</button><button class="btn sm" onclick="batchChangeJob()">批量更换岗位</button><button class="btn sm" onclick="batchAddTag()">批量添加标签</button>' + (isAdmin ? '<button class="btn sm danger" onclick="batchDelete()">批量删除</button>' : '') + '<button class="btn sm ghost" onclick="clearBatch()">取消选择</button></div>' +
-        '<div class="card" style="overflow-x:auto"><table><thead><tr><th style="width:36px"><input type="checkbox" id="selectAll" style="width:auto" /></th><th>姓名</th><th>手机</th><th>邮箱</th><th>岗位</th><th>来源</th><th>状态 / 跟进</th><th>简历</th><th>标签</th><th>更新时间</th><th>操作</th></tr></thead><tbody>' + (rows || "") + '</tbody></table>' + (rows ? "" : '<div class="muted">暂无候选人</div>') + '</div>' +
-        '<script>var sa=document.getElementById("selectAll");if(sa){sa.onchange=function(){document.querySelectorAll(".batch-check").forEach(function(cb){cb.checked=sa.checked});updateBatchBar()}}document.querySelectorAll(".batch-check").forEach(function(cb){cb.onchange=updateBatchBar});function getSelected(){return Array.from(document.querySelectorAll(".batch-check:checked")).map(function(cb){return cb.dataset.id})}function updateBatchBar(){var ids=getSelected();var bar=document.getElementById("batchBar");var cnt=document.getElementById("batchCount");if(ids.length){bar.style.display="flex";cnt.textContent="已选 "+ids.length+" 人"}else{bar.style.display="none"}}function clearBatch(){document.querySelectorAll(".batch-check").forEach(function(cb){cb.checked=false});if(sa)sa.checked=false;updateBatchBar()}async function batchUpdateStatus(){var ids=getSelected();if(!ids.length)return;var st=prompt("请输入新状态（如：待一面、淘汰等）：");if(!st)return;for(var i=0;i<ids.length;i++){await fetch("/api/candidates/"+encodeURIComponent(ids[i])+"/status",{method:"POST",headers:{"Content-Type":"application/json"},body:JSON.stringify({status:st})})}location.reload()}async function batchAddTag(){var ids=getSelected();if(!ids.length)return;var tag=prompt("请输入标签名称：");if(!tag)return;for(var i=0;i<ids.length;i++){var r=await fetch("/api/candidates/"+encodeURIComponent(ids[i]));if(r.ok){var data=await r.json();var tags=data.tags||[];if(tags.indexOf(tag)===-1)tags.push(tag);await fetch("/api/candidates/"+encodeURIComponent(ids[i]),{method:"POST",headers:{"Content-Type":"application/json"},body:JSON.stringify({tags:tags})})}}location.reload()}async function batchDelete(){var ids=getSelected();if(!ids.length)return;if(!confirm("确定删除选中的 "+ids.length+" 名候选人？此操作不可撤销！"))return;for(var i=0;i<ids.length;i++){await fetch("/candidates/"+encodeURIComponent(ids[i])+"/delete",{method:"POST"})}location.reload()}var _batchJobs=' + JSON.stringify(d.jobs.filter(j => j.state !== "closed").map(j => ({ id: j.id, title: j.title, state: j.state }))) + ';function batchChangeJob(){var ids=getSelected();if(!ids.length)return;var opts=_batchJobs.map(function(j){return j.title+(j.state==="paused"?" (暂停)":"")}).join("\\n");var selected=prompt("请输入要更换到的岗位名称：\\n\\n可选岗位：\\n"+opts);if(!selected)return;var target=_batchJobs.find(function(j){return j.title===selected||j.title===selected.replace(/ \\(暂停\\)$/,"")});if(!target){alert("未找到匹配的岗位："+selected);return}if(!confirm("确定将选中的 "+ids.length+" 名候选人更换到「"+target.title+"」岗位？"))return;(async function(){for(var i=0;i<ids.length;i++){await fetch("/api/candidates/"+encodeURIComponent(ids[i])+"/job",{method:"POST",headers:{"Content-Type":"application/json"},body:JSON.stringify({jobId:target.id})})}location.reload()})()}</script>',
+        bulkBarHtml({ isAdmin, jobs: bulkJobs, tags: d.tags, statuses: segStatuses.map((s) => s.key), reasons: d.rejectionReasons }) +
+        '<div class="card" style="overflow-x:auto"><table><thead><tr><th style="width:36px"><input type="checkbox" id="selectAll" style="width:auto" /></th><th>姓名</th><th>手机</th><th>邮箱</th><th>岗位</th><th>来源</th><th>状态 / 跟进</th><th>简历</th><th>标签</th><th>更新时间</th><th>操作</th></tr></thead><tbody>' + (rows || "") + '</tbody></table>' + (rows ? "" : '<div class="muted">暂无候选人</div>') + '</div>',
     })
   );
 });
@@ -761,14 +870,24 @@ router.get("/candidates", requireLogin, async (req, res) => {
 router.get("/candidates/board", requireLogin, async (req, res) => {
   const d = await loadData();
   const q = String(req.query.q || "").trim().toLowerCase();
-  const jobId = String(req.query.jobId || "").trim();
   const source = String(req.query.source || "").trim();
 
   const visibleJobIds = getVisibleJobIds(req.user, d.jobs);
+  // 岗位筛选和泳道开关按用户记忆：URL 带参数时更新偏好，否则沿用上次的选择。
+  // 偏好按用户单独保存（user_prefs），不写共享的 app_config，多人同时打开看板不会互相覆盖
+  const prefKey = userKey(req.user);
+  const pref = (await loadUserPrefs(prefKey))?.boardPref || d.boardPrefs[req.user?.id || req.user?.openId || ""] || {};
+  let jobId = req.query.jobId !== undefined ? String(req.query.jobId).trim() : String(pref.jobId || "");
+  if (jobId && (!d.jobs.some((j) => j.id === jobId) || (visibleJobIds !== null && !visibleJobIds.has(jobId)))) jobId = "";
+  const lanesOn = req.query.lanes !== undefined ? req.query.lanes === "job" : !!pref.lanes;
+  if (prefKey && ((pref.jobId || "") !== jobId || !!pref.lanes !== lanesOn)) {
+    await saveUserPrefs(prefKey, { boardPref: { jobId, lanes: lanesOn } });
+  }
   const jobMap = new Map(d.jobs.map((j) => [j.id, j]));
+  const resolveTpl = templateResolver(d);
   d.candidates.forEach((c) => {
     if (!c.jobTitle && c.jobId && jobMap.get(c.jobId)) c.jobTitle = jobMap.get(c.jobId).title;
-    if (!STATUS_SET.has(c.status)) c.status = "待筛选";
+    if (!resolveTpl(c.jobId).statusSet.has(c.status)) c.status = "待筛选";
     if (!c.follow) c.follow = { nextAction: "", followAt: "", note: "" };
     if (!Array.isArray(c.tags)) c.tags = [];
   });
@@ -784,9 +903,19 @@ router.get("/candidates/board", requireLogin, async (req, res) => {
     return true;
   });
 
+  // 看板列：选中岗位时使用该岗位的流程模板；否则合并当前候选人涉及的所有模板
+  const boardTemplates = jobId
+    ? [getJobTemplate(d, jobId)]
+    : Array.from(new Map(filtered.map(c => resolveTpl(c.jobId).tpl).map(t => [t.id, t])).values());
+  if (!boardTemplates.length) boardTemplates.push(getJobTemplate(d, null));
+  const statusCols = boardTemplates.length === 1 ? templateStatuses(boardTemplates[0]) : unionStatuses(d, boardTemplates);
+  const stages = boardTemplates.length === 1 ? boardTemplates[0].stages : unionStages(boardTemplates);
+  const templateOf = (c) => resolveTpl(c.jobId).tpl;
+  const bulkJobs = d.jobs.filter((j) => j.state !== "closed" && (visibleJobIds === null || visibleJobIds.has(j.id)));
+
   const grouped = {};
   const countsByCol = {};
-  STATUS_COLS.forEach((col) => { grouped[col.key] = []; countsByCol[col.key] = 0; });
+  statusCols.forEach((col) => { grouped[col.key] = []; countsByCol[col.key] = 0; });
   filtered.forEach((c) => { grouped[c.status].push(c); countsByCol[c.status] += 1; });
 
   // 构建简历 Map 供看板卡片使用（只取有 url 的记录）
@@ -800,15 +929,57 @@ router.get("/candidates/board", requireLogin, async (req, res) => {
 
   // 流水线摘要
   const totalFiltered = filtered.length;
-  const pipelineSummary = PIPELINE_STAGES.map(stage => {
+  const pipelineSummary = stages.map(stage => {
     const cnt = stage.statuses.reduce((sum, s) => sum + (countsByCol[s] || 0), 0);
     return '<div class="pipeline-stage"><div class="pipeline-dot" style="background:' + stage.color + '"></div><div class="pipeline-info"><div class="pipeline-name">' + escapeHtml(stage.name) + '</div><div class="pipeline-num">' + cnt + '</div></div></div>';
   }).join('<div class="pipeline-arrow">›</div>');
 
+  // 停留天数（按动态计算）和已安排面试的轮次，供卡片徽标和拖拽校验使用
+  const since = statusSinceMap(d);
+  const scheduledRounds = new Map();
+  for (const x of d.interviewSchedules) {
+    if (!x.scheduledAt) continue;
+    if (!scheduledRounds.has(x.candidateId)) scheduledRounds.set(x.candidateId, []);
+    scheduledRounds.get(x.candidateId).push(x.round);
+  }
+  const boardMeta = {
+    agingOf: (c) => daysSince(since.get(c.id)),
+    scheduledRoundsOf: (c) => scheduledRounds.get(c.id) || [],
+  };
+
+  // 按岗位分泳道（未选定岗位时）；岗位已删除的候选人归入"未关联岗位"
+  const makeLane = (laneJobId, title, list) => {
+    const lane = { jobId: laneJobId, title, total: list.length, grouped: {}, countsByCol: {} };
+    statusCols.forEach((col) => { lane.grouped[col.key] = []; lane.countsByCol[col.key] = 0; });
+    list.forEach((c) => { lane.grouped[c.status].push(c); lane.countsByCol[c.status] += 1; });
+    return lane;
+  };
+  const lanes = lanesOn && !jobId
+    ? d.jobs.map((j) => makeLane(j.id, j.title || j.id, filtered.filter((c) => c.jobId === j.id)))
+      .concat([makeLane("", "未关联岗位", filtered.filter((c) => !jobMap.has(c.jobId)))])
+      .filter((lane) => lane.total)
+    : null;
+
+  // 拖拽脚本所需的流程信息：各状态允许流转到的状态、各轮"待X"状态对应的轮次
+  const boardTpls = {};
+  for (const c of filtered) {
+    const tpl = templateOf(c);
+    if (boardTpls[tpl.id]) continue;
+    const keys = templateStatuses(tpl).map((x) => x.key);
+    boardTpls[tpl.id] = {
+      statuses: keys,
+      next: Object.fromEntries(keys.map((k) => [k, allowedNextStatuses(tpl, k)])),
+      rounds: Object.fromEntries(tpl.rounds.map((r, i) => [roundStatuses(r.name).pending, { round: i + 1, name: r.name }])),
+    };
+  }
+
   const viewMode = String(req.query.view || "pipeline").trim();
   const boardContent = viewMode === "status"
-    ? kanbanStatusHtml({ grouped, countsByCol, resumeMap: boardResumeMap })
-    : kanbanHtml({ grouped, countsByCol, resumeMap: boardResumeMap });
+    ? kanbanStatusHtml({ grouped, countsByCol, resumeMap: boardResumeMap, statusCols, templateOf, boardMeta, lanes })
+    : kanbanHtml({ grouped, countsByCol, resumeMap: boardResumeMap, stages, templateOf, boardMeta, lanes });
+  const lanesToggle = '<div class="row" style="margin-bottom:8px"><span class="muted">拖拽卡片到其他列即可变更状态，徽标为在当前状态停留的天数</span><span class="spacer"></span>' +
+    (jobId ? '' : '<div class="seg" style="display:inline-flex"><button class="' + (lanesOn ? "" : "active") + '" onclick="setBoardLanes(false)">不分组</button><button class="' + (lanesOn ? "active" : "") + '" onclick="setBoardLanes(true)">按岗位泳道</button></div>') +
+    '</div>';
 
   res.send(
     renderPage({
@@ -817,7 +988,9 @@ router.get("/candidates/board", requireLogin, async (req, res) => {
       active: "board",
       contentHtml: toolbarHtml({ jobs: visibleJobIds === null ? d.jobs : d.jobs.filter(j => visibleJobIds.has(j.id)), sources: d.sources, q, jobId, source, mode: "board", isAdmin: req.user?.role === "admin" }) +
         '<div class="card compact" style="margin-bottom:12px"><div class="pipeline-bar">' + pipelineSummary + '</div></div>' +
-        boardContent +
+        bulkBarHtml({ isAdmin: req.user?.role === "admin", jobs: bulkJobs, tags: d.tags, statuses: statusCols.map((s) => s.key), reasons: d.rejectionReasons }) +
+        lanesToggle +
+        boardContent + statusChangeScript(d.rejectionReasons) + scheduleSubmitScript() + boardDndHtml(boardTpls) +
         '<datalist id="board-interviewer-list">' + d.users.map(u => '<option value="' + escapeHtml(u.name) + '">').join("") + '</datalist>',
     })
   );
@@ -852,7 +1025,9 @@ router.get("/candidates/:id", requireLogin, async (req, res) => {
   if (visibleJobIds !== null && !visibleJobIds.has(c.jobId)) {
     return res.send(renderPage({ title: "无权限", user: req.user, active: "candidates", contentHtml: '<div class="card"><div style="font-weight:900">无权限查看该候选人</div><div class="muted">该候选人所属岗位不在您的负责范围内</div><div class="divider"></div><a class="btn" href="' + backUrl + '">返回</a></div>' }));
   }
-  if (!STATUS_SET.has(c.status)) c.status = "待筛选";
+  const tpl = getJobTemplate(d, c.jobId);
+  const tplStatuses = templateStatuses(tpl);
+  if (!tplStatuses.some(s => s.key === c.status)) c.status = "待筛选";
   if (!c.follow) c.follow = { nextAction: "待联系", followAt: "", note: "" };
   if (!Array.isArray(c.tags)) c.tags = [];
 
@@ -869,7 +1044,12 @@ router.get("/candidates/:id", requireLogin, async (req, res) => {
   const events = d.events.filter((e) => e.candidateId === c.id).sort((a, b) => (b.createdAt || "").localeCompare(a.createdAt || ""));
   const offer = (d.offers || []).find((o) => o.candidateId === c.id);
 
-  const statusOptions = STATUS_COLS.map((s) => '<option value="' + escapeHtml(s.key) + '" ' + (c.status === s.key ? "selected" : "") + '>' + escapeHtml(s.name) + '</option>').join("");
+  // 只列出流转策略允许的目标状态；管理员可见全部状态，越级项单独标注
+  const nextAllowed = allowedNextStatuses(tpl, c.status);
+  const canOverride = req.user?.role === "admin";
+  const statusOptions = tplStatuses
+    .filter((s) => s.key === c.status || nextAllowed.includes(s.key) || canOverride)
+    .map((s) => '<option value="' + escapeHtml(s.key) + '" ' + (c.status === s.key ? "selected" : "") + '>' + escapeHtml(s.name) + (s.key !== c.status && !nextAllowed.includes(s.key) ? "（管理员越级）" : "") + '</option>').join("");
   // 来源下拉选项（用于信息编辑）
   const detailSrcOpts = (d.sources || []).map((s) => '<option value="' + escapeHtml(s) + '" ' + (c.source === s ? "selected" : "") + '>' + escapeHtml(s) + '</option>').join("");
   const detailHunterOptsJson = JSON.stringify((d.headhunters || []).filter(h => h.enabled !== false).map(h => ({ id: h.id, label: (h.company ? h.company + (h.name ? ' · ' + h.name : '') : h.name) || h.id })));
@@ -878,12 +1058,12 @@ router.get("/candidates/:id", requireLogin, async (req, res) => {
   const currentVendorId = c.vendorId || "";
   // 当前内推人 id（用于回填）
   const currentReferrerId = c.referrerId || "";
-  const roundOpts = INTERVIEW_ROUNDS.map((x) => '<option value="' + x + '">第' + x + '轮</option>').join("");
-  const stOpts = INTERVIEW_STATUS.map((x) => '<option value="' + escapeHtml(x) + '">' + escapeHtml(x) + '</option>').join("");
+  const roundLabel = (n) => tpl.rounds[n - 1] ? "第" + n + "轮 · " + roundName(tpl, n) : "第" + n + "轮";
+  const roundOpts = tpl.rounds.map((r, i) => '<option value="' + (i + 1) + '">' + escapeHtml(roundLabel(i + 1)) + '</option>').join("");
   const rtOpts = INTERVIEW_RATING.map((x) => '<option value="' + x + '">' + (INTERVIEW_RATING_LABEL[x] || x) + '</option>').join("");
 
-  const syncOpts = '<option value="（不同步）">（不同步）</option>' + INTERVIEW_STATUS.map((x) => '<option value="' + escapeHtml(x) + '">' + escapeHtml(x) + '</option>').join("");
-  const offerStOpts = OFFER_STATUSES.map((x) => '<option value="' + escapeHtml(x) + '" ' + ((offer && offer.offerStatus === x) ? "selected" : "") + '>' + escapeHtml(x) + '</option>').join("");
+  const syncOpts = '<option value="（不同步）">（不同步）</option>' + tplStatuses.map((s) => s.key).filter((x) => !requiresRejectReason(x)).map((x) => '<option value="' + escapeHtml(x) + '">' + escapeHtml(x) + '</option>').join("");
+  const offerStOpts = OFFER_STATUSES.filter((x) => !OFFER_APPROVAL_DRIVEN.has(x) || offer?.offerStatus === x).map((x) => '<option value="' + escapeHtml(x) + '" ' + ((offer && offer.offerStatus === x) ? "selected" : "") + '>' + escapeHtml(x) + '</option>').join("");
   const interviewerDatalist = d.users.map(u => '<option value="' + escapeHtml(u.name) + '">' + escapeHtml(u.name) + '</option>').join("");
   // 岗位下拉选项（开放状态的岗位优先）
   const jobOptions = d.jobs
@@ -918,26 +1098,27 @@ router.get("/candidates/:id", requireLogin, async (req, res) => {
     const roundSummary = reviews.map(rv => {
       const score = ratingScore[rv.rating] || 0;
       const isPending = rv.rating === 'Pending';
-      return '<div class="rv-round-row"><span class="badge status-blue" style="min-width:56px;text-align:center">第' + rv.round + '轮</span><span class="badge ' + (isPending ? 'gray' : score >= 3.5 ? 'green' : score >= 2 ? 'gray' : 'red') + '">' + escapeHtml(rv.rating || "-") + '</span>' + (rv.interviewer ? '<span class="muted" style="font-size:12px">' + escapeHtml(rv.interviewer) + '</span>' : '') + '<span class="spacer"></span><span class="muted" style="font-size:11px">' + escapeHtml(toBjTime(rv.createdAt || "").slice(0, 10)) + '</span></div>';
+      return '<div class="rv-round-row"><span class="badge status-blue" style="min-width:56px;text-align:center">' + escapeHtml(roundLabel(rv.round)) + '</span><span class="badge ' + (isPending ? 'gray' : score >= 3.5 ? 'green' : score >= 2 ? 'gray' : 'red') + '">' + escapeHtml(rv.rating || "-") + '</span>' + (rv.interviewer ? '<span class="muted" style="font-size:12px">' + escapeHtml(rv.interviewer) + '</span>' : '') + '<span class="spacer"></span><span class="muted" style="font-size:11px">' + escapeHtml(toBjTime(rv.createdAt || "").slice(0, 10)) + '</span></div>';
     }).join("");
 
     summaryHtml = '<div class="card review-summary"><div style="font-weight:900;margin-bottom:8px">面试评级汇总</div><div class="divider"></div>' + roundSummary + '</div>';
   }
 
   const scheduleHtml = schedules.length ? schedules.map((x) => {
-    const roundPassStatus = x.round === 1 ? "一面通过" : x.round === 2 ? "二面通过" : x.round === 3 ? "三面通过" : x.round === 4 ? "四面通过" : "五面通过";
+    const roundPassStatus = tpl.rounds[x.round - 1] ? roundStatuses(tpl.rounds[x.round - 1].name).pass : "待发offer";
     const reviewLinkBtn = x.reviewToken ? '<a class="btn sm" href="/review/' + escapeHtml(x.reviewToken) + '" target="_blank" style="background:rgba(51,112,255,.08);color:#3370ff">📝 面评链接</a>' : '';
     const recBtn = x.recordingUrl ? '<a class="btn sm" href="' + escapeHtml(x.recordingUrl) + '" target="_blank" style="background:rgba(59,130,246,.08);color:#1d4ed8">🎬 会议录制</a>' : '';
     // 把 scheduledAt 转换为 date 和 time 部分，供编辑时填充
     const scAtRaw = x.scheduledAt || "";
     const scDateVal = scAtRaw.slice(0, 10); // "2026-04-01"
     const scTimeVal = scAtRaw.length >= 16 ? scAtRaw.slice(11, 16) : ""; // "14:00"
+    const scEndVal = x.endAt && x.endAt.slice(0, 10) === scDateVal ? x.endAt.slice(11, 16) : "";
     // 安全转义面试官字符串
     const ivEsc = (x.interviewers || "").replace(/\\/g, "\\\\").replace(/'/g, "\\'");
     const linkEsc = (x.link || "").replace(/\\/g, "\\\\").replace(/'/g, "\\'");
     const locEsc = (x.location || "").replace(/\\/g, "\\\\").replace(/'/g, "\\'");
     const hasCalendar = !!(x.calendarEventId);
-    return '<div class="card compact" style="padding:12px;border-radius:14px;margin-bottom:10px"><div class="row"><b>第' + x.round + '轮</b><span class="pill"><span class="muted">时间</span><b>' + escapeHtml(toBjTime(x.scheduledAt || "") || "-") + '</b></span>' + (hasCalendar ? '<span class="pill" style="background:rgba(51,112,255,.08);color:#3370ff">📅 飞书日历</span>' : '') + '<span class="spacer"></span><span class="muted">' + escapeHtml(toBjTime(x.updatedAt || x.createdAt || "").slice(0, 16)) + '</span></div><div class="divider"></div><div style="display:flex;align-items:center;gap:6px;flex-wrap:wrap"><span class="muted">面试官：</span>' + renderIvAvatars(x.interviewers) + '</div><div class="muted">地点/形式：' + escapeHtml(x.location || "-") + '</div>' + (x.link ? '<div class="muted">链接：<a class="btn sm" target="_blank" href="' + escapeHtml(x.link) + '">打开</a></div>' : "") + (reviewLinkBtn || recBtn ? '<div class="row" style="gap:6px;margin-top:6px">' + reviewLinkBtn + recBtn + '</div>' : '') + '<div class="divider"></div><div class="row" style="gap:6px"><button class="btn sm" style="background:rgba(22,163,74,.1);color:#16a34a" onclick="quickStatus(\'' + escapeHtml(roundPassStatus) + '\')">✓ 标记通过</button><button class="btn sm" style="background:rgba(239,68,68,.1);color:#ef4444" onclick="quickStatus(\'淘汰\')">✗ 淘汰</button>' + (x.round < 5 ? '<button class="btn sm" onclick="prefillNextRound(' + (x.round + 1) + ')">安排第' + (x.round + 1) + '轮</button>' : '') + '<span class="spacer"></span><button class="btn sm" style="background:rgba(51,112,255,.1);color:#3370ff" onclick="editSchedule(' + x.round + ',\'' + scDateVal + '\',\'' + scTimeVal + '\',\'' + ivEsc + '\',\'' + linkEsc + '\',\'' + locEsc + '\',' + (hasCalendar ? 'true' : 'false') + ')">✏ 编辑</button><button class="btn sm" style="background:rgba(239,68,68,.08);color:#ef4444" onclick="deleteSchedule(\'' + escapeHtml(x.id) + '\',' + x.round + ',' + (hasCalendar ? 'true' : 'false') + ')">🗑 删除</button></div></div>';
+    return '<div class="card compact" style="padding:12px;border-radius:14px;margin-bottom:10px"><div class="row"><b>' + escapeHtml(roundLabel(x.round)) + '</b><span class="pill"><span class="muted">时间</span><b>' + escapeHtml((toBjTime(x.scheduledAt || "") || "-") + (x.endAt ? " - " + x.endAt.slice(11, 16) : "")) + '</b></span>' + (hasCalendar ? '<span class="pill" style="background:rgba(51,112,255,.08);color:#3370ff">📅 飞书日历</span>' : '') + '<span class="spacer"></span><span class="muted">' + escapeHtml(toBjTime(x.updatedAt || x.createdAt || "").slice(0, 16)) + '</span></div><div class="divider"></div><div style="display:flex;align-items:center;gap:6px;flex-wrap:wrap"><span class="muted">面试官：</span>' + renderIvAvatars(x.interviewers) + '</div><div class="muted">地点/形式：' + escapeHtml(x.location || "-") + '</div>' + (x.link ? '<div class="muted">链接：<a class="btn sm" target="_blank" href="' + escapeHtml(x.link) + '">打开</a></div>' : "") + (reviewLinkBtn || recBtn ? '<div class="row" style="gap:6px;margin-top:6px">' + reviewLinkBtn + recBtn + '</div>' : '') + '<div class="divider"></div><div class="row" style="gap:6px"><button class="btn sm" style="background:rgba(22,163,74,.1);color:#16a34a" onclick="quickStatus(\'' + escapeHtml(roundPassStatus) + '\')">✓ 标记通过</button><button class="btn sm" style="background:rgba(239,68,68,.1);color:#ef4444" onclick="quickStatus(\'淘汰\')">✗ 淘汰</button>' + (x.round < roundCount(tpl) ? '<button class="btn sm" onclick="prefillNextRound(' + (x.round + 1) + ')">安排' + escapeHtml(roundLabel(x.round + 1)) + '</button>' : '') + '<span class="spacer"></span><button class="btn sm" style="background:rgba(51,112,255,.1);color:#3370ff" onclick="editSchedule(' + x.round + ',\'' + scDateVal + '\',\'' + scTimeVal + '\',\'' + ivEsc + '\',\'' + linkEsc + '\',\'' + locEsc + '\',' + (hasCalendar ? 'true' : 'false') + ',\'' + scEndVal + '\')">✏ 编辑</button><button class="btn sm" style="background:rgba(239,68,68,.08);color:#ef4444" onclick="deleteSchedule(\'' + escapeHtml(x.id) + '\',' + x.round + ',' + (hasCalendar ? 'true' : 'false') + ')">🗑 删除</button></div></div>';
   }).join("") : '<div class="muted">暂无面试安排</div>';
 
   const reviewHtml = reviews.length ? reviews.map((x) => {
@@ -945,13 +1126,61 @@ router.get("/candidates/:id", requireLogin, async (req, res) => {
     const rvAvColors = ["#7c5cfc","#3370ff","#f5222d","#fa8c16","#52c41a","#4e7bf6"];
     const rvAvCi = x.interviewer ? x.interviewer.charCodeAt(0) % rvAvColors.length : 0;
     const rvAvatar = x.interviewer ? (rvUser && rvUser.avatar ? '<img src="' + escapeHtml(rvUser.avatar) + '" style="width:18px;height:18px;border-radius:50%;object-fit:cover;vertical-align:middle;margin-right:3px">' : '<span style="display:inline-flex;align-items:center;justify-content:center;width:18px;height:18px;border-radius:50%;background:' + rvAvColors[rvAvCi] + ';color:#fff;font-size:9px;font-weight:700;vertical-align:middle;margin-right:3px">' + escapeHtml(x.interviewer.slice(0, 1)) + '</span>') : '';
-    return '<div class="card compact" style="padding:12px;border-radius:14px;margin-bottom:10px"><div class="row"><b>第' + x.round + '轮</b><span class="pill"><span class="muted">评级</span><b>' + escapeHtml(x.rating || "-") + '</b></span>' + (x.interviewer ? '<span class="pill"><span class="muted">面试官</span>' + rvAvatar + '<b style="vertical-align:middle">' + escapeHtml(x.interviewer) + '</b></span>' : '') + '<span class="spacer"></span><span class="muted">' + escapeHtml(toBjTime(x.createdAt || "").slice(0, 16)) + '</span></div><div class="divider"></div><div style="margin-bottom:6px"><b>Pros</b><div class="muted">' + escapeHtml(x.pros || "-").replaceAll("\n", "<br/>") + '</div></div><div style="margin-bottom:6px"><b>Cons</b><div class="muted">' + escapeHtml(x.cons || "-").replaceAll("\n", "<br/>") + '</div></div><div><b>下一轮考察点</b><div class="muted">' + escapeHtml(x.focusNext || "-").replaceAll("\n", "<br/>") + '</div></div></div>';
+    return '<div class="card compact" style="padding:12px;border-radius:14px;margin-bottom:10px"><div class="row"><b>' + escapeHtml(roundLabel(x.round)) + '</b><span class="pill"><span class="muted">评级</span><b>' + escapeHtml(x.rating || "-") + '</b></span>' + (x.interviewer ? '<span class="pill"><span class="muted">面试官</span>' + rvAvatar + '<b style="vertical-align:middle">' + escapeHtml(x.interviewer) + '</b></span>' : '') + '<span class="spacer"></span><span class="muted">' + escapeHtml(toBjTime(x.createdAt || "").slice(0, 16)) + '</span></div><div class="divider"></div><div style="margin-bottom:6px"><b>Pros</b><div class="muted">' + escapeHtml(x.pros || "-").replaceAll("\n", "<br/>") + '</div></div><div style="margin-bottom:6px"><b>Cons</b><div class="muted">' + escapeHtml(x.cons || "-").replaceAll("\n", "<br/>") + '</div></div><div><b>下一轮考察点</b><div class="muted">' + escapeHtml(x.focusNext || "-").replaceAll("\n", "<br/>") + '</div></div></div>';
   }).join("") : '<div class="muted">暂无面评</div>';
 
   const eventHtml = events.length ? '<div class="timeline">' + events.map((e) => '<div class="titem"><div class="tmeta"><b>' + escapeHtml(e.actor || "系统") + '</b><span class="pill"><span class="muted">时间</span><b>' + escapeHtml(e.createdAt || "") + '</b></span><span class="pill"><span class="muted">类型</span><b>' + escapeHtml(e.type || "-") + '</b></span></div><div class="tmsg">' + escapeHtml(e.message || "").replaceAll("\n", "<br/>") + '</div></div>').join("") + '</div>' : '<div class="muted">暂无动态</div>';
 
-  const offerHtml = '<div class="card compact" style="padding:12px;border-radius:14px">' + (offer ? '<div class="row"><div style="font-weight:900">当前Offer</div><span class="spacer"></span>' + offerStatusBadge(offer.offerStatus) + '</div><div class="divider"></div><div class="row" style="margin-bottom:8px"><span class="pill"><span class="muted">薪资</span><b>' + escapeHtml(offer.salary || "-") + '</b></span><span class="pill"><span class="muted">入职日期</span><b>' + escapeHtml(offer.startDate || "-") + '</b></span></div><div class="muted">' + escapeHtml(offer.salaryNote || "") + '</div><div class="muted">' + escapeHtml(offer.note || "") + '</div><div class="divider"></div>' : '<div style="font-weight:900;margin-bottom:8px">Offer管理</div>') +
-    '<form method="POST" action="/api/candidates/' + encodeURIComponent(c.id) + '/offer"><div class="row" style="gap:10px"><div class="field" style="min-width:160px"><label>薪资（月薪/年薪）</label><input name="salary" value="' + escapeHtml(offer?.salary || "") + '" placeholder="25K*15" /></div><div class="field" style="min-width:160px"><label>入职日期</label><input name="startDate" type="date" value="' + escapeHtml(offer?.startDate || "") + '" /></div><div class="field" style="min-width:140px"><label>Offer状态</label><select name="offerStatus">' + offerStOpts + '</select></div></div><div class="field"><label>薪资备注</label><input name="salaryNote" value="' + escapeHtml(offer?.salaryNote || "") + '" placeholder="如：base+bonus+RSU" /></div><div class="field"><label>Offer备注</label><textarea name="note" rows="2">' + escapeHtml(offer?.note || "") + '</textarea></div><button class="btn primary" type="submit">保存Offer</button></form></div>';
+  // Offer：当前版本 + 审批进度 + 操作 + 版本历史；保存时薪酬方案有变化会生成新版本
+  const offerVer = currentVersion(d, offer);
+  const offerVers = offer ? offerVersions(d, offer.id) : [];
+  const needApproval = approvalRequired(d);
+  const money = (n) => n === null || n === undefined || n === "" ? "-" : Number(n).toLocaleString("zh-CN");
+  // 岗位当前的带宽/预算，供表单实时提示月薪所处位置
+  const offerBandRef = assessOffer(d, d.jobs.find((j) => j.id === c.jobId), 0).snapshot;
+  const offerPill = (label, val) => '<span class="pill"><span class="muted">' + label + '</span><b>' + escapeHtml(val) + '</b></span>';
+  const approvalStepsHtml = offerVer && offerVer.approvalSteps.length
+    ? '<div class="muted" style="font-size:12px;margin-top:6px">审批：' + offerVer.approvalSteps.map((st) => escapeHtml(st.name) + '（' + escapeHtml(st.status) + (st.comment ? '：' + escapeHtml(st.comment) : '') + '）').join(" → ") + '</div>'
+    : '';
+  const offerActions = offerVer ? [
+    needApproval && ["草稿", "已驳回", "已撤回"].includes(offerVer.approvalStatus) ? '<button class="btn sm primary" onclick="offerAction(\'approval\',\'提交 Offer v' + offerVer.version + ' 审批？\')">提交审批</button>' : '',
+    offerVer.approvalStatus === "审批中" ? '<button class="btn sm" onclick="offerAction(\'approval/withdraw\',\'确定撤回审批？\')">撤回审批</button>' : '',
+    offerVer.approvalStatus === "审批中" && offerVer.approvalInstanceCode ? '<button class="btn sm" onclick="offerAction(\'approval/sync\')">同步飞书审批</button>' : '',
+    '<a class="btn sm" href="/offers/letter/' + escapeHtml(offerVer.id) + '" target="_blank">预览 Offer Letter</a>',
+    '<a class="btn sm" href="/offers/letter/' + escapeHtml(offerVer.id) + '?download=1">下载</a>',
+    !needApproval || offerVer.approvalStatus === "已通过" ? '<button class="btn sm" onclick="sendOffer()" style="background:rgba(51,112,255,.08);color:#3370ff">' + (offerVer.letterToken ? '重新获取发放链接' : '发放并生成链接') + '</button>' : '',
+  ].join("") : '';
+  const offerHistoryHtml = offerVers.length > 1 || (offerVers.length && needApproval)
+    ? '<details style="margin-top:10px"><summary style="cursor:pointer;font-weight:600">版本历史（' + offerVers.length + '）</summary><table style="margin-top:8px"><thead><tr><th>版本</th><th>方案</th><th>入职日期</th><th>审批</th><th>创建</th><th></th></tr></thead><tbody>' +
+      offerVers.map((x) => '<tr><td><b>v' + x.version + '</b>' + (x.id === offerVer?.id ? ' <span class="muted" style="font-size:11px">当前</span>' : '') + '</td><td>' + escapeHtml(offerSummary(x)) + ' ' + bandPositionBadge(x.bandPosition) + (x.note ? '<div class="muted" style="font-size:12px">' + escapeHtml(x.note) + '</div>' : '') + '</td><td>' + escapeHtml(x.startDate || "-") + '</td><td>' + offerApprovalBadge(x.approvalStatus) + '</td><td class="muted" style="font-size:12px">' + escapeHtml(x.createdBy || "-") + '<br/>' + escapeHtml(toBjTime(x.createdAt || "").slice(0, 16)) + '</td><td><a class="btn sm" href="/offers/letter/' + escapeHtml(x.id) + '" target="_blank">Letter</a></td></tr>').join("") +
+      '</tbody></table></details>'
+    : '';
+  const offerHtml = '<div class="card compact" style="padding:12px;border-radius:14px">' + (offer ? '<div class="row"><div style="font-weight:900">当前Offer' + (offerVer ? ' · v' + offerVer.version : '') + '</div>' + (offerVer && needApproval ? offerApprovalBadge(offerVer.approvalStatus) : '') + '<span class="spacer"></span>' + offerStatusBadge(offer.offerStatus) + '</div><div class="divider"></div>' +
+      (offerVer
+        ? '<div class="row" style="margin-bottom:8px;gap:6px;flex-wrap:wrap">' + offerPill("月薪", money(offerVer.baseSalary)) + offerPill("薪数", String(offerVer.salaryMonths || 12)) + offerPill("年度固定现金", money(annualCash(offerVer))) + offerPill("奖金", offerVer.bonus || "-") + offerPill("股权", offerVer.equity || "-") + offerPill("签字费", money(offerVer.signOn)) + offerPill("入职日期", offerVer.startDate || "-") + bandPositionBadge(offerVer.bandPosition) + '</div>' +
+          (offerVer.bandSnapshot ? '<div style="max-width:420px;margin-bottom:8px">' + bandBarHtml(offerVer.bandSnapshot, offerVer.baseSalary) + '</div>' : '') +
+          (offerVer.outOfBandReason ? '<div style="color:#f54a45;font-size:13px;margin-bottom:6px">超带宽原因：' + escapeHtml(offerVer.outOfBandReason) + '</div>' : '')
+        : '<div class="row" style="margin-bottom:8px">' + offerPill("薪资（旧记录）", offer.salary || "-") + offerPill("入职日期", offer.startDate || "-") + '</div><div class="muted">' + escapeHtml(offer.salaryNote || "") + '</div>') +
+      '<div class="muted">' + escapeHtml(offer.note || "") + '</div>' + approvalStepsHtml +
+      (offerActions ? '<div class="row" style="gap:6px;flex-wrap:wrap;margin-top:10px">' + offerActions + '</div>' : '') +
+      (offerVer?.letterToken ? '<div class="muted" style="font-size:12px;margin-top:6px">已于 ' + escapeHtml(toBjTime(offerVer.letterSentAt || "").slice(0, 16)) + ' 生成发放链接</div>' : '') +
+      offerHistoryHtml + '<div class="divider"></div>' : '<div style="font-weight:900;margin-bottom:8px">Offer管理</div>') +
+    '<div id="offerForm"><div class="row" style="gap:10px;flex-wrap:wrap"><div class="field" style="min-width:140px"><label>税前月薪（元）</label><input id="ofBase" type="number" min="1" value="' + escapeHtml(offerVer?.baseSalary ?? "") + '" placeholder="25000" /></div><div class="field" style="min-width:100px"><label>薪数</label><input id="ofMonths" type="number" min="12" max="24" value="' + escapeHtml(offerVer?.salaryMonths ?? 12) + '" /></div><div class="field" style="min-width:140px"><label>签字费（元）</label><input id="ofSignOn" type="number" min="0" value="' + escapeHtml(offerVer?.signOn ?? "") + '" /></div><div class="field" style="min-width:150px"><label>入职日期</label><input id="ofStart" type="date" value="' + escapeHtml(offerVer?.startDate || offer?.startDate || "") + '" /></div></div>' +
+    '<div class="row" style="gap:10px;flex-wrap:wrap"><div class="field" style="min-width:220px;flex:1"><label>奖金</label><input id="ofBonus" value="' + escapeHtml(offerVer?.bonus || "") + '" placeholder="如：年终 0-3 个月" /></div><div class="field" style="min-width:220px;flex:1"><label>股权/期权</label><input id="ofEquity" value="' + escapeHtml(offerVer?.equity || "") + '" placeholder="如：期权 10,000 股，4 年归属" /></div><div class="field" style="min-width:140px"><label>Offer状态</label><select id="ofStatus">' + offerStOpts + '</select></div></div>' +
+    '<div id="ofBandHint" class="muted" style="font-size:12px;margin-bottom:8px"></div>' +
+    '<div class="field" id="ofBandReasonBox" style="display:none"><label style="color:#f54a45">超带宽原因（必填，随版本提交审批）</label><input id="ofBandReason" placeholder="如：候选人现薪较高，且为稀缺岗位" /></div>' +
+    '<div class="field"><label>调整说明（生成新版本时记录）</label><input id="ofVersionNote" placeholder="如：候选人议价，月薪上调 2K" /></div><div class="field"><label>Offer备注</label><textarea id="ofNote" rows="2">' + escapeHtml(offer?.note || "") + '</textarea></div>' +
+    '<div class="row"><button class="btn primary" onclick="saveOffer()">保存Offer</button><span class="muted" style="font-size:12px">' + (needApproval ? '修改薪酬方案会生成新版本，需重新提交审批后才能发放' : '修改薪酬方案会生成新版本') + '</span></div></div></div>';
+
+  // 入职流程：Offer 接受后自动发起；已入职的历史候选人可手动发起
+  const onboarding = findOnboarding(d, c.id);
+  const onboardingHtml = onboarding
+    ? '<div class="card compact" style="padding:12px;border-radius:14px;margin-top:12px"><div class="row"><div style="font-weight:900">入职流程</div>' + onboardingStatusBadge(onboarding.status) + '<span class="spacer"></span><a class="btn sm" href="/onboarding/' + escapeHtml(onboarding.id) + '">查看清单</a></div><div class="divider"></div>' +
+      '<div class="row" style="gap:6px;margin-bottom:8px"><span class="pill"><span class="muted">入职日期</span><b>' + escapeHtml(onboarding.startDate || "待定") + '</b></span><span class="pill"><span class="muted">导师</span><b>' + escapeHtml(onboarding.buddy || "-") + '</b></span></div>' +
+      onboardingProgressHtml(onboarding) + '</div>'
+    : (c.status === "入职" || offer?.offerStatus === "已接受"
+      ? '<div class="card compact" style="padding:12px;border-radius:14px;margin-top:12px"><div class="row"><div style="font-weight:900">入职流程</div><span class="muted">尚未发起</span><span class="spacer"></span><button class="btn sm primary" onclick="startOnboarding()">发起入职流程</button></div></div>'
+      : '');
 
   const cid = encodeURIComponent(c.id);
   const isAdmin = req.user?.role === "admin";
@@ -959,10 +1188,28 @@ router.get("/candidates/:id", requireLogin, async (req, res) => {
   // 顶部操作栏
   const topActions = (feishuEnabled() ? '<button class="btn sm" onclick="sendNotify()" id="notifyBtn" style="background:rgba(59,130,246,.08);color:#1d4ed8">发送飞书通知</button>' : '') +
     '<a class="btn" href="/candidates/board">去看板</a>' +
+    // 已入职候选人的离职记录：影响内推奖金与猎头服务费
+    (isAdmin && (c.status === "入职" || c.departure) ? '<button class="btn sm" onclick="toggleDeparture(' + (c.departure ? 'true' : 'false') + ')">' + (c.departure ? '撤销离职' : '记录离职') + '</button>' : '') +
     (isAdmin ? '<form method="POST" action="/candidates/' + cid + '/delete" style="display:inline" onsubmit="return confirm(\'确定删除此候选人及所有关联数据？\')"><button class="btn danger sm" type="submit">删除</button></form>' : '');
 
+  // 简历自动提取的字段：保存信息即视为已确认
+  const extracted = new Set(c.extractedFields || []);
+  const extractedMark = (k) => extracted.has(k) ? ' <span class="badge status-orange" style="font-size:11px">简历提取·待确认</span>' : '';
+  const rp = c.resumeProfile;
+  const resumeProfileHtml = rp
+    ? '<div class="card compact" style="padding:12px;margin-bottom:12px' + (extracted.has("resumeProfile") ? ';background:var(--orange-bg);border:1px solid var(--orange-border)' : '') + '">' +
+      '<div class="row" style="margin-bottom:6px"><b>简历解析</b>' + extractedMark("resumeProfile") + '</div>' +
+      '<div class="row" style="gap:8px;flex-wrap:wrap">' +
+        '<span class="pill"><span class="muted">学历</span><b>' + escapeHtml([rp.education?.degree, ...(rp.education?.schools || [])].filter(Boolean).join(" · ") || "-") + '</b></span>' +
+        '<span class="pill"><span class="muted">最近雇主</span><b>' + escapeHtml((rp.employers || []).join("、") || "-") + '</b></span>' +
+        '<span class="pill"><span class="muted">工作年限</span><b>' + (rp.yearsOfExperience != null ? escapeHtml(String(rp.yearsOfExperience)) + ' 年' : '-') + '</b></span>' +
+      '</div>' +
+      (extracted.size ? '<div class="muted" style="margin-top:6px;font-size:12px">以上及标记字段由简历自动提取，核对无误后点击「保存」确认。</div>' : '') +
+      '</div>'
+    : '';
+
   // "信息"tab — 所有登录用户可编辑
-  const infoPanel = '<div class="tabpanel active" id="panel-info"><div class="divider"></div><div class="grid"><div class="card compact"><div style="font-weight:900;margin-bottom:8px">编辑信息</div><div class="field"><label>姓名</label><input id="editName" value="' + escapeHtml(c.name || "") + '" /></div><div class="field"><label>手机</label><input id="editPhone" value="' + escapeHtml(c.phone || "") + '" /></div><div class="field"><label>邮箱</label><input id="editEmail" value="' + escapeHtml(c.email || "") + '" /></div>' +
+  const infoPanel = '<div class="tabpanel active" id="panel-info"><div class="divider"></div>' + resumeProfileHtml + '<div class="grid"><div class="card compact"><div style="font-weight:900;margin-bottom:8px">编辑信息</div><div class="field"><label>姓名' + extractedMark("name") + '</label><input id="editName" value="' + escapeHtml(c.name || "") + '" /></div><div class="field"><label>手机' + extractedMark("phone") + '</label><input id="editPhone" value="' + escapeHtml(c.phone || "") + '" /></div><div class="field"><label>邮箱' + extractedMark("email") + '</label><input id="editEmail" value="' + escapeHtml(c.email || "") + '" /></div>' +
     '<div class="field"><label>来源</label><select id="editSource" onchange="editSourceChange()">' + detailSrcOpts + '</select></div>' +
     '<div class="field" id="editFieldVendor" style="display:none"><label>猎头供应商</label><select id="editVendor"><option value="">-- 请选择供应商 --</option></select><div class="muted" style="margin-top:4px">如需新增供应商，请前往<a href="/settings" style="color:var(--primary)">设置 → 猎头管理</a></div></div>' +
     '<div class="field" id="editFieldReferrer" style="display:none"><label>内推人</label><select id="editReferrerSelect"><option value="">-- 请选择内推人 --</option></select></div>' +
@@ -972,9 +1219,35 @@ router.get("/candidates/:id", requireLogin, async (req, res) => {
   const scheduleViewHtml = schedules.length ? schedules.map((x) => {
     const reviewLinkBtn = x.reviewToken ? '<a class="btn sm" href="/review/' + escapeHtml(x.reviewToken) + '" target="_blank" style="background:rgba(51,112,255,.08);color:#3370ff">📝 面评链接</a>' : '';
     const recBtn = x.recordingUrl ? '<a class="btn sm" href="' + escapeHtml(x.recordingUrl) + '" target="_blank" style="background:rgba(59,130,246,.08);color:#1d4ed8">🎬 会议录制</a>' : '';
-    return '<div class="card compact" style="padding:12px;border-radius:14px;margin-bottom:10px"><div class="row"><b>第' + x.round + '轮</b><span class="pill"><span class="muted">时间</span><b>' + escapeHtml(toBjTime(x.scheduledAt || "") || "-") + '</b></span><span class="spacer"></span><span class="muted">' + escapeHtml(toBjTime(x.updatedAt || x.createdAt || "").slice(0, 16)) + '</span></div><div class="divider"></div><div style="display:flex;align-items:center;gap:6px;flex-wrap:wrap"><span class="muted">面试官：</span>' + renderIvAvatars(x.interviewers) + '</div><div class="muted">地点/形式：' + escapeHtml(x.location || "-") + '</div>' + (x.link ? '<div class="muted">链接：<a class="btn sm" target="_blank" href="' + escapeHtml(x.link) + '">打开</a></div>' : "") + (reviewLinkBtn || recBtn ? '<div class="row" style="gap:6px;margin-top:6px">' + reviewLinkBtn + recBtn + '</div>' : '') + '</div>';
+    return '<div class="card compact" style="padding:12px;border-radius:14px;margin-bottom:10px"><div class="row"><b>' + escapeHtml(roundLabel(x.round)) + '</b><span class="pill"><span class="muted">时间</span><b>' + escapeHtml((toBjTime(x.scheduledAt || "") || "-") + (x.endAt ? " - " + x.endAt.slice(11, 16) : "")) + '</b></span><span class="spacer"></span><span class="muted">' + escapeHtml(toBjTime(x.updatedAt || x.createdAt || "").slice(0, 16)) + '</span></div><div class="divider"></div><div style="display:flex;align-items:center;gap:6px;flex-wrap:wrap"><span class="muted">面试官：</span>' + renderIvAvatars(x.interviewers) + '</div><div class="muted">地点/形式：' + escapeHtml(x.location || "-") + '</div>' + (x.link ? '<div class="muted">链接：<a class="btn sm" target="_blank" href="' + escapeHtml(x.link) + '">打开</a></div>' : "") + (reviewLinkBtn || recBtn ? '<div class="row" style="gap:6px;margin-top:6px">' + reviewLinkBtn + recBtn + '</div>' : '') + '</div>';
   }).join("") : '<div class="muted">暂无面试安排</div>';
 
+  // 自助预约链接：HR 给出候选时段，候选人通过 /book/:token 自行选择
+  const bookingLinks = (d.bookingLinks || []).filter((x) => x.candidateId === c.id).sort((a, b) => (b.createdAt || "").localeCompare(a.createdAt || ""));
+  const bookingListHtml = bookingLinks.length ? bookingLinks.map((x) => {
+    const booked = x.slots.find((s) => s.id === x.bookedSlotId);
+    const statusColor = x.status === "booked" ? "#16a34a" : x.status === "pending" ? "#3370ff" : "#8f959e";
+    const active = x.status === "pending" || x.status === "booked";
+    return '<div class="card compact" style="padding:12px;border-radius:14px;margin-bottom:10px"><div class="row"><b>' + escapeHtml(roundLabel(x.round)) + '</b><span class="pill"><b style="color:' + statusColor + '">' + escapeHtml(LINK_STATUS_LABEL[x.status] || x.status) + '</b></span><span class="pill"><span class="muted">改约截止</span><b>面试前 ' + escapeHtml(x.cutoffHours) + ' 小时</b></span><span class="spacer"></span><span class="muted">' + escapeHtml(toBjTime(x.createdAt || "").slice(0, 16)) + '</span></div>' +
+      '<div class="muted" style="margin-top:6px">' + (booked ? '已选时段：<b>' + escapeHtml(slotLabel(booked)) + '</b>' : '可选时段：' + x.slots.map((sl) => escapeHtml(slotLabel(sl))).join("；")) + '</div>' +
+      (active ? '<div class="row" style="gap:6px;margin-top:6px"><button class="btn sm" style="background:rgba(51,112,255,.08);color:#3370ff" onclick="copyBookingLink(\'' + escapeHtml(x.token) + '\')">🔗 复制链接</button><a class="btn sm" href="/book/' + escapeHtml(x.token) + '" target="_blank">预览</a><span class="spacer"></span><button class="btn sm" style="background:rgba(239,68,68,.08);color:#ef4444" onclick="revokeBookingLink(\'' + escapeHtml(x.id) + '\')">撤销</button></div>' : '') +
+      '</div>';
+  }).join("") : '';
+  const bookingCard = '<div class="card compact" style="padding:16px;border-radius:14px"><div class="row" style="margin-bottom:12px"><div style="font-weight:900;font-size:15px">自助预约链接</div><span class="muted" style="font-size:12px">给出多个可选时段，候选人通过链接自行选择，可在截止时间前改约或取消</span></div>' +
+      '<div style="display:grid;grid-template-columns:1fr 1fr;gap:10px;margin-bottom:10px">' +
+        '<div class="field"><label>轮次</label><select id="bkRound">' + roundOpts + '</select></div>' +
+        '<div class="field"><label>改约/取消截止（面试前小时数）</label><input id="bkCutoff" type="number" min="0" max="168" value="24" /></div>' +
+      '</div>' +
+      '<div class="field"><label>可选时段</label><div id="bkSlots"></div><button class="btn sm" type="button" onclick="bkAddSlot()">+ 添加时段</button></div>' +
+      '<div class="field"><label>面试官 <span class="muted" style="font-size:12px">（多人用 / 分隔）</span></label><input id="bkInterviewers" placeholder="填写面试官姓名" /></div>' +
+      '<div style="display:grid;grid-template-columns:1fr 1fr;gap:10px;margin-bottom:10px">' +
+        '<div class="field"><label>会议链接</label><input id="bkLink" placeholder="可选，飞书开启时自动生成" /></div>' +
+        '<div class="field"><label>地点/形式</label><input id="bkLocation" placeholder="如：线上/会议室A" /></div>' +
+      '</div>' +
+      '<button class="btn primary" id="bkCreateBtn" onclick="createBookingLink()" style="width:100%">生成预约链接</button>' +
+      (bookingListHtml ? '<div class="divider"></div>' + bookingListHtml : '') +
+    '</div><div style="height:12px"></div>';
+
   // "面试安排"tab — 所有登录用户可编辑
   // 时间选择器 — 轮轴滚动样式
   const timePickerWidget = '';
@@ -1012,12 +1285,13 @@ router.get("/candidates/:id", requireLogin, async (req, res) => {
         '<div class="field"><label>地点/形式</label><input id="scLocation" placeholder="如：线上/会议室A" /></div>' +
       '</div>' +
       '<div class="field"><label>同步状态</label><select id="scSyncStatus">' + syncOpts + '</select></div>' +
-      '<button class="btn primary" onclick="saveSchedule()" style="width:100%">保存面试安排</button></div><div style="height:12px"></div>' + scheduleHtml + '</div>';
+      '<button class="btn primary" onclick="saveSchedule()" style="width:100%">保存面试安排</button></div><div style="height:12px"></div>' + bookingCard + scheduleHtml + '</div>';
 
   // "简历"tab — 所有登录用户可上传（简历预览区域由前端动态加载新 URL，避免 signed URL 过期）
   const resumePanel = '<div class="tabpanel" id="panel-resume"><div class="divider"></div><div class="row"><div style="font-weight:900">上传简历</div><span class="spacer"></span><a class="btn" id="resumeNewWindowBtn" href="#" target="_blank" rel="noreferrer" style="display:none">新窗口打开</a></div><div class="divider"></div><form id="resumeUploadForm" enctype="multipart/form-data"><div class="row"><input type="file" name="resume" accept=".pdf,.png,.jpg,.jpeg,.webp" /><button class="btn primary" type="submit">上传</button></div></form><div class="divider"></div><div id="resumePreviewArea"><div class="muted" style="text-align:center;padding:32px 0">加载简历中...</div></div></div>';
 
   // "面评"tab — 所有角色都可提交面评
+  const scorecard = getJobScorecard(d, c.jobId);
   const ratingColorMap = {"S":"#34c724","A":"#3370ff","B+":"#3370ff","B":"#8f959e","B-":"#ff7d00","C":"#f54a45","Pending":"#8f959e"};
   const reviewHtmlEnhanced = reviews.length ? reviews.map((x) => {
     const conclusionColor = x.conclusion === '不通过' ? '#f54a45' : x.conclusion === 'Pending' ? '#8f959e' : '#34c724';
@@ -1028,33 +1302,91 @@ router.get("/candidates/:id", requireLogin, async (req, res) => {
     const ivEsc = (x.interviewer || "").replace(/\\/g, "\\\\").replace(/'/g, "\\'");
     const ratingEsc = (x.rating || "").replace(/'/g, "\\'");
     const conclusionEsc = conclusionLabel.replace(/'/g, "\\'");
-    return '<div class="card compact" style="padding:14px;border-radius:14px;margin-bottom:10px"><div class="row"><b>第' + x.round + '轮</b><span class="pill"><span class="muted">结论</span><b style="color:' + conclusionColor + '">' + escapeHtml(conclusionLabel) + '</b></span><span class="pill"><span class="muted">评级</span><b style="color:' + (ratingColorMap[x.rating] || "#8f959e") + '">' + escapeHtml(x.rating || "-") + '</b></span>' + (x.interviewer ? '<span class="pill"><span class="muted">面试官</span><b>' + escapeHtml(x.interviewer) + '</b></span>' : '') + '<span class="spacer"></span><span class="muted">' + escapeHtml(toBjTime(x.createdAt || "").slice(0, 16)) + '</span><button class="btn sm" onclick="editReview(\'' + escapeHtml(x.id) + '\',' + x.round + ',\'' + ratingEsc + '\',\'' + conclusionEsc + '\',\'' + ivEsc + '\',\'' + prosEsc + '\',\'' + consEsc + '\',\'' + focusEsc + '\')" style="background:rgba(51,112,255,.08);color:#3370ff;margin-left:8px">编辑</button><button class="btn sm" onclick="deleteReview(\'' + escapeHtml(x.id) + '\')" style="background:rgba(239,68,68,.08);color:#ef4444;margin-left:4px">删除</button></div><div class="divider"></div><div style="margin-bottom:6px"><b style="color:var(--green)">✓ Pros</b><div class="muted" style="margin-top:4px">' + escapeHtml(x.pros || "-").replaceAll("\n", "<br/>") + '</div></div><div style="margin-bottom:6px"><b style="color:var(--red)">✗ Cons</b><div class="muted" style="margin-top:4px">' + escapeHtml(x.cons || "-").replaceAll("\n", "<br/>") + '</div></div><div><b style="color:var(--primary)">→ 下一轮考察</b><div class="muted" style="margin-top:4px">' + escapeHtml(x.focusNext || "-").replaceAll("\n", "<br/>") + '</div></div></div>';
+    return '<div class="card compact" style="padding:14px;border-radius:14px;margin-bottom:10px"><div class="row"><b>' + escapeHtml(roundLabel(x.round)) + '</b><span class="pill"><span class="muted">结论</span><b style="color:' + conclusionColor + '">' + escapeHtml(conclusionLabel) + '</b></span><span class="pill"><span class="muted">评级</span><b style="color:' + (ratingColorMap[x.rating] || "#8f959e") + '">' + escapeHtml(x.rating || "-") + '</b></span>' + (x.interviewer ? '<span class="pill"><span class="muted">面试官</span><b>' + escapeHtml(x.interviewer) + '</b></span>' : '') + '<span class="spacer"></span><span class="muted">' + escapeHtml(toBjTime(x.createdAt || "").slice(0, 16)) + '</span><button class="btn sm" onclick="editReview(\'' + escapeHtml(x.id) + '\',' + x.round + ',\'' + ratingEsc + '\',\'' + conclusionEsc + '\',\'' + ivEsc + '\',\'' + prosEsc + '\',\'' + consEsc + '\',\'' + focusEsc + '\')" style="background:rgba(51,112,255,.08);color:#3370ff;margin-left:8px">编辑</button><button class="btn sm" onclick="deleteReview(\'' + escapeHtml(x.id) + '\')" style="background:rgba(239,68,68,.08);color:#ef4444;margin-left:4px">删除</button></div>' + (x.dimensions && Object.keys(x.dimensions).length ? '<div class="row" style="gap:6px;flex-wrap:wrap;margin-top:8px">' + scoreBadges(x.dimensions) + '</div>' : '') + '<div class="divider"></div><div style="margin-bottom:6px"><b style="color:var(--green)">✓ Pros</b><div class="muted" style="margin-top:4px">' + escapeHtml(x.pros || "-").replaceAll("\n", "<br/>") + '</div></div><div style="margin-bottom:6px"><b style="color:var(--red)">✗ Cons</b><div class="muted" style="margin-top:4px">' + escapeHtml(x.cons || "-").replaceAll("\n", "<br/>") + '</div></div><div><b style="color:var(--primary)">→ 下一轮考察</b><div class="muted" style="margin-top:4px">' + escapeHtml(x.focusNext || "-").replaceAll("\n", "<br/>") + '</div></div></div>';
   }).join("") : '<div class="muted">暂无面评</div>';
 
-  const reviewPanel = '<div class="tabpanel" id="panel-review"><div class="divider"></div><div class="card compact" style="padding:14px;border-radius:14px"><div class="row"><div style="font-weight:900">新增/更新面评</div></div><div class="divider"></div><div class="row" style="gap:10px"><div class="field" style="min-width:120px"><label>轮次</label><select id="rvRound">' + roundOpts + '</select></div><div class="field" style="min-width:120px"><label>综合评级 <span class="muted" style="font-size:11px">S=不可错过 C=不录用</span></label><select id="rvRating"><option value="">请选择</option>' + rtOpts + '</select></div><div class="field" style="min-width:140px"><label>面试结论</label><select id="rvConclusion"><option value="通过">通过</option><option value="不通过">不通过</option><option value="Pending">Pending</option></select></div></div><div class="field"><label>面试官</label><input id="rvInterviewer" list="interviewer-datalist" placeholder="填写面试官姓名" value="' + escapeHtml(req.user?.name || '') + '" /></div><div class="divider"></div><div class="field"><label>✓ Pros（优势与亮点）</label><textarea id="rvPros" rows="3" placeholder="候选人的优势和亮点"></textarea></div><div class="field"><label>✗ Cons（不足与风险）</label><textarea id="rvCons" rows="3" placeholder="候选人的不足和风险"></textarea></div><div class="field"><label>→ 下一轮考察点</label><textarea id="rvFocusNext" rows="3" placeholder="如果进入下一轮，需要重点考察的方向"></textarea></div><button class="btn primary" onclick="addReview()">提交面评</button></div><div style="height:12px"></div>' + reviewHtmlEnhanced + '</div>';
+  const reviewPanel = '<div class="tabpanel" id="panel-review"><div class="divider"></div><div class="card compact" style="padding:14px;border-radius:14px"><div class="row"><div style="font-weight:900">新增/更新面评</div></div><div class="divider"></div><div class="row" style="gap:10px"><div class="field" style="min-width:120px"><label>轮次</label><select id="rvRound" onchange="toggleScorecardRound(this.value)">' + roundOpts + '</select></div><div class="field" style="min-width:120px"><label>综合评级 <span class="muted" style="font-size:11px">S=不可错过 C=不录用</span></label><select id="rvRating"><option value="">请选择</option>' + rtOpts + '</select></div><div class="field" style="min-width:140px"><label>面试结论</label><select id="rvConclusion"><option value="通过">通过</option><option value="不通过">不通过</option><option value="Pending">Pending</option></select></div></div><div class="field"><label>面试官</label><input id="rvInterviewer" list="interviewer-datalist" placeholder="填写面试官姓名" value="' + escapeHtml(req.user?.name || '') + '" /></div><div class="divider"></div>' + (scorecard ? scorecardFieldsHtml(scorecard) + '<div class="divider"></div>' : '') + '<div class="field"><label>✓ Pros（优势与亮点）</label><textarea id="rvPros" rows="3" placeholder="候选人的优势和亮点"></textarea></div><div class="field"><label>✗ Cons（不足与风险）</label><textarea id="rvCons" rows="3" placeholder="候选人的不足和风险"></textarea></div><div class="field"><label>→ 下一轮考察点</label><textarea id="rvFocusNext" rows="3" placeholder="如果进入下一轮，需要重点考察的方向"></textarea></div><button class="btn primary" onclick="addReview()">提交面评</button></div><div style="height:12px"></div>' + scorecardCompareHtml(scorecard, reviews, roundLabel) + reviewHtmlEnhanced + '</div>';
 
   // "Offer"tab — 所有登录用户可编辑
-  const offerPanel = '<div class="tabpanel" id="panel-offer"><div class="divider"></div>' + offerHtml + '</div>';
+  const offerPanel = '<div class="tabpanel" id="panel-offer"><div class="divider"></div>' + offerHtml + onboardingHtml + '</div>';
+
+  // "邮件"tab — 按模板给候选人发邮件 + 发信记录
+  const emSchedules = candidateSchedules(d, c.id);
+  const emDefaultSchedule = defaultSchedule(d, c.id);
+  const emLogHtml = emailLog(d, c.id).map((e) => {
+    const m = e.meta || {};
+    return '<div style="padding:10px 14px;background:#f9fafb;border-radius:10px;margin-bottom:8px;border:1px solid #f0f0f0"><div class="row" style="gap:8px">' +
+      '<span class="badge ' + (m.status === "已发送" ? "status-green" : "status-red") + '">' + escapeHtml(m.status || "-") + '</span>' +
+      '<b>' + escapeHtml(templateMeta(m.template)?.name || "邮件") + '</b>' + (m.auto ? '<span class="badge status-gray" style="font-size:11px">自动</span>' : '') +
+      (m.transport === "stub" ? '<span class="badge status-gray" style="font-size:11px">测试模式</span>' : '') +
+      '<span class="spacer"></span><span class="muted" style="font-size:12px">' + escapeHtml(e.actor || "系统") + ' · ' + escapeHtml(toBjTime(e.createdAt || "").slice(0, 16)) + '</span></div>' +
+      '<div style="font-size:13px;margin-top:6px">' + escapeHtml(m.subject || "") + '</div>' +
+      '<div class="muted" style="font-size:12px;margin-top:2px">收件人：' + escapeHtml(m.to || "-") + (m.error ? ' · 失败原因：' + escapeHtml(m.error) : '') + '</div></div>';
+  }).join("");
+  const emailPanel = '<div class="tabpanel" id="panel-email"><div class="divider"></div>' +
+    '<div class="card compact" style="padding:14px;border-radius:14px"><div class="row"><div style="font-weight:900">发送邮件</div><span class="spacer"></span>' +
+    (mailTransport() === "stub" ? '<span class="badge status-gray">测试模式：邮件只记录不发出</span>' : '') + '</div><div class="divider"></div>' +
+    '<div class="row" style="gap:10px">' +
+    '<div class="field" style="min-width:160px"><label>模板</label><select id="emTpl" onchange="emailTplChanged()">' + EMAIL_TEMPLATES.map((t) => '<option value="' + t.key + '" data-schedule="' + (t.schedule ? 1 : 0) + '">' + escapeHtml(t.name) + '</option>').join("") + '</select></div>' +
+    '<div class="field" id="emScheduleBox" style="min-width:240px"><label>面试安排</label><select id="emSchedule" onchange="loadEmailPreview()">' +
+    (emSchedules.length ? emSchedules.map((x) => '<option value="' + escapeHtml(x.id) + '"' + (x === emDefaultSchedule ? " selected" : "") + '>' + escapeHtml(roundLabel(x.round) + " · " + toBjTime(x.scheduledAt).slice(0, 16).replace("T", " ")) + '</option>').join("") : '<option value="">暂无面试安排</option>') +
+    '</select></div>' +
+    '<div class="field" style="flex:1;min-width:200px"><label>收件人</label><input id="emTo" value="' + escapeHtml(c.email || "") + '" placeholder="候选人邮箱" /></div></div>' +
+    '<div class="field"><label>主题</label><input id="emSubject" /></div>' +
+    '<div class="field"><label>正文</label><textarea id="emBody" rows="10"></textarea></div>' +
+    '<div class="row"><span id="emHint" class="muted" style="font-size:12px"></span><span class="spacer"></span><button class="btn" onclick="loadEmailPreview()">按模板重新生成</button><button class="btn primary" id="emSendBtn" onclick="sendEmail()">发送</button></div></div>' +
+    '<div style="font-weight:900;margin:16px 0 8px">发信记录</div>' +
+    (emLogHtml || '<div class="muted" style="padding:16px 0;text-align:center;font-size:13px">暂无发信记录</div>') +
+    '</div>';
 
-  // "备注"tab — 公开备注 + 私密备注（仅自己可见）
+  // "备注"tab — 公开备注 + 私密备注（作者和被 @ 的人可见），支持回复、编辑、表情回应和 Markdown
   const uid = req.user?.openId || req.user?.id || "";
-  const publicNotes = (d.notes || []).filter(n => n.candidateId === c.id && n.visibility === "public").sort((a, b) => (b.createdAt || "").localeCompare(a.createdAt || ""));
-  const privateNotes = (d.notes || []).filter(n => n.candidateId === c.id && n.visibility === "private" && n.authorId === uid).sort((a, b) => (b.createdAt || "").localeCompare(a.createdAt || ""));
-
+  const candNotes = (d.notes || []).filter(n => n.candidateId === c.id && canSeeNote(d, n, uid));
+  const byNewest = (a, b) => (b.createdAt || "").localeCompare(a.createdAt || "");
+  const publicNotes = candNotes.filter(n => !n.parentId && n.visibility === "public").sort(byNewest);
+  const privateNotes = candNotes.filter(n => !n.parentId && n.visibility === "private").sort(byNewest);
+  const repliesOf = (id) => candNotes.filter(n => n.parentId === id).sort((a, b) => (a.createdAt || "").localeCompare(b.createdAt || ""));
+  const userNameByKey = new Map((d.users || []).map(u => [u.openId || u.id, u.name || ""]));
+
+  const renderNote = (n, isReply) => {
+    const nid = escapeHtml(n.id);
+    const time = toBjTime(n.createdAt || "").slice(0, 16);
+    const mine = n.authorId === uid;
+    const reactions = NOTE_REACTIONS.filter(e => (n.reactions?.[e] || []).length).map(e => {
+      const users = n.reactions[e];
+      return '<span class="pill" onclick="toggleNoteReaction(\'' + nid + '\',\'' + e + '\')" title="' + escapeHtml(users.map(k => userNameByKey.get(k) || "").filter(Boolean).join("、")) + '" style="cursor:pointer;font-size:12px;padding:2px 8px;' + (users.includes(uid) ? 'background:#ede9fe;border-color:#c4b5fd' : '') + '">' + e + ' ' + users.length + '</span>';
+    }).join("");
+    const history = (n.editHistory || []).slice().reverse().map(h =>
+      '<div style="padding:6px 0;border-top:1px dashed #e5e7eb"><div class="muted" style="font-size:11px">' + escapeHtml(toBjTime(h.editedAt || "").slice(0, 16)) + '</div><div style="font-size:13px;white-space:pre-wrap">' + escapeHtml(h.content) + '</div></div>').join("");
+    return '<div id="note-' + nid + '" style="padding:10px 14px;background:' + (isReply ? '#fff' : '#f9fafb') + ';border-radius:10px;margin-bottom:8px;border:1px solid #f0f0f0">' +
+      '<div style="display:flex;align-items:center;margin-bottom:6px">' +
+      '<span style="font-weight:600;font-size:13px;color:#374151">' + escapeHtml(n.authorName || "未知") + '</span>' +
+      (n.editedAt ? '<span class="muted" style="margin-left:6px;font-size:11px">（已编辑）</span>' : '') +
+      '<span style="margin-left:auto;font-size:11px;color:#9ca3af">' + escapeHtml(time) + '</span>' +
+      (mine ? '<span onclick="deleteNote(\'' + nid + '\')" style="margin-left:8px;cursor:pointer;font-size:12px;color:#d1d5db;padding:2px 6px;border-radius:4px" onmouseover="this.style.color=\'#ef4444\'" onmouseout="this.style.color=\'#d1d5db\'">&times;</span>' : '') +
+      '</div>' +
+      '<div class="note-md" id="note-body-' + nid + '">' + renderNoteMarkdown(n.content) + '</div>' +
+      (mine ? '<div id="note-edit-' + nid + '" style="display:none"><textarea rows="3" style="width:100%;padding:8px 10px;border:1px solid #e5e7eb;border-radius:8px;font-size:14px;font-family:inherit;box-sizing:border-box">' + escapeHtml(n.content) + '</textarea>' +
+        '<div class="row" style="gap:6px;margin-top:6px"><button class="btn sm primary" onclick="saveNoteEdit(\'' + nid + '\')">保存</button><button class="btn sm" onclick="toggleNoteEdit(\'' + nid + '\')">取消</button></div></div>' : '') +
+      '<div class="row" style="gap:6px;margin-top:6px;flex-wrap:wrap;align-items:center">' + reactions +
+        '<select onchange="if(this.value){toggleNoteReaction(\'' + nid + '\',this.value)}" style="width:auto;padding:1px 4px;font-size:12px;border:none;background:transparent;color:#9ca3af;cursor:pointer"><option value="">☺ 回应</option>' + NOTE_REACTIONS.map(e => '<option value="' + e + '">' + e + '</option>').join("") + '</select>' +
+        (isReply ? '' : '<span onclick="toggleNoteReply(\'' + nid + '\')" style="cursor:pointer;font-size:12px;color:#7c3aed">回复</span>') +
+        (mine ? '<span onclick="toggleNoteEdit(\'' + nid + '\')" style="cursor:pointer;font-size:12px;color:#6b7280">编辑</span>' : '') +
+        (history ? '<details style="font-size:12px;color:#6b7280"><summary style="cursor:pointer">编辑历史（' + n.editHistory.length + '）</summary>' + history + '</details>' : '') +
+      '</div>' +
+      (isReply ? '' :
+        '<div style="margin:8px 0 0 16px">' + repliesOf(n.id).map(r => renderNote(r, true)).join("") +
+        '<div id="note-reply-' + nid + '" style="display:none"><textarea rows="2" placeholder="回复...（输入 @姓名 提及成员）" style="width:100%;padding:8px 10px;border:1px solid #e5e7eb;border-radius:8px;font-size:14px;font-family:inherit;box-sizing:border-box"></textarea>' +
+        '<div class="row" style="gap:6px;margin-top:6px"><button class="btn sm primary" onclick="saveNoteReply(\'' + nid + '\')">回复</button><button class="btn sm" onclick="toggleNoteReply(\'' + nid + '\')">取消</button></div></div>' +
+        '</div>') +
+      '</div>';
+  };
   const renderNoteItems = (notes) => {
     if (!notes.length) return '<div class="muted" style="padding:16px 0;text-align:center;font-size:13px">暂无备注</div>';
-    return notes.map(n => {
-      const time = toBjTime(n.createdAt || "").slice(0, 16);
-      return '<div style="padding:10px 14px;background:#f9fafb;border-radius:10px;margin-bottom:8px;border:1px solid #f0f0f0">' +
-        '<div style="display:flex;align-items:center;justify-content:between;margin-bottom:6px">' +
-        '<span style="font-weight:600;font-size:13px;color:#374151">' + escapeHtml(n.authorName || "未知") + '</span>' +
-        '<span style="margin-left:auto;font-size:11px;color:#9ca3af">' + escapeHtml(time) + '</span>' +
-        '<span onclick="deleteNote(\'' + escapeHtml(n.id) + '\')" style="margin-left:8px;cursor:pointer;font-size:12px;color:#d1d5db;padding:2px 6px;border-radius:4px" onmouseover="this.style.color=\'#ef4444\'" onmouseout="this.style.color=\'#d1d5db\'">&times;</span>' +
-        '</div>' +
-        '<div style="font-size:14px;color:#374151;line-height:1.6;white-space:pre-wrap">' + escapeHtml(n.content) + '</div>' +
-        '</div>';
-    }).join("");
+    return notes.map(n => renderNote(n, false)).join("");
   };
+  const mentionSelect = (inputId) => '<select onchange="insertMention(\'' + inputId + '\',this)" style="width:auto;margin-top:8px;margin-left:6px;font-size:13px"><option value="">@ 提及成员</option>' +
+    (d.users || []).filter(u => u.name && (u.openId || u.id) !== uid).map(u => '<option value="' + escapeHtml(u.name) + '">' + escapeHtml(u.name) + '</option>').join("") + '</select>';
 
   const notesPanel = '<div class="tabpanel" id="panel-notes"><div class="divider"></div>' +
     '<div class="grid" style="gap:16px">' +
@@ -1063,17 +1395,17 @@ router.get("/candidates/:id", requireLogin, async (req, res) => {
     '<div style="display:flex;align-items:center;margin-bottom:12px"><span style="font-weight:900;font-size:15px">📋 公开备注</span><span class="badge gray" style="margin-left:8px;font-size:11px">所有人可见</span></div>' +
     '<div id="publicNotesList">' + renderNoteItems(publicNotes) + '</div>' +
     '<div style="margin-top:10px">' +
-    '<textarea id="publicNoteInput" rows="3" placeholder="输入公开备注..." style="width:100%;padding:10px 12px;border:1px solid #e5e7eb;border-radius:10px;font-size:14px;resize:vertical;font-family:inherit;box-sizing:border-box"></textarea>' +
-    '<button class="btn primary" onclick="saveNote(\'public\')" style="margin-top:8px;border-radius:10px">添加备注</button>' +
+    '<textarea id="publicNoteInput" rows="3" placeholder="输入公开备注...（支持 Markdown，输入 @姓名 提及成员）" style="width:100%;padding:10px 12px;border:1px solid #e5e7eb;border-radius:10px;font-size:14px;resize:vertical;font-family:inherit;box-sizing:border-box"></textarea>' +
+    '<button class="btn primary" onclick="saveNote(\'public\')" style="margin-top:8px;border-radius:10px">添加备注</button>' + mentionSelect("publicNoteInput") +
     '</div>' +
     '</div>' +
     // 私密备注
     '<div class="card compact" style="padding:16px;border-radius:14px;background:#faf5ff;border:1px solid #ede9fe">' +
-    '<div style="display:flex;align-items:center;margin-bottom:12px"><span style="font-weight:900;font-size:15px">🔒 私密备注</span><span class="badge" style="margin-left:8px;font-size:11px;background:#ede9fe;color:#7c3aed">仅自己可见</span></div>' +
+    '<div style="display:flex;align-items:center;margin-bottom:12px"><span style="font-weight:900;font-size:15px">🔒 私密备注</span><span class="badge" style="margin-left:8px;font-size:11px;background:#ede9fe;color:#7c3aed">仅自己和被提及的人可见</span></div>' +
     '<div id="privateNotesList">' + renderNoteItems(privateNotes) + '</div>' +
     '<div style="margin-top:10px">' +
-    '<textarea id="privateNoteInput" rows="3" placeholder="输入私密备注（仅自己可见）..." style="width:100%;padding:10px 12px;border:1px solid #ddd6fe;border-radius:10px;font-size:14px;resize:vertical;font-family:inherit;box-sizing:border-box;background:#fff"></textarea>' +
-    '<button class="btn" onclick="saveNote(\'private\')" style="margin-top:8px;border-radius:10px;background:#7c3aed;color:#fff">添加私密备注</button>' +
+    '<textarea id="privateNoteInput" rows="3" placeholder="输入私密备注（仅自己和被 @ 的人可见）..." style="width:100%;padding:10px 12px;border:1px solid #ddd6fe;border-radius:10px;font-size:14px;resize:vertical;font-family:inherit;box-sizing:border-box;background:#fff"></textarea>' +
+    '<button class="btn" onclick="saveNote(\'private\')" style="margin-top:8px;border-radius:10px;background:#7c3aed;color:#fff">添加私密备注</button>' + mentionSelect("privateNoteInput") +
     '</div>' +
     '</div>' +
     '</div>' +
@@ -1113,7 +1445,7 @@ router.get("/candidates/:id", requireLogin, async (req, res) => {
     '  var res=await fetch("/api/candidates/' + cid + '",{method:"POST",headers:{"Content-Type":"application/json"},body:JSON.stringify(payload)});' +
     '  if(res.ok)location.reload();else{var d=await res.json().catch(function(){return{}});alert(d.error||"保存失败")}' +
     '}' +
-      'async function updateStatus(){var v=document.getElementById("statusSelect").value;var res=await fetch("/api/candidates/' + cid + '/status",{method:"POST",headers:{"Content-Type":"application/json"},body:JSON.stringify({status:v})});if(res.ok)location.reload();else{var d=await res.json().catch(function(){return{}});alert(d.error||"更新失败")}}' +
+      'async function updateStatus(){var v=document.getElementById("statusSelect").value;if(await submitStatus("' + cid + '",v))location.reload()}' +
       'async function updateJob(){var v=document.getElementById("jobSelect").value;var res=await fetch("/api/candidates/' + cid + '/job",{method:"POST",headers:{"Content-Type":"application/json"},body:JSON.stringify({jobId:v})});if(res.ok)location.reload();else{var d=await res.json().catch(function(){return{}});alert(d.error||"更换失败")}}' +
       'var _selectedInterviewers=[];' +
       'async function loadInterviewers(){try{var r=await fetch("/api/interviewers");if(r.ok){window._allInterviewers=await r.json()}else{window._allInterviewers=[]}}catch(e){window._allInterviewers=[]}}' +
@@ -1125,7 +1457,10 @@ router.get("/candidates/:id", requireLogin, async (req, res) => {
       'function showInterviewerDropdown(q){var dd=document.getElementById("interviewerDropdown");var all=window._allInterviewers||[];var selectedIds=_selectedInterviewers.map(function(x){return x.openId});var filtered=all.filter(function(iv){return selectedIds.indexOf(iv.openId)===-1&&(!q||iv.name.indexOf(q)>-1||(iv.department||"").indexOf(q)>-1||(iv.jobTitle||"").indexOf(q)>-1)}).slice(0,15);if(!filtered.length){dd.style.display="none";return}dd.innerHTML=filtered.map(function(iv){var meta=((iv.department||"")+(iv.jobTitle?" · "+iv.jobTitle:"")).trim();return \'<div onclick=\\x27addInterviewer(\'+JSON.stringify(iv)+\')\\x27 style="padding:8px 12px;cursor:pointer;display:flex;align-items:center;gap:10px;border-bottom:1px solid #f3f4f6">\'+ivAvatar(iv,32)+\'<div style="min-width:0"><div style="font-weight:600;font-size:13px;color:#1f2937">\'+iv.name+\'</div>\'+(meta?\'<div style="font-size:11px;color:#9ca3af;white-space:nowrap;overflow:hidden;text-overflow:ellipsis">\'+meta+\'</div>\':\'\')+\'</div></div>\'}).join("");dd.style.display="block"}' +
       'loadInterviewers().then(function(){initInterviewerPicker()});' +
       /* ── 下拉时间选择器 ── */
-      'var _tpStart=9*60,_tpEnd=10*60,_tpOpen=null;' +
+      'var ROUND_MINUTES=' + JSON.stringify(tpl.rounds.map((r, i) => roundMinutes(tpl, i + 1))) + ';' +
+      'function _roundDur(sel){return ROUND_MINUTES[Number(document.getElementById(sel).value)-1]||60}' +
+      'var _tpStart=9*60,_tpEnd=9*60+_roundDur("scRound"),_tpOpen=null;' +
+      'document.getElementById("scRound").addEventListener("change",function(){_tpEnd=Math.min(_tpStart+_roundDur("scRound"),23*60+45);document.getElementById("scEndBtn").textContent=_tpFmt(_tpEnd);syncScAt()});' +
       'var _TP_SLOTS=[];for(var _s=0;_s<24*60;_s+=15)_TP_SLOTS.push(_s);' +
       'function _tpFmt(m){return String(Math.floor(m/60)).padStart(2,"0")+":"+String(m%60).padStart(2,"0")}' +
       'function _tpDur(d){if(d<=0)return"0 分钟";if(d<60)return d+" 分钟";var h=Math.floor(d/60),m=d%60;return m===0?h+" 小时":h+" 小时 "+m+" 分钟"}' +
@@ -1144,7 +1479,7 @@ router.get("/candidates/:id", requireLogin, async (req, res) => {
           'if(type==="end"){var dur=document.createElement("span");dur.textContent=_tpDur(m-_tpStart);dur.style.cssText="font-size:12px;color:"+(sel?"#3370ff":"#9ca3af");el.appendChild(dur)}' +
           'el.onmouseenter=function(){if(!sel)this.style.background="#f5f8ff"};' +
           'el.onmouseleave=function(){if(!sel)this.style.background=""};' +
-          'el.onclick=function(){if(type==="start"){_tpStart=m;if(_tpEnd<=_tpStart)_tpEnd=Math.min(_tpStart+60,23*60+45);document.getElementById("scStartBtn").textContent=_tpFmt(_tpStart);document.getElementById("scEndBtn").textContent=_tpFmt(_tpEnd)}else{_tpEnd=m;document.getElementById("scEndBtn").textContent=_tpFmt(_tpEnd)}tpClose();syncScAt()};' +
+          'el.onclick=function(){if(type==="start"){_tpStart=m;_tpEnd=Math.min(_tpStart+_roundDur("scRound"),23*60+45);document.getElementById("scStartBtn").textContent=_tpFmt(_tpStart);document.getElementById("scEndBtn").textContent=_tpFmt(_tpEnd)}else{_tpEnd=m;document.getElementById("scEndBtn").textContent=_tpFmt(_tpEnd)}tpClose();syncScAt()};' +
           'list.appendChild(el)});' +
         'var selEl=list.querySelector("[style*=eef3ff]");if(selEl)setTimeout(function(){list.scrollTop=selEl.offsetTop-list.clientHeight/2+selEl.clientHeight/2},16)' +
       '}' +
@@ -1152,10 +1487,10 @@ router.get("/candidates/:id", requireLogin, async (req, res) => {
       'function tpToggle(type){if(_tpOpen===type){tpClose();return}tpClose();_tpOpen=type;var drop=document.getElementById(type==="start"?"scStartDrop":"scEndDrop");var btn=document.getElementById(type==="start"?"scStartBtn":"scEndBtn");drop.style.display="block";btn.style.borderColor="#3370ff";btn.style.background="#eef3ff";btn.style.color="#3370ff";tpRenderList(type)}' +
       'document.addEventListener("click",function(e){if(_tpOpen&&!e.target.closest("#scStartWrap")&&!e.target.closest("#scEndWrap"))tpClose()});' +
       'syncScAt();' +
-      'var _scheduleSaving=false;async function saveSchedule(){syncScAt();if(_scheduleSaving)return;var atVal=document.getElementById("scAt").value;if(!atVal){alert("请选择面试日期和时间");return}_scheduleSaving=true;var btn=document.querySelector("#panel-schedule .btn.primary");if(btn){btn.textContent="保存中...";btn.disabled=true}var names=_selectedInterviewers.map(function(x){return x.name}).join(" / ");var openIds=_selectedInterviewers.map(function(x){return x.openId});var payload={round:Number(document.getElementById("scRound").value),scheduledAt:document.getElementById("scAt").value,interviewers:names,interviewerOpenIds:openIds,link:document.getElementById("scLink").value,location:document.getElementById("scLocation").value,syncStatus:document.getElementById("scSyncStatus").value,syncCalendar:"on"};try{var res=await fetch("/api/candidates/' + cid + '/schedule",{method:"POST",headers:{"Content-Type":"application/json"},body:JSON.stringify(payload)});if(res.ok){showToast("✓ 面试安排已保存，飞书日历同步中...");setTimeout(function(){location.reload()},1500)}else{var d=await res.json().catch(function(){return{}});alert(d.error||"保存失败");if(btn){btn.textContent="保存面试安排";btn.disabled=false}_scheduleSaving=false}}catch(e){alert("网络错误");if(btn){btn.textContent="保存面试安排";btn.disabled=false}_scheduleSaving=false}}' +
+      'var _scheduleSaving=false;async function saveSchedule(){syncScAt();if(_scheduleSaving)return;var atVal=document.getElementById("scAt").value;if(!atVal){alert("请选择面试日期和时间");return}_scheduleSaving=true;var btn=document.querySelector("#panel-schedule .btn.primary");if(btn){btn.textContent="保存中...";btn.disabled=true}var names=_selectedInterviewers.map(function(x){return x.name}).join(" / ");var openIds=_selectedInterviewers.map(function(x){return x.openId});var payload={round:Number(document.getElementById("scRound").value),scheduledAt:document.getElementById("scAt").value,interviewers:names,interviewerOpenIds:openIds,link:document.getElementById("scLink").value,location:document.getElementById("scLocation").value,syncStatus:document.getElementById("scSyncStatus").value,syncCalendar:"on",endAt:document.getElementById("scEndAt").value};try{var r=await submitSchedule("' + cid + '",payload);if(r.ok){showToast("✓ 面试安排已保存，飞书日历同步中...");setTimeout(function(){location.reload()},1500)}else{if(!r.cancelled)alert(r.data.error||"保存失败");if(btn){btn.textContent="保存面试安排";btn.disabled=false}_scheduleSaving=false}}catch(e){alert("网络错误");if(btn){btn.textContent="保存面试安排";btn.disabled=false}_scheduleSaving=false}}' +
       'function showToast(msg,extraPromise){var t=document.createElement("div");t.style.cssText="position:fixed;top:24px;left:50%;transform:translateX(-50%);background:#16a34a;color:#fff;padding:12px 28px;border-radius:12px;font-size:15px;font-weight:600;z-index:9999;box-shadow:0 4px 16px rgba(0,0,0,.15);transition:opacity .3s";t.textContent=msg;document.body.appendChild(t);if(extraPromise){extraPromise.then(function(s){if(s)t.textContent=msg+s})}setTimeout(function(){t.style.opacity="0";setTimeout(function(){t.remove()},300)},2000)}' +
       'var f=document.getElementById("resumeUploadForm");if(f){f.onsubmit=async function(e){e.preventDefault();var fileInput=f.querySelector("input[type=file]");var file=fileInput&&fileInput.files[0];if(!file){alert("请选择文件");return}var btn=f.querySelector("button[type=submit]");if(btn){btn.textContent="上传中...";btn.disabled=true}try{var signRes=await fetch("/api/resume/upload-url",{method:"POST",headers:{"Content-Type":"application/json"},body:JSON.stringify({candidateId:"' + cid + '",fileName:file.name,contentType:file.type||"application/octet-stream"})});var signData=await signRes.json();if(!signRes.ok||!signData.signedUrl){throw new Error(signData.error||"获取上传地址失败")}var upRes=await fetch(signData.signedUrl,{method:"PUT",headers:{"Content-Type":file.type||"application/octet-stream"},body:file});if(!upRes.ok){throw new Error("文件上传失败("+upRes.status+")")}var metaRes=await fetch("/api/candidates/' + cid + '/resume-meta",{method:"POST",headers:{"Content-Type":"application/json"},body:JSON.stringify({objectName:signData.objectName,originalName:file.name,contentType:file.type||"",size:file.size,bucket:signData.bucket})});if(!metaRes.ok){var md=await metaRes.json().catch(function(){return{}});throw new Error(md.error||"保存元数据失败")}_resumeLoaded=false;await loadResumePreview();if(btn){btn.textContent="上传";btn.disabled=false}fileInput.value=""}catch(err){alert("上传失败："+err.message);if(btn){btn.textContent="上传";btn.disabled=false}}}}' +
-      'async function quickStatus(st){if(!confirm("确认将状态更新为【"+st+"】？"))return;var r=await fetch("/api/candidates/' + cid + '/status",{method:"POST",headers:{"Content-Type":"application/json"},body:JSON.stringify({status:st})});if(r.ok)location.reload();else alert("更新失败")}' +
+      'async function quickStatus(st){if(!needRejectReason(st)&&!confirm("确认将状态更新为【"+st+"】？"))return;if(await submitStatus("' + cid + '",st))location.reload()}' +
       'function prefillNextRound(n){switchTab("schedule");document.getElementById("scRound").value=n;document.getElementById("scDate").focus()}' +
       // Modal 编辑面试 —— 独立变量避免与新建表单冲突
       'var _mTpStart=9*60,_mTpEnd=10*60,_mSelectedInterviewers=[],_mSaving=false;' +
@@ -1170,9 +1505,9 @@ router.get("/candidates/:id", requireLogin, async (req, res) => {
       'var _M_TP_SLOTS=(function(){var s=[];for(var h=0;h<24;h++)for(var m=0;m<60;m+=15)s.push(h*60+m);return s})();' +
       'function _mTpToggle(type){if(_mTpOpen===type){_mTpClose();return}_mTpClose();_mTpOpen=type;var drop=document.getElementById(type==="start"?"mScStartDrop":"mScEndDrop");var btn=document.getElementById(type==="start"?"mScStartBtn":"mScEndBtn");if(drop)drop.style.display="block";if(btn){btn.style.borderColor="#3370ff";btn.style.background="#eef3ff";btn.style.color="#3370ff"}_mTpRender(type)}' +
       'function _mTpClose(){["start","end"].forEach(function(t){var drop=document.getElementById(t==="start"?"mScStartDrop":"mScEndDrop");var btn=document.getElementById(t==="start"?"mScStartBtn":"mScEndBtn");if(drop)drop.style.display="none";if(btn){btn.style.borderColor="#e5e7eb";btn.style.background="#fafafa";btn.style.color="#1f2937"}});_mTpOpen=null}' +
-      'function _mTpRender(type){var drop=document.getElementById(type==="start"?"mScStartDrop":"mScEndDrop");if(!drop)return;var slots=type==="start"?_M_TP_SLOTS:_M_TP_SLOTS.filter(function(m){return m>_mTpStart});if(type==="end")slots=[_mTpStart].concat(slots);drop.innerHTML="";drop.style.cssText="position:absolute;z-index:9999;background:#fff;border:1.5px solid #e5e7eb;border-radius:12px;box-shadow:0 8px 24px rgba(0,0,0,.12);max-height:220px;overflow-y:auto;min-width:120px;top:calc(100% + 4px);left:0";slots.forEach(function(m){var sel=m===(type==="start"?_mTpStart:_mTpEnd);var el=document.createElement("div");el.style.cssText="padding:8px 16px;cursor:pointer;font-size:14px;font-weight:"+(sel?"700":"400")+";color:"+(sel?"#3370ff":"#1f2937")+";background:"+(sel?"#eef3ff":"#fff");el.textContent=_mTpFmt(m);el.onmouseover=function(){if(!sel)this.style.background="#f5f3ff"};el.onmouseout=function(){if(!sel)this.style.background=sel?"#eef3ff":"#fff"};el.onclick=function(){if(type==="start"){_mTpStart=m;if(_mTpEnd<=_mTpStart)_mTpEnd=Math.min(_mTpStart+60,23*60+45);document.getElementById("mScStartBtn").textContent=_mTpFmt(_mTpStart);document.getElementById("mScEndBtn").textContent=_mTpFmt(_mTpEnd)}else{_mTpEnd=m;document.getElementById("mScEndBtn").textContent=_mTpFmt(_mTpEnd)}_mTpClose();_mSyncAt()};drop.appendChild(el)})}' +
+      'function _mTpRender(type){var drop=document.getElementById(type==="start"?"mScStartDrop":"mScEndDrop");if(!drop)return;var slots=type==="start"?_M_TP_SLOTS:_M_TP_SLOTS.filter(function(m){return m>_mTpStart});if(type==="end")slots=[_mTpStart].concat(slots);drop.innerHTML="";drop.style.cssText="position:absolute;z-index:9999;background:#fff;border:1.5px solid #e5e7eb;border-radius:12px;box-shadow:0 8px 24px rgba(0,0,0,.12);max-height:220px;overflow-y:auto;min-width:120px;top:calc(100% + 4px);left:0";slots.forEach(function(m){var sel=m===(type==="start"?_mTpStart:_mTpEnd);var el=document.createElement("div");el.style.cssText="padding:8px 16px;cursor:pointer;font-size:14px;font-weight:"+(sel?"700":"400")+";color:"+(sel?"#3370ff":"#1f2937")+";background:"+(sel?"#eef3ff":"#fff");el.textContent=_mTpFmt(m);el.onmouseover=function(){if(!sel)this.style.background="#f5f3ff"};el.onmouseout=function(){if(!sel)this.style.background=sel?"#eef3ff":"#fff"};el.onclick=function(){if(type==="start"){_mTpStart=m;_mTpEnd=Math.min(_mTpStart+_roundDur("mScRound"),23*60+45);document.getElementById("mScStartBtn").textContent=_mTpFmt(_mTpStart);document.getElementById("mScEndBtn").textContent=_mTpFmt(_mTpEnd)}else{_mTpEnd=m;document.getElementById("mScEndBtn").textContent=_mTpFmt(_mTpEnd)}_mTpClose();_mSyncAt()};drop.appendChild(el)})}' +
       // 打开 Modal
-      'function editSchedule(round,dateVal,timeVal,interviewers,link,location,hasCalendar){' +
+      'function editSchedule(round,dateVal,timeVal,interviewers,link,location,hasCalendar,endVal){' +
         'var modal=document.getElementById("editScheduleModal");if(!modal)return;' +
         'document.getElementById("mScRound").value=round;' +
         'document.getElementById("mScDate").value=dateVal;' +
@@ -1180,7 +1515,8 @@ router.get("/candidates/:id", requireLogin, async (req, res) => {
         'document.getElementById("mScLocation").value=location||"";' +
         'document.getElementById("mModalTitle").textContent="✏ 编辑第"+round+"轮面试";' +
         // 时间
-        'if(timeVal){var parts=timeVal.split(":");if(parts.length>=2){_mTpStart=Number(parts[0])*60+Number(parts[1]);_mTpEnd=Math.min(_mTpStart+60,23*60+45)}}' +
+        'if(timeVal){var parts=timeVal.split(":");if(parts.length>=2){_mTpStart=Number(parts[0])*60+Number(parts[1]);_mTpEnd=Math.min(_mTpStart+_roundDur("mScRound"),23*60+45)}}' +
+        'if(endVal){var ep=endVal.split(":");var em=Number(ep[0])*60+Number(ep[1]);if(em>_mTpStart)_mTpEnd=em}' +
         'document.getElementById("mScStartBtn").textContent=_mTpFmt(_mTpStart);' +
         'document.getElementById("mScEndBtn").textContent=_mTpFmt(_mTpEnd);' +
         '_mSyncAt();' +
@@ -1194,7 +1530,7 @@ router.get("/candidates/:id", requireLogin, async (req, res) => {
       '}' +
       'function closeEditScheduleModal(){var modal=document.getElementById("editScheduleModal");if(modal)modal.style.display="none";document.body.style.overflow="";_mTpClose();_mSaving=false}' +
       // 保存
-      'async function saveEditSchedule(){if(_mSaving)return;var atVal=document.getElementById("mScAt").value;if(!atVal){alert("请选择面试日期和时间");return}_mSaving=true;var saveBtn=document.getElementById("mSaveBtn");if(saveBtn){saveBtn.textContent="保存中...";saveBtn.disabled=true}var names=_mSelectedInterviewers.map(function(x){return x.name}).join(" / ");var openIds=_mSelectedInterviewers.map(function(x){return x.openId});var payload={round:Number(document.getElementById("mScRound").value),scheduledAt:atVal,interviewers:names,interviewerOpenIds:openIds,link:document.getElementById("mScLink").value,location:document.getElementById("mScLocation").value,syncStatus:"（不同步）",syncCalendar:"on"};try{var res=await fetch("/api/candidates/' + cid + '/schedule",{method:"POST",headers:{"Content-Type":"application/json"},body:JSON.stringify(payload)});if(res.ok){closeEditScheduleModal();showToast("✓ 面试安排已更新，飞书日历同步中...");setTimeout(function(){location.reload()},1500)}else{var d=await res.json().catch(function(){return{}});alert(d.error||"保存失败");if(saveBtn){saveBtn.textContent="保存更新";saveBtn.disabled=false}_mSaving=false}}catch(e){alert("网络错误");if(saveBtn){saveBtn.textContent="保存更新";saveBtn.disabled=false}_mSaving=false}}' +
+      'async function saveEditSchedule(){if(_mSaving)return;var atVal=document.getElementById("mScAt").value;if(!atVal){alert("请选择面试日期和时间");return}_mSaving=true;var saveBtn=document.getElementById("mSaveBtn");if(saveBtn){saveBtn.textContent="保存中...";saveBtn.disabled=true}var names=_mSelectedInterviewers.map(function(x){return x.name}).join(" / ");var openIds=_mSelectedInterviewers.map(function(x){return x.openId});var payload={round:Number(document.getElementById("mScRound").value),scheduledAt:atVal,interviewers:names,interviewerOpenIds:openIds,link:document.getElementById("mScLink").value,location:document.getElementById("mScLocation").value,syncStatus:"（不同步）",syncCalendar:"on",endAt:document.getElementById("mScEndAt").value};try{var r=await submitSchedule("' + cid + '",payload);if(r.ok){closeEditScheduleModal();showToast("✓ 面试安排已更新，飞书日历同步中...");setTimeout(function(){location.reload()},1500)}else{if(!r.cancelled)alert(r.data.error||"保存失败");if(saveBtn){saveBtn.textContent="保存更新";saveBtn.disabled=false}_mSaving=false}}catch(e){alert("网络错误");if(saveBtn){saveBtn.textContent="保存更新";saveBtn.disabled=false}_mSaving=false}}' +
       'async function deleteSchedule(scheduleId,round,hasCalendar){' +
         'if(!confirm("确定要删除第"+round+"轮面试安排？"+(hasCalendar?"\\n飞书日历中的日程也将同步删除。":"")))return;' +
         'try{' +
@@ -1207,10 +1543,24 @@ router.get("/candidates/:id", requireLogin, async (req, res) => {
           'else{var d=await r.json().catch(function(){return{}});alert(d.error||"删除失败")}' +
         '}catch(e){alert("网络错误")}' +
       '}' +
+      'function bkAddSlot(){var box=document.getElementById("bkSlots");if(box.children.length>=10){alert("可选时段最多 10 个");return}var row=document.createElement("div");row.className="row bk-slot";row.style.cssText="gap:8px;margin-bottom:6px";row.innerHTML=\'<input type="datetime-local" class="bk-start" style="flex:1" /><select class="bk-min"><option value="30">30 分钟</option><option value="45">45 分钟</option><option value="60" selected>60 分钟</option><option value="90">90 分钟</option><option value="120">120 分钟</option></select><button class="btn sm" type="button" onclick="this.parentElement.remove()">删除</button>\';box.appendChild(row)}' +
+      'bkAddSlot();' +
+      'var _bkCreating=false;async function createBookingLink(){if(_bkCreating)return;var slots=[];document.querySelectorAll("#bkSlots .bk-slot").forEach(function(r){var v=r.querySelector(".bk-start").value;if(v)slots.push({start:v,minutes:Number(r.querySelector(".bk-min").value)})});if(!slots.length){alert("请至少填写一个可选时段");return}_bkCreating=true;var btn=document.getElementById("bkCreateBtn");btn.disabled=true;btn.textContent="生成中...";var payload={round:Number(document.getElementById("bkRound").value),slots:slots,cutoffHours:document.getElementById("bkCutoff").value,interviewers:document.getElementById("bkInterviewers").value,link:document.getElementById("bkLink").value,location:document.getElementById("bkLocation").value};try{var res=await fetch("/api/candidates/' + cid + '/booking-links",{method:"POST",headers:{"Content-Type":"application/json"},body:JSON.stringify(payload)});var d=await res.json().catch(function(){return{}});if(res.ok){try{await navigator.clipboard.writeText(d.url)}catch(e){}prompt("预约链接已生成，请发送给候选人：",d.url);location.reload()}else{alert(d.error||"生成失败");btn.disabled=false;btn.textContent="生成预约链接";_bkCreating=false}}catch(e){alert("网络错误");btn.disabled=false;btn.textContent="生成预约链接";_bkCreating=false}}' +
+      'async function copyBookingLink(token){var url=location.origin+"/book/"+token;try{await navigator.clipboard.writeText(url);showToast("✓ 预约链接已复制")}catch(e){prompt("复制预约链接：",url)}}' +
+      'async function revokeBookingLink(id){if(!confirm("确定撤销该预约链接？候选人将无法再通过该链接预约或改约，已预约的面试安排不受影响。"))return;try{var r=await fetch("/api/candidates/' + cid + '/booking-links/"+encodeURIComponent(id),{method:"DELETE"});if(r.ok){location.reload()}else{var d=await r.json().catch(function(){return{}});alert(d.error||"撤销失败")}}catch(e){alert("网络错误")}}' +
+      'async function toggleDeparture(has){var payload;if(has){if(!confirm("确认撤销离职记录？"))return;payload={date:""}}else{var date=prompt("离职日期（YYYY-MM-DD）");if(!date)return;payload={date:date.trim(),reason:prompt("离职原因（选填）")||""}}var r=await fetch("/api/candidates/' + cid + '/departure",{method:"POST",headers:{"Content-Type":"application/json"},body:JSON.stringify(payload)});if(r.ok){location.reload();return}var d=await r.json().catch(function(){return{}});alert(d.error||"操作失败")}' +
       'async function sendNotify(){var btn=document.getElementById("notifyBtn");if(!btn)return;var msg=prompt("飞书通知内容（发给相关面试官）：","请关注候选人 ' + escapeHtml(c.name || "") + ' 的面试安排");if(!msg)return;btn.textContent="发送中...";btn.disabled=true;try{var r=await fetch("/api/candidates/' + cid + '/notify",{method:"POST",headers:{"Content-Type":"application/json"},body:JSON.stringify({message:msg})});if(r.ok){btn.textContent="已发送";setTimeout(function(){btn.textContent="发送飞书通知";btn.disabled=false},2000)}else{alert("发送失败");btn.textContent="发送飞书通知";btn.disabled=false}}catch(e){alert("发送失败");btn.textContent="发送飞书通知";btn.disabled=false}}' +
       /* ── 备注 Notes 功能 ── */
       'async function saveNote(vis){var inputId=vis==="private"?"privateNoteInput":"publicNoteInput";var ta=document.getElementById(inputId);var content=ta.value.trim();if(!content){alert("请输入备注内容");return}var btn=ta.parentElement.querySelector("button");var origText=btn.textContent;btn.textContent="保存中...";btn.disabled=true;try{var r=await fetch("/api/candidates/' + cid + '/notes",{method:"POST",headers:{"Content-Type":"application/json"},body:JSON.stringify({content:content,visibility:vis,mentionedUserIds:[]})});if(r.ok){location.reload()}else{var d=await r.json().catch(function(){return{}});alert(d.error||"保存失败")}}catch(e){alert("保存失败")}finally{btn.textContent=origText;btn.disabled=false}}' +
-      'async function deleteNote(noteId){if(!confirm("确定删除这条备注？"))return;try{var r=await fetch("/api/candidates/' + cid + '/notes/"+encodeURIComponent(noteId),{method:"DELETE"});if(r.ok){location.reload()}else{alert("删除失败")}}catch(e){alert("删除失败")}}' +
+      'async function deleteNote(noteId){if(!confirm("确定删除这条备注？回复会一并删除。"))return;try{var r=await fetch("/api/candidates/' + cid + '/notes/"+encodeURIComponent(noteId),{method:"DELETE"});if(r.ok){location.reload()}else{alert("删除失败")}}catch(e){alert("删除失败")}}' +
+      'function insertMention(inputId,sel){var ta=document.getElementById(inputId);if(sel.value){ta.value+=(ta.value&&!/\\s$/.test(ta.value)?" ":"")+"@"+sel.value+" ";ta.focus()}sel.value=""}' +
+      'function toggleNoteReply(id){var box=document.getElementById("note-reply-"+id);box.style.display=box.style.display==="none"?"":"none";if(box.style.display==="")box.querySelector("textarea").focus()}' +
+      'function toggleNoteEdit(id){var box=document.getElementById("note-edit-"+id),body=document.getElementById("note-body-"+id);var show=box.style.display==="none";box.style.display=show?"":"none";body.style.display=show?"none":""}' +
+      'async function notePost(url,method,payload){try{var r=await fetch(url,{method:method,headers:{"Content-Type":"application/json"},body:JSON.stringify(payload)});if(r.ok){location.hash="";location.reload()}else{var d=await r.json().catch(function(){return{}});alert(d.error||"保存失败")}}catch(e){alert("保存失败")}}' +
+      'function saveNoteReply(id){var content=document.querySelector("#note-reply-"+id+" textarea").value.trim();if(!content){alert("请输入回复内容");return}notePost("/api/candidates/' + cid + '/notes","POST",{content:content,parentId:id})}' +
+      'function saveNoteEdit(id){var content=document.querySelector("#note-edit-"+id+" textarea").value.trim();if(!content){alert("内容不能为空");return}notePost("/api/candidates/' + cid + '/notes/"+encodeURIComponent(id),"PUT",{content:content})}' +
+      'function toggleNoteReaction(id,emoji){notePost("/api/candidates/' + cid + '/notes/"+encodeURIComponent(id)+"/reactions","POST",{emoji:emoji})}' +
+      'window.addEventListener("load",function(){var m=/^#note-(.+)$/.exec(location.hash);var el=m&&document.getElementById("note-"+decodeURIComponent(m[1]));if(!el)return;switchTab("notes");el.scrollIntoView({block:"center"});el.style.boxShadow="0 0 0 2px #a78bfa"});' +
       'var _resumeLoaded=false;' +
       'async function loadResumePreview(){if(_resumeLoaded)return;_resumeLoaded=true;var area=document.getElementById("resumePreviewArea");var btn=document.getElementById("resumeNewWindowBtn");if(!area)return;area.innerHTML=\'<div class="muted" style="text-align:center;padding:32px 0">加载简历中...</div>\';try{var r=await fetch("/api/candidates/' + cid + '/resume-url");if(!r.ok){area.innerHTML=\'<div class="muted">加载失败</div>\';_resumeLoaded=false;return}var d=await r.json();var resume=d.resume;if(!resume||!resume.url){area.innerHTML=\'<div class="muted">暂无简历</div>\';if(btn)btn.style.display="none";return}if(btn){btn.style.display="inline-flex";btn.href=resume.url}var lower=(resume.originalName||resume.filename||"").toLowerCase();if(lower.endsWith(".pdf")){area.innerHTML=\'<iframe src="\'+resume.url+\'" style="width:100%;height:75vh;border:1px solid rgba(237,233,254,.95);border-radius:14px;background:#fff"></iframe>\'}else if(lower.endsWith(".png")||lower.endsWith(".jpg")||lower.endsWith(".jpeg")||lower.endsWith(".webp")){area.innerHTML=\'<img src="\'+resume.url+\'" style="max-width:100%;border-radius:14px" />\'}else{area.innerHTML=\'<div class="muted">不支持内嵌预览</div>\'}}catch(e){area.innerHTML=\'<div class="muted">加载失败</div>\';_resumeLoaded=false}}' +
       '' +
@@ -1218,7 +1568,7 @@ router.get("/candidates/:id", requireLogin, async (req, res) => {
 
   // 候选人进度条 — 显示当前所在流水线阶段
   const isRejected = c.status === '淘汰';
-  const displayStages = PIPELINE_STAGES.filter(s => s.key !== 'rejected');
+  const displayStages = tpl.stages.filter(s => s.key !== 'rejected');
   const currentStageIdx = isRejected ? -1 : displayStages.findIndex(stage => stage.statuses.includes(c.status));
   const progressHtml = displayStages.map((stage, idx) => {
     const isCurrent = !isRejected && stage.statuses.includes(c.status);
@@ -1228,6 +1578,10 @@ router.get("/candidates/:id", requireLogin, async (req, res) => {
   }).join('<div class="step-line"></div>');
 
   const avatarLetter = escapeHtml((c.name || "?").slice(0, 1));
+  // 投递时的岗位版本，可查看当时的 JD
+  const appliedVersion = c.jobId ? candidateJobVersion(d, c) : null;
+  const refBonus = referralBonus(d, c);
+  const agFee = agencyFee(d, c);
 
   res.send(
     renderPage({
@@ -1240,14 +1594,18 @@ router.get("/candidates/:id", requireLogin, async (req, res) => {
         // 资料卡片 — Machinepulse招聘系统风格
         '<div class="card profile-card"><div class="profile-header">' +
         '<div class="profile-avatar" style="background:linear-gradient(135deg,#3370ff,#597ef7)">' + avatarLetter + '</div>' +
-        '<div class="profile-info"><div class="profile-name">' + escapeHtml(c.name || "未命名") + ' ' + statusBadge(c.status) + ' ' + followupBadge(c.follow) + '</div>' +
+        '<div class="profile-info"><div class="profile-name">' + escapeHtml(c.name || "未命名") + ' ' + statusBadge(c.status) + ' ' + followupBadge(c.follow) + ' ' + slaBadge(c) + '</div>' +
         '<div class="profile-meta">' +
-        '<span>📋 ' + escapeHtml(c.jobTitle || c.jobId || "未关联岗位") + '</span>' +
+        '<span>📋 ' + escapeHtml(c.jobTitle || c.jobId || "未关联岗位") + (appliedVersion ? ' <a href="/jobs/' + encodeURIComponent(c.jobId) + '/versions/' + encodeURIComponent(appliedVersion.id) + '" title="投递时的岗位版本" style="font-size:12px">v' + appliedVersion.version + '</a>' : '') + '</span>' +
         '<span>📱 ' + escapeHtml(c.phone || "未填写") + '</span>' +
         '<span>📧 ' + escapeHtml(c.email || "未填写") + '</span>' +
         '<span>📍 ' + escapeHtml(c.source || "未知来源") + '</span>' +
         (c.vendorName ? '<span>🏢 供应商：' + escapeHtml(c.vendorName) + '</span>' : '') +
-        (c.referrer ? '<span>👤 内推人：' + escapeHtml(c.referrer) + '</span>' : '') +
+        (agFee ? '<span>💼 猎头服务费：' + (agFee.base ? Number(agFee.total).toLocaleString("zh-CN") + ' 元（已付 ' + Number(agFee.paid).toLocaleString("zh-CN") + '）' : '待补充 Offer 薪资') + (c.vendorId ? ' <a href="/settings/headhunters/' + encodeURIComponent(c.vendorId) + '" style="font-size:12px">明细</a>' : '') + '</span>' : '') +
+        (c.departure ? '<span' + (agFee?.breach ? ' style="color:var(--red)"' : '') + '>🚪 ' + escapeHtml(c.departure.date) + ' 离职' + (agFee?.breach ? '（猎头保证期内）' : '') + '</span>' : '') +
+        (c.referrer ? '<span>👤 内推人：' + escapeHtml(c.referrer) + (c.referral?.relationship ? '（' + escapeHtml(c.referral.relationship) + '）' : '') + '</span>' : '') +
+        (refBonus ? '<span>🎁 内推奖金：' + Number(refBonus.amount).toLocaleString("zh-CN") + ' 元 · ' + escapeHtml(refBonus.status) + (refBonus.status === "已发放" ? '' : refBonus.status === "不发放" ? '（到期前离职）' : '（' + escapeHtml(refBonus.dueDate || "-") + ' 可发放）') + '</span>' : '') +
+        (c.rejection && c.rejection.to === c.status ? '<span>🚫 淘汰原因：' + escapeHtml(c.rejection.reason) + '（' + escapeHtml(c.rejection.stage || "-") + '）' + (c.rejection.note ? ' · ' + escapeHtml(c.rejection.note) : '') + '</span>' : '') +
         '</div>' +
         '<div style="margin-top:8px;display:flex;align-items:center;gap:8px;flex-wrap:wrap">' +
         (resume && resume.url ? '<a class="btn sm" href="' + escapeHtml(resume.url) + '" target="_blank" rel="noreferrer" style="background:rgba(51,112,255,.08)">📎 ' + escapeHtml((resume.originalName || resume.filename || "简历").slice(0, 20)) + '</a>' : '<span class="badge status-gray">暂无简历</span>') +
@@ -1260,20 +1618,36 @@ router.get("/candidates/:id", requireLogin, async (req, res) => {
         '<div style="height:14px"></div>' +
         // 标签页
         '<div class="card">' +
-        '<div class="tabs"><button class="tab active" data-tab="info" onclick="switchTab(\'info\')">信息</button><button class="tab" data-tab="schedule" onclick="switchTab(\'schedule\')">面试安排</button><button class="tab" data-tab="resume" onclick="switchTab(\'resume\')">简历</button><button class="tab" data-tab="review" onclick="switchTab(\'review\')">面评</button><button class="tab" data-tab="offer" onclick="switchTab(\'offer\')">Offer</button><button class="tab" data-tab="notes" onclick="switchTab(\'notes\')">备注</button><button class="tab" data-tab="activity" onclick="switchTab(\'activity\')">动态</button></div>' +
+        '<div class="tabs"><button class="tab active" data-tab="info" onclick="switchTab(\'info\')">信息</button><button class="tab" data-tab="schedule" onclick="switchTab(\'schedule\')">面试安排</button><button class="tab" data-tab="resume" onclick="switchTab(\'resume\')">简历</button><button class="tab" data-tab="review" onclick="switchTab(\'review\')">面评</button><button class="tab" data-tab="offer" onclick="switchTab(\'offer\')">Offer</button><button class="tab" data-tab="email" onclick="switchTab(\'email\')">邮件</button><button class="tab" data-tab="notes" onclick="switchTab(\'notes\')">备注</button><button class="tab" data-tab="activity" onclick="switchTab(\'activity\')">动态</button></div>' +
         '<div class="tabpanels">' +
         infoPanel +
         schedulePanel +
         resumePanel +
         reviewPanel +
         offerPanel +
+        emailPanel +
         notesPanel +
         '<div class="tabpanel" id="panel-activity"><div class="divider"></div>' + eventHtml + '</div>' +
         '</div></div>' +
+        statusChangeScript(d.rejectionReasons) +
+        scheduleSubmitScript() +
+        scorecardScript() +
         '<script>function switchTab(t){document.querySelectorAll(".tab").forEach(function(e){e.classList.toggle("active",e.dataset.tab===t)});document.querySelectorAll(".tabpanel").forEach(function(p){p.classList.remove("active")});document.getElementById("panel-"+t).classList.add("active");if(t==="resume"&&typeof loadResumePreview==="function")loadResumePreview()}' +
-        'var _rvSubmitting=false;var _editingReviewId=null;' +
-        'async function addReview(){if(_rvSubmitting)return;var rating=document.getElementById("rvRating").value;if(!rating){alert("请选择评级");return}var interviewer=document.getElementById("rvInterviewer").value.trim();if(!interviewer){alert("请填写面试官姓名");return}var pros=document.getElementById("rvPros").value.trim();var cons=document.getElementById("rvCons").value.trim();if(!pros&&!cons){alert("Pros和Cons至少填写一项");return}var btn=document.querySelector("button[onclick=\'addReview()\']");if(btn){btn.textContent="提交中...";btn.disabled=true}_rvSubmitting=true;var payload={round:Number(document.getElementById("rvRound").value),conclusion:document.getElementById("rvConclusion").value,rating:rating,interviewer:interviewer,pros:pros,cons:cons,focusNext:document.getElementById("rvFocusNext").value};var url=_editingReviewId?"/api/candidates/' + cid + '/reviews/"+_editingReviewId:"/api/candidates/' + cid + '/reviews";var res=await fetch(url,{method:"POST",headers:{"Content-Type":"application/json"},body:JSON.stringify(payload)});if(res.ok){var data=await res.json();if(data.autoFlowMsg){alert(data.autoFlowMsg)}_editingReviewId=null;location.reload()}else{var d=await res.json().catch(function(){return{}});alert(d.error||"提交失败");if(btn){btn.textContent="提交面评";btn.disabled=false}_rvSubmitting=false}}' +
-        'function editReview(id,round,rating,conclusion,interviewer,pros,cons,focusNext){_editingReviewId=id;document.getElementById("rvRound").value=round;document.getElementById("rvRating").value=rating;document.getElementById("rvConclusion").value=conclusion;document.getElementById("rvInterviewer").value=interviewer;document.getElementById("rvPros").value=pros.replace(/\\\\n/g,"\\n");document.getElementById("rvCons").value=cons.replace(/\\\\n/g,"\\n");document.getElementById("rvFocusNext").value=focusNext.replace(/\\\\n/g,"\\n");var btn=document.querySelector("button[onclick=\'addReview()\']");if(btn)btn.textContent="更新面评";switchTab("review");document.getElementById("rvRound").scrollIntoView({behavior:"smooth",block:"center"})}' +
+        'var _rvSubmitting=false;var _editingReviewId=null;var RV_DIMS=' + JSON.stringify(Object.fromEntries(reviews.map((x) => [x.id, x.dimensions || {}]))).replace(/</g, "\\u003c") + ';toggleScorecardRound(document.getElementById("rvRound").value);' +
+        'async function addReview(){if(_rvSubmitting)return;var rating=document.getElementById("rvRating").value;if(!rating){alert("请选择评级");return}var interviewer=document.getElementById("rvInterviewer").value.trim();if(!interviewer){alert("请填写面试官姓名");return}var pros=document.getElementById("rvPros").value.trim();var cons=document.getElementById("rvCons").value.trim();if(!pros&&!cons){alert("Pros和Cons至少填写一项");return}var sc=collectScorecard();if(sc.missing.length&&!confirm("以下维度尚未打分："+sc.missing.join("、")+"，确认提交？"))return;var btn=document.querySelector("button[onclick=\'addReview()\']");if(btn){btn.textContent="提交中...";btn.disabled=true}_rvSubmitting=true;var payload={round:Number(document.getElementById("rvRound").value),conclusion:document.getElementById("rvConclusion").value,rating:rating,interviewer:interviewer,pros:pros,cons:cons,focusNext:document.getElementById("rvFocusNext").value,dimensions:sc.scores};var url=_editingReviewId?"/api/candidates/' + cid + '/reviews/"+_editingReviewId:"/api/candidates/' + cid + '/reviews";var res=await fetch(url,{method:"POST",headers:{"Content-Type":"application/json"},body:JSON.stringify(payload)});if(res.ok){var data=await res.json();if(data.autoFlowMsg){alert(data.autoFlowMsg)}_editingReviewId=null;location.reload()}else{var d=await res.json().catch(function(){return{}});alert(d.error||"提交失败");if(btn){btn.textContent="提交面评";btn.disabled=false}_rvSubmitting=false}}' +
+        'function editReview(id,round,rating,conclusion,interviewer,pros,cons,focusNext){_editingReviewId=id;document.getElementById("rvRound").value=round;toggleScorecardRound(round);setScorecard(RV_DIMS[id]);document.getElementById("rvRating").value=rating;document.getElementById("rvConclusion").value=conclusion;document.getElementById("rvInterviewer").value=interviewer;document.getElementById("rvPros").value=pros.replace(/\\\\n/g,"\\n");document.getElementById("rvCons").value=cons.replace(/\\\\n/g,"\\n");document.getElementById("rvFocusNext").value=focusNext.replace(/\\\\n/g,"\\n");var btn=document.querySelector("button[onclick=\'addReview()\']");if(btn)btn.textContent="更新面评";switchTab("review");document.getElementById("rvRound").scrollIntoView({behavior:"smooth",block:"center"})}' +
+        'var OFFER_BAND=' + JSON.stringify(offerBandRef).replace(/</g, "\\u003c") + ';' +
+        'function offerBandHint(){var el=document.getElementById("ofBandHint");if(!el)return;var b=OFFER_BAND,n=Number(document.getElementById("ofBase").value)||0,warn=[];if(!b){el.textContent="该岗位未设置职级带宽或预算";return}var txt=[];if(b.min!==null&&b.max!==null){txt.push("带宽 "+b.level+(b.category?" / "+b.category:"")+"："+b.min.toLocaleString()+" - "+b.max.toLocaleString());if(n){var r=b.max>b.min?(n-b.min)/(b.max-b.min):0.5;var pos=n<b.min?"低于带宽":n>b.max?"高于带宽":r<1/3?"带宽低位":r<=2/3?"带宽中位":"带宽高位";txt.push("当前："+pos);if(n<b.min||n>b.max)warn.push(pos)}}if(b.budgetMin||b.budgetMax){txt.push("岗位预算："+(b.budgetMin||0).toLocaleString()+" - "+(b.budgetMax?b.budgetMax.toLocaleString():"不限"));if(n&&((b.budgetMax&&n>b.budgetMax)||(b.budgetMin&&n<b.budgetMin)))warn.push("超出岗位预算")}el.textContent=txt.join(" · ");el.style.color=warn.length?"#f54a45":"";document.getElementById("ofBandReasonBox").style.display=warn.length?"":"none"}' +
+        'document.getElementById("ofBase")&&document.getElementById("ofBase").addEventListener("input",offerBandHint);offerBandHint();' +
+        'async function saveOffer(){var payload={baseSalary:document.getElementById("ofBase").value,salaryMonths:document.getElementById("ofMonths").value,signOn:document.getElementById("ofSignOn").value,startDate:document.getElementById("ofStart").value,bonus:document.getElementById("ofBonus").value,equity:document.getElementById("ofEquity").value,offerStatus:document.getElementById("ofStatus").value,versionNote:document.getElementById("ofVersionNote").value,bandReason:document.getElementById("ofBandReason").value,note:document.getElementById("ofNote").value};' +
+        'var res=await fetch("/api/candidates/' + cid + '/offer",{method:"POST",headers:{"Content-Type":"application/json"},body:JSON.stringify(payload)});var data=await res.json().catch(function(){return{}});if(res.ok){if(data.versionCreated)alert("已生成 Offer v"+data.version);location.reload()}else alert(data.error||"保存失败")}' +
+        'async function offerAction(path,msg){if(msg&&!confirm(msg))return;var res=await fetch("/api/candidates/' + cid + '/offer/"+path,{method:"POST"});var data=await res.json().catch(function(){return{}});if(res.ok)location.reload();else alert(data.error||"操作失败")}' +
+        'function emailTplChanged(){var o=document.getElementById("emTpl").selectedOptions[0];document.getElementById("emScheduleBox").style.display=o.dataset.schedule==="1"?"":"none";loadEmailPreview()}' +
+        'async function loadEmailPreview(){var tpl=document.getElementById("emTpl").value,hint=document.getElementById("emHint");var q="template="+encodeURIComponent(tpl)+"&scheduleId="+encodeURIComponent(document.getElementById("emSchedule").value);var res=await fetch("/api/candidates/' + cid + '/email/preview?"+q);var data=await res.json().catch(function(){return{}});if(!res.ok){document.getElementById("emSubject").value="";document.getElementById("emBody").value="";hint.textContent=data.error||"生成失败";document.getElementById("emSendBtn").disabled=true;return}document.getElementById("emSubject").value=data.subject;document.getElementById("emBody").value=data.body;hint.textContent=data.ics?"将附带面试日程文件（interview.ics）":"";document.getElementById("emSendBtn").disabled=false}' +
+        'async function sendEmail(){var to=document.getElementById("emTo").value.trim();if(!to){alert("请填写收件人邮箱");return}var payload={template:document.getElementById("emTpl").value,scheduleId:document.getElementById("emSchedule").value,to:to,subject:document.getElementById("emSubject").value,body:document.getElementById("emBody").value};if(!payload.subject.trim()||!payload.body.trim()){alert("主题和正文不能为空");return}if(!confirm("确认发送邮件至 "+to+"？"))return;var btn=document.getElementById("emSendBtn");btn.disabled=true;var res=await fetch("/api/candidates/' + cid + '/email",{method:"POST",headers:{"Content-Type":"application/json"},body:JSON.stringify(payload)});var data=await res.json().catch(function(){return{}});if(res.ok){alert(data.transport==="stub"?"测试模式：邮件已记录（未实际发出）":"邮件已发送");location.reload()}else{alert(data.error||"发送失败");if(res.status===502)location.reload();btn.disabled=false}}' +
+        'emailTplChanged();' +
+        'async function startOnboarding(){if(!confirm("按招聘类型的入职清单发起入职流程，并为各事项负责人创建飞书任务？"))return;var res=await fetch("/api/candidates/' + cid + '/onboarding",{method:"POST"});var data=await res.json().catch(function(){return{}});if(res.ok)location.href="/onboarding/"+data.id;else alert(data.error||"操作失败")}' +
+        'async function sendOffer(){if(!confirm("发放后 Offer 状态将更新为「已发放」，并生成候选人查看链接，确定继续？"))return;var res=await fetch("/api/candidates/' + cid + '/offer/send",{method:"POST"});var data=await res.json().catch(function(){return{}});if(!res.ok){alert(data.error||"操作失败");return}if(navigator.clipboard){navigator.clipboard.writeText(data.url).then(function(){alert("Offer 链接已复制，可发送给候选人：\\n"+data.url);location.reload()}).catch(function(){prompt("复制 Offer 链接",data.url);location.reload()})}else{prompt("复制 Offer 链接",data.url);location.reload()}}' +
         'async function deleteReview(id){if(!confirm("确定删除这条面评？此操作不可撤销。"))return;try{var res=await fetch("/api/candidates/' + cid + '/reviews/"+encodeURIComponent(id),{method:"DELETE",credentials:"same-origin"});if(res.ok){location.reload()}else{var d=await res.json().catch(function(){return{}});alert("删除失败："+( d.error||res.status))}}catch(e){alert("删除失败："+e.message)}}' +
         adminScripts +
         '</script>' +
@@ -1325,14 +1699,18 @@ router.post("/candidates/:id/delete", requireLogin, requireAdmin, async (req, re
     const d = await loadData();
     const idx = d.candidates.findIndex((x) => x.id === req.params.id);
     if (idx > -1) {
-      const cid = d.candidates[idx].id;
-      d.candidates.splice(idx, 1);
+      const [removed] = d.candidates.splice(idx, 1);
+      const cid = removed.id;
       d.interviews = d.interviews.filter((x) => x.candidateId !== cid);
       d.interviewSchedules = d.interviewSchedules.filter((x) => x.candidateId !== cid);
       d.resumeFiles = d.resumeFiles.filter((x) => x.candidateId !== cid);
       d.events = d.events.filter((x) => x.candidateId !== cid);
       d.offers = (d.offers || []).filter((x) => x.candidateId !== cid);
+      d.bookingLinks = (d.bookingLinks || []).filter((x) => x.candidateId !== cid);
+      d.onboardings = (d.onboardings || []).filter((x) => x.candidateId !== cid);
+      d.offerVersions = (d.offerVersions || []).filter((x) => x.candidateId !== cid);
       await saveData(d);
+      audit(req, { entityType: "candidate", entityId: cid, entityName: removed.name, before: removed });
       try { await deleteCandidateRelated(cid); } catch (e) { console.error("[Delete] Supabase 清理失败:", e.message); }
     }
     res.redirect(303, "/candidates");
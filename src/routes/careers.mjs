@@ -0,0 +1,163 @@
+import { Router } from "express";
+import { loadData } from "../db.mjs";
+import { renderPage, escapeHtml } from "../ui.mjs";
+import { upload } from "../upload.mjs";
+import { publicBaseUrl } from "../email.mjs";
+import { audit, skipAudit } from "../audit.mjs";
+import {
+  RESUME_EXTS, careersJobs, careersJob, careersCompanyName, filterCareersJobs, jdHtml, jdSummary,
+  jobPostingJsonLd, jobsRss, jobsJsonFeed, careersRefCode, createCareersApplication,
+} from "../careers.mjs";
+
+const router = Router();
+
+// ====== 官网招聘（无需登录）======
+function chips(job) {
+  return [job.category, job.location, job.employmentType || "社招"].filter(Boolean)
+    .map(x => '<span class="pill" style="font-size:12px">' + escapeHtml(x) + '</span>').join(" ");
+}
+
+function careersHeader(company, sub) {
+  return '<div class="card" style="margin-bottom:14px"><div class="row" style="justify-content:space-between;align-items:flex-end">' +
+    '<div><div style="font-weight:900;font-size:22px">加入 ' + escapeHtml(company) + '</div><div class="muted">' + sub + '</div></div>' +
+    '<div class="muted" style="font-size:12px"><a href="/careers/feed.xml">RSS</a> · <a href="/careers/feed.json">JSON Feed</a></div>' +
+  '</div></div>';
+}
+
+function notFoundPage(res, company) {
+  return res.status(404).send(renderPage({
+    title: "岗位不存在 - " + company, user: null, active: "", publicSite: true,
+    contentHtml: careersHeader(company, "开放职位") +
+      '<div class="card"><div style="font-weight:900;font-size:18px;margin-bottom:8px">该岗位已关闭或不存在</div><a class="btn" href="/careers">查看其他开放职位</a></div>',
+  }));
+}
+
+router.get("/careers", async (req, res) => {
+  const d = await loadData();
+  const company = careersCompanyName(d);
+  const all = careersJobs(d);
+  const f = {
+    q: String(req.query.q || ""),
+    category: String(req.query.category || ""),
+    location: String(req.query.location || ""),
+    type: String(req.query.type || ""),
+  };
+  const jobs = filterCareersJobs(all, f);
+  const ref = careersRefCode(req.query.ref);
+  const select = (name, label, values) => '<div class="field" style="min-width:140px"><label>' + label + '</label><select name="' + name + '"><option value="">全部</option>' +
+    [...new Set(values.filter(Boolean))].sort().map(v => '<option value="' + escapeHtml(v) + '"' + (v === f[name] ? " selected" : "") + '>' + escapeHtml(v) + '</option>').join("") + '</select></div>';
+
+  const listHtml = jobs.length
+    ? jobs.map(j => '<a class="card" href="/careers/' + encodeURIComponent(j.id) + (ref ? "?ref=" + ref : "") + '" style="display:block;margin-top:10px;color:inherit;text-decoration:none">' +
+        '<div class="row" style="justify-content:space-between"><div style="font-weight:800;font-size:16px">' + escapeHtml(j.title) + '</div><div>' + chips(j) + '</div></div>' +
+        (j.titleEn ? '<div class="muted" style="font-size:12px">' + escapeHtml(j.titleEn) + '</div>' : '') +
+        (j.jd ? '<div class="muted" style="margin-top:6px;font-size:13px">' + escapeHtml(jdSummary(j)) + '</div>' : '') +
+      '</a>').join("")
+    : '<div class="card"><div class="muted">暂无符合条件的职位</div></div>';
+
+  res.send(renderPage({
+    title: "开放职位 - " + company, user: null, active: "", publicSite: true,
+    headHtml: '<meta name="description" content="' + escapeHtml(company + " 开放职位，欢迎投递") + '" />' +
+      '<link rel="alternate" type="application/rss+xml" title="' + escapeHtml(company) + ' 招聘" href="/careers/feed.xml" />' +
+      '<link rel="alternate" type="application/feed+json" title="' + escapeHtml(company) + ' 招聘" href="/careers/feed.json" />',
+    contentHtml: careersHeader(company, "共 " + all.length + " 个开放职位") +
+      '<form class="card" method="GET" action="/careers"><div class="row" style="gap:10px;flex-wrap:wrap;align-items:flex-end">' +
+        (ref ? '<input type="hidden" name="ref" value="' + ref + '" />' : '') +
+        '<div class="field" style="flex:1;min-width:180px"><label>关键词</label><input name="q" value="' + escapeHtml(f.q) + '" placeholder="岗位名称 / 职责关键词" /></div>' +
+        select("category", "职位分类", all.map(j => j.category)) +
+        select("location", "工作地点", all.map(j => j.location)) +
+        select("type", "招聘类型", all.map(j => j.employmentType || "社招")) +
+        '<div class="field"><button class="btn primary" type="submit">筛选</button></div>' +
+      '</div></form>' +
+      listHtml,
+  }));
+});
+
+router.get("/careers/feed.xml", async (req, res) => {
+  const d = await loadData();
+  res.type("application/rss+xml; charset=utf-8").send(jobsRss(careersJobs(d), careersCompanyName(d), publicBaseUrl(req)));
+});
+
+router.get("/careers/feed.json", async (req, res) => {
+  const d = await loadData();
+  res.type("application/feed+json; charset=utf-8").send(JSON.stringify(jobsJsonFeed(careersJobs(d), careersCompanyName(d), publicBaseUrl(req))));
+});
+
+router.get("/careers/:id", async (req, res) => {
+  const d = await loadData();
+  const company = careersCompanyName(d);
+  const job = careersJob(d, req.params.id);
+  if (!job) return notFoundPage(res, company);
+  const ref = careersRefCode(req.query.ref);
+
+  const msg = req.query.applied
+    ? '<div class="card" style="background:var(--green-bg);border:1px solid var(--green-border);color:var(--green);font-weight:700">✅ 投递成功！我们已收到你的简历，会尽快与你联系。</div>'
+    : (req.query.err ? '<div class="card" style="background:var(--red-bg);color:var(--red)">' + escapeHtml(req.query.err) + '</div>' : '');
+
+  const formHtml = req.query.applied ? '' :
+    '<form method="POST" action="/careers/' + encodeURIComponent(job.id) + '/apply" enctype="multipart/form-data" style="max-width:560px">' +
+      (ref ? '<input type="hidden" name="ref" value="' + ref + '" />' : '') +
+      // 蜂蜜罐字段：正常用户看不到，机器人填写后直接丢弃
+      '<input name="website" tabindex="-1" autocomplete="off" style="position:absolute;left:-9999px" aria-hidden="true" />' +
+      '<div class="field"><label>姓名 <span style="color:var(--red)">*</span></label><input name="name" required maxlength="50" /></div>' +
+      '<div class="field"><label>手机号 <span style="color:var(--red)">*</span></label><input name="phone" required maxlength="20" /></div>' +
+      '<div class="field"><label>邮箱 <span style="color:var(--red)">*</span></label><input name="email" type="email" required maxlength="100" /></div>' +
+      '<div class="field"><label>微信</label><input name="wechat" maxlength="50" /></div>' +
+      '<div class="field"><label>补充说明</label><textarea name="note" rows="3" maxlength="2000" placeholder="作品链接、期望到岗时间等"></textarea></div>' +
+      '<div class="field"><label>简历 <span style="color:var(--red)">*</span></label><input name="resume" type="file" required accept="' + RESUME_EXTS.join(",") + '" /><div class="muted" style="font-size:12px;margin-top:4px">支持 ' + RESUME_EXTS.join(" / ") + '，不超过 20MB</div></div>' +
+      '<button class="btn primary" type="submit">提交申请</button>' +
+    '</form>';
+
+  res.send(renderPage({
+    title: job.title + " - " + company, user: null, active: "", publicSite: true,
+    headHtml: '<meta name="description" content="' + escapeHtml(jdSummary(job, 150) || job.title) + '" />' + jobPostingJsonLd(job, company, publicBaseUrl(req)),
+    contentHtml: '<div class="row" style="margin-bottom:12px"><a class="btn sm" href="/careers' + (ref ? "?ref=" + ref : "") + '">← 全部职位</a></div>' +
+      msg +
+      '<div class="card" style="margin-top:14px">' +
+        '<div style="font-weight:900;font-size:22px">' + escapeHtml(job.title) + '</div>' +
+        (job.titleEn ? '<div class="muted">' + escapeHtml(job.titleEn) + '</div>' : '') +
+        '<div style="margin-top:8px">' + chips(job) + (job.headcount ? ' <span class="muted" style="font-size:12px">招聘 ' + escapeHtml(String(job.headcount)) + ' 人</span>' : '') + '</div>' +
+        '<div class="divider"></div>' +
+        '<div class="note-md">' + (jdHtml(job) || '<div class="muted">职位描述待补充</div>') + '</div>' +
+      '</div>' +
+      '<div class="card" id="apply" style="margin-top:14px"><div style="font-weight:900;font-size:16px">申请该职位</div><div class="divider"></div>' +
+        (formHtml || '<div class="muted">你已提交申请，感谢关注 ' + escapeHtml(company) + '。</div>') +
+      '</div>',
+  }));
+});
+
+router.post("/careers/:id/apply", upload.single("resume"), async (req, res) => {
+  const back = (q) => res.redirect(303, "/careers/" + encodeURIComponent(req.params.id) + "?" + q + "#apply");
+  const ref = careersRefCode(req.body.ref);
+  const refQs = ref ? "&ref=" + ref : "";
+  try {
+    // 蜂蜜罐被填写：按成功返回，不创建候选人（重复投递同样按成功返回）
+    if (req.body.website) {
+      skipAudit(req);
+      return back("applied=1");
+    }
+    const d = await loadData();
+    const job = careersJob(d, req.params.id);
+    if (!job) {
+      skipAudit(req);
+      return back("err=" + encodeURIComponent("该岗位已关闭") + refQs);
+    }
+    const r = await createCareersApplication(d, job, req.body, req.file || null);
+    if (r.error) {
+      skipAudit(req);
+      return back("err=" + encodeURIComponent(r.error) + refQs);
+    }
+    if (r.duplicate) {
+      skipAudit(req);
+      return back("applied=1");
+    }
+    audit(req, { entityType: "candidate", entityId: r.candidate.id, entityName: r.candidate.name, after: r.candidate });
+    back("applied=1");
+  } catch (e) {
+    console.error("[Careers] 投递失败:", e.message);
+    skipAudit(req);
+    back("err=" + encodeURIComponent("提交失败，请稍后重试") + refQs);
+  }
+});
+
+export default router;
@@ -2,13 +2,15 @@ import { Router } from "express";
 import { requireLogin } from "../auth.mjs";
 import { loadTables, toBjTime } from "../db.mjs";
 import { renderPage, escapeHtml } from "../ui.mjs";
-import { STATUS_COLS, STATUS_SET, PIPELINE_STAGES } from "../constants.mjs";
+import { getJobTemplate, templateResolver, unionStatuses, unionStages } from "../pipeline.mjs";
 import { getVisibleJobIds, filterCandidatesByPermission } from "../helpers.mjs";
+import { followupSettings, overdueFollowups, slaBreaches } from "../followup.mjs";
+import { overdueFillJobs, jobDaysOpen } from "../requisition.mjs";
 
 const router = Router();
 
 router.get("/", requireLogin, async (req, res) => {
-  const d = await loadTables("candidates", "jobs", "interviews", "interviewSchedules", "offers", "events");
+  const d = await loadTables("candidates", "jobs", "interviews", "interviewSchedules", "offers", "events", "pipelineTemplates", "followupSettings", "requisitionSettings");
   const isAdmin = req.user?.role === "admin";
   const visibleJobIds = getVisibleJobIds(req.user, d.jobs);
   const candidates = filterCandidatesByPermission(d.candidates, visibleJobIds);
@@ -18,24 +20,20 @@ router.get("/", requireLogin, async (req, res) => {
   const totalJobs = visibleJobs.length;
   const openJobs = visibleJobs.filter((j) => j.state === "open").length;
 
+  // 各候选人按所属岗位的流程模板归类；看板阶段取可见岗位涉及的模板合集
+  const resolveTpl = templateResolver(d);
   const byStatus = {};
-  for (const s of STATUS_COLS.map((x) => x.key)) byStatus[s] = 0;
+  for (const s of unionStatuses(d).map((x) => x.key)) byStatus[s] = 0;
+  let interviewingCount = 0;
   for (const c of candidates) {
-    const s = STATUS_SET.has(c.status) ? c.status : "待筛选";
+    const t = resolveTpl(c.jobId);
+    const s = t.statusSet.has(c.status) ? c.status : "待筛选";
     byStatus[s] = (byStatus[s] || 0) + 1;
+    // 面试中：待面 / 已通过的轮次（不含不通过和 Pending）
+    if (t.interviewSet.has(s) && !s.endsWith("不通过") && s !== "面试Pending") interviewingCount++;
   }
-
-  const interviewingCount =
-    (byStatus["待一面"] || 0) +
-    (byStatus["一面通过"] || 0) +
-    (byStatus["待二面"] || 0) +
-    (byStatus["二面通过"] || 0) +
-    (byStatus["待三面"] || 0) +
-    (byStatus["三面通过"] || 0) +
-    (byStatus["待四面"] || 0) +
-    (byStatus["四面通过"] || 0) +
-    (byStatus["待五面"] || 0) +
-    (byStatus["五面通过"] || 0);
+  const funnelTemplates = [getJobTemplate(d, null), ...visibleJobs.map((j) => resolveTpl(j.id).tpl)];
+  const funnelStages = unionStages(Array.from(new Map(funnelTemplates.map((t) => [t.id, t])).values()));
 
   const offerCount = (byStatus["待发offer"] || 0) + (byStatus["Offer发放"] || 0);
   const hiredCount = byStatus["入职"] || 0;
@@ -237,7 +235,43 @@ router.get("/", requireLogin, async (req, res) => {
     "</div>" +
     "</div>";
 
-  const funnelHtml = PIPELINE_STAGES.map((stage) => {
+  // 逾期跟进 / 状态停留超时（仅可见岗位）
+  const visibleCand = (x) => visibleJobIds === null || visibleJobIds.has(x.c.jobId);
+  const overdueItems = overdueFollowups(d).filter(visibleCand);
+  const breachItems = slaBreaches(d).filter(visibleCand);
+  const { escalateDays } = followupSettings(d);
+  const overdueRow = (c, badgeHtml, metaText) =>
+    '<div class="remind-item">' + badgeHtml +
+    '<a href="/candidates/' + escapeHtml(c.id) + '" style="color:var(--primary);font-weight:700">' + escapeHtml(c.name || "未命名") + "</a>" +
+    '<span class="muted" style="font-size:12px">' + escapeHtml(c.jobTitle || "-") + " · " + escapeHtml(metaText) + "</span>" +
+    "</div>";
+  const overdueListHtml = overdueItems.length
+    ? overdueItems.slice(0, 8).map(({ c, followAt, days }) =>
+        overdueRow(c, '<span class="badge ' + (days >= escalateDays ? "status-red" : "status-orange") + '" style="font-size:11px">逾期' + days + "天</span>", (c.follow.nextAction || "待联系") + " · " + followAt)
+      ).join("")
+    : '<div class="muted" style="font-size:13px">暂无逾期跟进</div>';
+  const breachListHtml = breachItems.length
+    ? breachItems.slice(0, 8).map(({ c, status, days, limit }) =>
+        overdueRow(c, '<span class="badge ' + (days - limit >= escalateDays ? "status-red" : "status-orange") + '" style="font-size:11px">停留' + days + "天</span>", status + " · SLA " + limit + " 天")
+      ).join("")
+    : '<div class="muted" style="font-size:13px">暂无停留超时的候选人</div>';
+  const overdueCardHtml =
+    '<div class="card reminder-card" id="overdue" style="border-left-color:var(--red)">' +
+    '<div style="font-weight:900;margin-bottom:12px">⏰ 逾期跟进</div>' +
+    '<div class="remind-section">' +
+    '<div class="remind-title">跟进已逾期 <span class="badge status-red" style="font-size:11px">' + overdueItems.length + "</span></div>" +
+    overdueListHtml +
+    (overdueItems.length > 8 ? '<div class="muted" style="font-size:12px">…另有 ' + (overdueItems.length - 8) + " 位</div>" : "") +
+    "</div>" +
+    '<div class="divider"></div>' +
+    '<div class="remind-section">' +
+    '<div class="remind-title">状态停留超时 <span class="badge status-red" style="font-size:11px">' + breachItems.length + "</span></div>" +
+    breachListHtml +
+    (breachItems.length > 8 ? '<div class="muted" style="font-size:12px">…另有 ' + (breachItems.length - 8) + " 位</div>" : "") +
+    "</div>" +
+    "</div>";
+
+  const funnelHtml = funnelStages.map((stage) => {
     const count = stage.statuses.reduce((sum, s) => sum + (byStatus[s] || 0), 0);
     const pct = total > 0 ? Math.round((count / total) * 100) : 0;
     return (
@@ -289,6 +323,23 @@ router.get("/", requireLogin, async (req, res) => {
     "</div>" +
     "</div>";
 
+  // 开放中、过了期望到岗日期仍未招满的岗位；没有时不显示
+  const overdueJobs = overdueFillJobs(d, visibleJobs);
+  const overdueJobsHtml = overdueJobs.length
+    ? '<div style="height:14px"></div>' +
+      '<div class="card reminder-card" id="overdue-jobs" style="border-left-color:var(--orange)">' +
+      '<div style="font-weight:900;margin-bottom:12px">⚠️ 超期未招满的岗位 <span class="badge status-orange" style="font-size:11px">' + overdueJobs.length + "</span></div>" +
+      overdueJobs.slice(0, 8).map(({ job, target, fill, daysOver }) =>
+        '<div class="remind-item">' +
+        '<span class="badge ' + (daysOver >= 30 ? "status-red" : "status-orange") + '" style="font-size:11px">超期' + daysOver + "天</span>" +
+        '<a href="/jobs/' + escapeHtml(job.id) + '" style="color:var(--primary);font-weight:700">' + escapeHtml(job.title || "未命名") + "</a>" +
+        '<span class="muted" style="font-size:12px">已入职 ' + fill.filled + " / " + (fill.hc || "?") + " · 期望到岗 " + escapeHtml(target) + " · 已开放 " + jobDaysOpen(job) + " 天</span>" +
+        "</div>"
+      ).join("") +
+      (overdueJobs.length > 8 ? '<div class="muted" style="font-size:12px">…另有 ' + (overdueJobs.length - 8) + " 个岗位</div>" : "") +
+      "</div>"
+    : "";
+
   res.send(
     renderPage({
       title: "招聘概览",
@@ -315,6 +366,9 @@ router.get("/", requireLogin, async (req, res) => {
 
         '<div style="height:14px"></div>' +
         remindCardHtml +
+        '<div style="height:14px"></div>' +
+        overdueCardHtml +
+        overdueJobsHtml +
 
         '<div style="height:14px"></div>' +
         '<div class="grid">' +
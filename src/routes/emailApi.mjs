@@ -0,0 +1,46 @@
+import { Router } from "express";
+import { requireLogin } from "../auth.mjs";
+import { loadData, upsertRow } from "../db.mjs";
+import { getVisibleJobIds } from "../helpers.mjs";
+import { templateMeta, renderEmail, defaultSchedule, sendCandidateEmail, publicBaseUrl } from "../email.mjs";
+
+const router = Router();
+
+// ====== 候选人邮件：预览与发送 ======
+
+function findCandidate(d, req) {
+  const c = d.candidates.find(x => x.id === req.params.id);
+  if (!c) return { status: 404, error: "候选人不存在" };
+  const vj = getVisibleJobIds(req.user, d.jobs);
+  if (vj !== null && !vj.has(c.jobId)) return { status: 403, error: "no_permission" };
+  return { c };
+}
+
+// 按模板渲染主题和正文，供详情页编辑后发送
+router.get("/api/candidates/:id/email/preview", requireLogin, async (req, res) => {
+  const d = await loadData();
+  const { c, status, error } = findCandidate(d, req);
+  if (error) return res.status(status).json({ error });
+  const meta = templateMeta(String(req.query.template || ""));
+  if (!meta) return res.status(400).json({ error: "邮件模板不存在" });
+  const schedule = meta.schedule
+    ? (req.query.scheduleId ? d.interviewSchedules.find(s => s.id === req.query.scheduleId && s.candidateId === c.id) : defaultSchedule(d, c.id))
+    : null;
+  const r = renderEmail(d, c, meta.key, { schedule, baseUrl: publicBaseUrl(req), user: req.user });
+  if (r.error) return res.status(400).json({ error: r.error });
+  res.json({ ok: true, subject: r.subject, body: r.body, scheduleId: schedule?.id || "", ics: !!(meta.ics && schedule) });
+});
+
+router.post("/api/candidates/:id/email", requireLogin, async (req, res) => {
+  const d = await loadData();
+  const { c, status, error } = findCandidate(d, req);
+  if (error) return res.status(status).json({ error });
+  const { template, subject, body, scheduleId, to } = req.body || {};
+  const r = await sendCandidateEmail(d, c, { template, subject, body, scheduleId, to }, { baseUrl: publicBaseUrl(req), user: req.user });
+  // 发信失败也有动态记录，保存后再返回错误
+  if (r.event) await upsertRow("events", r.event);
+  if (!r.ok) return res.status(r.event ? 502 : 400).json({ error: r.event ? "发送失败：" + r.error : r.error });
+  res.json({ ok: true, transport: r.event.meta.transport });
+});
+
+export default router;
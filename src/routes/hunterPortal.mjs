@@ -0,0 +1,247 @@
+import { Router } from "express";
+import { loadData, saveData, nowIso, rid, toBjTime } from "../db.mjs";
+import { renderPage, escapeHtml, statusBadge } from "../ui.mjs";
+import { findDuplicate, pushEvent, notifyHrNewCandidate, saveResumeSupabaseOrLocal, hunterLabel } from "../helpers.mjs";
+import { stampJobVersion } from "../jobVersions.mjs";
+import { recordDuplicateSubmission } from "../agency.mjs";
+import { upload } from "../upload.mjs";
+import { audit, skipAudit } from "../audit.mjs";
+
+const router = Router();
+
+const STATUS_EVENT_TYPES = new Set(["状态流转", "状态同步", "自动流转"]);
+
+// ====== 猎头鉴权：API 用 x-api-key 头，门户页面用 session ======
+function findHunterByKey(d, key) {
+  const k = String(key || "").trim();
+  if (!k) return null;
+  return (d.headhunters || []).find(h => h.apiKey && h.apiKey === k && h.enabled !== false) || null;
+}
+
+async function requireHunter(req, res, next) {
+  const d = await loadData();
+  const key = req.get("x-api-key");
+  let hunter = key ? findHunterByKey(d, key) : null;
+  if (!hunter && req.session?.hunterId) {
+    hunter = (d.headhunters || []).find(h => h.id === req.session.hunterId && h.apiKey && h.enabled !== false) || null;
+  }
+  if (!hunter) {
+    if (req.path.startsWith("/api/")) return res.status(401).json({ error: "API Key 无效或供应商已停用" });
+    if (req.session) req.session.hunterId = null;
+    return res.redirect(303, "/hunter/login");
+  }
+  req.hunter = hunter;
+  req.hunterData = d;
+  next();
+}
+
+// 猎头可见的岗位：仅开放中的岗位；配置了 jobIds 时再按白名单过滤
+function hunterVisibleJobs(d, hunter) {
+  const allow = Array.isArray(hunter.jobIds) && hunter.jobIds.length ? new Set(hunter.jobIds) : null;
+  return d.jobs.filter(j => (j.state || "open") === "open" && (!allow || allow.has(j.id)));
+}
+
+// 从状态类事件中提取 "状态：A -> B"，不向外暴露内部备注
+function statusHistory(d, candidateId) {
+  return d.events
+    .filter(e => e.candidateId === candidateId && STATUS_EVENT_TYPES.has(e.type))
+    .map(e => {
+      const m = String(e.message || "").match(/状态：(.+?) -> (.+)$/);
+      return m ? { from: m[1], to: m[2], at: e.createdAt } : null;
+    })
+    .filter(Boolean);
+}
+
+function submissionSummary(c) {
+  return {
+    id: c.id,
+    name: c.name,
+    jobId: c.jobId,
+    jobTitle: c.jobTitle || "",
+    status: c.status,
+    createdAt: c.createdAt,
+    updatedAt: c.updatedAt,
+  };
+}
+
+// 创建猎头推荐的候选人，返回 { candidate } 或 { error, status, duplicate }
+async function createHunterCandidate(d, hunter, body, file) {
+  const name = String(body.name || "").trim();
+  const phone = String(body.phone || "").trim();
+  const email = String(body.email || "").trim();
+  const jobId = String(body.jobId || "").trim();
+  const note = String(body.note || "").trim();
+
+  if (!name) return { status: 400, error: "姓名不能为空" };
+  if (!phone) return { status: 400, error: "手机号不能为空" };
+  const job = hunterVisibleJobs(d, hunter).find(j => j.id === jobId);
+  if (!job) return { status: 400, error: "岗位不存在或未开放" };
+
+  // 查重：姓名+手机号完全匹配，仅告知是否重复，不透露已有候选人信息
+  const dupCandidate = findDuplicate(d.candidates, name, phone);
+  if (dupCandidate) {
+    const own = dupCandidate.vendorId === hunter.id;
+    if (!own) {
+      recordDuplicateSubmission(d, dupCandidate, hunter, hunterLabel(hunter), job);
+      await saveData(d);
+    }
+    return { status: 409, error: own ? "该候选人已由贵司推荐过" : "该候选人已在人才库中", duplicate: own ? { id: dupCandidate.id, status: dupCandidate.status } : null };
+  }
+
+  const vendorName = hunterLabel(hunter);
+  const c = {
+    id: rid("c"), name, phone, email, jobId,
+    jobTitle: job.title, source: "猎头", referrer: "", referrerId: "", vendorId: hunter.id, vendorName, note, tags: [],
+    status: "待筛选",
+    follow: { nextAction: "待联系", followAt: "", note: "" },
+    createdAt: nowIso(), updatedAt: nowIso(),
+  };
+  stampJobVersion(d, c);
+  d.candidates.unshift(c);
+  if (!d.sources.includes("猎头")) d.sources.push("猎头");
+  pushEvent(d, { candidateId: c.id, type: "创建", message: "猎头推荐候选人：" + c.name + "（岗位：" + c.jobTitle + "，供应商：" + vendorName + "）", actor: vendorName });
+  if (file) {
+    try {
+      await saveResumeSupabaseOrLocal(d, c.id, file, vendorName);
+    } catch (e) {
+      console.warn("[Hunter] 简历上传失败:", e.message);
+    }
+  }
+  await saveData(d);
+  await notifyHrNewCandidate(d, c, job).catch(e => console.warn("[Notify] err:", e.message));
+  return { candidate: c };
+}
+
+// ====== 对外 API ======
+router.get("/api/hunter/jobs", requireHunter, (req, res) => {
+  const jobs = hunterVisibleJobs(req.hunterData, req.hunter).map(j => ({
+    id: j.id, title: j.title, department: j.department || "", location: j.location || "",
+    category: j.category || "", employmentType: j.employmentType || "", headcount: j.headcount || 0, jd: j.jd || "",
+  }));
+  res.json({ ok: true, jobs });
+});
+
+router.get("/api/hunter/candidates", requireHunter, (req, res) => {
+  const d = req.hunterData;
+  const items = d.candidates.filter(c => c.vendorId === req.hunter.id).map(submissionSummary);
+  res.json({ ok: true, candidates: items });
+});
+
+router.get("/api/hunter/candidates/:id", requireHunter, (req, res) => {
+  const d = req.hunterData;
+  const c = d.candidates.find(x => x.id === req.params.id && x.vendorId === req.hunter.id);
+  if (!c) return res.status(404).json({ error: "not_found" });
+  res.json({ ok: true, candidate: { ...submissionSummary(c), history: statusHistory(d, c.id) } });
+});
+
+router.post("/api/hunter/candidates", requireHunter, upload.single("resume"), async (req, res) => {
+  try {
+    const r = await createHunterCandidate(req.hunterData, req.hunter, req.body, req.file || null);
+    if (r.error) return res.status(r.status).json({ error: r.error, duplicate: r.duplicate || undefined });
+    audit(req, { entityType: "candidate", entityId: r.candidate.id, entityName: r.candidate.name, after: r.candidate });
+    res.json({ ok: true, candidateId: r.candidate.id, status: r.candidate.status });
+  } catch (e) {
+    console.error("[Hunter] 提交失败:", e.message);
+    res.status(500).json({ error: "提交失败" });
+  }
+});
+
+// ====== 猎头门户页面 ======
+router.get("/hunter/login", (req, res) => {
+  const err = req.query.err ? '<div style="color:#f5222d;margin-bottom:12px">API Key 无效或供应商已停用</div>' : '';
+  res.send(renderPage({
+    title: "猎头门户", user: null, active: "",
+    contentHtml: '<div class="card" style="max-width:480px;margin:48px auto">' +
+      '<div style="font-weight:900;font-size:18px;margin-bottom:4px">猎头供应商门户</div>' +
+      '<div class="muted" style="margin-bottom:16px">请输入 HR 提供的 API Key 登录，登录后可查看开放岗位、推荐候选人并跟踪进展。</div>' +
+      err +
+      '<form method="POST" action="/hunter/login">' +
+        '<div class="field"><label>API Key</label><input name="apiKey" required autocomplete="off" /></div>' +
+        '<button class="btn primary" type="submit">登录</button>' +
+      '</form></div>',
+  }));
+});
+
+router.post("/hunter/login", async (req, res) => {
+  const d = await loadData();
+  const hunter = findHunterByKey(d, req.body.apiKey);
+  if (!hunter) return res.redirect(303, "/hunter/login?err=1");
+  req.session.hunterId = hunter.id;
+  res.redirect(303, "/hunter");
+});
+
+router.get("/hunter/logout", (req, res) => {
+  if (req.session) req.session.hunterId = null;
+  res.redirect(303, "/hunter/login");
+});
+
+router.get("/hunter", requireHunter, (req, res) => {
+  const d = req.hunterData;
+  const hunter = req.hunter;
+  const jobs = hunterVisibleJobs(d, hunter);
+  const mine = d.candidates.filter(c => c.vendorId === hunter.id);
+
+  const msg = req.query.ok
+    ? '<div class="card compact" style="padding:12px;margin-bottom:14px;background:rgba(34,197,94,.06);border:1px solid rgba(34,197,94,.15);color:#16a34a">✅ 推荐成功，HR 将尽快处理</div>'
+    : (req.query.err ? '<div class="card compact" style="padding:12px;margin-bottom:14px;background:rgba(240,90,90,.06);border:1px solid rgba(240,90,90,.22);color:#f05a5a">' + escapeHtml(req.query.err) + '</div>' : '');
+
+  const jobOpts = jobs.map(j => '<option value="' + escapeHtml(j.id) + '">' + escapeHtml(j.title) + (j.location ? '（' + escapeHtml(j.location) + '）' : '') + '</option>').join("");
+  const jobsHtml = jobs.length
+    ? '<table><thead><tr><th>岗位</th><th>部门</th><th>地点</th><th>类型</th><th>HC</th></tr></thead><tbody>' +
+      jobs.map(j => '<tr><td style="font-weight:700">' + escapeHtml(j.title) + '</td><td>' + escapeHtml(j.department || "-") + '</td><td>' + escapeHtml(j.location || "-") + '</td><td>' + escapeHtml(j.employmentType || "社招") + '</td><td>' + escapeHtml(String(j.headcount || "-")) + '</td></tr>').join("") +
+      '</tbody></table>'
+    : '<div class="muted">暂无开放岗位</div>';
+
+  const mineHtml = mine.length
+    ? '<table><thead><tr><th>候选人</th><th>岗位</th><th>当前状态</th><th>推荐时间</th><th>最近进展</th></tr></thead><tbody>' +
+      mine.map(c => {
+        const last = statusHistory(d, c.id)[0];
+        return '<tr><td style="font-weight:700">' + escapeHtml(c.name) + '</td><td>' + escapeHtml(c.jobTitle || "-") + '</td><td>' + statusBadge(c.status) + '</td>' +
+          '<td class="muted" style="font-size:12px">' + escapeHtml(toBjTime(c.createdAt || "").slice(0, 16)) + '</td>' +
+          '<td class="muted" style="font-size:12px">' + (last ? escapeHtml(last.from + " → " + last.to + "（" + toBjTime(last.at || "").slice(0, 16) + "）") : "-") + '</td></tr>';
+      }).join("") +
+      '</tbody></table>'
+    : '<div class="muted">暂无推荐记录</div>';
+
+  res.send(renderPage({
+    title: "猎头门户", user: null, active: "",
+    contentHtml: msg +
+      '<div class="card"><div class="row" style="justify-content:space-between">' +
+        '<div><div style="font-weight:900;font-size:18px">' + escapeHtml(hunterLabel(hunter)) + '</div><div class="muted">猎头供应商门户</div></div>' +
+        '<a class="btn sm" href="/hunter/logout">退出</a>' +
+      '</div></div>' +
+      '<div class="card" style="margin-top:14px"><div style="font-weight:900;font-size:16px">开放岗位</div><div class="divider"></div>' + jobsHtml + '</div>' +
+      '<div class="card" style="margin-top:14px"><div style="font-weight:900;font-size:16px">推荐候选人</div><div class="divider"></div>' +
+        (jobs.length
+          ? '<form method="POST" action="/hunter/submit" enctype="multipart/form-data" style="max-width:640px">' +
+              '<div class="field"><label>岗位 <span style="color:#f5222d">*</span></label><select name="jobId" required>' + jobOpts + '</select></div>' +
+              '<div class="field"><label>姓名 <span style="color:#f5222d">*</span></label><input name="name" required /></div>' +
+              '<div class="field"><label>手机号 <span style="color:#f5222d">*</span></label><input name="phone" required /></div>' +
+              '<div class="field"><label>邮箱</label><input name="email" type="email" /></div>' +
+              '<div class="field"><label>推荐理由</label><textarea name="note" rows="3"></textarea></div>' +
+              '<div class="field"><label>简历附件</label><input name="resume" type="file" accept=".pdf,.doc,.docx" /></div>' +
+              '<button class="btn primary" type="submit">提交推荐</button>' +
+            '</form>'
+          : '<div class="muted">暂无可推荐的岗位</div>') +
+      '</div>' +
+      '<div class="card" style="margin-top:14px"><div style="font-weight:900;font-size:16px">我的推荐（' + mine.length + '）</div><div class="divider"></div>' + mineHtml + '</div>',
+  }));
+});
+
+router.post("/hunter/submit", requireHunter, upload.single("resume"), async (req, res) => {
+  try {
+    const r = await createHunterCandidate(req.hunterData, req.hunter, req.body, req.file || null);
+    if (r.error) {
+      skipAudit(req);
+      return res.redirect(303, "/hunter?err=" + encodeURIComponent(r.error));
+    }
+    audit(req, { entityType: "candidate", entityId: r.candidate.id, entityName: r.candidate.name, after: r.candidate });
+    res.redirect(303, "/hunter?ok=1");
+  } catch (e) {
+    console.error("[Hunter] 提交失败:", e.message);
+    skipAudit(req);
+    res.redirect(303, "/hunter?err=" + encodeURIComponent("提交失败"));
+  }
+});
+
+export default router;
@@ -1,9 +1,22 @@
 import { Router } from "express";
 import { requireLogin, requireAdmin } from "../auth.mjs";
 import { loadData, saveData, nowIso, rid, deleteFromSupabase } from "../db.mjs";
+import { audit, snapshot, fieldLabel } from "../audit.mjs";
 import { renderPage, escapeHtml } from "../ui.mjs";
 import { EMPLOYMENT_TYPES } from "../constants.mjs";
-import { getVisibleJobIds, jobFunnelStats } from "../helpers.mjs";
+import { getVisibleJobIds, jobFunnelStats, pushEvent } from "../helpers.mjs";
+import { allTemplates, getTemplate, getJobTemplate, migrateStatus } from "../pipeline.mjs";
+import { allScorecards, getScorecard } from "../scorecard.mjs";
+import { bandLevels, jobBand } from "../compensation.mjs";
+import { feishuEnabled, sendFeishuMessage } from "../feishu.mjs";
+import {
+  requisitionSettings, canRequestJob, pendingRequisitionStep, isRequisitionApprover, isRequester, canDecideRequisition,
+  submitRequisition, decideRequisition, withdrawRequisition, jobFill, jobDaysOpen, jobTargetFillDate,
+} from "../requisition.mjs";
+import {
+  jobVersions, findJobVersion, recordJobVersion, restoreJobVersion, candidateJobVersion, snapshotChanges, lineDiff,
+  JD_PLACEHOLDERS, fillJdTemplate, jdTemplatesFor,
+} from "../jobVersions.mjs";
 
 const router = Router();
 
@@ -11,7 +24,133 @@ const router = Router();
 const JOB_PRIORITIES = ["P00", "P0", "P1", "P1.5", "P2"];
 const PRIORITY_COLORS = { "P00": "#dc2626", "P0": "#f97316", "P1": "#eab308", "P1.5": "#22c55e", "P2": "#6b7280" };
 const PRIORITY_ORDER = { "P00": 0, "P0": 1, "P1": 2, "P1.5": 3, "P2": 4, "": 99 };
-const STATE_ORDER = { "open": 0, "paused": 1, "closed": 2 };
+const STATE_ORDER = { "open": 0, "pending": 1, "paused": 2, "rejected": 3, "closed": 4 };
+// pending / rejected 只能由职位申请审批流转，编辑表单中不可选
+const JOB_STATES = {
+  open: { name: "开放", color: "status-green" },
+  pending: { name: "待审批", color: "status-blue" },
+  paused: { name: "暂停", color: "status-orange" },
+  rejected: { name: "未通过", color: "status-red" },
+  closed: { name: "关闭", color: "status-gray" },
+};
+const EDITABLE_STATES = ["open", "paused", "closed"];
+
+function stateBadge(job) {
+  const st = JOB_STATES[job.state] || JOB_STATES.closed;
+  return '<span class="badge ' + st.color + '"' + (job.pausedReason ? ' title="' + escapeHtml(job.pausedReason) + '"' : '') + '>' + st.name + '</span>' +
+    (job.state === "paused" && job.pausedReason ? '<div class="muted" style="font-size:11px;margin-top:2px">' + escapeHtml(job.pausedReason) + '</div>' : '');
+}
+
+// HC 进度：已入职 / HC，招满为绿色
+function fillHtml(d, job) {
+  const f = jobFill(d, job);
+  if (!f.hc) return '<span class="muted">' + f.filled + ' / -</span>';
+  const pct = Math.min(100, Math.round((f.filled / f.hc) * 100));
+  return '<div style="min-width:90px"><div class="row" style="font-size:12px"><b>' + f.filled + ' / ' + f.hc + '</b><span class="spacer"></span><span class="muted">' + (f.full ? "已招满" : "剩 " + f.remaining) + '</span></div>' +
+    '<div class="bar" style="margin-top:4px"><div class="bar-fill ' + (f.full ? "bar-green" : "bar-blue") + '" style="width:' + pct + '%"></div></div></div>';
+}
+
+// 开放时长；过了期望到岗日期仍未招满的标红
+function daysOpenHtml(d, job) {
+  if (job.state !== "open") return '<span class="muted">-</span>';
+  const days = jobDaysOpen(job);
+  const target = jobTargetFillDate(d, job);
+  const overdue = target && target < nowIso().slice(0, 10) && !jobFill(d, job).full;
+  return '<div' + (overdue ? ' style="color:var(--red);font-weight:700"' : '') + '>' + days + ' 天</div>' +
+    (target ? '<div class="muted" style="font-size:11px">' + (overdue ? "超期 · " : "目标 ") + escapeHtml(target) + '</div>' : '');
+}
+
+function stateSelectHtml(job) {
+  if (job && !EDITABLE_STATES.includes(job.state)) {
+    return '<div class="field"><label>岗位状态</label><div>' + stateBadge(job) + ' <span class="muted" style="font-size:12px">由职位申请审批决定</span></div></div>';
+  }
+  return '<div class="field"><label>岗位状态</label><select name="state">' +
+    EDITABLE_STATES.map((k) => '<option value="' + k + '"' + ((job?.state || "open") === k ? " selected" : "") + '>' + JOB_STATES[k].name + '</option>').join("") + '</select>' +
+    (job?.pausedReason ? '<div class="muted" style="font-size:12px;margin-top:4px">' + escapeHtml(job.pausedReason) + '，已自动暂停；调整 HC 后可重新开放</div>' : '') + '</div>';
+}
+
+function targetFillFieldHtml(job, defaultFillDays) {
+  return '<div class="field"><label>期望到岗日期</label><input name="targetFillDate" type="date" value="' + escapeHtml(job?.targetFillDate || "") + '" />' +
+    '<div class="muted" style="font-size:12px;margin-top:4px">留空则按开放日起 ' + defaultFillDays + ' 天计算，超期未招满会在招聘概览中提醒</div></div>';
+}
+
+function parseTargetFillDate(v) {
+  const s = String(v || "").trim();
+  return /^\d{4}-\d{2}-\d{2}$/.test(s) ? s : "";
+}
+
+// member 只能查看自己负责的岗位；职位申请的申请人和当前审批人也可查看
+function canViewJob(d, job, user) {
+  const visibleJobIds = getVisibleJobIds(user, d.jobs);
+  return visibleJobIds === null || visibleJobIds.has(job.id) || isRequisitionApprover(pendingRequisitionStep(job), user) || isRequester(job, user);
+}
+
+function noAccessPage(req, res) {
+  return res.send(renderPage({ title: "无权限", user: req.user, active: "jobs", contentHtml: '<div class="card"><div style="font-weight:900">无权限查看该岗位</div><div class="muted">该岗位不在您的负责范围内</div><div class="divider"></div><a class="btn" href="/jobs">返回</a></div>' }));
+}
+
+function jobNotFoundPage(req, res) {
+  return res.send(renderPage({ title: "岗位不存在", user: req.user, active: "jobs", contentHtml: '<div class="card"><div style="font-weight:900">岗位不存在</div><div class="divider"></div><a class="btn" href="/jobs">返回</a></div>' }));
+}
+
+function userOpenId(d, name) {
+  return d.users.find(u => u.name === name && u.openId)?.openId || "";
+}
+
+// 审批节点对应的飞书接收人：「管理员」节点发给所有管理员
+function stepOpenIds(d, step) {
+  if (!step) return [];
+  if (step.role === "admin") return d.users.filter(u => u.role === "admin" && u.openId).map(u => u.openId);
+  return [step.openId || userOpenId(d, step.name)];
+}
+
+// 通知审批人（按钮进入待我审批）或申请人（审批结束，按钮进入岗位详情）
+async function notifyRequisition(req, d, job, title, text, openIds, { toApprover = false } = {}) {
+  if (!feishuEnabled()) return;
+  const url = req.protocol + "://" + req.get("host") + (toApprover ? "/jobs/requisitions" : "/jobs/" + job.id) + "?lk_jump_to_browser=true";
+  const buttons = { tag: "action", actions: [{ tag: "button", text: { tag: "plain_text", content: toApprover ? "去审批" : "查看职位" }, url, type: "primary" }] };
+  const r = job.requisition || {};
+  const content = `**职位**：${job.title}\n**申请人**：${r.requestedBy?.name || "-"}\n**HC**：${job.headcount ?? "-"}` +
+    (job.level ? `\n**职级**：${job.level}` : "") + (job.budgetMin || job.budgetMax ? `\n**预算月薪**：${job.budgetMin ?? "-"} - ${job.budgetMax ?? "-"}` : "") +
+    `\n**申请理由**：${r.justification || "-"}\n` + text;
+  await Promise.all(openIds.filter(Boolean).map(oid => sendFeishuMessage(oid, content, title, [buttons]).catch(() => {})));
+}
+
+// 职级 + 预算月薪：职级按设置中的薪资带宽提供候选项，匹配到的带宽显示在下方
+function compFieldsHtml(d, job) {
+  const band = job && jobBand(d, job);
+  return '<div class="field"><label>职级</label><input name="level" list="bandLevels" value="' + escapeHtml(job?.level || "") + '" placeholder="例如：P6" />' +
+    '<datalist id="bandLevels">' + bandLevels(d).map((l) => '<option value="' + escapeHtml(l) + '"></option>').join("") + '</datalist>' +
+    (band ? '<div class="muted" style="font-size:12px;margin-top:4px">薪资带宽：' + escapeHtml(band.level + (band.category ? " / " + band.category : "")) + ' ' + band.min.toLocaleString("zh-CN") + ' - ' + band.max.toLocaleString("zh-CN") + '</div>' : '') + '</div>' +
+    '<div class="field"><label>预算月薪（元）</label><div class="row" style="flex-wrap:nowrap"><input name="budgetMin" type="number" min="0" value="' + escapeHtml(job?.budgetMin ?? "") + '" placeholder="最低" /><span class="muted">-</span><input name="budgetMax" type="number" min="0" value="' + escapeHtml(job?.budgetMax ?? "") + '" placeholder="最高" /></div></div>';
+}
+
+function parseCompFields(body) {
+  const num = (v) => { const n = Number(v); return v === "" || v === undefined || !Number.isFinite(n) || n <= 0 ? null : n; };
+  let budgetMin = num(body.budgetMin);
+  let budgetMax = num(body.budgetMax);
+  if (budgetMin && budgetMax && budgetMin > budgetMax) [budgetMin, budgetMax] = [budgetMax, budgetMin];
+  return { level: String(body.level || "").trim(), budgetMin, budgetMax };
+}
+
+// JD 模板：按所选职位分类筛选，套用时用表单中的岗位名称、地点、招聘类型替换占位符
+function jdTemplatePickerHtml(d) {
+  // name / label 插入下拉框 HTML，提前转义；content 只写入 textarea 的 value
+  const tpls = jdTemplatesFor(d).map((t) => ({ id: t.id, category: t.category || "", label: escapeHtml(t.name + (t.category ? "（" + t.category + "）" : "")), content: t.content }));
+  if (!tpls.length) return "";
+  return '<div class="field"><label>从 JD 模板开始</label><div class="row" style="flex-wrap:nowrap"><select id="jdTplSelect"></select><button class="btn" type="button" onclick="applyJdTpl()">套用</button></div>' +
+    '<div class="muted" style="font-size:12px;margin-top:4px">模板中的 ' + Object.keys(JD_PLACEHOLDERS).join(" ") + ' 按上方填写的内容替换</div></div>' +
+    '<script>' +
+    'var JD_TPLS=' + JSON.stringify(tpls).replace(/</g, "\\u003c") + ';var JD_FIELDS=' + JSON.stringify(Object.entries(JD_PLACEHOLDERS)) + ';' +
+    'function jdTplForm(){return document.getElementById("jobForm")}' +
+    'function renderJdTpls(){var cat=jdTplForm().elements.category.value;var list=JD_TPLS.filter(function(t){return !cat||!t.category||t.category===cat});' +
+      'document.getElementById("jdTplSelect").innerHTML=\'<option value="">\'+(list.length?"选择模板":"该分类暂无模板")+\'</option>\'+list.map(function(t){return \'<option value="\'+t.id+\'">\'+t.label+\'</option>\'}).join("")}' +
+    'function applyJdTpl(){var t=JD_TPLS.find(function(x){return x.id===document.getElementById("jdTplSelect").value});if(!t)return;var jd=document.getElementById("jdInput");' +
+      'if(jd.value.trim()&&!confirm("将覆盖已填写的 JD，确定套用？"))return;var f=jdTplForm().elements;' +
+      'jd.value=JD_FIELDS.reduce(function(s,p){var v=(f[p[1]]&&f[p[1]].value||"").trim();return v?s.split(p[0]).join(v):s},t.content)}' +
+    'jdTplForm().elements.category.addEventListener("change",renderJdTpls);renderJdTpls();' +
+    '</script>';
+}
 
 router.get("/jobs", requireLogin, async (req, res) => {
   const d = await loadData();
@@ -22,10 +161,10 @@ router.get("/jobs", requireLogin, async (req, res) => {
   let permJobs = visibleJobIds === null ? d.jobs : d.jobs.filter(j => visibleJobIds.has(j.id));
   if (etFilter) permJobs = permJobs.filter(j => (j.employmentType || "社招") === etFilter);
   let filteredJobs = catFilter ? permJobs.filter((j) => j.category === catFilter) : permJobs;
-  // 排序：先按状态（开放>暂停>关闭），再按优先级
+  // 排序：先按状态（开放>待审批>暂停>未通过>关闭），再按优先级
   filteredJobs = filteredJobs.slice().sort((a, b) => {
-    const stateA = STATE_ORDER[a.state] ?? 2;
-    const stateB = STATE_ORDER[b.state] ?? 2;
+    const stateA = STATE_ORDER[a.state] ?? 4;
+    const stateB = STATE_ORDER[b.state] ?? 4;
     if (stateA !== stateB) return stateA - stateB;
     return (PRIORITY_ORDER[a.priority] ?? 99) - (PRIORITY_ORDER[b.priority] ?? 99);
   });
@@ -46,7 +185,6 @@ router.get("/jobs", requireLogin, async (req, res) => {
     .map((j) => {
       const title = escapeHtml(j.title || "未命名岗位");
       const id = escapeHtml(j.id);
-      const hc = escapeHtml(String(j.headcount ?? "-"));
       const loc = escapeHtml(j.location || "-");
       const et = (j.employmentType || "社招");
       const etBadge = et === "实习" ? '<span class="badge status-green" style="font-size:11px">实习</span>' : '<span class="badge status-orange" style="font-size:11px">社招</span>';
@@ -54,41 +192,105 @@ router.get("/jobs", requireLogin, async (req, res) => {
       const prioColor = PRIORITY_COLORS[j.priority] || "#9ca3af";
       const prioBadge = j.priority ? '<span style="display:inline-block;padding:2px 6px;border-radius:4px;font-size:11px;font-weight:700;color:#fff;background:' + prioColor + '">' + escapeHtml(j.priority) + '</span>' : '';
       const st = jobFunnelStats(d, j.id);
-      const stateBadge = j.state === "open" ? '<span class="badge status-green">开放</span>' : j.state === "paused" ? '<span class="badge status-orange">暂停</span>' : '<span class="badge status-gray">关闭</span>';
       const funnel =
         '<span class="pill"><span class="muted">总</span><b>' + st.total + '</b></span>' +
         '<span class="pill"><span class="muted">面试中</span><b>' + st["面试中"] + '</b></span>' +
         '<span class="pill"><span class="muted">入职</span><b>' + st["入职"] + '</b></span>';
 
-      return '<tr><td><a class="btn sm" href="/jobs/' + id + '">' + title + '</a> ' + prioBadge + '</td><td>' + etBadge + ' ' + catBadge + '</td><td>' + loc + '</td><td>' + hc + '</td><td>' + stateBadge + '</td><td style="min-width:260px">' + funnel + '</td><td><a class="btn sm" href="/jobs/' + id + '">编辑</a> <a class="btn sm" href="/candidates?jobId=' + id + '">候选人</a></td></tr>';
+      return '<tr><td><a class="btn sm" href="/jobs/' + id + '">' + title + '</a> ' + prioBadge + '</td><td>' + etBadge + ' ' + catBadge + '</td><td>' + loc + '</td><td>' + fillHtml(d, j) + '</td><td>' + stateBadge(j) + '</td><td style="white-space:nowrap">' + daysOpenHtml(d, j) + '</td><td style="min-width:260px">' + funnel + '</td><td><a class="btn sm" href="/jobs/' + id + '">编辑</a> <a class="btn sm" href="/candidates?jobId=' + id + '">候选人</a></td></tr>';
     })
     .join("");
 
-  const isAdmin = req.user?.role === "admin";
+  const rs = requisitionSettings(d);
+  const myApprovals = d.jobs.filter(j => canDecideRequisition(j, req.user)).length;
+  const createBtn = canRequestJob(d, req.user) ? '<a class="btn primary" href="/jobs/new">' + (rs.enabled ? "申请职位" : "创建职位") + '</a>' : '';
   res.send(
     renderPage({
       title: "职位管理",
       user: req.user,
       active: "jobs",
-      contentHtml: '<div class="row"><div style="font-weight:900;font-size:18px">职位管理</div><span class="spacer"></span>' + (isAdmin ? '<a class="btn primary" href="/jobs/new">创建职位</a>' : '') + '</div><div class="divider"></div>' +
+      contentHtml: '<div class="row"><div style="font-weight:900;font-size:18px">职位管理</div><span class="spacer"></span>' +
+        (rs.enabled ? '<a class="btn" href="/jobs/requisitions">职位审批' + (myApprovals ? ' <span class="badge status-red" style="font-size:11px">' + myApprovals + '</span>' : '') + '</a>' : '') + createBtn + '</div><div class="divider"></div>' +
         '<div style="display:flex;gap:12px;align-items:center;margin-bottom:8px"><span style="font-size:13px;font-weight:600;color:#8f959e">类型</span><div class="seg">' + etTabs + '</div></div>' +
         '<div style="display:flex;gap:12px;align-items:center"><span style="font-size:13px;font-weight:600;color:#8f959e">分类</span><div class="seg">' + catTabs + '</div></div><div style="height:12px"></div>' +
-        '<div class="card"><table><thead><tr><th>职位</th><th>类型</th><th>地点</th><th>HC</th><th>状态</th><th>招聘数据</th><th>操作</th></tr></thead><tbody>' + (rows || "") + '</tbody></table>' + (rows ? "" : '<div class="muted">暂无职位，先创建一个吧。</div>') + '</div>',
+        '<div class="card"><table><thead><tr><th>职位</th><th>类型</th><th>地点</th><th>HC 进度</th><th>状态</th><th>开放时长</th><th>招聘数据</th><th>操作</th></tr></thead><tbody>' + (rows || "") + '</tbody></table>' + (rows ? "" : '<div class="muted">暂无职位，先创建一个吧。</div>') + '</div>',
     })
   );
 });
 
-router.get("/jobs/new", requireLogin, requireAdmin, async (req, res) => {
+// ====== 职位申请审批（需在 /jobs/:id 之前注册）======
+router.get("/jobs/requisitions", requireLogin, async (req, res) => {
   const d = await loadData();
+  const pending = d.jobs
+    .filter(j => canDecideRequisition(j, req.user))
+    .sort((a, b) => (a.requisition.requestedAt || "").localeCompare(b.requisition.requestedAt || ""));
+  const mine = d.jobs
+    .filter(j => j.requisition && isRequester(j, req.user))
+    .sort((a, b) => (b.requisition.requestedAt || "").localeCompare(a.requisition.requestedAt || ""));
+
+  const card = (j, actions) => {
+    const r = j.requisition;
+    return '<div class="card compact" style="padding:14px;border-radius:14px;margin-bottom:10px">' +
+      '<div class="row"><a href="/jobs/' + escapeHtml(j.id) + '" style="font-weight:800">' + escapeHtml(j.title || "未命名岗位") + '</a>' + stateBadge(j) + '<span class="spacer"></span><span class="muted" style="font-size:12px">' + escapeHtml(r.requestedBy?.name || "-") + ' 提交于 ' + escapeHtml((r.requestedAt || "").replace("T", " ").slice(0, 16)) + '</span></div>' +
+      '<div class="divider"></div>' +
+      '<div class="row" style="gap:6px;flex-wrap:wrap"><span class="pill"><span class="muted">HC</span><b>' + escapeHtml(String(j.headcount ?? "-")) + '</b></span>' +
+        (j.level ? '<span class="pill"><span class="muted">职级</span><b>' + escapeHtml(j.level) + '</b></span>' : '') +
+        (j.budgetMin || j.budgetMax ? '<span class="pill"><span class="muted">预算月薪</span><b>' + escapeHtml(String(j.budgetMin ?? "-")) + ' - ' + escapeHtml(String(j.budgetMax ?? "-")) + '</b></span>' : '') +
+        (j.targetFillDate ? '<span class="pill"><span class="muted">期望到岗</span><b>' + escapeHtml(j.targetFillDate) + '</b></span>' : '') +
+        (j.department ? '<span class="pill"><span class="muted">部门</span><b>' + escapeHtml(j.department) + '</b></span>' : '') + '</div>' +
+      '<div style="margin-top:8px;white-space:pre-wrap">' + escapeHtml(r.justification || "") + '</div>' +
+      '<div class="muted" style="margin-top:6px;font-size:12px">' + r.steps.map(s => escapeHtml(s.name) + "（" + escapeHtml(s.status) + "）" + (s.comment ? "：" + escapeHtml(s.comment) : "")).join(" → ") + '</div>' +
+      (actions ? '<div class="row" style="margin-top:10px"><span class="spacer"></span>' + actions + '</div>' : '') +
+      '</div>';
+  };
+  const pendingHtml = pending.map(j => card(j,
+    '<button class="btn sm" onclick="decideReq(\'' + escapeHtml(j.id) + '\',false)" style="color:#f5222d">驳回</button><button class="btn sm primary" onclick="decideReq(\'' + escapeHtml(j.id) + '\',true)">通过</button>')).join("");
+  const mineHtml = mine.map(j => card(j, j.requisition.status === "审批中" ? '<button class="btn sm" onclick="withdrawReq(\'' + escapeHtml(j.id) + '\')">撤回</button>' : '')).join("");
+
+  res.send(renderPage({
+    title: "职位审批",
+    user: req.user,
+    active: "jobs",
+    contentHtml: '<div class="row"><a class="btn sm" href="/jobs">← 职位管理</a><div style="font-weight:900;font-size:18px">职位审批</div><span class="spacer"></span>' +
+        (canRequestJob(d, req.user) ? '<a class="btn primary" href="/jobs/new">申请职位</a>' : '') + '</div><div class="divider"></div>' +
+      '<div style="font-weight:900;font-size:15px;margin-bottom:8px">待我审批 <span class="muted" style="font-weight:400">' + pending.length + '</span></div>' +
+      (pendingHtml || '<div class="card"><div class="muted" style="text-align:center;padding:24px">暂无待审批的职位申请</div></div>') +
+      '<div style="font-weight:900;font-size:15px;margin:18px 0 8px">我提交的 <span class="muted" style="font-weight:400">' + mine.length + '</span></div>' +
+      (mineHtml || '<div class="card"><div class="muted" style="text-align:center;padding:24px">暂无提交的职位申请</div></div>') +
+      requisitionScript(),
+  }));
+});
+
+// 审批 / 撤回 / 重新提交，页面共用
+function requisitionScript() {
+  return '<script>async function reqPost(id,action,body){var r=await fetch("/api/jobs/"+encodeURIComponent(id)+"/requisition/"+action,{method:"POST",headers:{"Content-Type":"application/json"},body:JSON.stringify(body||{})});' +
+    'if(r.ok)location.reload();else{var d=await r.json().catch(function(){return{}});alert(d.error||"操作失败")}}' +
+    'function decideReq(id,approve){var comment=prompt(approve?"审批意见（可选）":"请填写驳回原因","");if(comment===null)return;reqPost(id,"decision",{approve:approve,comment:comment})}' +
+    'function withdrawReq(id){if(confirm("确定撤回该职位申请？"))reqPost(id,"withdraw")}' +
+    'function resubmitReq(id,text){var j=prompt("申请理由",text||"");if(j===null)return;reqPost(id,"resubmit",{justification:j})}</script>';
+}
+
+router.get("/jobs/new", requireLogin, async (req, res) => {
+  const d = await loadData();
+  if (!canRequestJob(d, req.user)) return res.status(403).send(renderPage({ title: "无权限", user: req.user, active: "jobs", contentHtml: '<div class="card"><div style="font-weight:900">无权限创建职位</div><div class="divider"></div><a class="btn" href="/jobs">返回</a></div>' }));
+  const rs = requisitionSettings(d);
+  const pageTitle = rs.enabled ? "申请职位" : "创建职位";
   const catOpts = (d.categories || []).map((c) => '<option value="' + escapeHtml(c) + '">' + escapeHtml(c) + '</option>').join("");
   const etOpts = EMPLOYMENT_TYPES.map((t) => '<option value="' + escapeHtml(t) + '">' + escapeHtml(t) + '</option>').join("");
   const prioOpts = JOB_PRIORITIES.map((p) => '<option value="' + escapeHtml(p) + '">' + escapeHtml(p) + '</option>').join("");
+  const tplOpts = allTemplates(d).map((t) => '<option value="' + escapeHtml(t.id) + '">' + escapeHtml(t.name) + '</option>').join("");
+  const scOpts = allScorecards(d).map((t) => '<option value="' + escapeHtml(t.id) + '">' + escapeHtml(t.name) + '</option>').join("");
   res.send(
     renderPage({
-      title: "创建职位",
+      title: pageTitle,
       user: req.user,
       active: "jobs",
-      contentHtml: '<div class="card" style="max-width:820px;margin:0 auto;"><div style="font-weight:900;font-size:18px">创建职位</div><div class="divider"></div><form method="POST" action="/jobs/new" id="jobForm"><div class="grid"><div class="card compact"><div class="field"><label>岗位名称</label><input name="title" required placeholder="例如：行业运营" /></div><div class="field"><label>英文岗位名称</label><input name="titleEn" placeholder="用于匹配官网岗位，例如：Industry Operations" /></div><div class="field"><label>地点</label><input name="location" placeholder="例如：上海" /></div><div class="field"><label>负责人（可添加多个）</label><input type="hidden" name="ownersJson" id="ownersJson" value="[]" /><div style="position:relative"><input id="ownerSearch" placeholder="搜索飞书用户..." autocomplete="off" /><div id="ownerDropdown" style="display:none;position:absolute;top:100%;left:0;right:0;background:#fff;border:1px solid #e5e7eb;border-radius:8px;max-height:200px;overflow-y:auto;z-index:50;box-shadow:0 4px 16px rgba(0,0,0,.1)"></div></div><div id="ownerSelected" style="margin-top:6px;display:flex;flex-wrap:wrap;gap:6px"></div></div></div><div class="card compact"><div class="field"><label>HC（招聘人数）</label><input name="headcount" type="number" min="0" placeholder="例如：2" /></div><div class="field"><label>优先级</label><select name="priority"><option value="">请选择</option>' + prioOpts + '</select></div><div class="field"><label>招聘类型</label><select name="employmentType"><option value="社招">社招</option>' + etOpts + '</select></div><div class="field"><label>职位分类</label><select name="category"><option value="">请选择</option>' + catOpts + '</select></div><div class="field"><label>岗位状态</label><select name="state"><option value="open">开放</option><option value="paused">暂停</option><option value="closed">关闭</option></select></div></div></div><div class="divider"></div><div class="field"><label>JD 描述</label><textarea name="jd" rows="8" placeholder="写清职责、要求、加分项"></textarea></div><div class="row"><button class="btn primary" type="submit">创建职位</button><a class="btn" href="/jobs">返回</a></div></form></div>' +
+      contentHtml: '<div class="card" style="max-width:820px;margin:0 auto;"><div style="font-weight:900;font-size:18px">' + pageTitle + '</div>' +
+        (rs.enabled ? '<div class="muted">提交后按设置中的审批人逐级审批' + (rs.approvers.length ? "（" + rs.approvers.map(a => escapeHtml(a.name)).join(" → ") + "）" : "（由管理员审批）") + '，全部通过后职位开放招聘。</div>' : '') +
+        '<div class="divider"></div><form method="POST" action="/jobs/new" id="jobForm"><div class="grid"><div class="card compact"><div class="field"><label>岗位名称</label><input name="title" required placeholder="例如：行业运营" /></div><div class="field"><label>英文岗位名称</label><input name="titleEn" placeholder="用于匹配官网岗位，例如：Industry Operations" /></div><div class="field"><label>地点</label><input name="location" placeholder="例如：上海" /></div><div class="field"><label>负责人（可添加多个）</label><input type="hidden" name="ownersJson" id="ownersJson" value="[]" /><div style="position:relative"><input id="ownerSearch" placeholder="搜索飞书用户..." autocomplete="off" /><div id="ownerDropdown" style="display:none;position:absolute;top:100%;left:0;right:0;background:#fff;border:1px solid #e5e7eb;border-radius:8px;max-height:200px;overflow-y:auto;z-index:50;box-shadow:0 4px 16px rgba(0,0,0,.1)"></div></div><div id="ownerSelected" style="margin-top:6px;display:flex;flex-wrap:wrap;gap:6px"></div></div></div><div class="card compact"><div class="field"><label>HC（招聘人数）</label><input name="headcount" type="number" min="' + (rs.enabled ? 1 : 0) + '" placeholder="例如：2"' + (rs.enabled ? " required" : "") + ' /></div>' + targetFillFieldHtml(null, rs.defaultFillDays) + '<div class="field"><label>优先级</label><select name="priority"><option value="">请选择</option>' + prioOpts + '</select></div>' + compFieldsHtml(d, null) + '<div class="field"><label>招聘类型</label><select name="employmentType"><option value="社招">社招</option>' + etOpts + '</select></div><div class="field"><label>职位分类</label><select name="category"><option value="">请选择</option>' + catOpts + '</select></div><div class="field"><label>招聘流程</label><select name="pipelineTemplateId">' + tplOpts + '</select></div><div class="field"><label>面试评分卡</label><select name="scorecardTemplateId"><option value="">按职位分类自动匹配</option>' + scOpts + '</select></div>' + (rs.enabled ? '' : stateSelectHtml(null)) + '</div></div><div class="divider"></div>' +
+        (rs.enabled ? '<div class="field"><label>申请理由 <span style="color:var(--red)">*</span></label><textarea name="justification" rows="4" required placeholder="业务背景、为什么需要新增 / 替换该岗位、不招的影响"></textarea></div>' : '') +
+        jdTemplatePickerHtml(d) +
+        '<div class="field"><label>JD 描述</label><textarea name="jd" id="jdInput" rows="8" placeholder="写清职责、要求、加分项"></textarea></div><div class="row"><button class="btn primary" type="submit">' + (rs.enabled ? "提交申请" : "创建职位") + '</button><a class="btn" href="/jobs">返回</a></div></form></div>' +
         '<script>' +
         'var _ownerTimer=null;var _owners=[];' +
         'function addOwner(u){if(_owners.some(function(o){return o.openId===u.openId&&o.name===u.name}))return;_owners.push({name:u.name,openId:u.openId});document.getElementById("ownerSearch").value="";document.getElementById("ownerDropdown").style.display="none";renderOwnerTags()}' +
@@ -102,12 +304,16 @@ router.get("/jobs/new", requireLogin, requireAdmin, async (req, res) => {
   );
 });
 
-router.post("/jobs/new", requireLogin, requireAdmin, async (req, res) => {
+router.post("/jobs/new", requireLogin, async (req, res) => {
   const d = await loadData();
+  if (!canRequestJob(d, req.user)) return res.status(403).send("无权限创建职位");
+  const rs = requisitionSettings(d);
   let owners = [];
   try { owners = JSON.parse(req.body.ownersJson || "[]"); } catch(e) {}
   if (!Array.isArray(owners)) owners = [];
   owners = owners.filter(o => o && o.name).map(o => ({ name: String(o.name), openId: String(o.openId || "") }));
+  // 申请人未指定负责人时默认由自己负责，保证提交后能看到该职位
+  if (rs.enabled && !owners.length && req.user?.name) owners = [{ name: req.user.name, openId: req.user.openId || "" }];
   const job = {
     id: rid("job"),
     title: String(req.body.title || "").trim(),
@@ -120,35 +326,80 @@ router.post("/jobs/new", requireLogin, requireAdmin, async (req, res) => {
     priority: String(req.body.priority || "").trim(),
     category: String(req.body.category || "").trim(),
     employmentType: String(req.body.employmentType || "社招").trim(),
-    state: String(req.body.state || "open"),
-    jd: String(req.body.jd || "").trim(),
+    pipelineTemplateId: getTemplate(d, String(req.body.pipelineTemplateId || "")).id,
+    scorecardTemplateId: getScorecard(d, String(req.body.scorecardTemplateId || ""))?.id || "",
+    ...parseCompFields(req.body),
+    state: EDITABLE_STATES.includes(req.body.state) ? req.body.state : "open",
+    jd: "",
+    targetFillDate: parseTargetFillDate(req.body.targetFillDate),
+    openedAt: "",
     createdAt: nowIso(),
     updatedAt: nowIso(),
   };
+  // 套用模板后才填写的岗位名称 / 地点，在保存时补替换占位符
+  job.jd = fillJdTemplate(String(req.body.jd || "").trim(), job);
+  if (rs.enabled) {
+    if (!(job.headcount >= 1)) return res.status(400).send("请填写 HC（至少 1 人）");
+    const r = submitRequisition(d, job, req.user, req.body.justification);
+    if (r.error) return res.status(400).send(r.error);
+  } else if (job.state === "open") {
+    job.openedAt = nowIso();
+  }
   d.jobs.unshift(job);
+  recordJobVersion(d, job, req.user, { note: "创建职位" });
   await saveData(d);
+  audit(req, { entityType: "job", entityId: job.id, entityName: job.title, after: job });
+  // 所有审批节点在提交时自动通过（如唯一的管理员自己申请）时职位已直接开放，无需通知
+  if (pendingRequisitionStep(job)) {
+    await notifyRequisition(req, d, job, "职位申请待审批", "请审批该职位申请。", stepOpenIds(d, pendingRequisitionStep(job)), { toApprover: true });
+  }
   res.redirect(303, "/jobs/" + job.id);
 });
 
 router.get("/jobs/:id", requireLogin, async (req, res) => {
   const d = await loadData();
   const job = d.jobs.find((x) => x.id === req.params.id);
-  if (!job) {
-    return res.send(renderPage({ title: "岗位不存在", user: req.user, active: "jobs", contentHtml: '<div class="card"><div style="font-weight:900">岗位不存在</div><div class="divider"></div><a class="btn" href="/jobs">返回</a></div>' }));
-  }
-  // 权限检查：member 只能查看自己负责的岗位
-  const visibleJobIds = getVisibleJobIds(req.user, d.jobs);
-  if (visibleJobIds !== null && !visibleJobIds.has(job.id)) {
-    return res.send(renderPage({ title: "无权限", user: req.user, active: "jobs", contentHtml: '<div class="card"><div style="font-weight:900">无权限查看该岗位</div><div class="muted">该岗位不在您的负责范围内</div><div class="divider"></div><a class="btn" href="/jobs">返回</a></div>' }));
-  }
+  if (!job) return jobNotFoundPage(req, res);
+  if (!canViewJob(d, job, req.user)) return noAccessPage(req, res);
+  const isApprover = canDecideRequisition(job, req.user);
 
   const catOpts = (d.categories || []).map((c) => '<option value="' + escapeHtml(c) + '" ' + (job.category === c ? "selected" : "") + '>' + escapeHtml(c) + '</option>').join("");
+  const jobTplId = getJobTemplate(d, job).id;
+  const tplOpts2 = allTemplates(d).map((t) => '<option value="' + escapeHtml(t.id) + '" ' + (jobTplId === t.id ? "selected" : "") + '>' + escapeHtml(t.name) + '</option>').join("");
+  const scOpts2 = allScorecards(d).map((t) => '<option value="' + escapeHtml(t.id) + '" ' + (job.scorecardTemplateId === t.id ? "selected" : "") + '>' + escapeHtml(t.name) + '</option>').join("");
   const etOpts2 = EMPLOYMENT_TYPES.map((t) => '<option value="' + escapeHtml(t) + '" ' + ((job.employmentType || "社招") === t ? "selected" : "") + '>' + escapeHtml(t) + '</option>').join("");
   const prioOpts2 = JOB_PRIORITIES.map((p) => '<option value="' + escapeHtml(p) + '" ' + (job.priority === p ? "selected" : "") + '>' + escapeHtml(p) + '</option>').join("");
   const st = jobFunnelStats(d, job.id);
   const funnel = '<span class="pill"><span class="muted">总</span><b>' + st.total + '</b></span><span class="pill"><span class="muted">待筛选</span><b>' + st["待筛选"] + '</b></span><span class="pill"><span class="muted">面试中</span><b>' + st["面试中"] + '</b></span><span class="pill"><span class="muted">Offer</span><b>' + st["Offer发放"] + '</b></span><span class="pill"><span class="muted">入职</span><b>' + st["入职"] + '</b></span><span class="pill"><span class="muted">淘汰</span><b>' + st["淘汰"] + '</b></span>';
 
   const isAdmin = req.user?.role === "admin";
+  const rs = requisitionSettings(d);
+  const fill = jobFill(d, job);
+  const target = jobTargetFillDate(d, job);
+  const fillCardHtml = '<div class="card"><div class="row" style="gap:16px;flex-wrap:wrap"><div style="font-weight:900">HC 进度</div><div style="width:220px">' + fillHtml(d, job) + '</div>' +
+    (job.state === "open" ? '<span class="pill"><span class="muted">已开放</span><b>' + jobDaysOpen(job) + ' 天</b></span>' : '') +
+    (target ? '<span class="pill"><span class="muted">期望到岗</span><b>' + escapeHtml(target) + '</b></span>' : '') +
+    '<span class="spacer"></span>' + stateBadge(job) + '</div></div><div style="height:12px"></div>';
+
+  // 职位申请：审批进度、当前审批人操作、申请人撤回 / 重新提交
+  const r = job.requisition;
+  let requisitionHtml = "";
+  if (r) {
+    const canManage = isAdmin || isRequester(job, req.user);
+    const actions = [
+      isApprover ? '<button class="btn sm" onclick="decideReq(\'' + escapeHtml(job.id) + '\',false)" style="color:#f5222d">驳回</button><button class="btn sm primary" onclick="decideReq(\'' + escapeHtml(job.id) + '\',true)">通过</button>' : '',
+      canManage && r.status === "审批中" ? '<button class="btn sm" onclick="withdrawReq(\'' + escapeHtml(job.id) + '\')">撤回申请</button>' : '',
+      canManage && job.state === "rejected" ? '<button class="btn sm primary" onclick="resubmitReq(\'' + escapeHtml(job.id) + '\',' + escapeHtml(JSON.stringify(r.justification || "")) + ')">重新提交</button>' : '',
+    ].join("");
+    requisitionHtml = '<div class="card"><div class="row"><div style="font-weight:900">职位申请</div><span class="badge ' + ({ "审批中": "status-blue", "已通过": "status-green", "已驳回": "status-red", "已撤回": "status-gray" }[r.status] || "status-gray") + '" style="font-size:11px">' + escapeHtml(r.status) + '</span>' +
+        '<span class="muted" style="font-size:12px">' + escapeHtml(r.requestedBy?.name || "-") + ' 提交于 ' + escapeHtml((r.requestedAt || "").replace("T", " ").slice(0, 16)) + '</span><span class="spacer"></span>' + actions + '</div>' +
+      '<div class="divider"></div>' +
+      '<div style="white-space:pre-wrap">' + escapeHtml(r.justification || "") + '</div>' +
+      '<div class="muted" style="margin-top:8px;font-size:12px">' + r.steps.map(s => escapeHtml(s.name) + "（" + escapeHtml(s.status) + (s.at ? " " + escapeHtml(s.at.replace("T", " ").slice(0, 16)) : "") + "）" + (s.comment ? "：" + escapeHtml(s.comment) : "")).join(" → ") + '</div>' +
+      (job.state === "rejected" && canManage ? '<div class="muted" style="margin-top:6px;font-size:12px">' + (isAdmin ? "可先修改下方的 HC、职级、预算等信息，再重新提交审批" : "如需调整 HC、职级或预算，请联系管理员修改后再重新提交") + '</div>' : '') +
+      '</div><div style="height:12px"></div>' + requisitionScript();
+  }
+
   const deleteBtn = isAdmin
     ? '<form method="POST" action="/jobs/' + escapeHtml(job.id) + '/delete" style="display:inline" onsubmit="return confirm(\'确定删除此职位？\')"><button class="btn danger sm" type="submit">删除职位</button></form>'
     : '';
@@ -159,7 +410,7 @@ router.get("/jobs/:id", requireLogin, async (req, res) => {
     : (job.owner ? [{ name: job.owner, openId: job.ownerOpenId || "" }] : []);
   const ownersInitJson = JSON.stringify(existingOwners).replace(/"/g, '&quot;');
 
-  const jobBodyHtml = '<div class="card" style="max-width:980px;margin:0 auto;"><div class="muted">填写 & 修改岗位信息</div><div class="divider"></div><form method="POST" action="/jobs/' + escapeHtml(job.id) + '" id="jobForm"><div class="grid"><div class="card compact"><div class="field"><label>岗位名称</label><input name="title" value="' + escapeHtml(job.title || "") + '" /></div><div class="field"><label>英文岗位名称</label><input name="titleEn" value="' + escapeHtml(job.titleEn || "") + '" placeholder="用于匹配官网岗位" /></div><div class="field"><label>地点</label><input name="location" value="' + escapeHtml(job.location || "") + '" /></div><div class="field"><label>负责人（可添加多个）</label><input type="hidden" name="ownersJson" id="ownersJson" value="' + ownersInitJson + '" /><div style="position:relative"><input id="ownerSearch" placeholder="搜索飞书用户..." autocomplete="off" /><div id="ownerDropdown" style="display:none;position:absolute;top:100%;left:0;right:0;background:#fff;border:1px solid #e5e7eb;border-radius:8px;max-height:200px;overflow-y:auto;z-index:50;box-shadow:0 4px 16px rgba(0,0,0,.1)"></div></div><div id="ownerSelected" style="margin-top:6px;display:flex;flex-wrap:wrap;gap:6px"></div></div></div><div class="card compact"><div class="field"><label>HC（招聘人数）</label><input name="headcount" type="number" min="0" value="' + escapeHtml(job.headcount ?? "") + '" /></div><div class="field"><label>优先级</label><select name="priority"><option value="">请选择</option>' + prioOpts2 + '</select></div><div class="field"><label>招聘类型</label><select name="employmentType">' + etOpts2 + '</select></div><div class="field"><label>职位分类</label><select name="category"><option value="">请选择</option>' + catOpts + '</select></div><div class="field"><label>岗位状态</label><select name="state"><option value="open" ' + (job.state === "open" ? "selected" : "") + '>开放</option><option value="paused" ' + (job.state === "paused" ? "selected" : "") + '>暂停</option><option value="closed" ' + (job.state === "closed" ? "selected" : "") + '>关闭</option></select></div></div></div><div class="divider"></div><div class="field"><label>JD 描述</label><textarea name="jd" rows="10">' + escapeHtml(job.jd || "") + '</textarea></div><div class="row"><button class="btn primary" type="submit">保存岗位信息</button><a class="btn" href="/jobs">返回列表</a></div></form></div>' +
+  const jobBodyHtml = '<div class="card" style="max-width:980px;margin:0 auto;"><div class="muted">填写 & 修改岗位信息</div><div class="divider"></div><form method="POST" action="/jobs/' + escapeHtml(job.id) + '" id="jobForm"><div class="grid"><div class="card compact"><div class="field"><label>岗位名称</label><input name="title" value="' + escapeHtml(job.title || "") + '" /></div><div class="field"><label>英文岗位名称</label><input name="titleEn" value="' + escapeHtml(job.titleEn || "") + '" placeholder="用于匹配官网岗位" /></div><div class="field"><label>地点</label><input name="location" value="' + escapeHtml(job.location || "") + '" /></div><div class="field"><label>负责人（可添加多个）</label><input type="hidden" name="ownersJson" id="ownersJson" value="' + ownersInitJson + '" /><div style="position:relative"><input id="ownerSearch" placeholder="搜索飞书用户..." autocomplete="off" /><div id="ownerDropdown" style="display:none;position:absolute;top:100%;left:0;right:0;background:#fff;border:1px solid #e5e7eb;border-radius:8px;max-height:200px;overflow-y:auto;z-index:50;box-shadow:0 4px 16px rgba(0,0,0,.1)"></div></div><div id="ownerSelected" style="margin-top:6px;display:flex;flex-wrap:wrap;gap:6px"></div></div></div><div class="card compact"><div class="field"><label>HC（招聘人数）</label><input name="headcount" type="number" min="0" value="' + escapeHtml(job.headcount ?? "") + '" /></div>' + targetFillFieldHtml(job, rs.defaultFillDays) + '<div class="field"><label>优先级</label><select name="priority"><option value="">请选择</option>' + prioOpts2 + '</select></div>' + compFieldsHtml(d, job) + '<div class="field"><label>招聘类型</label><select name="employmentType">' + etOpts2 + '</select></div><div class="field"><label>职位分类</label><select name="category"><option value="">请选择</option>' + catOpts + '</select></div><div class="field"><label>招聘流程</label><select name="pipelineTemplateId">' + tplOpts2 + '</select><div class="muted" style="font-size:12px;margin-top:4px">更换流程后，候选人的面试状态按轮次顺序对应到新流程</div></div><div class="field"><label>面试评分卡</label><select name="scorecardTemplateId"><option value="">按职位分类自动匹配</option>' + scOpts2 + '</select></div>' + stateSelectHtml(job) + '</div></div><div class="divider"></div><div class="field"><label>JD 描述</label><textarea name="jd" rows="10">' + escapeHtml(job.jd || "") + '</textarea></div><div class="row"><button class="btn primary" type="submit">保存岗位信息</button><a class="btn" href="/jobs">返回列表</a></div></form></div>' +
     '<script>' +
     'var _ownerTimer=null;var _owners=JSON.parse(document.getElementById("ownersJson").value||"[]");renderOwnerTags();' +
     'function addOwner(u){if(_owners.some(function(o){return o.openId===u.openId&&o.name===u.name}))return;_owners.push({name:u.name,openId:u.openId});document.getElementById("ownerSearch").value="";document.getElementById("ownerDropdown").style.display="none";renderOwnerTags()}' +
@@ -175,7 +426,8 @@ router.get("/jobs/:id", requireLogin, async (req, res) => {
       title: job.title || "岗位详情",
       user: req.user,
       active: "jobs",
-      contentHtml: '<div class="row"><div style="font-weight:900;font-size:18px">' + escapeHtml(job.title || "岗位详情") + '</div><span class="spacer"></span><a class="btn" href="/candidates?jobId=' + escapeHtml(job.id) + '">该岗位候选人</a>' + deleteBtn + '</div><div class="divider"></div>' +
+      contentHtml: '<div class="row"><div style="font-weight:900;font-size:18px">' + escapeHtml(job.title || "岗位详情") + '</div><span class="spacer"></span><a class="btn" href="/jobs/' + escapeHtml(job.id) + '/versions">版本记录' + (job.version ? " v" + job.version : "") + '</a><a class="btn" href="/candidates?jobId=' + escapeHtml(job.id) + '">该岗位候选人</a>' + deleteBtn + '</div><div class="divider"></div>' +
+        requisitionHtml + fillCardHtml +
         '<div class="card"><div class="row"><div style="font-weight:900">招聘数据</div><span class="spacer"></span>' + funnel + '</div></div><div style="height:12px"></div>' +
         jobBodyHtml,
     })
@@ -186,6 +438,7 @@ router.post("/jobs/:id", requireLogin, requireAdmin, async (req, res) => {
   const d = await loadData();
   const job = d.jobs.find((x) => x.id === req.params.id);
   if (!job) return res.redirect(303, "/jobs");
+  const before = snapshot(job);
   let owners = [];
   try { owners = JSON.parse(req.body.ownersJson || "[]"); } catch(e) {}
   if (!Array.isArray(owners)) owners = [];
@@ -200,21 +453,240 @@ router.post("/jobs/:id", requireLogin, requireAdmin, async (req, res) => {
   job.priority = String(req.body.priority || "").trim();
   job.category = String(req.body.category || "").trim();
   job.employmentType = String(req.body.employmentType || "社招").trim();
-  job.state = String(req.body.state || "open");
+  // 待审批 / 未通过的职位只能走审批流转；手动调整状态后清除自动暂停原因
+  if (EDITABLE_STATES.includes(job.state) && EDITABLE_STATES.includes(req.body.state) && req.body.state !== job.state) {
+    job.state = req.body.state;
+    job.pausedReason = "";
+    if (job.state === "open" && !job.openedAt) job.openedAt = nowIso();
+  }
+  if (req.body.targetFillDate !== undefined) job.targetFillDate = parseTargetFillDate(req.body.targetFillDate);
   job.jd = String(req.body.jd || "").trim();
+  if (req.body.level !== undefined) Object.assign(job, parseCompFields(req.body));
+  if (req.body.scorecardTemplateId !== undefined) job.scorecardTemplateId = getScorecard(d, String(req.body.scorecardTemplateId || ""))?.id || "";
   job.updatedAt = nowIso();
+  // 更换流程模板：把该岗位候选人的状态映射到新模板
+  if (req.body.pipelineTemplateId !== undefined) {
+    const fromTpl = getJobTemplate(d, job);
+    const toTpl = getTemplate(d, String(req.body.pipelineTemplateId || ""));
+    if (toTpl.id !== fromTpl.id) {
+      job.pipelineTemplateId = toTpl.id;
+      for (const c of d.candidates.filter((x) => x.jobId === job.id)) {
+        const next = migrateStatus(fromTpl, toTpl, c.status || "待筛选");
+        if (next === (c.status || "待筛选")) continue;
+        pushEvent(d, { candidateId: c.id, type: "状态同步", message: "岗位流程更换为「" + toTpl.name + "」，状态：" + (c.status || "待筛选") + " -> " + next, actor: req.user?.name || "系统" });
+        c.status = next;
+        c.updatedAt = nowIso();
+      }
+    }
+  }
+  recordJobVersion(d, job, req.user, { before });
   await saveData(d);
+  audit(req, { entityType: "job", entityId: job.id, entityName: job.title, before, after: job });
   res.redirect(303, "/jobs/" + job.id);
 });
 
+// ====== 职位版本记录 ======
+const fmtTime = (t) => escapeHtml(String(t || "").replace("T", " ").slice(0, 16));
+
+// 负责人按姓名展示，其余字段原样比较；JD 单独按行对比
+function displaySnapshot(snap) {
+  const { jd, ...rest } = snap || {};
+  return { ...rest, owners: (Array.isArray(rest.owners) ? rest.owners : []).map((o) => o.name).join("、") };
+}
+
+function versionAuthor(v) {
+  return v.author ? escapeHtml(v.author) : '<span class="muted">-</span>';
+}
+
+router.get("/jobs/:id/versions", requireLogin, async (req, res) => {
+  const d = await loadData();
+  const job = d.jobs.find((x) => x.id === req.params.id);
+  if (!job) return jobNotFoundPage(req, res);
+  if (!canViewJob(d, job, req.user)) return noAccessPage(req, res);
+  const list = jobVersions(d, job.id);
+  const isAdmin = req.user?.role === "admin";
+  // 各版本期间投递的候选人数
+  const counts = new Map();
+  for (const c of d.candidates) {
+    if (c.jobId !== job.id) continue;
+    const v = candidateJobVersion(d, c);
+    if (v) counts.set(v.id, (counts.get(v.id) || 0) + 1);
+  }
+  const base = "/jobs/" + encodeURIComponent(job.id) + "/versions/";
+  const rows = list.map((v, i) => {
+    const prev = list[i + 1];
+    return '<tr><td><a href="' + base + encodeURIComponent(v.id) + '"><b>v' + v.version + '</b></a>' + (i === 0 ? ' <span class="badge status-green" style="font-size:11px">当前</span>' : '') + '</td>' +
+      '<td>' + fmtTime(v.createdAt) + '</td><td>' + versionAuthor(v) + '</td>' +
+      '<td>' + (v.changedFields.length ? escapeHtml(v.changedFields.map(fieldLabel).join("、")) : '<span class="muted">-</span>') + '</td>' +
+      '<td>' + (v.note ? escapeHtml(v.note) : '<span class="muted">-</span>') + '</td>' +
+      '<td>' + (counts.get(v.id) || 0) + '</td>' +
+      '<td><div class="row" style="gap:6px;flex-wrap:nowrap">' +
+        (prev ? '<a class="btn sm" href="' + base + encodeURIComponent(v.id) + '?compare=' + encodeURIComponent(prev.id) + '">对比上一版</a>' : '') +
+        (isAdmin && i > 0 ? '<form method="POST" action="' + base + encodeURIComponent(v.id) + '/restore" style="display:inline" onsubmit="return confirm(\'确定将职位内容还原为 v' + v.version + '？当前内容会保留在版本记录中。\')"><button class="btn sm" type="submit">还原</button></form>' : '') +
+      '</div></td></tr>';
+  }).join("");
+  res.send(renderPage({
+    title: "版本记录 - " + (job.title || "岗位"),
+    user: req.user,
+    active: "jobs",
+    contentHtml: '<div class="row"><div style="font-weight:900;font-size:18px">' + escapeHtml(job.title || "岗位") + ' · 版本记录</div><span class="spacer"></span><a class="btn" href="/jobs/' + escapeHtml(job.id) + '">返回岗位</a></div><div class="divider"></div>' +
+      '<div class="card"><div class="muted" style="margin-bottom:8px">每次保存岗位时，名称、负责人、HC、JD 等对外发布的内容有变化就会生成一个版本；候选人按投递时的版本计数。</div>' +
+      (rows
+        ? '<table><thead><tr><th>版本</th><th>时间</th><th>修改人</th><th>变更字段</th><th>备注</th><th>投递候选人</th><th>操作</th></tr></thead><tbody>' + rows + '</tbody></table>'
+        : '<div class="muted">暂无版本记录，保存岗位信息后开始记录</div>') +
+      '</div>',
+  }));
+});
+
+router.get("/jobs/:id/versions/:vid", requireLogin, async (req, res) => {
+  const d = await loadData();
+  const job = d.jobs.find((x) => x.id === req.params.id);
+  if (!job) return jobNotFoundPage(req, res);
+  if (!canViewJob(d, job, req.user)) return noAccessPage(req, res);
+  const v = findJobVersion(d, job.id, req.params.vid);
+  if (!v) return res.redirect(303, "/jobs/" + encodeURIComponent(job.id) + "/versions");
+  const list = jobVersions(d, job.id);
+  // 默认与上一版本对比，?compare= 可指定任一版本
+  const other = req.query.compare !== undefined ? findJobVersion(d, job.id, String(req.query.compare)) : list.find((x) => x.version < v.version);
+  const [from, to] = other && other.version > v.version ? [v, other] : [other, v];
+
+  const base = "/jobs/" + encodeURIComponent(job.id) + "/versions/";
+  const compareOpts = list.filter((x) => x.id !== v.id).map((x) => '<option value="' + escapeHtml(x.id) + '"' + (other?.id === x.id ? " selected" : "") + '>v' + x.version + ' · ' + fmtTime(x.createdAt) + '</option>').join("");
+  const compareForm = compareOpts
+    ? '<form method="GET" action="' + base + encodeURIComponent(v.id) + '" class="row" style="gap:6px;flex-wrap:nowrap"><span class="muted">对比</span><select name="compare" onchange="this.form.submit()"><option value="">不对比</option>' + compareOpts + '</select></form>'
+    : '';
+
+  let bodyHtml;
+  if (from) {
+    const changes = snapshotChanges(displaySnapshot(from.snapshot), displaySnapshot(to.snapshot));
+    const jdLines = lineDiff(from.snapshot.jd, to.snapshot.jd);
+    const jdChanged = jdLines.some((l) => l.type !== "same");
+    const lineStyle = { add: "background:var(--green-bg);color:#1f9960", del: "background:var(--red-bg);color:var(--red);text-decoration:line-through" };
+    bodyHtml = '<div class="card"><div style="font-weight:900">字段变更 <span class="muted" style="font-weight:400;font-size:12px">v' + from.version + ' → v' + to.version + '</span></div><div class="divider"></div>' +
+        (changes.length
+          ? '<table><thead><tr><th>字段</th><th>v' + from.version + '</th><th>v' + to.version + '</th></tr></thead><tbody>' +
+            changes.map((c) => '<tr><td>' + escapeHtml(fieldLabel(c.field)) + '</td><td>' + escapeHtml(c.from || "-") + '</td><td>' + escapeHtml(c.to || "-") + '</td></tr>').join("") + '</tbody></table>'
+          : '<div class="muted">除 JD 外无字段变更</div>') +
+      '</div><div style="height:12px"></div>' +
+      '<div class="card"><div style="font-weight:900">JD 对比</div><div class="divider"></div>' +
+        (jdChanged
+          ? '<div style="font-family:ui-monospace,monospace;font-size:13px;white-space:pre-wrap">' +
+            jdLines.map((l) => '<div style="padding:1px 6px;' + (lineStyle[l.type] || "") + '">' + (l.type === "add" ? "+ " : l.type === "del" ? "- " : "  ") + escapeHtml(l.text) + '</div>').join("") + '</div>'
+          : '<div class="muted">JD 无变化</div>') +
+      '</div>';
+  } else {
+    const snap = displaySnapshot(v.snapshot);
+    bodyHtml = '<div class="card"><table><tbody>' +
+        Object.entries(snap).filter(([, val]) => val !== null && val !== "").map(([k, val]) => '<tr><td style="width:140px">' + escapeHtml(fieldLabel(k)) + '</td><td>' + escapeHtml(typeof val === "object" ? JSON.stringify(val) : String(val)) + '</td></tr>').join("") +
+      '</tbody></table></div><div style="height:12px"></div>' +
+      '<div class="card"><div style="font-weight:900">JD</div><div class="divider"></div><div style="white-space:pre-wrap">' + (v.snapshot.jd ? escapeHtml(v.snapshot.jd) : '<span class="muted">未填写</span>') + '</div></div>';
+  }
+
+  const isCurrent = list[0]?.id === v.id;
+  const restoreBtn = req.user?.role === "admin" && !isCurrent
+    ? '<form method="POST" action="' + base + encodeURIComponent(v.id) + '/restore" style="display:inline" onsubmit="return confirm(\'确定将职位内容还原为 v' + v.version + '？当前内容会保留在版本记录中。\')"><button class="btn" type="submit">还原为此版本</button></form>'
+    : '';
+  res.send(renderPage({
+    title: "v" + v.version + " - " + (job.title || "岗位"),
+    user: req.user,
+    active: "jobs",
+    contentHtml: '<div class="row"><div style="font-weight:900;font-size:18px">' + escapeHtml(job.title || "岗位") + ' · v' + v.version + '</div>' + (isCurrent ? '<span class="badge status-green" style="font-size:11px">当前</span>' : '') +
+        '<span class="muted" style="font-size:12px">' + versionAuthor(v) + ' 保存于 ' + fmtTime(v.createdAt) + (v.note ? " · " + escapeHtml(v.note) : "") + '</span>' +
+        '<span class="spacer"></span>' + compareForm + restoreBtn + '<a class="btn" href="' + base.slice(0, -1) + '">全部版本</a></div><div class="divider"></div>' +
+      bodyHtml,
+  }));
+});
+
+// 还原为历史版本：生成新版本，不改动招聘流程、状态等未纳入版本的字段
+router.post("/jobs/:id/versions/:vid/restore", requireLogin, requireAdmin, async (req, res) => {
+  const d = await loadData();
+  const job = d.jobs.find((x) => x.id === req.params.id);
+  if (!job) return res.redirect(303, "/jobs");
+  const v = findJobVersion(d, job.id, req.params.vid);
+  if (!v) return res.redirect(303, "/jobs/" + encodeURIComponent(job.id) + "/versions");
+  const before = snapshot(job);
+  restoreJobVersion(d, job, v, req.user);
+  await saveData(d);
+  audit(req, { entityType: "job", entityId: job.id, entityName: job.title, before, after: job });
+  res.redirect(303, "/jobs/" + encodeURIComponent(job.id) + "/versions");
+});
+
+// ====== 职位申请审批 API ======
+function findRequisitionJob(d, req) {
+  const job = d.jobs.find((x) => x.id === req.params.id);
+  if (!job || !job.requisition) return { status: 404, error: "职位申请不存在" };
+  return { job };
+}
+
+// 当前审批人通过 / 驳回；全部通过后职位开放，结果通知申请人
+router.post("/api/jobs/:id/requisition/decision", requireLogin, async (req, res) => {
+  const d = await loadData();
+  const { job, status, error } = findRequisitionJob(d, req);
+  if (error) return res.status(status).json({ error });
+  const approve = req.body.approve === true || req.body.approve === "true";
+  const comment = String(req.body.comment || "").trim();
+  if (!approve && !comment) return res.status(400).json({ error: "驳回时请填写原因" });
+  const before = snapshot(job);
+  const r = decideRequisition(d, job, req.user, approve, comment);
+  if (r.error) return res.status(403).json({ error: r.error });
+  // 审批通过时可能按默认招聘周期补上期望到岗日期
+  recordJobVersion(d, job, req.user, { before, note: "职位申请审批通过" });
+  await saveData(d);
+  audit(req, { entityType: "job", entityId: job.id, entityName: job.title, before, after: job });
+
+  const next = pendingRequisitionStep(job);
+  if (next) {
+    await notifyRequisition(req, d, job, "职位申请待审批", `**上一级**：${req.user?.name || "-"} 已通过\n请审批该职位申请。`, stepOpenIds(d, next), { toApprover: true });
+  } else if (r.finished) {
+    const by = job.requisition.requestedBy;
+    await notifyRequisition(req, d, job, "职位申请" + job.requisition.status, `**审批人**：${req.user?.name || "-"}` + (comment ? `\n**意见**：${comment}` : "") + (approve ? "\n职位已开放招聘。" : ""), [by.openId || userOpenId(d, by.name)]);
+  }
+  res.json({ ok: true, status: job.requisition.status, state: job.state });
+});
+
+router.post("/api/jobs/:id/requisition/withdraw", requireLogin, async (req, res) => {
+  const d = await loadData();
+  const { job, status, error } = findRequisitionJob(d, req);
+  if (error) return res.status(status).json({ error });
+  if (req.user?.role !== "admin" && !isRequester(job, req.user)) return res.status(403).json({ error: "只有申请人或管理员可以撤回" });
+  const before = snapshot(job);
+  const r = withdrawRequisition(job);
+  if (r.error) return res.status(400).json({ error: r.error });
+  await saveData(d);
+  audit(req, { entityType: "job", entityId: job.id, entityName: job.title, before, after: job });
+  res.json({ ok: true });
+});
+
+// 被驳回 / 撤回后重新提交，审批从第一级重新开始
+router.post("/api/jobs/:id/requisition/resubmit", requireLogin, async (req, res) => {
+  const d = await loadData();
+  const { job, status, error } = findRequisitionJob(d, req);
+  if (error) return res.status(status).json({ error });
+  if (req.user?.role !== "admin" && !isRequester(job, req.user)) return res.status(403).json({ error: "只有申请人或管理员可以重新提交" });
+  if (job.state !== "rejected") return res.status(400).json({ error: "只有未通过的职位申请可以重新提交" });
+  if (!(Number(job.headcount) >= 1)) return res.status(400).json({ error: "请先填写 HC（至少 1 人）" });
+  const before = snapshot(job);
+  // 重新提交的申请人仍记为原申请人，便于其继续跟进
+  const requester = job.requisition.requestedBy;
+  const r = submitRequisition(d, job, isRequester(job, req.user) ? req.user : requester, req.body.justification);
+  if (r.error) return res.status(400).json({ error: r.error });
+  await saveData(d);
+  audit(req, { entityType: "job", entityId: job.id, entityName: job.title, before, after: job });
+  if (pendingRequisitionStep(job)) {
+    await notifyRequisition(req, d, job, "职位申请待审批", "申请人已重新提交，请审批该职位申请。", stepOpenIds(d, pendingRequisitionStep(job)), { toApprover: true });
+  }
+  res.json({ ok: true, status: job.requisition.status, state: job.state });
+});
+
 // 删除职位
 router.post("/jobs/:id/delete", requireLogin, requireAdmin, async (req, res) => {
   const d = await loadData();
   const idx = d.jobs.findIndex((x) => x.id === req.params.id);
   if (idx > -1) {
-    d.jobs.splice(idx, 1);
+    const [job] = d.jobs.splice(idx, 1);
     await deleteFromSupabase("jobs", req.params.id);
     await saveData(d);
+    audit(req, { entityType: "job", entityId: job.id, entityName: job.title, before: job });
   }
   res.redirect(303, "/jobs");
 });
@@ -0,0 +1,81 @@
+import { Router } from "express";
+import { requireLogin } from "../auth.mjs";
+import { loadData, saveData, toBjTime } from "../db.mjs";
+import { renderPage, escapeHtml } from "../ui.mjs";
+import { getVisibleJobIds } from "../helpers.mjs";
+import { userKey, canSeeNote, isUnreadMention, mentionsFor, renderNoteMarkdown } from "../notes.mjs";
+
+const router = Router();
+
+// ====== @提及收件箱 ======
+
+router.get("/mentions", requireLogin, async (req, res) => {
+  const d = await loadData();
+  const all = req.query.all === "1";
+  const mentions = mentionsFor(d, req.user);
+  const list = (all ? mentions : mentions.filter(x => x.unread)).slice(0, 200);
+  const unreadCount = mentions.filter(x => x.unread).length;
+  const itemsHtml = list.map(({ n, c, unread }) => {
+    const parent = n.parentId ? d.notes.find(x => x.id === n.parentId) : null;
+    return '<div class="card compact" style="margin-bottom:10px;' + (unread ? 'border-left:3px solid #7c3aed' : 'opacity:.75') + '">' +
+      '<div class="row" style="gap:8px;font-size:13px">' +
+        '<b>' + escapeHtml(n.authorName || "未知") + '</b><span class="muted">在</span>' +
+        '<a href="/candidates/' + escapeHtml(c.id) + '" style="font-weight:600">' + escapeHtml(c.name || "未命名") + '</a>' +
+        '<span class="muted">（' + escapeHtml(c.jobTitle || "-") + '）的' + (parent ? '备注回复' : '备注') + '中提到了你</span>' +
+        (n.visibility === "private" ? '<span class="badge" style="font-size:11px;background:#ede9fe;color:#7c3aed">私密</span>' : '') +
+        '<span class="spacer"></span><span class="muted" style="font-size:12px">' + escapeHtml(toBjTime(n.createdAt || "").slice(0, 16)) + '</span>' +
+      '</div>' +
+      (parent ? '<div class="muted" style="font-size:12px;margin-top:6px;padding-left:8px;border-left:2px solid #e5e7eb">' + escapeHtml(parent.authorName || "") + '：' + escapeHtml(parent.content.slice(0, 80)) + (parent.content.length > 80 ? "..." : "") + '</div>' : '') +
+      '<div class="note-md" style="margin-top:8px">' + renderNoteMarkdown(n.content) + '</div>' +
+      '<div class="row" style="gap:8px;margin-top:8px">' +
+        '<a class="btn sm primary" href="/mentions/' + escapeHtml(n.id) + '">查看并回复</a>' +
+        (unread ? '<button class="btn sm" onclick="markMentionsRead([\'' + escapeHtml(n.id) + '\'])">标为已读</button>' : '') +
+      '</div>' +
+    '</div>';
+  }).join("");
+  res.send(renderPage({
+    title: "@提及",
+    user: req.user,
+    active: "mentions",
+    contentHtml: '<div class="row"><div style="font-weight:900;font-size:18px">@提及</div><span class="spacer"></span>' +
+      (unreadCount ? '<button class="btn" onclick="markMentionsRead(null)">全部标为已读</button>' : '') + '</div>' +
+      '<div class="divider"></div>' +
+      '<div class="seg" style="margin-bottom:12px">' +
+        '<a href="/mentions" class="' + (all ? '' : 'active') + '">未读' + (unreadCount ? ' <span class="badge status-red" style="font-size:11px">' + unreadCount + '</span>' : '') + '</a>' +
+        '<a href="/mentions?all=1" class="' + (all ? 'active' : '') + '">全部 <span class="badge status-gray" style="font-size:11px">' + mentions.length + '</span></a>' +
+      '</div>' +
+      (itemsHtml || '<div class="card"><div class="muted" style="text-align:center;padding:24px">' + (all ? '还没有人在备注中提到你' : '没有未读的提及') + '</div></div>') +
+      '<script>async function markMentionsRead(ids){var r=await fetch("/api/mentions/read",{method:"POST",headers:{"Content-Type":"application/json"},body:JSON.stringify({ids:ids})});if(r.ok)location.reload();else{var d=await r.json().catch(function(){return{}});alert(d.error||"操作失败")}}</script>',
+  }));
+});
+
+// 飞书消息里的链接：标记已读后跳到候选人详情的对应备注
+router.get("/mentions/:noteId", requireLogin, async (req, res) => {
+  const d = await loadData();
+  const uid = userKey(req.user);
+  const n = (d.notes || []).find(x => x.id === req.params.noteId);
+  const c = n && d.candidates.find(x => x.id === n.candidateId);
+  const vj = getVisibleJobIds(req.user, d.jobs);
+  if (!c || !canSeeNote(d, n, uid) || (vj !== null && !vj.has(c.jobId))) return res.redirect("/mentions?all=1");
+  if (isUnreadMention(n, uid)) {
+    n.mentionReadBy = [...(n.mentionReadBy || []), uid];
+    await saveData(d);
+  }
+  res.redirect("/candidates/" + encodeURIComponent(n.candidateId) + "#note-" + encodeURIComponent(n.id));
+});
+
+router.post("/api/mentions/read", requireLogin, async (req, res) => {
+  const d = await loadData();
+  const uid = userKey(req.user);
+  const ids = Array.isArray(req.body?.ids) ? new Set(req.body.ids) : null;
+  let changed = 0;
+  for (const { n, unread } of mentionsFor(d, req.user)) {
+    if (!unread || (ids && !ids.has(n.id))) continue;
+    n.mentionReadBy = [...(n.mentionReadBy || []), uid];
+    changed++;
+  }
+  if (changed) await saveData(d);
+  res.json({ ok: true, count: changed });
+});
+
+export default router;
@@ -0,0 +1,284 @@
+import { Router } from "express";
+import { requireLogin } from "../auth.mjs";
+import { loadData, saveData, nowIso, rid, toBjTime } from "../db.mjs";
+import { renderPage, escapeHtml } from "../ui.mjs";
+import { OFFER_STATUSES, OFFER_APPROVAL_DRIVEN } from "../constants.mjs";
+import { getVisibleJobIds, pushEvent } from "../helpers.mjs";
+import { feishuEnabled, sendFeishuMessage } from "../feishu.mjs";
+import {
+  approvalRequired, currentVersion, offerSummary, parseOfferVersionInput, versionChanged, createOfferVersion,
+  submitOfferApproval, decideOfferApproval, withdrawOfferApproval, syncFeishuApproval, pendingStep, isStepApprover,
+  renderOfferLetter, offerLetterDocument, newLetterToken,
+} from "../offer.mjs";
+import { assessOffer, bandPositionBadge, bandBarHtml } from "../compensation.mjs";
+import { findOnboarding, createOnboarding, createOnboardingTasks, rescheduleOnboarding } from "../onboarding.mjs";
+import { notify } from "../notify.mjs";
+
+const router = Router();
+
+// ====== Offer：版本、审批、Offer Letter ======
+
+function findOffer(d, req) {
+  const c = d.candidates.find(x => x.id === req.params.id);
+  if (!c) return { status: 404, error: "候选人不存在" };
+  const vj = getVisibleJobIds(req.user, d.jobs);
+  if (vj !== null && !vj.has(c.jobId)) return { status: 403, error: "no_permission" };
+  const offer = d.offers.find(o => o.candidateId === c.id) || null;
+  return { c, offer, v: currentVersion(d, offer) };
+}
+
+// 通知当前审批人（按钮进入待我审批）或发起人（审批结束，按钮进入候选人详情）
+async function notifyApproval(req, d, c, v, title, text, openIds, { toApprover = false } = {}) {
+  if (!feishuEnabled()) return;
+  const url = req.protocol + "://" + req.get("host") + (toApprover ? "/offers/approvals" : "/candidates/" + c.id) + "?lk_jump_to_browser=true";
+  const buttons = { tag: "action", actions: [{ tag: "button", text: { tag: "plain_text", content: toApprover ? "去审批" : "📋 查看候选人详情" }, url, type: "primary" }] };
+  const content = `**候选人**：${c.name}\n**职位**：${c.jobTitle || "-"}\n**Offer**：v${v.version} ${offerSummary(v)}\n` +
+    (v.bandPosition ? `**薪资带宽**：${v.bandPosition}\n` : "") + (v.outOfBandReason ? `**超带宽原因**：${v.outOfBandReason}\n` : "") + text;
+  await Promise.all(openIds.filter(Boolean).map(oid => sendFeishuMessage(oid, content, title, [buttons]).catch(() => {})));
+}
+
+function userOpenId(d, name) {
+  return d.users.find(u => u.name === name && u.openId)?.openId || "";
+}
+
+// 保存 Offer：薪酬方案有变化时生成新版本；Offer 状态中"待审批 / 审批驳回"只能由审批流程设置
+router.post("/api/candidates/:id/offer", requireLogin, async (req, res) => {
+  const d = await loadData();
+  const { c, offer: found, v: cur, status, error } = findOffer(d, req);
+  if (error) return res.status(status).json({ error });
+
+  const { fields, error: fieldError } = parseOfferVersionInput(req.body || {});
+  if (fieldError) return res.status(400).json({ error: fieldError });
+  let offerStatus = String(req.body.offerStatus || found?.offerStatus || "待发放").trim();
+  if (!OFFER_STATUSES.includes(offerStatus)) return res.status(400).json({ error: "Offer 状态无效" });
+  const note = String(req.body.note || "").trim();
+  const actor = req.user?.name || "系统";
+
+  let offer = found;
+  if (!offer) {
+    offer = { id: rid("offer"), candidateId: c.id, jobId: c.jobId || "", salary: "", salaryNote: "", startDate: "", offerStatus: "待发放", currentVersionId: "", note: "", createdAt: nowIso(), updatedAt: nowIso() };
+    d.offers.push(offer);
+  }
+
+  let v = cur;
+  const changed = versionChanged(cur, fields);
+  if (changed) {
+    // 超出薪资带宽或岗位预算时必须填写原因，随版本进入审批
+    const band = assessOffer(d, d.jobs.find(j => j.id === c.jobId), fields.baseSalary);
+    const bandReason = String(req.body.bandReason || "").trim();
+    if (band.outOfBand && !bandReason) return res.status(400).json({ error: band.warnings.join("；") + "，请填写超带宽原因" });
+    v = createOfferVersion(d, offer, fields, req.user, String(req.body.versionNote || "").trim(), {
+      bandPosition: band.position,
+      bandSnapshot: band.snapshot,
+      outOfBandReason: band.outOfBand ? bandReason : "",
+    });
+    // 已发放的 Offer 调整方案后需重新审批、重新发放
+    const resend = offer.offerStatus === "已发放" && approvalRequired(d);
+    if (OFFER_APPROVAL_DRIVEN.has(offer.offerStatus) || resend) offer.offerStatus = "待发放";
+    if (resend && offerStatus === "已发放") offerStatus = "待发放";
+    pushEvent(d, { candidateId: c.id, type: "Offer", message: "生成 Offer v" + v.version + "：" + offerSummary(v) + "\n入职日期：" + (v.startDate || "-") + (v.bandPosition ? "\n薪资带宽：" + v.bandPosition : "") + (v.outOfBandReason ? "\n超带宽原因：" + v.outOfBandReason : "") + (v.note ? "\n说明：" + v.note : ""), actor });
+  }
+
+  const prevStatus = offer.offerStatus;
+  // 开启审批后，发放与接受都必须基于已审批通过的版本（已接受的 Offer 调整方案后同样需要先审批）
+  if ((offerStatus !== prevStatus || changed) && (offerStatus === "已发放" || offerStatus === "已接受") && approvalRequired(d) && v.approvalStatus !== "已通过") {
+    return res.status(400).json({ error: "Offer v" + v.version + " 尚未审批通过，不能" + (offerStatus === "已发放" ? "发放" : "标记为已接受") });
+  }
+  if (offerStatus !== prevStatus) {
+    if (OFFER_APPROVAL_DRIVEN.has(offerStatus)) return res.status(400).json({ error: "「" + offerStatus + "」由审批流程自动设置，请通过提交审批操作" });
+    offer.offerStatus = offerStatus;
+    pushEvent(d, { candidateId: c.id, type: "Offer", message: "Offer状态：" + prevStatus + " -> " + offerStatus, actor });
+  }
+  offer.note = note;
+  offer.updatedAt = nowIso();
+
+  if (offer.offerStatus === "已接受" && c.status !== "入职") {
+    c.status = "Offer发放";
+    c.updatedAt = nowIso();
+  }
+
+  // Offer 被接受时发起入职流程；已有流程时跟随入职日期调整截止日期
+  const onboarding = findOnboarding(d, c.id);
+  if (onboarding) {
+    if (onboarding.status === "进行中" && rescheduleOnboarding(onboarding, v.startDate)) {
+      pushEvent(d, { candidateId: c.id, type: "入职", message: "入职日期调整为 " + v.startDate + "，已重新计算入职事项截止日期", actor });
+    }
+  } else if (offer.offerStatus === "已接受" && prevStatus !== "已接受") {
+    const ob = createOnboarding(d, c, offer, req.user);
+    const tasks = await createOnboardingTasks(d, ob, c);
+    pushEvent(d, { candidateId: c.id, type: "入职", message: "Offer 已接受，发起入职流程（" + ob.employmentType + "，" + ob.items.length + " 项）" + (tasks ? "，已创建 " + tasks + " 个飞书任务" : ""), actor });
+  }
+
+  await saveData(d);
+
+  if (changed || offerStatus !== prevStatus) {
+    notify(d, "offer_change", {
+      candidate: c,
+      actor: req.user,
+      title: "Offer 通知",
+      content: `**候选人**：${c.name}\n**Offer状态**：${offer.offerStatus}\n**Offer**：v${v.version} ${offerSummary(v)}\n**入职日期**：${v.startDate || "-"}`,
+      vars: { "Offer状态": offer.offerStatus, "Offer方案": "v" + v.version + " " + offerSummary(v), "入职日期": v.startDate || "-" },
+    }).catch(() => {});
+  }
+
+  res.json({ ok: true, version: v.version, versionCreated: changed });
+});
+
+router.post("/api/candidates/:id/offer/approval", requireLogin, async (req, res) => {
+  const d = await loadData();
+  const { c, offer, v, status, error } = findOffer(d, req);
+  if (error) return res.status(status).json({ error });
+  if (!v) return res.status(400).json({ error: "请先保存 Offer 方案" });
+
+  const r = await submitOfferApproval(d, c, offer, v, req.user);
+  if (r.error) return res.status(400).json({ error: r.error });
+  pushEvent(d, { candidateId: c.id, type: "Offer审批", message: "提交 Offer v" + v.version + " 审批" + (v.approvalSteps.length ? "：" + v.approvalSteps.map(s => s.name).join(" → ") : "（飞书审批）"), actor: req.user?.name || "系统" });
+  await saveData(d);
+
+  if (!v.approvalInstanceCode) {
+    const step = pendingStep(v);
+    await notifyApproval(req, d, c, v, "Offer 待审批", `**发起人**：${req.user?.name || "-"}\n请审批该 Offer。`, [step?.openId || userOpenId(d, step?.name)], { toApprover: true });
+  }
+  res.json({ ok: true });
+});
+
+router.post("/api/candidates/:id/offer/approval/withdraw", requireLogin, async (req, res) => {
+  const d = await loadData();
+  const { c, offer, v, status, error } = findOffer(d, req);
+  if (error) return res.status(status).json({ error });
+  if (!v) return res.status(400).json({ error: "暂无 Offer" });
+  const r = withdrawOfferApproval(offer, v);
+  if (r.error) return res.status(400).json({ error: r.error });
+  pushEvent(d, { candidateId: c.id, type: "Offer审批", message: "撤回 Offer v" + v.version + " 审批" + (v.approvalInstanceCode ? "（请同时在飞书中撤回审批单）" : ""), actor: req.user?.name || "系统" });
+  await saveData(d);
+  res.json({ ok: true });
+});
+
+router.post("/api/candidates/:id/offer/approval/sync", requireLogin, async (req, res) => {
+  const d = await loadData();
+  const { c, offer, v, status, error } = findOffer(d, req);
+  if (error) return res.status(status).json({ error });
+  if (!v || !v.approvalInstanceCode) return res.status(400).json({ error: "该 Offer 没有飞书审批单" });
+  const r = await syncFeishuApproval(offer, v);
+  if (r.changed) {
+    if (r.result) pushEvent(d, { candidateId: c.id, type: "Offer审批", message: "飞书审批结果：Offer v" + v.version + " " + r.result, actor: "系统" });
+    await saveData(d);
+  }
+  res.json({ ok: true, approvalStatus: v.approvalStatus });
+});
+
+// 平台内审批：当前审批人通过 / 驳回
+router.post("/api/offer-versions/:versionId/decision", requireLogin, async (req, res) => {
+  const d = await loadData();
+  const v = d.offerVersions.find(x => x.id === req.params.versionId);
+  if (!v) return res.status(404).json({ error: "Offer 版本不存在" });
+  const offer = d.offers.find(o => o.id === v.offerId);
+  const c = d.candidates.find(x => x.id === v.candidateId);
+  if (!offer || !c) return res.status(404).json({ error: "Offer 不存在" });
+  if (offer.currentVersionId && offer.currentVersionId !== v.id) return res.status(400).json({ error: "该版本已被新版本替代" });
+  if (v.approvalInstanceCode) return res.status(400).json({ error: "该 Offer 走飞书审批，请在飞书中处理" });
+
+  const approve = req.body.approve === true || req.body.approve === "true";
+  const comment = String(req.body.comment || "").trim();
+  if (!approve && !comment) return res.status(400).json({ error: "驳回时请填写原因" });
+  const r = decideOfferApproval(offer, v, req.user, approve, comment);
+  if (r.error) return res.status(403).json({ error: r.error });
+  pushEvent(d, { candidateId: c.id, type: "Offer审批", message: (approve ? "通过" : "驳回") + " Offer v" + v.version + (comment ? "：" + comment : "") + (r.finished ? "\n审批结果：" + v.approvalStatus : ""), actor: req.user?.name || "系统" });
+  await saveData(d);
+
+  const next = pendingStep(v);
+  if (next) {
+    await notifyApproval(req, d, c, v, "Offer 待审批", `**上一级**：${req.user?.name || "-"} 已通过\n请审批该 Offer。`, [next.openId || userOpenId(d, next.name)], { toApprover: true });
+  } else if (r.finished) {
+    await notifyApproval(req, d, c, v, "Offer 审批" + v.approvalStatus, `**审批人**：${req.user?.name || "-"}` + (comment ? `\n**意见**：${comment}` : ""), [userOpenId(d, v.submittedBy)]);
+  }
+  res.json({ ok: true, approvalStatus: v.approvalStatus });
+});
+
+// 待我审批
+router.get("/offers/approvals", requireLogin, async (req, res) => {
+  const d = await loadData();
+  const items = d.offerVersions
+    .filter(v => !v.approvalInstanceCode && isStepApprover(pendingStep(v), req.user))
+    .map(v => ({ v, c: d.candidates.find(x => x.id === v.candidateId) }))
+    .filter(x => x.c)
+    .sort((a, b) => (a.v.submittedAt || "").localeCompare(b.v.submittedAt || ""));
+  const cards = items.map(({ v, c }) => {
+    const job = d.jobs.find(j => j.id === c.jobId);
+    const vid = escapeHtml(v.id);
+    return '<div class="card compact" style="padding:14px;border-radius:14px;margin-bottom:10px">' +
+      '<div class="row"><b>' + escapeHtml(c.name) + '</b><span class="muted">' + escapeHtml(job?.title || c.jobTitle || "-") + '</span><span class="spacer"></span><span class="muted" style="font-size:12px">' + escapeHtml(v.submittedBy || "-") + ' 提交于 ' + escapeHtml(toBjTime(v.submittedAt).slice(0, 16)) + '</span></div>' +
+      '<div class="divider"></div>' +
+      '<div class="row" style="gap:6px;flex-wrap:wrap"><span class="pill"><span class="muted">版本</span><b>v' + v.version + '</b></span><span class="pill"><span class="muted">方案</span><b>' + escapeHtml(offerSummary(v)) + '</b></span><span class="pill"><span class="muted">入职日期</span><b>' + escapeHtml(v.startDate || "-") + '</b></span>' + bandPositionBadge(v.bandPosition) + '</div>' +
+      (v.bandSnapshot ? '<div style="max-width:420px;margin-top:6px">' + bandBarHtml(v.bandSnapshot, v.baseSalary) + '</div>' : '') +
+      (v.outOfBandReason ? '<div style="margin-top:6px;color:#f54a45;font-size:13px">超带宽原因：' + escapeHtml(v.outOfBandReason) + '</div>' : '') +
+      (v.note ? '<div class="muted" style="margin-top:6px">' + escapeHtml(v.note) + '</div>' : '') +
+      '<div class="muted" style="margin-top:6px;font-size:12px">' + v.approvalSteps.map(s => escapeHtml(s.name) + "（" + escapeHtml(s.status) + "）").join(" → ") + '</div>' +
+      '<div class="row" style="margin-top:10px"><a class="btn sm" href="/offers/letter/' + vid + '" target="_blank">预览 Offer Letter</a><span class="spacer"></span>' +
+      '<button class="btn sm" onclick="decideOffer(\'' + vid + '\',false)" style="color:#f5222d">驳回</button><button class="btn sm primary" onclick="decideOffer(\'' + vid + '\',true)">通过</button></div>' +
+      '</div>';
+  }).join("");
+  res.send(renderPage({
+    title: "待我审批的 Offer",
+    user: req.user,
+    active: "offers",
+    contentHtml: '<div class="row"><div style="font-weight:900;font-size:18px">待我审批的 Offer</div></div><div class="divider"></div>' +
+      (cards || '<div class="card"><div class="muted" style="text-align:center;padding:24px">暂无待审批的 Offer</div></div>') +
+      '<script>async function decideOffer(id,approve){var comment=prompt(approve?"审批意见（可选）":"请填写驳回原因","");if(comment===null)return;' +
+      'var r=await fetch("/api/offer-versions/"+id+"/decision",{method:"POST",headers:{"Content-Type":"application/json"},body:JSON.stringify({approve:approve,comment:comment})});' +
+      'if(r.ok)location.reload();else{var d=await r.json().catch(function(){return{}});alert(d.error||"操作失败")}}</script>',
+  }));
+});
+
+// Offer Letter 预览 / 下载（HR 与审批人）
+router.get("/offers/letter/:versionId", requireLogin, async (req, res) => {
+  const d = await loadData();
+  const v = d.offerVersions.find(x => x.id === req.params.versionId);
+  const c = v && d.candidates.find(x => x.id === v.candidateId);
+  if (!v || !c) return res.status(404).send("Offer 不存在");
+  const vj = getVisibleJobIds(req.user, d.jobs);
+  if (vj !== null && !vj.has(c.jobId) && !v.approvalSteps.some(s => isStepApprover(s, req.user))) return res.status(403).send("无权限查看该 Offer");
+
+  const title = "Offer-" + (c.name || "候选人") + "-v" + v.version;
+  if (req.query.download === "1") {
+    res.setHeader("Content-Disposition", "attachment; filename*=UTF-8''" + encodeURIComponent(title + ".html"));
+    return res.type("html").send(offerLetterDocument(title, renderOfferLetter(d, c, v)));
+  }
+  const toolbar = '<a href="/offers/letter/' + escapeHtml(v.id) + '?download=1">下载 HTML</a>';
+  res.type("html").send(offerLetterDocument(title, renderOfferLetter(d, c, v), toolbar));
+});
+
+// 生成候选人查看链接并标记为已发放
+router.post("/api/candidates/:id/offer/send", requireLogin, async (req, res) => {
+  const d = await loadData();
+  const { c, offer, v, status, error } = findOffer(d, req);
+  if (error) return res.status(status).json({ error });
+  if (!v) return res.status(400).json({ error: "请先保存 Offer 方案" });
+  if (approvalRequired(d) && v.approvalStatus !== "已通过") return res.status(400).json({ error: "Offer v" + v.version + " 尚未审批通过，不能发放" });
+  if (["已接受", "已拒绝", "已撤回"].includes(offer.offerStatus)) return res.status(400).json({ error: "Offer 当前为「" + offer.offerStatus + "」，不能再次发放" });
+
+  if (!v.letterToken) v.letterToken = newLetterToken();
+  v.letterSentAt = nowIso();
+  v.updatedAt = nowIso();
+  const prevStatus = offer.offerStatus;
+  offer.offerStatus = "已发放";
+  offer.updatedAt = nowIso();
+  const url = req.protocol + "://" + req.get("host") + "/offer-letter/" + v.letterToken;
+  pushEvent(d, { candidateId: c.id, type: "Offer", message: "发放 Offer v" + v.version + (prevStatus !== "已发放" ? "\nOffer状态：" + prevStatus + " -> 已发放" : "") + "\n链接：" + url, actor: req.user?.name || "系统" });
+  await saveData(d);
+  res.json({ ok: true, url });
+});
+
+// 公开页面：候选人通过链接查看 Offer Letter（只展示发放时的版本，后续改版需重新发放）
+router.get("/offer-letter/:token", async (req, res) => {
+  const d = await loadData();
+  const v = d.offerVersions.find(x => x.letterToken && x.letterToken === req.params.token);
+  const c = v && d.candidates.find(x => x.id === v.candidateId);
+  const offer = v && d.offers.find(o => o.id === v.offerId);
+  if (!v || !c || !offer || offer.offerStatus === "已撤回" || offer.currentVersionId !== v.id) {
+    return res.send(renderPage({ title: "链接无效", user: null, active: "", contentHtml: '<div class="card" style="max-width:560px;margin:24px auto"><div style="font-weight:900;font-size:18px;margin-bottom:12px">Offer 链接已失效</div><div class="muted">该 Offer 已更新或撤回，请联系 HR 获取最新的录用通知。</div></div>' }));
+  }
+  res.type("html").send(offerLetterDocument("录用通知书 - " + c.name, renderOfferLetter(d, c, v)));
+});
+
+export default router;
@@ -1,8 +1,11 @@
 import { Router } from "express";
 import { requireLogin, requireAdmin } from "../auth.mjs";
 import { loadData, toBjTime } from "../db.mjs";
-import { renderPage, escapeHtml, statusBadge } from "../ui.mjs";
+import { renderPage, escapeHtml, statusBadge, offerStatusBadge, offerApprovalBadge } from "../ui.mjs";
 import { OFFER_STAGE_STATUSES } from "../constants.mjs";
+import { offerBandStats, offerBandStatsHtml, bandPositionBadge } from "../compensation.mjs";
+import { findOnboarding, onboardingProgressHtml } from "../onboarding.mjs";
+import { approvalRequired, currentVersion, offerVersions, offerSummary, pendingStep, isStepApprover } from "../offer.mjs";
 
 const router = Router();
 
@@ -32,18 +35,33 @@ router.get("/offers", requireLogin, requireAdmin, async (req, res) => {
     return (b.updatedAt || b.createdAt || "").localeCompare(a.updatedAt || a.createdAt || "");
   });
 
+  const needApproval = approvalRequired(d);
+  const bandStats = offerBandStats(d, candidates.map((c) => offerMap.get(c.id)).filter(Boolean));
   const rows = filtered.map((c) => {
     const job = jobMap.get(c.jobId);
     const offer = offerMap.get(c.id);
+    const v = currentVersion(d, offer);
+    const versions = offer ? offerVersions(d, offer.id) : [];
+    const step = v && pendingStep(v);
+    const ob = findOnboarding(d, c.id);
+    // 版本历史：展开行内显示每个版本的方案与审批结果
+    const history = versions.length > 1
+      ? '<details><summary class="muted" style="cursor:pointer;font-size:12px">共 ' + versions.length + ' 个版本</summary>' +
+        versions.map((x) => '<div style="font-size:12px;margin-top:4px"><b>v' + x.version + '</b> ' + escapeHtml(offerSummary(x)) + ' ' + bandPositionBadge(x.bandPosition) + ' ' + offerApprovalBadge(x.approvalStatus) + ' <span class="muted">' + escapeHtml(toBjTime(x.createdAt || "").slice(0, 10)) + '</span></div>').join("") +
+        '</details>'
+      : '';
     return '<tr>' +
       '<td><a class="btn sm" href="/candidates/' + escapeHtml(c.id) + '">' + escapeHtml(c.name || "未命名") + '</a></td>' +
       '<td>' + escapeHtml(c.jobTitle || job?.title || "-") + '</td>' +
       '<td>' + statusBadge(c.status) + '</td>' +
-      '<td>' + escapeHtml(offer?.salary || "-") + '</td>' +
-      '<td>' + escapeHtml(offer?.startDate || "-") + '</td>' +
+      '<td>' + (offer ? offerStatusBadge(offer.offerStatus) : '<span class="muted">-</span>') + '</td>' +
+      '<td>' + (v ? '<b>v' + v.version + '</b> ' : '') + escapeHtml(v ? offerSummary(v) : offer?.salary || "-") + (v ? ' ' + bandPositionBadge(v.bandPosition) : '') + history + '</td>' +
+      (needApproval ? '<td>' + (v ? offerApprovalBadge(v.approvalStatus) + (step ? '<div class="muted" style="font-size:12px">待 ' + escapeHtml(step.name) + ' 审批</div>' : '') : '<span class="muted">-</span>') + '</td>' : '') +
+      '<td>' + escapeHtml(v?.startDate || offer?.startDate || "-") + (ob ? '<a href="/onboarding/' + escapeHtml(ob.id) + '" style="display:block;margin-top:4px;min-width:140px" title="入职流程进度">' + onboardingProgressHtml(ob) + '</a>' : '') + '</td>' +
       '<td class="muted">' + escapeHtml(toBjTime(c.updatedAt || c.createdAt || "").slice(0, 16)) + '</td>' +
       '</tr>';
   }).join("");
+  const myApprovals = d.offerVersions.filter((v) => !v.approvalInstanceCode && isStepApprover(pendingStep(v), req.user)).length;
 
   // 统计
   const stats = { total: candidates.length, pending: 0, sent: 0, hired: 0, rejected: 0 };
@@ -74,7 +92,7 @@ router.get("/offers", requireLogin, requireAdmin, async (req, res) => {
       user: req.user,
       active: "offers",
       contentHtml:
-        '<div class="row"><div style="font-weight:900;font-size:18px">面试通过</div></div>' +
+        '<div class="row"><div style="font-weight:900;font-size:18px">面试通过</div><span class="spacer"></span><a class="btn" href="/offers/approvals">待我审批' + (myApprovals ? ' <span class="badge status-red" style="font-size:11px">' + myApprovals + '</span>' : '') + '</a></div>' +
         '<div class="divider"></div>' +
         '<div class="row" style="margin-bottom:14px">' +
           '<span class="pill"><span class="muted">待发offer</span><b>' + stats.pending + '</b></span>' +
@@ -84,8 +102,11 @@ router.get("/offers", requireLogin, requireAdmin, async (req, res) => {
         '</div>' +
         '<div class="seg" style="margin-bottom:12px">' + tabsHtml + '</div>' +
         '<div class="card"><table><thead><tr>' +
-          '<th>候选人</th><th>岗位</th><th>状态</th><th>薪资</th><th>入职日期</th><th>更新时间</th>' +
-        '</tr></thead><tbody>' + (rows || '<tr><td colspan="6" class="muted" style="text-align:center;padding:24px">暂无候选人</td></tr>') + '</tbody></table></div>',
+          '<th>候选人</th><th>岗位</th><th>状态</th><th>Offer状态</th><th>Offer方案</th>' + (needApproval ? '<th>审批</th>' : '') + '<th>入职日期 / 入职进度</th><th>更新时间</th>' +
+        '</tr></thead><tbody>' + (rows || '<tr><td colspan="' + (needApproval ? 8 : 7) + '" class="muted" style="text-align:center;padding:24px">暂无候选人</td></tr>') + '</tbody></table></div>' +
+        '<div class="card" style="margin-top:14px"><div style="font-weight:900;margin-bottom:8px">Offer 薪资带宽分布</div>' +
+        '<div class="muted" style="font-size:12px;margin-bottom:8px">按各候选人当前 Offer 版本生成时的带宽位置统计，接受率 = 已接受 /（已接受 + 已拒绝）</div>' +
+        offerBandStatsHtml(bandStats) + '</div>',
     })
   );
 });
@@ -0,0 +1,236 @@
+import { Router } from "express";
+import { requireLogin } from "../auth.mjs";
+import { loadData, saveData, nowIso } from "../db.mjs";
+import { renderPage, escapeHtml } from "../ui.mjs";
+import { getVisibleJobIds, pushEvent } from "../helpers.mjs";
+import {
+  ONBOARDING_CATEGORIES, findOnboarding, createOnboarding, createOnboardingTasks, rescheduleOnboarding, assignBuddy, markItem, resolveOwner,
+  isItemOverdue, onboardingProgress, onboardingProgressHtml, onboardingStatusBadge, canAccessOnboarding, bjToday,
+} from "../onboarding.mjs";
+
+const router = Router();
+
+// ====== 入职流程 ======
+
+function loadOnboarding(d, req) {
+  const ob = d.onboardings.find(x => x.id === req.params.id);
+  if (!ob) return { status: 404, error: "入职流程不存在" };
+  if (!canAccessOnboarding(req.user, ob, getVisibleJobIds(req.user, d.jobs))) return { status: 403, error: "无权限查看该入职流程" };
+  const c = d.candidates.find(x => x.id === ob.candidateId);
+  if (!c) return { status: 404, error: "候选人不存在" };
+  return { ob, c };
+}
+
+// 岗位负责人 / 管理员可以调整流程；事项负责人只能勾选自己的事项
+function canManage(req, d, ob) {
+  const vj = getVisibleJobIds(req.user, d.jobs);
+  return vj === null || vj.has(ob.jobId);
+}
+
+router.get("/onboarding", requireLogin, async (req, res) => {
+  const d = await loadData();
+  const statusFilter = String(req.query.status ?? "进行中");
+  const vj = getVisibleJobIds(req.user, d.jobs);
+  const mine = req.query.mine === "1";
+  const visible = d.onboardings.filter(ob => canAccessOnboarding(req.user, ob, vj));
+  const list = visible
+    .filter(ob => !statusFilter || ob.status === statusFilter)
+    .filter(ob => !mine || ob.items.some(x => !x.done && x.owner === req.user?.name))
+    .sort((a, b) => (a.startDate || "9999").localeCompare(b.startDate || "9999"));
+  const candMap = new Map(d.candidates.map(c => [c.id, c]));
+  const jobMap = new Map(d.jobs.map(j => [j.id, j]));
+  const rows = list.map(ob => {
+    const c = candMap.get(ob.candidateId);
+    const job = jobMap.get(ob.jobId);
+    const myOpen = ob.items.filter(x => !x.done && x.owner === req.user?.name).length;
+    return '<tr>' +
+      '<td><a class="btn sm" href="/onboarding/' + escapeHtml(ob.id) + '">' + escapeHtml(c?.name || "已删除") + '</a></td>' +
+      '<td>' + escapeHtml(job?.title || c?.jobTitle || "-") + '</td>' +
+      '<td>' + escapeHtml(ob.employmentType) + '</td>' +
+      '<td>' + escapeHtml(ob.startDate || "待定") + '</td>' +
+      '<td>' + escapeHtml(ob.buddy || "-") + '</td>' +
+      '<td style="min-width:180px">' + onboardingProgressHtml(ob) + '</td>' +
+      '<td>' + (myOpen ? '<span class="badge status-orange">' + myOpen + ' 项</span>' : '<span class="muted">-</span>') + '</td>' +
+      '<td>' + onboardingStatusBadge(ob.status) + '</td>' +
+      '</tr>';
+  }).join("");
+  const count = (s) => visible.filter(ob => ob.status === s).length;
+  const tabs = [["进行中", "进行中", count("进行中")], ["已完成", "已完成", count("已完成")], ["", "全部", visible.length]];
+  const tabsHtml = tabs.map(([key, label, n]) =>
+    '<a href="/onboarding?status=' + encodeURIComponent(key) + (mine ? '&mine=1' : '') + '" class="' + (statusFilter === key ? 'active' : '') + '">' + label + (n ? ' <span class="badge status-gray" style="font-size:11px">' + n + '</span>' : '') + '</a>'
+  ).join("");
+  res.send(renderPage({
+    title: "入职",
+    user: req.user,
+    active: "onboarding",
+    contentHtml: '<div class="row"><div style="font-weight:900;font-size:18px">入职跟进</div><span class="spacer"></span>' +
+      '<a class="btn' + (mine ? ' primary' : '') + '" href="/onboarding?status=' + encodeURIComponent(statusFilter) + (mine ? '' : '&mine=1') + '">只看我负责的</a></div>' +
+      '<div class="divider"></div>' +
+      '<div class="seg" style="margin-bottom:12px">' + tabsHtml + '</div>' +
+      '<div class="card"><table><thead><tr><th>新员工</th><th>岗位</th><th>类型</th><th>入职日期</th><th>导师</th><th>进度</th><th>我的待办</th><th>状态</th></tr></thead><tbody>' +
+      (rows || '<tr><td colspan="8" class="muted" style="text-align:center;padding:24px">暂无入职流程</td></tr>') + '</tbody></table></div>',
+  }));
+});
+
+router.get("/onboarding/:id", requireLogin, async (req, res) => {
+  const d = await loadData();
+  const { ob, c, status, error } = loadOnboarding(d, req);
+  if (error) return res.status(status).send(renderPage({ title: "入职流程", user: req.user, active: "onboarding", contentHtml: '<div class="card"><div style="font-weight:900">' + escapeHtml(error) + '</div><div class="divider"></div><a class="btn" href="/onboarding">返回</a></div>' }));
+  const job = d.jobs.find(j => j.id === ob.jobId);
+  const manage = canManage(req, d, ob);
+  const today = bjToday();
+  const p = onboardingProgress(ob);
+  const oid = escapeHtml(ob.id);
+
+  const groups = ONBOARDING_CATEGORIES.map(cat => {
+    const items = ob.items.filter(x => x.category === cat);
+    if (!items.length) return "";
+    return '<div style="margin-bottom:14px"><div style="font-weight:700;margin-bottom:6px">' + escapeHtml(cat) + '</div>' +
+      items.map(it => {
+        const iid = escapeHtml(it.id);
+        const mineItem = it.owner === req.user?.name;
+        const editable = manage || mineItem;
+        const overdue = isItemOverdue(it, today);
+        return '<div class="row" style="padding:8px 10px;border:1px solid #eef0f3;border-radius:10px;margin-bottom:6px;gap:10px;flex-wrap:wrap' + (it.done ? ';opacity:.6' : '') + '">' +
+          '<input type="checkbox" style="width:auto;margin:0" ' + (it.done ? 'checked ' : '') + (editable ? '' : 'disabled ') + 'onchange="obItem(\'' + iid + '\',{done:this.checked})" />' +
+          '<span style="flex:1;min-width:200px' + (it.done ? ';text-decoration:line-through' : '') + '">' + escapeHtml(it.title) + '</span>' +
+          '<span class="pill" style="font-size:12px"><span class="muted">负责人</span><b>' + escapeHtml(it.owner || "未指定") + '</b>' + (it.ownerRole !== it.owner ? '<span class="muted">（' + escapeHtml(it.ownerRole) + '）</span>' : '') + '</span>' +
+          (manage && !it.done ? '<button class="btn sm" onclick="obOwner(\'' + iid + '\',\'' + escapeHtml(it.owner || "") + '\')">改派</button>' : '') +
+          (manage && !it.done
+            ? '<input type="date" value="' + escapeHtml(it.dueDate || "") + '" style="width:auto" onchange="obItem(\'' + iid + '\',{dueDate:this.value})" />'
+            : '<span class="muted" style="font-size:12px">截止 ' + escapeHtml(it.dueDate || "-") + '</span>') +
+          (overdue ? '<span class="badge status-red" style="font-size:11px">逾期</span>' : '') +
+          (it.taskId ? '<span class="muted" style="font-size:11px">已建飞书任务</span>' : '') +
+          (it.done ? '<span class="muted" style="font-size:12px">' + escapeHtml(it.doneBy || "") + ' ' + escapeHtml((it.doneAt || "").slice(0, 10)) + ' 完成</span>' : '') +
+          '</div>';
+      }).join("") + '</div>';
+  }).join("");
+
+  const headerHtml = '<div class="card compact" style="padding:14px;border-radius:14px;margin-bottom:12px">' +
+    '<div class="row"><div style="font-weight:900;font-size:18px">' + escapeHtml(c.name) + ' 的入职流程</div>' + onboardingStatusBadge(ob.status) + '<span class="spacer"></span><a class="btn sm" href="/candidates/' + escapeHtml(c.id) + '">候选人详情</a></div>' +
+    '<div class="divider"></div>' +
+    '<div class="row" style="gap:6px;flex-wrap:wrap;margin-bottom:10px"><span class="pill"><span class="muted">岗位</span><b>' + escapeHtml(job?.title || c.jobTitle || "-") + '</b></span><span class="pill"><span class="muted">类型</span><b>' + escapeHtml(ob.employmentType) + '</b></span><span class="pill"><span class="muted">发起人</span><b>' + escapeHtml(ob.createdBy || "-") + '</b></span><span class="pill"><span class="muted">完成</span><b>' + p.done + '/' + p.total + '</b></span></div>' +
+    onboardingProgressHtml(ob) +
+    (manage
+      ? '<div class="row" style="gap:10px;flex-wrap:wrap;margin-top:12px"><div class="field" style="min-width:160px"><label>入职日期</label><input id="obStart" type="date" value="' + escapeHtml(ob.startDate || "") + '" /></div>' +
+        '<div class="field" style="min-width:160px"><label>导师（buddy）</label><input id="obBuddy" list="obUsers" value="' + escapeHtml(ob.buddy || "") + '" placeholder="输入用户姓名" /><datalist id="obUsers">' + d.users.map(u => '<option value="' + escapeHtml(u.name) + '"></option>').join("") + '</datalist></div>' +
+        '<button class="btn primary" onclick="obSave()">保存</button>' +
+        (ob.status === "进行中" ? '<button class="btn" onclick="obSave(\'已取消\')" style="color:#f5222d">取消入职流程</button>' : '') +
+        (ob.status === "已取消" ? '<button class="btn" onclick="obSave(\'进行中\')">恢复入职流程</button>' : '') +
+        '</div><div class="muted" style="font-size:12px">修改入职日期会按模板重新计算未完成事项的截止日期；指定导师后「导师」事项会改派给导师，并自动完成指定导师事项。</div>'
+      : '<div class="row" style="gap:6px;margin-top:10px"><span class="pill"><span class="muted">入职日期</span><b>' + escapeHtml(ob.startDate || "待定") + '</b></span><span class="pill"><span class="muted">导师</span><b>' + escapeHtml(ob.buddy || "-") + '</b></span></div>') +
+    '</div>';
+
+  res.send(renderPage({
+    title: c.name + " 入职流程",
+    user: req.user,
+    active: "onboarding",
+    contentHtml: '<script>' +
+      'async function obPost(url,payload){var r=await fetch(url,{method:"POST",headers:{"Content-Type":"application/json"},body:JSON.stringify(payload)});if(r.ok){location.reload();return}var d=await r.json().catch(function(){return{}});alert(d.error||"操作失败");location.reload()}' +
+      'function obItem(itemId,payload){obPost("/api/onboarding/' + oid + '/items/"+itemId,payload)}' +
+      'function obOwner(itemId,cur){var name=prompt("改派给（用户姓名）",cur);if(name===null||!name.trim())return;obItem(itemId,{owner:name.trim()})}' +
+      'function obSave(status){var payload={startDate:document.getElementById("obStart").value,buddy:document.getElementById("obBuddy").value.trim()};if(status){if(status==="已取消"&&!confirm("确认取消该入职流程？"))return;payload.status=status}obPost("/api/onboarding/' + oid + '",payload)}' +
+      '</script>' +
+      '<div class="row" style="margin-bottom:10px"><a class="btn sm" href="/onboarding">返回入职列表</a></div>' +
+      headerHtml +
+      '<div class="card">' + (groups || '<div class="muted">暂无清单事项</div>') + '</div>',
+  }));
+});
+
+// 手动发起入职流程（Offer 接受时会自动发起；历史已入职候选人可在详情页手动发起）
+router.post("/api/candidates/:id/onboarding", requireLogin, async (req, res) => {
+  const d = await loadData();
+  const c = d.candidates.find(x => x.id === req.params.id);
+  if (!c) return res.status(404).json({ error: "候选人不存在" });
+  const vj = getVisibleJobIds(req.user, d.jobs);
+  if (vj !== null && !vj.has(c.jobId)) return res.status(403).json({ error: "no_permission" });
+  if (findOnboarding(d, c.id)) return res.status(400).json({ error: "该候选人已有入职流程" });
+  const offer = d.offers.find(o => o.candidateId === c.id) || null;
+  const ob = createOnboarding(d, c, offer, req.user);
+  const tasks = await createOnboardingTasks(d, ob, c);
+  pushEvent(d, { candidateId: c.id, type: "入职", message: "发起入职流程（" + ob.employmentType + "，" + ob.items.length + " 项）" + (tasks ? "，已创建 " + tasks + " 个飞书任务" : ""), actor: req.user?.name || "系统" });
+  await saveData(d);
+  res.json({ ok: true, id: ob.id });
+});
+
+router.post("/api/onboarding/:id", requireLogin, async (req, res) => {
+  const d = await loadData();
+  const { ob, c, status, error } = loadOnboarding(d, req);
+  if (error) return res.status(status).json({ error });
+  if (!canManage(req, d, ob)) return res.status(403).json({ error: "仅岗位负责人或管理员可修改入职流程" });
+  const body = req.body || {};
+  const actor = req.user?.name || "系统";
+  const msgs = [];
+
+  const startDate = String(body.startDate ?? ob.startDate ?? "").trim();
+  if (startDate && !/^\d{4}-\d{2}-\d{2}$/.test(startDate)) return res.status(400).json({ error: "入职日期格式不正确" });
+  if (rescheduleOnboarding(ob, startDate)) msgs.push("入职日期：" + startDate);
+
+  if (body.buddy !== undefined) {
+    const buddy = String(body.buddy || "").trim();
+    if (buddy && !d.users.some(u => u.name === buddy)) return res.status(400).json({ error: "导师需为系统用户：" + buddy });
+    if (buddy !== ob.buddy) {
+      assignBuddy(d, ob, buddy, req.user);
+      msgs.push("导师：" + (buddy || "未指定"));
+    }
+  }
+
+  if (body.status !== undefined && body.status !== ob.status) {
+    if (!["进行中", "已取消"].includes(body.status)) return res.status(400).json({ error: "状态无效" });
+    ob.status = body.status === "进行中" && ob.items.every(x => x.done) ? "已完成" : body.status;
+    msgs.push("状态：" + ob.status);
+  }
+
+  ob.updatedAt = nowIso();
+  const tasks = ob.status === "进行中" ? await createOnboardingTasks(d, ob, c) : 0;
+  if (msgs.length) pushEvent(d, { candidateId: c.id, type: "入职", message: "更新入职流程\n" + msgs.join("\n") + (tasks ? "\n已创建 " + tasks + " 个飞书任务" : ""), actor });
+  await saveData(d);
+  res.json({ ok: true });
+});
+
+router.post("/api/onboarding/:id/items/:itemId", requireLogin, async (req, res) => {
+  const d = await loadData();
+  const { ob, c, status, error } = loadOnboarding(d, req);
+  if (error) return res.status(status).json({ error });
+  const it = ob.items.find(x => x.id === req.params.itemId);
+  if (!it) return res.status(404).json({ error: "清单事项不存在" });
+  const manage = canManage(req, d, ob);
+  if (!manage && it.owner !== req.user?.name) return res.status(403).json({ error: "只能处理自己负责的事项" });
+  const body = req.body || {};
+  const actor = req.user?.name || "系统";
+
+  if (body.owner !== undefined || body.dueDate !== undefined) {
+    if (!manage) return res.status(403).json({ error: "仅岗位负责人或管理员可改派事项" });
+    if (body.owner !== undefined) {
+      const name = String(body.owner || "").trim();
+      if (!d.users.some(u => u.name === name)) return res.status(400).json({ error: "负责人需为系统用户：" + name });
+      const o = resolveOwner(d, ob, name);
+      if (o.name !== it.owner) {
+        pushEvent(d, { candidateId: c.id, type: "入职", message: "「" + it.title + "」改派：" + (it.owner || "未指定") + " -> " + o.name, actor });
+        it.owner = o.name;
+        it.ownerOpenId = o.openId;
+        it.taskId = "";
+      }
+    }
+    if (body.dueDate !== undefined) {
+      const due = String(body.dueDate || "").trim();
+      if (!/^\d{4}-\d{2}-\d{2}$/.test(due)) return res.status(400).json({ error: "截止日期格式不正确" });
+      it.dueDate = due;
+      it.remindedOn = "";
+    }
+  }
+  if (body.done !== undefined) {
+    const done = body.done === true || body.done === "true";
+    if (done !== it.done) {
+      const prevStatus = ob.status;
+      markItem(ob, it, done, req.user);
+      pushEvent(d, { candidateId: c.id, type: "入职", message: (done ? "完成" : "重新打开") + "入职事项：" + it.title + (ob.status !== prevStatus ? "\n入职流程" + ob.status : ""), actor });
+    }
+  }
+  ob.updatedAt = nowIso();
+  if (ob.status === "进行中") await createOnboardingTasks(d, ob, c);
+  await saveData(d);
+  res.json({ ok: true, status: ob.status });
+});
+
+export default router;
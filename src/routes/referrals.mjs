@@ -0,0 +1,224 @@
+import { Router } from "express";
+import { loadData, saveData, nowIso, toBjTime } from "../db.mjs";
+import { renderPage, escapeHtml } from "../ui.mjs";
+import { requireLogin, requireAdmin } from "../auth.mjs";
+import { upload } from "../upload.mjs";
+import { audit, skipAudit, snapshot } from "../audit.mjs";
+import { csvCell } from "../bulk.mjs";
+import { careersJobs, careersJob, jdHtml } from "../careers.mjs";
+import {
+  REFERRAL_RELATIONSHIPS, BONUS_STATUSES, referralSettings, ruleLabel, bonusRule, myReferrals, referralStage,
+  referralBonus, markBonusPaid, referralBonusReport, createReferral, notifyReferrer,
+} from "../referral.mjs";
+
+const router = Router();
+
+const STAGE_COLORS = { "已推荐": "gray", "简历筛选": "blue", "面试中": "purple", "Offer 阶段": "orange", "已入职": "green", "已结束": "red" };
+const BONUS_COLORS = { "未到期": "gray", "待发放": "orange", "已发放": "green", "不发放": "red" };
+
+function stageBadge(stage) {
+  return '<span class="badge status-' + (STAGE_COLORS[stage] || "gray") + '">' + escapeHtml(stage) + '</span>';
+}
+
+function bonusBadge(status) {
+  return '<span class="badge status-' + (BONUS_COLORS[status] || "gray") + '">' + escapeHtml(status) + '</span>';
+}
+
+function yuan(n) {
+  return Number(n || 0).toLocaleString("zh-CN") + " 元";
+}
+
+function bonusCell(bonus) {
+  if (!bonus) return '<span class="muted">-</span>';
+  return bonusBadge(bonus.status) + ' <b>' + yuan(bonus.amount) + '</b>' +
+    '<div class="muted" style="font-size:12px">' + (bonus.status === "已发放" ? escapeHtml((bonus.paidAt || "").slice(0, 10)) + ' 已发放'
+      : bonus.status === "不发放" ? '候选人于 ' + escapeHtml(bonus.departureDate || "-") + ' 离职，未满发放条件'
+      : '预计 ' + escapeHtml(bonus.dueDate || "-") + ' 可发放') + '</div>';
+}
+
+function msgHtml(query) {
+  if (query.ok) return '<div class="card compact" style="padding:12px;margin-bottom:14px;background:rgba(34,197,94,.06);border:1px solid rgba(34,197,94,.15);color:#16a34a">✅ 推荐成功，HR 将尽快处理，进展会通过飞书通知你</div>';
+  if (query.err) return '<div class="card compact" style="padding:12px;margin-bottom:14px;background:rgba(240,90,90,.06);border:1px solid rgba(240,90,90,.22);color:#f05a5a">' + escapeHtml(query.err) + '</div>';
+  return "";
+}
+
+// ====== 内推门户：所有登录用户可见；推荐人只看到自己推荐的候选人和粗粒度进展 ======
+router.get("/referrals", requireLogin, async (req, res) => {
+  const d = await loadData();
+  const jobs = careersJobs(d);
+  const mine = myReferrals(d, req.user).sort((a, b) => (b.createdAt || "").localeCompare(a.createdAt || ""));
+
+  const jobsHtml = jobs.length
+    ? '<table><thead><tr><th>岗位</th><th>部门</th><th>地点</th><th>类型</th><th>内推奖金</th><th></th></tr></thead><tbody>' +
+      jobs.map(j => {
+        const rule = bonusRule(d, j);
+        return '<tr><td style="font-weight:700">' + escapeHtml(j.title) + '</td><td>' + escapeHtml(j.department || "-") + '</td><td>' + escapeHtml(j.location || "-") + '</td>' +
+          '<td>' + escapeHtml(j.employmentType || "社招") + '</td>' +
+          '<td>' + (rule ? '<b>' + yuan(rule.amount) + '</b><div class="muted" style="font-size:12px">入职满 ' + rule.days + ' 天</div>' : '<span class="muted">-</span>') + '</td>' +
+          '<td><a class="btn sm primary" href="/referrals/new?jobId=' + encodeURIComponent(j.id) + '">推荐</a></td></tr>';
+      }).join("") +
+      '</tbody></table>'
+    : '<div class="muted">暂无开放岗位</div>';
+
+  const mineHtml = mine.length
+    ? '<table><thead><tr><th>候选人</th><th>岗位</th><th>关系</th><th>推荐时间</th><th>进展</th><th>内推奖金</th></tr></thead><tbody>' +
+      mine.map(c => '<tr><td style="font-weight:700">' + escapeHtml(c.name) + '</td><td>' + escapeHtml(c.jobTitle || "-") + '</td>' +
+        '<td>' + escapeHtml(c.referral?.relationship || "-") + '</td>' +
+        '<td class="muted" style="font-size:12px">' + escapeHtml(toBjTime(c.createdAt || "").slice(0, 16)) + '</td>' +
+        '<td>' + stageBadge(referralStage(c)) + '</td>' +
+        '<td>' + bonusCell(referralBonus(d, c)) + '</td></tr>'
+      ).join("") +
+      '</tbody></table>'
+    : '<div class="muted">还没有推荐记录，选择上方岗位推荐合适的朋友吧</div>';
+
+  res.send(renderPage({
+    title: "内推",
+    user: req.user,
+    active: "referrals",
+    contentHtml: msgHtml(req.query) +
+      '<div class="row"><div style="font-weight:900;font-size:18px">员工内推</div><span class="spacer"></span>' +
+        (req.user?.role === "admin" ? '<a class="btn" href="/referrals/bonuses">内推奖金报表</a>' : '') + '</div>' +
+      '<div class="muted" style="margin-top:6px">推荐的候选人入职满规定天数后可获得内推奖金；面试评价等内部信息不对推荐人展示。</div>' +
+      '<div class="divider"></div>' +
+      '<div class="card"><div style="font-weight:900;font-size:16px">开放岗位（' + jobs.length + '）</div><div class="divider"></div>' + jobsHtml + '</div>' +
+      '<div class="card" style="margin-top:14px"><div style="font-weight:900;font-size:16px">我的内推（' + mine.length + '）</div><div class="divider"></div>' + mineHtml + '</div>',
+  }));
+});
+
+router.get("/referrals/new", requireLogin, async (req, res) => {
+  const d = await loadData();
+  const job = careersJob(d, String(req.query.jobId || ""));
+  if (!job) return res.redirect(303, "/referrals?err=" + encodeURIComponent("岗位不存在或已关闭"));
+  const rule = bonusRule(d, job);
+  const relOpts = REFERRAL_RELATIONSHIPS.map(r => '<option value="' + escapeHtml(r) + '">' + escapeHtml(r) + '</option>').join("");
+  const star = '<span style="color:#f5222d">*</span>';
+
+  res.send(renderPage({
+    title: "推荐 - " + job.title,
+    user: req.user,
+    active: "referrals",
+    contentHtml: msgHtml({ err: req.query.err }) +
+      '<div class="row" style="margin-bottom:10px"><a class="btn sm" href="/referrals">返回内推</a></div>' +
+      '<div class="card"><div class="row"><div style="font-weight:900;font-size:18px">' + escapeHtml(job.title) + '</div><span class="spacer"></span>' +
+        (rule ? '<span class="pill"><span class="muted">内推奖金</span><b>' + escapeHtml(ruleLabel(rule)) + '</b></span>' : '') + '</div>' +
+        '<div class="muted" style="margin-top:6px">' + escapeHtml([job.department, job.location, job.employmentType || "社招"].filter(Boolean).join(" · ")) + '</div>' +
+        '<div class="divider"></div>' + (jdHtml(job) || '<div class="muted">暂无 JD</div>') + '</div>' +
+      '<div class="card" style="margin-top:14px"><div style="font-weight:900;font-size:16px">推荐候选人</div><div class="divider"></div>' +
+        '<form method="POST" action="/referrals/new" enctype="multipart/form-data" style="max-width:640px">' +
+          '<input type="hidden" name="jobId" value="' + escapeHtml(job.id) + '" />' +
+          '<div class="field"><label>候选人姓名 ' + star + '</label><input name="name" required /></div>' +
+          '<div class="field"><label>手机号 ' + star + '</label><input name="phone" required /></div>' +
+          '<div class="field"><label>邮箱</label><input name="email" type="email" /></div>' +
+          '<div class="field"><label>与你的关系 ' + star + '</label><select name="relationship" required><option value="">请选择</option>' + relOpts + '</select></div>' +
+          '<div class="field"><label>推荐理由 ' + star + '</label><textarea name="note" rows="4" required placeholder="认识多久、一起共事的经历、候选人的优势等"></textarea></div>' +
+          '<div class="field"><label>简历 ' + star + '</label><input name="resume" type="file" accept=".pdf,.doc,.docx" required /></div>' +
+          '<button class="btn primary" type="submit">提交推荐</button>' +
+        '</form></div>',
+  }));
+});
+
+router.post("/referrals/new", requireLogin, upload.single("resume"), async (req, res) => {
+  const jobId = String(req.body.jobId || "");
+  try {
+    const d = await loadData();
+    const job = careersJob(d, jobId);
+    if (!job) {
+      skipAudit(req);
+      return res.redirect(303, "/referrals?err=" + encodeURIComponent("岗位不存在或已关闭"));
+    }
+    const r = await createReferral(d, job, req.user, req.body, req.file || null);
+    if (r.error) {
+      skipAudit(req);
+      return res.redirect(303, "/referrals/new?jobId=" + encodeURIComponent(jobId) + "&err=" + encodeURIComponent(r.error));
+    }
+    audit(req, { entityType: "candidate", entityId: r.candidate.id, entityName: r.candidate.name, after: r.candidate });
+    res.redirect(303, "/referrals?ok=1");
+  } catch (e) {
+    console.error("[Referral] 提交失败:", e.message);
+    skipAudit(req);
+    res.redirect(303, "/referrals/new?jobId=" + encodeURIComponent(jobId) + "&err=" + encodeURIComponent("提交失败，请稍后重试"));
+  }
+});
+
+// ====== 内推奖金报表（管理员） ======
+router.get("/referrals/bonuses", requireLogin, requireAdmin, async (req, res) => {
+  const d = await loadData();
+  const status = BONUS_STATUSES.includes(req.query.status) ? req.query.status : "";
+  const all = referralBonusReport(d);
+  const list = status ? all.filter(x => x.bonus.status === status) : all;
+  const sum = (s) => all.filter(x => x.bonus.status === s).reduce((n, x) => n + Number(x.bonus.amount || 0), 0);
+  const count = (s) => all.filter(x => x.bonus.status === s).length;
+
+  const tabsHtml = [["", "全部", all.length], ...BONUS_STATUSES.map(s => [s, s, count(s)])].map(([key, label, n]) =>
+    '<a href="/referrals/bonuses?status=' + encodeURIComponent(key) + '" class="' + (status === key ? 'active' : '') + '">' + label + (n ? ' <span class="badge status-gray" style="font-size:11px">' + n + '</span>' : '') + '</a>'
+  ).join("");
+
+  const rows = list.map(({ c, bonus }) => {
+    const cid = escapeHtml(c.id);
+    return '<tr><td><a href="/candidates/' + cid + '" style="font-weight:700">' + escapeHtml(c.name) + '</a></td>' +
+      '<td>' + escapeHtml(c.jobTitle || "-") + '</td>' +
+      '<td>' + escapeHtml(c.referrer || "-") + '</td>' +
+      '<td>' + escapeHtml(bonus.hireDate || "-") + '</td>' +
+      '<td class="muted" style="font-size:12px">' + escapeHtml(bonus.rule || "-") + '</td>' +
+      '<td><b>' + yuan(bonus.amount) + '</b></td>' +
+      '<td>' + escapeHtml(bonus.dueDate || "-") + '</td>' +
+      '<td>' + bonusBadge(bonus.status) +
+        (bonus.status === "已发放" ? '<div class="muted" style="font-size:12px">' + escapeHtml(bonus.paidBy || "") + ' ' + escapeHtml((bonus.paidAt || "").slice(0, 10)) + '</div>' : '') +
+        (bonus.status === "不发放" ? '<div class="muted" style="font-size:12px">' + escapeHtml(bonus.departureDate || "-") + ' 离职</div>' : '') + '</td>' +
+      '<td>' + (bonus.status === "待发放" ? '<button class="btn sm primary" onclick="markPaid(\'' + cid + '\')">标记已发放</button>' : '') + '</td></tr>';
+  }).join("");
+
+  res.send(renderPage({
+    title: "内推奖金",
+    user: req.user,
+    active: "referrals",
+    contentHtml: '<script>' +
+      'async function markPaid(id){if(!confirm("确认该候选人的内推奖金已发放？"))return;var r=await fetch("/api/referrals/"+id+"/bonus",{method:"POST",headers:{"Content-Type":"application/json"},body:"{}"});if(r.ok){location.reload();return}var d=await r.json().catch(function(){return{}});alert(d.error||"操作失败")}' +
+      '</script>' +
+      '<div class="row"><div style="font-weight:900;font-size:18px">内推奖金</div><span class="spacer"></span>' +
+        '<a class="btn" href="/referrals/bonuses.csv?status=' + encodeURIComponent(status) + '">导出 CSV</a>' +
+        '<a class="btn" href="/settings#referral-settings">奖金规则</a>' +
+        '<a class="btn" href="/referrals">返回内推</a></div>' +
+      '<div class="divider"></div>' +
+      '<div class="row" style="gap:8px;flex-wrap:wrap;margin-bottom:12px">' +
+        '<span class="pill"><span class="muted">待发放</span><b>' + yuan(sum("待发放")) + '</b></span>' +
+        '<span class="pill"><span class="muted">未到期</span><b>' + yuan(sum("未到期")) + '</b></span>' +
+        '<span class="pill"><span class="muted">已发放</span><b>' + yuan(sum("已发放")) + '</b></span>' +
+        (count("不发放") ? '<span class="pill"><span class="muted">到期前离职不发放</span><b>' + count("不发放") + ' 人</b></span>' : '') +
+        '<span class="muted" style="font-size:12px">当前规则：' + escapeHtml(referralSettings(d).rules.map(ruleLabel).join("；") || "未配置") + '</span>' +
+      '</div>' +
+      '<div class="seg" style="margin-bottom:12px">' + tabsHtml + '</div>' +
+      '<div class="card"><table><thead><tr><th>候选人</th><th>岗位</th><th>推荐人</th><th>入职日期</th><th>规则</th><th>金额</th><th>可发放日期</th><th>状态</th><th></th></tr></thead><tbody>' +
+      (rows || '<tr><td colspan="9" class="muted" style="text-align:center;padding:24px">暂无内推奖金记录</td></tr>') + '</tbody></table></div>',
+  }));
+});
+
+router.get("/referrals/bonuses.csv", requireLogin, requireAdmin, async (req, res) => {
+  const d = await loadData();
+  const status = BONUS_STATUSES.includes(req.query.status) ? req.query.status : "";
+  const head = ["候选人", "岗位", "推荐人", "关系", "入职日期", "规则", "金额", "可发放日期", "状态", "离职日期", "发放时间", "发放人"];
+  const rows = referralBonusReport(d, { status }).map(({ c, bonus }) => [
+    c.name, c.jobTitle || "", c.referrer || "", c.referral?.relationship || "", bonus.hireDate || "", bonus.rule || "",
+    bonus.amount, bonus.dueDate || "", bonus.status, bonus.departureDate || "", bonus.paidAt || "", bonus.paidBy || "",
+  ]);
+  res.setHeader("Content-Type", "text/csv; charset=utf-8");
+  res.setHeader("Content-Disposition", "attachment; filename*=UTF-8''" + encodeURIComponent("内推奖金_" + nowIso().slice(0, 10) + ".csv"));
+  res.send("﻿" + [head, ...rows].map(r => r.map(csvCell).join(",")).join("\r\n"));
+});
+
+router.post("/api/referrals/:id/bonus", requireLogin, requireAdmin, async (req, res) => {
+  const d = await loadData();
+  const c = d.candidates.find(x => x.id === req.params.id);
+  if (!c) return res.status(404).json({ error: "候选人不存在" });
+  const before = snapshot(c.referralBonus);
+  const r = markBonusPaid(d, c, req.user);
+  if (r.error) return res.status(400).json({ error: r.error });
+  const baseUrl = process.env.BASE_URL || "https://recruit-platform-sable.vercel.app";
+  const sent = await notifyReferrer(d, c, "内推奖金已发放", "你推荐的候选人内推奖金 " + yuan(r.bonus.amount) + " 已发放，感谢你的推荐！", baseUrl);
+  if (sent) c.referral = { ...(c.referral || {}), notifiedBonus: "已发放" };
+  await saveData(d);
+  audit(req, { entityType: "candidate", entityId: c.id, entityName: c.name, before: { referralBonus: before }, after: { referralBonus: c.referralBonus } });
+  res.json({ ok: true });
+});
+
+export default router;
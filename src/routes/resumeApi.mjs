@@ -1,10 +1,11 @@
 import { Router } from "express";
-import { requireLogin } from "../auth.mjs";
+import path from "path";
+import fs from "fs";
+import { requireLogin, requireAdmin } from "../auth.mjs";
 import { loadData, saveData, nowIso, rid } from "../db.mjs";
 import { getSupabaseAdmin, getBucketName, getSignedUrlExpiresIn } from "../supabase.mjs";
-import { feishuEnabled, sendFeishuMessage, createApprovalInstance } from "../feishu.mjs";
 import { upload } from "../upload.mjs";
-import { pushEvent, safeExtFromName, saveResumeSupabaseOrLocal } from "../helpers.mjs";
+import { pushEvent, safeExtFromName, saveResumeSupabaseOrLocal, parseResumeIntoCandidate } from "../helpers.mjs";
 import { escapeHtml } from "../ui.mjs";
 
 const router = Router();
@@ -91,6 +92,16 @@ router.post("/api/candidates/:id/resume-meta", requireLogin, async (req, res) =>
       url: downloadUrl,
     };
 
+    // 前端直传不经过服务端，这里从 Storage 拉回文件做文本提取
+    if (supabase) {
+      try {
+        const { data: blob, error: dlErr } = await supabase.storage.from(bucket).download(objectName);
+        if (!dlErr && blob) await parseResumeIntoCandidate(d, c.id, meta, Buffer.from(await blob.arrayBuffer()));
+      } catch (e) {
+        console.warn("[Resume] 简历解析失败:", e.message);
+      }
+    }
+
     d.resumeFiles.push(meta);
     pushEvent(d, { candidateId: c.id, type: "简历", message: "上传简历：" + meta.originalName, actor: req.user?.name || "系统" });
     c.updatedAt = nowIso();
@@ -138,6 +149,41 @@ router.get("/api/candidates/:id/resume-url", requireLogin, async (req, res) => {
   }
 });
 
+// 补建简历全文索引：为历史简历提取正文（每次处理一批，避免 serverless 超时）
+router.post("/api/resume/reindex", requireLogin, requireAdmin, async (req, res) => {
+  try {
+    const d = await loadData();
+    const batch = Math.min(Math.max(Number(req.body.batch) || 20, 1), 50);
+    const pending = d.resumeFiles.filter(r => !r.text && !r.textExtractFailed && r.filename && /\.(pdf|docx)$/i.test(r.filename));
+    const supabase = getSupabaseAdmin();
+    let done = 0, failed = 0;
+    for (const r of pending.slice(0, batch)) {
+      try {
+        let buffer = null;
+        if (r.storage === "supabase" || (r.url && r.url.includes("supabase.co"))) {
+          if (!supabase) throw new Error("supabase_disabled");
+          const { data: blob, error: dlErr } = await supabase.storage.from(r.bucket || getBucketName()).download(r.filename);
+          if (dlErr || !blob) throw new Error(dlErr?.message || "download_failed");
+          buffer = Buffer.from(await blob.arrayBuffer());
+        } else {
+          buffer = fs.readFileSync(path.join(process.cwd(), "uploads", r.filename));
+        }
+        const parsed = await parseResumeIntoCandidate(d, r.candidateId, r, buffer);
+        if (parsed) done++; else { r.textExtractFailed = true; failed++; }
+      } catch (e) {
+        console.warn("[Resume] 补建索引失败:", r.filename, e.message);
+        r.textExtractFailed = true;
+        failed++;
+      }
+    }
+    if (done || failed) await saveData(d);
+    res.json({ ok: true, done, failed, remaining: Math.max(0, pending.length - done - failed) });
+  } catch (e) {
+    console.error("[Resume] reindex error:", e.message);
+    res.status(500).json({ error: String(e?.message || "unknown") });
+  }
+});
+
 // 兼容旧版：通过服务端中转上传（本地开发用）
 router.post("/api/candidates/:id/resume", requireLogin, upload.single("resume"), async (req, res) => {
   const d = await loadData();
@@ -156,71 +202,4 @@ router.post("/api/candidates/:id/resume", requireLogin, upload.single("resume"),
   }
 });
 
-// Offer API
-router.post("/api/candidates/:id/offer", requireLogin, async (req, res) => {
-  const d = await loadData();
-  const c = d.candidates.find((x) => x.id === req.params.id);
-  if (!c) return res.status(404).send("candidate_not_found");
-
-  if (!d.offers) d.offers = [];
-  const existing = d.offers.find((o) => o.candidateId === c.id);
-
-  const salary = String(req.body.salary || "").trim();
-  const salaryNote = String(req.body.salaryNote || "").trim();
-  const startDate = String(req.body.startDate || "").trim();
-  const offerStatus = String(req.body.offerStatus || "待发放").trim();
-  const note = String(req.body.note || "").trim();
-
-  if (existing) {
-    existing.salary = salary;
-    existing.salaryNote = salaryNote;
-    existing.startDate = startDate;
-    existing.offerStatus = offerStatus;
-    existing.note = note;
-    existing.updatedAt = nowIso();
-  } else {
-    d.offers.push({
-      id: rid("offer"),
-      candidateId: c.id,
-      jobId: c.jobId || "",
-      salary,
-      salaryNote,
-      startDate,
-      offerStatus,
-      note,
-      createdAt: nowIso(),
-      updatedAt: nowIso(),
-    });
-  }
-
-  pushEvent(d, { candidateId: c.id, type: "Offer", message: "Offer状态：" + offerStatus + "\n薪资：" + (salary || "-") + "\n入职日期：" + (startDate || "-"), actor: req.user?.name || "系统" });
-
-  if (offerStatus === "已接受" && c.status !== "入职") {
-    c.status = "Offer发放";
-    c.updatedAt = nowIso();
-  }
-
-  await saveData(d);
-
-  if (feishuEnabled() && req.user?.openId) {
-    sendFeishuMessage(req.user.openId,
-      `**候选人**：${c.name}\n**Offer状态**：${offerStatus}\n**薪资**：${salary || "-"}\n**入职日期**：${startDate || "-"}`,
-      "Offer 通知"
-    ).catch(() => {});
-
-    const approvalCode = process.env.FEISHU_APPROVAL_CODE;
-    if (approvalCode && offerStatus === "待审批") {
-      createApprovalInstance(approvalCode, req.user.openId, [
-        { name: "候选人", value: c.name },
-        { name: "职位", value: c.jobTitle || c.jobId || "-" },
-        { name: "薪资", value: salary || "-" },
-        { name: "入职日期", value: startDate || "-" },
-        { name: "备注", value: note || "-" },
-      ]).catch(() => {});
-    }
-  }
-
-  res.redirect(303, "/candidates/" + c.id);
-});
-
 export default router;
@@ -3,9 +3,13 @@ import { requireLogin } from "../auth.mjs";
 import { loadTables } from "../db.mjs";
 import { renderPage, escapeHtml } from "../ui.mjs";
 import { feishuEnabled, searchFeishuUsers, getAllFeishuEmployees } from "../feishu.mjs";
+import { scheduleRange, splitInterviewers, toBjLocal } from "../scheduling.mjs";
 
 const router = Router();
 
+// 面试官泳道：单日面试场次达到该值视为过载
+const DAILY_LOAD_LIMIT = 4;
+
 router.get("/schedule", requireLogin, async (req, res) => {
   const d = await loadTables("interviewSchedules", "candidates", "jobs", "interviews", "users");
   const schedules = (d.interviewSchedules || [])
@@ -70,7 +74,7 @@ router.get("/schedule", requireLogin, async (req, res) => {
         return sh === h;
       });
       const eventsHtml = daySchedules.map(s => {
-        const time = (s.scheduledAt || "").slice(11, 16) || "";
+        const time = ((s.scheduledAt || "").slice(11, 16) || "") + (s.endAt ? "-" + s.endAt.slice(11, 16) : "");
         const colors = ["#3370ff", "#3b82f6", "#10b981", "#ff7d00", "#f54a45"];
         const color = colors[(s.round - 1) % colors.length];
         return `<a href="/candidates/${escapeHtml(s.candId || "")}" class="wk-event" style="border-left:3px solid ${color};background:${color}11" title="${escapeHtml(s.candName)} 第${s.round}轮 ${time}\n面试官：${escapeHtml(s.interviewers || "-")}">
@@ -100,6 +104,76 @@ router.get("/schedule", requireLogin, async (req, res) => {
       </div>
     </div>`;
 
+  // ====== 面试官泳道视图：每位面试官一行，按天展示本周面试，标出时间重叠和过载 ======
+  const ivFilter = new Set([].concat(req.query.iv || []).flatMap(x => String(x).split(",")).map(x => x.trim()).filter(Boolean));
+  const weekStrs = new Set(weekDays.map(wd => wd.str));
+  const laneMap = new Map();
+  for (const s of schedules) {
+    const dt = s.scheduledAt.slice(0, 10);
+    if (!weekStrs.has(dt)) continue;
+    const range = scheduleRange(s);
+    if (!range) continue;
+    const c = candMap.get(s.candidateId);
+    for (const name of splitInterviewers(s.interviewers)) {
+      if (!laneMap.has(name)) laneMap.set(name, []);
+      laneMap.get(name).push({ ...s, range, dt, candName: c?.name || "未知", candId: c?.id || "" });
+    }
+  }
+  const laneNames = Array.from(laneMap.keys()).sort((a, b) => laneMap.get(b).length - laneMap.get(a).length || a.localeCompare(b));
+  const shownNames = ivFilter.size ? laneNames.filter(n => ivFilter.has(n)) : laneNames;
+  const laneRows = shownNames.map(name => {
+    const items = laneMap.get(name).sort((a, b) => a.range.start - b.range.start);
+    const totalMin = items.reduce((sum, x) => sum + (x.range.end - x.range.start) / 60000, 0);
+    const clashIds = new Set();
+    for (let i = 0; i < items.length; i++) {
+      for (let j = i + 1; j < items.length && items[j].range.start < items[i].range.end; j++) {
+        clashIds.add(items[i].id); clashIds.add(items[j].id);
+      }
+    }
+    const cells = weekDays.map(wd => {
+      const dayItems = items.filter(x => x.dt === wd.str);
+      const overloaded = dayItems.length >= DAILY_LOAD_LIMIT;
+      const evs = dayItems.map(x => {
+        const clash = clashIds.has(x.id);
+        return `<a href="/candidates/${escapeHtml(x.candId)}" class="lane-ev${clash ? " lane-clash" : ""}" title="${escapeHtml(x.candName)} 第${x.round}轮${clash ? "（时间冲突）" : ""}">${toBjLocal(x.range.start).slice(11, 16)}-${toBjLocal(x.range.end).slice(11, 16)} ${escapeHtml(x.candName)}</a>`;
+      }).join("");
+      return `<div class="lane-cell${overloaded ? " lane-over" : ""}${wd.str === todayStr ? " wk-cell-today" : ""}">${evs}</div>`;
+    }).join("");
+    const hours = Math.round(totalMin / 6) / 10;
+    return `<div class="lane-name"><b>${escapeHtml(name)}</b><div class="muted" style="font-size:12px">${items.length} 场 · ${hours} 小时${clashIds.size ? ' · <span style="color:#f54a45">冲突 ' + clashIds.size + '</span>' : ""}</div></div>${cells}`;
+  }).join("");
+  const ivChips = laneNames.map(n => `<label class="pill" style="cursor:pointer"><input type="checkbox" name="iv" value="${escapeHtml(n)}"${ivFilter.has(n) ? " checked" : ""} onchange="this.form.submit()" /> ${escapeHtml(n)} <span class="muted">${laneMap.get(n).length}</span></label>`).join("");
+  const laneViewHtml = `
+    <div class="card" style="margin-bottom:14px;overflow-x:auto">
+      <div class="row" style="margin-bottom:12px">
+        <a class="btn sm" href="/schedule?view=lanes&week=${weekOffset - 1}">&larr;</a>
+        <div style="font-weight:900;font-size:16px;margin:0 12px">${weekLabel}</div>
+        <a class="btn sm" href="/schedule?view=lanes&week=${weekOffset + 1}">&rarr;</a>
+        <span class="spacer"></span>
+        <span class="muted" style="font-size:12px">红色为同一面试官时间重叠，橙色底为单日 ≥${DAILY_LOAD_LIMIT} 场</span>
+        <a class="btn sm" href="/schedule?view=lanes&week=0">本周</a>
+      </div>
+      <form method="get" action="/schedule" class="row" style="gap:6px;flex-wrap:wrap;margin-bottom:12px">
+        <input type="hidden" name="view" value="lanes" /><input type="hidden" name="week" value="${weekOffset}" />
+        <span class="muted">面试官：</span>${ivChips || '<span class="muted">本周暂无面试</span>'}
+        ${ivFilter.size ? `<a class="btn sm" href="/schedule?view=lanes&week=${weekOffset}">清除筛选</a>` : ""}
+      </form>
+      ${laneRows ? `<div class="lane-grid">
+        <div class="wk-corner"></div>
+        ${weekHeaderCells}
+        ${laneRows}
+      </div>` : '<div class="muted">暂无符合条件的面试</div>'}
+    </div>
+    <style>
+      .lane-grid{display:grid;grid-template-columns:120px repeat(7,minmax(110px,1fr));gap:1px;background:#f0f0f0;border-radius:12px;overflow:hidden}
+      .lane-grid>div{background:#fff}
+      .lane-name{padding:8px 10px}
+      .lane-cell{padding:4px;min-height:44px;display:flex;flex-direction:column;gap:3px}
+      .lane-cell.lane-over{background:rgba(255,125,0,.08)!important}
+      .lane-ev{display:block;font-size:12px;padding:3px 6px;border-radius:6px;background:rgba(51,112,255,.08);color:#1f2937;text-decoration:none;white-space:nowrap;overflow:hidden;text-overflow:ellipsis}
+      .lane-ev.lane-clash{background:rgba(245,74,69,.12);color:#f54a45;font-weight:600}
+    </style>`;
+
   // ====== 月视图 ======
   const calMonth = req.query.month || today.toISOString().slice(0, 7);
   const [calY, calM] = calMonth.split("-").map(Number);
@@ -167,7 +241,7 @@ router.get("/schedule", requireLogin, async (req, res) => {
     return `<tr>
       <td><strong>${candName}</strong><br><span class="muted">${jobTitle}</span></td>
       <td>第${s.round}轮</td>
-      <td>${escapeHtml(s.scheduledAt)}</td>
+      <td>${escapeHtml(s.scheduledAt)}${s.endAt ? " - " + escapeHtml(s.endAt.slice(11, 16)) : ""}</td>
       <td>${calIvAvatars(s.interviewers)}</td>
       <td>${escapeHtml(s.location || s.link || "-")}</td>
       <td>${statusBadge} ${reviewBadge}</td>
@@ -178,10 +252,12 @@ router.get("/schedule", requireLogin, async (req, res) => {
   const weekActive = view === "week" ? "active" : "";
   const monthActive = view === "month" ? "active" : "";
   const listActive = view === "list" ? "active" : "";
+  const lanesActive = view === "lanes" ? "active" : "";
 
   let mainContent = '';
   if (view === "week") mainContent = weekViewHtml;
   else if (view === "month") mainContent = monthViewHtml;
+  else if (view === "lanes") mainContent = laneViewHtml;
 
   res.send(renderPage({
     title: "面试日程",
@@ -195,6 +271,7 @@ router.get("/schedule", requireLogin, async (req, res) => {
         <div class="seg" style="margin:0">
           <a class="${weekActive}" href="/schedule?view=week">周视图</a>
           <a class="${monthActive}" href="/schedule?view=month">月视图</a>
+          <a class="${lanesActive}" href="/schedule?view=lanes">面试官</a>
           <a class="${listActive}" href="/schedule?view=list">列表</a>
         </div>
       </div>
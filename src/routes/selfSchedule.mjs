@@ -0,0 +1,383 @@
+import { Router } from "express";
+import { requireLogin } from "../auth.mjs";
+import { loadData, saveData, nowIso, rid, deleteFromSupabase } from "../db.mjs";
+import { renderPage, escapeHtml } from "../ui.mjs";
+import { getJobTemplate, roundCount, roundName, scheduleAutoFlow } from "../pipeline.mjs";
+import { getVisibleJobIds, pushEvent, refreshResumeUrlIfNeeded } from "../helpers.mjs";
+import { parseBjTime, toBjLocal, findScheduleConflicts } from "../scheduling.mjs";
+import { notify } from "../notify.mjs";
+import { feishuEnabled, createFeishuCalendarEvent, updateFeishuCalendarEvent, deleteFeishuCalendarEvent } from "../feishu.mjs";
+
+const router = Router();
+
+// ====== 候选人自助预约面试 ======
+// HR 在候选人详情页给出若干可选时段并生成链接，候选人通过 /book/:token 免登录选择时段；
+// 选定后生成 interviewSchedules 记录（飞书开启时同步建日历），在截止时间前可改约或取消。
+
+const MAX_SLOTS = 10;
+const DEFAULT_CUTOFF_HOURS = 24;
+const LINK_STATUS_LABEL = { pending: "待预约", booked: "已预约", cancelled: "已取消", revoked: "已撤销" };
+const WEEKDAYS = ["日", "一", "二", "三", "四", "五", "六"];
+
+function slotLabel(slot) {
+  const start = parseBjTime(slot.start);
+  if (!start) return slot.start || "-";
+  const wd = WEEKDAYS[new Date(start.getTime() + 8 * 3600000).getUTCDay()];
+  return String(slot.start).slice(0, 10) + "（周" + wd + "）" + String(slot.start).slice(11, 16) + " - " + String(slot.end || "").slice(11, 16);
+}
+
+// 距离面试开始不足 cutoffHours 时，不再允许候选人改约/取消
+function beforeCutoff(link, slot) {
+  const start = parseBjTime(slot?.start);
+  if (!start) return false;
+  return start.getTime() - Date.now() > Number(link.cutoffHours ?? DEFAULT_CUTOFF_HOURS) * 3600000;
+}
+
+function bookingUrl(req, link) {
+  return req.protocol + "://" + req.get("host") + "/book/" + link.token;
+}
+
+// 同步飞书日历：已有日程则更新，更新失败或没有日程时新建
+async function syncBookingCalendar(d, c, link, sc, slot) {
+  if (!feishuEnabled()) return;
+  const startDt = parseBjTime(slot.start);
+  const endDt = parseBjTime(slot.end) || new Date(startDt.getTime() + 60 * 60 * 1000);
+  const creator = d.users.find(u => u.id === link.createdBy || u.openId === link.createdBy);
+  const attendeeOpenIds = [...(link.interviewerOpenIds || [])];
+  if (creator?.openId && !attendeeOpenIds.includes(creator.openId)) attendeeOpenIds.push(creator.openId);
+  const summary = `面试：${c.name} - ${c.jobTitle || "未知岗位"} - 第${sc.round}轮`;
+  const description = `候选人：${c.name}\n职位：${c.jobTitle || "-"}\n轮次：第${sc.round}轮\n面试官：${sc.interviewers || "-"}\n${sc.link ? "链接：" + sc.link : ""}${sc.location ? "\n地点：" + sc.location : ""}\n（候选人自助预约）`;
+  try {
+    if (sc.calendarEventId) {
+      const r = await updateFeishuCalendarEvent({
+        calendarEventId: sc.calendarEventId, summary, description,
+        startTime: startDt.toISOString(), endTime: endDt.toISOString(), attendeeOpenIds,
+      });
+      if (r?.code === 0) return;
+      console.warn("[Booking] 日历更新失败，改为新建, code:", r?.code);
+      sc.calendarEventId = "";
+    }
+    const resumes = (d.resumeFiles || []).filter(r => r.candidateId === c.id && r.url).sort((a, b) => (b.uploadedAt || "").localeCompare(a.uploadedAt || ""));
+    let latestResume = resumes[0] || null;
+    if (latestResume) latestResume = await refreshResumeUrlIfNeeded(latestResume).catch(() => latestResume);
+    const r = await createFeishuCalendarEvent({
+      summary, description,
+      startTime: startDt.toISOString(), endTime: endDt.toISOString(), attendeeOpenIds,
+      resumeAttachments: latestResume ? [{ url: latestResume.url, name: latestResume.originalName || latestResume.filename || "resume.pdf" }] : [],
+      hostOpenId: creator?.openId || "",
+    });
+    if (r?.eventId) sc.calendarEventId = r.eventId;
+    if (r?.meetingUrl) {
+      sc.link = r.meetingUrl;
+      sc.meetingUrl = r.meetingUrl;
+      const m = r.meetingUrl.match(/\/j\/(\d+)/);
+      if (m) sc.meetingNo = m[1];
+    }
+  } catch (e) {
+    console.error("[Booking] 飞书日历同步异常:", e.message);
+  }
+}
+
+// 通知发起链接的 HR 和面试官
+async function notifyBooking(req, d, c, link, title, text) {
+  const creator = d.users.find(u => u.id === link.createdBy || u.openId === link.createdBy);
+  const candidateUrl = `${req.protocol}://${req.get("host")}/candidates/${c.id}?lk_jump_to_browser=true`;
+  const buttons = { tag: "action", actions: [{ tag: "button", text: { tag: "plain_text", content: "📋 查看候选人详情" }, url: candidateUrl, type: "primary" }] };
+  await notify(d, "interview_booked", {
+    candidate: c,
+    actor: creator ? { name: creator.name, openId: creator.openId } : null,
+    interviewers: (link.interviewerOpenIds || []).map(openId => ({ openId })),
+    title,
+    content: `**候选人**：${c.name}\n**职位**：${c.jobTitle || "-"}\n**轮次**：第${link.round}轮\n${text}`,
+    vars: { "轮次": "第" + link.round + "轮", "说明": text },
+    buttons: [buttons],
+  }).catch(() => {});
+}
+
+// ---------- HR：生成 / 撤销预约链接 ----------
+router.post("/api/candidates/:id/booking-links", requireLogin, async (req, res) => {
+  const d = await loadData();
+  const c = d.candidates.find(x => x.id === req.params.id);
+  if (!c) return res.status(404).json({ error: "候选人不存在" });
+  { const vj = getVisibleJobIds(req.user, d.jobs); if (vj !== null && !vj.has(c.jobId)) return res.status(403).json({ error: "no_permission" }); }
+
+  const tpl = getJobTemplate(d, c.jobId);
+  const round = Number(req.body.round || 1);
+  if (!Number.isInteger(round) || round < 1 || round > roundCount(tpl)) return res.status(400).json({ error: "轮次无效" });
+
+  const rawSlots = Array.isArray(req.body.slots) ? req.body.slots : [];
+  if (!rawSlots.length) return res.status(400).json({ error: "请至少提供一个可选时段" });
+  if (rawSlots.length > MAX_SLOTS) return res.status(400).json({ error: "可选时段最多 " + MAX_SLOTS + " 个" });
+  const slots = [];
+  for (const s of rawSlots) {
+    const start = String(s?.start || "").trim().slice(0, 16);
+    const minutes = Number(s?.minutes || 60);
+    const startDt = parseBjTime(start);
+    if (!startDt) return res.status(400).json({ error: "时段时间格式无效" });
+    if (!Number.isFinite(minutes) || minutes < 15 || minutes > 480) return res.status(400).json({ error: "面试时长需在 15-480 分钟之间" });
+    if (startDt.getTime() <= Date.now()) return res.status(400).json({ error: "时段 " + start.replace("T", " ") + " 已过去" });
+    const end = toBjLocal(new Date(startDt.getTime() + minutes * 60000));
+    if (slots.some(x => x.start === start)) continue;
+    slots.push({ id: rid("slot"), start, end });
+  }
+  slots.sort((a, b) => a.start.localeCompare(b.start));
+
+  const cutoffHours = req.body.cutoffHours === undefined || req.body.cutoffHours === "" ? DEFAULT_CUTOFF_HOURS : Number(req.body.cutoffHours);
+  if (!Number.isFinite(cutoffHours) || cutoffHours < 0 || cutoffHours > 168) return res.status(400).json({ error: "改约截止时间需在 0-168 小时之间" });
+
+  // 面试官 openId：优先用前端传入的，兜底按姓名匹配通讯录
+  const interviewers = String(req.body.interviewers || "").trim();
+  const interviewerOpenIds = Array.isArray(req.body.interviewerOpenIds) ? req.body.interviewerOpenIds.filter(Boolean) : [];
+  if (!interviewerOpenIds.length && interviewers) {
+    for (const name of interviewers.split(/[\/;,、]/).map(n => n.trim()).filter(Boolean)) {
+      const usr = d.users.find(u => u.name === name && u.openId);
+      if (usr) interviewerOpenIds.push(usr.openId);
+    }
+  }
+
+  const link = {
+    id: rid("bk"),
+    token: rid("bt"),
+    candidateId: c.id,
+    round,
+    slots,
+    interviewers,
+    interviewerOpenIds,
+    location: String(req.body.location || "").trim(),
+    link: String(req.body.link || "").trim(),
+    cutoffHours,
+    status: "pending",
+    bookedSlotId: "",
+    scheduleId: "",
+    expiresAt: slots[slots.length - 1].start,
+    createdBy: req.user?.id || req.user?.openId || "",
+    createdAt: nowIso(),
+    updatedAt: nowIso(),
+  };
+  // 同一轮次只保留一个待预约链接，旧链接自动撤销
+  for (const x of d.bookingLinks) {
+    if (x.candidateId === c.id && x.round === round && x.status === "pending") {
+      x.status = "revoked";
+      x.updatedAt = nowIso();
+    }
+  }
+  d.bookingLinks.push(link);
+  pushEvent(d, { candidateId: c.id, type: "自助预约", message: "发送第" + round + "轮自助预约链接（" + slots.length + " 个可选时段，面试前 " + cutoffHours + " 小时停止改约）\n" + slots.map(slotLabel).join("\n"), actor: req.user?.name || "系统" });
+  await saveData(d);
+  res.json({ ok: true, id: link.id, url: bookingUrl(req, link) });
+});
+
+router.delete("/api/candidates/:id/booking-links/:linkId", requireLogin, async (req, res) => {
+  const d = await loadData();
+  const c = d.candidates.find(x => x.id === req.params.id);
+  if (!c) return res.status(404).json({ error: "候选人不存在" });
+  { const vj = getVisibleJobIds(req.user, d.jobs); if (vj !== null && !vj.has(c.jobId)) return res.status(403).json({ error: "no_permission" }); }
+  const link = d.bookingLinks.find(x => x.id === req.params.linkId && x.candidateId === c.id);
+  if (!link) return res.status(404).json({ error: "预约链接不存在" });
+  if (link.status === "revoked") return res.json({ ok: true });
+  link.status = "revoked";
+  link.updatedAt = nowIso();
+  // 已预约的面试安排保留，需要时由 HR 在面试安排中删除
+  pushEvent(d, { candidateId: c.id, type: "自助预约", message: "撤销第" + link.round + "轮自助预约链接", actor: req.user?.name || "系统" });
+  await saveData(d);
+  res.json({ ok: true });
+});
+
+// ---------- 候选人：公开预约页 ----------
+function invalidPage(res, title, text) {
+  return res.send(renderPage({ title, user: null, active: "", contentHtml: '<div class="card" style="max-width:560px;margin:24px auto"><div style="font-weight:900;font-size:18px;margin-bottom:12px">' + escapeHtml(title) + '</div><div class="muted">' + escapeHtml(text) + '</div></div>' }));
+}
+
+function findBooking(d, token) {
+  const link = d.bookingLinks.find(x => x.token === token);
+  if (!link) return {};
+  const c = d.candidates.find(x => x.id === link.candidateId);
+  if (!c) return {};
+  const sc = link.scheduleId ? d.interviewSchedules.find(x => x.id === link.scheduleId) : null;
+  return { link, c, sc };
+}
+
+router.get("/book/:token", async (req, res) => {
+  const d = await loadData();
+  const { link, c, sc } = findBooking(d, req.params.token);
+  if (!link) return invalidPage(res, "链接无效", "预约链接无效或已失效，请联系 HR 获取新的链接。");
+  if (link.status === "revoked") return invalidPage(res, "链接已失效", "该预约链接已被 HR 撤销，请联系 HR 获取新的链接。");
+
+  const tpl = getJobTemplate(d, c.jobId);
+  const bookedSlot = link.slots.find(s => s.id === link.bookedSlotId);
+  const booked = link.status === "booked" && bookedSlot && sc;
+  const canChange = booked && beforeCutoff(link, bookedSlot);
+  const openSlots = link.slots.filter(s => (parseBjTime(s.start)?.getTime() || 0) > Date.now());
+
+  const infoHtml = '<div class="row" style="margin-bottom:12px;flex-wrap:wrap;gap:8px">' +
+    '<span class="pill"><span class="muted">候选人</span><b>' + escapeHtml(c.name) + '</b></span>' +
+    '<span class="pill"><span class="muted">岗位</span><b>' + escapeHtml(c.jobTitle || "-") + '</b></span>' +
+    '<span class="pill"><span class="muted">轮次</span><b>第' + link.round + '轮 · ' + escapeHtml(roundName(tpl, link.round)) + '</b></span>' +
+    (link.location ? '<span class="pill"><span class="muted">地点/形式</span><b>' + escapeHtml(link.location) + '</b></span>' : '') +
+  '</div>';
+
+  const slotRadios = (excludeId) => openSlots.filter(s => s.id !== excludeId).map(s =>
+    '<label class="card compact" style="display:flex;align-items:center;gap:10px;padding:10px 12px;border-radius:12px;margin-bottom:8px;cursor:pointer"><input type="radio" name="slot" value="' + escapeHtml(s.id) + '" /><b>' + escapeHtml(slotLabel(s)) + '</b></label>'
+  ).join("");
+
+  let bodyHtml = "";
+  if (link.status === "cancelled") {
+    bodyHtml = '<div class="muted">你已取消本轮面试预约。如需重新安排，请联系 HR。</div>';
+  } else if (booked) {
+    const meeting = sc.meetingUrl || sc.link;
+    bodyHtml = '<div class="card compact" style="padding:12px;border-radius:14px;margin-bottom:16px;background:rgba(34,197,94,.06);border:1px solid rgba(34,197,94,.15)">' +
+      '<div style="font-weight:700;color:#16a34a;margin-bottom:6px">✅ 已预约：' + escapeHtml(slotLabel(bookedSlot)) + '</div>' +
+      (meeting ? '<div class="muted">会议链接：<a href="' + escapeHtml(meeting) + '" target="_blank" rel="noreferrer">' + escapeHtml(meeting) + '</a></div>' : '') +
+      '</div>' +
+      (canChange
+        ? (slotRadios(bookedSlot.id)
+          ? '<div style="font-weight:700;margin-bottom:8px">改约到其他时段</div><form id="bookForm">' + slotRadios(bookedSlot.id) + '<button class="btn primary" type="submit" id="bookBtn" style="width:100%;margin-top:8px">确认改约</button></form>'
+          : '<div class="muted" style="margin-bottom:8px">暂无其他可改约的时段，如需调整请联系 HR。</div>') +
+          '<button class="btn" id="cancelBtn" onclick="cancelBooking()" style="width:100%;margin-top:8px;background:rgba(239,68,68,.08);color:#ef4444">取消预约</button>' +
+          '<div class="muted" style="margin-top:8px;font-size:12px">面试开始前 ' + escapeHtml(link.cutoffHours) + ' 小时内不再支持在线改约或取消。</div>'
+        : '<div class="muted">距离面试开始已不足 ' + escapeHtml(link.cutoffHours) + ' 小时，如需改约或取消请直接联系 HR。</div>');
+  } else if (!openSlots.length) {
+    bodyHtml = '<div class="muted">所有可选时段均已过期，请联系 HR 获取新的时段。</div>';
+  } else {
+    bodyHtml = '<div style="font-weight:700;margin-bottom:8px">请选择一个方便的面试时段</div><form id="bookForm">' + slotRadios("") +
+      '<button class="btn primary" type="submit" id="bookBtn" style="width:100%;margin-top:8px">确认预约</button></form>' +
+      '<div class="muted" style="margin-top:8px;font-size:12px">预约后，面试开始前 ' + escapeHtml(link.cutoffHours) + ' 小时以外可以在本页改约或取消。</div>';
+  }
+
+  const tokenJs = JSON.stringify(link.token);
+  const html = '<div class="card" style="max-width:640px;margin:24px auto">' +
+    '<div style="font-weight:900;font-size:18px;margin-bottom:4px">面试时间预约</div>' +
+    '<div class="muted" style="margin-bottom:16px">以下时间均为北京时间</div>' +
+    '<div class="divider"></div>' + infoHtml + '<div class="divider"></div>' + bodyHtml +
+    '</div>' +
+    '<script>' +
+    'var _bkBusy=false;' +
+    'var bf=document.getElementById("bookForm");' +
+    'if(bf)bf.onsubmit=async function(e){e.preventDefault();if(_bkBusy)return;var r=document.querySelector("input[name=slot]:checked");if(!r){alert("请选择一个时段");return}' +
+    '_bkBusy=true;var btn=document.getElementById("bookBtn");btn.disabled=true;btn.textContent="提交中...";' +
+    'try{var res=await fetch("/api/book/"+encodeURIComponent(' + tokenJs + '),{method:"POST",headers:{"Content-Type":"application/json"},body:JSON.stringify({slotId:r.value})});' +
+    'if(res.ok){location.reload()}else{var d=await res.json().catch(function(){return{}});alert(d.error||"提交失败");btn.disabled=false;btn.textContent="重新提交";_bkBusy=false}}' +
+    'catch(err){alert("网络错误");btn.disabled=false;_bkBusy=false}};' +
+    'async function cancelBooking(){if(_bkBusy||!confirm("确定取消本轮面试预约？取消后需联系 HR 重新安排。"))return;_bkBusy=true;' +
+    'try{var res=await fetch("/api/book/"+encodeURIComponent(' + tokenJs + ')+"/cancel",{method:"POST"});' +
+    'if(res.ok){location.reload()}else{var d=await res.json().catch(function(){return{}});alert(d.error||"取消失败");_bkBusy=false}}' +
+    'catch(err){alert("网络错误");_bkBusy=false}}' +
+    '</script>';
+
+  res.send(renderPage({ title: "面试时间预约", user: null, active: "", contentHtml: html }));
+});
+
+// 预约 / 改约
+router.post("/api/book/:token", async (req, res) => {
+  const d = await loadData();
+  const { link, c, sc: prevSc } = findBooking(d, req.params.token);
+  if (!link) return res.status(404).json({ error: "预约链接无效" });
+  if (link.status === "revoked" || link.status === "cancelled") return res.status(409).json({ error: "预约链接已失效，请联系 HR" });
+
+  const slot = link.slots.find(s => s.id === String(req.body.slotId || ""));
+  if (!slot) return res.status(400).json({ error: "请选择有效的时段" });
+  if ((parseBjTime(slot.start)?.getTime() || 0) <= Date.now()) return res.status(400).json({ error: "该时段已过期，请选择其他时段" });
+
+  const rescheduling = link.status === "booked" && !!prevSc;
+  const prevSlot = link.slots.find(s => s.id === link.bookedSlotId);
+  if (rescheduling) {
+    if (slot.id === link.bookedSlotId) return res.status(400).json({ error: "已预约该时段" });
+    if (!beforeCutoff(link, prevSlot)) return res.status(409).json({ error: "距离面试开始已不足 " + link.cutoffHours + " 小时，无法在线改约，请联系 HR" });
+  }
+
+  // 与 HR 手动安排共用同一条轮次记录：已有则覆盖时间，否则新建
+  let sc = prevSc || d.interviewSchedules.find(x => x.candidateId === c.id && x.round === link.round);
+  // 面试官在该时段已有其他面试时不允许选择（链接发出后时段可能已被占用）
+  const conflicts = findScheduleConflicts(d, { interviewers: link.interviewers, start: parseBjTime(slot.start), end: parseBjTime(slot.end), excludeId: sc?.id || "" });
+  if (conflicts.length) return res.status(409).json({ error: "该时段已被占用，请选择其他时段" });
+
+  const tpl = getJobTemplate(d, c.jobId);
+  if (!sc) {
+    sc = {
+      id: rid("sc"),
+      candidateId: c.id,
+      round: link.round,
+      scheduledAt: "",
+      interviewers: link.interviewers,
+      link: link.link,
+      location: link.location,
+      reviewToken: rid("rt"),
+      meetingNo: "",
+      recordingUrl: "",
+      calendarEventId: "",
+      meetingUrl: "",
+      createdAt: nowIso(),
+    };
+    d.interviewSchedules.push(sc);
+  } else {
+    sc.interviewers = link.interviewers || sc.interviewers;
+    sc.location = link.location || sc.location;
+    sc.link = sc.meetingUrl || link.link || sc.link;
+    if (!sc.reviewToken) sc.reviewToken = rid("rt");
+  }
+  sc.scheduledAt = slot.start;
+  sc.endAt = slot.end;
+  sc.updatedAt = nowIso();
+
+  link.status = "booked";
+  link.bookedSlotId = slot.id;
+  link.scheduleId = sc.id;
+  link.updatedAt = nowIso();
+
+  const actor = "候选人（" + (c.name || "未命名") + "）";
+  pushEvent(d, {
+    candidateId: c.id,
+    type: "自助预约",
+    message: rescheduling
+      ? "候选人改约第" + link.round + "轮面试\n" + slotLabel(prevSlot || { start: prevSc.scheduledAt }) + " -> " + slotLabel(slot)
+      : "候选人预约第" + link.round + "轮面试\n时间：" + slotLabel(slot) + "\n面试官：" + (sc.interviewers || "-"),
+    actor,
+  });
+  if (!rescheduling) {
+    const old = c.status || "待筛选";
+    const to = scheduleAutoFlow(tpl, link.round, old);
+    if (to) {
+      c.status = to;
+      c.updatedAt = nowIso();
+      pushEvent(d, { candidateId: c.id, type: "自动流转", message: "候选人预约第" + link.round + "轮面试（" + roundName(tpl, link.round) + "），状态：" + old + " -> " + to, actor: "系统" });
+    }
+  }
+  if (!c.follow) c.follow = {};
+  c.follow.nextAction = "等面试反馈";
+  c.follow.followAt = slot.start.slice(0, 10);
+
+  await syncBookingCalendar(d, c, link, sc, slot);
+  await saveData(d);
+  await notifyBooking(req, d, c, link, rescheduling ? "候选人改约面试" : "候选人已预约面试",
+    (rescheduling ? "**原时间**：" + slotLabel(prevSlot || { start: prevSc.scheduledAt }) + "\n**新时间**：" : "**时间**：") + slotLabel(slot));
+  res.json({ ok: true, scheduleId: sc.id });
+});
+
+// 取消预约：删除面试安排和飞书日程
+router.post("/api/book/:token/cancel", async (req, res) => {
+  const d = await loadData();
+  const { link, c, sc } = findBooking(d, req.params.token);
+  if (!link) return res.status(404).json({ error: "预约链接无效" });
+  if (link.status !== "booked") return res.status(409).json({ error: "当前没有可取消的预约" });
+  const slot = link.slots.find(s => s.id === link.bookedSlotId);
+  if (!beforeCutoff(link, slot)) return res.status(409).json({ error: "距离面试开始已不足 " + link.cutoffHours + " 小时，无法在线取消，请联系 HR" });
+
+  const calendarEventId = sc?.calendarEventId || "";
+  if (sc) d.interviewSchedules = d.interviewSchedules.filter(x => x.id !== sc.id);
+  link.status = "cancelled";
+  link.updatedAt = nowIso();
+  pushEvent(d, { candidateId: c.id, type: "自助预约", message: "候选人取消第" + link.round + "轮面试预约（原时间：" + slotLabel(slot || { start: sc?.scheduledAt }) + "）", actor: "候选人（" + (c.name || "未命名") + "）" });
+  await Promise.all([
+    saveData(d),
+    sc ? deleteFromSupabase("interview_schedules", sc.id) : null,
+  ]);
+
+  if (calendarEventId && feishuEnabled()) {
+    try { await deleteFeishuCalendarEvent({ calendarEventId }); } catch (e) { console.error("[Booking] 飞书日历删除异常:", e.message); }
+  }
+  await notifyBooking(req, d, c, link, "候选人取消面试", "**原时间**：" + slotLabel(slot || { start: sc?.scheduledAt }) + "\n请及时与候选人沟通后续安排。");
+  res.json({ ok: true });
+});
+
+export { LINK_STATUS_LABEL, slotLabel };
+export default router;
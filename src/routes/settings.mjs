@@ -1,11 +1,41 @@
 import { Router } from "express";
+import crypto from "crypto";
 import { requireLogin, requireAdmin } from "../auth.mjs";
-import { loadData, saveData, nowIso, rid, toBjTime, deleteFromSupabase } from "../db.mjs";
+import { loadData, saveData, nowIso, rid, toBjTime, deleteFromSupabase, loadNotificationLogs } from "../db.mjs";
 import { renderPage, escapeHtml } from "../ui.mjs";
+import { EMPLOYMENT_TYPES, DEFAULT_NOTIFICATION_RULES } from "../constants.mjs";
+import { pushEvent } from "../helpers.mjs";
+import { DEFAULT_TEMPLATE_ID, allTemplates, parseTemplateInput, templateToInput, migrateStatus, REVIEW_REJECT_REASON, unionStatuses, templateResolver } from "../pipeline.mjs";
+import { allScorecards, parseScorecardInput, scorecardToInput } from "../scorecard.mjs";
+import { DEFAULT_OFFER_LETTER, feishuApprovalCode } from "../offer.mjs";
+import { allBands, parseBandsInput, bandsToInput, jobBand } from "../compensation.mjs";
+import { ONBOARDING_CATEGORIES, OWNER_ROLES, onboardingTemplate, parseOnboardingTemplate, onboardingTemplateToText } from "../onboarding.mjs";
+import { EMAIL_TEMPLATES, TEMPLATE_VARS, emailTemplate, isDefaultTemplate, templateMeta } from "../email.mjs";
+import { mailTransport } from "../mailer.mjs";
+import { NOTIFY_TRIGGERS, RECIPIENT_TYPES, NOTIFY_CHANNELS, triggerMeta, normalizeRule, notificationRules, parseRuleInput } from "../notify.mjs";
+import { followupSettings, parseFollowupSettings, refreshSlaFlags } from "../followup.mjs";
+import { requisitionSettings, parseRequisitionSettings } from "../requisition.mjs";
+import { JD_PLACEHOLDERS, parseJdTemplateInput } from "../jobVersions.mjs";
+import { referralSettings, parseReferralRules, referralRulesToInput } from "../referral.mjs";
+import { agencyStats, groupEvents, parseContractInput, milestonesToInput, contractLabel } from "../agency.mjs";
+import { audit, snapshot } from "../audit.mjs";
+import { careersAutoSyncEnabled } from "../tasks/careersSync.mjs";
 import { feishuEnabled, getAllFeishuEmployees, searchFeishuUsers, sendFeishuGroupMessage, getTenantAccessToken } from "../feishu.mjs";
 
 const router = Router();
 
+// 整项设置的审计记录，entityId 为设置项 key
+const SETTING_NAMES = {
+  sources: "候选人来源", tags: "标签", categories: "职位分类", rejectionReasons: "淘汰原因", hrGroupChatId: "HR 群聊 Chat ID",
+  offerSettings: "Offer 审批与模板", salaryBands: "薪资带宽", onboardingTemplates: "入职清单", emailTemplates: "邮件模板",
+  emailRules: "自动邮件规则", notificationRules: "通知规则", followupSettings: "跟进提醒与 SLA",
+  requisitionSettings: "职位申请审批", referralSettings: "内推奖金",
+};
+
+function auditSetting(req, key, before, after, sub = "") {
+  audit(req, { action: "update", entityType: "settings", entityId: key, entityName: SETTING_NAMES[key] + (sub ? "：" + sub : ""), before, after });
+}
+
 router.get("/settings", requireLogin, requireAdmin, async (req, res) => {
   const d = await loadData();
   const sourcesHtml = (d.sources || []).map((s) => {
@@ -22,6 +52,11 @@ router.get("/settings", requireLogin, requireAdmin, async (req, res) => {
     return '<span class="badge ' + (tagColors[t] || "status-gray") + '" style="display:inline-flex;align-items:center;gap:4px;font-size:11px">' + escapeHtml(t) + '<span onclick="delTag(\'' + esc + '\')" style="cursor:pointer;opacity:0.6;font-size:14px;line-height:1;margin-left:2px" title="删除">&times;</span></span>';
   }).join(" ");
 
+  const rejectionReasonsHtml = (d.rejectionReasons || []).map((r) => {
+    const esc = escapeHtml(r).replace(/'/g, "&#39;");
+    return '<span class="pill" style="display:inline-flex;align-items:center;gap:4px">' + escapeHtml(r) + (r === REVIEW_REJECT_REASON ? '' : '<span onclick="delRejectionReason(\'' + esc + '\')" style="cursor:pointer;color:#999;font-size:14px;line-height:1;margin-left:2px" title="删除">&times;</span>') + '</span>';
+  }).join(" ");
+
   // 用户管理列表
   const usersHtml = (d.users || []).map((u) => {
     const isCurrentUser = u.id === req.user?.id;
@@ -41,8 +76,11 @@ router.get("/settings", requireLogin, requireAdmin, async (req, res) => {
 
   // 猎头管理列表
   const headhunters = d.headhunters || [];
+  const openJobs = d.jobs.filter(j => (j.state || "open") === "open");
+  const statsOpts = { resolve: templateResolver(d), eventsByCand: groupEvents(d) };
+  const fmtYuan = (n) => Number(n || 0).toLocaleString("zh-CN");
   const huntersTableHtml = headhunters.length
-    ? '<table><thead><tr><th>公司</th><th>联系人</th><th>状态</th><th>创建时间</th><th>操作</th></tr></thead><tbody>' +
+    ? '<table><thead><tr><th>公司</th><th>联系人</th><th>状态</th><th>门户 API Key</th><th>可见岗位</th><th>合同</th><th>推荐 / 入职</th><th>平均入职周期</th><th>重复推荐</th><th>服务费</th><th>创建时间</th><th>操作</th></tr></thead><tbody>' +
       headhunters.map((h) => {
         const hid = escapeHtml(h.id);
         const hname = escapeHtml(h.name || "");
@@ -53,12 +91,38 @@ router.get("/settings", requireLogin, requireAdmin, async (req, res) => {
         const toggleEnabledBtn = h.enabled !== false
           ? '<button class="btn sm" onclick="toggleHunter(\'' + hid + '\',false)" style="margin-right:4px">停用</button>'
           : '<button class="btn sm primary" onclick="toggleHunter(\'' + hid + '\',true)" style="margin-right:4px">启用</button>';
+        const keyHtml = h.apiKey
+          ? '<code style="font-size:12px;cursor:pointer" title="点击复制" onclick="copyHunterKey(\'' + escapeHtml(h.apiKey) + '\')">' + escapeHtml(h.apiKey.slice(0, 10)) + '…</code> <button class="btn sm" onclick="resetHunterKey(\'' + hid + '\')">重置</button>'
+          : '<button class="btn sm primary" onclick="resetHunterKey(\'' + hid + '\')">生成</button>';
+        const hunterJobIds = new Set(h.jobIds || []);
+        const jobsCell = '<details><summary style="cursor:pointer;font-size:12px">' + (hunterJobIds.size ? '已选 ' + hunterJobIds.size + ' 个' : '全部开放岗位') + '</summary>' +
+          '<div style="max-height:200px;overflow:auto;margin-top:6px">' +
+          openJobs.map(j => '<label style="display:block;font-size:12px;white-space:nowrap"><input type="checkbox" class="hj-' + hid + '" value="' + escapeHtml(j.id) + '"' + (hunterJobIds.has(j.id) ? ' checked' : '') + ' /> ' + escapeHtml(j.title) + '</label>').join("") +
+          '</div><button class="btn sm" style="margin-top:6px" onclick="saveHunterJobs(\'' + hid + '\')">保存</button></details>';
+        const ct = h.contract;
+        const contractCell = '<details><summary style="cursor:pointer;font-size:12px">' + (ct ? escapeHtml(contractLabel(ct)) : '<span class="muted">未签合同</span>') + '</summary>' +
+          '<div style="margin-top:6px;min-width:220px">' +
+          '<div class="field"><label style="font-size:12px">服务费比例（% 年度现金）</label><input id="hc-fee-' + hid + '" type="number" min="0" max="100" step="0.1" value="' + (ct ? ct.feePercent : "") + '" placeholder="20" /></div>' +
+          '<div class="field"><label style="font-size:12px">保证期（天）</label><input id="hc-days-' + hid + '" type="number" min="0" max="365" value="' + (ct ? ct.guaranteeDays : "") + '" placeholder="90" /></div>' +
+          '<div class="field"><label style="font-size:12px">付款节点（节点 = 比例% / 入职后天数）</label><textarea id="hc-ms-' + hid + '" rows="3" placeholder="入职 = 50% / 0&#10;转正 = 50% / 90">' + escapeHtml(ct ? milestonesToInput(ct.milestones) : "") + '</textarea></div>' +
+          '<button class="btn sm" onclick="saveHunterContract(\'' + hid + '\')">保存合同</button></div></details>';
+        const st = agencyStats(d, h, statsOpts);
         return '<tr>' +
           '<td style="font-weight:700">' + hcompany + '</td>' +
           '<td>' + hname + '</td>' +
           '<td>' + henabledLabel + '</td>' +
+          '<td>' + keyHtml + '</td>' +
+          '<td>' + jobsCell + '</td>' +
+          '<td>' + contractCell + '</td>' +
+          '<td><a href="/settings/headhunters/' + hid + '">' + st.submissions + ' / ' + st.hires + '</a></td>' +
+          '<td>' + (st.avgDaysToHire === null ? '<span class="muted">-</span>' : st.avgDaysToHire + ' 天') + '</td>' +
+          '<td>' + (st.conflictsWon + st.conflictsLost ? '<span title="首推 / 后推">' + st.conflictsWon + ' / ' + st.conflictsLost + '</span>' : '<span class="muted">-</span>') + '</td>' +
+          '<td style="font-size:12px">' + (st.feeOwed ? '<span class="badge status-orange" style="font-size:11px">待付 ' + fmtYuan(st.feeOwed) + '</span> ' : '') +
+            (st.feePaid ? '<span class="muted">已付 ' + fmtYuan(st.feePaid) + '</span> ' : '') +
+            (st.breaches ? '<span class="badge status-red" style="font-size:11px">保证期违约 ' + st.breaches + '</span>' : '') +
+            (st.feeOwed || st.feePaid || st.breaches ? '' : '<span class="muted">-</span>') + '</td>' +
           '<td class="muted" style="font-size:12px">' + escapeHtml(toBjTime(h.createdAt || "").slice(0, 10)) + '</td>' +
-          '<td>' + toggleEnabledBtn + '<button class="btn sm" onclick="delHunter(\'' + hid + '\')" style="color:#f5222d">删除</button></td>' +
+          '<td><a class="btn sm" href="/settings/headhunters/' + hid + '" style="margin-right:4px">绩效</a>' + toggleEnabledBtn + '<button class="btn sm" onclick="delHunter(\'' + hid + '\')" style="color:#f5222d">删除</button></td>' +
           '</tr>';
       }).join("") +
       '</tbody></table>'
@@ -66,7 +130,7 @@ router.get("/settings", requireLogin, requireAdmin, async (req, res) => {
 
   const headhunterMgmtHtml = '<div class="card" style="margin-top:14px">' +
     '<div style="font-weight:900;font-size:18px">猎头管理</div>' +
-    '<div class="muted">管理猎头供应商。启用的猎头可在候选人录入时选择绑定。</div>' +
+    '<div class="muted">管理猎头供应商。启用的猎头可在候选人录入时选择绑定，也可凭 API Key 登录 <a href="/hunter" target="_blank">猎头门户</a> 或调用 /api/hunter/* 接口推荐候选人。签订合同后，推荐的候选人入职时按 Offer 年度现金和服务费比例计算应付服务费；保证期内离职会标记违约并停付未付节点。</div>' +
     '<div class="divider"></div>' +
     huntersTableHtml +
     '<div class="divider"></div>' +
@@ -78,6 +142,268 @@ router.get("/settings", requireLogin, requireAdmin, async (req, res) => {
     '</div>' +
     '</div>';
 
+  // 招聘流程模板
+  const tplUsage = new Map();
+  for (const j of d.jobs) tplUsage.set(j.pipelineTemplateId || DEFAULT_TEMPLATE_ID, (tplUsage.get(j.pipelineTemplateId || DEFAULT_TEMPLATE_ID) || 0) + 1);
+  const tplFormHtml = (key, input) =>
+    '<div class="grid" style="margin-top:8px">' +
+      '<div class="field"><label>模板名称</label><input id="pt-name-' + key + '" value="' + escapeHtml(input.name) + '" placeholder="例如：实习生流程" /></div>' +
+      '<div class="field"><label>面试轮次（每行一个，按顺序；可用"轮次 | 分钟"设置面试时长，默认 60 分钟）</label><textarea id="pt-rounds-' + key + '" rows="4" placeholder="笔试 | 90&#10;技术面&#10;HR面 | 30">' + escapeHtml(input.rounds) + '</textarea></div>' +
+    '</div>' +
+    '<div class="field"><label>看板阶段（每行"阶段名: 状态1, 状态2"，留空则按轮次自动生成）</label><textarea id="pt-stages-' + key + '" rows="6">' + escapeHtml(input.stages) + '</textarea></div>' +
+    '<div class="field"><label>允许的状态流转（每行"当前状态 -> 状态1, 状态2"，未列出的状态使用默认规则：按轮次逐步推进、任意环节可淘汰）</label><textarea id="pt-transitions-' + key + '" rows="4" placeholder="待筛选 -> 简历初筛, 待笔试, 淘汰">' + escapeHtml(input.transitions) + '</textarea></div>';
+  const pipelineRows = allTemplates(d).map((t) => {
+    const used = tplUsage.get(t.id) || 0;
+    const summary = '<b>' + escapeHtml(t.name) + '</b> ' +
+      (t.builtin ? '<span class="badge status-gray" style="font-size:11px">内置</span> ' : '') +
+      '<span class="muted" style="font-size:12px">' + t.rounds.map((r) => escapeHtml(r.name) + (r.minutes ? "(" + r.minutes + "分钟)" : "")).join(" → ") + ' · ' + used + ' 个岗位使用</span>';
+    if (t.builtin) return '<div style="padding:8px 0;border-bottom:1px solid #f0f0f0">' + summary + '</div>';
+    const tid = escapeHtml(t.id);
+    return '<details style="padding:8px 0;border-bottom:1px solid #f0f0f0"><summary style="cursor:pointer">' + summary + '</summary>' +
+      tplFormHtml(tid, templateToInput(t)) +
+      '<div class="row"><button class="btn sm primary" onclick="savePipelineTpl(\'' + tid + '\')">保存</button><button class="btn sm" onclick="delPipelineTpl(\'' + tid + '\')" style="color:#f5222d">删除</button></div>' +
+      '</details>';
+  }).join("");
+  const pipelineMgmtHtml = '<div class="card" style="margin-top:14px">' +
+    '<div style="font-weight:900;font-size:18px">招聘流程模板</div>' +
+    '<div class="muted">为不同岗位配置面试轮次、看板阶段和状态流转规则，在岗位编辑页选择使用的流程。未选择流程的岗位使用内置默认流程。</div>' +
+    '<div class="divider"></div>' +
+    pipelineRows +
+    '<div class="divider"></div>' +
+    '<div style="font-weight:600;font-size:14px;margin-bottom:8px">新增流程模板</div>' +
+    tplFormHtml("new", { name: "", rounds: "", stages: "", transitions: "" }) +
+    '<button class="btn primary" onclick="savePipelineTpl(\'\')">新增</button>' +
+    '</div>';
+
+  // 面试评分卡模板
+  const scFormHtml = (key, input) =>
+    '<div class="grid" style="margin-top:8px">' +
+      '<div class="field"><label>模板名称</label><input id="sc-name-' + key + '" value="' + escapeHtml(input.name) + '" placeholder="例如：研发岗评分卡" /></div>' +
+      '<div class="field"><label>适用职位分类（逗号分隔；岗位未单独指定评分卡时按分类匹配）</label><input id="sc-categories-' + key + '" value="' + escapeHtml(input.categories) + '" placeholder="技术, 产品" /></div>' +
+    '</div>' +
+    '<div class="field"><label>评分维度（"# 维度名"开始一个维度；"1 = 锚点" 至 "5 = 锚点"为各分数标准；"问题 = …"为参考问题，"问题2 = …"仅第2轮显示；"轮次 = 1,2"限定评分轮次）</label><textarea id="sc-competencies-' + key + '" rows="10" placeholder="# 技术深度&#10;1 = 基础概念不清&#10;3 = 能独立完成模块设计&#10;5 = 能主导复杂系统架构&#10;问题 = 介绍一个你主导过的最复杂的系统&#10;# 沟通协作&#10;轮次 = 2,3">' + escapeHtml(input.competencies) + '</textarea></div>';
+  const scUsage = new Map();
+  for (const j of d.jobs) if (j.scorecardTemplateId) scUsage.set(j.scorecardTemplateId, (scUsage.get(j.scorecardTemplateId) || 0) + 1);
+  const scorecardRows = allScorecards(d).map((t) => {
+    const tid = escapeHtml(t.id);
+    const summary = '<b>' + escapeHtml(t.name) + '</b> <span class="muted" style="font-size:12px">' + t.competencies.map((c) => escapeHtml(c.name)).join(" / ") +
+      ' · ' + (t.categories.length ? "分类：" + escapeHtml(t.categories.join("、")) : "未关联分类") + ' · ' + (scUsage.get(t.id) || 0) + ' 个岗位指定</span>';
+    return '<details style="padding:8px 0;border-bottom:1px solid #f0f0f0"><summary style="cursor:pointer">' + summary + '</summary>' +
+      scFormHtml(tid, scorecardToInput(t)) +
+      '<div class="row"><button class="btn sm primary" onclick="saveScorecardTpl(\'' + tid + '\')">保存</button><button class="btn sm" onclick="delScorecardTpl(\'' + tid + '\')" style="color:#f5222d">删除</button></div>' +
+      '</details>';
+  }).join("");
+  const scorecardMgmtHtml = '<div class="card" style="margin-top:14px">' +
+    '<div style="font-weight:900;font-size:18px">面试评分卡模板</div>' +
+    '<div class="muted">定义各岗位的考察维度、1-5 分评分标准和参考问题。面试官填写面评时按维度打分，候选人详情页可横向对比各面试官的评分。</div>' +
+    '<div class="divider"></div>' +
+    (scorecardRows || '<div class="muted">暂无评分卡模板</div>') +
+    '<div class="divider"></div>' +
+    '<div style="font-weight:600;font-size:14px;margin-bottom:8px">新增评分卡模板</div>' +
+    scFormHtml("new", { name: "", categories: "", competencies: "" }) +
+    '<button class="btn primary" onclick="saveScorecardTpl(\'\')">新增</button>' +
+    '</div>';
+
+  // JD 模板
+  const jdFormHtml = (key, t) =>
+    '<div class="grid" style="margin-top:8px">' +
+      '<div class="field"><label>模板名称</label><input id="jd-name-' + key + '" value="' + escapeHtml(t.name) + '" placeholder="例如：后端工程师通用 JD" /></div>' +
+      '<div class="field"><label>适用职位分类（不选则所有分类可用）</label><select id="jd-category-' + key + '"><option value="">全部分类</option>' +
+        (d.categories || []).map((c) => '<option value="' + escapeHtml(c) + '"' + (t.category === c ? " selected" : "") + '>' + escapeHtml(c) + '</option>').join("") + '</select></div>' +
+    '</div>' +
+    '<div class="field"><label>JD 内容（支持 Markdown；可用占位符：' + Object.keys(JD_PLACEHOLDERS).join(" ") + '）</label><textarea id="jd-content-' + key + '" rows="10" placeholder="## 岗位职责&#10;1. 负责{{地点}}团队的……&#10;## 任职要求&#10;1. ……">' + escapeHtml(t.content) + '</textarea></div>';
+  const jdTplRows = d.jdTemplates.map((t) => {
+    const tid = escapeHtml(t.id);
+    return '<details style="padding:8px 0;border-bottom:1px solid #f0f0f0"><summary style="cursor:pointer"><b>' + escapeHtml(t.name) + '</b> <span class="muted" style="font-size:12px">' + escapeHtml(t.category || "全部分类") + '</span></summary>' +
+      jdFormHtml(tid, t) +
+      '<div class="row"><button class="btn sm primary" onclick="saveJdTpl(\'' + tid + '\')">保存</button><button class="btn sm" onclick="delJdTpl(\'' + tid + '\')" style="color:#f5222d">删除</button></div>' +
+      '</details>';
+  }).join("");
+  const jdTplMgmtHtml = '<div class="card" style="margin-top:14px">' +
+    '<div style="font-weight:900;font-size:18px">JD 模板</div>' +
+    '<div class="muted">新建 / 申请职位时按职位分类选用模板，占位符按填写的岗位名称、地点和招聘类型替换，未填写的保留原样。</div>' +
+    '<div class="divider"></div>' +
+    (jdTplRows || '<div class="muted">暂无 JD 模板</div>') +
+    '<div class="divider"></div>' +
+    '<div style="font-weight:600;font-size:14px;margin-bottom:8px">新增 JD 模板</div>' +
+    jdFormHtml("new", { name: "", category: "", content: "" }) +
+    '<button class="btn primary" onclick="saveJdTpl(\'\')">新增</button>' +
+    '</div>';
+
+  const os = d.offerSettings;
+  const offerMgmtHtml = '<div class="card" style="margin-top:14px">' +
+    '<div style="font-weight:900;font-size:18px">Offer 审批与模板</div>' +
+    '<div class="muted">Offer 方案需按顺序经审批人逐级审批通过后才能发放；不配置审批人则无需审批。' +
+      (feishuApprovalCode() ? '已配置飞书审批（FEISHU_APPROVAL_CODE），审批将在飞书中进行，下方审批人作为审批节点的指定审批人。' : '') + '</div>' +
+    '<div class="divider"></div>' +
+    '<div class="grid">' +
+      '<div class="field"><label>审批人（每行一个用户姓名，按顺序逐级审批）</label><textarea id="ofs-approvers" rows="4" placeholder="部门负责人&#10;HRBP&#10;CEO">' + escapeHtml(os.approvers.map((a) => a.name).join("\n")) + '</textarea></div>' +
+      '<div class="field"><label>公司名称（Offer Letter 中的 {{公司}}）</label><input id="ofs-company" value="' + escapeHtml(os.companyName) + '" placeholder="例如：某某科技有限公司" /></div>' +
+    '</div>' +
+    '<div class="field"><label>Offer Letter 模板（留空使用默认模板；可用占位符：{{候选人}} {{岗位}} {{部门}} {{地点}} {{月薪}} {{薪数}} {{年薪}} {{奖金}} {{股权}} {{签字费}} {{入职日期}} {{公司}} {{日期}}）</label>' +
+      '<textarea id="ofs-letter" rows="10" placeholder="' + escapeHtml(DEFAULT_OFFER_LETTER) + '">' + escapeHtml(os.letterTemplate) + '</textarea></div>' +
+    '<button class="btn primary" onclick="saveOfferSettings()">保存</button>' +
+    '</div>';
+
+  const unbandedJobs = d.jobs.filter((j) => j.state !== "closed" && !jobBand(d, j));
+  const bandMgmtHtml = '<div class="card" style="margin-top:14px">' +
+    '<div style="font-weight:900;font-size:18px">薪资带宽</div>' +
+    '<div class="muted">按职级（及职位分类）设置月薪带宽。岗位填写职级后自动匹配；Offer 月薪低于或高于带宽、或超出岗位预算时，需填写原因后才能生成版本。</div>' +
+    '<div class="divider"></div>' +
+    '<div class="field"><label>带宽（每行一个：职级 / 分类 = 最低 - 最高；分类可省略，表示该职级通用）</label><textarea id="band-input" rows="8" placeholder="P5 = 15000 - 25000&#10;P6 = 20000 - 35000&#10;P6 / 技术 = 25000 - 40000">' + escapeHtml(bandsToInput(allBands(d))) + '</textarea></div>' +
+    (unbandedJobs.length ? '<div class="muted" style="font-size:12px;margin-bottom:8px">未匹配带宽的开放岗位：' + unbandedJobs.map((j) => escapeHtml(j.title || "-") + (j.level ? "（" + escapeHtml(j.level) + "）" : "（未填职级）")).join("、") + '</div>' : '') +
+    '<button class="btn primary" onclick="saveSalaryBands()">保存</button>' +
+    '</div>';
+
+  const onboardingMgmtHtml = '<div class="card" style="margin-top:14px">' +
+    '<div style="font-weight:900;font-size:18px">入职清单</div>' +
+    '<div class="muted">Offer 被接受后按岗位的招聘类型生成入职清单，并为各事项负责人创建飞书任务；逾期事项每天提醒一次负责人。</div>' +
+    '<div class="divider"></div>' +
+    EMPLOYMENT_TYPES.map((t, i) => '<div class="field"><label>' + escapeHtml(t) + '（每行一个事项：分类 | 事项 | 负责人 | 相对入职日天数；分类为 ' + ONBOARDING_CATEGORIES.join(" / ") + '；负责人填用户姓名或 ' + OWNER_ROLES.join(" / ") + '；天数为负表示入职前）</label>' +
+      '<textarea id="onb-tpl-' + i + '" rows="7">' + escapeHtml(onboardingTemplateToText(onboardingTemplate(d, t))) + '</textarea>' +
+      '<div class="row" style="margin-top:6px"><button class="btn primary sm" onclick="saveOnboardingTpl(\'' + escapeHtml(t) + '\',' + i + ')">保存' + escapeHtml(t) + '清单</button>' +
+      (d.onboardingTemplates[t] ? '<button class="btn sm" onclick="saveOnboardingTpl(\'' + escapeHtml(t) + '\',-1)">恢复默认</button>' : '<span class="muted" style="font-size:12px">当前为默认清单</span>') + '</div></div>').join("") +
+    '</div>';
+
+  const autoRules = d.emailSettings.autoRules;
+  const emailMgmtHtml = '<div class="card" style="margin-top:14px">' +
+    '<div style="font-weight:900;font-size:18px">候选人邮件</div>' +
+    '<div class="muted">在候选人详情的「邮件」页签按模板给候选人发邮件，面试邀请 / 提醒附带日程文件（.ics）。当前发信方式：' +
+    (mailTransport() === "smtp" ? '<b>SMTP</b>（' + escapeHtml(process.env.SMTP_HOST || "") + '）' : '<b>测试模式</b>（未配置 SMTP_HOST，邮件只记录不发出）') + '</div>' +
+    '<div class="divider"></div>' +
+    EMAIL_TEMPLATES.map((t) => {
+      const tpl = emailTemplate(d, t.key);
+      return '<div class="field"><label>' + escapeHtml(t.name) + '（可用变量：' + TEMPLATE_VARS[t.key].map((v) => "{{" + v + "}}").join(" ") + '）</label>' +
+        '<input id="em-subject-' + t.key + '" value="' + escapeHtml(tpl.subject) + '" placeholder="主题" style="margin-bottom:6px" />' +
+        '<textarea id="em-body-' + t.key + '" rows="7">' + escapeHtml(tpl.body) + '</textarea>' +
+        '<div class="row" style="margin-top:6px"><button class="btn primary sm" onclick="saveEmailTpl(\'' + t.key + '\',false)">保存' + escapeHtml(t.name) + '模板</button>' +
+        (isDefaultTemplate(d, t.key) ? '<span class="muted" style="font-size:12px">当前为默认模板</span>' : '<button class="btn sm" onclick="saveEmailTpl(\'' + t.key + '\',true)">恢复默认</button>') + '</div></div>';
+    }).join("") +
+    '<div class="divider"></div>' +
+    '<div class="field"><label>状态自动发信（候选人流转到该状态且填写了邮箱时自动发送；批量流转不会自动发信）</label>' +
+    '<table><thead><tr><th>状态</th><th>自动发送</th></tr></thead><tbody>' +
+    unionStatuses(d).map((x) => x.key).map((st) => '<tr><td>' + escapeHtml(st) + '</td><td><select class="em-rule" data-status="' + escapeHtml(st) + '" style="max-width:220px"><option value="">不发送</option>' +
+      EMAIL_TEMPLATES.map((t) => '<option value="' + t.key + '"' + (autoRules[st] === t.key ? " selected" : "") + '>' + escapeHtml(t.name) + '</option>').join("") + '</select></td></tr>').join("") +
+    '</tbody></table></div>' +
+    '<button class="btn primary" onclick="saveEmailRules()">保存自动发信规则</button>' +
+    '</div>';
+
+  // 通知规则
+  const ntJobs = d.jobs.filter((j) => j.state !== "closed");
+  const ntStatuses = unionStatuses(d).map((x) => x.key);
+  const ntFormHtml = (key, r) =>
+    '<div class="grid" style="margin-top:8px">' +
+      '<div class="field"><label>规则名称</label><input id="nt-name-' + key + '" value="' + escapeHtml(r.name) + '" placeholder="例如：技术岗新简历通知负责人" /></div>' +
+      '<div class="field"><label>触发事件</label><select id="nt-trigger-' + key + '" onchange="ntTriggerChanged(\'' + key + '\')">' +
+        NOTIFY_TRIGGERS.map((t) => '<option value="' + t.key + '"' + (r.trigger === t.key ? " selected" : "") + '>' + escapeHtml(t.name) + '</option>').join("") + '</select></div>' +
+      '<div class="field"><label>发送渠道</label><select id="nt-channel-' + key + '">' +
+        NOTIFY_CHANNELS.map((c) => '<option value="' + c.key + '"' + (r.channel === c.key ? " selected" : "") + '>' + escapeHtml(c.name) + '</option>').join("") + '</select></div>' +
+      '<div class="field"><label>状态</label><label style="display:flex;align-items:center;gap:6px;font-weight:400"><input type="checkbox" id="nt-enabled-' + key + '"' + (r.enabled ? " checked" : "") + ' style="width:auto" />启用</label></div>' +
+    '</div>' +
+    '<div class="grid">' +
+      '<div class="field"><label>条件：岗位（不选为全部岗位，可按住 Ctrl 多选）</label><select id="nt-jobs-' + key + '" multiple size="4">' +
+        ntJobs.map((j) => '<option value="' + escapeHtml(j.id) + '"' + (r.conditions.jobIds.includes(j.id) ? " selected" : "") + '>' + escapeHtml(j.title || "-") + '</option>').join("") + '</select></div>' +
+      '<div class="field"><label>条件：来源（不选为全部来源）</label><select id="nt-sources-' + key + '" multiple size="4">' +
+        (d.sources || []).map((x) => '<option value="' + escapeHtml(x) + '"' + (r.conditions.sources.includes(x) ? " selected" : "") + '>' + escapeHtml(x) + '</option>').join("") + '</select></div>' +
+      '<div class="field"><label>条件：候选人状态（不选为全部状态；状态变更事件按变更后的状态匹配）</label><select id="nt-statuses-' + key + '" multiple size="4">' +
+        ntStatuses.map((x) => '<option value="' + escapeHtml(x) + '"' + (r.conditions.statuses.includes(x) ? " selected" : "") + '>' + escapeHtml(x) + '</option>').join("") + '</select></div>' +
+    '</div>' +
+    '<div class="field"><label>接收人</label><div class="row" style="gap:12px;flex-wrap:wrap">' +
+      RECIPIENT_TYPES.map((t) => '<label style="display:flex;align-items:center;gap:4px;font-weight:400"><input type="checkbox" class="nt-rcpt-' + key + '" value="' + t.key + '"' + (r.recipients.includes(t.key) ? " checked" : "") + ' style="width:auto" />' + escapeHtml(t.name) + '</label>').join("") +
+    '</div></div>' +
+    '<div class="field"><label>指定成员（勾选「指定成员」时填写，多个用逗号分隔）</label><input id="nt-users-' + key + '" value="' + escapeHtml(r.users.join(", ")) + '" placeholder="张三, 李四" /></div>' +
+    '<div class="field"><label>标题 / 内容（留空使用系统默认文案；可用变量：<span id="nt-vars-' + key + '">' + (triggerMeta(r.trigger) || NOTIFY_TRIGGERS[0]).vars.map((v) => "{{" + v + "}}").join(" ") + '</span>）</label>' +
+      '<input id="nt-title-' + key + '" value="' + escapeHtml(r.title) + '" placeholder="标题" style="margin-bottom:6px" />' +
+      '<textarea id="nt-content-' + key + '" rows="4" placeholder="**候选人**：{{候选人}}&#10;**岗位**：{{岗位}}">' + escapeHtml(r.content) + '</textarea></div>';
+  const ntRecipientName = (k) => RECIPIENT_TYPES.find((t) => t.key === k)?.name || k;
+  const notificationRows = notificationRules(d).map((r) => {
+    const nid = escapeHtml(r.id);
+    const cond = [
+      r.conditions.jobIds.length ? "岗位：" + r.conditions.jobIds.map((id) => d.jobs.find((j) => j.id === id)?.title || id).join("、") : "",
+      r.conditions.sources.length ? "来源：" + r.conditions.sources.join("、") : "",
+      r.conditions.statuses.length ? "状态：" + r.conditions.statuses.join("、") : "",
+    ].filter(Boolean).join("；");
+    const summary = (r.enabled ? '<span class="badge status-green" style="font-size:11px">启用</span> ' : '<span class="badge status-gray" style="font-size:11px">停用</span> ') +
+      '<b>' + escapeHtml(r.name) + '</b> <span class="muted" style="font-size:12px">' + escapeHtml(triggerMeta(r.trigger)?.name || r.trigger) + ' → ' +
+      escapeHtml(r.recipients.map(ntRecipientName).join("、")) + (r.channel === "log" ? "（仅记录）" : "") + (cond ? ' · ' + escapeHtml(cond) : '') + '</span>';
+    return '<details style="padding:8px 0;border-bottom:1px solid #f0f0f0"><summary style="cursor:pointer">' + summary + '</summary>' +
+      ntFormHtml(nid, r) +
+      '<div class="row"><button class="btn sm primary" onclick="saveNotificationRule(\'' + nid + '\')">保存</button><button class="btn sm" onclick="delNotificationRule(\'' + nid + '\')" style="color:#f5222d">删除</button></div>' +
+      '</details>';
+  }).join("");
+  const notificationLogs = await loadNotificationLogs(100);
+  const ntStatusColor = { "已发送": "status-green", "失败": "status-red", "跳过": "status-gray", "仅记录": "status-blue" };
+  const notificationLogRows = notificationLogs.map((l) =>
+    '<tr class="nt-log" data-trigger="' + escapeHtml(l.trigger) + '" data-status="' + escapeHtml(l.status) + '">' +
+      '<td class="muted" style="font-size:12px;white-space:nowrap">' + escapeHtml(toBjTime(l.createdAt || "").slice(0, 16)) + '</td>' +
+      '<td>' + escapeHtml(triggerMeta(l.trigger)?.name || l.trigger) + '</td>' +
+      '<td>' + (l.candidateId ? '<a href="/candidates/' + escapeHtml(l.candidateId) + '">' + escapeHtml(l.candidateName || "-") + '</a>' : '-') + '</td>' +
+      '<td>' + escapeHtml(l.recipient || "-") + ' <span class="muted" style="font-size:12px">' + escapeHtml(ntRecipientName(l.recipientType)) + '</span></td>' +
+      '<td class="muted" style="font-size:12px">' + escapeHtml(l.ruleName || "-") + '</td>' +
+      '<td><span class="badge ' + (ntStatusColor[l.status] || "status-gray") + '" style="font-size:11px">' + escapeHtml(l.status) + '</span>' +
+        (l.error ? ' <span class="muted" style="font-size:12px">' + escapeHtml(l.error) + '</span>' : '') + '</td>' +
+    '</tr>').join("");
+  const notificationMgmtHtml = '<div class="card" style="margin-top:14px">' +
+    '<div style="font-weight:900;font-size:18px">通知规则</div>' +
+    '<div class="muted">新候选人、状态变更、面试安排、面评、Offer 变更、跟进到期等飞书通知都按以下规则发送：同一事件可配置多条规则，按岗位 / 来源 / 状态条件匹配后发给对应接收人。停用规则即可静默该类通知，渠道选「仅记录日志」可先观察效果。</div>' +
+    '<div class="divider"></div>' +
+    (notificationRows || '<div class="muted">暂无通知规则，所有通知均不会发送</div>') +
+    '<div class="row" style="margin-top:8px"><button class="btn sm" onclick="resetNotificationRules()">恢复内置规则</button></div>' +
+    '<div class="divider"></div>' +
+    '<div style="font-weight:600;font-size:14px;margin-bottom:8px">新增通知规则</div>' +
+    ntFormHtml("new", normalizeRule({ trigger: NOTIFY_TRIGGERS[0].key, recipients: ["job_owners"] })) +
+    '<button class="btn primary" onclick="saveNotificationRule(\'\')">新增</button>' +
+    '<div class="divider"></div>' +
+    '<div class="row" style="justify-content:space-between;margin-bottom:8px"><div style="font-weight:600;font-size:14px">最近通知记录</div>' +
+      '<div class="row" style="gap:8px"><select id="nt-log-trigger" onchange="filterNotificationLogs()" style="max-width:160px"><option value="">全部事件</option>' +
+        NOTIFY_TRIGGERS.map((t) => '<option value="' + t.key + '">' + escapeHtml(t.name) + '</option>').join("") + '</select>' +
+      '<select id="nt-log-status" onchange="filterNotificationLogs()" style="max-width:120px"><option value="">全部结果</option>' +
+        Object.keys(ntStatusColor).map((x) => '<option value="' + x + '">' + x + '</option>').join("") + '</select></div></div>' +
+    (notificationLogRows
+      ? '<div style="max-height:360px;overflow:auto"><table><thead><tr><th>时间</th><th>事件</th><th>候选人</th><th>接收人</th><th>规则</th><th>结果</th></tr></thead><tbody>' + notificationLogRows + '</tbody></table></div>'
+      : '<div class="muted">暂无通知记录</div>') +
+    '</div>';
+
+  const fus = followupSettings(d);
+  const followupMgmtHtml = '<div class="card" style="margin-top:14px">' +
+    '<div style="font-weight:900;font-size:18px">跟进提醒与 SLA</div>' +
+    '<div class="muted">每天到点后通过飞书向岗位负责人发送逾期跟进与状态停留超时的汇总（岗位未设负责人时发给管理员），逾期或超出 SLA 达到升级天数的候选人另汇总发给管理员。停留超过 SLA 的候选人会在看板、列表和详情页标记「⏰ 超时」，并出现在招聘概览的逾期跟进面板中。</div>' +
+    '<div class="divider"></div>' +
+    '<div class="grid">' +
+      '<div class="field"><label>每天发送汇总的时间（北京时间，0-23 点）</label><input id="fu-hour" type="number" min="0" max="23" value="' + fus.digestHour + '" /></div>' +
+      '<div class="field"><label>升级给管理员（逾期 / 超出 SLA 天数）</label><input id="fu-escalate" type="number" min="1" max="60" value="' + fus.escalateDays + '" /></div>' +
+    '</div>' +
+    '<div class="field"><label>各状态最长停留天数（留空或 0 表示不检查）</label>' +
+    '<table><thead><tr><th>状态</th><th>SLA（天）</th></tr></thead><tbody>' +
+    unionStatuses(d).map((x) => x.key).map((st) => '<tr><td>' + escapeHtml(st) + '</td><td><input class="fu-sla" type="number" min="0" max="365" data-status="' + escapeHtml(st) + '" value="' + (fus.slaDays[st] || "") + '" style="max-width:120px" /></td></tr>').join("") +
+    '</tbody></table></div>' +
+    '<button class="btn primary" onclick="saveFollowupSettings()">保存</button>' +
+    '</div>';
+
+  const rqs = requisitionSettings(d);
+  const requisitionMgmtHtml = '<div class="card" style="margin-top:14px">' +
+    '<div style="font-weight:900;font-size:18px">职位申请审批</div>' +
+    '<div class="muted">开启后，管理员和成员通过「申请职位」提交申请理由、职级、预算和 HC，按顺序经审批人逐级审批通过后职位才开放招聘；不配置审批人时由任一管理员审批。候选人入职人数达到 HC 后职位自动暂停。</div>' +
+    '<div class="divider"></div>' +
+    '<div class="grid">' +
+      '<div class="field"><label>审批人（每行一个用户姓名，按顺序逐级审批）</label><textarea id="rq-approvers" rows="4" placeholder="部门负责人&#10;HRBP&#10;CEO">' + escapeHtml(rqs.approvers.map((a) => a.name).join("\n")) + '</textarea></div>' +
+      '<div>' +
+        '<div class="field"><label><input id="rq-enabled" type="checkbox"' + (rqs.enabled ? " checked" : "") + ' style="width:auto;margin-right:6px" />新职位需提交申请并审批</label></div>' +
+        '<div class="field"><label>默认招聘周期（天，未填期望到岗日期时从开放日起计算）</label><input id="rq-days" type="number" min="1" max="365" value="' + rqs.defaultFillDays + '" /></div>' +
+      '</div>' +
+    '</div>' +
+    '<button class="btn primary" onclick="saveRequisitionSettings()">保存</button>' +
+    '</div>';
+
+  const rfs = referralSettings(d);
+  const referralMgmtHtml = '<div class="card" id="referral-settings" style="margin-top:14px">' +
+    '<div style="font-weight:900;font-size:18px">内推奖金</div>' +
+    '<div class="muted">员工在「内推」中推荐的候选人入职满规定天数后，奖金进入待发放，可在 <a href="/referrals/bonuses">内推奖金报表</a> 中标记发放。每行一条规则：「招聘类型 / 职位分类 = 金额 / 入职满天数」，分类可省略表示该类型通用，同类型下指定分类的规则优先。</div>' +
+    '<div class="divider"></div>' +
+    '<div class="field"><label>奖金规则</label><textarea id="ref-rules" rows="5" placeholder="社招 = 5000 / 90&#10;社招 / 技术 = 8000 / 90&#10;实习 = 1000 / 30">' + escapeHtml(referralRulesToInput(rfs.rules)) + '</textarea></div>' +
+    '<button class="btn primary" onclick="saveReferralSettings()">保存</button>' +
+    '</div>';
+
   const userMgmtHtml = '<div class="card" style="margin-top:14px">' +
     '<div style="font-weight:900;font-size:18px">用户管理</div>' +
     '<div class="muted">管理系统用户和角色权限。管理员拥有全部操作权限，成员仅可查看数据和提交面评。</div>' +
@@ -88,6 +414,7 @@ router.get("/settings", requireLogin, requireAdmin, async (req, res) => {
     '</div>';
 
   const hrGroupChatId = d.settings?.hrGroupChatId || "";
+  const pendingResumeCount = d.resumeFiles.filter(r => !r.text && !r.textExtractFailed && r.filename && /\.(pdf|docx)$/i.test(r.filename)).length;
 
   res.send(
     renderPage({
@@ -99,28 +426,88 @@ router.get("/settings", requireLogin, requireAdmin, async (req, res) => {
         '<script>' +
         'function delSource(s){if(!confirm("确认删除来源「"+s+"」？"))return;fetch("/api/settings/sources",{method:"DELETE",headers:{"Content-Type":"application/json"},body:JSON.stringify({source:s})}).then(r=>{if(r.ok)location.reload();else r.json().then(d=>alert(d.error||"删除失败")).catch(()=>alert("删除失败"))}).catch(()=>alert("网络错误"))}' +
         'function delTag(t){if(!confirm("确认删除标签「"+t+"」？"))return;fetch("/api/settings/tags",{method:"DELETE",headers:{"Content-Type":"application/json"},body:JSON.stringify({tag:t})}).then(r=>{if(r.ok)location.reload();else r.json().then(d=>alert(d.error||"删除失败")).catch(()=>alert("删除失败"))}).catch(()=>alert("网络错误"))}' +
+        'function delRejectionReason(r){if(!confirm("确认删除淘汰原因「"+r+"」？已记录的历史原因不受影响。"))return;fetch("/api/settings/rejection-reasons",{method:"DELETE",headers:{"Content-Type":"application/json"},body:JSON.stringify({reason:r})}).then(r=>{if(r.ok)location.reload();else r.json().then(d=>alert(d.error||"删除失败")).catch(()=>alert("删除失败"))}).catch(()=>alert("网络错误"))}' +
         'function delCategory(c){if(!confirm("确认删除分类「"+c+"」？"))return;fetch("/api/settings/categories",{method:"DELETE",headers:{"Content-Type":"application/json"},body:JSON.stringify({category:c})}).then(r=>{if(r.ok)location.reload();else r.json().then(d=>alert(d.error||"删除失败")).catch(()=>alert("删除失败"))}).catch(()=>alert("网络错误"))}' +
         'function toggleRole(userId,newRole){if(!confirm(newRole==="admin"?"确认将该用户设为管理员？":"确认将该用户降为普通成员？"))return;fetch("/api/users/"+userId+"/role",{method:"POST",headers:{"Content-Type":"application/json"},body:JSON.stringify({role:newRole})}).then(r=>{if(r.ok)location.reload();else r.json().then(d=>alert(d.error||"操作失败")).catch(()=>alert("操作失败"))}).catch(()=>alert("网络错误"))}' +
         'function addHunter(){var company=document.getElementById("newHunterCompany").value.trim();var name=document.getElementById("newHunterName").value.trim();if(!company){alert("请填写公司名称");return}fetch("/api/settings/headhunters",{method:"POST",headers:{"Content-Type":"application/json"},body:JSON.stringify({company:company,name:name})}).then(r=>{if(r.ok)location.reload();else r.json().then(d=>alert(d.error||"新增失败")).catch(()=>alert("新增失败"))}).catch(()=>alert("网络错误"))}' +
         'function delHunter(id){if(!confirm("确认删除该猎头供应商？删除后已绑定该供应商的候选人记录不受影响。"))return;fetch("/api/settings/headhunters/"+id,{method:"DELETE"}).then(r=>{if(r.ok)location.reload();else r.json().then(d=>alert(d.error||"删除失败")).catch(()=>alert("删除失败"))}).catch(()=>alert("网络错误"))}' +
+        'function resetHunterKey(id){if(!confirm("确认生成新的 API Key？旧 Key 将立即失效。"))return;fetch("/api/settings/headhunters/"+id+"/api-key",{method:"POST"}).then(r=>{if(r.ok)location.reload();else r.json().then(d=>alert(d.error||"操作失败")).catch(()=>alert("操作失败"))}).catch(()=>alert("网络错误"))}' +
+        'function copyHunterKey(k){if(navigator.clipboard){navigator.clipboard.writeText(k).then(()=>alert("已复制 API Key")).catch(()=>prompt("复制 API Key",k))}else{prompt("复制 API Key",k)}}' +
+        'function saveHunterJobs(id){var ids=Array.from(document.querySelectorAll(".hj-"+id+":checked")).map(x=>x.value);fetch("/api/settings/headhunters/"+id,{method:"PUT",headers:{"Content-Type":"application/json"},body:JSON.stringify({jobIds:ids})}).then(r=>{if(r.ok)location.reload();else r.json().then(d=>alert(d.error||"保存失败")).catch(()=>alert("保存失败"))}).catch(()=>alert("网络错误"))}' +
+        'function saveHunterContract(id){var payload={feePercent:document.getElementById("hc-fee-"+id).value,guaranteeDays:document.getElementById("hc-days-"+id).value,milestones:document.getElementById("hc-ms-"+id).value};fetch("/api/settings/headhunters/"+id+"/contract",{method:"PUT",headers:{"Content-Type":"application/json"},body:JSON.stringify(payload)}).then(r=>{if(r.ok)location.reload();else r.json().then(d=>alert(d.error||"保存失败")).catch(()=>alert("保存失败"))}).catch(()=>alert("网络错误"))}' +
         'function toggleHunter(id,enabled){fetch("/api/settings/headhunters/"+id,{method:"PUT",headers:{"Content-Type":"application/json"},body:JSON.stringify({enabled:enabled})}).then(r=>{if(r.ok)location.reload();else r.json().then(d=>alert(d.error||"操作失败")).catch(()=>alert("操作失败"))}).catch(()=>alert("网络错误"))}' +
+        'function savePipelineTpl(id){var k=id||"new";var payload={};["name","rounds","stages","transitions"].forEach(function(f){payload[f]=document.getElementById("pt-"+f+"-"+k).value});fetch("/api/settings/pipeline-templates"+(id?"/"+id:""),{method:id?"PUT":"POST",headers:{"Content-Type":"application/json"},body:JSON.stringify(payload)}).then(r=>{if(r.ok)location.reload();else r.json().then(d=>alert(d.error||"保存失败")).catch(()=>alert("保存失败"))}).catch(()=>alert("网络错误"))}' +
+        'function saveScorecardTpl(id){var k=id||"new";var payload={};["name","categories","competencies"].forEach(function(f){payload[f]=document.getElementById("sc-"+f+"-"+k).value});fetch("/api/settings/scorecard-templates"+(id?"/"+id:""),{method:id?"PUT":"POST",headers:{"Content-Type":"application/json"},body:JSON.stringify(payload)}).then(r=>{if(r.ok)location.reload();else r.json().then(d=>alert(d.error||"保存失败")).catch(()=>alert("保存失败"))}).catch(()=>alert("网络错误"))}' +
+        'function delScorecardTpl(id){if(!confirm("确认删除该评分卡模板？已提交面评中的评分不受影响。"))return;fetch("/api/settings/scorecard-templates/"+id,{method:"DELETE"}).then(r=>{if(r.ok)location.reload();else r.json().then(d=>alert(d.error||"删除失败")).catch(()=>alert("删除失败"))}).catch(()=>alert("网络错误"))}' +
+        'function saveJdTpl(id){var k=id||"new";var payload={};["name","category","content"].forEach(function(f){payload[f]=document.getElementById("jd-"+f+"-"+k).value});fetch("/api/settings/jd-templates"+(id?"/"+id:""),{method:id?"PUT":"POST",headers:{"Content-Type":"application/json"},body:JSON.stringify(payload)}).then(r=>{if(r.ok)location.reload();else r.json().then(d=>alert(d.error||"保存失败")).catch(()=>alert("保存失败"))}).catch(()=>alert("网络错误"))}' +
+        'function delJdTpl(id){if(!confirm("确认删除该 JD 模板？已创建职位的 JD 不受影响。"))return;fetch("/api/settings/jd-templates/"+id,{method:"DELETE"}).then(r=>{if(r.ok)location.reload();else r.json().then(d=>alert(d.error||"删除失败")).catch(()=>alert("删除失败"))}).catch(()=>alert("网络错误"))}' +
+        'function saveOfferSettings(){var payload={approvers:document.getElementById("ofs-approvers").value,companyName:document.getElementById("ofs-company").value,letterTemplate:document.getElementById("ofs-letter").value};fetch("/api/settings/offer-settings",{method:"PUT",headers:{"Content-Type":"application/json"},body:JSON.stringify(payload)}).then(r=>{if(r.ok)location.reload();else r.json().then(d=>alert(d.error||"保存失败")).catch(()=>alert("保存失败"))}).catch(()=>alert("网络错误"))}' +
+        'function saveSalaryBands(){fetch("/api/settings/salary-bands",{method:"PUT",headers:{"Content-Type":"application/json"},body:JSON.stringify({bands:document.getElementById("band-input").value})}).then(r=>{if(r.ok)location.reload();else r.json().then(d=>alert(d.error||"保存失败")).catch(()=>alert("保存失败"))}).catch(()=>alert("网络错误"))}' +
+        'function saveOnboardingTpl(type,i){if(i<0&&!confirm("确认恢复默认清单？"))return;fetch("/api/settings/onboarding-templates",{method:"PUT",headers:{"Content-Type":"application/json"},body:JSON.stringify({type:type,items:i<0?"":document.getElementById("onb-tpl-"+i).value,reset:i<0})}).then(r=>{if(r.ok)location.reload();else r.json().then(d=>alert(d.error||"保存失败")).catch(()=>alert("保存失败"))}).catch(()=>alert("网络错误"))}' +
+        'function saveEmailTpl(key,reset){if(reset&&!confirm("确认恢复默认模板？"))return;var payload=reset?{template:key,reset:true}:{template:key,subject:document.getElementById("em-subject-"+key).value,body:document.getElementById("em-body-"+key).value};fetch("/api/settings/email-templates",{method:"PUT",headers:{"Content-Type":"application/json"},body:JSON.stringify(payload)}).then(r=>{if(r.ok)location.reload();else r.json().then(d=>alert(d.error||"保存失败")).catch(()=>alert("保存失败"))}).catch(()=>alert("网络错误"))}' +
+        'function saveEmailRules(){var rules={};document.querySelectorAll(".em-rule").forEach(function(el){if(el.value)rules[el.dataset.status]=el.value});fetch("/api/settings/email-rules",{method:"PUT",headers:{"Content-Type":"application/json"},body:JSON.stringify({rules:rules})}).then(r=>{if(r.ok)location.reload();else r.json().then(d=>alert(d.error||"保存失败")).catch(()=>alert("保存失败"))}).catch(()=>alert("网络错误"))}' +
+        'var NT_VARS=' + JSON.stringify(Object.fromEntries(NOTIFY_TRIGGERS.map((t) => [t.key, t.vars]))).replace(/</g, "\\u003c") + ';' +
+        'function ntTriggerChanged(key){var t=document.getElementById("nt-trigger-"+key).value;document.getElementById("nt-vars-"+key).textContent=(NT_VARS[t]||[]).map(function(v){return "{{"+v+"}}"}).join(" ")}' +
+        'function ntSelected(id){return Array.from(document.getElementById(id).selectedOptions).map(function(o){return o.value})}' +
+        'function saveNotificationRule(id){var key=id||"new";var payload={name:document.getElementById("nt-name-"+key).value,trigger:document.getElementById("nt-trigger-"+key).value,channel:document.getElementById("nt-channel-"+key).value,enabled:document.getElementById("nt-enabled-"+key).checked,' +
+          'jobIds:ntSelected("nt-jobs-"+key),sources:ntSelected("nt-sources-"+key),statuses:ntSelected("nt-statuses-"+key),recipients:Array.from(document.querySelectorAll(".nt-rcpt-"+key+":checked")).map(function(el){return el.value}),' +
+          'users:document.getElementById("nt-users-"+key).value,title:document.getElementById("nt-title-"+key).value,content:document.getElementById("nt-content-"+key).value};' +
+          'fetch("/api/settings/notification-rules"+(id?"/"+id:""),{method:id?"PUT":"POST",headers:{"Content-Type":"application/json"},body:JSON.stringify(payload)}).then(r=>{if(r.ok)location.reload();else r.json().then(d=>alert(d.error||"保存失败")).catch(()=>alert("保存失败"))}).catch(()=>alert("网络错误"))}' +
+        'function delNotificationRule(id){if(!confirm("确认删除该通知规则？"))return;fetch("/api/settings/notification-rules/"+id,{method:"DELETE"}).then(r=>{if(r.ok)location.reload();else r.json().then(d=>alert(d.error||"删除失败")).catch(()=>alert("删除失败"))}).catch(()=>alert("网络错误"))}' +
+        'function saveRequisitionSettings(){fetch("/api/settings/requisition-settings",{method:"PUT",headers:{"Content-Type":"application/json"},body:JSON.stringify({enabled:document.getElementById("rq-enabled").checked,approvers:document.getElementById("rq-approvers").value,defaultFillDays:document.getElementById("rq-days").value})}).then(r=>{if(r.ok)location.reload();else r.json().then(d=>alert(d.error||"保存失败")).catch(()=>alert("保存失败"))}).catch(()=>alert("网络错误"))}' +
+        'function saveReferralSettings(){fetch("/api/settings/referral-settings",{method:"PUT",headers:{"Content-Type":"application/json"},body:JSON.stringify({rules:document.getElementById("ref-rules").value})}).then(r=>{if(r.ok)location.reload();else r.json().then(d=>alert(d.error||"保存失败")).catch(()=>alert("保存失败"))}).catch(()=>alert("网络错误"))}' +
+        'function saveFollowupSettings(){var sla={};document.querySelectorAll(".fu-sla").forEach(function(el){if(el.value)sla[el.dataset.status]=el.value});fetch("/api/settings/followup-settings",{method:"PUT",headers:{"Content-Type":"application/json"},body:JSON.stringify({digestHour:document.getElementById("fu-hour").value,escalateDays:document.getElementById("fu-escalate").value,slaDays:sla})}).then(r=>{if(r.ok)location.reload();else r.json().then(d=>alert(d.error||"保存失败")).catch(()=>alert("保存失败"))}).catch(()=>alert("网络错误"))}' +
+        'function resetNotificationRules(){if(!confirm("确认恢复内置规则？自定义规则将被清除。"))return;fetch("/api/settings/notification-rules/reset",{method:"POST"}).then(r=>{if(r.ok)location.reload();else r.json().then(d=>alert(d.error||"操作失败")).catch(()=>alert("操作失败"))}).catch(()=>alert("网络错误"))}' +
+        'function filterNotificationLogs(){var t=document.getElementById("nt-log-trigger").value,st=document.getElementById("nt-log-status").value;document.querySelectorAll(".nt-log").forEach(function(tr){tr.style.display=(!t||tr.dataset.trigger===t)&&(!st||tr.dataset.status===st)?"":"none"})}' +
+        'function delPipelineTpl(id){if(!confirm("确认删除该流程模板？"))return;fetch("/api/settings/pipeline-templates/"+id,{method:"DELETE"}).then(r=>{if(r.ok)location.reload();else r.json().then(d=>alert(d.error||"删除失败")).catch(()=>alert("删除失败"))}).catch(()=>alert("网络错误"))}' +
         '</script>' +
-        '<div class="card"><div style="font-weight:900;font-size:18px">设置</div><div class="divider"></div>' +
+        '<div class="card"><div class="row"><div style="font-weight:900;font-size:18px">设置</div><span class="spacer"></span><a class="btn sm" href="/settings/audit">审计日志</a><a class="btn sm" href="/settings/tasks">后台任务</a></div><div class="divider"></div>' +
         '<div class="field"><label>当前来源</label><div class="row">' + (sourcesHtml || '<span class="muted">暂无</span>') + '</div></div>' +
         '<form method="POST" action="/settings/sources" class="row"><input name="source" placeholder="新增来源（例如：脉脉/拉勾/校园）" style="max-width:420px" /><button class="btn primary" type="submit">新增来源</button></form>' +
         '<div class="divider"></div>' +
         '<div class="field"><label>候选人标签</label><div class="row">' + (tagsHtml || '<span class="muted">暂无</span>') + '</div></div>' +
         '<form method="POST" action="/settings/tags" class="row"><input name="tag" placeholder="新增标签（例如：高潜/紧急/校招）" style="max-width:420px" /><button class="btn primary" type="submit">新增标签</button></form>' +
         '<div class="divider"></div>' +
+        '<div class="field"><label>淘汰原因（淘汰 / 面试不通过时必选）</label><div class="row">' + (rejectionReasonsHtml || '<span class="muted">暂无</span>') + '</div></div>' +
+        '<form method="POST" action="/settings/rejection-reasons" class="row"><input name="reason" placeholder="新增淘汰原因（例如：到岗时间不符）" style="max-width:420px" /><button class="btn primary" type="submit">新增原因</button></form>' +
+        '<div class="divider"></div>' +
         '<div class="field"><label>职位分类</label><div class="row">' + (categoriesHtml || '<span class="muted">暂无</span>') + '</div></div>' +
         '<form method="POST" action="/settings/categories" class="row"><input name="category" placeholder="新增分类（例如：技术/产品/运营）" style="max-width:420px" /><button class="btn primary" type="submit">新增分类</button></form>' +
         '</div>' +
+        pipelineMgmtHtml +
+        scorecardMgmtHtml +
+        jdTplMgmtHtml +
+        offerMgmtHtml +
+        bandMgmtHtml +
+        onboardingMgmtHtml +
+        emailMgmtHtml +
+        notificationMgmtHtml +
+        followupMgmtHtml +
+        requisitionMgmtHtml +
+        referralMgmtHtml +
         headhunterMgmtHtml +
         userMgmtHtml +
+        // 简历全文索引卡片
+        '<div class="card" style="margin-top:14px">' +
+          '<div style="font-weight:900;font-size:18px">简历全文索引</div>' +
+          '<div class="muted">新上传的简历会自动提取正文用于全文检索；历史简历可在此补建索引（共 ' + d.resumeFiles.length + ' 份，未索引 ' + pendingResumeCount + ' 份）。</div>' +
+          '<div class="divider"></div>' +
+          '<div id="reindexStatus" style="margin-bottom:12px"></div>' +
+          '<button class="btn primary" id="reindexBtn" onclick="reindexResumes()">补建索引</button>' +
+        '</div>' +
+        '<script>' +
+        'async function reindexResumes(){var btn=document.getElementById("reindexBtn");var el=document.getElementById("reindexStatus");btn.disabled=true;var total=0,failed=0;' +
+          'try{while(true){var r=await fetch("/api/resume/reindex",{method:"POST",headers:{"Content-Type":"application/json"},body:JSON.stringify({batch:10})});var d=await r.json();if(!r.ok)throw new Error(d.error||"索引失败");total+=d.done;failed+=d.failed;el.innerHTML=\'<span class="muted">已完成 \'+total+\' 份，失败 \'+failed+\' 份，剩余 \'+d.remaining+\' 份</span>\';if(!d.remaining||(!d.done&&!d.failed))break}' +
+          'el.innerHTML=\'<span style="color:#16a34a;font-weight:700">✅ 索引完成：成功 \'+total+\' 份，失败 \'+failed+\' 份</span>\'}catch(e){alert(e.message)}btn.disabled=false}' +
+        '</script>' +
         // 官网投递同步卡片
         '<div class="card" style="margin-top:14px">' +
           '<div style="font-weight:900;font-size:18px">官网投递同步</div>' +
-          '<div class="muted">每15分钟自动同步官网新投递到系统，也可手动触发。</div>' +
+          '<div class="muted">' + (careersAutoSyncEnabled() ? '每15分钟自动同步外部官网新投递到系统，也可手动触发。' : '自动同步已关闭（环境变量 CAREERS_SYNC_ENABLED=0），仍可手动同步外部官网的投递。') + '</div>' +
+          '<div style="font-size:13px;margin-top:8px;line-height:1.8">' +
+            '<div><b>系统自带招聘页：</b><a href="/careers" target="_blank">/careers</a>（开放中的职位自动发布，投递直接进入人才库，来源为「官网投递」；链接加 <code>?ref=推荐码</code> 可区分渠道）</div>' +
+            '<div><b>职位 Feed：</b><a href="/careers/feed.xml" target="_blank">RSS</a> · <a href="/careers/feed.json" target="_blank">JSON Feed</a></div>' +
+          '</div>' +
           '<div class="divider"></div>' +
           '<div id="careersSyncStatus" style="margin-bottom:12px"><span class="muted">加载中...</span></div>' +
           '<button class="btn primary" id="careersSyncBtn" onclick="triggerCareersSync()">立即同步</button>' +
@@ -130,6 +517,7 @@ router.get("/settings", requireLogin, requireAdmin, async (req, res) => {
           'fetch("/api/careers/sync-status").then(r=>r.json()).then(d=>{' +
             'const el=document.getElementById("careersSyncStatus");' +
             'if(d.running){el.innerHTML=\'<span style="color:#3370ff;font-weight:700">⟳ 同步进行中...</span>\';return}' +
+            'if(!d.lastResult&&d.lastRun){var lr=d.lastRun;el.textContent="上次同步："+lr.startedAt+" · "+(lr.status==="failed"?"失败："+lr.error:(lr.result||"完成"));return}' +
             'if(!d.lastResult){el.innerHTML=\'<span class="muted">尚未执行过同步</span>\';return}' +
             'const r=d.lastResult;' +
             'const t=r.finishedAt||r.startedAt||"";' +
@@ -223,16 +611,20 @@ router.get("/settings", requireLogin, requireAdmin, async (req, res) => {
 router.post("/settings/sources", requireLogin, requireAdmin, async (req, res) => {
   const d = await loadData();
   const s = String(req.body.source || "").trim();
+  const before = snapshot(d.sources);
   if (s && !d.sources.includes(s)) d.sources.push(s);
   await saveData(d);
+  auditSetting(req, "sources", before, d.sources);
   res.redirect(303, "/settings");
 });
 
 router.post("/settings/tags", requireLogin, requireAdmin, async (req, res) => {
   const d = await loadData();
   const t = String(req.body.tag || "").trim();
+  const before = snapshot(d.tags);
   if (t && !d.tags.includes(t)) d.tags.push(t);
   await saveData(d);
+  auditSetting(req, "tags", before, d.tags);
   res.redirect(303, "/settings");
 });
 
@@ -240,16 +632,20 @@ router.delete("/api/settings/sources", requireLogin, requireAdmin, async (req, r
   const d = await loadData();
   const s = String(req.body.source || "").trim();
   if (!s) return res.status(400).json({ error: "来源不能为空" });
+  const before = snapshot(d.sources);
   d.sources = (d.sources || []).filter((x) => x !== s);
   await saveData(d);
+  auditSetting(req, "sources", before, d.sources);
   res.json({ ok: true });
 });
 
 router.post("/settings/categories", requireLogin, requireAdmin, async (req, res) => {
   const d = await loadData();
   const c = String(req.body.category || "").trim();
+  const before = snapshot(d.categories);
   if (c && !d.categories.includes(c)) d.categories.push(c);
   await saveData(d);
+  auditSetting(req, "categories", before, d.categories);
   res.redirect(303, "/settings");
 });
 
@@ -257,8 +653,10 @@ router.delete("/api/settings/categories", requireLogin, requireAdmin, async (req
   const d = await loadData();
   const c = String(req.body.category || "").trim();
   if (!c) return res.status(400).json({ error: "分类不能为空" });
+  const before = snapshot(d.categories);
   d.categories = (d.categories || []).filter((x) => x !== c);
   await saveData(d);
+  auditSetting(req, "categories", before, d.categories);
   res.json({ ok: true });
 });
 
@@ -266,8 +664,32 @@ router.delete("/api/settings/tags", requireLogin, requireAdmin, async (req, res)
   const d = await loadData();
   const t = String(req.body.tag || "").trim();
   if (!t) return res.status(400).json({ error: "标签不能为空" });
+  const before = snapshot(d.tags);
   d.tags = (d.tags || []).filter((x) => x !== t);
   await saveData(d);
+  auditSetting(req, "tags", before, d.tags);
+  res.json({ ok: true });
+});
+
+router.post("/settings/rejection-reasons", requireLogin, requireAdmin, async (req, res) => {
+  const d = await loadData();
+  const r = String(req.body.reason || "").trim();
+  const before = snapshot(d.rejectionReasons);
+  if (r && !d.rejectionReasons.includes(r)) d.rejectionReasons.push(r);
+  await saveData(d);
+  auditSetting(req, "rejectionReasons", before, d.rejectionReasons);
+  res.redirect(303, "/settings");
+});
+
+router.delete("/api/settings/rejection-reasons", requireLogin, requireAdmin, async (req, res) => {
+  const d = await loadData();
+  const r = String(req.body.reason || "").trim();
+  if (!r) return res.status(400).json({ error: "淘汰原因不能为空" });
+  if (r === REVIEW_REJECT_REASON) return res.status(400).json({ error: "「" + r + "」用于面评不通过的自动淘汰，不能删除" });
+  const before = snapshot(d.rejectionReasons);
+  d.rejectionReasons = (d.rejectionReasons || []).filter((x) => x !== r);
+  await saveData(d);
+  auditSetting(req, "rejectionReasons", before, d.rejectionReasons);
   res.json({ ok: true });
 });
 
@@ -292,8 +714,10 @@ router.post("/api/settings/hr-chat-id", requireLogin, requireAdmin, async (req,
   const d = await loadData();
   const chatId = String(req.body.chatId || "").trim();
   if (!d.settings || typeof d.settings !== "object") d.settings = {};
+  const before = d.settings.hrGroupChatId || "";
   d.settings.hrGroupChatId = chatId;
   await saveData(d);
+  auditSetting(req, "hrGroupChatId", before, chatId);
   res.json({ ok: true });
 });
 
@@ -339,6 +763,7 @@ router.post("/api/users/sync-feishu", requireLogin, requireAdmin, async (req, re
       }
     }
     await saveData(d);
+    audit(req, { action: "update", entityType: "user", entityId: "", entityName: "飞书通讯录同步", changes: [{ field: "新增用户", from: "", to: String(added) }] });
     res.redirect(303, "/settings");
   } catch (e) {
     console.error("[Sync] 飞书通讯录同步失败:", e.message);
@@ -362,8 +787,10 @@ router.post("/api/users/:id/role", requireLogin, requireAdmin, async (req, res)
     if (!targetUser) {
       return res.status(404).json({ error: "用户不存在" });
     }
+    const oldRole = targetUser.role || "member";
     targetUser.role = newRole;
     await saveData(d);
+    audit(req, { action: "role_change", entityType: "user", entityId: targetUser.id, entityName: targetUser.name, before: { role: oldRole }, after: { role: newRole } });
     res.json({ ok: true, userId, role: newRole });
   } catch (e) {
     console.error("[Role] 角色修改失败:", e.message);
@@ -371,7 +798,315 @@ router.post("/api/users/:id/role", requireLogin, requireAdmin, async (req, res)
   }
 });
 
+// ====== 招聘流程模板 ======
+router.post("/api/settings/pipeline-templates", requireLogin, requireAdmin, async (req, res) => {
+  const d = await loadData();
+  const { template, error } = parseTemplateInput(req.body || {});
+  if (error) return res.status(400).json({ error });
+  if (allTemplates(d).some(t => t.name === template.name)) return res.status(400).json({ error: "同名流程模板已存在" });
+  template.id = rid("pt");
+  template.createdAt = nowIso();
+  d.pipelineTemplates.push(template);
+  await saveData(d);
+  audit(req, { entityType: "settings", entityId: template.id, entityName: "流程模板：" + template.name, after: template });
+  res.json({ ok: true, id: template.id });
+});
+
+router.put("/api/settings/pipeline-templates/:id", requireLogin, requireAdmin, async (req, res) => {
+  const d = await loadData();
+  const idx = d.pipelineTemplates.findIndex(t => t.id === req.params.id);
+  if (idx === -1) return res.status(404).json({ error: "流程模板不存在" });
+  const old = d.pipelineTemplates[idx];
+  const { template, error } = parseTemplateInput(req.body || {}, old);
+  if (error) return res.status(400).json({ error });
+  if (allTemplates(d).some(t => t.id !== old.id && t.name === template.name)) return res.status(400).json({ error: "同名流程模板已存在" });
+  template.createdAt = old.createdAt;
+  template.updatedAt = nowIso();
+  d.pipelineTemplates[idx] = template;
+  // 轮次调整后，把使用该模板的岗位下候选人状态映射到新轮次
+  const jobIds = new Set(d.jobs.filter(j => j.pipelineTemplateId === old.id).map(j => j.id));
+  for (const c of d.candidates.filter(x => jobIds.has(x.jobId))) {
+    const next = migrateStatus(old, template, c.status || "待筛选");
+    if (next === (c.status || "待筛选")) continue;
+    pushEvent(d, { candidateId: c.id, type: "状态同步", message: "流程「" + template.name + "」调整，状态：" + (c.status || "待筛选") + " -> " + next, actor: req.user?.name || "系统" });
+    c.status = next;
+    c.updatedAt = nowIso();
+  }
+  await saveData(d);
+  audit(req, { entityType: "settings", entityId: template.id, entityName: "流程模板：" + template.name, before: old, after: template });
+  res.json({ ok: true });
+});
+
+router.delete("/api/settings/pipeline-templates/:id", requireLogin, requireAdmin, async (req, res) => {
+  const d = await loadData();
+  const t = d.pipelineTemplates.find(x => x.id === req.params.id);
+  if (!t) return res.status(404).json({ error: "流程模板不存在" });
+  const used = d.jobs.filter(j => j.pipelineTemplateId === t.id);
+  if (used.length) return res.status(400).json({ error: "有 " + used.length + " 个岗位正在使用该流程，请先为这些岗位更换流程" });
+  d.pipelineTemplates = d.pipelineTemplates.filter(x => x.id !== t.id);
+  await saveData(d);
+  audit(req, { entityType: "settings", entityId: t.id, entityName: "流程模板：" + t.name, before: t });
+  res.json({ ok: true });
+});
+
+// ====== 面试评分卡模板 ======
+router.post("/api/settings/scorecard-templates", requireLogin, requireAdmin, async (req, res) => {
+  const d = await loadData();
+  const { template, error } = parseScorecardInput(req.body || {});
+  if (error) return res.status(400).json({ error });
+  if (allScorecards(d).some(t => t.name === template.name)) return res.status(400).json({ error: "同名评分卡模板已存在" });
+  template.id = rid("sct");
+  template.createdAt = nowIso();
+  d.scorecardTemplates.push(template);
+  await saveData(d);
+  audit(req, { entityType: "settings", entityId: template.id, entityName: "评分卡模板：" + template.name, after: template });
+  res.json({ ok: true, id: template.id });
+});
+
+router.put("/api/settings/scorecard-templates/:id", requireLogin, requireAdmin, async (req, res) => {
+  const d = await loadData();
+  const idx = d.scorecardTemplates.findIndex(t => t.id === req.params.id);
+  if (idx === -1) return res.status(404).json({ error: "评分卡模板不存在" });
+  const old = d.scorecardTemplates[idx];
+  const { template, error } = parseScorecardInput(req.body || {}, old);
+  if (error) return res.status(400).json({ error });
+  if (allScorecards(d).some(t => t.id !== old.id && t.name === template.name)) return res.status(400).json({ error: "同名评分卡模板已存在" });
+  template.createdAt = old.createdAt;
+  template.updatedAt = nowIso();
+  d.scorecardTemplates[idx] = template;
+  await saveData(d);
+  audit(req, { entityType: "settings", entityId: template.id, entityName: "评分卡模板：" + template.name, before: old, after: template });
+  res.json({ ok: true });
+});
+
+router.delete("/api/settings/scorecard-templates/:id", requireLogin, requireAdmin, async (req, res) => {
+  const d = await loadData();
+  const t = d.scorecardTemplates.find(x => x.id === req.params.id);
+  if (!t) return res.status(404).json({ error: "评分卡模板不存在" });
+  const used = d.jobs.filter(j => j.scorecardTemplateId === t.id);
+  if (used.length) return res.status(400).json({ error: "有 " + used.length + " 个岗位指定了该评分卡，请先为这些岗位更换评分卡" });
+  d.scorecardTemplates = d.scorecardTemplates.filter(x => x.id !== t.id);
+  await saveData(d);
+  audit(req, { entityType: "settings", entityId: t.id, entityName: "评分卡模板：" + t.name, before: t });
+  res.json({ ok: true });
+});
+
+// ====== JD 模板 ======
+router.post("/api/settings/jd-templates", requireLogin, requireAdmin, async (req, res) => {
+  const d = await loadData();
+  const { template, error } = parseJdTemplateInput(req.body, d.categories || []);
+  if (error) return res.status(400).json({ error });
+  if (d.jdTemplates.some(t => t.name === template.name)) return res.status(400).json({ error: "同名 JD 模板已存在" });
+  template.id = rid("jdt");
+  template.createdAt = nowIso();
+  d.jdTemplates.push(template);
+  await saveData(d);
+  audit(req, { entityType: "settings", entityId: template.id, entityName: "JD 模板：" + template.name, after: template });
+  res.json({ ok: true, id: template.id });
+});
+
+router.put("/api/settings/jd-templates/:id", requireLogin, requireAdmin, async (req, res) => {
+  const d = await loadData();
+  const idx = d.jdTemplates.findIndex(t => t.id === req.params.id);
+  if (idx === -1) return res.status(404).json({ error: "JD 模板不存在" });
+  const old = d.jdTemplates[idx];
+  const { template, error } = parseJdTemplateInput(req.body, d.categories || []);
+  if (error) return res.status(400).json({ error });
+  if (d.jdTemplates.some(t => t.id !== old.id && t.name === template.name)) return res.status(400).json({ error: "同名 JD 模板已存在" });
+  d.jdTemplates[idx] = { ...template, id: old.id, createdAt: old.createdAt, updatedAt: nowIso() };
+  await saveData(d);
+  audit(req, { entityType: "settings", entityId: old.id, entityName: "JD 模板：" + template.name, before: old, after: d.jdTemplates[idx] });
+  res.json({ ok: true });
+});
+
+router.delete("/api/settings/jd-templates/:id", requireLogin, requireAdmin, async (req, res) => {
+  const d = await loadData();
+  const t = d.jdTemplates.find(x => x.id === req.params.id);
+  if (!t) return res.status(404).json({ error: "JD 模板不存在" });
+  d.jdTemplates = d.jdTemplates.filter(x => x.id !== t.id);
+  await saveData(d);
+  audit(req, { entityType: "settings", entityId: t.id, entityName: "JD 模板：" + t.name, before: t });
+  res.json({ ok: true });
+});
+
+// ====== Offer 审批与模板 ======
+router.put("/api/settings/offer-settings", requireLogin, requireAdmin, async (req, res) => {
+  const d = await loadData();
+  const body = req.body || {};
+  const names = [...new Set(String(body.approvers || "").split(/\n/).map((x) => x.trim()).filter(Boolean))];
+  const approvers = [];
+  for (const name of names) {
+    const u = d.users.find((x) => x.name === name);
+    if (!u) return res.status(400).json({ error: "审批人不存在：" + name + "（需为已登录过系统的用户）" });
+    approvers.push({ name: u.name, openId: u.openId || "" });
+  }
+  const before = snapshot(d.offerSettings);
+  d.offerSettings = {
+    approvers,
+    companyName: String(body.companyName || "").trim(),
+    letterTemplate: String(body.letterTemplate || "").trim(),
+  };
+  await saveData(d);
+  auditSetting(req, "offerSettings", before, d.offerSettings);
+  res.json({ ok: true });
+});
+
+// ====== 薪资带宽 ======
+router.put("/api/settings/salary-bands", requireLogin, requireAdmin, async (req, res) => {
+  const d = await loadData();
+  const { bands, error } = parseBandsInput(req.body?.bands);
+  if (error) return res.status(400).json({ error });
+  const before = snapshot(d.salaryBands);
+  d.salaryBands = bands;
+  await saveData(d);
+  auditSetting(req, "salaryBands", before, d.salaryBands);
+  res.json({ ok: true });
+});
+
+// ====== 入职清单 ======
+router.put("/api/settings/onboarding-templates", requireLogin, requireAdmin, async (req, res) => {
+  const d = await loadData();
+  const type = String(req.body?.type || "");
+  if (!EMPLOYMENT_TYPES.includes(type)) return res.status(400).json({ error: "招聘类型无效" });
+  const before = snapshot(d.onboardingTemplates[type]);
+  if (req.body.reset) {
+    delete d.onboardingTemplates[type];
+  } else {
+    const { items, error } = parseOnboardingTemplate(req.body.items);
+    if (error) return res.status(400).json({ error });
+    d.onboardingTemplates[type] = items;
+  }
+  await saveData(d);
+  auditSetting(req, "onboardingTemplates", before, d.onboardingTemplates[type], type);
+  res.json({ ok: true });
+});
+
+// ====== 候选人邮件 ======
+router.put("/api/settings/email-templates", requireLogin, requireAdmin, async (req, res) => {
+  const d = await loadData();
+  const meta = templateMeta(String(req.body?.template || ""));
+  if (!meta) return res.status(400).json({ error: "邮件模板不存在" });
+  const before = snapshot(d.emailSettings.templates[meta.key]);
+  if (req.body.reset) {
+    delete d.emailSettings.templates[meta.key];
+  } else {
+    const subject = String(req.body.subject || "").trim();
+    const body = String(req.body.body || "").replace(/\r\n/g, "\n").trim();
+    if (!subject) return res.status(400).json({ error: "邮件主题不能为空" });
+    if (!body) return res.status(400).json({ error: "邮件正文不能为空" });
+    // 只允许使用该模板支持的变量，避免发出未替换的 {{变量}}
+    const unknown = [...(subject + body).matchAll(/\{\{\s*([^}\s]+)\s*\}\}/g)].map((m) => m[1]).filter((v) => !TEMPLATE_VARS[meta.key].includes(v));
+    if (unknown.length) return res.status(400).json({ error: "「" + meta.name + "」不支持变量：" + [...new Set(unknown)].join("、") });
+    d.emailSettings.templates[meta.key] = { subject, body };
+  }
+  await saveData(d);
+  auditSetting(req, "emailTemplates", before || {}, d.emailSettings.templates[meta.key] || {}, meta.name);
+  res.json({ ok: true });
+});
+
+router.put("/api/settings/email-rules", requireLogin, requireAdmin, async (req, res) => {
+  const d = await loadData();
+  const input = req.body?.rules && typeof req.body.rules === "object" ? req.body.rules : {};
+  const statuses = new Set(unionStatuses(d).map((x) => x.key));
+  const rules = {};
+  for (const [status, key] of Object.entries(input)) {
+    if (!statuses.has(status)) return res.status(400).json({ error: "状态不存在：" + status });
+    if (!templateMeta(key)) return res.status(400).json({ error: "邮件模板不存在：" + key });
+    rules[status] = key;
+  }
+  const before = snapshot(d.emailSettings.autoRules);
+  d.emailSettings.autoRules = rules;
+  await saveData(d);
+  auditSetting(req, "emailRules", before || {}, rules);
+  res.json({ ok: true });
+});
+
+// ====== 通知规则 ======
+router.post("/api/settings/notification-rules", requireLogin, requireAdmin, async (req, res) => {
+  const d = await loadData();
+  const { rule, error } = parseRuleInput(d, req.body || {});
+  if (error) return res.status(400).json({ error });
+  d.notificationRules.push(rule);
+  await saveData(d);
+  audit(req, { entityType: "settings", entityId: rule.id, entityName: "通知规则：" + rule.name, after: rule });
+  res.json({ ok: true, id: rule.id });
+});
+
+router.post("/api/settings/notification-rules/reset", requireLogin, requireAdmin, async (req, res) => {
+  const d = await loadData();
+  const before = snapshot(d.notificationRules);
+  d.notificationRules = DEFAULT_NOTIFICATION_RULES.map((r) => ({ ...r }));
+  await saveData(d);
+  auditSetting(req, "notificationRules", before, d.notificationRules);
+  res.json({ ok: true });
+});
+
+router.put("/api/settings/notification-rules/:id", requireLogin, requireAdmin, async (req, res) => {
+  const d = await loadData();
+  const idx = d.notificationRules.findIndex((r) => r.id === req.params.id);
+  if (idx < 0) return res.status(404).json({ error: "通知规则不存在" });
+  const old = d.notificationRules[idx];
+  const { rule, error } = parseRuleInput(d, req.body || {}, old);
+  if (error) return res.status(400).json({ error });
+  d.notificationRules[idx] = rule;
+  await saveData(d);
+  audit(req, { entityType: "settings", entityId: rule.id, entityName: "通知规则：" + rule.name, before: old, after: rule });
+  res.json({ ok: true });
+});
+
+router.delete("/api/settings/notification-rules/:id", requireLogin, requireAdmin, async (req, res) => {
+  const d = await loadData();
+  const rule = d.notificationRules.find((r) => r.id === req.params.id);
+  if (!rule) return res.status(404).json({ error: "通知规则不存在" });
+  d.notificationRules = d.notificationRules.filter((r) => r.id !== rule.id);
+  await saveData(d);
+  audit(req, { entityType: "settings", entityId: rule.id, entityName: "通知规则：" + rule.name, before: rule });
+  res.json({ ok: true });
+});
+
+// ====== 跟进提醒与 SLA ======
+router.put("/api/settings/followup-settings", requireLogin, requireAdmin, async (req, res) => {
+  const d = await loadData();
+  const { settings, error } = parseFollowupSettings(req.body, new Set(unionStatuses(d).map((x) => x.key)));
+  if (error) return res.status(400).json({ error });
+  const before = followupSettings(d);
+  d.followupSettings = { ...settings, lastDigestOn: before.lastDigestOn, digestRulesAdded: before.digestRulesAdded };
+  // 立即按新阈值刷新候选人的超时标记，不必等定时任务
+  refreshSlaFlags(d);
+  await saveData(d);
+  auditSetting(req, "followupSettings", before, d.followupSettings);
+  res.json({ ok: true });
+});
+
+// ====== 职位申请审批 ======
+router.put("/api/settings/requisition-settings", requireLogin, requireAdmin, async (req, res) => {
+  const d = await loadData();
+  const { settings, error } = parseRequisitionSettings(req.body, d.users);
+  if (error) return res.status(400).json({ error });
+  const before = requisitionSettings(d);
+  d.requisitionSettings = settings;
+  await saveData(d);
+  auditSetting(req, "requisitionSettings", before, d.requisitionSettings);
+  res.json({ ok: true });
+});
+
+// ====== 内推奖金 ======
+router.put("/api/settings/referral-settings", requireLogin, requireAdmin, async (req, res) => {
+  const d = await loadData();
+  const { settings, error } = parseReferralRules(req.body?.rules, d.categories);
+  if (error) return res.status(400).json({ error });
+  const before = referralSettings(d);
+  d.referralSettings = settings;
+  await saveData(d);
+  auditSetting(req, "referralSettings", before, d.referralSettings);
+  res.json({ ok: true });
+});
+
 // ====== 猎头管理 ======
+function newHunterApiKey() {
+  return "hk_" + crypto.randomBytes(20).toString("hex");
+}
+
 router.post("/api/settings/headhunters", requireLogin, requireAdmin, async (req, res) => {
   const d = await loadData();
   const company = String(req.body.company || "").trim();
@@ -382,8 +1117,10 @@ router.post("/api/settings/headhunters", requireLogin, requireAdmin, async (req,
   if (d.headhunters.find(h => h.company === company)) {
     return res.status(400).json({ error: "该猎头公司已存在" });
   }
-  d.headhunters.push({ id: rid("htr"), company, name, enabled: true, createdAt: nowIso() });
+  const hunter = { id: rid("htr"), company, name, apiKey: newHunterApiKey(), enabled: true, jobIds: [], createdAt: nowIso() };
+  d.headhunters.push(hunter);
   await saveData(d);
+  audit(req, { entityType: "headhunter", entityId: hunter.id, entityName: company, after: hunter });
   res.json({ ok: true });
 });
 
@@ -391,6 +1128,7 @@ router.put("/api/settings/headhunters/:id", requireLogin, requireAdmin, async (r
   const d = await loadData();
   const h = (d.headhunters || []).find(x => x.id === req.params.id);
   if (!h) return res.status(404).json({ error: "猎头不存在" });
+  const before = snapshot(h);
   if (req.body.enabled !== undefined) h.enabled = !!req.body.enabled;
   if (req.body.name !== undefined) h.name = String(req.body.name).trim();
   if (req.body.company !== undefined) {
@@ -398,17 +1136,49 @@ router.put("/api/settings/headhunters/:id", requireLogin, requireAdmin, async (r
     if (!company) return res.status(400).json({ error: "公司名称不能为空" });
     h.company = company;
   }
+  if (Array.isArray(req.body.jobIds)) {
+    const jobIdSet = new Set(d.jobs.map(j => j.id));
+    h.jobIds = req.body.jobIds.map(String).filter(id => jobIdSet.has(id));
+  }
+  await saveData(d);
+  audit(req, { entityType: "headhunter", entityId: h.id, entityName: h.company, before, after: h });
+  res.json({ ok: true });
+});
+
+// 猎头合同：服务费比例、保证期和付款节点
+router.put("/api/settings/headhunters/:id/contract", requireLogin, requireAdmin, async (req, res) => {
+  const d = await loadData();
+  const h = (d.headhunters || []).find(x => x.id === req.params.id);
+  if (!h) return res.status(404).json({ error: "猎头不存在" });
+  const { contract, error } = parseContractInput(req.body);
+  if (error) return res.status(400).json({ error });
+  const before = snapshot(h);
+  h.contract = contract;
   await saveData(d);
+  audit(req, { entityType: "headhunter", entityId: h.id, entityName: h.company, before, after: h });
   res.json({ ok: true });
 });
 
+// 生成/重置猎头门户 API Key
+router.post("/api/settings/headhunters/:id/api-key", requireLogin, requireAdmin, async (req, res) => {
+  const d = await loadData();
+  const h = (d.headhunters || []).find(x => x.id === req.params.id);
+  if (!h) return res.status(404).json({ error: "猎头不存在" });
+  const before = snapshot(h);
+  h.apiKey = newHunterApiKey();
+  await saveData(d);
+  audit(req, { entityType: "headhunter", entityId: h.id, entityName: h.company, before, after: h });
+  res.json({ ok: true, apiKey: h.apiKey });
+});
+
 router.delete("/api/settings/headhunters/:id", requireLogin, requireAdmin, async (req, res) => {
   const d = await loadData();
-  const before = (d.headhunters || []).length;
-  d.headhunters = (d.headhunters || []).filter(x => x.id !== req.params.id);
-  if (d.headhunters.length === before) return res.status(404).json({ error: "猎头不存在" });
+  const h = (d.headhunters || []).find(x => x.id === req.params.id);
+  if (!h) return res.status(404).json({ error: "猎头不存在" });
+  d.headhunters = d.headhunters.filter(x => x.id !== h.id);
   await saveData(d);
-  await deleteFromSupabase("headhunters", req.params.id);
+  await deleteFromSupabase("headhunters", h.id);
+  audit(req, { entityType: "headhunter", entityId: h.id, entityName: h.company, before: h });
   res.json({ ok: true });
 });
 
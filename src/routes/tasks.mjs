@@ -0,0 +1,119 @@
+import { Router } from "express";
+import crypto from "crypto";
+import { requireLogin, requireAdmin } from "../auth.mjs";
+import { nowIso, loadTaskStates } from "../db.mjs";
+import { renderPage, escapeHtml } from "../ui.mjs";
+import { TASKS, TRIGGER_LABELS, taskMeta, runTask, runDueTasks } from "../tasks/runner.mjs";
+
+const router = Router();
+
+// ====== 外部 cron 入口 ======
+// GET / POST /api/cron/:task，task 为任务 key（立即运行该任务）或 due（运行所有到期任务）。
+// 鉴权：Authorization: Bearer <CRON_SECRET>（Vercel Cron 的默认方式）或 x-cron-secret 请求头。
+// 不支持 URL 参数传密钥（会进入访问日志与代理日志）；比较用 timingSafeEqual，避免按耗时逐字节猜出密钥
+function secretMatches(given, secret) {
+  const a = Buffer.from(String(given || ""));
+  const b = Buffer.from(secret);
+  return a.length === b.length && crypto.timingSafeEqual(a, b);
+}
+
+function cronAuthorized(req) {
+  const secret = process.env.CRON_SECRET;
+  if (!secret) return false;
+  const bearer = String(req.headers.authorization || "").replace(/^Bearer\s+/i, "");
+  return secretMatches(bearer, secret) || secretMatches(req.headers["x-cron-secret"], secret);
+}
+
+// /api/cron/due 开始新任务的时间上限，留出余量不超过 Vercel 函数的 30 秒时长
+const DUE_BUDGET_MS = 15 * 1000;
+
+router.all("/api/cron/:task", async (req, res) => {
+  if (!process.env.CRON_SECRET) return res.status(503).json({ error: "未配置 CRON_SECRET" });
+  if (!cronAuthorized(req)) return res.status(401).json({ error: "unauthorized" });
+  const key = req.params.task;
+  if (key === "due") return res.json({ ok: true, runs: await runDueTasks("cron", { budgetMs: DUE_BUDGET_MS }) });
+  if (!taskMeta(key)) return res.status(404).json({ error: "任务不存在" });
+  const run = await runTask(key, { trigger: "cron" });
+  res.status(run.status === "failed" ? 500 : 200).json({ ok: run.status !== "failed", task: key, ...run });
+});
+
+// ====== 后台任务状态页 ======
+const RUN_STATUS = {
+  success: { name: "成功", color: "status-green" },
+  failed: { name: "失败", color: "status-red" },
+  skipped: { name: "跳过", color: "status-gray" },
+};
+
+function fmtDuration(ms) {
+  if (!Number.isFinite(ms)) return "-";
+  return ms < 1000 ? ms + "ms" : (ms / 1000).toFixed(1) + "s";
+}
+
+function runStatusBadge(run) {
+  const st = RUN_STATUS[run?.status];
+  return st ? '<span class="badge ' + st.color + '" style="font-size:11px">' + st.name + '</span>' : '<span class="muted">未运行</span>';
+}
+
+router.get("/settings/tasks", requireLogin, requireAdmin, async (req, res) => {
+  const states = await loadTaskStates();
+  const now = nowIso();
+  const rows = TASKS.map((t) => {
+    const st = states[t.key] || {};
+    const run = st.lastRun;
+    const running = !!st.leaseUntil && st.leaseUntil > now;
+    return '<tr>' +
+      '<td><div style="font-weight:600">' + escapeHtml(t.name) + '</div><div class="muted" style="font-size:12px">' + escapeHtml(t.key) + ' · 每 ' + t.intervalMin + ' 分钟</div></td>' +
+      '<td>' + (running ? '<span class="badge status-blue" style="font-size:11px">运行中</span>' : runStatusBadge(run)) +
+        (st.attempts ? ' <span class="badge status-orange" style="font-size:11px">连续失败 ' + st.attempts + ' 次</span>' : '') + '</td>' +
+      '<td style="white-space:nowrap">' + escapeHtml(run ? run.startedAt.replace("T", " ") : "-") + (run ? '<div class="muted" style="font-size:12px">' + escapeHtml(TRIGGER_LABELS[run.trigger] || run.trigger) + (run.actor ? " · " + escapeHtml(run.actor) : "") + '</div>' : '') + '</td>' +
+      '<td>' + fmtDuration(run?.durationMs) + '</td>' +
+      '<td style="max-width:360px">' + (run?.error ? '<span style="color:var(--red)">' + escapeHtml(run.error) + '</span>' : escapeHtml(run?.result || "-")) + '</td>' +
+      '<td style="white-space:nowrap">' + escapeHtml(st.nextRunAt ? st.nextRunAt.replace("T", " ") : "下次检查时") + '</td>' +
+      '<td><button class="btn sm" onclick="runTaskNow(\'' + t.key + '\',this)"' + (running ? " disabled" : "") + '>立即运行</button></td>' +
+    '</tr>';
+  }).join("");
+
+  const historyHtml = TASKS.map((t) => {
+    const history = states[t.key]?.history || [];
+    if (!history.length) return "";
+    return '<details style="margin-top:8px"><summary style="cursor:pointer;font-weight:600">' + escapeHtml(t.name) + ' <span class="muted" style="font-weight:400">最近 ' + history.length + ' 次</span></summary>' +
+      '<table style="margin-top:6px"><thead><tr><th>开始时间</th><th>触发</th><th>结果</th><th>耗时</th><th>说明</th></tr></thead><tbody>' +
+      history.map((r) => '<tr><td style="white-space:nowrap">' + escapeHtml((r.startedAt || "").replace("T", " ")) + '</td>' +
+        '<td>' + escapeHtml(TRIGGER_LABELS[r.trigger] || r.trigger || "-") + (r.actor ? " · " + escapeHtml(r.actor) : "") + '</td>' +
+        '<td>' + runStatusBadge(r) + (r.status === "failed" && r.attempts ? ' <span class="muted" style="font-size:12px">第 ' + r.attempts + ' 次</span>' : '') + '</td>' +
+        '<td>' + fmtDuration(r.durationMs) + '</td>' +
+        '<td>' + (r.error ? '<span style="color:var(--red)">' + escapeHtml(r.error) + '</span>' : escapeHtml(r.result || "-")) + '</td></tr>').join("") +
+      '</tbody></table></details>';
+  }).join("");
+
+  const baseUrl = process.env.BASE_URL || "https://recruit-platform-sable.vercel.app";
+  res.send(renderPage({
+    title: "后台任务",
+    user: req.user,
+    active: "settings",
+    contentHtml: '<div class="row"><a class="btn sm" href="/settings">← 设置</a><div style="font-weight:900;font-size:18px">后台任务</div></div>' +
+      '<div class="divider"></div>' +
+      '<div class="card">' +
+        '<div class="muted">本地运行时服务每分钟检查一次到期任务；部署在 Vercel 时由 vercel.json 中配置的 Vercel Cron 按任务分别调用，其他 serverless 环境需由外部 cron 定时调用下方地址。多个实例同时触发时只有一个会运行，失败后按 1、2、4 … 分钟（最长 60 分钟）退避重试。</div>' +
+        '<div style="font-size:13px;margin-top:8px;line-height:1.8">' +
+          '<div><b>运行到期任务：</b><code>' + escapeHtml(baseUrl) + '/api/cron/due</code>（建议每 5-10 分钟调用一次；单次请求运行约 15 秒后不再开始新任务，剩余的下次继续）</div>' +
+          '<div><b>运行指定任务：</b><code>' + escapeHtml(baseUrl) + '/api/cron/&lt;任务 key&gt;</code></div>' +
+          '<div><b>鉴权：</b>请求头 <code>Authorization: Bearer &lt;CRON_SECRET&gt;</code>（或 <code>x-cron-secret</code>）。' +
+            (process.env.CRON_SECRET ? '<span class="badge status-green" style="font-size:11px">已配置 CRON_SECRET</span>' : '<span class="badge status-red" style="font-size:11px">未配置 CRON_SECRET，外部 cron 无法调用</span>') + '</div>' +
+        '</div>' +
+        '<div class="divider"></div>' +
+        '<table><thead><tr><th>任务</th><th>状态</th><th>上次运行</th><th>耗时</th><th>结果</th><th>下次运行</th><th>操作</th></tr></thead><tbody>' + rows + '</tbody></table>' +
+      '</div>' +
+      (historyHtml ? '<div class="card" style="margin-top:14px"><div style="font-weight:900;font-size:15px">运行记录</div>' + historyHtml + '</div>' : '') +
+      '<script>async function runTaskNow(key,btn){btn.disabled=true;btn.textContent="运行中...";var r=await fetch("/api/tasks/"+encodeURIComponent(key)+"/run",{method:"POST"});var d=await r.json().catch(function(){return{}});if(!r.ok)alert(d.error||"运行失败");location.reload()}</script>',
+  }));
+});
+
+router.post("/api/tasks/:task/run", requireLogin, requireAdmin, async (req, res) => {
+  if (!taskMeta(req.params.task)) return res.status(404).json({ error: "任务不存在" });
+  const run = await runTask(req.params.task, { trigger: "manual", actor: req.user?.name || "" });
+  if (run.status === "skipped") return res.status(409).json({ error: "任务正在运行中，请稍后再试" });
+  res.json({ ok: true, run });
+});
+
+export default router;
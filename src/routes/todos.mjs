@@ -0,0 +1,103 @@
+import { Router } from "express";
+import { requireLogin } from "../auth.mjs";
+import { loadData, saveUserPrefs, nowIso } from "../db.mjs";
+import { renderPage, escapeHtml } from "../ui.mjs";
+import { addDays } from "../onboarding.mjs";
+import { TODO_TYPES, userTodos, setTodoState, loadTodoStates } from "../todos.mjs";
+import { userKey } from "../notes.mjs";
+
+const router = Router();
+
+// ====== 我的待办 ======
+
+const SNOOZE_OPTIONS = [
+  { key: "1h", name: "1 小时后" },
+  { key: "tomorrow", name: "明天 9:00" },
+  { key: "3d", name: "3 天后 9:00" },
+  { key: "1w", name: "下周 9:00" },
+];
+
+function snoozeUntil(key) {
+  // 北京时间，与 nowIso() 同格式
+  if (key === "1h") return new Date(Date.now() + 9 * 3600000).toISOString().slice(0, 16);
+  const days = { tomorrow: 1, "3d": 3, "1w": 7 }[key];
+  return days ? addDays(nowIso().slice(0, 10), days) + "T09:00" : "";
+}
+
+// JSON 版本供飞书机器人卡片等外部展示使用
+router.get("/api/todos", requireLogin, async (req, res) => {
+  const d = await loadData();
+  const states = await loadTodoStates(d, req.user);
+  const { items, counts } = userTodos(d, req.user, { includeHidden: req.query.all === "1", states });
+  res.json({ ok: true, counts, items });
+});
+
+// action: dismiss（忽略）/ snooze（延后，snooze 为 SNOOZE_OPTIONS 的 key）/ restore（恢复）
+router.post("/api/todos/state", requireLogin, async (req, res) => {
+  const d = await loadData();
+  const { key, action, snooze } = req.body || {};
+  let until;
+  if (action === "dismiss") until = "";
+  else if (action === "restore") until = null;
+  else if (action === "snooze") {
+    until = snoozeUntil(snooze);
+    if (!until) return res.status(400).json({ error: "延后时间无效" });
+  } else return res.status(400).json({ error: "操作无效" });
+  const r = setTodoState(d, req.user, await loadTodoStates(d, req.user), String(key || ""), until);
+  if (r.error) return res.status(404).json({ error: r.error });
+  // 按用户单行保存，不写共享的 app_config.todoStates，避免多人同时操作互相覆盖
+  await saveUserPrefs(userKey(req.user), { todoStates: r.states });
+  res.json({ ok: true });
+});
+
+router.get("/todos", requireLogin, async (req, res) => {
+  const d = await loadData();
+  const showHidden = req.query.all === "1";
+  const states = await loadTodoStates(d, req.user);
+  const { items, counts } = userTodos(d, req.user, { includeHidden: showHidden, states });
+  const hiddenCount = showHidden ? items.filter(x => x.state).length : userTodos(d, req.user, { includeHidden: true, states }).items.length - items.length;
+  const today = nowIso().slice(0, 10);
+
+  const itemHtml = (x) => {
+    const key = escapeHtml(x.key);
+    const overdue = x.type === "followup" && x.due.slice(0, 10) < today;
+    return '<div class="row" style="padding:10px 0;border-bottom:1px solid #f0f0f0;gap:10px;align-items:flex-start' + (x.state ? ';opacity:.6' : '') + '">' +
+      '<div style="flex:1;min-width:0">' +
+        '<a href="' + escapeHtml(x.url) + '" style="font-weight:600">' + escapeHtml(x.title) + '</a>' +
+        '<div class="muted" style="font-size:12px;margin-top:2px">' + escapeHtml(x.jobTitle || "-") + ' · ' + escapeHtml(x.due ? x.due.replace("T", " ") : "-") +
+          (overdue ? ' <span class="badge status-red" style="font-size:11px">逾期</span>' : '') +
+          (x.state === "dismissed" ? ' <span class="badge status-gray" style="font-size:11px">已忽略</span>' : '') +
+          (x.state === "snoozed" ? ' <span class="badge status-gray" style="font-size:11px">延后至 ' + escapeHtml(x.snoozeUntil.replace("T", " ")) + '</span>' : '') +
+        '</div>' +
+        (x.note ? '<div class="muted" style="font-size:12px;margin-top:2px;white-space:pre-wrap">' + escapeHtml(x.note) + '</div>' : '') +
+      '</div>' +
+      (x.state
+        ? '<button class="btn sm" onclick="todoState(\'' + key + '\',\'restore\')">恢复</button>'
+        : '<select onchange="if(this.value)todoState(\'' + key + '\',\'snooze\',this.value)" style="width:auto;font-size:12px"><option value="">稍后提醒</option>' +
+            SNOOZE_OPTIONS.map(o => '<option value="' + o.key + '">' + o.name + '</option>').join("") + '</select>' +
+          '<button class="btn sm" onclick="todoState(\'' + key + '\',\'dismiss\')">忽略</button>') +
+    '</div>';
+  };
+  const sections = TODO_TYPES.map(t => {
+    const list = items.filter(x => x.type === t.key);
+    return '<div class="card" style="margin-bottom:14px">' +
+      '<div class="row"><div style="font-weight:900;font-size:15px">' + escapeHtml(t.name) + '</div>' +
+        (counts[t.key] ? '<span class="badge status-red" style="font-size:11px">' + counts[t.key] + '</span>' : '') + '</div>' +
+      (list.length ? list.map(itemHtml).join("") : '<div class="muted" style="padding:12px 0;font-size:13px">暂无</div>') +
+      '</div>';
+  }).join("");
+
+  res.send(renderPage({
+    title: "我的待办",
+    user: req.user,
+    active: "todos",
+    contentHtml: '<div class="row"><div style="font-weight:900;font-size:18px">我的待办</div>' +
+      '<span class="muted" style="font-size:13px">共 ' + counts.total + ' 项</span><span class="spacer"></span>' +
+      (hiddenCount || showHidden ? '<a class="btn' + (showHidden ? ' primary' : '') + '" href="/todos' + (showHidden ? '' : '?all=1') + '">显示已忽略 / 延后（' + hiddenCount + '）</a>' : '') +
+      '</div><div class="divider"></div>' +
+      sections +
+      '<script>async function todoState(key,action,snooze){var r=await fetch("/api/todos/state",{method:"POST",headers:{"Content-Type":"application/json"},body:JSON.stringify({key:key,action:action,snooze:snooze})});if(r.ok)location.reload();else{var d=await r.json().catch(function(){return{}});alert(d.error||"操作失败")}}</script>',
+  }));
+});
+
+export default router;
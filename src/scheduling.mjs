@@ -0,0 +1,99 @@
+// ====== 面试时间与面试官冲突检测 ======
+// 面试时间按北京时间保存（scheduledAt / endAt 形如 2026-01-01T10:00，不带时区）；
+// 历史记录没有 endAt 时按 60 分钟计算。冲突检测覆盖系统内已有面试安排，飞书开启时再查询面试官日历忙闲。
+import { feishuEnabled, getFeishuFreeBusy } from "./feishu.mjs";
+import { DEFAULT_ROUND_MINUTES } from "./pipeline.mjs";
+
+export function parseBjTime(str) {
+  const s = String(str || "").trim().replace(" ", "T");
+  if (!s) return null;
+  const dt = new Date(/[Zz]|[+-]\d{2}:?\d{2}$/.test(s) ? s : s + "+08:00");
+  return isNaN(dt.getTime()) ? null : dt;
+}
+
+// Date -> 北京时间 yyyy-MM-ddTHH:mm
+export function toBjLocal(dt) {
+  return new Date(dt.getTime() + 8 * 3600000).toISOString().slice(0, 16);
+}
+
+export function scheduleRange(sc) {
+  const start = parseBjTime(sc.scheduledAt);
+  if (!start) return null;
+  const end = parseBjTime(sc.endAt);
+  return { start, end: end && end > start ? end : new Date(start.getTime() + DEFAULT_ROUND_MINUTES * 60000) };
+}
+
+export function splitInterviewers(str) {
+  return String(str || "").split(/[\/;,、]/).map(n => n.trim()).filter(Boolean);
+}
+
+function overlaps(a, b) {
+  return a.start < b.end && b.start < a.end;
+}
+
+function hm(dt) {
+  return toBjLocal(dt).slice(11, 16);
+}
+
+// 系统内冲突：同一面试官的其他面试安排与 [start, end) 重叠
+export function findScheduleConflicts(d, { interviewers, start, end, excludeId = "" }) {
+  const names = new Set(splitInterviewers(interviewers));
+  if (!names.size) return [];
+  const candMap = new Map(d.candidates.map(c => [c.id, c]));
+  const out = [];
+  for (const sc of d.interviewSchedules) {
+    if (sc.id === excludeId) continue;
+    const range = scheduleRange(sc);
+    if (!range || !overlaps(range, { start, end })) continue;
+    for (const name of splitInterviewers(sc.interviewers)) {
+      if (!names.has(name)) continue;
+      const c = candMap.get(sc.candidateId);
+      out.push({
+        name,
+        scheduleId: sc.id,
+        start: range.start,
+        end: range.end,
+        message: name + "：" + toBjLocal(range.start).replace("T", " ") + "-" + hm(range.end) + " 已安排面试（" + (c?.name || "未知候选人") + " 第" + sc.round + "轮）",
+      });
+    }
+  }
+  return out;
+}
+
+// 飞书忙闲冲突；ignore 为需要忽略的忙碌区间（编辑已同步日历的面试时，其原时段本身就是忙碌）
+export async function findFeishuBusyConflicts({ attendees, start, end, ignore = [] }) {
+  if (!feishuEnabled() || !attendees.length) return [];
+  const busy = await getFeishuFreeBusy({ openIds: attendees.map(a => a.openId), startTime: start, endTime: end });
+  if (!busy) return [];
+  const out = [];
+  for (const a of attendees) {
+    for (const b of busy[a.openId] || []) {
+      if (!overlaps(b, { start, end })) continue;
+      if (ignore.some(r => Math.abs(r.start - b.start) < 60000 && Math.abs(r.end - b.end) < 60000)) continue;
+      out.push({ name: a.name, start: b.start, end: b.end, message: a.name + "：飞书日历 " + hm(b.start) + "-" + hm(b.end) + " 忙碌" });
+    }
+  }
+  return out;
+}
+
+// 面试官姓名 -> openId（优先使用前端传入的 openId，按顺序对应；缺失时按姓名匹配通讯录）
+export function resolveAttendees(d, interviewers, openIds = []) {
+  const names = splitInterviewers(interviewers);
+  return names.map((name, i) => {
+    const openId = openIds[i] || d.users.find(u => u.name === name && u.openId)?.openId || "";
+    return { name, openId };
+  }).filter(a => a.openId);
+}
+
+export async function findInterviewerConflicts(d, { interviewers, openIds = [], start, end, excludeId = "" }) {
+  const local = findScheduleConflicts(d, { interviewers, start, end, excludeId });
+  const prev = excludeId ? d.interviewSchedules.find(x => x.id === excludeId) : null;
+  const prevRange = prev?.calendarEventId ? scheduleRange(prev) : null;
+  const remote = await findFeishuBusyConflicts({
+    attendees: resolveAttendees(d, interviewers, openIds),
+    start,
+    end,
+    ignore: [...(prevRange ? [prevRange] : []), ...local],
+  });
+  return [...local, ...remote];
+}
@@ -0,0 +1,174 @@
+// ====== 结构化面试评分卡 ======
+// 评分卡模板保存在 app_config.scorecardTemplates：
+// { id, name, categories: [职位分类], competencies: [{ name, anchors: [1-5 分锚点], rounds: [轮次，空=全部轮次], questions: { "0": [通用问题], "2": [第2轮问题] } }] }
+// 岗位可指定 scorecardTemplateId；未指定时按职位分类匹配模板。面评的 dimensions 保存为 { 维度名: 1-5 }
+import { escapeHtml } from "./ui.mjs";
+
+export const SCORE_LEVELS = [1, 2, 3, 4, 5];
+const SCORE_COLORS = { 1: "#f54a45", 2: "#ff7d00", 3: "#8f959e", 4: "#3370ff", 5: "#34c724" };
+
+export function allScorecards(d) {
+  return d.scorecardTemplates || [];
+}
+
+export function getScorecard(d, id) {
+  return id ? allScorecards(d).find(t => t.id === id) || null : null;
+}
+
+// 岗位指定的模板优先，其次按职位分类匹配；都没有时返回 null（面评不显示评分卡）
+export function getJobScorecard(d, jobOrId) {
+  const job = typeof jobOrId === "string" ? d.jobs.find(j => j.id === jobOrId) : jobOrId;
+  if (!job) return null;
+  return getScorecard(d, job.scorecardTemplateId) || (job.category ? allScorecards(d).find(t => (t.categories || []).includes(job.category)) || null : null);
+}
+
+export function roundCompetencies(tpl, round) {
+  if (!tpl) return [];
+  return tpl.competencies.filter(c => !c.rounds?.length || c.rounds.includes(Number(round)));
+}
+
+export function competencyQuestions(comp, round) {
+  return [...(comp.questions?.["0"] || []), ...(round ? comp.questions?.[String(round)] || [] : [])];
+}
+
+// 文本格式：
+//   # 维度名
+//   1 = 锚点描述 ... 5 = 锚点描述
+//   轮次 = 1,2        （可选，默认所有轮次）
+//   问题 = 通用问题    / 问题2 = 仅第2轮的问题
+export function parseScorecardInput(body, existing) {
+  const name = String(body.name || "").trim();
+  if (!name) return { error: "模板名称不能为空" };
+  const categories = [...new Set(String(body.categories || "").split(/[,，、\n]/).map(x => x.trim()).filter(Boolean))];
+  const competencies = [];
+  let cur = null;
+  for (const line of String(body.competencies || "").split(/\n/).map(x => x.trim()).filter(Boolean)) {
+    if (line.startsWith("#")) {
+      const cn = line.replace(/^#+/, "").trim();
+      if (!cn) return { error: "维度名称不能为空" };
+      if (competencies.some(c => c.name === cn)) return { error: "评分维度名称不能重复：" + cn };
+      cur = { name: cn, anchors: ["", "", "", "", ""], rounds: [], questions: {} };
+      competencies.push(cur);
+      continue;
+    }
+    if (!cur) return { error: "请先用「# 维度名」开始一个评分维度：" + line };
+    const m = line.match(/^(.+?)\s*[=＝]\s*(.*)$/);
+    if (!m) return { error: "评分卡格式错误：" + line };
+    const key = m[1].trim();
+    const val = m[2].trim();
+    if (/^[1-5]$/.test(key)) {
+      cur.anchors[Number(key) - 1] = val;
+    } else if (key === "轮次") {
+      const rounds = val.split(/[,，、\s]+/).filter(Boolean).map(Number);
+      if (rounds.some(r => !Number.isInteger(r) || r < 1 || r > 10)) return { error: "维度「" + cur.name + "」的轮次需为 1-10 的数字" };
+      cur.rounds = [...new Set(rounds)].sort((a, b) => a - b);
+    } else {
+      const qm = key.match(/^问题(\d*)$/);
+      if (!qm) return { error: "无法识别的配置：" + line };
+      if (!val) continue;
+      const r = qm[1] || "0";
+      (cur.questions[r] = cur.questions[r] || []).push(val);
+    }
+  }
+  if (!competencies.length) return { error: "至少需要一个评分维度" };
+  return { template: { id: existing?.id || "", name, categories, competencies } };
+}
+
+export function scorecardToInput(tpl) {
+  const lines = [];
+  for (const c of tpl.competencies) {
+    lines.push("# " + c.name);
+    c.anchors.forEach((a, i) => { if (a) lines.push((i + 1) + " = " + a); });
+    if (c.rounds?.length) lines.push("轮次 = " + c.rounds.join(","));
+    for (const [r, qs] of Object.entries(c.questions || {})) {
+      for (const q of qs) lines.push("问题" + (r === "0" ? "" : r) + " = " + q);
+    }
+  }
+  return { name: tpl.name, categories: (tpl.categories || []).join(", "), competencies: lines.join("\n") };
+}
+
+// 校验面评提交的维度分数；requireAll 时本轮所有维度都必须打分
+export function parseDimensionScores(tpl, round, raw, { requireAll = false } = {}) {
+  const comps = roundCompetencies(tpl, round);
+  if (!comps.length) return { dimensions: {} };
+  const src = raw && typeof raw === "object" && !Array.isArray(raw) ? raw : {};
+  const names = new Set(comps.map(c => c.name));
+  const dimensions = {};
+  for (const [k, v] of Object.entries(src)) {
+    if (v === "" || v === null || v === undefined) continue;
+    if (!names.has(k)) return { error: "评分维度不存在：" + k };
+    const score = Number(v);
+    if (!SCORE_LEVELS.includes(score)) return { error: "「" + k + "」的评分需为 1-5 分" };
+    dimensions[k] = score;
+  }
+  const missing = comps.filter(c => !dimensions[c.name]).map(c => c.name);
+  if (requireAll && missing.length) return { error: "请为以下维度打分：" + missing.join("、") };
+  return { dimensions };
+}
+
+export function formatDimensionScores(dims) {
+  return Object.entries(dims || {}).map(([k, v]) => k + " " + v + "分").join(" / ");
+}
+
+// ===== 页面片段 =====
+
+// 评分卡表单；round 为空时渲染全部维度，并按 data-rounds 由前端 toggleScorecardRound 切换
+export function scorecardFieldsHtml(tpl, { round = 0, values = {} } = {}) {
+  const comps = round ? roundCompetencies(tpl, round) : tpl?.competencies || [];
+  if (!comps.length) return "";
+  const items = comps.map((c, i) => {
+    const qs = round
+      ? competencyQuestions(c, round).map(q => '<li>' + escapeHtml(q) + '</li>').join("")
+      : Object.entries(c.questions || {}).flatMap(([r, list]) => list.map(q => '<li data-q-round="' + escapeHtml(r) + '">' + escapeHtml(q) + '</li>')).join("");
+    const opts = SCORE_LEVELS.map(s =>
+      '<label style="flex:1;min-width:90px;border:1px solid #eef0f3;border-radius:10px;padding:6px 8px;cursor:pointer;font-size:12px">' +
+        '<input type="radio" name="scd-' + i + '" value="' + s + '"' + (values[c.name] === s ? " checked" : "") + ' style="width:auto;margin:0 4px 0 0" />' +
+        '<b style="color:' + SCORE_COLORS[s] + '">' + s + '</b>' +
+        (c.anchors[s - 1] ? '<div class="muted" style="margin-top:2px">' + escapeHtml(c.anchors[s - 1]) + '</div>' : '') +
+      '</label>'
+    ).join("");
+    return '<div class="sc-dim" data-dim="' + escapeHtml(c.name) + '" data-rounds="' + (c.rounds || []).join(",") + '" style="margin-bottom:12px">' +
+      '<div style="font-weight:700;margin-bottom:4px">' + escapeHtml(c.name) + '</div>' +
+      (qs ? '<ul class="muted" style="margin:0 0 6px 18px;padding:0;font-size:12px">' + qs + '</ul>' : '') +
+      '<div class="row" style="gap:6px;flex-wrap:wrap;align-items:stretch">' + opts + '</div>' +
+    '</div>';
+  }).join("");
+  return '<div id="scorecardFields"><div class="row" style="margin-bottom:8px"><b>评分卡 · ' + escapeHtml(tpl.name) + '</b><span class="muted" style="font-size:12px">1=明显不足 3=符合要求 5=远超预期</span></div>' + items + '</div>';
+}
+
+// collectScorecard 返回当前可见维度的分数及未打分维度；setScorecard 回填；toggleScorecardRound 按轮次显示维度和问题
+export function scorecardScript() {
+  return '<script>' +
+    'function collectScorecard(){var scores={},missing=[];document.querySelectorAll(".sc-dim").forEach(function(el){if(el.style.display==="none")return;var v=el.querySelector("input[type=radio]:checked");if(v)scores[el.dataset.dim]=Number(v.value);else missing.push(el.dataset.dim)});return{scores:scores,missing:missing}}' +
+    'function setScorecard(scores){scores=scores||{};document.querySelectorAll(".sc-dim").forEach(function(el){var s=scores[el.dataset.dim];el.querySelectorAll("input[type=radio]").forEach(function(r){r.checked=Number(r.value)===s})})}' +
+    'function toggleScorecardRound(round){var box=document.getElementById("scorecardFields");if(!box)return;var any=false;round=String(round);box.querySelectorAll(".sc-dim").forEach(function(el){var rs=el.dataset.rounds?el.dataset.rounds.split(","):[];var on=!rs.length||rs.indexOf(round)>-1;el.style.display=on?"":"none";if(on)any=true;el.querySelectorAll("[data-q-round]").forEach(function(q){q.style.display=q.dataset.qRound==="0"||q.dataset.qRound===round?"":"none"})});box.style.display=any?"":"none"}' +
+    '</script>';
+}
+
+export function scoreBadges(dims) {
+  return Object.entries(dims || {}).map(([k, v]) =>
+    '<span class="pill" style="font-size:12px"><span class="muted">' + escapeHtml(k) + '</span><b style="color:' + (SCORE_COLORS[v] || "#8f959e") + '">' + escapeHtml(v) + '</b></span>'
+  ).join("");
+}
+
+// 面试官评分横向对比：行为维度（模板顺序，模板外的历史维度排在后面），列为每条带评分的面评
+export function scorecardCompareHtml(tpl, reviews, roundLabel) {
+  const scored = reviews.filter(r => r.dimensions && Object.keys(r.dimensions).length)
+    .sort((a, b) => a.round - b.round || (a.interviewer || "").localeCompare(b.interviewer || ""));
+  if (!scored.length) return "";
+  const names = (tpl?.competencies || []).map(c => c.name);
+  for (const r of scored) for (const k of Object.keys(r.dimensions)) if (!names.includes(k)) names.push(k);
+  const rows = names.filter(n => scored.some(r => r.dimensions[n])).map(n => {
+    const vals = scored.map(r => r.dimensions[n] || 0);
+    const got = vals.filter(Boolean);
+    const avg = got.reduce((s, v) => s + v, 0) / got.length;
+    const spread = Math.max(...got) - Math.min(...got);
+    return '<tr><td><b>' + escapeHtml(n) + '</b></td>' +
+      vals.map(v => '<td style="text-align:center">' + (v ? '<b style="color:' + SCORE_COLORS[v] + '">' + v + '</b>' : '<span class="muted">-</span>') + '</td>').join("") +
+      '<td style="text-align:center"><b>' + avg.toFixed(1) + '</b>' + (spread >= 2 ? ' <span class="badge status-red" style="font-size:11px" title="面试官评分差异较大">分歧</span>' : '') + '</td></tr>';
+  }).join("");
+  const head = scored.map(r => '<th style="text-align:center">' + escapeHtml(roundLabel(r.round)) + '<div class="muted" style="font-weight:400;font-size:12px">' + escapeHtml(r.interviewer || "-") + '</div></th>').join("");
+  const ratingRow = '<tr><td class="muted">综合评级</td>' + scored.map(r => '<td style="text-align:center">' + escapeHtml(r.rating || "-") + '</td>').join("") + '<td></td></tr>';
+  return '<div class="card compact" style="padding:14px;border-radius:14px;margin-bottom:12px;overflow-x:auto"><div style="font-weight:900;margin-bottom:8px">评分对比</div>' +
+    '<table><thead><tr><th>维度</th>' + head + '<th style="text-align:center">平均</th></tr></thead><tbody>' + rows + ratingRow + '</tbody></table></div>';
+}
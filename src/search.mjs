@@ -0,0 +1,160 @@
+// ====== 全文检索 ======
+// 覆盖：候选人基本信息、简历全文、备注、面评（Pros/Cons/下轮关注点）、动态消息
+// 索引基于 loadData() 的内存数据，本地 data.json 和 Supabase 两种存储方式通用。
+// 倒排索引按二元字符切分（兼容中文无空格分词），命中后再做子串校验，避免误报。
+import { escapeHtml } from "./ui.mjs";
+
+const INDEX_TTL_MS = 10 * 60 * 1000;
+let _index = null;
+
+function norm(text) {
+  return String(text || "").toLowerCase();
+}
+
+function bigrams(text) {
+  const s = norm(text).replace(/\s+/g, " ");
+  const set = new Set();
+  for (let i = 0; i < s.length - 1; i++) {
+    const g = s.slice(i, i + 2);
+    if (g.trim().length === 2) set.add(g);
+  }
+  return set;
+}
+
+// 数据签名：数量 + 最新动态 + 各类记录的最近修改时间。
+// 编辑候选人 / 备注 / 面评不一定产生动态或改变数量，只看数量会让索引停留在旧内容上；
+// 签名只依赖数据本身，多实例（Vercel）下各自的索引也能及时失效
+function latestStamp(list, ...keys) {
+  let max = "";
+  for (const x of list || []) {
+    for (const k of keys) if (x[k] && x[k] > max) max = x[k];
+  }
+  return max;
+}
+
+function dataSignature(d) {
+  return [
+    d.candidates.length, d.resumeFiles.length, (d.notes || []).length,
+    d.interviews.length, d.events.length, d.events[0]?.id || "",
+    latestStamp(d.candidates, "updatedAt"), latestStamp(d.resumeFiles, "uploadedAt"),
+    latestStamp(d.notes, "editedAt", "createdAt"), latestStamp(d.interviews, "updatedAt", "createdAt"),
+  ].join("|");
+}
+
+function collectDocs(d) {
+  const docs = [];
+  for (const c of d.candidates) {
+    const text = [c.name, c.phone, c.email, c.note, c.source, (c.tags || []).join(" ")].filter(Boolean).join(" ");
+    if (text) docs.push({ candidateId: c.id, kind: "基本信息", text, at: c.updatedAt || c.createdAt || "" });
+  }
+  for (const r of d.resumeFiles) {
+    if (r.text) docs.push({ candidateId: r.candidateId, kind: "简历", text: r.text, at: r.uploadedAt || "" });
+  }
+  for (const n of d.notes || []) {
+    if (n.content) docs.push({ candidateId: n.candidateId, kind: "备注", text: n.content, at: n.createdAt || "", visibility: n.visibility, authorId: n.authorId, mentionedUserIds: n.mentionedUserIds || [] });
+  }
+  for (const rv of d.interviews) {
+    const parts = [
+      rv.pros ? "Pros：" + rv.pros : "",
+      rv.cons ? "Cons：" + rv.cons : "",
+      rv.focusNext ? "下轮关注：" + rv.focusNext : "",
+    ].filter(Boolean);
+    if (parts.length) docs.push({ candidateId: rv.candidateId, kind: "第" + (rv.round || "-") + "轮面评", text: parts.join("\n"), at: rv.updatedAt || rv.createdAt || "" });
+  }
+  for (const e of d.events) {
+    if (e.message) docs.push({ candidateId: e.candidateId, kind: "动态", text: e.message, at: e.createdAt || "" });
+  }
+  return docs;
+}
+
+export function getSearchIndex(d) {
+  const sig = dataSignature(d);
+  if (_index && _index.sig === sig && Date.now() - _index.builtAt < INDEX_TTL_MS) return _index;
+  const docs = collectDocs(d);
+  const postings = new Map();
+  docs.forEach((doc, i) => {
+    doc.lower = norm(doc.text);
+    for (const g of bigrams(doc.text)) {
+      let list = postings.get(g);
+      if (!list) { list = []; postings.set(g, list); }
+      list.push(i);
+    }
+  });
+  _index = { sig, builtAt: Date.now(), docs, postings };
+  return _index;
+}
+
+// 候选文档：取各二元组倒排表的交集；单字查询退化为全量扫描
+function candidateDocIds(index, term) {
+  const grams = Array.from(bigrams(term));
+  if (!grams.length) return index.docs.map((_, i) => i);
+  const lists = grams.map(g => index.postings.get(g) || []).sort((a, b) => a.length - b.length);
+  let ids = new Set(lists[0]);
+  for (const list of lists.slice(1)) {
+    const next = new Set(list);
+    ids = new Set(Array.from(ids).filter(i => next.has(i)));
+    if (!ids.size) break;
+  }
+  return Array.from(ids);
+}
+
+// 截取命中位置前后的片段并高亮所有查询词
+export function highlightSnippet(text, terms, radius = 40) {
+  const src = String(text || "").replace(/\s+/g, " ");
+  const lower = src.toLowerCase();
+  let pos = -1;
+  for (const t of terms) {
+    pos = lower.indexOf(t);
+    if (pos >= 0) break;
+  }
+  if (pos < 0) pos = 0;
+  const start = Math.max(0, pos - radius);
+  const end = Math.min(src.length, pos + radius * 2);
+  const piece = src.slice(start, end);
+  const pattern = new RegExp("(" + terms.map(t => t.replace(/[.*+?^${}()|[\]\\]/g, "\\$&")).join("|") + ")", "gi");
+  const html = piece.split(pattern).map((part, i) => i % 2 ? "<mark>" + escapeHtml(part) + "</mark>" : escapeHtml(part)).join("");
+  return (start > 0 ? "…" : "") + html + (end < src.length ? "…" : "");
+}
+
+// 返回 Map(candidateId -> [{ kind, at, snippetHtml }])；多个关键词需在同一候选人的资料中全部出现
+export function searchCandidates(d, q, { user, visibleJobIds = null, maxSnippets = 3 } = {}) {
+  const terms = Array.from(new Set(norm(q).split(/\s+/).filter(Boolean)));
+  const result = new Map();
+  if (!terms.length) return result;
+
+  const index = getSearchIndex(d);
+  const candJob = new Map(d.candidates.map(c => [c.id, c.jobId]));
+  const me = user ? (user.openId || user.id) : "";
+  const canSee = (doc) => {
+    if (!candJob.has(doc.candidateId)) return false;
+    if (visibleJobIds !== null && !visibleJobIds.has(candJob.get(doc.candidateId))) return false;
+    if (doc.visibility === "private" && doc.authorId !== me && !doc.mentionedUserIds.includes(me)) return false;
+    return true;
+  };
+
+  // 每个关键词命中的候选人 -> 文档
+  const perTerm = terms.map(term => {
+    const hits = new Map();
+    for (const i of candidateDocIds(index, term)) {
+      const doc = index.docs[i];
+      if (!doc.lower.includes(term) || !canSee(doc)) continue;
+      if (!hits.has(doc.candidateId)) hits.set(doc.candidateId, []);
+      hits.get(doc.candidateId).push(doc);
+    }
+    return hits;
+  });
+
+  for (const [candidateId] of perTerm[0]) {
+    if (!perTerm.every(h => h.has(candidateId))) continue;
+    const docs = Array.from(new Set(perTerm.flatMap(h => h.get(candidateId))));
+    // 简历和面评优先展示，其次备注，最后动态
+    const rank = (doc) => doc.kind === "简历" ? 0 : doc.kind.endsWith("面评") ? 1 : doc.kind === "备注" ? 2 : doc.kind === "基本信息" ? 3 : 4;
+    docs.sort((a, b) => rank(a) - rank(b) || String(b.at).localeCompare(String(a.at)));
+    result.set(candidateId, docs.slice(0, maxSnippets).map(doc => ({
+      kind: doc.kind,
+      at: doc.at,
+      snippetHtml: highlightSnippet(doc.text, terms),
+    })));
+  }
+  return result;
+}
@@ -1,7 +1,9 @@
 import { Router } from "express";
 import { requireLogin, requireAdmin } from "../auth.mjs";
-import { loadData, saveData, nowIso, rid } from "../db.mjs";
+import { loadData, saveData, nowIso, rid, loadTaskStates } from "../db.mjs";
 import { findDuplicate, pushEvent, notifyHrNewCandidate, saveResumeSupabaseOrLocal } from "../helpers.mjs";
+import { stampJobVersion } from "../jobVersions.mjs";
+import { runTask } from "./runner.mjs";
 
 const router = Router();
 
@@ -48,12 +50,17 @@ function matchLocalJob(jobs, careersTitle) {
   return null;
 }
 
-let _careersSyncRunning = false;
+// 最近一次同步的明细（仅当前实例），设置页展示用；是否在运行、运行记录见后台任务状态
 let _lastCareersSyncResult = null;
 
-async function syncCareersApplications() {
-  if (_careersSyncRunning) { console.log("[CareersSync] 已在运行中，跳过"); return { skipped: true }; }
-  _careersSyncRunning = true;
+// 定时 / cron 触发的自动同步默认开启；全部改用系统自带招聘页（/careers）后可设置 CAREERS_SYNC_ENABLED=0 关闭，
+// 部署在 Vercel 时同时去掉 vercel.json 中的 careers-sync 定时任务。设置页的手动同步不受影响
+export function careersAutoSyncEnabled() {
+  return process.env.CAREERS_SYNC_ENABLED !== "0";
+}
+
+async function syncCareersApplications({ trigger = "schedule" } = {}) {
+  if (trigger !== "manual" && !careersAutoSyncEnabled()) return "官网投递自动同步已关闭（CAREERS_SYNC_ENABLED=0），跳过";
   const result = { synced: 0, skipped: 0, errors: 0, total: 0, details: [], startedAt: nowIso() };
   try {
     console.log("[CareersSync] 开始同步官网投递...");
@@ -194,6 +201,7 @@ async function syncCareersApplications() {
         createdAt: app.applied_at || nowIso(),
         updatedAt: nowIso(),
       };
+      stampJobVersion(d, c);
       d.candidates.unshift(c);
 
       pushEvent(d, {
@@ -253,6 +261,7 @@ async function syncCareersApplications() {
 
     result.newJobs = autoCreatedJobs.size;
     result.finishedAt = nowIso();
+    result.summary = "拉取 " + result.total + " 条，新增 " + result.synced + " 人，跳过 " + result.skipped + " 人" + (result.errors ? "，异常 " + result.errors + " 条" : "");
     _lastCareersSyncResult = result;
     return result;
   } catch (e) {
@@ -260,25 +269,21 @@ async function syncCareersApplications() {
     result.error = e.message;
     result.finishedAt = nowIso();
     _lastCareersSyncResult = result;
-    return result;
-  } finally {
-    _careersSyncRunning = false;
+    throw e;
   }
 }
 
 // 手动触发同步
 router.post("/api/careers/sync", requireLogin, requireAdmin, async (req, res) => {
-  try {
-    const result = await syncCareersApplications();
-    res.json({ ok: true, result });
-  } catch (e) {
-    res.status(500).json({ error: e.message });
-  }
+  const run = await runTask("careers-sync", { trigger: "manual", actor: req.user?.name || "" });
+  if (run.status === "skipped") return res.status(409).json({ error: "同步正在进行中，请稍后再试" });
+  res.json({ ok: true, result: _lastCareersSyncResult });
 });
 
-// 查询同步状态
+// 查询同步状态；其他实例执行的同步没有明细，只返回后台任务的最近运行记录
 router.get("/api/careers/sync-status", requireLogin, async (req, res) => {
-  res.json({ running: _careersSyncRunning, lastResult: _lastCareersSyncResult });
+  const st = (await loadTaskStates())["careers-sync"] || {};
+  res.json({ running: !!st.leaseUntil && st.leaseUntil > nowIso(), lastResult: _lastCareersSyncResult, lastRun: st.lastRun || null });
 });
 
 // ====== Webhook：官网新投递实时接收 ======
@@ -375,6 +380,7 @@ router.post("/api/careers/webhook", async (req, res) => {
       createdAt: app_data.applied_at || nowIso(),
       updatedAt: nowIso(),
     };
+    stampJobVersion(d, candidate);
     d.candidates.unshift(candidate);
 
     pushEvent(d, {
@@ -0,0 +1,90 @@
+import { loadData, saveData, nowIso } from "../db.mjs";
+import { feishuEnabled } from "../feishu.mjs";
+import { bjToday } from "../onboarding.mjs";
+import { jobOwners, notify } from "../notify.mjs";
+import { followupSettings, overdueFollowups, slaBreaches, refreshSlaFlags } from "../followup.mjs";
+
+// 每条消息每类最多列出的候选人数，其余在系统里看
+const DIGEST_LIMIT = 20;
+
+function digestContent(followups, breaches) {
+  const section = (title, list, line) => list.length
+    ? `**${title}（${list.length}）**\n` + list.slice(0, DIGEST_LIMIT).map(line).join("\n") + (list.length > DIGEST_LIMIT ? `\n…另有 ${list.length - DIGEST_LIMIT} 位` : "")
+    : "";
+  return [
+    section("逾期跟进", followups, ({ c, followAt, days }) => `- **${c.name}** · ${c.jobTitle || "-"} · ${c.follow.nextAction || "待联系"} · ${followAt}（逾期 ${days} 天）`),
+    section("状态停留超时", breaches, ({ c, status, days, limit }) => `- **${c.name}** · ${c.jobTitle || "-"} · 「${status}」已停留 ${days} 天（SLA ${limit} 天）`),
+  ].filter(Boolean).join("\n\n");
+}
+
+// 逾期跟进汇总：每次运行刷新候选人的 SLA 标记；每天到点后按岗位负责人合并发送一次汇总（无负责人的岗位发给管理员），
+// 逾期 / 超出 SLA 达到升级天数的另汇总一条升级提醒。两者都经过通知规则（followup_digest / followup_escalation），
+// 接收人、停发与发送记录由规则和通知日志管理
+async function checkFollowupDigest() {
+  try {
+    const d = await loadData();
+    const { flagged, changed } = refreshSlaFlags(d);
+    if (flagged.length) console.log(`[FollowupDigest] 新增 ${flagged.length} 位停留超时候选人`);
+    const settings = followupSettings(d);
+    const today = bjToday();
+    if (!feishuEnabled() || Number(nowIso().slice(11, 13)) < settings.digestHour || settings.lastDigestOn === today) {
+      if (changed) await saveData(d);
+      const reason = !feishuEnabled() ? "未配置飞书" : settings.lastDigestOn === today ? "今日汇总已发送" : "未到汇总发送时间";
+      return `停留超时 ${d.candidates.filter(c => c.slaFlag).length} 位（新增 ${flagged.length} 位），${reason}`;
+    }
+
+    const followups = overdueFollowups(d);
+    const breaches = slaBreaches(d);
+    const admins = d.users.filter(u => u.role === "admin" && u.openId).map(u => ({ name: u.name, openId: u.openId }));
+    const jobMap = new Map(d.jobs.map(j => [j.id, j]));
+    const byOwner = new Map();
+    const add = (kind, item) => {
+      const owners = jobOwners(jobMap.get(item.c.jobId));
+      for (const o of owners.length ? owners : admins) {
+        if (!byOwner.has(o.openId)) byOwner.set(o.openId, { name: o.name, followups: [], breaches: [] });
+        byOwner.get(o.openId)[kind].push(item);
+      }
+    };
+    for (const x of followups) add("followups", x);
+    for (const x of breaches) add("breaches", x);
+
+    // 先记下今天已发送，避免多实例或发送中途失败时重复推送
+    d.followupSettings = { ...settings, lastDigestOn: today };
+    await saveData(d);
+
+    const baseUrl = process.env.BASE_URL || "https://recruit-platform-sable.vercel.app";
+    const actions = [{ tag: "action", actions: [{ tag: "button", text: { tag: "plain_text", content: "查看招聘概览" }, url: baseUrl + "/?lk_jump_to_browser=true", type: "primary" }] }];
+    let sent = 0;
+    for (const [openId, x] of byOwner) {
+      const digest = digestContent(x.followups, x.breaches);
+      const r = await notify(d, "followup_digest", {
+        owners: [{ name: x.name, openId }],
+        title: "每日跟进汇总",
+        content: `你负责的岗位有以下候选人需要跟进：\n\n${digest}`,
+        vars: { "逾期跟进数": x.followups.length, "停留超时数": x.breaches.length, "汇总": digest },
+        buttons: actions,
+      });
+      sent += r.length;
+    }
+
+    const escFollowups = followups.filter(x => x.days >= settings.escalateDays);
+    const escBreaches = breaches.filter(x => x.days - x.limit >= settings.escalateDays);
+    if (escFollowups.length || escBreaches.length) {
+      const digest = digestContent(escFollowups, escBreaches);
+      await notify(d, "followup_escalation", {
+        title: "跟进逾期升级提醒",
+        content: `以下候选人逾期或超出 SLA 已达 ${settings.escalateDays} 天，请关注：\n\n${digest}`,
+        vars: { "升级天数": settings.escalateDays, "逾期跟进数": escFollowups.length, "停留超时数": escBreaches.length, "汇总": digest },
+        buttons: actions,
+      });
+    }
+    const summary = `逾期跟进 ${followups.length} 位、停留超时 ${breaches.length} 位，已发送汇总 ${sent} 人，升级 ${escFollowups.length + escBreaches.length} 位`;
+    console.log("[FollowupDigest] " + summary);
+    return summary;
+  } catch (e) {
+    console.error("[FollowupDigest] 检查失败:", e.message);
+    throw e;
+  }
+}
+
+export { checkFollowupDigest };
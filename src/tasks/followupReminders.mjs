@@ -0,0 +1,47 @@
+import { loadData, saveData, nowIso } from "../db.mjs";
+import { templateResolver } from "../pipeline.mjs";
+import { bjToday, addDays } from "../onboarding.mjs";
+import { notify } from "../notify.mjs";
+
+// 只提醒最近几天内到期的跟进，避免上线后把历史逾期记录一次性推给负责人
+const FOLLOWUP_WINDOW_DAYS = 3;
+const CLOSED_STAGES = new Set(["offer_rejected", "hired", "rejected"]);
+
+// 跟进到期提醒：候选人的跟进时间到了之后按「跟进到期」规则通知，每个跟进时间只提醒一次
+async function checkFollowupReminders() {
+  try {
+    const d = await loadData();
+    const now = nowIso().slice(0, 16);
+    const since = addDays(bjToday(), -FOLLOWUP_WINDOW_DAYS);
+    const resolve = templateResolver(d);
+    const due = d.candidates.filter(c => {
+      const f = c.follow || {};
+      const at = String(f.followAt || "").trim().replace(" ", "T");
+      if (!/^\d{4}-\d{2}-\d{2}/.test(at) || f.remindedFor === f.followAt) return false;
+      if (at.slice(0, 10) < since || at.slice(0, 16) > now) return false;
+      if (f.nextAction === "已结束") return false;
+      return !CLOSED_STAGES.has(resolve(c.jobId).stageOf(c.status));
+    });
+    if (!due.length) return "无到期跟进";
+
+    for (const c of due) c.follow.remindedFor = c.follow.followAt;
+    await saveData(d);
+
+    for (const c of due) {
+      const f = c.follow;
+      await notify(d, "followup_due", {
+        candidate: c,
+        title: "跟进到期提醒",
+        content: `**候选人**：${c.name}\n**职位**：${c.jobTitle || "-"}\n**下一步**：${f.nextAction || "-"}\n**跟进时间**：${f.followAt}` + (f.note ? `\n**备注**：${f.note}` : ""),
+        vars: { "下一步": f.nextAction || "-", "跟进时间": f.followAt, "跟进备注": f.note || "" },
+      }).catch(() => {});
+    }
+    console.log(`[FollowupReminder] ${due.length} 位候选人跟进到期`);
+    return `${due.length} 位候选人跟进到期，已通知`;
+  } catch (e) {
+    console.error("[FollowupReminder] 检查失败:", e.message);
+    throw e;
+  }
+}
+
+export { checkFollowupReminders };
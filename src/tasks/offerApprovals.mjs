@@ -0,0 +1,36 @@
+import { loadData, saveData } from "../db.mjs";
+import { feishuEnabled, sendFeishuMessage } from "../feishu.mjs";
+import { pushEvent } from "../helpers.mjs";
+import { feishuApprovalCode, syncFeishuApproval, offerSummary } from "../offer.mjs";
+
+// 同步审批中的飞书 Offer 审批单，审批结束后通知发起人
+async function syncOfferApprovals() {
+  try {
+    if (!feishuApprovalCode()) return "未配置 FEISHU_APPROVAL_CODE，跳过";
+    const d = await loadData();
+    let changed = false, finished = 0;
+    for (const v of d.offerVersions.filter(x => x.approvalStatus === "审批中" && x.approvalInstanceCode)) {
+      const offer = d.offers.find(o => o.id === v.offerId);
+      const c = d.candidates.find(x => x.id === v.candidateId);
+      if (!offer || !c) continue;
+      const r = await syncFeishuApproval(offer, v);
+      if (!r.changed) continue;
+      changed = true;
+      if (!r.result) continue;
+      finished++;
+      pushEvent(d, { candidateId: c.id, type: "Offer审批", message: "飞书审批结果：Offer v" + v.version + " " + r.result, actor: "系统" });
+      const submitter = d.users.find(u => u.name === v.submittedBy && u.openId);
+      if (feishuEnabled() && submitter) {
+        await sendFeishuMessage(submitter.openId, `**候选人**：${c.name}\n**Offer**：v${v.version} ${offerSummary(v)}\n**审批结果**：${r.result}`, "Offer 审批" + r.result).catch(() => {});
+      }
+      console.log("[OfferApproval] " + c.name + " Offer v" + v.version + " -> " + r.result);
+    }
+    if (changed) await saveData(d);
+    return finished ? `${finished} 个审批单已结束` : "无审批结果更新";
+  } catch (e) {
+    console.error("[OfferApproval] 同步失败:", e.message);
+    throw e;
+  }
+}
+
+export { syncOfferApprovals };
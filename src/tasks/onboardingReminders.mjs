@@ -0,0 +1,44 @@
+import { loadData, saveData } from "../db.mjs";
+import { feishuEnabled, sendFeishuMessage } from "../feishu.mjs";
+import { bjToday, isItemOverdue } from "../onboarding.mjs";
+
+// 入职事项逾期提醒：每个逾期事项每天最多提醒负责人一次，同一负责人的多个事项合并为一条消息
+async function checkOnboardingReminders() {
+  try {
+    if (!feishuEnabled()) return "未配置飞书，跳过";
+    const d = await loadData();
+    const today = bjToday();
+    const baseUrl = process.env.BASE_URL || "https://recruit-platform-sable.vercel.app";
+    const byOwner = new Map();
+    for (const ob of d.onboardings.filter(x => x.status === "进行中")) {
+      const c = d.candidates.find(x => x.id === ob.candidateId);
+      if (!c) continue;
+      for (const it of ob.items) {
+        if (!isItemOverdue(it, today) || !it.ownerOpenId || it.remindedOn === today) continue;
+        if (!byOwner.has(it.ownerOpenId)) byOwner.set(it.ownerOpenId, []);
+        byOwner.get(it.ownerOpenId).push({ ob, c, it });
+      }
+    }
+    if (!byOwner.size) return "无逾期事项";
+
+    let changed = false, sent = 0;
+    for (const [openId, list] of byOwner) {
+      const lines = list.map(({ c, it }) => `- **${c.name}**：${it.title}（截止 ${it.dueDate}）`).join("\n");
+      const url = list.length === 1 ? `${baseUrl}/onboarding/${list[0].ob.id}` : `${baseUrl}/onboarding?mine=1`;
+      const actions = [{ tag: "action", actions: [{ tag: "button", text: { tag: "plain_text", content: "查看入职事项" }, url: url + (url.includes("?") ? "&" : "?") + "lk_jump_to_browser=true", type: "primary" }] }];
+      const r = await sendFeishuMessage(openId, `以下入职准备事项已逾期，请尽快处理：\n\n${lines}`, "入职事项逾期提醒", actions).catch(() => null);
+      if (r?.code !== 0) continue;
+      for (const { it } of list) it.remindedOn = today;
+      changed = true;
+      sent++;
+      console.log(`[OnboardingReminder] 已提醒 ${list[0].it.owner}(${openId}) ${list.length} 个逾期事项`);
+    }
+    if (changed) await saveData(d);
+    return `已提醒 ${sent}/${byOwner.size} 位负责人`;
+  } catch (e) {
+    console.error("[OnboardingReminder] 检查失败:", e.message);
+    throw e;
+  }
+}
+
+export { checkOnboardingReminders };
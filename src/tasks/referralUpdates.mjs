@@ -0,0 +1,36 @@
+import { loadData, saveData } from "../db.mjs";
+import { feishuEnabled } from "../feishu.mjs";
+import { isReferral, referralStage, referralBonus, referralUpdateMessage, notifyReferrer } from "../referral.mjs";
+
+// 内推进展通知：候选人进入面试、Offer、入职或流程结束，以及奖金满足发放条件时通知推荐人。
+// 早期内推候选人没有通知记录，首次运行时只记下当前进展，不补发历史通知
+async function checkReferralUpdates() {
+  try {
+    if (!feishuEnabled()) return "未配置飞书，跳过";
+    const d = await loadData();
+    const baseUrl = process.env.BASE_URL || "https://recruit-platform-sable.vercel.app";
+    let changed = false, sent = 0, pending = 0;
+    for (const c of d.candidates.filter(isReferral)) {
+      if (!c.referral?.notifiedStage) {
+        c.referral = { ...(c.referral || {}), notifiedStage: referralStage(c), notifiedBonus: referralBonus(d, c)?.status || "" };
+        changed = true;
+        continue;
+      }
+      const m = referralUpdateMessage(d, c);
+      if (!m) continue;
+      pending++;
+      if (!(await notifyReferrer(d, c, "内推进展更新", m.text, baseUrl))) continue;
+      c.referral = { ...c.referral, notifiedStage: m.stage, notifiedBonus: m.bonus || c.referral.notifiedBonus || "" };
+      changed = true;
+      sent++;
+      console.log(`[ReferralUpdate] 已通知 ${c.referrer} 候选人 ${c.name} 进展：${m.stage}`);
+    }
+    if (changed) await saveData(d);
+    return pending ? `已通知 ${sent}/${pending} 条内推进展` : "无内推进展变化";
+  } catch (e) {
+    console.error("[ReferralUpdate] 检查失败:", e.message);
+    throw e;
+  }
+}
+
+export { checkReferralUpdates };
@@ -1,12 +1,14 @@
 import { loadData, saveData } from "../db.mjs";
-import { feishuEnabled, sendFeishuMessage, createFeishuTask } from "../feishu.mjs";
+import { feishuEnabled, createFeishuTask } from "../feishu.mjs";
+import { notify } from "../notify.mjs";
 
 async function checkReviewReminders() {
   try {
-    if (!feishuEnabled()) return;
+    if (!feishuEnabled()) return "未配置飞书，跳过";
     const d = await loadData();
     const now = Date.now();
     let changed = false;
+    let reminded = 0;
 
     // 预构建索引，避免 N+1 线性扫描
     const reviewSet = new Set((d.interviews || []).filter(rv => rv.rating).map(rv => rv.candidateId + ":" + rv.round));
@@ -101,7 +103,14 @@ async function checkReviewReminders() {
         }
         const extraElements = actions.length > 0 ? [{ tag: "action", actions }] : [];
 
-        await sendFeishuMessage(usr.openId, msgContent, "面评提醒", extraElements);
+        await notify(d, "review_reminder", {
+          candidate, job,
+          interviewers: [{ name: usr.name, openId: usr.openId }],
+          title: "面评提醒",
+          content: msgContent,
+          vars: { "轮次": "第" + sc.round + "轮", "面试时间": sc.scheduledAt },
+          buttons: extraElements,
+        }).catch(() => {});
 
         // 创建飞书任务：面试官为负责人，HR为关注人
         const followerIds = hrOpenIds.length > 0 ? hrOpenIds : [];
@@ -123,6 +132,7 @@ async function checkReviewReminders() {
           dueTimestamp: dueTs,
         });
 
+        reminded++;
         console.log(`[ReviewReminder] 已提醒 ${usr.name}(${usr.openId}) 填写面评 - 候选人:${candidate.name} 第${sc.round}轮` +
           (hrOpenIds.length ? ` HR关注人:${hrName}(${hrOpenIds.join(",")})` : ""));
       }
@@ -133,8 +143,10 @@ async function checkReviewReminders() {
     }
 
     if (changed) await saveData(d);
+    return reminded ? `已提醒 ${reminded} 人次填写面评` : "无待提醒的面评";
   } catch (e) {
     console.error("[ReviewReminder] 检查失败:", e.message);
+    throw e;
   }
 }
 
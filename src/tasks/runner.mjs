@@ -0,0 +1,102 @@
+import { nowIso, rid, loadTaskStates, acquireTaskLease, saveTaskState } from "../db.mjs";
+import { checkReviewReminders } from "./reviewReminders.mjs";
+import { syncCareersApplications } from "./careersSync.mjs";
+import { syncOfferApprovals } from "./offerApprovals.mjs";
+import { checkOnboardingReminders } from "./onboardingReminders.mjs";
+import { checkFollowupReminders } from "./followupReminders.mjs";
+import { checkFollowupDigest } from "./followupDigest.mjs";
+import { checkReferralUpdates } from "./referralUpdates.mjs";
+
+// ====== 后台任务调度 ======
+// 任务状态（租约、下次运行时间、连续失败次数、运行记录）存于数据层，本地由 index.mjs 每分钟检查一次到期任务，
+// Vercel 上由 vercel.json 的 crons 按任务分别调用 /api/cron/:task（每次请求只跑一个任务，不会超出函数时长），
+// 其他 serverless 环境也可由外部 cron 调用 /api/cron/due。同一任务同一时间只有拿到租约的实例会运行；
+// 失败后按 1、2、4 … 分钟（最长 60 分钟）退避重试，成功后按任务自身的频率运行。
+// 任务函数接收 { trigger }，出错时抛出异常，正常结束时返回一句结果摘要（或含 summary 的对象）
+
+// 新增任务时同步在 vercel.json 的 crons 中添加 /api/cron/<key>
+export const TASKS = [
+  { key: "review-reminders", name: "面评提醒", intervalMin: 30, run: checkReviewReminders },
+  { key: "onboarding-reminders", name: "入职事项逾期提醒", intervalMin: 30, run: checkOnboardingReminders },
+  { key: "followup-reminders", name: "跟进到期提醒", intervalMin: 30, run: checkFollowupReminders },
+  { key: "followup-digest", name: "逾期跟进汇总与 SLA 标记", intervalMin: 30, run: checkFollowupDigest },
+  { key: "referral-updates", name: "内推进展通知", intervalMin: 30, run: checkReferralUpdates },
+  { key: "careers-sync", name: "官网投递同步", intervalMin: 15, run: syncCareersApplications },
+  { key: "offer-approvals", name: "飞书 Offer 审批同步", intervalMin: 10, run: syncOfferApprovals },
+];
+
+export const TRIGGER_LABELS = { schedule: "定时", cron: "外部 cron", manual: "手动" };
+
+// 租约时长需长于任务的最长运行时间；实例中途退出时，租约过期后其他实例可接手
+const LEASE_MS = 10 * 60 * 1000;
+const HISTORY_MAX = 20;
+const INSTANCE_ID = rid("inst");
+
+export function taskMeta(key) {
+  return TASKS.find(t => t.key === key) || null;
+}
+
+function bjAfter(ms) {
+  return new Date(Date.now() + ms + 8 * 3600000).toISOString().slice(0, 19);
+}
+
+function backoffMs(attempts) {
+  return Math.min(2 ** Math.max(0, attempts - 1), 60) * 60 * 1000;
+}
+
+function resultSummary(result) {
+  if (result === undefined || result === null) return "";
+  if (typeof result === "string") return result;
+  return String(result.summary || JSON.stringify(result)).slice(0, 500);
+}
+
+/**
+ * 运行一个任务
+ * @returns {{ status: "success"|"failed"|"skipped", trigger, actor, startedAt, durationMs, result, error, attempts }}
+ *   skipped 表示其他实例（或本实例的上一次运行）仍持有租约
+ */
+export async function runTask(key, { trigger = "schedule", actor = "" } = {}) {
+  const task = taskMeta(key);
+  if (!task) throw new Error("任务不存在：" + key);
+  const startedAt = nowIso();
+  if (!(await acquireTaskLease(key, INSTANCE_ID, bjAfter(LEASE_MS)))) {
+    return { status: "skipped", trigger, actor, startedAt, durationMs: 0, result: "任务正在其他实例运行，已跳过", error: "", attempts: 0 };
+  }
+  const t0 = Date.now();
+  let status = "success", result = "", error = "";
+  try {
+    result = resultSummary(await task.run({ trigger }));
+  } catch (e) {
+    status = "failed";
+    error = String(e?.message || e);
+  }
+  const prev = (await loadTaskStates())[key] || {};
+  const attempts = status === "failed" ? (prev.attempts || 0) + 1 : 0;
+  const run = { status, trigger, actor, startedAt, durationMs: Date.now() - t0, result, error, attempts };
+  await saveTaskState(key, {
+    leaseOwner: "",
+    leaseUntil: "",
+    nextRunAt: bjAfter(status === "failed" ? backoffMs(attempts) : task.intervalMin * 60 * 1000),
+    attempts,
+    lastRun: run,
+    history: [run, ...(prev.history || [])].slice(0, HISTORY_MAX),
+  });
+  console.log(`[Task] ${task.name}（${TRIGGER_LABELS[trigger] || trigger}）${status === "failed" ? "失败：" + error : "完成：" + (result || "-")}，耗时 ${run.durationMs}ms`);
+  return run;
+}
+
+// 依次运行所有到期（含退避后待重试）的任务；budgetMs 用尽后不再开始新任务，剩余的留给下一次调用
+export async function runDueTasks(trigger = "schedule", { budgetMs = Infinity } = {}) {
+  const states = await loadTaskStates();
+  const now = nowIso();
+  const t0 = Date.now();
+  const runs = [];
+  for (const t of TASKS) {
+    if (Date.now() - t0 >= budgetMs) break;
+    const st = states[t.key];
+    if (st?.nextRunAt && st.nextRunAt > now) continue;
+    if (st?.leaseUntil && st.leaseUntil > now) continue;
+    runs.push({ task: t.key, ...(await runTask(t.key, { trigger })) });
+  }
+  return runs;
+}
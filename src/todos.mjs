@@ -0,0 +1,168 @@
+// ====== 我的待办 ======
+// 按用户汇总需要处理的事项：待填写的面评、负责岗位下到期的跟进、未读的 @提及、待我审批的 Offer 和职位申请。
+// 每条待办有稳定的 key（事项本身变化后 key 随之变化，例如跟进时间改了会重新出现），
+// 忽略 / 延后状态按用户存于 user_prefs.todoStates：{ key: { until, at } }，until 为空表示忽略；
+// 尚无记录的用户沿用旧版 app_config.todoStates 中的状态。
+import { nowIso, loadUserPrefs } from "./db.mjs";
+import { templateResolver } from "./pipeline.mjs";
+import { pendingStep, isStepApprover, offerSummary } from "./offer.mjs";
+import { jobOwners } from "./notify.mjs";
+import { userKey, mentionsFor } from "./notes.mjs";
+import { pendingRequisitionStep, canDecideRequisition } from "./requisition.mjs";
+
+export const TODO_TYPES = [
+  { key: "review", name: "待填面评" },
+  { key: "followup", name: "到期跟进" },
+  { key: "mention", name: "@提及" },
+  { key: "offer", name: "Offer 审批" },
+  { key: "requisition", name: "职位审批" },
+];
+
+// 只看最近 30 天内的面试，历史数据里没补的面评不再追
+const REVIEW_WINDOW_DAYS = 30;
+const CLOSED_STAGES = new Set(["offer_rejected", "hired", "rejected"]);
+
+const splitNames = (s) => String(s || "").split(/[\/;,、\s]+/).map(x => x.trim()).filter(Boolean);
+
+function ownsJob(job, user) {
+  if (!job || !user) return false;
+  if (user.openId && jobOwners(job).some(o => o.openId === user.openId)) return true;
+  return !!user.name && splitNames(job.owner).includes(user.name);
+}
+
+function reviewTodos(d, user, now) {
+  if (!user.name) return [];
+  const since = new Date(Date.now() - REVIEW_WINDOW_DAYS * 86400000 + 8 * 3600000).toISOString().slice(0, 16);
+  const candMap = new Map(d.candidates.map(c => [c.id, c]));
+  return d.interviewSchedules
+    .filter(sc => sc.scheduledAt && sc.scheduledAt.slice(0, 16) <= now && sc.scheduledAt.slice(0, 16) >= since)
+    .filter(sc => splitNames(sc.interviewers).includes(user.name))
+    .filter(sc => !d.interviews.some(rv => rv.candidateId === sc.candidateId && Number(rv.round) === Number(sc.round) && splitNames(rv.interviewer).includes(user.name)))
+    .map(sc => ({ sc, c: candMap.get(sc.candidateId) }))
+    .filter(x => x.c)
+    .map(({ sc, c }) => ({
+      key: "review:" + sc.id,
+      type: "review",
+      title: "填写「" + c.name + "」第" + sc.round + "轮面评",
+      candidateId: c.id,
+      candidateName: c.name || "",
+      jobTitle: c.jobTitle || "",
+      due: sc.scheduledAt.slice(0, 16),
+      url: sc.reviewToken ? "/review/" + sc.reviewToken : "/candidates/" + c.id,
+    }));
+}
+
+function followupTodos(d, user, today) {
+  const jobMap = new Map(d.jobs.map(j => [j.id, j]));
+  const resolve = templateResolver(d);
+  return d.candidates
+    .filter(c => {
+      const f = c.follow || {};
+      if (!/^\d{4}-\d{2}-\d{2}/.test(f.followAt || "") || f.followAt.slice(0, 10) > today || f.nextAction === "已结束") return false;
+      if (!ownsJob(jobMap.get(c.jobId), user)) return false;
+      return !CLOSED_STAGES.has(resolve(c.jobId).stageOf(c.status));
+    })
+    .map(c => ({
+      key: "followup:" + c.id + ":" + c.follow.followAt,
+      type: "followup",
+      title: "跟进「" + c.name + "」：" + (c.follow.nextAction || "待联系"),
+      candidateId: c.id,
+      candidateName: c.name || "",
+      jobTitle: c.jobTitle || "",
+      due: c.follow.followAt,
+      note: c.follow.note || "",
+      url: "/candidates/" + c.id,
+    }));
+}
+
+function mentionTodos(d, user) {
+  return mentionsFor(d, user).filter(x => x.unread).map(({ n, c }) => ({
+    key: "mention:" + n.id,
+    type: "mention",
+    title: (n.authorName || "有人") + " 在「" + c.name + "」的备注中提到了你",
+    candidateId: c.id,
+    candidateName: c.name || "",
+    jobTitle: c.jobTitle || "",
+    due: (n.createdAt || "").slice(0, 16),
+    note: n.content.length > 80 ? n.content.slice(0, 80) + "..." : n.content,
+    url: "/mentions/" + n.id,
+  }));
+}
+
+// 与「待我审批的 Offer」页一致：飞书审批的版本在飞书里处理，这里不重复列出
+function offerTodos(d, user) {
+  return d.offerVersions
+    .filter(v => !v.approvalInstanceCode && isStepApprover(pendingStep(v), user))
+    .map(v => ({ v, c: d.candidates.find(x => x.id === v.candidateId) }))
+    .filter(x => x.c)
+    .map(({ v, c }) => ({
+      key: "offer:" + v.id + ":" + v.approvalSteps.indexOf(pendingStep(v)),
+      type: "offer",
+      title: "审批「" + c.name + "」的 Offer v" + v.version,
+      candidateId: c.id,
+      candidateName: c.name || "",
+      jobTitle: c.jobTitle || "",
+      due: (v.submittedAt || v.updatedAt || "").slice(0, 16),
+      note: offerSummary(v),
+      url: "/offers/approvals",
+    }));
+}
+
+function requisitionTodos(d, user) {
+  return d.jobs
+    .filter(j => canDecideRequisition(j, user))
+    .map(j => ({
+      key: "requisition:" + j.id + ":" + j.requisition.requestedAt + ":" + j.requisition.steps.indexOf(pendingRequisitionStep(j)),
+      type: "requisition",
+      title: "审批职位申请「" + (j.title || "未命名岗位") + "」",
+      candidateId: "",
+      candidateName: "",
+      jobTitle: j.title || "",
+      due: (j.requisition.requestedAt || "").slice(0, 16),
+      note: (j.requisition.requestedBy?.name || "-") + " 申请 HC " + (j.headcount ?? "-") + "：" + (j.requisition.justification.length > 80 ? j.requisition.justification.slice(0, 80) + "..." : j.requisition.justification),
+      url: "/jobs/requisitions",
+    }));
+}
+
+// 当前用户的忽略 / 延后状态
+export async function loadTodoStates(d, user) {
+  const prefs = await loadUserPrefs(userKey(user));
+  return prefs?.todoStates || d.todoStates[userKey(user)] || {};
+}
+
+function todoState(states, key, now) {
+  const st = states[key];
+  if (!st) return "";
+  if (!st.until) return "dismissed";
+  return st.until > now ? "snoozed" : "";
+}
+
+/**
+ * 用户的待办列表
+ * @returns {{ items, counts: { review, followup, mention, offer, requisition, total } }}
+ *   items 默认不含已忽略 / 延后中的事项；includeHidden 时一并返回，并带 state 与 snoozeUntil。states 为 loadTodoStates 的结果
+ */
+export function userTodos(d, user, { includeHidden = false, states = {} } = {}) {
+  const now = nowIso().slice(0, 16);
+  const all = [
+    ...reviewTodos(d, user, now),
+    ...followupTodos(d, user, now.slice(0, 10)),
+    ...mentionTodos(d, user),
+    ...offerTodos(d, user),
+    ...requisitionTodos(d, user),
+  ].map(x => ({ ...x, state: todoState(states, x.key, now), snoozeUntil: states[x.key]?.until || "" }));
+  const active = all.filter(x => !x.state);
+  const counts = { total: active.length };
+  for (const t of TODO_TYPES) counts[t.key] = active.filter(x => x.type === t.key).length;
+  return { items: (includeHidden ? all : active).sort((a, b) => (a.due || "").localeCompare(b.due || "")), counts };
+}
+
+// 忽略 / 延后 / 恢复，返回更新后的 { states }；顺带清掉已不在待办列表中的旧状态
+export function setTodoState(d, user, states, key, until) {
+  const keys = new Set(userTodos(d, user, { includeHidden: true, states }).items.map(x => x.key));
+  if (!keys.has(key)) return { error: "待办不存在或已处理" };
+  const next = Object.fromEntries(Object.entries(states).filter(([k]) => keys.has(k)));
+  if (until === null) delete next[key];
+  else next[key] = { until, at: nowIso() };
+  return { states: next };
+}
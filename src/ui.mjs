@@ -21,13 +21,20 @@ export function statusBadge(status) {
     "面试不通过": "status-red", "面试Pending": "status-gray",
     "淘汰": "status-red",
   };
-  const cls = map[s] || "status-gray";
+  // 自定义流程模板的轮次状态（待X / X通过）沿用面试中的配色
+  const cls = map[s] || (/^待.+|[^不]通过$/.test(s) ? "status-purple" : "status-gray");
   return `<span class="badge ${cls}">${escapeHtml(s)}</span>`;
 }
 
 export function offerStatusBadge(status) {
   const s = String(status || "");
-  const map = { "待发放": "status-gray", "已发放": "status-purple", "已接受": "status-green", "已拒绝": "status-red", "已撤回": "status-red" };
+  const map = { "待发放": "status-gray", "待审批": "status-blue", "审批驳回": "status-red", "已发放": "status-purple", "已接受": "status-green", "已拒绝": "status-red", "已撤回": "status-red" };
+  return `<span class="badge ${map[s] || "status-gray"}">${escapeHtml(s)}</span>`;
+}
+
+export function offerApprovalBadge(status) {
+  const s = String(status || "草稿");
+  const map = { "草稿": "status-gray", "审批中": "status-blue", "已通过": "status-green", "已驳回": "status-red", "已撤回": "status-gray" };
   return `<span class="badge ${map[s] || "status-gray"}">${escapeHtml(s)}</span>`;
 }
 
@@ -51,10 +58,27 @@ export function followupBadge(follow) {
   return `<span class="badge ${overdue ? "status-red" : "status-gray"}">${escapeHtml(text)}</span>`;
 }
 
+// 状态停留超时标记（由逾期跟进定时任务写入 c.slaFlag），状态已变化的旧标记不显示
+export function slaBadge(c) {
+  const f = c?.slaFlag;
+  if (!f || f.status !== c.status) return "";
+  const t = Date.parse(f.since || "");
+  const days = Number.isFinite(t) ? Math.floor((Date.now() - t) / 86400000) : null;
+  return `<span class="badge status-red" title="「${escapeHtml(f.status)}」SLA ${Number(f.limit) || 0} 天">⏰ 超时${days === null ? "" : " " + days + "天"}</span>`;
+}
+
+// 侧边栏角标（我的待办 / @提及数量），页面请求时由 index.mjs 的中间件按用户写入
+const navBadges = new Map();
+
+export function setNavBadges(userId, badges) {
+  navBadges.set(userId, badges);
+}
+
 /**
  * 淡紫色简洁风格 — 左侧导航 + 干净配色
  */
-export function renderPage({ title, user, active, contentHtml }) {
+// publicSite：对外页面（官网招聘），不显示侧边栏，标题不带系统名；headHtml 追加到 <head>（如 meta、结构化数据）
+export function renderPage({ title, user, active, contentHtml, headHtml = "", publicSite = false }) {
   const isAdmin = user?.role === "admin";
   const nav = [
     ["dashboard", "首页", "/", "M3 12l2-2m0 0l7-7 7 7M5 10v10a1 1 0 001 1h3m10-11l2 2m-2-2v10a1 1 0 01-1 1h-3m-6 0a1 1 0 001-1v-4a1 1 0 011-1h2a1 1 0 011 1v4a1 1 0 001 1m-6 0h6"],
@@ -62,6 +86,10 @@ export function renderPage({ title, user, active, contentHtml }) {
     ["candidates", "人才库", "/candidates", "M12 4.354a4 4 0 110 5.292M15 21H3v-1a6 6 0 0112 0v1zm0 0h6v-1a6 6 0 00-9-5.197M13 7a4 4 0 11-8 0 4 4 0 018 0z"],
     ["board", "看板", "/candidates/board", "M9 17V7m0 10a2 2 0 01-2 2H5a2 2 0 01-2-2V7a2 2 0 012-2h2a2 2 0 012 2m0 10a2 2 0 002 2h2a2 2 0 002-2M9 7a2 2 0 012-2h2a2 2 0 012 2m0 10V7m0 10a2 2 0 002 2h2a2 2 0 002-2V7a2 2 0 00-2-2h-2a2 2 0 00-2 2"],
     ["schedule", "日程", "/schedule", "M8 7V3m8 4V3m-9 8h10M5 21h14a2 2 0 002-2V7a2 2 0 00-2-2H5a2 2 0 00-2 2v12a2 2 0 002 2z"],
+    ["onboarding", "入职", "/onboarding", "M18 9v3m0 0v3m0-3h3m-3 0h-3m-2-5a4 4 0 11-8 0 4 4 0 018 0zM3 20a6 6 0 0112 0v1H3v-1z"],
+    ["todos", "我的待办", "/todos", "M9 5H7a2 2 0 00-2 2v12a2 2 0 002 2h10a2 2 0 002-2V7a2 2 0 00-2-2h-2M9 5a2 2 0 002 2h2a2 2 0 002-2M9 5a2 2 0 012-2h2a2 2 0 012 2m-6 9l2 2 4-4"],
+    ["mentions", "@提及", "/mentions", "M16 12a4 4 0 10-8 0 4 4 0 008 0zm0 0v1.5a2.5 2.5 0 005 0V12a9 9 0 10-9 9m4.5-1.206a8.959 8.959 0 01-4.5 1.207"],
+    ["referrals", "内推", "/referrals", "M12 8v13m0-13V6a2 2 0 112 2h-2zm0 0V5.5A2.5 2.5 0 109.5 8H12zm-7 4h14M5 12a2 2 0 110-4h14a2 2 0 110 4M5 12v7a2 2 0 002 2h10a2 2 0 002-2v-7"],
     ...(isAdmin ? [
       ["offers", "面试通过/入职统计", "/offers", "M9 12h6m-6 4h6m2 5H7a2 2 0 01-2-2V5a2 2 0 012-2h5.586a1 1 0 01.707.293l5.414 5.414a1 1 0 01.293.707V19a2 2 0 01-2 2z"],
       ["analytics", "数据分析", "/analytics", "M9 19v-6a2 2 0 00-2-2H5a2 2 0 00-2 2v6a2 2 0 002 2h2a2 2 0 002-2zm0 0V9a2 2 0 012-2h2a2 2 0 012 2v10m-6 0a2 2 0 002 2h2a2 2 0 002-2m0 0V5a2 2 0 012-2h2a2 2 0 012 2v14a2 2 0 01-2 2h-2a2 2 0 01-2-2z"],
@@ -69,12 +97,13 @@ export function renderPage({ title, user, active, contentHtml }) {
     ] : []),
   ];
 
+  const badges = (user && navBadges.get(user.openId || user.id)) || {};
   const navHtml = nav
     .map(([key, label, href, icon]) => {
       const isActive = key === active || (key === "dashboard" && active === "");
       return `<a class="nav-item ${isActive ? "active" : ""}" href="${href}">
         <svg width="18" height="18" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><path d="${icon}"/></svg>
-        <span>${label}</span>
+        <span>${label}</span>${badges[key] ? `<span class="nav-badge">${badges[key] > 99 ? "99+" : badges[key]}</span>` : ""}
       </a>`;
     })
     .join("");
@@ -104,7 +133,7 @@ export function renderPage({ title, user, active, contentHtml }) {
 <head>
 <meta charset="utf-8" />
 <meta name="viewport" content="width=device-width, initial-scale=1" />
-<title>${escapeHtml(title)} - Machinepulse招聘系统</title>
+<title>${escapeHtml(title)}${publicSite ? "" : " - Machinepulse招聘系统"}</title>
 <style>
 :root{
   --bg:#f5f7fa;--bg2:#ffffff;--card:#ffffff;--text:#1f2329;--muted:#8c93a3;
@@ -137,6 +166,7 @@ a{color:inherit;text-decoration:none}
 .nav-item.active{background:var(--primary-light);color:var(--primary);font-weight:600}
 .nav-item svg{flex-shrink:0;opacity:.6}
 .nav-item.active svg{opacity:1}
+.nav-badge{margin-left:auto;min-width:18px;padding:0 5px;border-radius:9px;background:#f54a45;color:#fff;font-size:11px;font-weight:600;line-height:18px;text-align:center}
 .sidebar-user{padding:14px 16px;border-top:1px solid var(--border-light);display:flex;align-items:center;gap:10px}
 .avatar{width:30px;height:30px;border-radius:50%;background:linear-gradient(135deg,#9b72f5,#5b6af5);color:#fff;display:flex;align-items:center;justify-content:center;font-size:12px;font-weight:700;overflow:hidden;flex-shrink:0}
 .avatar img{width:100%;height:100%;object-fit:cover}
@@ -148,6 +178,8 @@ a{color:inherit;text-decoration:none}
 
 /* === 主内容区 === */
 .main{flex:1;margin-left:var(--sidebar-w);height:100vh;overflow-y:auto;overflow-x:hidden}
+.main.public{margin-left:0}
+.main.public .container{max-width:960px;margin:0 auto}
 .container{max-width:1400px;padding:24px 28px 40px}
 .page-header{display:flex;align-items:center;gap:12px;margin-bottom:20px;flex-wrap:wrap}
 .page-title{font-size:18px;font-weight:700;color:var(--text)}
@@ -219,12 +251,20 @@ tr:last-child td{border-bottom:none}
 .seg{display:flex;gap:2px;background:#f4f3f6;border-radius:var(--radius);padding:3px}
 .seg a,.seg button{padding:5px 12px;border-radius:5px;font-weight:500;font-size:13px;border:none;background:transparent;color:var(--muted);cursor:pointer;transition:all .15s;white-space:nowrap}
 .seg a:hover,.seg button:hover{color:var(--text)}
+.note-md{font-size:14px;color:#374151;line-height:1.6;word-break:break-word}
+.note-md p{margin:0 0 6px}.note-md p:last-child{margin-bottom:0}
+.note-md ul,.note-md ol{margin:4px 0;padding-left:20px}
+.note-md code{background:#f3f4f6;border-radius:4px;padding:1px 4px;font-size:13px}
+.note-md pre{background:#f3f4f6;border-radius:8px;padding:8px 10px;overflow:auto}
+.note-md blockquote{margin:4px 0;padding-left:10px;border-left:3px solid #e5e7eb;color:#6b7280}
 .seg a.active,.seg button.active{background:#fff;color:var(--text);box-shadow:0 1px 3px rgba(0,0,0,.06);font-weight:600}
 
 /* === Pill === */
 .pill{display:inline-flex;align-items:center;gap:6px;padding:4px 10px;border-radius:6px;background:#f7f6f9;font-size:13px}
 .pill .muted{font-size:12px}
 .pill b{font-weight:600}
+mark{background:rgba(245,150,10,.22);color:inherit;padding:0 1px;border-radius:2px}
+tr.ft-row td{border-top:none}
 
 /* === 进度条 === */
 .bar{height:5px;border-radius:999px;background:#f0eef3;overflow:hidden;margin-top:4px}
@@ -245,6 +285,11 @@ tr:last-child td{border-bottom:none}
 .coltitle{font-weight:700;font-size:13px;color:var(--text);display:flex;align-items:center;gap:6px}
 .colcount{margin-left:auto;font-size:12px;color:var(--muted);background:#f4f3f6;padding:2px 10px;border-radius:10px;font-weight:600}
 .colbody{padding:8px;display:flex;flex-direction:column;gap:6px;overflow-y:auto;flex:1}
+.colbody.drop-over{background:var(--primary-bg);outline:2px dashed var(--primary);outline-offset:-4px}
+.carditem[draggable="true"]{cursor:grab}
+.kanban-lane{margin-bottom:14px}
+.kanban-lane .kanban{height:auto;max-height:70vh}
+.lane-title{font-weight:700;font-size:14px;margin:4px 0 8px}
 .carditem{border:1px solid var(--border-light);border-radius:var(--radius);background:#fff;padding:10px 12px;cursor:pointer;transition:all .15s}
 .carditem:hover{border-color:#c4b5fd;box-shadow:0 2px 10px rgba(124,92,252,.08);transform:translateY(-1px)}
 .cardtitle{font-weight:600;font-size:13px;display:flex;align-items:center;gap:8px;margin-bottom:5px}
@@ -387,9 +432,10 @@ tr:last-child td{border-bottom:none}
 ::-webkit-scrollbar-thumb{background:#ddd;border-radius:3px}
 ::-webkit-scrollbar-thumb:hover{background:#bbb}
 </style>
+${headHtml}
 </head>
 <body>
-  <div class="sidebar">
+  ${publicSite ? "" : `<div class="sidebar">
     <div class="sidebar-brand">
       <div class="brand-logo">M</div>
       <div>
@@ -399,8 +445,8 @@ tr:last-child td{border-bottom:none}
     </div>
     <div class="sidebar-nav">${navHtml}</div>
     ${userHtml}
-  </div>
-  <div class="main">
+  </div>`}
+  <div class="main${publicSite ? " public" : ""}">
     <div class="container">
       ${contentHtml}
     </div>